@@ -1,11 +1,27 @@
+import { useState } from "react";
 import styles from "./App.module.css";
 import BookingsPage from "./components/BookingsPage/BookingsPage";
+import VesselsPage from "./components/VesselsPage/VesselsPage";
+import CustomersPage from "./components/CustomersPage/CustomersPage";
+import InvoicesPage from "./components/InvoicesPage/InvoicesPage";
+import ExchangeRatesPage from "./components/ExchangeRatesPage/ExchangeRatesPage";
 import ThemeToggle from "./components/ThemeToggle/ThemeToggle";
 
+// Pages reachable from the header navigation
+const PAGES = [
+  { key: "bookings", label: "Bookings", Component: BookingsPage },
+  { key: "vessels", label: "Vessels", Component: VesselsPage },
+  { key: "customers", label: "Customers", Component: CustomersPage },
+  { key: "invoices", label: "Invoices", Component: InvoicesPage },
+  { key: "rates", label: "Exchange Rates", Component: ExchangeRatesPage },
+];
+
 /**
  * Main App component that provides the overall layout and structure for the BRS Brokers
  * Vessel Booking Management System. Includes accessibility features like skip navigation
- * and semantic HTML structure with header and main content areas.
+ * and semantic HTML structure with header and main content areas. The header navigation
+ * switches between the bookings page, the vessel registry, the customer directory,
+ * the invoices and the exchange rate table.
  *
  * @component
  * @returns {JSX.Element} The main application layout with header, navigation, and booking management interface
@@ -19,6 +35,11 @@ import ThemeToggle from "./components/ThemeToggle/ThemeToggle";
  * </ThemeProvider>
  */
 function App() {
+  const [activePage, setActivePage] = useState(PAGES[0].key);
+  const { Component: ActivePage } = PAGES.find(
+    (page) => page.key === activePage
+  );
+
   return (
     <div className={styles.app}>
       <a href="#main-content" className={`${styles.skipLink} ${styles.srOnly}`}>
@@ -30,11 +51,26 @@ function App() {
             <h1>BRS Brokers</h1>
             <p>Vessel Booking Management System</p>
           </div>
+          <nav className={styles.headerNav} aria-label="Main">
+            {PAGES.map((page) => (
+              <button
+                key={page.key}
+                type="button"
+                className={`${styles.navButton} ${
+                  page.key === activePage ? styles.navButtonActive : ""
+                }`}
+                aria-current={page.key === activePage ? "page" : undefined}
+                onClick={() => setActivePage(page.key)}
+              >
+                {page.label}
+              </button>
+            ))}
+          </nav>
           <ThemeToggle className={styles.headerToggle} />
         </div>
       </header>
       <main id="main-content" className={styles.mainContent}>
-        <BookingsPage />
+        <ActivePage />
       </main>
     </div>
   );
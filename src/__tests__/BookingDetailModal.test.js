@@ -1,9 +1,16 @@
 import React from "react";
-import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import {
+  render,
+  screen,
+  fireEvent,
+  waitFor,
+  within,
+} from "@testing-library/react";
 import userEvent from "@testing-library/user-event";
 import BookingDetailModal from "../components/BookingDetailModal/BookingDetailModal";
 import { ThemeProvider } from "../contexts/ThemeContext";
 import { ToastProvider } from "../contexts/ToastContext";
+import { downloadFile } from "../utils/exportUtils";
 
 // Mock the theme utils
 jest.mock("../utils/themeUtils", () => ({
@@ -12,11 +19,20 @@ jest.mock("../utils/themeUtils", () => ({
 
 // Mock the booking utils
 jest.mock("../utils/bookingUtils", () => ({
+  formatDate: jest.requireActual("../utils/bookingUtils").formatDate,
   formatDateRange: (start, end) => `${start} - ${end}`,
   calculateDuration: (start, end) => 7,
   getStatusColor: (status) => (status === "confirmed" ? "#52c41a" : "#ff4d4f"),
   getStatusBgColor: (status) =>
     status === "confirmed" ? "#f6ffed" : "#fff2f0",
+  mergeBookingChanges: jest.requireActual("../utils/bookingUtils")
+    .mergeBookingChanges,
+  EDITABLE_BOOKING_FIELDS: jest.requireActual("../utils/bookingUtils")
+    .EDITABLE_BOOKING_FIELDS,
+  isSameFieldValue: jest.requireActual("../utils/bookingUtils")
+    .isSameFieldValue,
+  normalizeVesselName: jest.requireActual("../utils/bookingUtils")
+    .normalizeVesselName,
 }));
 
 // Mock the accessibility utils
@@ -27,6 +43,11 @@ jest.mock("../utils/accessibility", () => ({
   },
 }));
 
+// Mock the download; jsdom cannot save files
+jest.mock("../utils/exportUtils", () => ({
+  downloadFile: jest.fn(),
+}));
+
 const renderWithProviders = (component, theme = "light") => {
   return render(
     <ThemeProvider initialTheme={theme}>
@@ -352,6 +373,336 @@ describe("BookingDetailModal", () => {
     });
   });
 
+  describe("Status Workflow", () => {
+    const renderModal = (booking) =>
+      renderWithProviders(
+        <BookingDetailModal
+          booking={booking}
+          isOpen={true}
+          onClose={mockOnClose}
+          updateBookingStatus={mockUpdateBookingStatus}
+          deleteBooking={mockDeleteBooking}
+          onEdit={mockOnEdit}
+        />
+      );
+
+    test("asks for a reason before cancelling", async () => {
+      renderModal(mockBooking);
+
+      await userEvent.click(screen.getByText("Cancel Booking"));
+
+      const dialog = screen.getByRole("dialog", { name: "Cancel Booking" });
+      expect(
+        within(dialog).getByLabelText("Cancellation reason")
+      ).toBeInTheDocument();
+      expect(mockUpdateBookingStatus).not.toHaveBeenCalled();
+    });
+
+    test("requires the reason", async () => {
+      renderModal(mockBooking);
+
+      await userEvent.click(screen.getByText("Cancel Booking"));
+      const dialog = screen.getByRole("dialog", { name: "Cancel Booking" });
+      await userEvent.click(
+        within(dialog).getByRole("button", { name: "Cancel Booking" })
+      );
+
+      expect(within(dialog).getByRole("alert")).toHaveTextContent(
+        "Cancellation reason is required"
+      );
+      expect(
+        within(dialog).getByLabelText("Cancellation reason")
+      ).toHaveAttribute("aria-invalid", "true");
+      expect(mockUpdateBookingStatus).not.toHaveBeenCalled();
+    });
+
+    test("cancels with the reason given", async () => {
+      renderModal(mockBooking);
+
+      await userEvent.click(screen.getByText("Cancel Booking"));
+      const dialog = screen.getByRole("dialog", { name: "Cancel Booking" });
+      fireEvent.change(within(dialog).getByLabelText("Cancellation reason"), {
+        target: { value: "  Weather window closed  " },
+      });
+      await userEvent.click(
+        within(dialog).getByRole("button", { name: "Cancel Booking" })
+      );
+      jest.advanceTimersByTime(2500);
+
+      await waitFor(() => {
+        expect(mockUpdateBookingStatus).toHaveBeenCalledWith(
+          "BOOK-001",
+          "cancelled",
+          { fields: { cancellationReason: "Weather window closed" } }
+        );
+      });
+      expect(
+        screen.queryByRole("dialog", { name: "Cancel Booking" })
+      ).not.toBeInTheDocument();
+    });
+
+    test("disables transitions a guard blocks and says why", () => {
+      renderModal({ ...mockBooking, status: "pending", vessel: "" });
+
+      const confirmButton = screen.getByRole("button", {
+        name: /Confirm Booking/,
+      });
+      expect(confirmButton).toBeDisabled();
+      expect(confirmButton).toHaveAttribute(
+        "title",
+        "Assign a vessel and dates before confirming"
+      );
+    });
+
+    test("shows why a cancelled booking was cancelled", () => {
+      renderModal({
+        ...mockBooking,
+        status: "cancelled",
+        cancellationReason: "Customer withdrew",
+      });
+
+      expect(screen.getByText("Customer withdrew")).toBeInTheDocument();
+    });
+  });
+
+  describe("Charter Value", () => {
+    const vessels = [
+      {
+        id: "VS-1001",
+        name: "Ocean Explorer",
+        rateCard: {
+          dailyRate: 1000,
+          minimumDays: 10,
+          seasons: [
+            { name: "Winter", start: "01-01", end: "01-18", dailyRate: 1500 },
+          ],
+        },
+      },
+    ];
+
+    const renderWithVessels = (booking, registry = vessels) =>
+      renderWithProviders(
+        <BookingDetailModal
+          booking={booking}
+          isOpen={true}
+          onClose={mockOnClose}
+          updateBookingStatus={mockUpdateBookingStatus}
+          deleteBooking={mockDeleteBooking}
+          onEdit={mockOnEdit}
+          vessels={registry}
+        />
+      );
+
+    test("breaks the value down by rate, minimum and discount", () => {
+      renderWithVessels({ ...mockBooking, discountPercent: 10 });
+
+      expect(
+        screen.getByText("Winter (4 days × 1.500,00 €)")
+      ).toBeInTheDocument();
+      expect(screen.getByText("6.000,00 €")).toBeInTheDocument();
+      expect(
+        screen.getByText("Daily rate (3 days × 1.000,00 €)")
+      ).toBeInTheDocument();
+      expect(
+        screen.getByText("Minimum charter (3 days × 1.000,00 €)")
+      ).toBeInTheDocument();
+      expect(screen.getByText("Discount (10%):")).toBeInTheDocument();
+      expect(screen.getByText("−1.200,00 €")).toBeInTheDocument();
+      expect(screen.getByText("10.800,00 €")).toBeInTheDocument();
+    });
+
+    test("shows a manual override instead of the rate card value", () => {
+      renderWithVessels({ ...mockBooking, valueOverride: 9500 });
+
+      expect(screen.getByText("Value override:")).toBeInTheDocument();
+      expect(screen.getAllByText("9.500,00 €")).toHaveLength(2);
+    });
+
+    test("says when the vessel has no rate card", () => {
+      renderWithVessels(mockBooking, []);
+
+      expect(
+        screen.getByText(
+          "Ocean Explorer has no rate card, so this booking has no value yet."
+        )
+      ).toBeInTheDocument();
+    });
+
+    test("shows the invoice the booking is billed on", () => {
+      const invoices = [
+        {
+          id: "IV-1001",
+          number: "INV-2030-0004",
+          status: "void",
+          bookingIds: [mockBooking.id],
+        },
+        {
+          id: "IV-1002",
+          number: "INV-2030-0005",
+          status: "issued",
+          dueDate: "2030-02-19",
+          bookingIds: [mockBooking.id],
+        },
+      ];
+      const { rerender } = renderWithProviders(
+        <BookingDetailModal
+          booking={mockBooking}
+          isOpen={true}
+          onClose={mockOnClose}
+          updateBookingStatus={mockUpdateBookingStatus}
+          deleteBooking={mockDeleteBooking}
+          onEdit={mockOnEdit}
+          vessels={vessels}
+          invoices={invoices}
+        />
+      );
+
+      expect(screen.getByText("Invoice:")).toBeInTheDocument();
+      expect(
+        screen.getByText("INV-2030-0005 · Issued, due 19/02/2030")
+      ).toBeInTheDocument();
+
+      rerender(
+        <ThemeProvider initialTheme="light">
+          <ToastProvider>
+            <BookingDetailModal
+              booking={mockBooking}
+              isOpen={true}
+              onClose={mockOnClose}
+              updateBookingStatus={mockUpdateBookingStatus}
+              deleteBooking={mockDeleteBooking}
+              onEdit={mockOnEdit}
+              vessels={vessels}
+              invoices={[]}
+            />
+          </ToastProvider>
+        </ThemeProvider>
+      );
+      expect(screen.getByText("Not invoiced")).toBeInTheDocument();
+    });
+
+    test("shows the commission and each broker's share of the brokerage", () => {
+      renderWithVessels({
+        ...mockBooking,
+        valueOverride: 100000,
+        addressCommission: 3.75,
+        brokerage: 1.25,
+        brokerageSplit: [
+          { broker: "Anna Georgiou", share: 60 },
+          { broker: "Seaways Chartering", share: 40 },
+        ],
+      });
+
+      expect(
+        screen.getByText("Address commission (3.75%):")
+      ).toBeInTheDocument();
+      expect(screen.getByText("3.750,00 €")).toBeInTheDocument();
+      expect(screen.getByText("Brokerage (1.25%):")).toBeInTheDocument();
+      expect(screen.getByText("1.250,00 €")).toBeInTheDocument();
+      expect(
+        screen.getByText("Anna Georgiou (60% of brokerage):")
+      ).toBeInTheDocument();
+      expect(screen.getByText("750,00 €")).toBeInTheDocument();
+      expect(
+        screen.getByText("Seaways Chartering (40% of brokerage):")
+      ).toBeInTheDocument();
+      expect(screen.getByText("500,00 €")).toBeInTheDocument();
+    });
+
+    test("says when the booking has no commission", () => {
+      renderWithVessels(mockBooking);
+
+      expect(
+        screen.getByText("No commission set for this booking.")
+      ).toBeInTheDocument();
+    });
+  });
+
+  describe("Voyage", () => {
+    const renderBooking = (booking) =>
+      renderWithProviders(
+        <BookingDetailModal
+          booking={booking}
+          isOpen={true}
+          onClose={mockOnClose}
+          updateBookingStatus={mockUpdateBookingStatus}
+          deleteBooking={mockDeleteBooking}
+          onEdit={mockOnEdit}
+        />
+      );
+
+    test("lists each leg's port calls with ETAs in port local time", () => {
+      renderBooking({
+        ...mockBooking,
+        legs: [
+          {
+            loadPort: "NLRTM",
+            loadEta: "2030-03-02T08:00",
+            dischargePort: "NOSVG",
+            dischargeEta: "2030-03-04T14:00",
+          },
+          {
+            loadPort: "NOSVG",
+            loadEta: "2030-07-06T06:00",
+            dischargePort: "GBABD",
+            dischargeEta: "2030-07-07T18:30",
+          },
+        ],
+      });
+
+      expect(
+        screen.getByText("Leg 1 · Load at Rotterdam (NLRTM):")
+      ).toBeInTheDocument();
+      expect(
+        screen.getByText("ETA 02/03/2030 08:00 (UTC+1)")
+      ).toBeInTheDocument();
+      expect(
+        screen.getByText("Leg 2 · Discharge at Aberdeen (GBABD):")
+      ).toBeInTheDocument();
+      expect(
+        screen.getByText("ETA 07/07/2030 18:30 (UTC+1)")
+      ).toBeInTheDocument();
+    });
+
+    test("says when no port calls are recorded", () => {
+      renderBooking(mockBooking);
+
+      expect(
+        screen.getByText("No port calls recorded for this booking.")
+      ).toBeInTheDocument();
+    });
+  });
+
+  describe("Add to Calendar", () => {
+    test("downloads the booking as an iCalendar event", async () => {
+      renderWithProviders(
+        <BookingDetailModal
+          booking={{ ...mockBooking, status: "pending", version: 3 }}
+          isOpen={true}
+          onClose={mockOnClose}
+          updateBookingStatus={mockUpdateBookingStatus}
+          deleteBooking={mockDeleteBooking}
+        />
+      );
+
+      await userEvent.click(
+        screen.getByRole("button", { name: /Add to Calendar/ })
+      );
+
+      expect(downloadFile).toHaveBeenCalledWith(
+        expect.objectContaining({
+          fileName: "book-001.ics",
+          mimeType: "text/calendar;charset=utf-8",
+        })
+      );
+      const { content } = downloadFile.mock.calls[0][0];
+      expect(content).toContain("UID:BOOK-001@brs-booking\r\n");
+      expect(content).toContain("STATUS:TENTATIVE\r\n");
+      expect(content).toContain("SEQUENCE:2\r\n");
+      expect(content).toContain("DTEND;VALUE=DATE:20240122\r\n");
+    });
+  });
+
   describe("API Simulation and Loading States", () => {
     test("shows loading state when confirming booking", async () => {
       const pendingBooking = { ...mockBooking, status: "pending" };
@@ -462,6 +813,214 @@ describe("BookingDetailModal", () => {
     });
   });
 
+  describe("Version Conflicts", () => {
+    const pendingBooking = { ...mockBooking, status: "pending", version: 1 };
+
+    const submitIntoConflict = async (theirs, props = {}) => {
+      const updateBookingStatus = jest
+        .fn()
+        .mockResolvedValueOnce({
+          success: false,
+          error: "Booking BOOK-001 was changed by someone else.",
+          versionConflict: { current: theirs },
+        })
+        .mockResolvedValue({ success: true });
+
+      renderWithProviders(
+        <BookingDetailModal
+          booking={pendingBooking}
+          isOpen={true}
+          onClose={mockOnClose}
+          updateBookingStatus={updateBookingStatus}
+          deleteBooking={mockDeleteBooking}
+          onEdit={mockOnEdit}
+          {...props}
+        />
+      );
+
+      await userEvent.click(screen.getByText("Confirm Booking"));
+      jest.advanceTimersByTime(2500);
+
+      await waitFor(() => {
+        expect(screen.getByRole("alert")).toHaveTextContent(
+          "This booking was changed by someone else"
+        );
+      });
+      expect(mockOnClose).not.toHaveBeenCalled();
+
+      return updateBookingStatus;
+    };
+
+    test("merges my status change on top of their other changes", async () => {
+      const updateBookingStatus = await submitIntoConflict({
+        ...pendingBooking,
+        vessel: "Sea Breeze",
+        version: 2,
+      });
+
+      await userEvent.click(screen.getByText("Merge"));
+      jest.advanceTimersByTime(2500);
+
+      await waitFor(() => {
+        expect(updateBookingStatus).toHaveBeenLastCalledWith(
+          "BOOK-001",
+          "confirmed",
+          { expectedVersion: 2 }
+        );
+      });
+    });
+
+    test("applies my status over theirs, keeping their other changes", async () => {
+      const updateBooking = jest.fn().mockResolvedValue({ success: true });
+      await submitIntoConflict(
+        {
+          ...pendingBooking,
+          status: "cancelled",
+          vessel: "Sea Breeze",
+          vesselId: "VSL-2",
+          version: 2,
+        },
+        { updateBooking }
+      );
+
+      expect(screen.getByText("Merge")).toBeDisabled();
+      // Their vessel stays whichever side wins
+      expect(
+        screen.getByRole("row", { name: "vessel Sea Breeze Sea Breeze" })
+      ).toBeInTheDocument();
+
+      await userEvent.click(screen.getByText("Apply mine"));
+      jest.advanceTimersByTime(2500);
+
+      await waitFor(() => {
+        expect(updateBooking).toHaveBeenCalledWith(
+          "BOOK-001",
+          { status: "confirmed" },
+          { expectedVersion: 2 }
+        );
+      });
+    });
+
+    test("keeps their version and drops my change", async () => {
+      const updateBookingStatus = await submitIntoConflict({
+        ...pendingBooking,
+        status: "cancelled",
+        version: 2,
+      });
+
+      await userEvent.click(screen.getByText("Keep theirs"));
+
+      expect(screen.queryByRole("alert")).not.toBeInTheDocument();
+      expect(updateBookingStatus).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe("Activity Tab", () => {
+    test("is not shown without an activity loader", () => {
+      renderWithProviders(
+        <BookingDetailModal
+          booking={mockBooking}
+          isOpen={true}
+          onClose={mockOnClose}
+          updateBookingStatus={mockUpdateBookingStatus}
+          deleteBooking={mockDeleteBooking}
+          onEdit={mockOnEdit}
+        />
+      );
+
+      expect(screen.queryByRole("tab")).not.toBeInTheDocument();
+    });
+
+    test("renders the booking's audit trail", async () => {
+      const getBookingActivity = jest.fn().mockResolvedValue({
+        success: true,
+        entries: [
+          {
+            id: "AUD-2",
+            bookingId: "BOOK-001",
+            action: "status_changed",
+            actor: "Ops desk",
+            timestamp: "2030-01-02T10:00:00.000Z",
+            changes: [
+              { field: "status", from: "pending", to: "confirmed" },
+              {
+                field: "legs",
+                from: [],
+                to: [{ loadPort: "GRPIR", dischargePort: "GRSKG" }],
+              },
+            ],
+          },
+          {
+            id: "AUD-1",
+            bookingId: "BOOK-001",
+            action: "created",
+            actor: "Local user",
+            timestamp: "2030-01-01T09:00:00.000Z",
+            changes: [{ field: "customer", from: null, to: "John Doe" }],
+          },
+        ],
+      });
+
+      renderWithProviders(
+        <BookingDetailModal
+          booking={mockBooking}
+          isOpen={true}
+          onClose={mockOnClose}
+          updateBookingStatus={mockUpdateBookingStatus}
+          deleteBooking={mockDeleteBooking}
+          onEdit={mockOnEdit}
+          getBookingActivity={getBookingActivity}
+        />
+      );
+
+      expect(getBookingActivity).not.toHaveBeenCalled();
+      fireEvent.click(screen.getByRole("tab", { name: /activity/i }));
+
+      await waitFor(() => {
+        expect(screen.getByText("Status changed")).toBeInTheDocument();
+      });
+      expect(getBookingActivity).toHaveBeenCalledWith("BOOK-001", {
+        signal: expect.any(AbortSignal),
+      });
+      expect(screen.getByText("by Ops desk")).toBeInTheDocument();
+      expect(screen.getByText("pending → confirmed")).toBeInTheDocument();
+      expect(
+        screen.getByText("— → Piraeus (GRPIR) → Thessaloniki (GRSKG)")
+      ).toBeInTheDocument();
+      expect(screen.getByText("Booking created")).toBeInTheDocument();
+      expect(screen.getByRole("tab", { name: /activity/i })).toHaveAttribute(
+        "aria-selected",
+        "true"
+      );
+    });
+
+    test("shows an empty state when nothing was recorded", async () => {
+      const getBookingActivity = jest
+        .fn()
+        .mockResolvedValue({ success: true, entries: [] });
+
+      renderWithProviders(
+        <BookingDetailModal
+          booking={mockBooking}
+          isOpen={true}
+          onClose={mockOnClose}
+          updateBookingStatus={mockUpdateBookingStatus}
+          deleteBooking={mockDeleteBooking}
+          onEdit={mockOnEdit}
+          getBookingActivity={getBookingActivity}
+        />
+      );
+
+      fireEvent.click(screen.getByRole("tab", { name: /activity/i }));
+
+      expect(
+        await screen.findByText(
+          "No changes have been recorded for this booking yet."
+        )
+      ).toBeInTheDocument();
+    });
+  });
+
   describe("Delete Confirmation Modal", () => {
     test("shows delete confirmation modal when delete button is clicked", async () => {
       renderWithProviders(
@@ -480,8 +1039,10 @@ describe("BookingDetailModal", () => {
 
       expect(screen.getByText("Confirm Deletion")).toBeInTheDocument();
       expect(
-        screen.getByText(/Are you sure you want to permanently delete booking/)
-      ).toBeInTheDocument();
+        screen.getByText(/Are you sure you want to delete booking/)
+      ).toHaveTextContent(
+        "It will be moved to the Trash, where it can be restored."
+      );
     });
 
     test("cancels deletion when cancel button is clicked", async () => {
@@ -1,17 +1,47 @@
 import React from "react";
-import { render, screen, waitFor, fireEvent } from "@testing-library/react";
+import {
+  render,
+  screen,
+  waitFor,
+  fireEvent,
+  act,
+} from "@testing-library/react";
 import "@testing-library/jest-dom";
 import BookingsPage from "../components/BookingsPage/BookingsPage";
 import { ThemeProvider } from "../contexts/ThemeContext";
 import { ToastProvider } from "../contexts/ToastContext";
 import { bookingService } from "../services/bookingService";
+import {
+  BookingAbortError,
+  BookingNetworkError,
+} from "../services/bookingErrors";
+import { clearMutationQueue } from "../services/mutationQueue";
+import { createMemoryRegistry } from "../services/adapters/createRegistryAdapter";
+import {
+  CUSTOMER_REGISTRY_OPTIONS,
+  setCustomerAdapter,
+} from "../services/customerService";
+import {
+  VESSEL_REGISTRY_OPTIONS,
+  setVesselAdapter,
+} from "../services/vesselService";
+import { formatDate, queryBookingList } from "../utils/bookingUtils";
+import {
+  LAYCAN_WARNING_DAYS,
+  getLaycanWarning,
+  getLaycanWindows,
+  toLaycanData,
+} from "../utils/laycanUtils";
 
 // Mock the bookingService to control the data in tests
 jest.mock("../services/bookingService", () => ({
   bookingService: {
     getBookings: jest.fn(),
+    queryBookings: jest.fn(),
     createBooking: jest.fn(),
+    updateBooking: jest.fn(),
   },
+  setBookingWriteCheck: jest.fn(),
 }));
 
 // Helper function to render components with ThemeProvider and ToastProvider
@@ -55,6 +85,12 @@ describe("BookingsPage", () => {
     // Reset mocks before each test
     jest.clearAllMocks();
     bookingService.getBookings.mockResolvedValue(mockBookings);
+    // Queries run over whatever getBookings resolves to, like a backend would
+    bookingService.queryBookings.mockImplementation(async (query) =>
+      queryBookingList(await bookingService.getBookings(), query)
+    );
+    // An empty directory, so customer names only appear in the bookings list
+    setCustomerAdapter(createMemoryRegistry([], CUSTOMER_REGISTRY_OPTIONS));
   });
 
   describe("Search and Filter Functionality", () => {
@@ -230,6 +266,125 @@ describe("BookingsPage", () => {
     });
   });
 
+  describe("Superseded Queries", () => {
+    test("aborts a query replaced by a newer one without showing an error", async () => {
+      renderWithTheme(<BookingsPage />);
+      await waitFor(() => {
+        expect(screen.getByText("3 bookings found")).toBeInTheDocument();
+      });
+
+      // The next query only settles when it is aborted
+      let supersededSignal;
+      bookingService.queryBookings.mockImplementationOnce(
+        (query, { signal }) =>
+          new Promise((resolve, reject) => {
+            supersededSignal = signal;
+            signal.addEventListener("abort", () =>
+              reject(new BookingAbortError())
+            );
+          })
+      );
+
+      const search = screen.getByPlaceholderText("Search by customer name...");
+      fireEvent.change(search, { target: { value: "Acme" } });
+      await waitFor(() => {
+        expect(supersededSignal).toBeDefined();
+      });
+      fireEvent.change(search, { target: { value: "Blue" } });
+
+      await waitFor(() => {
+        expect(screen.getByText("1 booking found")).toBeInTheDocument();
+      });
+      expect(supersededSignal.aborted).toBe(true);
+      expect(screen.getByText("BlueWave")).toBeInTheDocument();
+      expect(
+        screen.queryByText("Failed to load bookings")
+      ).not.toBeInTheDocument();
+    });
+  });
+
+  describe("Sorting and Pagination", () => {
+    const manyBookings = Array.from({ length: 23 }, (_, index) => ({
+      id: `BK-${2001 + index}`,
+      customer: `Customer ${String(index + 1).padStart(2, "0")}`,
+      vessel: "Nordic Star",
+      status: "confirmed",
+      startDate: "2030-01-10",
+      endDate: "2030-01-12",
+    }));
+
+    test("pages through results and changes the page size", async () => {
+      bookingService.getBookings.mockResolvedValue(manyBookings);
+      renderWithTheme(<BookingsPage />);
+
+      await waitFor(() => {
+        expect(screen.getByText("Showing 1–10 of 23")).toBeInTheDocument();
+      });
+      expect(screen.getByText("23 bookings found")).toBeInTheDocument();
+      expect(screen.getByText("Customer 01")).toBeInTheDocument();
+      expect(screen.queryByText("Customer 11")).not.toBeInTheDocument();
+
+      fireEvent.click(screen.getByLabelText("Next page"));
+
+      await waitFor(() => {
+        expect(screen.getByText("Customer 11")).toBeInTheDocument();
+      });
+      expect(screen.getByText("Showing 11–20 of 23")).toBeInTheDocument();
+      expect(bookingService.queryBookings).toHaveBeenLastCalledWith(
+        expect.objectContaining({ page: 2, pageSize: 10 }),
+        { signal: expect.any(AbortSignal) }
+      );
+
+      fireEvent.change(screen.getByLabelText("Rows per page"), {
+        target: { value: "25" },
+      });
+
+      await waitFor(() => {
+        expect(screen.getByText("Showing 1–23 of 23")).toBeInTheDocument();
+      });
+      expect(screen.getByLabelText("Next page")).toBeDisabled();
+    });
+
+    test("sorts through the query and returns to page 1 on filtering", async () => {
+      bookingService.getBookings.mockResolvedValue(manyBookings);
+      renderWithTheme(<BookingsPage />);
+
+      await waitFor(() => {
+        expect(screen.getByText("Customer 01")).toBeInTheDocument();
+      });
+
+      fireEvent.click(screen.getByText(/^Customer/, { selector: "th" }));
+      await waitFor(() => {
+        expect(screen.getByText("↑")).toBeInTheDocument();
+      });
+      fireEvent.click(await screen.findByText(/^Customer/, { selector: "th" }));
+
+      await waitFor(() => {
+        expect(screen.getByText("Customer 23")).toBeInTheDocument();
+      });
+      expect(bookingService.queryBookings).toHaveBeenLastCalledWith(
+        expect.objectContaining({
+          sort: { column: "customer", direction: "desc" },
+        }),
+        { signal: expect.any(AbortSignal) }
+      );
+
+      fireEvent.click(screen.getByLabelText("Page 3"));
+      await waitFor(() => {
+        expect(screen.getByText("Showing 21–23 of 23")).toBeInTheDocument();
+      });
+
+      fireEvent.change(
+        screen.getByPlaceholderText("Search by customer name..."),
+        { target: { value: "Customer 0" } }
+      );
+
+      await waitFor(() => {
+        expect(screen.getByText("Showing 1–9 of 9")).toBeInTheDocument();
+      });
+    });
+  });
+
   describe("Booking Interaction", () => {
     test("opens booking detail modal when booking row is clicked", async () => {
       renderWithTheme(<BookingsPage />);
@@ -272,6 +427,311 @@ describe("BookingsPage", () => {
     });
   });
 
+  describe("Offline Changes", () => {
+    afterEach(() => {
+      clearMutationQueue();
+    });
+
+    test("marks rows with queued changes and lets them be discarded", async () => {
+      bookingService.updateBooking.mockRejectedValue(
+        new BookingNetworkError("Failed to update booking. Please try again.")
+      );
+      renderWithTheme(<BookingsPage />);
+
+      fireEvent.click(await screen.findByLabelText("Confirm booking BK-1002"));
+
+      // The change shows straight away, flagged until it reaches the server
+      expect(await screen.findByText("Not yet synced")).toBeInTheDocument();
+      expect(screen.getByLabelText("Make pending BK-1002")).toBeInTheDocument();
+      expect(
+        await screen.findByText(/You're offline. The change will sync/)
+      ).toBeInTheDocument();
+
+      fireEvent.click(
+        screen.getByLabelText("Open sync queue, 1 change not yet synced")
+      );
+      expect(screen.getByText("Update BK-1002")).toBeInTheDocument();
+      expect(screen.getByText("Changes status")).toBeInTheDocument();
+
+      fireEvent.click(
+        screen.getByLabelText("Discard queued update of booking BK-1002")
+      );
+
+      expect(screen.getByText("All changes are synced.")).toBeInTheDocument();
+      expect(screen.queryByText("Not yet synced")).not.toBeInTheDocument();
+      expect(
+        screen.getByLabelText("Confirm booking BK-1002")
+      ).toBeInTheDocument();
+    });
+  });
+
+  describe("Changes From Other Tabs", () => {
+    // What another tab's bookingService announces after a write
+    const receiveChange = (change) =>
+      act(() => {
+        window.dispatchEvent(
+          new StorageEvent("storage", {
+            key: "bookings_sync",
+            newValue: JSON.stringify(change),
+            storageArea: localStorage,
+          })
+        );
+      });
+
+    test("merges a status change and highlights the row", async () => {
+      renderWithTheme(<BookingsPage />);
+      await screen.findByText("BlueWave");
+
+      const confirmed = { ...mockBookings[1], status: "confirmed" };
+      bookingService.getBookings.mockResolvedValue([
+        mockBookings[0],
+        confirmed,
+        mockBookings[2],
+      ]);
+      receiveChange({
+        type: "status_changed",
+        bookingId: "BK-1002",
+        booking: confirmed,
+        changes: [{ field: "status", from: "pending", to: "confirmed" }],
+      });
+
+      expect(
+        await screen.findByText(
+          "Booking BK-1002 was marked confirmed in another tab"
+        )
+      ).toBeInTheDocument();
+      expect(screen.getByLabelText("Make pending BK-1002")).toBeInTheDocument();
+      expect(
+        screen.getByLabelText("View details for booking BK-1002")
+      ).toHaveClass("remoteChangeFlash");
+      expect(
+        screen.getByLabelText("View details for booking BK-1001")
+      ).not.toHaveClass("remoteChangeFlash");
+    });
+
+    test("picks up bookings created in another tab", async () => {
+      renderWithTheme(<BookingsPage />);
+      await screen.findByText("Acme Wind");
+
+      const created = {
+        id: "BK-1004",
+        customer: "Deep Sea Logistics",
+        vessel: "Sea Finch",
+        status: "pending",
+        startDate: "2026-03-01",
+        endDate: "2026-03-04",
+      };
+      bookingService.getBookings.mockResolvedValue([...mockBookings, created]);
+      receiveChange({
+        type: "created",
+        bookingId: "BK-1004",
+        booking: created,
+      });
+
+      expect(
+        await screen.findByText("Booking BK-1004 was created in another tab")
+      ).toBeInTheDocument();
+      expect(await screen.findByText("Deep Sea Logistics")).toBeInTheDocument();
+      expect(screen.getByText("4 bookings found")).toBeInTheDocument();
+    });
+  });
+
+  describe("Charter Value", () => {
+    beforeEach(() => {
+      setVesselAdapter(
+        createMemoryRegistry(
+          [
+            {
+              id: "VS-1001",
+              name: "Nordic Star",
+              type: "service_operation",
+              rateCard: { dailyRate: 28000, minimumDays: 7, seasons: [] },
+            },
+            {
+              id: "VS-1003",
+              name: "Asteria",
+              type: "offshore_supply",
+              rateCard: { dailyRate: 14500, minimumDays: null, seasons: [] },
+            },
+          ],
+          VESSEL_REGISTRY_OPTIONS
+        )
+      );
+    });
+
+    test("shows each booking's value in the table and card views", async () => {
+      bookingService.getBookings.mockResolvedValue([
+        { ...mockBookings[0], discountPercent: 10 },
+        ...mockBookings.slice(1),
+      ]);
+      renderWithTheme(<BookingsPage />);
+
+      // 12 days at 28.000 € less 10%; Sea Finch has no rate card
+      expect(await screen.findByText("302.400,00 €")).toBeInTheDocument();
+      expect(screen.getByText("43.500,00 €")).toBeInTheDocument();
+      expect(screen.getByText("—")).toBeInTheDocument();
+
+      fireEvent.click(screen.getByLabelText("Card view"));
+      expect(screen.getByText("302.400,00 €")).toBeInTheDocument();
+      expect(screen.getAllByText("Value:")).toHaveLength(3);
+    });
+  });
+
+  describe("Laycan", () => {
+    // A day relative to today, as YYYY-MM-DD
+    const dayFromToday = (days) => {
+      const date = new Date();
+      date.setDate(date.getDate() + days);
+      return [
+        date.getFullYear(),
+        String(date.getMonth() + 1).padStart(2, "0"),
+        String(date.getDate()).padStart(2, "0"),
+      ].join("-");
+    };
+
+    test("shows how the laycan was narrowed and warns before cancelling", async () => {
+      bookingService.getBookings.mockResolvedValue([
+        {
+          ...mockBookings[0],
+          laycanStart: dayFromToday(1),
+          laycanEnd: dayFromToday(2),
+        },
+        {
+          ...mockBookings[1],
+          laycanStart: dayFromToday(1),
+          laycanEnd: dayFromToday(3),
+          laycanHistory: [{ start: dayFromToday(0), end: dayFromToday(10) }],
+        },
+        mockBookings[2],
+      ]);
+      renderWithTheme(<BookingsPage />);
+
+      expect(
+        await screen.findByText("Cancelling in 3 days, not confirmed")
+      ).toBeInTheDocument();
+      const narrowed = screen.getByText(
+        `${formatDate(dayFromToday(0))} - ${formatDate(dayFromToday(10))}`
+      );
+      expect(narrowed.tagName).toBe("DEL");
+      expect(
+        screen.getByText(
+          `→ ${formatDate(dayFromToday(1))} - ${formatDate(dayFromToday(3))}`,
+          { exact: false }
+        )
+      ).toBeInTheDocument();
+      // Confirmed bookings are not warned about
+      expect(screen.queryAllByText(/not confirmed/)).toHaveLength(1);
+
+      fireEvent.click(screen.getByLabelText("Card view"));
+      expect(screen.getAllByText("Laycan:")).toHaveLength(2);
+    });
+
+    test("warns about unconfirmed bookings near or past their cancelling date", () => {
+      const pending = { status: "pending", laycanEnd: "2030-03-10" };
+
+      expect(getLaycanWarning(pending, "2030-03-02")).toBeNull();
+      expect(getLaycanWarning(pending, "2030-03-03")).toMatchObject({
+        level: "approaching",
+        daysLeft: LAYCAN_WARNING_DAYS,
+      });
+      expect(getLaycanWarning(pending, "2030-03-09").message).toBe(
+        "Cancelling in 1 day, not confirmed"
+      );
+      expect(getLaycanWarning(pending, "2030-03-10").message).toBe(
+        "Cancelling today, not confirmed"
+      );
+      expect(getLaycanWarning(pending, "2030-03-11")).toEqual({
+        level: "lapsed",
+        daysLeft: -1,
+        message: "Cancelling date 10/03/2030 passed, not confirmed",
+      });
+      expect(
+        getLaycanWarning({ ...pending, status: "confirmed" }, "2030-03-09")
+      ).toBeNull();
+      expect(getLaycanWarning({ status: "pending" }, "2030-03-09")).toBeNull();
+    });
+
+    test("keeps earlier windows when the laycan is narrowed", () => {
+      const base = {
+        laycanStart: "2030-03-01",
+        laycanEnd: "2030-03-10",
+        laycanHistory: [{ start: "2030-02-25", end: "2030-03-15" }],
+      };
+
+      expect(
+        toLaycanData(
+          { laycanStart: "2030-03-03", laycanEnd: "2030-03-05" },
+          base
+        )
+      ).toEqual({
+        laycanStart: "2030-03-03",
+        laycanEnd: "2030-03-05",
+        laycanHistory: [
+          { start: "2030-02-25", end: "2030-03-15" },
+          { start: "2030-03-01", end: "2030-03-10" },
+        ],
+      });
+      expect(
+        toLaycanData(
+          { laycanStart: "2030-03-01", laycanEnd: "2030-03-10" },
+          base
+        ).laycanHistory
+      ).toHaveLength(1);
+      expect(toLaycanData({ laycanStart: "", laycanEnd: "" }, base)).toEqual({
+        laycanStart: null,
+        laycanEnd: null,
+        laycanHistory: [],
+      });
+      expect(getLaycanWindows(base)).toHaveLength(2);
+    });
+  });
+
+  describe("Export", () => {
+    test("exports the filtered view on every page in table order", async () => {
+      const exported = [];
+      URL.createObjectURL = jest.fn((blob) => {
+        exported.push(blob);
+        return "blob:export";
+      });
+      URL.revokeObjectURL = jest.fn();
+      jest
+        .spyOn(HTMLAnchorElement.prototype, "click")
+        .mockImplementation(() => {});
+      renderWithTheme(<BookingsPage />);
+
+      await waitFor(() => {
+        expect(screen.getByText("Acme Wind")).toBeInTheDocument();
+      });
+      fireEvent.change(screen.getByLabelText("Status"), {
+        target: { value: "pending" },
+      });
+      await waitFor(() => {
+        expect(screen.getByText("1 booking found")).toBeInTheDocument();
+      });
+
+      fireEvent.click(screen.getByLabelText("Export bookings"));
+      fireEvent.click(screen.getByLabelText("JSON"));
+      fireEvent.click(screen.getByRole("button", { name: /Export$/ }));
+
+      await waitFor(() => expect(exported).toHaveLength(1));
+      const content = await new Promise((resolve) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.readAsText(exported[0]);
+      });
+      expect(JSON.parse(content).map((booking) => booking.id)).toEqual([
+        "BK-1002",
+      ]);
+      expect(bookingService.queryBookings).toHaveBeenLastCalledWith(
+        expect.objectContaining({
+          filters: expect.objectContaining({ status: "pending" }),
+          page: 1,
+        }),
+        expect.anything()
+      );
+    });
+  });
+
   describe("Accessibility", () => {
     test("has proper ARIA labels and roles", async () => {
       renderWithTheme(<BookingsPage />);
@@ -0,0 +1,476 @@
+import React from "react";
+import { render, screen, fireEvent } from "@testing-library/react";
+import "@testing-library/jest-dom";
+import CommissionStatementPanel from "../components/CommissionStatementPanel/CommissionStatementPanel";
+import { ThemeProvider } from "../contexts/ThemeContext";
+import { ToastProvider } from "../contexts/ToastContext";
+import {
+  HOUSE_BROKER,
+  buildCommissionStatement,
+  buildCommissionStatementFile,
+  calculateCommission,
+  formatBrokerageSplit,
+  getBrokerNames,
+  toBookingCommissionData,
+} from "../utils/commissionUtils";
+import { EXCEL_LOCALES } from "../utils/exportUtils";
+import {
+  mergeBookingChanges,
+  validateBookingForm,
+} from "../utils/bookingUtils";
+import { diffBookings } from "../services/auditLog";
+
+// Helper function to render components with ThemeProvider and ToastProvider
+const renderWithTheme = (component) => {
+  return render(
+    <ThemeProvider>
+      <ToastProvider>{component}</ToastProvider>
+    </ThemeProvider>
+  );
+};
+
+const vessels = [
+  {
+    id: "VS-1001",
+    name: "Nordic Star",
+    rateCard: { dailyRate: 1000, minimumDays: 1, seasons: [] },
+  },
+  { id: "VS-1002", name: "Wave Rider", rateCard: null },
+];
+
+const fxRates = [
+  { id: "FX-1001", currency: "USD", rate: 1.2, effectiveDate: "2030-06-01" },
+];
+
+const split = [
+  { broker: "Anna Georgiou", share: 60 },
+  { broker: "Seaways Chartering", share: 40 },
+];
+
+const bookings = [
+  {
+    id: "BK-3001",
+    customer: "Acme Wind",
+    vessel: "Nordic Star",
+    vesselId: "VS-1001",
+    status: "confirmed",
+    startDate: "2030-03-01",
+    endDate: "2030-03-11",
+    addressCommission: 3.75,
+    brokerage: 1.25,
+    brokerageSplit: split,
+  },
+  {
+    id: "BK-3002",
+    customer: "BlueWave",
+    vessel: "Nordic Star",
+    vesselId: "VS-1001",
+    status: "confirmed",
+    startDate: "2030-05-01",
+    endDate: "2030-05-05",
+    valueOverride: 20000,
+    brokerage: 2,
+  },
+  {
+    id: "BK-3003",
+    customer: "BlueWave",
+    vessel: "Nordic Star",
+    vesselId: "VS-1001",
+    status: "pending",
+    startDate: "2030-06-01",
+    endDate: "2030-06-05",
+    brokerage: 1,
+    brokerageSplit: [{ broker: "Anna Georgiou", share: 100 }],
+  },
+  {
+    id: "BK-3004",
+    customer: "Acme Wind",
+    vessel: "Wave Rider",
+    vesselId: "VS-1002",
+    status: "confirmed",
+    startDate: "2030-07-01",
+    endDate: "2030-07-05",
+    brokerage: 1,
+    brokerageSplit: [{ broker: "anna  georgiou", share: 100 }],
+  },
+  {
+    id: "BK-3005",
+    customer: "Acme Wind",
+    vessel: "Nordic Star",
+    vesselId: "VS-1001",
+    status: "confirmed",
+    startDate: "2031-01-10",
+    endDate: "2031-01-12",
+    brokerage: 1,
+    brokerageSplit: [{ broker: "Anna Georgiou", share: 100 }],
+  },
+];
+
+describe("commissionUtils", () => {
+  test("works out address commission and each broker's share of the brokerage", () => {
+    expect(calculateCommission(bookings[0], vessels[0].rateCard)).toEqual({
+      netValue: 10000,
+      addressCommissionPercent: 3.75,
+      addressCommissionAmount: 375,
+      brokeragePercent: 1.25,
+      brokerageAmount: 125,
+      shares: [
+        { broker: "Anna Georgiou", share: 60, amount: 75 },
+        { broker: "Seaways Chartering", share: 40, amount: 50 },
+      ],
+      currency: "EUR",
+    });
+  });
+
+  test("credits unsplit brokerage to the house and leaves unvalued amounts empty", () => {
+    expect(calculateCommission(bookings[1], null).shares).toEqual([
+      { broker: HOUSE_BROKER, share: 100, amount: 400 },
+    ]);
+
+    const unvalued = calculateCommission(bookings[3], null);
+    expect(unvalued.brokerageAmount).toBeNull();
+    expect(unvalued.shares[0].amount).toBeNull();
+  });
+
+  test("converts and describes brokerage splits", () => {
+    expect(
+      toBookingCommissionData({
+        addressCommission: "",
+        brokerage: "1.25",
+        brokerageSplit: [{ broker: " Anna  Georgiou ", share: "100" }],
+      })
+    ).toEqual({
+      addressCommission: null,
+      brokerage: 1.25,
+      brokerageSplit: [{ broker: "Anna Georgiou", share: 100 }],
+    });
+    expect(formatBrokerageSplit(split)).toBe(
+      "Anna Georgiou 60%, Seaways Chartering 40%"
+    );
+    expect(getBrokerNames(bookings)).toEqual([
+      "Anna Georgiou",
+      HOUSE_BROKER,
+      "Seaways Chartering",
+    ]);
+  });
+
+  test("validates commission percentages and brokerage splits", () => {
+    const valid = {
+      customer: "Acme Wind",
+      vessel: "Nordic Star",
+      startDate: "2030-03-01",
+      endDate: "2030-03-11",
+    };
+    const errorsFor = (fields) =>
+      validateBookingForm({ ...valid, ...fields }).errors;
+
+    expect(errorsFor({ addressCommission: "120", brokerage: "-1" })).toEqual({
+      addressCommission: "Address commission must be between 0 and 100%",
+      brokerage: "Brokerage must be between 0 and 100%",
+    });
+    expect(
+      errorsFor({ brokerageSplit: [{ broker: " ", share: "100" }] })
+        .brokerageSplit
+    ).toBe("Every brokerage share needs a broker");
+    expect(
+      errorsFor({
+        brokerageSplit: [
+          { broker: "Anna Georgiou", share: "50" },
+          { broker: "anna georgiou", share: "50" },
+        ],
+      }).brokerageSplit
+    ).toBe("Each broker can only be listed once");
+    expect(
+      errorsFor({
+        brokerageSplit: [
+          { broker: "Anna Georgiou", share: "100" },
+          { broker: "Seaways Chartering", share: "0" },
+        ],
+      }).brokerageSplit
+    ).toBe("Every brokerage share must be above 0%");
+    expect(
+      errorsFor({ brokerageSplit: [{ broker: "Anna Georgiou", share: "90" }] })
+        .brokerageSplit
+    ).toBe("Brokerage shares must add up to 100%");
+    expect(errorsFor({ brokerage: "1.25", brokerageSplit: split })).toEqual({});
+  });
+
+  test("compares brokerage splits by value when merging and diffing", () => {
+    const base = { brokerage: 1.25, brokerageSplit: split };
+    const { merged, conflicts } = mergeBookingChanges(
+      base,
+      { ...base, brokerageSplit: split.map((row) => ({ ...row })) },
+      { ...base, brokerage: 1.5 },
+      ["brokerage", "brokerageSplit"]
+    );
+
+    expect(merged).toEqual({ brokerage: 1.5, brokerageSplit: split });
+    expect(conflicts).toEqual([]);
+    expect(
+      diffBookings(
+        { id: "BK-3001", brokerageSplit: split },
+        { id: "BK-3001", brokerageSplit: [...split] }
+      )
+    ).toEqual([]);
+    expect(diffBookings({ id: "BK-3001" }, { brokerageSplit: [] })).toEqual([]);
+  });
+
+  test("builds a broker's statement for a period from confirmed bookings", () => {
+    const statement = buildCommissionStatement(bookings, vessels, {
+      broker: "Anna Georgiou",
+      from: "2030-01-01",
+      to: "2030-12-31",
+    });
+
+    expect(statement.rows).toEqual([
+      {
+        bookingId: "BK-3001",
+        customer: "Acme Wind",
+        vessel: "Nordic Star",
+        startDate: "2030-03-01",
+        endDate: "2030-03-11",
+        netValue: 10000,
+        brokeragePercent: 1.25,
+        share: 60,
+        amount: 75,
+        currency: "EUR",
+        reportingAmount: 75,
+      },
+    ]);
+    expect(statement.total).toBe(75);
+    expect(statement.unvalued).toEqual(["BK-3004"]);
+  });
+
+  test("converts the statement to the reporting currency at each start date", () => {
+    const usdBooking = {
+      ...bookings[1],
+      id: "BK-3006",
+      startDate: "2030-08-01",
+      endDate: "2030-08-03",
+      valueOverride: 12000,
+      currency: "USD",
+      brokerage: 1,
+    };
+    const statement = buildCommissionStatement(
+      [bookings[1], usdBooking],
+      vessels,
+      {
+        broker: HOUSE_BROKER,
+        from: "2030-01-01",
+        to: "2030-12-31",
+        currency: "USD",
+        rates: fxRates,
+      }
+    );
+
+    expect(
+      statement.rows.map(({ bookingId, amount, currency, reportingAmount }) => [
+        bookingId,
+        amount,
+        currency,
+        reportingAmount,
+      ])
+    ).toEqual([
+      ["BK-3002", 400, "EUR", null],
+      ["BK-3006", 120, "USD", 120],
+    ]);
+    expect(statement.total).toBe(120);
+    expect(statement.unconverted).toEqual(["BK-3002"]);
+  });
+
+  test("writes the statement as CSV with a total row", () => {
+    const statement = buildCommissionStatement(bookings, vessels, {
+      broker: "Anna Georgiou",
+      from: "2030-01-01",
+      to: "2030-12-31",
+    });
+    const greek = buildCommissionStatementFile(statement, EXCEL_LOCALES.el);
+    const english = buildCommissionStatementFile(statement, EXCEL_LOCALES.en);
+
+    expect(greek.fileName).toBe(
+      "commission-anna-georgiou-2030-01-01-2030-12-31.csv"
+    );
+    expect(greek.content.slice(1).split("\r\n")).toEqual([
+      "Booking ID;Customer;Vessel;Start Date;End Date;Net Value;Brokerage %;Share %;Commission;Currency;Commission (EUR)",
+      "BK-3001;Acme Wind;Nordic Star;01/03/2030;11/03/2030;10000;1,25;60;75;EUR;75",
+      "Total;;;;;;;;;;75",
+    ]);
+    expect(english.content.split("\r\n")[1]).toBe(
+      "BK-3001,Acme Wind,Nordic Star,03/01/2030,03/11/2030,10000,1.25,60,75,EUR,75"
+    );
+  });
+});
+
+describe("CommissionStatementPanel", () => {
+  const mockOnClose = jest.fn();
+  const mockLoadAllBookings = jest.fn();
+  let exportedBlobs;
+
+  const renderPanel = (props = {}) =>
+    renderWithTheme(
+      <CommissionStatementPanel
+        isOpen={true}
+        onClose={mockOnClose}
+        loadAllBookings={mockLoadAllBookings}
+        vessels={vessels}
+        {...props}
+      />
+    );
+
+  const choosePeriod = (from, to) => {
+    fireEvent.change(screen.getByLabelText("From"), {
+      target: { value: from },
+    });
+    fireEvent.change(screen.getByLabelText("To"), { target: { value: to } });
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    exportedBlobs = [];
+    URL.createObjectURL = jest.fn((blob) => {
+      exportedBlobs.push(blob);
+      return "blob:statement";
+    });
+    URL.revokeObjectURL = jest.fn();
+    // jsdom cannot follow the download link
+    jest
+      .spyOn(HTMLAnchorElement.prototype, "click")
+      .mockImplementation(() => {});
+    mockLoadAllBookings.mockResolvedValue({ success: true, bookings });
+  });
+
+  test("lists every broker credited with brokerage", async () => {
+    renderPanel();
+
+    const select = await screen.findByLabelText("Broker");
+    expect([...select.options].map((option) => option.textContent)).toEqual([
+      "Choose a broker",
+      "Anna Georgiou",
+      HOUSE_BROKER,
+      "Seaways Chartering",
+    ]);
+    expect(
+      screen.getByText("Choose a broker to see their statement.")
+    ).toBeInTheDocument();
+    expect(screen.getByRole("button", { name: /Download CSV/ })).toBeDisabled();
+  });
+
+  test("shows the broker's commission for the period with a total", async () => {
+    renderPanel();
+
+    fireEvent.change(await screen.findByLabelText("Broker"), {
+      target: { value: "Seaways Chartering" },
+    });
+    choosePeriod("2030-01-01", "2030-12-31");
+
+    expect(screen.getByText("BK-3001")).toBeInTheDocument();
+    expect(screen.getByText("10.000,00 €")).toBeInTheDocument();
+    expect(screen.getByText("40%")).toBeInTheDocument();
+    expect(screen.getAllByText("50,00 €")).toHaveLength(3);
+    expect(screen.getByText("Total")).toBeInTheDocument();
+
+    choosePeriod("2030-04-01", "2030-12-31");
+    expect(
+      screen.getByText(
+        "No commission for Seaways Chartering on confirmed bookings starting in this period."
+      )
+    ).toBeInTheDocument();
+  });
+
+  test("notes bookings left out for having no value", async () => {
+    renderPanel();
+
+    fireEvent.change(await screen.findByLabelText("Broker"), {
+      target: { value: "Anna Georgiou" },
+    });
+    choosePeriod("2030-01-01", "2030-12-31");
+
+    expect(
+      screen.getByText(
+        "Left out because they have no charter value yet: BK-3004"
+      )
+    ).toBeInTheDocument();
+  });
+
+  test("totals the statement in the chosen reporting currency", async () => {
+    renderPanel({ fxRates });
+
+    fireEvent.change(await screen.findByLabelText("Broker"), {
+      target: { value: "Anna Georgiou" },
+    });
+    choosePeriod("2030-01-01", "2031-12-31");
+    fireEvent.change(screen.getByLabelText("Currency"), {
+      target: { value: "USD" },
+    });
+
+    expect(screen.getByText("In USD")).toBeInTheDocument();
+    // BK-3005's 20,00 € at 1.2, in its row and as the total
+    expect(screen.getAllByText(/^24,00\s\$$/)).toHaveLength(2);
+    expect(
+      screen.getByText(
+        "Left out of the total because no exchange rate to USD applied on their start date: BK-3001"
+      )
+    ).toBeInTheDocument();
+  });
+
+  test("rejects a period that ends before it starts", async () => {
+    renderPanel();
+
+    fireEvent.change(await screen.findByLabelText("Broker"), {
+      target: { value: "Anna Georgiou" },
+    });
+    choosePeriod("2030-12-31", "2030-01-01");
+
+    expect(screen.getByRole("alert")).toHaveTextContent(
+      "The period must end on or after the day it starts."
+    );
+  });
+
+  test("downloads the statement as Greek Excel CSV", async () => {
+    renderPanel();
+
+    fireEvent.change(await screen.findByLabelText("Broker"), {
+      target: { value: HOUSE_BROKER },
+    });
+    choosePeriod("2030-01-01", "2030-12-31");
+    fireEvent.click(screen.getByRole("button", { name: /Download CSV/ }));
+
+    expect(HTMLAnchorElement.prototype.click.mock.instances[0].download).toBe(
+      "commission-brs-brokers-2030-01-01-2030-12-31.csv"
+    );
+    const content = await new Promise((resolve) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.readAsText(exportedBlobs[0]);
+    });
+    expect(content.split("\r\n").slice(1)).toEqual([
+      "BK-3002;BlueWave;Nordic Star;01/05/2030;05/05/2030;20000;2;100;400;EUR;400",
+      "Total;;;;;;;;;;400",
+    ]);
+    expect(
+      await screen.findByText(
+        `Downloaded commission statement for ${HOUSE_BROKER}`
+      )
+    ).toBeInTheDocument();
+  });
+
+  test("reports bookings that cannot be loaded", async () => {
+    mockLoadAllBookings.mockResolvedValue({
+      success: false,
+      error: "Network error",
+    });
+    renderPanel();
+
+    expect(await screen.findByRole("alert")).toHaveTextContent(
+      "Could not load bookings: Network error"
+    );
+  });
+
+  test("closes with Escape", async () => {
+    renderPanel();
+    await screen.findByLabelText("Broker");
+
+    fireEvent.keyDown(document, { key: "Escape" });
+    expect(mockOnClose).toHaveBeenCalled();
+  });
+});
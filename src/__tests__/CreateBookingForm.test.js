@@ -1,5 +1,11 @@
 import React from "react";
-import { render, screen, waitFor, fireEvent } from "@testing-library/react";
+import {
+  render,
+  screen,
+  waitFor,
+  fireEvent,
+  within,
+} from "@testing-library/react";
 import "@testing-library/jest-dom";
 import CreateBookingForm from "../components/CreateBookingForm/CreateBookingForm";
 import { ThemeProvider } from "../contexts/ThemeContext";
@@ -174,10 +180,10 @@ describe("CreateBookingForm", () => {
         target: { value: "confirmed" },
       });
       fireEvent.change(screen.getByLabelText(/start date/i), {
-        target: { value: "2026-02-10" },
+        target: { value: "2030-02-10" },
       });
       fireEvent.change(screen.getByLabelText(/end date/i), {
-        target: { value: "2026-02-15" },
+        target: { value: "2030-02-15" },
       });
 
       const submitButton = screen.getByText("Create Booking");
@@ -188,8 +194,19 @@ describe("CreateBookingForm", () => {
           customer: "Test Customer",
           vessel: "Test Vessel",
           status: "confirmed",
-          startDate: "2026-02-10",
-          endDate: "2026-02-15",
+          startDate: "2030-02-10",
+          endDate: "2030-02-15",
+          valueOverride: null,
+          discountPercent: null,
+          currency: "EUR",
+          rateCard: null,
+          addressCommission: null,
+          brokerage: null,
+          brokerageSplit: [],
+          legs: [],
+          laycanStart: null,
+          laycanEnd: null,
+          laycanHistory: [],
         });
       });
 
@@ -222,10 +239,10 @@ describe("CreateBookingForm", () => {
         target: { value: "Test Vessel" },
       });
       fireEvent.change(screen.getByLabelText(/start date/i), {
-        target: { value: "2026-02-10" },
+        target: { value: "2030-02-10" },
       });
       fireEvent.change(screen.getByLabelText(/end date/i), {
-        target: { value: "2026-02-15" },
+        target: { value: "2030-02-15" },
       });
 
       const submitButton = screen.getByText("Create Booking");
@@ -237,6 +254,827 @@ describe("CreateBookingForm", () => {
     });
   });
 
+  describe("Vessel Conflicts", () => {
+    const fillForm = () => {
+      fireEvent.change(screen.getByLabelText(/customer name/i), {
+        target: { value: "Test Customer" },
+      });
+      fireEvent.change(screen.getByLabelText(/vessel name/i), {
+        target: { value: "Nordic Star" },
+      });
+      fireEvent.change(screen.getByLabelText(/start date/i), {
+        target: { value: "2030-02-10" },
+      });
+      fireEvent.change(screen.getByLabelText(/end date/i), {
+        target: { value: "2030-02-15" },
+      });
+    };
+
+    test("shows a blocking conflict inline and does not submit", async () => {
+      const checkConflicts = jest.fn(() => ({
+        blocking: [{ id: "BK-1001" }],
+        warnings: [],
+      }));
+
+      renderWithTheme(
+        <CreateBookingForm
+          isOpen={true}
+          onClose={mockOnClose}
+          onSubmit={mockOnSubmit}
+          checkConflicts={checkConflicts}
+        />
+      );
+
+      fillForm();
+
+      expect(
+        screen.getByText(/Nordic Star is already booked for these dates/)
+      ).toHaveTextContent("BK-1001");
+
+      fireEvent.click(screen.getByText("Create Booking"));
+      expect(mockOnSubmit).not.toHaveBeenCalled();
+    });
+
+    test("shows pending overlaps as a non-blocking warning", async () => {
+      mockOnSubmit.mockResolvedValue({ success: true });
+      const checkConflicts = jest.fn(() => ({
+        blocking: [],
+        warnings: [{ id: "BK-1002" }],
+      }));
+
+      renderWithTheme(
+        <CreateBookingForm
+          isOpen={true}
+          onClose={mockOnClose}
+          onSubmit={mockOnSubmit}
+          checkConflicts={checkConflicts}
+        />
+      );
+
+      fillForm();
+
+      expect(screen.getByRole("status")).toHaveTextContent(
+        "Overlaps pending booking BK-1002 for this vessel"
+      );
+
+      fireEvent.click(screen.getByText("Create Booking"));
+      await waitFor(() => {
+        expect(mockOnSubmit).toHaveBeenCalled();
+      });
+    });
+
+    test("shows a conflict reported by the service inline", async () => {
+      mockOnSubmit.mockResolvedValue({
+        success: false,
+        error: "Nordic Star is already booked for these dates (BK-1009)",
+        conflictingIds: ["BK-1009"],
+      });
+
+      renderWithTheme(
+        <CreateBookingForm
+          isOpen={true}
+          onClose={mockOnClose}
+          onSubmit={mockOnSubmit}
+        />
+      );
+
+      fillForm();
+      fireEvent.click(screen.getByText("Create Booking"));
+
+      await waitFor(() => {
+        expect(
+          screen.getByText(/Nordic Star is already booked for these dates/)
+        ).toHaveTextContent("BK-1009");
+      });
+
+      // Changing the dates clears the stale conflict
+      fireEvent.change(screen.getByLabelText(/end date/i), {
+        target: { value: "2030-02-12" },
+      });
+      expect(
+        screen.queryByText(/is already booked for these dates/)
+      ).not.toBeInTheDocument();
+    });
+  });
+
+  describe("Vessel Picker", () => {
+    const vessels = [
+      {
+        id: "VS-1001",
+        name: "Nordic Star",
+        imoNumber: "9784518",
+        type: "service_operation",
+      },
+      { id: "VS-1002", name: "Sea Finch", imoNumber: "9612038" },
+    ];
+
+    const renderForm = () =>
+      renderWithTheme(
+        <CreateBookingForm
+          isOpen={true}
+          onClose={mockOnClose}
+          onSubmit={mockOnSubmit}
+          vessels={vessels}
+        />
+      );
+
+    const fillOtherFields = () => {
+      fireEvent.change(screen.getByLabelText(/customer name/i), {
+        target: { value: "Test Customer" },
+      });
+      fireEvent.change(screen.getByLabelText(/start date/i), {
+        target: { value: "2030-02-10" },
+      });
+      fireEvent.change(screen.getByLabelText(/end date/i), {
+        target: { value: "2030-02-15" },
+      });
+    };
+
+    test("suggests registered vessels and submits the chosen vessel's ID", async () => {
+      mockOnSubmit.mockResolvedValue({ success: true });
+      renderForm();
+
+      const picker = screen.getByRole("combobox", { name: /vessel name/i });
+      fireEvent.focus(picker);
+      fireEvent.change(picker, { target: { value: "9612" } });
+
+      const options = within(screen.getByRole("listbox")).getAllByRole(
+        "option"
+      );
+      expect(options).toHaveLength(1);
+      expect(options[0]).toHaveTextContent("Sea FinchIMO 9612038");
+
+      fireEvent.keyDown(picker, { key: "ArrowDown" });
+      expect(picker).toHaveAttribute("aria-activedescendant", options[0].id);
+      fireEvent.keyDown(picker, { key: "Enter" });
+      expect(picker).toHaveValue("Sea Finch");
+      expect(screen.queryByRole("listbox")).not.toBeInTheDocument();
+
+      fillOtherFields();
+      fireEvent.click(screen.getByText("Create Booking"));
+
+      await waitFor(() => {
+        expect(mockOnSubmit).toHaveBeenCalledWith({
+          customer: "Test Customer",
+          vessel: "Sea Finch",
+          vesselId: "VS-1002",
+          status: "pending",
+          startDate: "2030-02-10",
+          endDate: "2030-02-15",
+          valueOverride: null,
+          discountPercent: null,
+          currency: "EUR",
+          rateCard: null,
+          addressCommission: null,
+          brokerage: null,
+          brokerageSplit: [],
+          legs: [],
+          laycanStart: null,
+          laycanEnd: null,
+          laycanHistory: [],
+        });
+      });
+    });
+
+    test("links a typed name to its registered vessel", async () => {
+      mockOnSubmit.mockResolvedValue({ success: true });
+      renderForm();
+
+      fireEvent.change(screen.getByLabelText(/vessel name/i), {
+        target: { value: " nordic star" },
+      });
+      fillOtherFields();
+      fireEvent.click(screen.getByText("Create Booking"));
+
+      await waitFor(() => {
+        expect(mockOnSubmit).toHaveBeenCalledWith(
+          expect.objectContaining({
+            vessel: "Nordic Star",
+            vesselId: "VS-1001",
+          })
+        );
+      });
+    });
+
+    test("rejects vessels that are not in the registry", () => {
+      renderForm();
+
+      fireEvent.change(screen.getByLabelText(/vessel name/i), {
+        target: { value: "Unknown Vessel" },
+      });
+      fillOtherFields();
+      fireEvent.click(screen.getByText("Create Booking"));
+
+      expect(
+        screen.getByText("Choose a vessel from the registry")
+      ).toBeInTheDocument();
+      expect(mockOnSubmit).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("Charter Value", () => {
+    const vessels = [
+      {
+        id: "VS-1002",
+        name: "Sea Finch",
+        rateCard: {
+          dailyRate: 3200,
+          minimumDays: 2,
+          seasons: [
+            { name: "Summer", start: "06-01", end: "08-31", dailyRate: 3800 },
+          ],
+        },
+      },
+      { id: "VS-1006", name: "Wave Rider" },
+    ];
+
+    const fillBooking = (vessel) => {
+      fireEvent.change(screen.getByLabelText(/customer name/i), {
+        target: { value: "Test Customer" },
+      });
+      fireEvent.change(screen.getByLabelText(/vessel name/i), {
+        target: { value: vessel },
+      });
+      fireEvent.change(screen.getByLabelText(/start date/i), {
+        target: { value: "2030-05-30" },
+      });
+      fireEvent.change(screen.getByLabelText(/end date/i), {
+        target: { value: "2030-06-02" },
+      });
+    };
+
+    test("values the booking from the vessel's rate card", () => {
+      renderWithTheme(
+        <CreateBookingForm
+          isOpen={true}
+          onClose={mockOnClose}
+          onSubmit={mockOnSubmit}
+          vessels={vessels}
+        />
+      );
+
+      fillBooking("Sea Finch");
+      expect(
+        screen.getByText(/Rate card value: 10\.200,00 € for 3 days/)
+      ).toBeInTheDocument();
+
+      fireEvent.change(screen.getByLabelText(/discount/i), {
+        target: { value: "10" },
+      });
+      expect(screen.getByText(/Net value: 9\.180,00 €/)).toBeInTheDocument();
+
+      fireEvent.change(screen.getByLabelText(/vessel name/i), {
+        target: { value: "Wave Rider" },
+      });
+      expect(
+        screen.getByText("No rate card for this vessel")
+      ).toBeInTheDocument();
+    });
+
+    test("submits the value override and discount as numbers", async () => {
+      mockOnSubmit.mockResolvedValue({ success: true });
+      renderWithTheme(
+        <CreateBookingForm
+          isOpen={true}
+          onClose={mockOnClose}
+          onSubmit={mockOnSubmit}
+          vessels={vessels}
+        />
+      );
+
+      fillBooking("Sea Finch");
+      fireEvent.change(screen.getByLabelText(/value override/i), {
+        target: { value: "12000" },
+      });
+      fireEvent.change(screen.getByLabelText(/discount/i), {
+        target: { value: "5" },
+      });
+      fireEvent.click(screen.getByText("Create Booking"));
+
+      await waitFor(() => {
+        expect(mockOnSubmit).toHaveBeenCalledWith(
+          expect.objectContaining({
+            valueOverride: 12000,
+            discountPercent: 5,
+            rateCard: vessels[0].rateCard,
+          })
+        );
+      });
+    });
+
+    test("prices the booking in the rate card's currency unless overridden", async () => {
+      mockOnSubmit.mockResolvedValue({ success: true });
+      renderWithTheme(
+        <CreateBookingForm
+          isOpen={true}
+          onClose={mockOnClose}
+          onSubmit={mockOnSubmit}
+          vessels={vessels.map((vessel) =>
+            vessel.rateCard
+              ? { ...vessel, rateCard: { ...vessel.rateCard, currency: "USD" } }
+              : vessel
+          )}
+        />
+      );
+
+      fillBooking("Sea Finch");
+      expect(
+        screen.getByText(/Rate card value: 10\.200,00\s\$ for 3 days/)
+      ).toBeInTheDocument();
+      expect(screen.getByLabelText("Currency")).toHaveValue("USD");
+      expect(screen.getByLabelText("Currency")).toBeDisabled();
+
+      fireEvent.change(screen.getByLabelText(/value override/i), {
+        target: { value: "90000" },
+      });
+      fireEvent.change(screen.getByLabelText("Currency"), {
+        target: { value: "NOK" },
+      });
+      expect(
+        screen.getByText(/Net value: 90\.000,00\sNOK/)
+      ).toBeInTheDocument();
+      fireEvent.click(screen.getByText("Create Booking"));
+
+      await waitFor(() => {
+        expect(mockOnSubmit).toHaveBeenCalledWith(
+          expect.objectContaining({ valueOverride: 90000, currency: "NOK" })
+        );
+      });
+    });
+
+    test("rejects discounts above 100%", () => {
+      renderWithTheme(
+        <CreateBookingForm
+          isOpen={true}
+          onClose={mockOnClose}
+          onSubmit={mockOnSubmit}
+          vessels={vessels}
+        />
+      );
+
+      fillBooking("Sea Finch");
+      fireEvent.change(screen.getByLabelText(/discount/i), {
+        target: { value: "120" },
+      });
+      fireEvent.click(screen.getByText("Create Booking"));
+
+      expect(
+        screen.getByText("Discount must be between 0 and 100%")
+      ).toBeInTheDocument();
+      expect(mockOnSubmit).not.toHaveBeenCalled();
+    });
+
+    test("splits the brokerage between brokers and submits the shares", async () => {
+      mockOnSubmit.mockResolvedValue({ success: true });
+      renderWithTheme(
+        <CreateBookingForm
+          isOpen={true}
+          onClose={mockOnClose}
+          onSubmit={mockOnSubmit}
+          vessels={vessels}
+        />
+      );
+
+      fillBooking("Sea Finch");
+      fireEvent.change(screen.getByLabelText(/address commission/i), {
+        target: { value: "2.5" },
+      });
+      fireEvent.change(screen.getByLabelText(/^brokerage/i), {
+        target: { value: "1.25" },
+      });
+      expect(
+        screen.getByText(/Not split; all brokerage goes to BRS Brokers/)
+      ).toBeInTheDocument();
+
+      fireEvent.click(screen.getByText("Add Broker"));
+      fireEvent.click(screen.getByText("Add Broker"));
+      fireEvent.change(screen.getByLabelText("Broker 1"), {
+        target: { value: " Anna  Georgiou " },
+      });
+      fireEvent.change(screen.getByLabelText("Share (%) of broker 1"), {
+        target: { value: "60" },
+      });
+      fireEvent.change(screen.getByLabelText("Broker 2"), {
+        target: { value: "Seaways Chartering" },
+      });
+      fireEvent.change(screen.getByLabelText("Share (%) of broker 2"), {
+        target: { value: "40" },
+      });
+
+      expect(
+        screen.getByText(
+          /Address commission: 255,00 € · Brokerage: 127,50 € \(Anna Georgiou 76,50 €, Seaways Chartering 51,00 €\)/
+        )
+      ).toBeInTheDocument();
+
+      fireEvent.click(screen.getByText("Create Booking"));
+
+      await waitFor(() => {
+        expect(mockOnSubmit).toHaveBeenCalledWith(
+          expect.objectContaining({
+            addressCommission: 2.5,
+            brokerage: 1.25,
+            brokerageSplit: [
+              { broker: "Anna Georgiou", share: 60 },
+              { broker: "Seaways Chartering", share: 40 },
+            ],
+          })
+        );
+      });
+    });
+
+    test("rejects brokerage shares that do not add up to 100%", () => {
+      renderWithTheme(
+        <CreateBookingForm
+          isOpen={true}
+          onClose={mockOnClose}
+          onSubmit={mockOnSubmit}
+          vessels={vessels}
+        />
+      );
+
+      fillBooking("Sea Finch");
+      fireEvent.change(screen.getByLabelText(/^brokerage/i), {
+        target: { value: "1.25" },
+      });
+      fireEvent.click(screen.getByText("Add Broker"));
+      fireEvent.change(screen.getByLabelText("Broker 1"), {
+        target: { value: "Anna Georgiou" },
+      });
+      fireEvent.change(screen.getByLabelText("Share (%) of broker 1"), {
+        target: { value: "50" },
+      });
+      fireEvent.click(screen.getByText("Create Booking"));
+
+      expect(
+        screen.getByText("Brokerage shares must add up to 100%")
+      ).toBeInTheDocument();
+      expect(mockOnSubmit).not.toHaveBeenCalled();
+
+      fireEvent.click(screen.getByLabelText("Remove broker 1"));
+      expect(
+        screen.queryByText("Brokerage shares must add up to 100%")
+      ).not.toBeInTheDocument();
+    });
+  });
+
+  describe("Laycan", () => {
+    const fillBooking = (laycan) => {
+      fireEvent.change(screen.getByLabelText(/customer name/i), {
+        target: { value: "Test Customer" },
+      });
+      fireEvent.change(screen.getByLabelText(/vessel name/i), {
+        target: { value: "Test Vessel" },
+      });
+      fireEvent.change(screen.getByLabelText(/start date/i), {
+        target: { value: "2030-03-05" },
+      });
+      fireEvent.change(screen.getByLabelText(/end date/i), {
+        target: { value: "2030-03-20" },
+      });
+      fireEvent.change(screen.getByLabelText("Laydays"), {
+        target: { value: laycan.start },
+      });
+      fireEvent.change(screen.getByLabelText("Cancelling"), {
+        target: { value: laycan.end },
+      });
+    };
+
+    const renderForm = (editingBooking) =>
+      renderWithTheme(
+        <CreateBookingForm
+          isOpen={true}
+          onClose={mockOnClose}
+          onSubmit={mockOnSubmit}
+          editingBooking={editingBooking}
+        />
+      );
+
+    test("requires both dates and a laycan around the start date", () => {
+      renderForm();
+
+      fillBooking({ start: "2030-03-01", end: "" });
+      fireEvent.click(screen.getByText("Create Booking"));
+      expect(
+        screen.getByText("Cancelling date is required with laydays")
+      ).toBeInTheDocument();
+
+      fireEvent.change(screen.getByLabelText("Cancelling"), {
+        target: { value: "2030-03-04" },
+      });
+      fireEvent.click(screen.getByText("Create Booking"));
+      expect(
+        screen.getByText("Start date must fall within the laycan")
+      ).toBeInTheDocument();
+
+      fireEvent.change(screen.getByLabelText("Laydays"), {
+        target: { value: "2030-03-06" },
+      });
+      fireEvent.click(screen.getByText("Create Booking"));
+      expect(
+        screen.getByText("Cancelling date cannot be before laydays")
+      ).toBeInTheDocument();
+      expect(mockOnSubmit).not.toHaveBeenCalled();
+    });
+
+    test("keeps the earlier window when the laycan is narrowed", async () => {
+      mockOnSubmit.mockResolvedValue({ success: true });
+      renderForm({
+        id: "BK-1001",
+        customer: "Acme Wind",
+        vessel: "Nordic Star",
+        status: "pending",
+        startDate: "2030-03-05",
+        endDate: "2030-03-20",
+        laycanStart: "2030-03-01",
+        laycanEnd: "2030-03-10",
+        version: 1,
+      });
+
+      expect(screen.getByLabelText("Laydays")).toHaveValue("2030-03-01");
+      fillBooking({ start: "2030-03-04", end: "2030-03-06" });
+      fireEvent.click(screen.getByText("Update Booking"));
+
+      await waitFor(() => {
+        expect(mockOnSubmit).toHaveBeenCalledWith(
+          expect.objectContaining({
+            laycanStart: "2030-03-04",
+            laycanEnd: "2030-03-06",
+            laycanHistory: [{ start: "2030-03-01", end: "2030-03-10" }],
+          }),
+          { expectedVersion: 1 }
+        );
+      });
+    });
+  });
+
+  describe("Voyage Legs", () => {
+    const fillBooking = () => {
+      fireEvent.change(screen.getByLabelText(/customer name/i), {
+        target: { value: "Test Customer" },
+      });
+      fireEvent.change(screen.getByLabelText(/vessel name/i), {
+        target: { value: "Test Vessel" },
+      });
+      fireEvent.change(screen.getByLabelText(/start date/i), {
+        target: { value: "2030-03-01" },
+      });
+      fireEvent.change(screen.getByLabelText(/end date/i), {
+        target: { value: "2030-03-10" },
+      });
+    };
+
+    const setLeg = (index, values) =>
+      Object.entries(values).forEach(([label, value]) =>
+        fireEvent.change(screen.getByLabelText(`${label} of leg ${index}`), {
+          target: { value },
+        })
+      );
+
+    test("submits legs in order, each starting where the last one ended", async () => {
+      mockOnSubmit.mockResolvedValue({ success: true });
+      renderWithTheme(
+        <CreateBookingForm
+          isOpen={true}
+          onClose={mockOnClose}
+          onSubmit={mockOnSubmit}
+        />
+      );
+
+      fillBooking();
+      fireEvent.click(screen.getByText("Add Leg"));
+      setLeg(1, {
+        "Load port": "NLRTM",
+        "Load ETA": "2030-03-02T08:00",
+        "Discharge port": "NOSVG",
+        "Discharge ETA": "2030-03-04T14:00",
+      });
+      fireEvent.click(screen.getByText("Add Leg"));
+      expect(screen.getByLabelText("Load port of leg 2")).toHaveValue("NOSVG");
+      setLeg(2, {
+        "Load ETA": "2030-03-06T06:00",
+        "Discharge port": "GBABD",
+        "Discharge ETA": "2030-03-07T18:30",
+      });
+      fireEvent.click(screen.getByText("Create Booking"));
+
+      await waitFor(() => {
+        expect(mockOnSubmit).toHaveBeenCalledWith(
+          expect.objectContaining({
+            legs: [
+              {
+                loadPort: "NLRTM",
+                loadEta: "2030-03-02T08:00",
+                dischargePort: "NOSVG",
+                dischargeEta: "2030-03-04T14:00",
+              },
+              {
+                loadPort: "NOSVG",
+                loadEta: "2030-03-06T06:00",
+                dischargePort: "GBABD",
+                dischargeEta: "2030-03-07T18:30",
+              },
+            ],
+          })
+        );
+      });
+    });
+
+    test("rejects port calls outside the charter period", () => {
+      renderWithTheme(
+        <CreateBookingForm
+          isOpen={true}
+          onClose={mockOnClose}
+          onSubmit={mockOnSubmit}
+        />
+      );
+
+      fillBooking();
+      fireEvent.click(screen.getByText("Add Leg"));
+      setLeg(1, {
+        "Load port": "GRPIR",
+        "Load ETA": "2030-03-09T08:00",
+        "Discharge port": "GRSKG",
+        "Discharge ETA": "2030-03-11T08:00",
+      });
+      fireEvent.click(screen.getByText("Create Booking"));
+
+      expect(
+        screen.getByText("Port calls must fall within the charter period")
+      ).toBeInTheDocument();
+      expect(mockOnSubmit).not.toHaveBeenCalled();
+
+      fireEvent.click(screen.getByLabelText("Remove leg 1"));
+      expect(
+        screen.queryByText("Port calls must fall within the charter period")
+      ).not.toBeInTheDocument();
+    });
+  });
+
+  describe("Customer Picker", () => {
+    const customers = [
+      {
+        id: "CU-1001",
+        name: "Acme Wind",
+        legalName: "Acme Wind Energy Ltd",
+        aliases: ["Acme"],
+      },
+    ];
+
+    const renderForm = () =>
+      renderWithTheme(
+        <CreateBookingForm
+          isOpen={true}
+          onClose={mockOnClose}
+          onSubmit={mockOnSubmit}
+          customers={customers}
+        />
+      );
+
+    const fillOtherFields = () => {
+      fireEvent.change(screen.getByLabelText(/vessel name/i), {
+        target: { value: "Nordic Star" },
+      });
+      fireEvent.change(screen.getByLabelText(/start date/i), {
+        target: { value: "2030-02-10" },
+      });
+      fireEvent.change(screen.getByLabelText(/end date/i), {
+        target: { value: "2030-02-15" },
+      });
+    };
+
+    test("saves bookings under the customer's name when an alias is typed", async () => {
+      mockOnSubmit.mockResolvedValue({ success: true });
+      renderForm();
+
+      const picker = screen.getByRole("combobox", { name: /customer name/i });
+      fireEvent.focus(picker);
+      fireEvent.change(picker, { target: { value: "energy" } });
+      expect(
+        within(screen.getByRole("listbox")).getByRole("option")
+      ).toHaveTextContent("Acme WindAcme Wind Energy Ltd");
+
+      fireEvent.change(picker, { target: { value: "acme " } });
+      fillOtherFields();
+      fireEvent.click(screen.getByText("Create Booking"));
+
+      await waitFor(() => {
+        expect(mockOnSubmit).toHaveBeenCalledWith(
+          expect.objectContaining({
+            customer: "Acme Wind",
+            customerId: "CU-1001",
+          })
+        );
+      });
+    });
+
+    test("rejects customers that are not in the directory", () => {
+      renderForm();
+
+      fireEvent.change(screen.getByLabelText(/customer name/i), {
+        target: { value: "Unknown Ltd" },
+      });
+      fillOtherFields();
+      fireEvent.click(screen.getByText("Create Booking"));
+
+      expect(
+        screen.getByText("Choose a customer from the directory")
+      ).toBeInTheDocument();
+      expect(mockOnSubmit).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("Version Conflicts", () => {
+    const editingBooking = {
+      id: "BK-1001",
+      customer: "Acme Wind",
+      vessel: "Nordic Star",
+      status: "pending",
+      startDate: "2030-02-10",
+      endDate: "2030-02-15",
+      version: 1,
+    };
+    const theirs = { ...editingBooking, customer: "BlueWave", version: 2 };
+
+    const submitIntoConflict = async () => {
+      mockOnSubmit.mockResolvedValueOnce({
+        success: false,
+        error: "Booking BK-1001 was changed by someone else.",
+        versionConflict: { current: theirs },
+      });
+
+      renderWithTheme(
+        <CreateBookingForm
+          isOpen={true}
+          onClose={mockOnClose}
+          onSubmit={mockOnSubmit}
+          editingBooking={editingBooking}
+        />
+      );
+
+      fireEvent.change(screen.getByLabelText(/vessel name/i), {
+        target: { value: "Aurora" },
+      });
+      fireEvent.click(screen.getByText("Update Booking"));
+
+      await waitFor(() => {
+        expect(
+          screen.getByText("This booking was changed by someone else")
+        ).toBeInTheDocument();
+      });
+      expect(mockOnSubmit).toHaveBeenCalledWith(
+        expect.objectContaining({ vessel: "Aurora" }),
+        { expectedVersion: 1 }
+      );
+    };
+
+    test("keeps my edits and resubmits against the latest version", async () => {
+      await submitIntoConflict();
+      mockOnSubmit.mockResolvedValueOnce({ success: true });
+
+      fireEvent.click(screen.getByText("Keep mine"));
+
+      await waitFor(() => {
+        expect(mockOnSubmit).toHaveBeenLastCalledWith(
+          expect.objectContaining({ customer: "Acme Wind", vessel: "Aurora" }),
+          { expectedVersion: 2 }
+        );
+      });
+    });
+
+    test("uses their version of the booking", async () => {
+      await submitIntoConflict();
+
+      fireEvent.click(screen.getByText("Use theirs"));
+
+      expect(screen.getByLabelText(/customer name/i)).toHaveValue("BlueWave");
+      expect(screen.getByLabelText(/vessel name/i)).toHaveValue("Nordic Star");
+      expect(mockOnSubmit).toHaveBeenCalledTimes(1);
+    });
+
+    test("merges their changes with mine for review", async () => {
+      await submitIntoConflict();
+
+      fireEvent.click(screen.getByText("Merge"));
+
+      expect(screen.getByLabelText(/customer name/i)).toHaveValue("BlueWave");
+      expect(screen.getByLabelText(/vessel name/i)).toHaveValue("Aurora");
+      expect(
+        screen.getByText("Changes merged. Review and save.")
+      ).toBeInTheDocument();
+
+      mockOnSubmit.mockResolvedValueOnce({ success: true });
+      fireEvent.click(screen.getByText("Update Booking"));
+
+      await waitFor(() => {
+        expect(mockOnSubmit).toHaveBeenLastCalledWith(
+          expect.objectContaining({ customer: "BlueWave", vessel: "Aurora" }),
+          { expectedVersion: 2 }
+        );
+      });
+    });
+  });
+
   describe("Modal Behavior", () => {
     test("closes modal when close button is clicked", async () => {
       renderWithTheme(
@@ -0,0 +1,382 @@
+import React from "react";
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import "@testing-library/jest-dom";
+import CustomersPage from "../components/CustomersPage/CustomersPage";
+import { ThemeProvider } from "../contexts/ThemeContext";
+import { ToastProvider } from "../contexts/ToastContext";
+import { bookingService, setBookingAdapter } from "../services/bookingService";
+import { createMemoryAdapter } from "../services/adapters";
+import { createMemoryRegistry } from "../services/adapters/createRegistryAdapter";
+import { RegistryRecordInUseError } from "../services/bookingErrors";
+import {
+  CUSTOMER_REGISTRY_OPTIONS,
+  customerService,
+  migrateBookingCustomers,
+  setCustomerAdapter,
+} from "../services/customerService";
+import {
+  findCustomerByName,
+  searchCustomers,
+  summarizeCustomerBookings,
+  toCustomerData,
+  validateCustomerForm,
+} from "../utils/customerUtils";
+
+// Helper function to render components with ThemeProvider and ToastProvider
+const renderWithTheme = (component) => {
+  return render(
+    <ThemeProvider>
+      <ToastProvider>{component}</ToastProvider>
+    </ThemeProvider>
+  );
+};
+
+const customers = [
+  {
+    id: "CU-1001",
+    name: "Acme Wind",
+    legalName: "Acme Wind Energy Ltd",
+    aliases: ["Acme"],
+    contacts: [
+      {
+        name: "Sarah Collins",
+        role: "Chartering manager",
+        email: "s.collins@acmewind.example",
+        phone: "+44 20 7946 0123",
+      },
+    ],
+    billingAddress: {
+      street: "12 Harbour Road",
+      city: "Aberdeen",
+      postalCode: "AB11 5BB",
+      country: "United Kingdom",
+    },
+    notes: "",
+  },
+  {
+    id: "CU-1002",
+    name: "BlueWave",
+    legalName: "BlueWave Offshore B.V.",
+    aliases: ["Blue Wave"],
+    contacts: [],
+    billingAddress: { city: "Rotterdam", country: "Netherlands" },
+    notes: "",
+  },
+];
+
+const bookings = [
+  {
+    id: "BK-2001",
+    customer: "Acme Wind",
+    customerId: "CU-1001",
+    vessel: "Nordic Star",
+    status: "confirmed",
+    startDate: "2030-01-10",
+    endDate: "2030-01-22",
+  },
+  {
+    id: "BK-2002",
+    customer: "Acme Wind",
+    customerId: "CU-1001",
+    vessel: "Sea Finch",
+    status: "pending",
+    startDate: "2030-02-01",
+    endDate: "2030-02-03",
+  },
+  {
+    id: "BK-2003",
+    customer: "blue wave ",
+    vessel: "Asteria",
+    status: "cancelled",
+    startDate: "2030-03-01",
+    endDate: "2030-03-05",
+  },
+  {
+    id: "BK-2004",
+    customer: "Oceanix",
+    vessel: "Asteria",
+    status: "pending",
+    startDate: "2030-04-01",
+    endDate: "2030-04-05",
+  },
+];
+
+beforeEach(() => {
+  setCustomerAdapter(
+    createMemoryRegistry(customers, CUSTOMER_REGISTRY_OPTIONS)
+  );
+  setBookingAdapter(createMemoryAdapter(bookings));
+});
+
+describe("customerUtils", () => {
+  test("finds customers by trading name, legal name or alias", () => {
+    expect(findCustomerByName(customers, " acme ")?.id).toBe("CU-1001");
+    expect(findCustomerByName(customers, "ACME WIND ENERGY LTD")?.id).toBe(
+      "CU-1001"
+    );
+    expect(findCustomerByName(customers, "blue  wave")?.id).toBe("CU-1002");
+    expect(findCustomerByName(customers, "Oceanix")).toBeUndefined();
+  });
+
+  test("validates required names, contacts and names used elsewhere", () => {
+    expect(
+      validateCustomerForm({
+        name: "",
+        legalName: " ",
+        contacts: [{ name: "Ann", email: "ann@" }],
+      }).errors
+    ).toEqual({
+      name: "Customer name is required",
+      legalName: "Legal name is required",
+      contacts: "Contact 1 has an invalid email address",
+    });
+    expect(
+      validateCustomerForm(
+        {
+          name: "Acme",
+          legalName: "Oceanix S.A.",
+          aliases: "Oceanix, bluewave",
+          contacts: [{ name: "" }],
+        },
+        customers
+      ).errors
+    ).toEqual({
+      name: "Acme is already a name of Acme Wind",
+      aliases: "bluewave is already a name of BlueWave",
+      contacts: "Contact 1 needs a name",
+    });
+    // A customer never clashes with itself
+    expect(
+      validateCustomerForm(customers[0], customers, "CU-1001").isValid
+    ).toBe(true);
+  });
+
+  test("searches names first, then aliases and contacts", () => {
+    expect(searchCustomers(customers, "wave").map((c) => c.id)).toEqual([
+      "CU-1002",
+    ]);
+    expect(searchCustomers(customers, "collins").map((c) => c.id)).toEqual([
+      "CU-1001",
+    ]);
+    expect(searchCustomers(customers, "").map((c) => c.name)).toEqual([
+      "Acme Wind",
+      "BlueWave",
+    ]);
+  });
+
+  test("converts form values to stored customer data", () => {
+    expect(
+      toCustomerData({
+        name: " Oceanix ",
+        legalName: "Oceanix  Maritime S.A.",
+        aliases: "Oceanix SA, ,Ocnx ",
+        contacts: [{ name: " Eleni ", email: "e@oceanix.example" }],
+        billingAddress: { city: " Piraeus " },
+        notes: " Net 30 ",
+      })
+    ).toEqual({
+      name: "Oceanix",
+      legalName: "Oceanix Maritime S.A.",
+      aliases: ["Oceanix SA", "Ocnx"],
+      contacts: [
+        { name: "Eleni", role: "", email: "e@oceanix.example", phone: "" },
+      ],
+      billingAddress: {
+        street: "",
+        city: "Piraeus",
+        postalCode: "",
+        country: "",
+      },
+      notes: "Net 30",
+    });
+  });
+
+  test("totals bookings by status and chartered days", () => {
+    expect(summarizeCustomerBookings(bookings)).toEqual({
+      count: 4,
+      confirmed: 1,
+      pending: 2,
+      cancelled: 1,
+      confirmedDays: 12,
+      pendingDays: 6,
+    });
+  });
+});
+
+describe("customerService", () => {
+  test("adds customers with IDs and rejects clashing names", async () => {
+    const customer = await customerService.createCustomer({
+      name: "Oceanix",
+      legalName: "Oceanix Maritime S.A.",
+    });
+
+    expect(customer).toMatchObject({ id: "CU-1003", version: 1 });
+    await expect(
+      customerService.createCustomer({
+        name: "Blue Wave",
+        legalName: "Blue Wave Ltd",
+      })
+    ).rejects.toMatchObject({
+      code: "VALIDATION_FAILED",
+      fieldErrors: { name: "Blue Wave is already a name of BlueWave" },
+    });
+  });
+
+  test("lists a customer's bookings and copies renames onto them", async () => {
+    await customerService.updateCustomer("CU-1001", { name: "Acme Offshore" });
+
+    const linked = await customerService.getCustomerBookings("CU-1001");
+    expect(linked.map((booking) => booking.id)).toEqual(["BK-2001", "BK-2002"]);
+    expect(linked[0]).toMatchObject({ customer: "Acme Offshore", version: 2 });
+  });
+
+  test("refuses to delete customers used by bookings", async () => {
+    await expect(customerService.deleteCustomer("CU-1001")).rejects.toEqual(
+      new RegistryRecordInUseError("Acme Wind", ["BK-2001", "BK-2002"])
+    );
+
+    await customerService.deleteCustomer("CU-1002");
+    expect((await customerService.getCustomers()).map((c) => c.id)).toEqual([
+      "CU-1001",
+    ]);
+  });
+
+  test("counts bookings in the trash as using a customer", async () => {
+    await bookingService.deleteBooking("BK-2002");
+
+    await expect(customerService.deleteCustomer("CU-1001")).rejects.toEqual(
+      new RegistryRecordInUseError("Acme Wind", ["BK-2001", "BK-2002"])
+    );
+  });
+
+  test("links existing bookings to customers by name or alias", async () => {
+    const result = await migrateBookingCustomers();
+
+    expect(result).toEqual({ linked: 2, registered: 1 });
+    const migrated = await bookingService.getBookings();
+    expect(migrated[2]).toMatchObject({
+      customer: "BlueWave",
+      customerId: "CU-1002",
+    });
+    expect(migrated[3]).toMatchObject({
+      customer: "Oceanix",
+      customerId: "CU-1003",
+    });
+    expect((await customerService.getCustomers()).at(-1)).toMatchObject({
+      name: "Oceanix",
+      legalName: "Oceanix",
+    });
+
+    // Running it again changes nothing
+    expect(await migrateBookingCustomers()).toEqual({
+      linked: 0,
+      registered: 0,
+    });
+  });
+});
+
+describe("CustomersPage", () => {
+  test("lists customers and searches by alias", async () => {
+    renderWithTheme(<CustomersPage />);
+
+    expect(await screen.findByText("Acme Wind")).toBeInTheDocument();
+    expect(screen.getByText("Acme Wind Energy Ltd")).toBeInTheDocument();
+    expect(screen.getByText("Sarah Collins")).toBeInTheDocument();
+    expect(
+      screen.getByText("12 Harbour Road, AB11 5BB Aberdeen, United Kingdom")
+    ).toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText("Search customers"), {
+      target: { value: "blue wave" },
+    });
+    expect(screen.queryByText("Acme Wind")).not.toBeInTheDocument();
+    expect(screen.getByText("BlueWave")).toBeInTheDocument();
+  });
+
+  test("shows a customer's bookings with totals", async () => {
+    renderWithTheme(<CustomersPage />);
+
+    fireEvent.click(await screen.findByLabelText("View customer Acme Wind"));
+
+    expect(
+      screen.getByRole("heading", { name: "Acme Wind" })
+    ).toBeInTheDocument();
+    expect(await screen.findByText("BK-2001")).toBeInTheDocument();
+    expect(screen.getByText("BK-2002")).toBeInTheDocument();
+    expect(screen.queryByText("BK-2003")).not.toBeInTheDocument();
+
+    expect(screen.getByLabelText("Booking totals")).toHaveTextContent(
+      "Bookings2Confirmed1Pending1Cancelled0Chartered days12"
+    );
+
+    fireEvent.click(screen.getByRole("button", { name: /Back to customers/ }));
+    expect(screen.getByLabelText("Search customers")).toBeInTheDocument();
+  });
+
+  test("adds a customer with a contact through the form", async () => {
+    renderWithTheme(<CustomersPage />);
+    await screen.findByText("Acme Wind");
+
+    fireEvent.click(screen.getByRole("button", { name: /Add Customer/ }));
+    const dialog = screen.getByRole("dialog");
+    fireEvent.change(screen.getByLabelText("Customer name *"), {
+      target: { value: "Acme" },
+    });
+    fireEvent.click(
+      screen.getAllByRole("button", { name: /Add Customer/ }).at(-1)
+    );
+
+    expect(
+      screen.getByText("Acme is already a name of Acme Wind")
+    ).toBeInTheDocument();
+    expect(screen.getByText("Legal name is required")).toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText("Customer name *"), {
+      target: { value: "Oceanix" },
+    });
+    fireEvent.change(screen.getByLabelText("Legal name *"), {
+      target: { value: "Oceanix Maritime S.A." },
+    });
+    fireEvent.click(screen.getByRole("button", { name: /Add Contact/ }));
+    fireEvent.change(screen.getByLabelText("Name of contact 1"), {
+      target: { value: "Eleni Papadopoulou" },
+    });
+    fireEvent.change(screen.getByLabelText("Email of contact 1"), {
+      target: { value: "chartering@oceanix.example" },
+    });
+    fireEvent.click(
+      screen.getAllByRole("button", { name: /Add Customer/ }).at(-1)
+    );
+
+    expect(
+      await screen.findByText("Oceanix added to the directory")
+    ).toBeInTheDocument();
+    expect(dialog).not.toBeInTheDocument();
+    expect(screen.getByText("Eleni Papadopoulou")).toBeInTheDocument();
+  });
+
+  test("deletes after confirmation and keeps customers used by bookings", async () => {
+    renderWithTheme(<CustomersPage />);
+
+    fireEvent.click(await screen.findByLabelText("Delete customer Acme Wind"));
+    fireEvent.click(
+      screen.getByLabelText("Confirm deletion of customer Acme Wind")
+    );
+    expect(
+      await screen.findByText(
+        "Failed to delete customer: Acme Wind is used by 2 bookings (BK-2001, BK-2002)"
+      )
+    ).toBeInTheDocument();
+
+    fireEvent.click(screen.getByLabelText("Delete customer BlueWave"));
+    fireEvent.click(
+      screen.getByLabelText("Confirm deletion of customer BlueWave")
+    );
+    await waitFor(() => {
+      expect(
+        screen.queryByText("BlueWave Offshore B.V.")
+      ).not.toBeInTheDocument();
+    });
+    expect(screen.getByText("Acme Wind")).toBeInTheDocument();
+  });
+});
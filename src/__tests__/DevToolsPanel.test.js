@@ -0,0 +1,90 @@
+import React from "react";
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import "@testing-library/jest-dom";
+import DevToolsPanel from "../components/DevToolsPanel/DevToolsPanel";
+import { ThemeProvider } from "../contexts/ThemeContext";
+import { ToastProvider } from "../contexts/ToastContext";
+import { getFaultProfile, resetFaultProfile } from "../services/faultProfile";
+import { resetBookingData } from "../services/bookingService";
+
+jest.mock("../services/bookingService", () => ({
+  resetBookingData: jest.fn(),
+  setBookingWriteCheck: jest.fn(),
+}));
+
+// Helper function to render components with ThemeProvider and ToastProvider
+const renderWithTheme = (component) => {
+  return render(
+    <ThemeProvider>
+      <ToastProvider>{component}</ToastProvider>
+    </ThemeProvider>
+  );
+};
+
+describe("DevToolsPanel", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    resetFaultProfile();
+  });
+
+  test("opens from the toggle button and the keyboard shortcut", () => {
+    renderWithTheme(<DevToolsPanel />);
+
+    expect(screen.queryByText("Mock API")).not.toBeInTheDocument();
+
+    fireEvent.click(screen.getByLabelText("Open developer tools"));
+    expect(screen.getByText("Mock API")).toBeInTheDocument();
+
+    fireEvent.keyDown(document, { key: "D", ctrlKey: true, shiftKey: true });
+    expect(screen.queryByText("Mock API")).not.toBeInTheDocument();
+  });
+
+  test("updates latency, error rate and seed in the fault profile", () => {
+    renderWithTheme(<DevToolsPanel defaultOpen />);
+
+    fireEvent.change(screen.getByLabelText("Delete latency in milliseconds"), {
+      target: { value: "2500" },
+    });
+    fireEvent.change(screen.getByLabelText("Fetch error rate in percent"), {
+      target: { value: "25" },
+    });
+    fireEvent.change(screen.getByLabelText("Random seed"), {
+      target: { value: "42" },
+    });
+
+    const profile = getFaultProfile();
+    expect(profile.latency.deleteBooking).toBe(2500);
+    expect(profile.errorRate.getBookings).toBe(0.25);
+    expect(profile.seed).toBe(42);
+  });
+
+  test("queues forced failures and shows the pending count", () => {
+    renderWithTheme(<DevToolsPanel defaultOpen />);
+
+    const failNextDelete = screen.getByLabelText("Fail next delete");
+    fireEvent.click(failNextDelete);
+    fireEvent.click(failNextDelete);
+
+    expect(failNextDelete).toHaveTextContent("Fail next (2)");
+    expect(getFaultProfile().forcedFailures.deleteBooking).toBe(2);
+
+    fireEvent.click(screen.getByText("Reset profile"));
+    expect(failNextDelete).toHaveTextContent(/^Fail next$/);
+  });
+
+  test("resets stored data and notifies the page", async () => {
+    resetBookingData.mockResolvedValue();
+    const onDataReset = jest.fn();
+    renderWithTheme(<DevToolsPanel defaultOpen onDataReset={onDataReset} />);
+
+    fireEvent.click(screen.getByText("Reset stored data"));
+
+    await waitFor(() => {
+      expect(onDataReset).toHaveBeenCalled();
+    });
+    expect(resetBookingData).toHaveBeenCalled();
+    expect(
+      screen.getByText("Stored bookings reset to sample data")
+    ).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,237 @@
+import React from "react";
+import { render, screen, fireEvent } from "@testing-library/react";
+import "@testing-library/jest-dom";
+import ExchangeRatesPage from "../components/ExchangeRatesPage/ExchangeRatesPage";
+import { ThemeProvider } from "../contexts/ThemeContext";
+import { ToastProvider } from "../contexts/ToastContext";
+import { createMemoryRegistry } from "../services/adapters/createRegistryAdapter";
+import { RegistryValidationError } from "../services/bookingErrors";
+import {
+  FX_RATE_REGISTRY_OPTIONS,
+  fxRateService,
+  setFxRateAdapter,
+} from "../services/fxRateService";
+import {
+  convertAmount,
+  findFxRate,
+  formatMoney,
+  getDisplayLocale,
+  getReportingCurrency,
+  setDisplayLocale,
+  sumInCurrency,
+  validateFxRate,
+} from "../utils/currencyUtils";
+import { formatDate } from "../utils/bookingUtils";
+import { calculateBookingValue, toBookingValueData } from "../utils/rateUtils";
+
+// Helper function to render components with ThemeProvider and ToastProvider
+const renderWithTheme = (component) => {
+  return render(
+    <ThemeProvider>
+      <ToastProvider>{component}</ToastProvider>
+    </ThemeProvider>
+  );
+};
+
+const rates = [
+  { id: "FX-1001", currency: "USD", rate: 1.1, effectiveDate: "2030-01-01" },
+  { id: "FX-1002", currency: "USD", rate: 1.25, effectiveDate: "2030-06-01" },
+  { id: "FX-1003", currency: "NOK", rate: 11.5, effectiveDate: "2030-01-01" },
+];
+
+beforeEach(() => {
+  localStorage.clear();
+  setFxRateAdapter(createMemoryRegistry(rates, FX_RATE_REGISTRY_OPTIONS));
+});
+
+describe("currencyUtils", () => {
+  test("formats amounts in their currency and the chosen locale", () => {
+    expect(formatMoney(12345.5)).toMatch(/^12\.345,50\s€$/);
+    expect(formatMoney(12345.5, "USD", "en-US")).toBe("$12,345.50");
+    expect(formatMoney(12345.5, "NOK", "nb-NO")).toMatch(/^12\s345,50\skr$/);
+    expect(formatMoney(null, "USD")).toBe("—");
+
+    setDisplayLocale("en-GB");
+    expect(getDisplayLocale()).toBe("en-GB");
+    expect(formatMoney(1000)).toBe("€1,000.00");
+    expect(formatDate("2030-12-31")).toBe("31/12/2030");
+    expect(formatDate("2030-12-31", "en-US")).toBe("12/31/2030");
+
+    expect(setDisplayLocale("xx-XX")).toBe("el-GR");
+  });
+
+  test("finds the rate in effect on a day", () => {
+    expect(findFxRate(rates, "EUR", "2029-01-01")).toBe(1);
+    expect(findFxRate(rates, "USD", "2030-05-31")).toBe(1.1);
+    expect(findFxRate(rates, "USD", "2030-06-01T08:00:00.000Z")).toBe(1.25);
+    expect(findFxRate(rates, "USD", "2029-12-31")).toBeNull();
+  });
+
+  test("converts between currencies through the euro", () => {
+    expect(convertAmount(1100, "USD", "EUR", "2030-03-01", rates)).toBe(1000);
+    expect(convertAmount(1000, "EUR", "USD", "2030-07-01", rates)).toBe(1250);
+    expect(convertAmount(1100, "USD", "NOK", "2030-03-01", rates)).toBe(11500);
+    expect(convertAmount(500, "NOK", "NOK", "2020-01-01", rates)).toBe(500);
+    expect(convertAmount(1000, "USD", "EUR", "2029-03-01", rates)).toBeNull();
+  });
+
+  test("adds up amounts in one currency and lists those without a rate", () => {
+    expect(
+      sumInCurrency(
+        [
+          { id: "BK-1", amount: 1000, currency: "EUR", date: "2030-02-01" },
+          { id: "BK-2", amount: 1100, currency: "USD", date: "2030-02-01" },
+          { id: "BK-3", amount: 1250, currency: "USD", date: "2030-08-01" },
+          { id: "BK-4", amount: 500, currency: "USD", date: "2029-08-01" },
+        ],
+        "EUR",
+        rates
+      )
+    ).toEqual({ total: 3000, unconverted: ["BK-4"] });
+  });
+
+  test("validates exchange rates", () => {
+    expect(
+      validateFxRate({ currency: "EUR", rate: "", effectiveDate: "" }).errors
+    ).toEqual({
+      currency: "EUR is the base currency and needs no rate",
+      rate: "Rate is required",
+      effectiveDate: "Effective date is required",
+    });
+    expect(
+      validateFxRate(
+        { currency: "USD", rate: "-1", effectiveDate: "2030-06-01" },
+        rates
+      ).errors
+    ).toEqual({
+      rate: "Rate must be a positive number",
+      effectiveDate: "A USD rate already takes effect on this day",
+    });
+    expect(
+      validateFxRate(
+        { currency: "USD", rate: "1.3", effectiveDate: "2030-06-01" },
+        rates,
+        "FX-1002"
+      ).isValid
+    ).toBe(true);
+  });
+
+  test("prices bookings in the rate card's currency unless overridden", () => {
+    const rateCard = { dailyRate: 1000, currency: "USD" };
+    const booking = { startDate: "2030-03-01", endDate: "2030-03-03" };
+
+    expect(calculateBookingValue(booking, rateCard).currency).toBe("USD");
+    expect(
+      calculateBookingValue(
+        { ...booking, valueOverride: 20000, currency: "NOK" },
+        rateCard
+      ).currency
+    ).toBe("NOK");
+    expect(calculateBookingValue(booking, null).currency).toBe("EUR");
+    expect(
+      toBookingValueData(
+        { valueOverride: "", discountPercent: "", currency: "NOK" },
+        rateCard
+      )
+    ).toEqual({
+      valueOverride: null,
+      discountPercent: null,
+      currency: "USD",
+      rateCard,
+    });
+  });
+});
+
+describe("fxRateService", () => {
+  test("lists rates by currency, newest first, and rejects invalid ones", async () => {
+    expect((await fxRateService.getFxRates()).map((rate) => rate.id)).toEqual([
+      "FX-1003",
+      "FX-1002",
+      "FX-1001",
+    ]);
+    await expect(
+      fxRateService.createFxRate({
+        currency: "NOK",
+        rate: 11,
+        effectiveDate: "2030-01-01",
+      })
+    ).rejects.toBeInstanceOf(RegistryValidationError);
+  });
+});
+
+describe("ExchangeRatesPage", () => {
+  test("lists the rates by currency, newest first", async () => {
+    renderWithTheme(<ExchangeRatesPage />);
+
+    expect(
+      await screen.findByLabelText("Delete USD rate from 2030-06-01")
+    ).toBeInTheDocument();
+    expect(screen.getAllByRole("row")).toHaveLength(4);
+    expect(screen.getByText("01/06/2030")).toBeInTheDocument();
+    expect(screen.getByText("1,25")).toBeInTheDocument();
+  });
+
+  test("adds a rate and shows field errors", async () => {
+    renderWithTheme(<ExchangeRatesPage />);
+    await screen.findByLabelText("Delete USD rate from 2030-06-01");
+
+    fireEvent.change(screen.getByLabelText("Effective from"), {
+      target: { value: "2030-06-01" },
+    });
+    fireEvent.click(screen.getByRole("button", { name: /Add Rate/ }));
+    expect(screen.getByText("Rate is required")).toBeInTheDocument();
+    expect(
+      screen.getByText("A USD rate already takes effect on this day")
+    ).toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText("Currency"), {
+      target: { value: "NOK" },
+    });
+    fireEvent.change(screen.getByLabelText("Rate (per 1 EUR)"), {
+      target: { value: "11.8" },
+    });
+    fireEvent.click(screen.getByRole("button", { name: /Add Rate/ }));
+
+    expect(
+      await screen.findByText("NOK rate from 01/06/2030 added")
+    ).toBeInTheDocument();
+    expect(
+      (await fxRateService.getFxRates()).find(
+        (rate) => rate.currency === "NOK" && rate.effectiveDate === "2030-06-01"
+      )
+    ).toMatchObject({ id: "FX-1004", rate: 11.8 });
+  });
+
+  test("deletes a rate after confirmation", async () => {
+    renderWithTheme(<ExchangeRatesPage />);
+
+    fireEvent.click(
+      await screen.findByLabelText("Delete NOK rate from 2030-01-01")
+    );
+    fireEvent.click(
+      screen.getByLabelText("Confirm deletion of NOK rate from 2030-01-01")
+    );
+
+    expect(
+      await screen.findByText("NOK rate from 01/01/2030 removed")
+    ).toBeInTheDocument();
+    expect(await fxRateService.getFxRates()).toHaveLength(2);
+  });
+
+  test("remembers the reporting currency and display locale", async () => {
+    renderWithTheme(<ExchangeRatesPage />);
+    await screen.findByLabelText("Delete USD rate from 2030-06-01");
+
+    fireEvent.change(screen.getByLabelText("Reporting currency"), {
+      target: { value: "USD" },
+    });
+    fireEvent.change(screen.getByLabelText("Number and date format"), {
+      target: { value: "en-US" },
+    });
+
+    expect(getReportingCurrency()).toBe("USD");
+    expect(getDisplayLocale()).toBe("en-US");
+    expect(screen.getByText("06/01/2030")).toBeInTheDocument();
+    expect(screen.getByText("1.25")).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,372 @@
+import React from "react";
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import "@testing-library/jest-dom";
+import ExportBookingsPanel from "../components/ExportBookingsPanel/ExportBookingsPanel";
+import { ThemeProvider } from "../contexts/ThemeContext";
+import { ToastProvider } from "../contexts/ToastContext";
+import {
+  EXCEL_LOCALES,
+  buildExportFile,
+  toCSV,
+  toJSON,
+  toSpreadsheetML,
+} from "../utils/exportUtils";
+import { foldLine, toICS } from "../utils/icsUtils";
+
+// Helper function to render components with ThemeProvider and ToastProvider
+const renderWithTheme = (component) => {
+  return render(
+    <ThemeProvider>
+      <ToastProvider>{component}</ToastProvider>
+    </ThemeProvider>
+  );
+};
+
+const bookings = [
+  {
+    id: "BK-2001",
+    customer: "Oceanix, Ltd",
+    vessel: "Nordic Star",
+    status: "confirmed",
+    startDate: "2030-03-05",
+    endDate: "2030-03-09",
+    laycanStart: "2030-03-03",
+    laycanEnd: "2030-03-06",
+    valueOverride: 12500.5,
+    currency: "USD",
+  },
+  {
+    id: "BK-2002",
+    customer: '=HYPERLINK("x") "Λιμάνι"',
+    vessel: "Aurora",
+    status: "pending",
+    startDate: "2030-04-01",
+    endDate: "2030-04-01",
+  },
+];
+
+// Aurora's rate card values BK-2002; BK-2001 has a value override
+const vessels = [
+  {
+    id: "VS-1001",
+    name: "Aurora",
+    rateCard: { dailyRate: 9000, currency: "EUR", minimumDays: 1, seasons: [] },
+  },
+];
+
+describe("exportUtils", () => {
+  test("writes CSV with a BOM, quoted cells, durations and values", () => {
+    const csv = toCSV(bookings, { vessels });
+
+    expect(csv.startsWith("\uFEFF")).toBe(true);
+    expect(csv.slice(1).split("\r\n")).toEqual([
+      "Booking ID,Customer,Vessel,Status,Start date,End date,Duration (days),Laydays,Cancelling,Net value,Currency",
+      'BK-2001,"Oceanix, Ltd",Nordic Star,confirmed,2030-03-05,2030-03-09,4,2030-03-03,2030-03-06,12500.5,USD',
+      'BK-2002,"\'=HYPERLINK(""x"") ""Λιμάνι""",Aurora,pending,2030-04-01,2030-04-01,0,,,9000,EUR',
+    ]);
+    // Without the vessels, bookings priced from a rate card have no value
+    expect(toCSV(bookings).split("\r\n")[2]).toMatch(/,0,,,,$/);
+  });
+
+  test("uses the Greek and English Excel delimiters and date formats", () => {
+    const columns = ["id", "startDate", "value"];
+    const greek = buildExportFile(bookings.slice(0, 1), {
+      format: "csv",
+      columns,
+      ...EXCEL_LOCALES.el,
+    });
+    const english = buildExportFile(bookings.slice(0, 1), {
+      format: "csv",
+      columns,
+      ...EXCEL_LOCALES.en,
+    });
+
+    expect(greek.content).toBe(
+      "\uFEFFBooking ID;Start date;Net value\r\nBK-2001;05/03/2030;12500,5"
+    );
+    expect(english.content).toBe(
+      "\uFEFFBooking ID,Start date,Net value\r\nBK-2001,03/05/2030,12500.5"
+    );
+    expect(greek.fileName).toBe("bookings.csv");
+  });
+
+  test("writes JSON with ISO dates and numeric durations and values", () => {
+    expect(JSON.parse(toJSON(bookings.slice(0, 1), { columns: [] }))).toEqual([
+      {},
+    ]);
+    expect(
+      JSON.parse(buildExportFile(bookings, { format: "json", vessels }).content)
+    ).toEqual([
+      expect.objectContaining({
+        id: "BK-2001",
+        startDate: "2030-03-05",
+        duration: 4,
+        laycanStart: "2030-03-03",
+        laycanEnd: "2030-03-06",
+        value: 12500.5,
+        currency: "USD",
+      }),
+      expect.objectContaining({
+        id: "BK-2002",
+        duration: 0,
+        laycanStart: null,
+        value: 9000,
+        currency: "EUR",
+      }),
+    ]);
+  });
+
+  test("writes SpreadsheetML with date and number cells", () => {
+    const xml = toSpreadsheetML(bookings, { vessels });
+
+    expect(xml).toContain(
+      '<Cell ss:StyleID="date"><Data ss:Type="DateTime">2030-03-05T00:00:00.000</Data></Cell>'
+    );
+    expect(xml).toContain(
+      '<Cell ss:StyleID="date"><Data ss:Type="DateTime">2030-03-03T00:00:00.000</Data></Cell>'
+    );
+    expect(xml).toContain('<Data ss:Type="Number">4</Data>');
+    expect(xml).toContain(
+      '<Cell><Data ss:Type="Number">12500.5</Data></Cell><Cell><Data ss:Type="String">USD</Data></Cell>'
+    );
+    expect(xml).toContain("=HYPERLINK(&quot;x&quot;) &quot;Λιμάνι&quot;");
+    expect(buildExportFile(bookings, { format: "spreadsheetml" })).toEqual(
+      expect.objectContaining({
+        fileName: "bookings.xml",
+        mimeType: "application/vnd.ms-excel",
+      })
+    );
+  });
+});
+
+describe("icsUtils", () => {
+  const now = new Date("2030-01-01T08:30:00Z");
+
+  test("writes one all-day event per booking with a stable UID", () => {
+    const ics = toICS(bookings, { calendarName: "Fleet", now });
+    const again = toICS(bookings, {
+      calendarName: "Fleet",
+      now: new Date("2030-02-01T00:00:00Z"),
+    });
+
+    expect(ics.startsWith("BEGIN:VCALENDAR\r\nVERSION:2.0\r\n")).toBe(true);
+    expect(ics.endsWith("END:VCALENDAR\r\n")).toBe(true);
+    expect(ics).toContain("X-WR-CALNAME:Fleet\r\n");
+    expect(ics).toContain("DTSTAMP:20300101T083000Z\r\n");
+    expect(ics).toContain(
+      "UID:BK-2001@brs-booking\r\nDTSTAMP:20300101T083000Z\r\nDTSTART;VALUE=DATE:20300305\r\nDTEND;VALUE=DATE:20300309\r\n"
+    );
+    // Bookings ending the day they start still take up that day
+    expect(ics).toContain(
+      "DTSTART;VALUE=DATE:20300401\r\nDTEND;VALUE=DATE:20300402\r\n"
+    );
+    expect(ics).toContain("SUMMARY:Nordic Star – Oceanix\\, Ltd\r\n");
+    expect(again.match(/UID:.*\r\n/g)).toEqual(ics.match(/UID:.*\r\n/g));
+  });
+
+  test("maps booking statuses and versions to event statuses and sequences", () => {
+    const ics = toICS(
+      [
+        { ...bookings[0], version: 4, updatedAt: "2030-01-02T10:00:00.000Z" },
+        { ...bookings[1], status: "pending" },
+        {
+          ...bookings[1],
+          id: "BK-2003",
+          status: "cancelled",
+          cancellationReason: "Weather",
+        },
+      ],
+      { now }
+    );
+
+    expect(ics.match(/STATUS:\w+/g)).toEqual([
+      "STATUS:CONFIRMED",
+      "STATUS:TENTATIVE",
+      "STATUS:CANCELLED",
+    ]);
+    expect(ics.match(/SEQUENCE:\d+/g)).toEqual([
+      "SEQUENCE:3",
+      "SEQUENCE:0",
+      "SEQUENCE:0",
+    ]);
+    expect(ics).toContain("LAST-MODIFIED:20300102T100000Z\r\n");
+    expect(ics).toContain("Cancellation reason: Weather");
+  });
+
+  test("folds long lines at 75 octets without splitting characters", () => {
+    const folded = foldLine(`SUMMARY:${"Λ".repeat(60)}`);
+    const lines = folded.split("\r\n");
+
+    expect(lines.length).toBeGreaterThan(1);
+    lines.forEach((line) =>
+      expect(new Blob([line]).size).toBeLessThanOrEqual(75)
+    );
+    expect(lines.slice(1).every((line) => line.startsWith(" "))).toBe(true);
+    expect(folded.replace(/\r\n /g, "")).toBe(`SUMMARY:${"Λ".repeat(60)}`);
+  });
+});
+
+describe("ExportBookingsPanel", () => {
+  const mockOnClose = jest.fn();
+  const mockLoadViewBookings = jest.fn();
+  const mockLoadAllBookings = jest.fn();
+  let exportedBlobs;
+
+  const renderPanel = (props = {}) =>
+    renderWithTheme(
+      <ExportBookingsPanel
+        isOpen={true}
+        onClose={mockOnClose}
+        loadViewBookings={mockLoadViewBookings}
+        loadAllBookings={mockLoadAllBookings}
+        viewCount={1}
+        vessels={vessels}
+        {...props}
+      />
+    );
+
+  const readExport = () =>
+    new Promise((resolve) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.readAsText(exportedBlobs[0]);
+    });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    exportedBlobs = [];
+    URL.createObjectURL = jest.fn((blob) => {
+      exportedBlobs.push(blob);
+      return "blob:export";
+    });
+    URL.revokeObjectURL = jest.fn();
+    // jsdom cannot follow the download link
+    jest
+      .spyOn(HTMLAnchorElement.prototype, "click")
+      .mockImplementation(() => {});
+    mockLoadViewBookings.mockResolvedValue({
+      success: true,
+      bookings: bookings.slice(0, 1),
+    });
+    mockLoadAllBookings.mockResolvedValue({ success: true, bookings });
+  });
+
+  test("exports the current view as Greek Excel CSV by default", async () => {
+    renderPanel();
+
+    expect(screen.getByLabelText("Excel locale")).toHaveValue("el");
+    fireEvent.click(screen.getByRole("button", { name: /Export$/ }));
+
+    await waitFor(() => expect(mockOnClose).toHaveBeenCalled());
+    expect(mockLoadViewBookings).toHaveBeenCalled();
+    expect(mockLoadAllBookings).not.toHaveBeenCalled();
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith("blob:export");
+    expect(HTMLAnchorElement.prototype.click.mock.instances[0].download).toBe(
+      "bookings.csv"
+    );
+    const content = await readExport();
+    expect(content.split("\r\n")[1]).toBe(
+      "BK-2001;Oceanix, Ltd;Nordic Star;confirmed;05/03/2030;09/03/2030;4;03/03/2030;06/03/2030;12500,5;USD"
+    );
+  });
+
+  test("exports all bookings with only the chosen columns", async () => {
+    renderPanel();
+
+    fireEvent.click(screen.getByLabelText("All bookings"));
+    fireEvent.click(screen.getByLabelText("JSON"));
+    [
+      "Customer",
+      "Vessel",
+      "Status",
+      "Start date",
+      "End date",
+      "Laydays",
+      "Cancelling",
+      "Currency",
+    ].forEach((label) => fireEvent.click(screen.getByLabelText(label)));
+    fireEvent.click(screen.getByRole("button", { name: /Export$/ }));
+
+    await waitFor(() => expect(mockOnClose).toHaveBeenCalled());
+    expect(mockLoadAllBookings).toHaveBeenCalled();
+    expect(JSON.parse(await readExport())).toEqual([
+      { id: "BK-2001", duration: 4, value: 12500.5 },
+      { id: "BK-2002", duration: 0, value: 9000 },
+    ]);
+  });
+
+  test("exports one vessel's bookings as a calendar", async () => {
+    renderPanel();
+
+    fireEvent.click(screen.getByLabelText("One vessel"));
+    fireEvent.click(screen.getByLabelText("Calendar (iCalendar)"));
+    const vesselSelect = screen.getByLabelText("Vessel to export");
+    expect(
+      await screen.findByRole("option", { name: "Nordic Star" })
+    ).toBeInTheDocument();
+    expect(screen.getByRole("button", { name: /Export$/ })).toBeDisabled();
+    fireEvent.change(vesselSelect, { target: { value: "Aurora" } });
+    fireEvent.click(screen.getByRole("button", { name: /Export$/ }));
+
+    await waitFor(() => expect(mockOnClose).toHaveBeenCalled());
+    expect(mockLoadAllBookings).toHaveBeenCalledTimes(1);
+    expect(HTMLAnchorElement.prototype.click.mock.instances[0].download).toBe(
+      "aurora.ics"
+    );
+    const content = await readExport();
+    expect(content).toContain("X-WR-CALNAME:Aurora");
+    expect(content).toContain("UID:BK-2002@brs-booking");
+    expect(content).not.toContain("BK-2001");
+  });
+
+  test("switches the delimiter and date format with the Excel locale", () => {
+    renderPanel();
+
+    fireEvent.change(screen.getByLabelText("Excel locale"), {
+      target: { value: "en" },
+    });
+    expect(screen.getByLabelText("Delimiter")).toHaveValue(",");
+    expect(screen.getByLabelText("Date format")).toHaveValue("monthFirst");
+
+    fireEvent.change(screen.getByLabelText("Date format"), {
+      target: { value: "iso" },
+    });
+    expect(screen.getByLabelText("Excel locale")).toHaveValue("");
+  });
+
+  test("cannot export without columns", () => {
+    renderPanel();
+
+    [
+      "Booking ID",
+      "Customer",
+      "Vessel",
+      "Status",
+      "Start date",
+      "End date",
+      "Duration (days)",
+      "Laydays",
+      "Cancelling",
+      "Net value",
+      "Currency",
+    ].forEach((label) => fireEvent.click(screen.getByLabelText(label)));
+
+    expect(screen.getByRole("button", { name: /Export$/ })).toBeDisabled();
+  });
+
+  test("stays open when the bookings cannot be loaded", async () => {
+    mockLoadViewBookings.mockResolvedValue({
+      success: false,
+      error: "Network error",
+    });
+    renderPanel();
+
+    fireEvent.click(screen.getByRole("button", { name: /Export$/ }));
+
+    expect(
+      await screen.findByText(/Export failed: Network error/)
+    ).toBeInTheDocument();
+    expect(URL.createObjectURL).not.toHaveBeenCalled();
+    expect(mockOnClose).not.toHaveBeenCalled();
+  });
+});
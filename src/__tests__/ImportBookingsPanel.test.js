@@ -0,0 +1,368 @@
+import React from "react";
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import "@testing-library/jest-dom";
+import ImportBookingsPanel from "../components/ImportBookingsPanel/ImportBookingsPanel";
+import { ThemeProvider } from "../contexts/ThemeContext";
+import { ToastProvider } from "../contexts/ToastContext";
+import { BULK_ITEM_STATUS } from "../services/bookingErrors";
+import {
+  buildImportPreview,
+  detectDateOrder,
+  guessColumnMapping,
+  normalizeImportDate,
+  parseDelimitedText,
+} from "../utils/importUtils";
+
+// Helper function to render components with ThemeProvider and ToastProvider
+const renderWithTheme = (component) => {
+  return render(
+    <ThemeProvider>
+      <ToastProvider>{component}</ToastProvider>
+    </ThemeProvider>
+  );
+};
+
+const existingBooking = {
+  id: "BK-2001",
+  customer: "Acme Wind",
+  vessel: "Nordic Star",
+  status: "confirmed",
+  startDate: "2030-01-10",
+  endDate: "2030-01-22",
+};
+
+const csv = [
+  "Client,Ship,Status,From,To",
+  '"Oceanix, Ltd",Aurora,Confirmed,10/02/2030,2030-02-15',
+  "BlueWave,Nordic Star,,2030-01-15,2030-01-18",
+  ",Aurora,pending,2030-03-01,2030-03-05",
+  "Seaways,Aurora,cancelled,31/02/2030,2030-03-05",
+].join("\n");
+
+describe("importUtils", () => {
+  test("parses quoted cells, CRLF line breaks and blank lines", () => {
+    expect(
+      parseDelimitedText('a,"b, ""c"""\r\n\r\n"multi\nline",d\r\n')
+    ).toEqual([
+      ["a", 'b, "c"'],
+      ["multi\nline", "d"],
+    ]);
+  });
+
+  test("detects tab and semicolon delimiters", () => {
+    expect(parseDelimitedText("a\tb,c\n1\t2")).toEqual([
+      ["a", "b,c"],
+      ["1", "2"],
+    ]);
+    expect(parseDelimitedText("a;b\n1,5;2")).toEqual([
+      ["a", "b"],
+      ["1,5", "2"],
+    ]);
+  });
+
+  test("maps columns by their headers", () => {
+    expect(guessColumnMapping(["Ship", "Client", "From", "To"])).toEqual({
+      customer: 1,
+      vessel: 0,
+      status: null,
+      startDate: 2,
+      endDate: 3,
+    });
+  });
+
+  test("reads ISO and slashed dates and rejects impossible ones", () => {
+    expect(normalizeImportDate("5/3/2030", "dayFirst")).toBe("2030-03-05");
+    expect(normalizeImportDate("05.03.2030", "dayFirst")).toBe("2030-03-05");
+    expect(normalizeImportDate("5/3/2030", "monthFirst")).toBe("2030-05-03");
+    expect(normalizeImportDate("2030-3-5")).toBe("2030-03-05");
+    expect(normalizeImportDate("31/02/2030", "dayFirst")).toBeNull();
+    expect(normalizeImportDate("")).toBe("");
+  });
+
+  test("reads slashed dates without an order only when unambiguous", () => {
+    expect(normalizeImportDate("25/3/2030")).toBe("2030-03-25");
+    expect(normalizeImportDate("3/25/2030")).toBe("2030-03-25");
+    expect(normalizeImportDate("4/4/2030")).toBe("2030-04-04");
+    expect(normalizeImportDate("5/3/2030")).toBeNull();
+
+    const mapping = { customer: 0, vessel: 1, startDate: 2, endDate: 3 };
+    expect(
+      detectDateOrder([["Acme", "Aurora", "03/05/2030", "03/25/2030"]], mapping)
+    ).toBe("monthFirst");
+    expect(
+      detectDateOrder([["Acme", "Aurora", "25/03/2030", "03/04/2030"]], mapping)
+    ).toBe("dayFirst");
+    expect(
+      detectDateOrder([["Acme", "Aurora", "03/05/2030", "2030-05-08"]], mapping)
+    ).toBeNull();
+
+    // US files are read month first, and ambiguous files are not guessed
+    const [usRow] = buildImportPreview(
+      [["Acme", "Aurora", "03/05/2030", "03/25/2030"]],
+      { mapping }
+    );
+    expect(usRow.booking).toMatchObject({
+      startDate: "2030-03-05",
+      endDate: "2030-03-25",
+    });
+    const [ambiguous] = buildImportPreview(
+      [["Acme", "Aurora", "03/05/2030", "04/05/2030"]],
+      { mapping }
+    );
+    expect(ambiguous.errors.startDate).toBe(
+      "Start date 03/05/2030 could be day or month first; choose the date order"
+    );
+    const [chosen] = buildImportPreview(
+      [["Acme", "Aurora", "03/05/2030", "04/05/2030"]],
+      { mapping, dateOrder: "dayFirst" }
+    );
+    expect(chosen.valid).toBe(true);
+    expect(chosen.booking.endDate).toBe("2030-05-04");
+  });
+
+  test("links rows to registered vessels and rejects unknown ones", () => {
+    const preview = buildImportPreview(
+      [
+        ["Acme Wind", "nordic  star", "", "2030-04-01", "2030-04-05"],
+        ["Acme Wind", "Aurora", "", "2030-04-01", "2030-04-05"],
+      ],
+      {
+        mapping: {
+          customer: 0,
+          vessel: 1,
+          status: 2,
+          startDate: 3,
+          endDate: 4,
+        },
+        vessels: [{ id: "VS-1001", name: "Nordic Star" }],
+      }
+    );
+
+    expect(preview[0].booking).toMatchObject({
+      vessel: "Nordic Star",
+      vesselId: "VS-1001",
+    });
+    expect(preview[0].valid).toBe(true);
+    expect(preview[1].errors.vessel).toBe(
+      "Aurora is not in the vessel registry"
+    );
+  });
+
+  test("links rows to customers by name or alias", () => {
+    const preview = buildImportPreview(
+      [
+        ["acme", "Nordic Star", "", "2030-04-01", "2030-04-05"],
+        ["Oceanix", "Nordic Star", "", "2030-05-01", "2030-05-05"],
+      ],
+      {
+        mapping: {
+          customer: 0,
+          vessel: 1,
+          status: 2,
+          startDate: 3,
+          endDate: 4,
+        },
+        customers: [{ id: "CU-1001", name: "Acme Wind", aliases: ["Acme"] }],
+      }
+    );
+
+    expect(preview[0].booking).toMatchObject({
+      customer: "Acme Wind",
+      customerId: "CU-1001",
+    });
+    expect(preview[1].errors.customer).toBe(
+      "Oceanix is not in the customer directory"
+    );
+  });
+});
+
+describe("ImportBookingsPanel", () => {
+  const mockOnClose = jest.fn();
+  const mockOnImport = jest.fn();
+  const mockLoadExistingBookings = jest.fn();
+
+  const renderPanel = (props = {}) =>
+    renderWithTheme(
+      <ImportBookingsPanel
+        isOpen={true}
+        onClose={mockOnClose}
+        loadExistingBookings={mockLoadExistingBookings}
+        onImport={mockOnImport}
+        {...props}
+      />
+    );
+
+  const pasteRows = (text) => {
+    fireEvent.change(
+      screen.getByLabelText("Or paste rows from a spreadsheet"),
+      { target: { value: text } }
+    );
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockLoadExistingBookings.mockResolvedValue({
+      success: true,
+      bookings: [existingBooking],
+    });
+    mockOnImport.mockResolvedValue({ success: true, results: [] });
+  });
+
+  test("previews every row with its problems", async () => {
+    renderPanel();
+    await waitFor(() =>
+      expect(mockLoadExistingBookings).toHaveBeenCalledTimes(1)
+    );
+
+    pasteRows(csv);
+
+    expect(
+      await screen.findByText(
+        "1 of 4 rows ready to import. 3 rows have problems and will be skipped."
+      )
+    ).toBeInTheDocument();
+    expect(screen.getByText("Oceanix, Ltd")).toBeInTheDocument();
+    expect(
+      screen.getByText(/Nordic Star is already booked by BK-2001/)
+    ).toBeInTheDocument();
+    expect(screen.getByText(/Customer name is required/)).toBeInTheDocument();
+    expect(
+      screen.getByText(/Start date must be YYYY-MM-DD or DD\/MM\/YYYY/)
+    ).toBeInTheDocument();
+    expect(
+      screen.getByText(/Status must be pending or confirmed/)
+    ).toBeInTheDocument();
+  });
+
+  test("checks rows against the rows above them", async () => {
+    renderPanel();
+    await waitFor(() =>
+      expect(mockLoadExistingBookings).toHaveBeenCalledTimes(1)
+    );
+
+    pasteRows(
+      [
+        "Acme\tAurora\tconfirmed\t2030-05-01\t2030-05-10",
+        "BlueWave\tAurora\tconfirmed\t2030-05-05\t2030-05-12",
+      ].join("\n")
+    );
+
+    expect(
+      await screen.findByText(/Aurora is already booked by row 1/)
+    ).toBeInTheDocument();
+  });
+
+  test("asks for a column for every required field", async () => {
+    renderPanel();
+    pasteRows("Customer,Vessel\nAcme,Aurora");
+
+    expect(await screen.findByRole("alert")).toHaveTextContent(
+      "Choose a column for Start date, End date."
+    );
+    expect(
+      screen.getByRole("button", { name: /Import 0 bookings/ })
+    ).toBeDisabled();
+  });
+
+  test("lets the user remap a column", async () => {
+    renderPanel();
+    await waitFor(() =>
+      expect(mockLoadExistingBookings).toHaveBeenCalledTimes(1)
+    );
+    pasteRows(
+      "Customer,Vessel,Departs,Returns\nAcme,Aurora,2030-05-01,2030-05-10"
+    );
+
+    fireEvent.change(screen.getByLabelText("Start date"), {
+      target: { value: "2" },
+    });
+    fireEvent.change(screen.getByLabelText("End date"), {
+      target: { value: "3" },
+    });
+
+    expect(
+      await screen.findByText("1 of 1 row ready to import.")
+    ).toBeInTheDocument();
+  });
+
+  test("asks for the date order when every date reads either way", async () => {
+    renderPanel();
+    await waitFor(() =>
+      expect(mockLoadExistingBookings).toHaveBeenCalledTimes(1)
+    );
+    pasteRows("Customer,Vessel,From,To\nAcme,Aurora,03/05/2030,04/05/2030");
+
+    expect(
+      await screen.findByText(/Start date 03\/05\/2030 could be day or month/)
+    ).toBeInTheDocument();
+    expect(screen.getByLabelText("Date order")).toHaveDisplayValue(
+      "Detect from dates"
+    );
+
+    fireEvent.change(screen.getByLabelText("Date order"), {
+      target: { value: "monthFirst" },
+    });
+    expect(
+      await screen.findByText("1 of 1 row ready to import.")
+    ).toBeInTheDocument();
+    expect(screen.getByText("2030-03-05")).toBeInTheDocument();
+
+    pasteRows("Customer,Vessel,From,To\nAcme,Aurora,25/05/2030,04/06/2030");
+    expect(screen.getByLabelText("Date order")).toHaveDisplayValue(
+      "Detected: DD/MM/YYYY"
+    );
+    expect(screen.getByText("2030-06-04")).toBeInTheDocument();
+  });
+
+  test("imports the valid rows and closes", async () => {
+    renderPanel();
+    await waitFor(() =>
+      expect(mockLoadExistingBookings).toHaveBeenCalledTimes(1)
+    );
+    pasteRows(csv);
+
+    fireEvent.click(
+      await screen.findByRole("button", { name: /Import 1 booking$/ })
+    );
+
+    await waitFor(() => expect(mockOnClose).toHaveBeenCalled());
+    expect(mockOnImport).toHaveBeenCalledWith([
+      {
+        customer: "Oceanix, Ltd",
+        vessel: "Aurora",
+        status: "confirmed",
+        startDate: "2030-02-10",
+        endDate: "2030-02-15",
+      },
+    ]);
+  });
+
+  test("flags rows the backend rejected and stays open", async () => {
+    mockOnImport.mockResolvedValue({
+      success: false,
+      error: "1 of 1 bookings could not be changed, so none were",
+      results: [
+        {
+          id: null,
+          status: BULK_ITEM_STATUS.FAILED,
+          error: "Vessel Aurora is already booked for these dates",
+        },
+      ],
+    });
+    renderPanel();
+    await waitFor(() =>
+      expect(mockLoadExistingBookings).toHaveBeenCalledTimes(1)
+    );
+    pasteRows(csv);
+
+    fireEvent.click(
+      await screen.findByRole("button", { name: /Import 1 booking$/ })
+    );
+
+    expect(
+      await screen.findByText(/Vessel Aurora is already booked/)
+    ).toBeInTheDocument();
+    expect(screen.getByText(/0 of 4 rows ready to import/)).toBeInTheDocument();
+    expect(mockOnClose).not.toHaveBeenCalled();
+  });
+});
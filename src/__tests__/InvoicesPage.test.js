@@ -0,0 +1,676 @@
+import React from "react";
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import "@testing-library/jest-dom";
+import InvoicesPage from "../components/InvoicesPage/InvoicesPage";
+import { ThemeProvider } from "../contexts/ThemeContext";
+import { ToastProvider } from "../contexts/ToastContext";
+import { bookingService, setBookingAdapter } from "../services/bookingService";
+import { createMemoryAdapter } from "../services/adapters";
+import { createMemoryRegistry } from "../services/adapters/createRegistryAdapter";
+import {
+  BookingInvoicedError,
+  InvoiceStatusError,
+} from "../services/bookingErrors";
+import {
+  CUSTOMER_REGISTRY_OPTIONS,
+  setCustomerAdapter,
+} from "../services/customerService";
+import {
+  INVOICE_REGISTRY_OPTIONS,
+  invoiceService,
+  setInvoiceAdapter,
+} from "../services/invoiceService";
+import {
+  VESSEL_REGISTRY_OPTIONS,
+  setVesselAdapter,
+  vesselService,
+} from "../services/vesselService";
+import {
+  buildInvoiceFile,
+  buildInvoiceHTML,
+  buildInvoiceLines,
+  calculateDueDate,
+  calculateInvoiceTotals,
+  canTransitionInvoice,
+  checkBookingsInvoiceable,
+  findBookingInvoice,
+  getNextInvoiceNumber,
+  isInvoiceOverdue,
+  validateInvoice,
+} from "../utils/invoiceUtils";
+
+// Helper function to render components with ThemeProvider and ToastProvider
+const renderWithTheme = (component) => {
+  return render(
+    <ThemeProvider>
+      <ToastProvider>{component}</ToastProvider>
+    </ThemeProvider>
+  );
+};
+
+const vessels = [
+  {
+    id: "VS-1001",
+    name: "Nordic Star",
+    rateCard: { dailyRate: 1000, minimumDays: 1, seasons: [] },
+  },
+  { id: "VS-1002", name: "Wave Rider", rateCard: null },
+];
+
+const customers = [
+  {
+    id: "CU-1001",
+    name: "Acme Wind",
+    legalName: "Acme Wind Energy Ltd",
+    aliases: [],
+    contacts: [],
+    billingAddress: {
+      street: "12 Harbour Road",
+      city: "Aberdeen",
+      postalCode: "AB11 5BB",
+      country: "United Kingdom",
+    },
+  },
+  {
+    id: "CU-1002",
+    name: "BlueWave",
+    legalName: "BlueWave Offshore B.V.",
+    aliases: [],
+    contacts: [],
+  },
+];
+
+const bookings = [
+  {
+    id: "BK-2001",
+    customer: "Acme Wind",
+    customerId: "CU-1001",
+    vessel: "Nordic Star",
+    vesselId: "VS-1001",
+    status: "confirmed",
+    startDate: "2030-01-10",
+    endDate: "2030-01-20",
+  },
+  {
+    id: "BK-2002",
+    customer: "Acme Wind",
+    customerId: "CU-1001",
+    vessel: "Nordic Star",
+    vesselId: "VS-1001",
+    status: "confirmed",
+    startDate: "2030-02-01",
+    endDate: "2030-02-05",
+    discountPercent: 10,
+  },
+  {
+    id: "BK-2003",
+    customer: "Acme Wind",
+    customerId: "CU-1001",
+    vessel: "Nordic Star",
+    vesselId: "VS-1001",
+    status: "pending",
+    startDate: "2030-03-01",
+    endDate: "2030-03-05",
+  },
+  {
+    id: "BK-2004",
+    customer: "BlueWave",
+    customerId: "CU-1002",
+    vessel: "Nordic Star",
+    vesselId: "VS-1001",
+    status: "confirmed",
+    startDate: "2030-04-01",
+    endDate: "2030-04-03",
+  },
+  {
+    id: "BK-2005",
+    customer: "Acme Wind",
+    customerId: "CU-1001",
+    vessel: "Wave Rider",
+    vesselId: "VS-1002",
+    status: "confirmed",
+    startDate: "2030-05-01",
+    endDate: "2030-05-03",
+  },
+];
+
+beforeEach(() => {
+  setBookingAdapter(createMemoryAdapter(bookings));
+  setVesselAdapter(createMemoryRegistry(vessels, VESSEL_REGISTRY_OPTIONS));
+  setCustomerAdapter(
+    createMemoryRegistry(customers, CUSTOMER_REGISTRY_OPTIONS)
+  );
+  setInvoiceAdapter(createMemoryRegistry([], INVOICE_REGISTRY_OPTIONS));
+});
+
+describe("invoiceUtils", () => {
+  test("numbers invoices in sequence per year", () => {
+    const invoices = [
+      { number: "INV-2030-0007" },
+      { number: "INV-2029-0012" },
+      { number: null },
+    ];
+
+    expect(getNextInvoiceNumber(invoices, "2030-03-01")).toBe("INV-2030-0008");
+    expect(getNextInvoiceNumber(invoices, "2031-01-02")).toBe("INV-2031-0001");
+  });
+
+  test("works out due dates and allowed status changes", () => {
+    expect(calculateDueDate("2030-01-20", 30)).toBe("2030-02-19");
+    expect(calculateDueDate("2030-01-20", 0)).toBe("2030-01-20");
+    expect(canTransitionInvoice("draft", "issued")).toBe(true);
+    expect(canTransitionInvoice("issued", "paid")).toBe(true);
+    expect(canTransitionInvoice("draft", "paid")).toBe(false);
+    expect(canTransitionInvoice("paid", "void")).toBe(false);
+    expect(
+      isInvoiceOverdue(
+        { status: "issued", dueDate: "2030-02-19" },
+        "2030-03-01"
+      )
+    ).toBe(true);
+    expect(
+      isInvoiceOverdue({ status: "paid", dueDate: "2030-02-19" }, "2030-03-01")
+    ).toBe(false);
+  });
+
+  test("builds lines from booking values and adds up VAT", () => {
+    const lines = buildInvoiceLines(bookings.slice(0, 2), vessels);
+
+    expect(lines).toEqual([
+      {
+        bookingId: "BK-2001",
+        description:
+          "Nordic Star charter 10/01/2030 - 20/01/2030 (BK-2001), daily rate",
+        quantity: 10,
+        unitPrice: 1000,
+        amount: 10000,
+      },
+      {
+        bookingId: "BK-2002",
+        description:
+          "Nordic Star charter 01/02/2030 - 05/02/2030 (BK-2002), daily rate",
+        quantity: 4,
+        unitPrice: 1000,
+        amount: 4000,
+      },
+      {
+        bookingId: "BK-2002",
+        description:
+          "Nordic Star charter 01/02/2030 - 05/02/2030 (BK-2002), discount 10%",
+        quantity: 1,
+        unitPrice: -400,
+        amount: -400,
+      },
+    ]);
+    expect(calculateInvoiceTotals({ lines, vatRate: 24 })).toEqual({
+      subtotal: 13600,
+      vatAmount: 3264,
+      total: 16864,
+    });
+  });
+
+  test("bills an overridden value as a single agreed line", () => {
+    const [line] = buildInvoiceLines(
+      [{ ...bookings[0], valueOverride: 7500 }],
+      vessels
+    );
+
+    expect(line).toMatchObject({
+      description:
+        "Nordic Star charter 10/01/2030 - 20/01/2030 (BK-2001), agreed value",
+      quantity: 1,
+      amount: 7500,
+    });
+  });
+
+  test("checks that bookings can be invoiced together", () => {
+    const issued = [
+      {
+        id: "IV-1001",
+        number: "INV-2030-0001",
+        status: "issued",
+        bookingIds: ["BK-2001"],
+      },
+    ];
+
+    expect(checkBookingsInvoiceable([], [], vessels)).toBe(
+      "Choose at least one booking to invoice"
+    );
+    expect(checkBookingsInvoiceable([bookings[2]], [], vessels)).toBe(
+      "BK-2003 is not confirmed"
+    );
+    expect(checkBookingsInvoiceable([bookings[4]], [], vessels)).toBe(
+      "BK-2005 has no value; give Wave Rider a rate card or the booking a value override"
+    );
+    expect(
+      checkBookingsInvoiceable([bookings[0], bookings[3]], [], vessels)
+    ).toBe("All bookings on an invoice must be for the same customer");
+    expect(
+      checkBookingsInvoiceable(
+        [bookings[0], { ...bookings[1], valueOverride: 5000, currency: "USD" }],
+        [],
+        vessels
+      )
+    ).toBe("All bookings on an invoice must be priced in the same currency");
+    expect(checkBookingsInvoiceable([bookings[0]], issued, vessels)).toBe(
+      "BK-2001 is already on invoice INV-2030-0001"
+    );
+    expect(
+      checkBookingsInvoiceable(
+        [bookings[0]],
+        [{ ...issued[0], status: "void" }],
+        vessels
+      )
+    ).toBeNull();
+  });
+
+  test("prefers the invoice that is not void for a booking", () => {
+    const invoices = [
+      { id: "IV-1001", status: "void", bookingIds: ["BK-2001"] },
+      { id: "IV-1002", status: "draft", bookingIds: ["BK-2001", "BK-2002"] },
+    ];
+
+    expect(findBookingInvoice(invoices, "BK-2001").id).toBe("IV-1002");
+    expect(findBookingInvoice(invoices.slice(0, 1), "BK-2001").id).toBe(
+      "IV-1001"
+    );
+    expect(findBookingInvoice(invoices, "BK-2003")).toBeUndefined();
+  });
+
+  test("validates VAT rate and payment terms", () => {
+    expect(
+      validateInvoice({
+        customer: { name: "Acme Wind" },
+        lines: [],
+        vatRate: 120,
+        paymentTermsDays: 7.5,
+      }).errors
+    ).toEqual({
+      lines: "An invoice needs at least one line",
+      vatRate: "VAT rate must be between 0 and 100%",
+      paymentTermsDays: "Payment terms must be a whole number of days",
+    });
+
+    const issued = { id: "IV-1001", number: "INV-2030-0001" };
+    expect(
+      validateInvoice(
+        { ...issued, id: "IV-1002", customer: { name: "Acme Wind" } },
+        [issued]
+      ).errors.number
+    ).toBe("Invoice number INV-2030-0001 is already used");
+    expect(
+      validateInvoice(
+        { ...issued, customer: { name: "Acme Wind" } },
+        [issued],
+        "IV-1001"
+      ).errors.number
+    ).toBeUndefined();
+  });
+
+  test("renders a print-ready HTML invoice with escaped text", () => {
+    const invoice = {
+      id: "IV-1001",
+      number: "INV-2030-0001",
+      status: "issued",
+      customer: {
+        name: "Acme Wind",
+        legalName: "Acme <Wind> Energy Ltd",
+        billingAddress: customers[0].billingAddress,
+      },
+      bookingIds: ["BK-2001"],
+      lines: buildInvoiceLines([bookings[0]], vessels),
+      vatRate: 24,
+      paymentTermsDays: 30,
+      issueDate: "2030-01-20",
+      dueDate: "2030-02-19",
+      notes: "Pay to IBAN GR16 0110 1250 0000 0001 2300 695",
+    };
+
+    const html = buildInvoiceHTML(invoice);
+    expect(html).toContain("<title>Invoice INV-2030-0001</title>");
+    expect(html).toContain("Acme &lt;Wind&gt; Energy Ltd");
+    expect(html).toContain(
+      "12 Harbour Road, AB11 5BB Aberdeen, United Kingdom"
+    );
+    expect(html).toContain("19/02/2030");
+    expect(html).toContain("Net 30 days");
+    expect(html).toMatch(/Total due<\/td><td class="numeric">12\.400,00\s€/);
+    expect(html).toContain("GR16 0110");
+    expect(html).toContain("@page");
+    expect(buildInvoiceHTML({ ...invoice, currency: "USD" })).toMatch(
+      /Total due<\/td><td class="numeric">12\.400,00\s\$/
+    );
+
+    expect(buildInvoiceFile(invoice)).toMatchObject({
+      fileName: "inv-2030-0001.html",
+      mimeType: "text/html;charset=utf-8",
+    });
+  });
+});
+
+describe("invoiceService", () => {
+  test("drafts an invoice with the customer's billing details", async () => {
+    const invoice = await invoiceService.createInvoice({
+      bookingIds: ["BK-2001", "BK-2002"],
+      vatRate: 24,
+      paymentTermsDays: 30,
+      notes: " Thank you ",
+    });
+
+    expect(invoice).toMatchObject({
+      id: "IV-1001",
+      number: null,
+      status: "draft",
+      customer: {
+        id: "CU-1001",
+        name: "Acme Wind",
+        legalName: "Acme Wind Energy Ltd",
+      },
+      bookingIds: ["BK-2001", "BK-2002"],
+      currency: "EUR",
+      vatRate: 24,
+      paymentTermsDays: 30,
+      notes: "Thank you",
+      issueDate: null,
+      dueDate: null,
+    });
+    expect(invoice.lines).toHaveLength(3);
+  });
+
+  test("rejects bookings that cannot be invoiced", async () => {
+    await expect(
+      invoiceService.createInvoice({
+        bookingIds: ["BK-2001", "BK-2004"],
+        vatRate: 24,
+        paymentTermsDays: 30,
+      })
+    ).rejects.toMatchObject({
+      code: "VALIDATION_FAILED",
+      fieldErrors: {
+        bookingIds: "All bookings on an invoice must be for the same customer",
+      },
+    });
+
+    await invoiceService.createInvoice({
+      bookingIds: ["BK-2001"],
+      vatRate: 24,
+      paymentTermsDays: 30,
+    });
+    await expect(
+      invoiceService.createInvoice({
+        bookingIds: ["BK-2001"],
+        vatRate: 24,
+        paymentTermsDays: 30,
+      })
+    ).rejects.toMatchObject({
+      fieldErrors: { bookingIds: "BK-2001 is already on invoice IV-1001" },
+    });
+  });
+
+  test("numbers invoices when issued and tracks payment", async () => {
+    const first = await invoiceService.createInvoice({
+      bookingIds: ["BK-2001"],
+      vatRate: 24,
+      paymentTermsDays: 30,
+    });
+    const second = await invoiceService.createInvoice({
+      bookingIds: ["BK-2004"],
+      vatRate: 0,
+      paymentTermsDays: 15,
+    });
+
+    // Drafts are numbered in the order they are issued
+    const issuedSecond = await invoiceService.issueInvoice(second.id, {
+      issueDate: "2030-04-05",
+    });
+    const issuedFirst = await invoiceService.issueInvoice(first.id, {
+      issueDate: "2030-04-06",
+    });
+    expect(issuedSecond).toMatchObject({
+      status: "issued",
+      number: "INV-2030-0001",
+      dueDate: "2030-04-20",
+    });
+    expect(issuedFirst).toMatchObject({
+      number: "INV-2030-0002",
+      dueDate: "2030-05-06",
+    });
+
+    const paid = await invoiceService.markInvoicePaid(first.id, {
+      paidDate: "2030-05-01",
+    });
+    expect(paid).toMatchObject({ status: "paid", paidDate: "2030-05-01" });
+    await expect(
+      invoiceService.voidInvoice(first.id, { reason: "Duplicate" })
+    ).rejects.toEqual(new InvoiceStatusError(first.id, "paid", "void"));
+  });
+
+  test("gives invoices issued at the same time different numbers", async () => {
+    const first = await invoiceService.createInvoice({
+      bookingIds: ["BK-2001"],
+      vatRate: 24,
+      paymentTermsDays: 30,
+    });
+    const second = await invoiceService.createInvoice({
+      bookingIds: ["BK-2004"],
+      vatRate: 24,
+      paymentTermsDays: 30,
+    });
+
+    const issued = await Promise.all([
+      invoiceService.issueInvoice(first.id, { issueDate: "2030-04-05" }),
+      invoiceService.issueInvoice(second.id, { issueDate: "2030-04-05" }),
+    ]);
+
+    expect(issued.map((invoice) => invoice.number).sort()).toEqual([
+      "INV-2030-0001",
+      "INV-2030-0002",
+    ]);
+  });
+
+  test("refuses to issue a draft whose bookings changed value", async () => {
+    const draft = await invoiceService.createInvoice({
+      bookingIds: ["BK-2001"],
+      vatRate: 24,
+      paymentTermsDays: 30,
+    });
+    await vesselService.updateVessel("VS-1001", {
+      type: "survey",
+      rateCard: { dailyRate: 1200, minimumDays: 1, seasons: [] },
+    });
+
+    await expect(invoiceService.issueInvoice(draft.id)).rejects.toMatchObject({
+      fieldErrors: {
+        lines:
+          "The bookings' values changed after this invoice was drafted; void it and draft a new one",
+      },
+    });
+  });
+
+  test("keeps invoiced bookings from changing until the invoice is void", async () => {
+    const invoice = await invoiceService.createInvoice({
+      bookingIds: ["BK-2001"],
+      vatRate: 24,
+      paymentTermsDays: 30,
+    });
+    await invoiceService.issueInvoice(invoice.id, { issueDate: "2030-01-21" });
+
+    await expect(
+      bookingService.updateBooking("BK-2001", { endDate: "2030-01-25" })
+    ).rejects.toEqual(new BookingInvoicedError("BK-2001", "INV-2030-0001"));
+    await expect(
+      bookingService.cancelBooking("BK-2001", { reason: "Weather" })
+    ).rejects.toBeInstanceOf(BookingInvoicedError);
+    await expect(
+      bookingService.bulkUpdate([
+        { id: "BK-2001", changes: { valueOverride: 5000 } },
+      ])
+    ).rejects.toBeInstanceOf(BookingInvoicedError);
+    await expect(bookingService.deleteBooking("BK-2001")).rejects.toThrow(
+      "BK-2001 is on invoice INV-2030-0001; void the invoice before deleting it"
+    );
+
+    // Changes that leave the charge as invoiced go through
+    await vesselService.updateVessel("VS-1001", {
+      name: "Nordic Star II",
+      type: "survey",
+    });
+    await expect(
+      bookingService.updateBooking("BK-2001", {
+        legs: [
+          {
+            loadPort: "NLRTM",
+            loadEta: "2030-01-10T08:00",
+            dischargePort: "NOSVG",
+            dischargeEta: "2030-01-12T08:00",
+          },
+        ],
+      })
+    ).resolves.toMatchObject({ vessel: "Nordic Star II" });
+
+    await invoiceService.voidInvoice(invoice.id, { reason: "Dates moved" });
+    await expect(
+      bookingService.updateBooking("BK-2001", { endDate: "2030-01-25" })
+    ).resolves.toMatchObject({ endDate: "2030-01-25" });
+  });
+
+  test("voids invoices with a reason so their bookings can be invoiced again", async () => {
+    const invoice = await invoiceService.createInvoice({
+      bookingIds: ["BK-2001"],
+      vatRate: 24,
+      paymentTermsDays: 30,
+    });
+
+    await expect(
+      invoiceService.voidInvoice(invoice.id, { reason: "  " })
+    ).rejects.toMatchObject({
+      fieldErrors: { voidReason: "Give a reason for voiding the invoice" },
+    });
+    const voided = await invoiceService.voidInvoice(invoice.id, {
+      reason: "Wrong VAT rate",
+    });
+    expect(voided).toMatchObject({
+      status: "void",
+      voidReason: "Wrong VAT rate",
+    });
+
+    const replacement = await invoiceService.createInvoice({
+      bookingIds: ["BK-2001"],
+      vatRate: 0,
+      paymentTermsDays: 30,
+    });
+    expect(replacement.id).toBe("IV-1002");
+    expect((await invoiceService.getInvoices()).map((i) => i.id)).toEqual([
+      "IV-1002",
+      "IV-1001",
+    ]);
+  });
+});
+
+describe("InvoicesPage", () => {
+  test("drafts an invoice for a customer's confirmed bookings", async () => {
+    renderWithTheme(<InvoicesPage />);
+
+    expect(
+      await screen.findByText(
+        "No invoices yet. Invoice confirmed bookings to get started."
+      )
+    ).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole("button", { name: /New Invoice/ }));
+    const dialog = screen.getByRole("dialog");
+    await waitFor(() => {
+      expect(screen.getByLabelText("Customer *")).not.toBeDisabled();
+    });
+
+    // Only customers with bookings ready to invoice are offered
+    const customerSelect = screen.getByLabelText("Customer *");
+    expect(
+      [...customerSelect.options].map((option) => option.textContent)
+    ).toEqual(["Choose a customer", "Acme Wind", "BlueWave"]);
+
+    fireEvent.change(customerSelect, { target: { value: "CU-1001" } });
+    expect(screen.getByLabelText(/BK-2001/)).toBeChecked();
+    expect(screen.getByLabelText(/BK-2002/)).toBeChecked();
+    expect(screen.queryByLabelText(/BK-2003/)).not.toBeInTheDocument();
+    expect(screen.queryByLabelText(/BK-2005/)).not.toBeInTheDocument();
+    expect(screen.getByLabelText("Invoice totals")).toHaveTextContent(
+      "Subtotal13.600,00 €VAT3.264,00 €Total16.864,00 €"
+    );
+
+    fireEvent.click(screen.getByLabelText(/BK-2002/));
+    fireEvent.change(screen.getByLabelText("VAT rate (%) *"), {
+      target: { value: "150" },
+    });
+    fireEvent.click(screen.getByRole("button", { name: /Create Draft/ }));
+    expect(
+      screen.getByText("VAT rate must be between 0 and 100%")
+    ).toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText("VAT rate (%) *"), {
+      target: { value: "0" },
+    });
+    fireEvent.click(screen.getByRole("button", { name: /Create Draft/ }));
+
+    expect(
+      await screen.findByText("Draft invoice IV-1001 created for Acme Wind")
+    ).toBeInTheDocument();
+    expect(dialog).not.toBeInTheDocument();
+    expect(
+      screen.getByRole("heading", { name: "Draft IV-1001" })
+    ).toBeInTheDocument();
+    // Line amount, subtotal and total at 0% VAT
+    expect(screen.getAllByText("10.000,00 €")).toHaveLength(3);
+  });
+
+  test("issues, pays and voids invoices from the invoice page", async () => {
+    const draft = await invoiceService.createInvoice({
+      bookingIds: ["BK-2004"],
+      vatRate: 24,
+      paymentTermsDays: 0,
+    });
+    renderWithTheme(<InvoicesPage />);
+
+    fireEvent.click(
+      await screen.findByLabelText(`View invoice Draft ${draft.id}`)
+    );
+    fireEvent.click(screen.getByRole("button", { name: /Issue/ }));
+
+    const number = `INV-${new Date().getFullYear()}-0001`;
+    expect(
+      await screen.findByRole("heading", { name: number })
+    ).toBeInTheDocument();
+    expect(screen.getByText(`Invoice ${number} issued`)).toBeInTheDocument();
+    expect(
+      screen.queryByRole("button", { name: /Issue/ })
+    ).not.toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole("button", { name: /Void/ }));
+    fireEvent.click(screen.getByRole("button", { name: /Confirm Void/ }));
+    expect(
+      await screen.findByText("Give a reason for voiding the invoice")
+    ).toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText("Reason for voiding *"), {
+      target: { value: "Customer disputed the dates" },
+    });
+    fireEvent.click(screen.getByRole("button", { name: /Confirm Void/ }));
+    expect(await screen.findByText(`${number} voided`)).toBeInTheDocument();
+    expect(screen.getByText("Customer disputed the dates")).toBeInTheDocument();
+    expect(
+      screen.queryByRole("button", { name: /Mark Paid/ })
+    ).not.toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole("button", { name: /Back to invoices/ }));
+    fireEvent.change(screen.getByLabelText("Status"), {
+      target: { value: "void" },
+    });
+    expect(screen.getByText(number)).toBeInTheDocument();
+    fireEvent.change(screen.getByLabelText("Status"), {
+      target: { value: "paid" },
+    });
+    expect(
+      screen.getByText("No invoices with this status.")
+    ).toBeInTheDocument();
+  });
+});
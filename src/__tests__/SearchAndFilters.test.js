@@ -3,6 +3,13 @@ import { render, screen, fireEvent } from "@testing-library/react";
 import userEvent from "@testing-library/user-event";
 import SearchAndFilters from "../components/SearchAndFilters/SearchAndFilters";
 import { ThemeProvider } from "../contexts/ThemeContext";
+import { filterBookings, validateBookingForm } from "../utils/bookingUtils";
+import {
+  etaToTime,
+  formatEta,
+  formatVoyageLegs,
+  getBookingPorts,
+} from "../utils/portUtils";
 
 // Mock the theme utils
 jest.mock("../utils/themeUtils", () => ({
@@ -237,6 +244,119 @@ describe("SearchAndFilters", () => {
     });
   });
 
+  describe("Vessel Filter", () => {
+    const vessels = [
+      { id: "VS-1001", name: "Nordic Star" },
+      { id: "VS-1002", name: "Sea Finch" },
+    ];
+
+    test("is only shown when registered vessels are given", () => {
+      renderWithTheme(
+        <SearchAndFilters
+          filters={defaultFilters}
+          onFiltersChange={mockOnFiltersChange}
+          onClearFilters={mockOnClearFilters}
+        />
+      );
+
+      expect(screen.queryByLabelText("Vessel")).not.toBeInTheDocument();
+    });
+
+    test("filters by registered vessel", async () => {
+      const { rerender } = renderWithTheme(
+        <SearchAndFilters
+          filters={defaultFilters}
+          onFiltersChange={mockOnFiltersChange}
+          onClearFilters={mockOnClearFilters}
+          vessels={vessels}
+        />
+      );
+
+      const vesselSelect = screen.getByLabelText("Vessel");
+      expect(
+        Array.from(vesselSelect.options).map((option) => option.text)
+      ).toEqual(["All Vessels", "Nordic Star", "Sea Finch"]);
+      await userEvent.selectOptions(vesselSelect, "VS-1002");
+      expect(mockOnFiltersChange).toHaveBeenCalledWith({
+        vesselId: "VS-1002",
+      });
+
+      rerender(
+        <ThemeProvider initialTheme="light">
+          <SearchAndFilters
+            filters={{ ...defaultFilters, vesselId: "VS-1002" }}
+            onFiltersChange={mockOnFiltersChange}
+            onClearFilters={mockOnClearFilters}
+            vessels={vessels}
+          />
+        </ThemeProvider>
+      );
+      expect(screen.getByLabelText("Vessel")).toHaveValue("VS-1002");
+      expect(screen.getByLabelText("Clear all filters")).toBeEnabled();
+    });
+  });
+
+  describe("Customer Filter", () => {
+    test("filters by customer in the directory", async () => {
+      renderWithTheme(
+        <SearchAndFilters
+          filters={defaultFilters}
+          onFiltersChange={mockOnFiltersChange}
+          onClearFilters={mockOnClearFilters}
+          customers={[
+            { id: "CU-1001", name: "Acme Wind" },
+            { id: "CU-1002", name: "BlueWave" },
+          ]}
+        />
+      );
+
+      const customerSelect = screen.getByLabelText("Customer");
+      expect(
+        Array.from(customerSelect.options).map((option) => option.text)
+      ).toEqual(["All Customers", "Acme Wind", "BlueWave"]);
+      await userEvent.selectOptions(customerSelect, "CU-1002");
+      expect(mockOnFiltersChange).toHaveBeenCalledWith({
+        customerId: "CU-1002",
+      });
+    });
+  });
+
+  describe("Port Filter", () => {
+    test("filters by port of call", async () => {
+      renderWithTheme(
+        <SearchAndFilters
+          filters={defaultFilters}
+          onFiltersChange={mockOnFiltersChange}
+          onClearFilters={mockOnClearFilters}
+          ports={[
+            { code: "NLRTM", name: "Rotterdam" },
+            { code: "NOSVG", name: "Stavanger" },
+          ]}
+        />
+      );
+
+      const portSelect = screen.getByLabelText("Port");
+      expect(
+        Array.from(portSelect.options).map((option) => option.text)
+      ).toEqual(["All Ports", "Rotterdam (NLRTM)", "Stavanger (NOSVG)"]);
+      await userEvent.selectOptions(portSelect, "NOSVG");
+      expect(mockOnFiltersChange).toHaveBeenCalledWith({ port: "NOSVG" });
+    });
+
+    test("is only shown when the port list is given", () => {
+      renderWithTheme(
+        <SearchAndFilters
+          filters={{ ...defaultFilters, port: "NOSVG" }}
+          onFiltersChange={mockOnFiltersChange}
+          onClearFilters={mockOnClearFilters}
+        />
+      );
+
+      expect(screen.queryByLabelText("Port")).not.toBeInTheDocument();
+      expect(screen.getByLabelText("Clear all filters")).toBeEnabled();
+    });
+  });
+
   describe("Date Range Filter", () => {
     test("calls onFiltersChange when start date is changed", async () => {
       renderWithTheme(
@@ -469,3 +589,89 @@ describe("SearchAndFilters", () => {
     });
   });
 });
+
+describe("voyage legs", () => {
+  const legs = [
+    {
+      loadPort: "NLRTM",
+      loadEta: "2030-03-02T08:00",
+      dischargePort: "NOSVG",
+      dischargeEta: "2030-03-04T14:00",
+    },
+    {
+      loadPort: "NOSVG",
+      loadEta: "2030-03-06T06:00",
+      dischargePort: "GBABD",
+      dischargeEta: "2030-03-07T18:30",
+    },
+  ];
+  const booking = {
+    customer: "Acme Wind",
+    vessel: "Nordic Star",
+    status: "pending",
+    startDate: "2030-03-01",
+    endDate: "2030-03-10",
+    legs,
+  };
+
+  test("filters bookings by any port a leg calls at", () => {
+    const bookings = [
+      { ...booking, id: "BK-1" },
+      { ...booking, id: "BK-2", legs: [] },
+    ];
+
+    expect(getBookingPorts(booking)).toEqual(["NLRTM", "NOSVG", "GBABD"]);
+    expect(
+      filterBookings(bookings, { port: "GBABD" }).map((item) => item.id)
+    ).toEqual(["BK-1"]);
+    expect(filterBookings(bookings, { port: "GRPIR" })).toEqual([]);
+    expect(filterBookings(bookings, { port: "" })).toHaveLength(2);
+  });
+
+  test("reads ETAs in the port's local time", () => {
+    expect(etaToTime("2030-03-01T12:00", "GRPIR")).toBe(
+      Date.UTC(2030, 2, 1, 10, 0)
+    );
+    expect(etaToTime("2030-07-01T12:00", "GRPIR")).toBe(
+      Date.UTC(2030, 6, 1, 9, 0)
+    );
+    expect(etaToTime("2030-07-01T12:00", "USHOU")).toBe(
+      Date.UTC(2030, 6, 1, 17, 0)
+    );
+    expect(formatEta("2030-07-01T08:30", "NOSVG")).toBe(
+      "01/07/2030 08:30 (UTC+2)"
+    );
+    expect(formatEta("2030-01-15T08:30", "GBABD", "en-US")).toBe(
+      "01/15/2030 08:30 (UTC+0)"
+    );
+    expect(formatEta("", "GBABD")).toBe("—");
+    expect(formatVoyageLegs(legs.slice(0, 1))).toBe(
+      "Rotterdam (NLRTM) → Stavanger (NOSVG)"
+    );
+  });
+
+  test("validates legs with the booking form", () => {
+    const errorFor = (changes) =>
+      validateBookingForm({ ...booking, ...changes }).errors.legs;
+
+    expect(errorFor({})).toBeUndefined();
+    expect(errorFor({ legs: [{ ...legs[0], dischargePort: "" }] })).toBe(
+      "Every leg needs a load port and a discharge port"
+    );
+    expect(errorFor({ legs: [{ ...legs[0], loadPort: "XXABC" }] })).toBe(
+      "Choose ports from the port list"
+    );
+    expect(errorFor({ legs: [{ ...legs[0], dischargePort: "NLRTM" }] })).toBe(
+      "A leg cannot load and discharge at the same port"
+    );
+    expect(errorFor({ legs: [{ ...legs[0], loadEta: "" }] })).toBe(
+      "Every port call needs an ETA"
+    );
+    expect(
+      errorFor({ legs: [legs[0], { ...legs[1], loadEta: "2030-03-04T13:00" }] })
+    ).toBe("Port calls must follow each other in voyage order");
+    expect(errorFor({ endDate: "2030-03-05" })).toBe(
+      "Port calls must fall within the charter period"
+    );
+  });
+});
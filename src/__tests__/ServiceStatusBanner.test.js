@@ -0,0 +1,79 @@
+import React from "react";
+import { render, screen, fireEvent, act } from "@testing-library/react";
+import "@testing-library/jest-dom";
+import ServiceStatusBanner from "../components/ServiceStatusBanner/ServiceStatusBanner";
+import { ThemeProvider } from "../contexts/ThemeContext";
+import { CIRCUIT_STATES } from "../services/circuitBreaker";
+
+// Helper function to render components with ThemeProvider
+const renderWithTheme = (component) => {
+  return render(<ThemeProvider>{component}</ThemeProvider>);
+};
+
+describe("ServiceStatusBanner", () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  const openStatus = (secondsFromNow) => ({
+    state: CIRCUIT_STATES.OPEN,
+    consecutiveFailures: 5,
+    retryAt: new Date(Date.now() + secondsFromNow * 1000).toISOString(),
+  });
+
+  test("renders nothing while the service is healthy", () => {
+    const { container } = renderWithTheme(
+      <ServiceStatusBanner
+        status={{
+          state: CIRCUIT_STATES.CLOSED,
+          consecutiveFailures: 0,
+          retryAt: null,
+        }}
+        onRetry={jest.fn()}
+      />
+    );
+
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  test("counts down to the next probe", () => {
+    renderWithTheme(
+      <ServiceStatusBanner status={openStatus(30)} onRetry={jest.fn()} />
+    );
+
+    expect(screen.getByRole("status")).toHaveTextContent("Service degraded.");
+    expect(screen.getByText("Retrying in 30s.")).toBeInTheDocument();
+
+    act(() => {
+      jest.advanceTimersByTime(3000);
+    });
+    expect(screen.getByText("Retrying in 27s.")).toBeInTheDocument();
+
+    act(() => {
+      jest.advanceTimersByTime(27000);
+    });
+    expect(screen.getByText(/Checking the connection/)).toBeInTheDocument();
+    expect(
+      screen.getByRole("button", { name: /retry connecting/i })
+    ).toBeDisabled();
+  });
+
+  test("retries on request while paused", () => {
+    const onRetry = jest.fn();
+    renderWithTheme(
+      <ServiceStatusBanner status={openStatus(30)} onRetry={onRetry} />
+    );
+
+    fireEvent.click(
+      screen.getByRole("button", {
+        name: "Retry connecting to the bookings server now",
+      })
+    );
+
+    expect(onRetry).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,114 @@
+import React from "react";
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import "@testing-library/jest-dom";
+import SyncQueuePanel from "../components/SyncQueuePanel/SyncQueuePanel";
+import { ThemeProvider } from "../contexts/ThemeContext";
+import { ToastProvider } from "../contexts/ToastContext";
+
+// Helper function to render components with ThemeProvider and ToastProvider
+const renderWithTheme = (component) => {
+  return render(
+    <ThemeProvider>
+      <ToastProvider>{component}</ToastProvider>
+    </ThemeProvider>
+  );
+};
+
+const queuedCreate = {
+  id: "OP-1",
+  type: "create",
+  bookingId: "LOCAL-1",
+  payload: {
+    customer: "Acme Wind",
+    vessel: "Nordic Star",
+    startDate: "2030-01-10",
+    endDate: "2030-01-22",
+  },
+  options: {},
+  queuedAt: "2030-06-01T12:00:00.000Z",
+  attempts: 3,
+  nextAttemptAt: "2030-06-01T12:00:14.000Z",
+  lastError: "Failed to create booking. Please try again.",
+  failed: false,
+};
+
+const rejectedUpdate = {
+  id: "OP-2",
+  type: "update",
+  bookingId: "BK-2002",
+  payload: { status: "confirmed" },
+  options: { expectedVersion: 1 },
+  queuedAt: "2030-06-01T12:01:00.000Z",
+  attempts: 1,
+  nextAttemptAt: "2030-06-01T12:01:02.000Z",
+  lastError: "Booking BK-2002 was changed by someone else.",
+  failed: true,
+};
+
+describe("SyncQueuePanel", () => {
+  const mockOnClose = jest.fn();
+  const mockOnDiscard = jest.fn();
+  const mockOnRetry = jest.fn();
+
+  const renderPanel = (props = {}) =>
+    renderWithTheme(
+      <SyncQueuePanel
+        isOpen={true}
+        onClose={mockOnClose}
+        entries={[queuedCreate, rejectedUpdate]}
+        onDiscard={mockOnDiscard}
+        onRetry={mockOnRetry}
+        {...props}
+      />
+    );
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test("lists queued writes with their retry state", () => {
+    renderPanel();
+
+    expect(screen.getByText("Create LOCAL-1")).toBeInTheDocument();
+    expect(screen.getByText("Acme Wind · Nordic Star")).toBeInTheDocument();
+    expect(screen.getByText(/3 attempts/)).toBeInTheDocument();
+
+    expect(screen.getByText("Update BK-2002")).toBeInTheDocument();
+    expect(
+      screen.getByText("Rejected: Booking BK-2002 was changed by someone else.")
+    ).toBeInTheDocument();
+  });
+
+  test("discards a single queued write", () => {
+    renderPanel();
+
+    fireEvent.click(
+      screen.getByLabelText("Discard queued create of booking LOCAL-1")
+    );
+
+    expect(mockOnDiscard).toHaveBeenCalledWith("OP-1");
+  });
+
+  test("retries now and reports the outcome", async () => {
+    mockOnRetry.mockResolvedValue({
+      synced: [queuedCreate],
+      rejected: [],
+      remaining: [rejectedUpdate],
+    });
+    renderPanel();
+
+    fireEvent.click(screen.getByLabelText("Retry sync now"));
+
+    await waitFor(() => {
+      expect(mockOnRetry).toHaveBeenCalledWith({ force: true });
+    });
+    expect(await screen.findByText("Synced 1 change")).toBeInTheDocument();
+  });
+
+  test("shows an empty state once everything is synced", () => {
+    renderPanel({ entries: [] });
+
+    expect(screen.getByText("All changes are synced.")).toBeInTheDocument();
+    expect(screen.queryByLabelText("Retry sync now")).not.toBeInTheDocument();
+  });
+});
@@ -0,0 +1,129 @@
+import React from "react";
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import "@testing-library/jest-dom";
+import TrashPanel from "../components/TrashPanel/TrashPanel";
+import { ThemeProvider } from "../contexts/ThemeContext";
+import { ToastProvider } from "../contexts/ToastContext";
+
+// Helper function to render components with ThemeProvider and ToastProvider
+const renderWithTheme = (component) => {
+  return render(
+    <ThemeProvider>
+      <ToastProvider>{component}</ToastProvider>
+    </ThemeProvider>
+  );
+};
+
+const deletedBooking = {
+  id: "BK-2001",
+  customer: "Acme Wind",
+  vessel: "Nordic Star",
+  status: "confirmed",
+  startDate: "2030-01-10",
+  endDate: "2030-01-22",
+  deletedAt: "2030-06-01T12:00:00.000Z",
+  deletedBy: "Ops desk",
+};
+
+describe("TrashPanel", () => {
+  const mockOnClose = jest.fn();
+  const mockOnRestore = jest.fn();
+  const mockOnPurge = jest.fn();
+  const mockLoadDeletedBookings = jest.fn();
+
+  const renderPanel = (props = {}) =>
+    renderWithTheme(
+      <TrashPanel
+        isOpen={true}
+        onClose={mockOnClose}
+        loadDeletedBookings={mockLoadDeletedBookings}
+        onRestore={mockOnRestore}
+        onPurge={mockOnPurge}
+        retentionDays={30}
+        {...props}
+      />
+    );
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockLoadDeletedBookings.mockResolvedValue({
+      success: true,
+      bookings: [deletedBooking],
+    });
+  });
+
+  test("lists deleted bookings with who deleted them and when", async () => {
+    renderPanel();
+
+    expect(await screen.findByText("BK-2001")).toBeInTheDocument();
+    expect(screen.getByText("by Ops desk")).toBeInTheDocument();
+    expect(screen.getByText("Jun 1, 2030")).toBeInTheDocument();
+    // Purge date is the deletion date plus the retention period
+    expect(screen.getByText("Jul 1, 2030")).toBeInTheDocument();
+    expect(
+      screen.getByText(/Deleted bookings are kept for 30 days/)
+    ).toBeInTheDocument();
+  });
+
+  test("shows an empty state", async () => {
+    mockLoadDeletedBookings.mockResolvedValue({ success: true, bookings: [] });
+    renderPanel();
+
+    expect(await screen.findByText("The trash is empty.")).toBeInTheDocument();
+  });
+
+  test("restores a booking and removes it from the list", async () => {
+    mockOnRestore.mockResolvedValue({ success: true });
+    renderPanel();
+
+    fireEvent.click(await screen.findByLabelText("Restore booking BK-2001"));
+
+    await waitFor(() => {
+      expect(screen.getByText("The trash is empty.")).toBeInTheDocument();
+    });
+    expect(mockOnRestore).toHaveBeenCalledWith("BK-2001");
+  });
+
+  test("asks for a second click before deleting forever", async () => {
+    mockOnPurge.mockResolvedValue({ success: true });
+    renderPanel();
+
+    fireEvent.click(
+      await screen.findByLabelText("Delete booking BK-2001 forever")
+    );
+    expect(mockOnPurge).not.toHaveBeenCalled();
+
+    fireEvent.click(
+      screen.getByLabelText("Confirm permanent deletion of booking BK-2001")
+    );
+
+    await waitFor(() => {
+      expect(mockOnPurge).toHaveBeenCalledWith("BK-2001");
+    });
+    expect(
+      await screen.findByText("Booking BK-2001 permanently deleted")
+    ).toBeInTheDocument();
+  });
+
+  test("shows restore failures without removing the booking", async () => {
+    mockOnRestore.mockResolvedValue({
+      success: false,
+      error: "Nordic Star is already booked for these dates (BK-2004)",
+    });
+    renderPanel();
+
+    fireEvent.click(await screen.findByLabelText("Restore booking BK-2001"));
+
+    expect(
+      await screen.findByText(/Failed to restore booking: Nordic Star/)
+    ).toBeInTheDocument();
+    expect(screen.getByText("BK-2001")).toBeInTheDocument();
+  });
+
+  test("does not render when isOpen is false", () => {
+    renderPanel({ isOpen: false });
+
+    expect(screen.queryByText("Trash")).not.toBeInTheDocument();
+    expect(mockLoadDeletedBookings).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,578 @@
+import React from "react";
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import "@testing-library/jest-dom";
+import VesselsPage from "../components/VesselsPage/VesselsPage";
+import { ThemeProvider } from "../contexts/ThemeContext";
+import { ToastProvider } from "../contexts/ToastContext";
+import { bookingService, setBookingAdapter } from "../services/bookingService";
+import { createMemoryAdapter } from "../services/adapters";
+import { createMemoryRegistry } from "../services/adapters/createRegistryAdapter";
+import {
+  RegistryRecordInUseError,
+  RegistryValidationError,
+} from "../services/bookingErrors";
+import {
+  VESSEL_REGISTRY_OPTIONS,
+  migrateBookingVessels,
+  setVesselAdapter,
+  vesselService,
+} from "../services/vesselService";
+import {
+  findBookingRateCard,
+  isValidImoNumber,
+  searchVessels,
+  toVesselData,
+  validateVesselForm,
+} from "../utils/vesselUtils";
+import {
+  calculateBookingValue,
+  getDailyRate,
+  parseSeasonDay,
+  toBookingValueData,
+  toRateCardData,
+  validateRateCard,
+} from "../utils/rateUtils";
+
+// Helper function to render components with ThemeProvider and ToastProvider
+const renderWithTheme = (component) => {
+  return render(
+    <ThemeProvider>
+      <ToastProvider>{component}</ToastProvider>
+    </ThemeProvider>
+  );
+};
+
+const vessels = [
+  {
+    id: "VS-1001",
+    name: "Nordic Star",
+    imoNumber: "9784518",
+    type: "service_operation",
+    dwt: 4200,
+    capacity: 60,
+    flag: "Norway",
+    owner: "Nordic Offshore AS",
+  },
+  {
+    id: "VS-1002",
+    name: "Sea Finch",
+    imoNumber: "9612038",
+    type: "crew_transfer",
+    dwt: 45,
+    capacity: 24,
+    flag: "United Kingdom",
+    owner: "Finch Marine Ltd",
+  },
+];
+
+const bookings = [
+  {
+    id: "BK-2001",
+    customer: "Acme Wind",
+    vessel: "Nordic Star",
+    vesselId: "VS-1001",
+    status: "confirmed",
+    startDate: "2030-01-10",
+    endDate: "2030-01-22",
+  },
+  {
+    id: "BK-2002",
+    customer: "BlueWave",
+    vessel: "aurora ",
+    status: "pending",
+    startDate: "2030-02-01",
+    endDate: "2030-02-10",
+  },
+];
+
+beforeEach(() => {
+  setVesselAdapter(createMemoryRegistry(vessels, VESSEL_REGISTRY_OPTIONS));
+  setBookingAdapter(createMemoryAdapter(bookings));
+});
+
+describe("vesselUtils", () => {
+  test("checks IMO numbers and their check digit", () => {
+    expect(isValidImoNumber("9074729")).toBe(true);
+    expect(isValidImoNumber("IMO 9074729")).toBe(true);
+    expect(isValidImoNumber("9074728")).toBe(false);
+    expect(isValidImoNumber("907472")).toBe(false);
+  });
+
+  test("validates required fields, numbers and duplicates", () => {
+    expect(
+      validateVesselForm({ name: "", imoNumber: "123", dwt: "-1" }).errors
+    ).toEqual({
+      name: "Vessel name is required",
+      imoNumber: "IMO number must be 7 digits with a valid check digit",
+      type: "Vessel type is required",
+      dwt: "Must be a positive number",
+    });
+    expect(
+      validateVesselForm(
+        { name: " nordic  star", imoNumber: "IMO 9612038", type: "survey" },
+        vessels
+      ).errors
+    ).toEqual({
+      name: "A vessel with this name is already registered",
+      imoNumber: "A vessel with this IMO number is already registered",
+    });
+    // A vessel never duplicates itself
+    expect(validateVesselForm(vessels[0], vessels, "VS-1001").isValid).toBe(
+      true
+    );
+  });
+
+  test("searches by name first, then by IMO number or owner", () => {
+    const fleet = [
+      ...vessels,
+      { id: "VS-1003", name: "Finch II", imoNumber: "9833723" },
+    ];
+
+    expect(searchVessels(fleet, "finch").map((v) => v.name)).toEqual([
+      "Finch II",
+      "Sea Finch",
+    ]);
+    expect(searchVessels(fleet, "IMO 97845").map((v) => v.name)).toEqual([
+      "Nordic Star",
+    ]);
+    expect(searchVessels(fleet, "").map((v) => v.name)).toEqual([
+      "Finch II",
+      "Nordic Star",
+      "Sea Finch",
+    ]);
+  });
+
+  test("converts form values to stored vessel data", () => {
+    expect(
+      toVesselData({
+        name: "  Blue   Horizon ",
+        imoNumber: "IMO 9551404",
+        type: "anchor_handling",
+        dwt: "3900",
+        capacity: "",
+        flag: " Cyprus ",
+      })
+    ).toEqual({
+      name: "Blue Horizon",
+      imoNumber: "9551404",
+      type: "anchor_handling",
+      dwt: 3900,
+      capacity: null,
+      flag: "Cyprus",
+      owner: "",
+      rateCard: null,
+    });
+  });
+});
+
+describe("rateUtils", () => {
+  const rateCard = {
+    dailyRate: 9000,
+    minimumDays: 5,
+    seasons: [
+      { name: "Summer", start: "06-01", end: "08-31", dailyRate: 12000 },
+      { name: "Winter", start: "12-01", end: "02-28", dailyRate: 8000 },
+    ],
+  };
+
+  test("picks the rate of the season covering a date", () => {
+    expect(getDailyRate(rateCard, "2030-07-14")).toEqual({
+      dailyRate: 12000,
+      season: "Summer",
+    });
+    // Seasons may run over the new year
+    expect(getDailyRate(rateCard, "2031-01-05")).toEqual({
+      dailyRate: 8000,
+      season: "Winter",
+    });
+    expect(getDailyRate(rateCard, "2030-04-20")).toEqual({
+      dailyRate: 9000,
+      season: null,
+    });
+  });
+
+  test("charges each day at its rate and tops up to the minimum", () => {
+    const value = calculateBookingValue(
+      { startDate: "2030-05-30", endDate: "2030-06-02" },
+      rateCard
+    );
+
+    expect(value.lines).toEqual([
+      { season: null, dailyRate: 9000, days: 2, minimum: false, amount: 18000 },
+      {
+        season: "Summer",
+        dailyRate: 12000,
+        days: 1,
+        minimum: false,
+        amount: 12000,
+      },
+      { season: null, dailyRate: 9000, days: 2, minimum: true, amount: 18000 },
+    ]);
+    expect(value).toMatchObject({
+      days: 3,
+      chargedDays: 5,
+      computedValue: 48000,
+      grossValue: 48000,
+      netValue: 48000,
+    });
+  });
+
+  test("keeps the value of a saved booking when the rate card changes", async () => {
+    await vesselService.updateVessel("VS-1002", { rateCard });
+    const data = {
+      customer: "Oceanix",
+      vessel: "Sea Finch",
+      vesselId: "VS-1002",
+      startDate: "2030-05-30",
+      endDate: "2030-06-02",
+    };
+    const { id } = await bookingService.createBooking({
+      ...data,
+      ...toBookingValueData(
+        data,
+        findBookingRateCard(data, await vesselService.getVessels())
+      ),
+    });
+
+    await vesselService.updateVessel("VS-1002", {
+      rateCard: { ...rateCard, dailyRate: 10000 },
+    });
+    const fleet = await vesselService.getVessels();
+    const booking = (await bookingService.getBookings()).find(
+      (candidate) => candidate.id === id
+    );
+
+    expect(
+      calculateBookingValue(booking, findBookingRateCard(booking, fleet))
+    ).toMatchObject({ grossValue: 48000, netValue: 48000 });
+    // Bookings saved without a copy of their rate card follow the vessel's
+    expect(
+      calculateBookingValue(
+        { ...booking, rateCard: undefined },
+        findBookingRateCard(booking, fleet)
+      ).netValue
+    ).toBe(52000);
+  });
+
+  test("applies a manual override and the discount", () => {
+    expect(
+      calculateBookingValue(
+        {
+          startDate: "2030-07-01",
+          endDate: "2030-07-11",
+          valueOverride: 100000,
+          discountPercent: 12.5,
+        },
+        rateCard
+      )
+    ).toMatchObject({
+      computedValue: 120000,
+      grossValue: 100000,
+      isOverridden: true,
+      discountAmount: 12500,
+      netValue: 87500,
+    });
+    // Without a rate card only an override gives the booking a value
+    expect(
+      calculateBookingValue(
+        { startDate: "2030-07-01", endDate: "2030-07-11" },
+        null
+      )
+    ).toMatchObject({ computedValue: null, grossValue: null, netValue: null });
+  });
+
+  test("validates rates, minimum days and overlapping seasons", () => {
+    expect(validateRateCard(null)).toEqual({});
+    expect(
+      validateRateCard({ dailyRate: "", minimumDays: "2.5", seasons: [] })
+    ).toEqual({
+      dailyRate: "Daily rate is required for a rate card",
+      minimumDays: "Minimum days must be a whole number of days",
+    });
+    expect(
+      validateRateCard({
+        dailyRate: "9000",
+        seasons: [
+          { name: "Winter", start: "01/11", end: "28/02", dailyRate: "8000" },
+          { name: "Spring", start: "15/02", end: "31/03", dailyRate: "8500" },
+        ],
+      })
+    ).toEqual({ seasons: "Season 2 overlaps season 1" });
+    expect(parseSeasonDay("31/04")).toBeNull();
+  });
+
+  test("converts rate card form values to stored data", () => {
+    expect(
+      toRateCardData({
+        dailyRate: "9000",
+        minimumDays: "",
+        seasons: [
+          { name: " Summer ", start: "1/6", end: "31/8", dailyRate: "12000" },
+        ],
+      })
+    ).toEqual({
+      dailyRate: 9000,
+      currency: "EUR",
+      minimumDays: null,
+      seasons: [
+        { name: "Summer", start: "06-01", end: "08-31", dailyRate: 12000 },
+      ],
+    });
+    expect(
+      toRateCardData({ dailyRate: "", minimumDays: "", seasons: [] })
+    ).toBeNull();
+  });
+});
+
+describe("vesselService", () => {
+  test("registers vessels with IDs and rejects invalid ones", async () => {
+    const vessel = await vesselService.createVessel({
+      name: "Wave Rider",
+      type: "crew_transfer",
+    });
+
+    expect(vessel).toMatchObject({ id: "VS-1003", version: 1 });
+    await expect(
+      vesselService.createVessel({ name: "Sea Finch", type: "survey" })
+    ).rejects.toMatchObject({
+      code: "VALIDATION_FAILED",
+      fieldErrors: { name: "A vessel with this name is already registered" },
+    });
+    await expect(
+      vesselService.createVessel({ name: "", type: "survey" })
+    ).rejects.toBeInstanceOf(RegistryValidationError);
+  });
+
+  test("copies a new vessel name onto its bookings", async () => {
+    await vesselService.updateVessel("VS-1001", { name: "Nordic Star II" });
+
+    const [renamed] = await bookingService.getBookings();
+    expect(renamed).toMatchObject({
+      vessel: "Nordic Star II",
+      vesselId: "VS-1001",
+      version: 2,
+    });
+  });
+
+  test("undoes the whole update when its bookings cannot be renamed", async () => {
+    const bulkUpdate = jest
+      .spyOn(bookingService, "bulkUpdate")
+      .mockRejectedValueOnce(new Error("Network down"));
+
+    await expect(
+      vesselService.updateVessel("VS-1001", {
+        name: "Nordic Star II",
+        flag: "Greece",
+        capacity: 80,
+        rateCard: { dailyRate: 1200, minimumDays: 1, seasons: [] },
+      })
+    ).rejects.toThrow("Network down");
+    bulkUpdate.mockRestore();
+
+    const [restored] = await vesselService.getVessels();
+    expect(restored).toEqual({
+      ...vessels[0],
+      version: 3,
+      updatedAt: expect.any(String),
+    });
+    expect((await bookingService.getBookings())[0].vessel).toBe("Nordic Star");
+  });
+
+  test("refuses to delete vessels used by bookings", async () => {
+    await expect(vesselService.deleteVessel("VS-1001")).rejects.toEqual(
+      new RegistryRecordInUseError("Nordic Star", ["BK-2001"])
+    );
+
+    await vesselService.deleteVessel("VS-1002");
+    expect((await vesselService.getVessels()).map((v) => v.id)).toEqual([
+      "VS-1001",
+    ]);
+  });
+
+  test("counts bookings in the trash as using a vessel", async () => {
+    await bookingService.deleteBooking("BK-2001");
+
+    await expect(vesselService.deleteVessel("VS-1001")).rejects.toEqual(
+      new RegistryRecordInUseError("Nordic Star", ["BK-2001"])
+    );
+  });
+
+  test("never gives a new vessel the ID of a removed one", async () => {
+    await vesselService.deleteVessel("VS-1002");
+    const created = await vesselService.createVessel({
+      name: "Aurora",
+      type: "survey",
+    });
+    expect(created.id).toBe("VS-1003");
+
+    await vesselService.deleteVessel("VS-1003");
+    const next = await vesselService.createVessel({
+      name: "Boreas",
+      type: "survey",
+    });
+    expect(next.id).toBe("VS-1004");
+  });
+
+  test("links existing bookings to vessels by name", async () => {
+    const result = await migrateBookingVessels();
+
+    expect(result).toEqual({ linked: 1, registered: 1 });
+    const migrated = (await bookingService.getBookings())[1];
+    expect(migrated).toMatchObject({ vessel: "aurora", vesselId: "VS-1003" });
+    expect((await vesselService.getVessels())[0]).toMatchObject({
+      name: "aurora",
+      type: "other",
+    });
+
+    // Running it again changes nothing
+    expect(await migrateBookingVessels()).toEqual({
+      linked: 0,
+      registered: 0,
+    });
+  });
+});
+
+describe("VesselsPage", () => {
+  test("lists registered vessels with their specifications", async () => {
+    renderWithTheme(<VesselsPage />);
+
+    expect(await screen.findByText("Nordic Star")).toBeInTheDocument();
+    expect(screen.getByText("9784518")).toBeInTheDocument();
+    expect(screen.getByText("Service operation vessel")).toBeInTheDocument();
+    expect(screen.getByText("4,200")).toBeInTheDocument();
+    expect(screen.getByText("Finch Marine Ltd")).toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText("Search vessels"), {
+      target: { value: "9612" },
+    });
+    expect(screen.queryByText("Nordic Star")).not.toBeInTheDocument();
+    expect(screen.getByText("Sea Finch")).toBeInTheDocument();
+  });
+
+  test("adds a vessel through the form", async () => {
+    renderWithTheme(<VesselsPage />);
+    await screen.findByText("Nordic Star");
+
+    fireEvent.click(screen.getByRole("button", { name: /Add Vessel/ }));
+    const dialog = screen.getByRole("dialog");
+    fireEvent.change(screen.getByLabelText("Vessel name *"), {
+      target: { value: "Sea Finch" },
+    });
+    fireEvent.change(screen.getByLabelText("IMO number"), {
+      target: { value: "1234568" },
+    });
+    fireEvent.click(
+      screen.getAllByRole("button", { name: /Add Vessel/ }).at(-1)
+    );
+
+    expect(
+      screen.getByText("A vessel with this name is already registered")
+    ).toBeInTheDocument();
+    expect(
+      screen.getByText("IMO number must be 7 digits with a valid check digit")
+    ).toBeInTheDocument();
+    expect(screen.getByText("Vessel type is required")).toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText("Vessel name *"), {
+      target: { value: "Wave Rider" },
+    });
+    fireEvent.change(screen.getByLabelText("IMO number"), {
+      target: { value: "9886172" },
+    });
+    fireEvent.change(screen.getByLabelText("Type *"), {
+      target: { value: "crew_transfer" },
+    });
+    fireEvent.change(screen.getByLabelText("Deadweight (t)"), {
+      target: { value: "38" },
+    });
+    fireEvent.click(
+      screen.getAllByRole("button", { name: /Add Vessel/ }).at(-1)
+    );
+
+    expect(
+      await screen.findByText("Wave Rider added to the registry")
+    ).toBeInTheDocument();
+    expect(dialog).not.toBeInTheDocument();
+    expect(screen.getByText("9886172")).toBeInTheDocument();
+  });
+
+  test("edits a vessel", async () => {
+    renderWithTheme(<VesselsPage />);
+
+    fireEvent.click(await screen.findByLabelText("Edit vessel Sea Finch"));
+    expect(screen.getByLabelText("Vessel name *")).toHaveValue("Sea Finch");
+    fireEvent.change(screen.getByLabelText("Owner"), {
+      target: { value: "Finch Offshore" },
+    });
+    fireEvent.click(screen.getByRole("button", { name: /Save Vessel/ }));
+
+    expect(await screen.findByText("Sea Finch updated")).toBeInTheDocument();
+    expect(screen.getByText("Finch Offshore")).toBeInTheDocument();
+  });
+
+  test("sets a rate card with seasonal rates", async () => {
+    renderWithTheme(<VesselsPage />);
+
+    fireEvent.click(await screen.findByLabelText("Edit vessel Nordic Star"));
+    fireEvent.change(screen.getByLabelText("Daily rate"), {
+      target: { value: "28000" },
+    });
+    fireEvent.click(screen.getByRole("button", { name: /Add Season/ }));
+    fireEvent.click(screen.getByRole("button", { name: /Add Season/ }));
+    [
+      ["Summer", "01/05", "30/09", "32000"],
+      ["Late summer", "15/09", "31/10", "30000"],
+    ].forEach((values, index) => {
+      ["Season", "From", "To", "Daily rate"].forEach((label, field) => {
+        fireEvent.change(
+          screen.getByLabelText(`${label} of season ${index + 1}`),
+          { target: { value: values[field] } }
+        );
+      });
+    });
+    fireEvent.click(screen.getByRole("button", { name: /Save Vessel/ }));
+
+    expect(screen.getByText("Season 2 overlaps season 1")).toBeInTheDocument();
+
+    fireEvent.click(screen.getByLabelText("Remove season 2"));
+    fireEvent.click(screen.getByRole("button", { name: /Save Vessel/ }));
+
+    expect(await screen.findByText("Nordic Star updated")).toBeInTheDocument();
+    expect(screen.getByText("28.000,00 €")).toBeInTheDocument();
+    expect(screen.getByText("1 seasonal rate")).toBeInTheDocument();
+    expect(
+      (await vesselService.getVessels()).find((v) => v.id === "VS-1001")
+        .rateCard
+    ).toEqual({
+      dailyRate: 28000,
+      currency: "EUR",
+      minimumDays: null,
+      seasons: [
+        { name: "Summer", start: "05-01", end: "09-30", dailyRate: 32000 },
+      ],
+    });
+  });
+
+  test("deletes after confirmation and keeps vessels used by bookings", async () => {
+    renderWithTheme(<VesselsPage />);
+
+    fireEvent.click(await screen.findByLabelText("Delete vessel Nordic Star"));
+    fireEvent.click(
+      screen.getByLabelText("Confirm deletion of vessel Nordic Star")
+    );
+    expect(
+      await screen.findByText(
+        "Failed to delete vessel: Nordic Star is used by 1 booking (BK-2001)"
+      )
+    ).toBeInTheDocument();
+
+    fireEvent.click(screen.getByLabelText("Delete vessel Sea Finch"));
+    fireEvent.click(
+      screen.getByLabelText("Confirm deletion of vessel Sea Finch")
+    );
+    await waitFor(() => {
+      expect(screen.queryByText("Finch Marine Ltd")).not.toBeInTheDocument();
+    });
+    expect(screen.getByText("Nordic Star")).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,1841 @@
+import {
+  bookingService,
+  setBookingAdapter,
+  getBookingAdapter,
+} from "../services/bookingService";
+import {
+  BULK_ITEM_STATUS,
+  BookingAbortError,
+  BookingApiError,
+  BookingBulkError,
+  BookingConflictError,
+  BookingNetworkError,
+  BookingServiceUnavailableError,
+  BookingTransitionError,
+  BookingVersionConflictError,
+} from "../services/bookingErrors";
+import {
+  createBookingAdapter,
+  createHttpAdapter,
+  createLocalStorageAdapter,
+  createMemoryAdapter,
+} from "../services/adapters";
+import {
+  BOOKINGS_DB_MIGRATIONS,
+  getSchemaVersion,
+  runMigrations,
+} from "../services/adapters/indexedDbMigrations";
+import {
+  setConflictPolicy,
+  resetConflictPolicy,
+} from "../services/conflictPolicy";
+import { setAuditActor } from "../services/auditLog";
+import {
+  MUTATION_TYPES,
+  clearMutationQueue,
+  discardMutation,
+  enqueueMutation,
+  flushMutationQueue,
+  getQueuedMutations,
+  getRetryDelay,
+} from "../services/mutationQueue";
+import { resetTrashPolicy, setTrashPolicy } from "../services/trashPolicy";
+import {
+  CIRCUIT_STATES,
+  getCircuitState,
+  resetCircuitBreaker,
+} from "../services/circuitBreaker";
+import {
+  getBackoffDelay,
+  isTransientError,
+  resetRetryPolicy,
+  setRetryPolicy,
+} from "../services/retryPolicy";
+import {
+  createSeededRandom,
+  forceFailure,
+  getFaultProfile,
+  resetFaultProfile,
+  setFaultProfile,
+} from "../services/faultProfile";
+
+const seedBookings = [
+  {
+    id: "BK-2001",
+    customer: "Acme Wind",
+    vessel: "Nordic Star",
+    status: "confirmed",
+    startDate: "2030-01-10",
+    endDate: "2030-01-22",
+  },
+  {
+    id: "BK-2002",
+    customer: "BlueWave",
+    vessel: "Nordic Star",
+    status: "pending",
+    startDate: "2030-02-01",
+    endDate: "2030-02-10",
+  },
+  {
+    id: "BK-2003",
+    customer: "Oceanix",
+    vessel: "Nordic Star",
+    status: "cancelled",
+    startDate: "2030-03-01",
+    endDate: "2030-03-10",
+  },
+];
+
+// Run a service call to completion under fake timers
+const run = async (promise) => {
+  jest.runAllTimers();
+  return promise;
+};
+
+describe("bookingService", () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    localStorage.setItem("bookings_data", JSON.stringify(seedBookings));
+    resetConflictPolicy();
+    setFaultProfile({ errorRate: 0 });
+    // One attempt per call, so each failure surfaces; retries are tested below
+    setRetryPolicy({ maxAttempts: 1 });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    localStorage.clear();
+    resetFaultProfile();
+    resetRetryPolicy();
+    resetCircuitBreaker();
+  });
+
+  describe("Vessel double-booking detection", () => {
+    test("rejects a booking overlapping a confirmed booking for the same vessel", async () => {
+      await expect(
+        run(
+          bookingService.createBooking({
+            customer: "Deep Sea Logistics",
+            vessel: " nordic star ",
+            status: "pending",
+            startDate: "2030-01-20",
+            endDate: "2030-01-25",
+          })
+        )
+      ).rejects.toMatchObject({
+        name: "BookingConflictError",
+        code: "BOOKING_CONFLICT",
+        conflictingIds: ["BK-2001"],
+      });
+    });
+
+    test("allows back-to-back bookings and ignores cancelled ones", async () => {
+      const adjacent = await run(
+        bookingService.createBooking({
+          customer: "Deep Sea Logistics",
+          vessel: "Nordic Star",
+          status: "confirmed",
+          startDate: "2030-01-22",
+          endDate: "2030-01-25",
+        })
+      );
+      const overCancelled = await run(
+        bookingService.createBooking({
+          customer: "Maritime Solutions",
+          vessel: "Nordic Star",
+          status: "confirmed",
+          startDate: "2030-03-02",
+          endDate: "2030-03-05",
+        })
+      );
+
+      expect(adjacent.id).toBe("BK-2004");
+      expect(overCancelled.id).toBe("BK-2005");
+    });
+
+    test("holds the vessel from laydays when a booking has a laycan", async () => {
+      const laycanBooking = {
+        customer: "Deep Sea Logistics",
+        vessel: "Nordic Star",
+        status: "confirmed",
+        startDate: "2030-01-23",
+        endDate: "2030-01-28",
+      };
+
+      await expect(
+        run(
+          bookingService.createBooking({
+            ...laycanBooking,
+            laycanStart: "2030-01-21",
+            laycanEnd: "2030-01-24",
+          })
+        )
+      ).rejects.toMatchObject({ conflictingIds: ["BK-2001"] });
+
+      const booking = await run(
+        bookingService.createBooking({
+          ...laycanBooking,
+          laycanStart: "2030-01-22",
+          laycanEnd: "2030-01-24",
+        })
+      );
+      expect(booking.laycanStart).toBe("2030-01-22");
+    });
+
+    test("treats pending bookings as blocking by default", async () => {
+      const attempt = run(
+        bookingService.createBooking({
+          customer: "Deep Sea Logistics",
+          vessel: "Nordic Star",
+          startDate: "2030-02-05",
+          endDate: "2030-02-12",
+        })
+      );
+
+      await expect(attempt).rejects.toBeInstanceOf(BookingConflictError);
+    });
+
+    test("lets pending overlaps through when the policy is set to warn", async () => {
+      setConflictPolicy({ pending: "warn" });
+
+      const booking = await run(
+        bookingService.createBooking({
+          customer: "Deep Sea Logistics",
+          vessel: "Nordic Star",
+          startDate: "2030-02-05",
+          endDate: "2030-02-12",
+        })
+      );
+
+      expect(booking.vessel).toBe("Nordic Star");
+    });
+
+    test("rejects updates that move a booking onto an occupied period", async () => {
+      await expect(
+        run(
+          bookingService.updateBooking("BK-2002", {
+            startDate: "2030-01-15",
+            endDate: "2030-01-18",
+          })
+        )
+      ).rejects.toMatchObject({ conflictingIds: ["BK-2001"] });
+
+      // Editing a booking never conflicts with itself
+      const updated = await run(
+        bookingService.updateBooking("BK-2001", { endDate: "2030-01-24" })
+      );
+      expect(updated.endDate).toBe("2030-01-24");
+    });
+
+    test("matches vessels by registry ID when both bookings have one", async () => {
+      localStorage.setItem(
+        "bookings_data",
+        JSON.stringify([{ ...seedBookings[0], vesselId: "VS-1001" }])
+      );
+      const booking = {
+        customer: "Deep Sea Logistics",
+        status: "confirmed",
+        startDate: "2030-01-15",
+        endDate: "2030-01-18",
+      };
+
+      // A renamed booking still clashes with its vessel's other bookings
+      await expect(
+        run(
+          bookingService.createBooking({
+            ...booking,
+            vessel: "Nordic Star II",
+            vesselId: "VS-1001",
+          })
+        )
+      ).rejects.toMatchObject({ conflictingIds: ["BK-2001"] });
+
+      // A different registered vessel that happens to share the name does not
+      const other = await run(
+        bookingService.createBooking({
+          ...booking,
+          vessel: "Nordic Star",
+          vesselId: "VS-1009",
+        })
+      );
+      expect(other.vesselId).toBe("VS-1009");
+    });
+
+    test("restoring a cancelled booking is checked for conflicts", async () => {
+      await run(
+        bookingService.createBooking({
+          customer: "Maritime Solutions",
+          vessel: "Nordic Star",
+          status: "confirmed",
+          startDate: "2030-03-02",
+          endDate: "2030-03-05",
+        })
+      );
+
+      await expect(
+        run(bookingService.uncancelBooking("BK-2003"))
+      ).rejects.toMatchObject({ conflictingIds: ["BK-2004"] });
+    });
+  });
+
+  describe("Status workflow", () => {
+    test("rejects status changes the workflow does not allow", async () => {
+      await run(bookingService.getBookings());
+
+      const pending = run(bookingService.confirmBooking("BK-2003"));
+      await expect(pending).rejects.toBeInstanceOf(BookingTransitionError);
+      await expect(pending).rejects.toMatchObject({
+        code: "INVALID_TRANSITION",
+        from: "cancelled",
+        to: "confirmed",
+      });
+
+      const bookings = await run(bookingService.getBookings());
+      expect(bookings.find((b) => b.id === "BK-2003").status).toBe("cancelled");
+    });
+
+    test("is enforced by the adapter for callers that skip the service", async () => {
+      const adapter = createMemoryAdapter(seedBookings);
+
+      await expect(
+        adapter.updateBooking("BK-2003", { status: "confirmed" })
+      ).rejects.toBeInstanceOf(BookingTransitionError);
+    });
+
+    test("requires a reason to cancel and stores it", async () => {
+      await expect(
+        run(bookingService.cancelBooking("BK-2002"))
+      ).rejects.toMatchObject({
+        code: "INVALID_TRANSITION",
+        fieldErrors: {
+          cancellationReason: "Cancellation reason is required",
+        },
+      });
+
+      await expect(
+        run(
+          bookingService.cancelBooking("BK-2002", {
+            reason: "Charter withdrawn",
+          })
+        )
+      ).resolves.toMatchObject({
+        status: "cancelled",
+        cancellationReason: "Charter withdrawn",
+      });
+    });
+
+    test("clears the reason when a booking is restored", async () => {
+      await run(
+        bookingService.cancelBooking("BK-2002", { reason: "Charter withdrawn" })
+      );
+
+      const restored = await run(bookingService.uncancelBooking("BK-2002"));
+      expect(restored).toMatchObject({
+        status: "pending",
+        cancellationReason: null,
+      });
+
+      const activity = await bookingService.getBookingActivity("BK-2002");
+      expect(activity[0]).toMatchObject({
+        action: "status_changed",
+        changes: expect.arrayContaining([
+          { field: "status", from: "cancelled", to: "pending" },
+          {
+            field: "cancellationReason",
+            from: "Charter withdrawn",
+            to: null,
+          },
+        ]),
+      });
+    });
+
+    test("refuses to confirm a booking without a vessel", async () => {
+      await run(bookingService.updateBooking("BK-2002", { vessel: "" }));
+
+      await expect(
+        run(bookingService.confirmBooking("BK-2002"))
+      ).rejects.toMatchObject({
+        code: "INVALID_TRANSITION",
+        message: "Assign a vessel and dates before confirming",
+      });
+    });
+
+    test("refuses to create bookings that start cancelled", async () => {
+      await expect(
+        run(
+          bookingService.createBooking({
+            customer: "Maritime Solutions",
+            vessel: "Aurora",
+            status: "cancelled",
+            startDate: "2030-05-01",
+            endDate: "2030-05-03",
+          })
+        )
+      ).rejects.toBeInstanceOf(BookingTransitionError);
+    });
+  });
+
+  describe("Backend adapters", () => {
+    afterEach(() => {
+      setBookingAdapter(createLocalStorageAdapter());
+    });
+
+    test("delegates every operation to the active adapter", async () => {
+      const adapter = createMemoryAdapter(seedBookings);
+      setBookingAdapter(adapter);
+
+      const created = await bookingService.createBooking({
+        customer: "Deep Sea Logistics",
+        vessel: "Sea Finch",
+        startDate: "2030-01-10",
+        endDate: "2030-01-12",
+      });
+      await bookingService.confirmBooking(created.id);
+      await bookingService.deleteBooking("BK-2003");
+
+      const bookings = await bookingService.getBookings();
+      expect(getBookingAdapter()).toBe(adapter);
+      expect(bookings.map((booking) => booking.id)).toEqual([
+        "BK-2001",
+        "BK-2002",
+        "BK-2004",
+      ]);
+      expect(bookings[2].status).toBe("confirmed");
+      // The memory adapter never touches localStorage
+      expect(JSON.parse(localStorage.getItem("bookings_data"))).toHaveLength(3);
+    });
+
+    test("memory adapter enforces the same conflict rules", async () => {
+      setBookingAdapter(createMemoryAdapter(seedBookings));
+
+      await expect(
+        bookingService.updateBooking("BK-2002", { startDate: "2030-01-12" })
+      ).rejects.toBeInstanceOf(BookingConflictError);
+    });
+
+    test("rejects adapters that do not implement the contract", () => {
+      expect(() => setBookingAdapter({ getBookings: () => [] })).toThrow(
+        "Booking adapter is missing required methods: createBooking, updateBooking, deleteBooking"
+      );
+    });
+
+    test("createBookingAdapter rejects unknown adapter types", () => {
+      expect(() => createBookingAdapter({ type: "carrier-pigeon" })).toThrow(
+        "Unknown booking adapter type: carrier-pigeon"
+      );
+    });
+  });
+
+  describe("IndexedDB storage", () => {
+    // Records what a migration queues on the upgrade transaction
+    const createUpgradeContext = (records = []) => {
+      const completeListeners = [];
+      const store = {
+        createIndex: jest.fn(),
+        put: jest.fn((booking) => records.push(booking)),
+      };
+      return {
+        store,
+        completeListeners,
+        db: { createObjectStore: jest.fn(() => store) },
+        transaction: {
+          objectStore: () => store,
+          addEventListener: (type, listener) =>
+            completeListeners.push(listener),
+        },
+      };
+    };
+
+    const migrationFor = (version) =>
+      BOOKINGS_DB_MIGRATIONS.find((migration) => migration.version === version);
+
+    test("runs only migrations newer than the stored version, in order", () => {
+      const migrate = jest.fn();
+      const migrations = [
+        { version: 3, migrate: () => migrate(3) },
+        { version: 1, migrate: () => migrate(1) },
+        { version: 2, migrate: () => migrate(2) },
+      ];
+
+      expect(getSchemaVersion(migrations)).toBe(3);
+      expect(runMigrations({}, 1, migrations)).toEqual([2, 3]);
+      expect(migrate.mock.calls).toEqual([[2], [3]]);
+      expect(runMigrations({}, 3, migrations)).toEqual([]);
+    });
+
+    test("creates the bookings store with lookup indexes", () => {
+      const context = createUpgradeContext();
+
+      migrationFor(1).migrate(context);
+
+      expect(context.db.createObjectStore).toHaveBeenCalledWith("bookings", {
+        keyPath: "id",
+      });
+      expect(
+        context.store.createIndex.mock.calls.map(([name]) => name)
+      ).toEqual(["vessel", "customer", "status", "startDate", "endDate"]);
+    });
+
+    test("imports localStorage bookings and frees the key once committed", () => {
+      const records = [];
+      const context = createUpgradeContext(records);
+
+      migrationFor(2).migrate(context);
+
+      expect(records.map((booking) => booking.id)).toEqual([
+        "BK-2001",
+        "BK-2002",
+        "BK-2003",
+      ]);
+      expect(localStorage.getItem("bookings_data")).not.toBeNull();
+
+      context.completeListeners.forEach((listener) => listener());
+      expect(localStorage.getItem("bookings_data")).toBeNull();
+    });
+
+    test("seeds the sample data when there is nothing to import", () => {
+      localStorage.removeItem("bookings_data");
+      const records = [];
+      const context = createUpgradeContext(records);
+
+      migrationFor(2).migrate(context);
+
+      expect(records.length).toBeGreaterThan(0);
+      expect(context.completeListeners).toHaveLength(0);
+    });
+
+    test("creates the meta store keeping the last booking ID", () => {
+      const context = createUpgradeContext();
+
+      migrationFor(4).migrate(context);
+
+      expect(context.db.createObjectStore).toHaveBeenCalledWith("meta");
+    });
+
+    test("is not offered where the browser has no IndexedDB", () => {
+      expect(() => createBookingAdapter({ type: "indexedDB" })).toThrow(
+        "IndexedDB is not available in this environment"
+      );
+    });
+  });
+
+  describe("HTTP adapter", () => {
+    const respond = (status, body) =>
+      Promise.resolve({
+        ok: status >= 200 && status < 300,
+        status,
+        text: () =>
+          Promise.resolve(body === undefined ? "" : JSON.stringify(body)),
+      });
+
+    test("maps the contract onto REST endpoints", async () => {
+      const fetch = jest
+        .fn()
+        .mockReturnValueOnce(respond(200, seedBookings))
+        .mockReturnValueOnce(respond(201, { id: "BK-2004" }))
+        .mockReturnValueOnce(respond(200, { id: "BK-2001", status: "pending" }))
+        .mockReturnValueOnce(respond(204));
+      const adapter = createHttpAdapter({
+        baseUrl: "https://api.example.com/v1/",
+        headers: { Authorization: "Bearer token" },
+        fetch,
+      });
+
+      await expect(adapter.getBookings()).resolves.toEqual(seedBookings);
+      await adapter.createBooking({ customer: "Acme Wind" });
+      await adapter.updateBooking("BK-2001", { status: "pending" });
+      await expect(adapter.deleteBooking("BK-2001")).resolves.toEqual({
+        success: true,
+      });
+
+      expect(fetch.mock.calls.map(([url, init]) => [init.method, url])).toEqual(
+        [
+          [undefined, "https://api.example.com/v1/bookings"],
+          ["POST", "https://api.example.com/v1/bookings"],
+          ["PATCH", "https://api.example.com/v1/bookings/BK-2001"],
+          ["DELETE", "https://api.example.com/v1/bookings/BK-2001"],
+        ]
+      );
+      expect(JSON.parse(fetch.mock.calls[1][1].body)).toEqual({
+        customer: "Acme Wind",
+        status: "pending",
+      });
+      expect(fetch.mock.calls[1][1].headers).toMatchObject({
+        Authorization: "Bearer token",
+        "Content-Type": "application/json",
+      });
+    });
+
+    test("raises conflicts and API failures as typed errors", async () => {
+      const fetch = jest
+        .fn()
+        .mockReturnValueOnce(
+          respond(409, { conflictingIds: ["BK-2001"], vessel: "Nordic Star" })
+        )
+        .mockReturnValueOnce(respond(404));
+      const adapter = createHttpAdapter({
+        baseUrl: "https://api.example.com",
+        fetch,
+      });
+
+      await expect(
+        adapter.createBooking({ vessel: "Nordic Star" })
+      ).rejects.toMatchObject({
+        name: "BookingConflictError",
+        conflictingIds: ["BK-2001"],
+      });
+      const notFound = adapter.updateBooking("BK-9999", {});
+      await expect(notFound).rejects.toBeInstanceOf(BookingApiError);
+      await expect(notFound).rejects.toMatchObject({
+        status: 404,
+        message: "Booking not found",
+      });
+    });
+  });
+
+  describe("Optimistic concurrency", () => {
+    test("stamps every booking with a version that increments on writes", async () => {
+      const [legacy] = await run(bookingService.getBookings());
+      expect(legacy.version).toBe(1);
+
+      const created = await run(
+        bookingService.createBooking({
+          customer: "Acme Wind",
+          vessel: "Aurora",
+          startDate: "2030-05-01",
+          endDate: "2030-05-05",
+        })
+      );
+      expect(created).toMatchObject({ version: 1 });
+      expect(created.updatedAt).toEqual(expect.any(String));
+
+      const updated = await run(
+        bookingService.updateBooking(
+          created.id,
+          { customer: "BlueWave", version: 42 },
+          { expectedVersion: 1 }
+        )
+      );
+      expect(updated).toMatchObject({ customer: "BlueWave", version: 2 });
+    });
+
+    test("rejects writes based on a stale version with the current booking", async () => {
+      await run(
+        bookingService.confirmBooking("BK-2002", { expectedVersion: 1 })
+      );
+
+      const stale = run(
+        bookingService.cancelBooking("BK-2002", {
+          reason: "Charter withdrawn",
+          expectedVersion: 1,
+        })
+      );
+      await expect(stale).rejects.toBeInstanceOf(BookingVersionConflictError);
+      await expect(stale).rejects.toMatchObject({
+        code: "VERSION_CONFLICT",
+        expectedVersion: 1,
+        current: { id: "BK-2002", status: "confirmed", version: 2 },
+      });
+
+      await expect(
+        run(bookingService.deleteBooking("BK-2002", { expectedVersion: 1 }))
+      ).rejects.toBeInstanceOf(BookingVersionConflictError);
+    });
+
+    test("writes without an expected version are not checked", async () => {
+      await run(bookingService.confirmBooking("BK-2002"));
+      await expect(
+        run(
+          bookingService.cancelBooking("BK-2002", {
+            reason: "Charter withdrawn",
+          })
+        )
+      ).resolves.toMatchObject({ status: "cancelled", version: 3 });
+    });
+
+    test("HTTP adapter sends If-Match and maps 412 responses", async () => {
+      const current = { id: "BK-2001", status: "cancelled", version: 4 };
+      const fetch = jest.fn().mockResolvedValue({
+        ok: false,
+        status: 412,
+        text: () => Promise.resolve(JSON.stringify({ current })),
+      });
+      const adapter = createHttpAdapter({
+        baseUrl: "https://api.example.com",
+        fetch,
+      });
+
+      await expect(
+        adapter.updateBooking(
+          "BK-2001",
+          { status: "confirmed" },
+          { expectedVersion: 3 }
+        )
+      ).rejects.toMatchObject({
+        name: "BookingVersionConflictError",
+        expectedVersion: 3,
+        current,
+      });
+      expect(fetch.mock.calls[0][1].headers["If-Match"]).toBe('"3"');
+      expect(fetch.mock.calls[0][1]).not.toHaveProperty("expectedVersion");
+    });
+  });
+
+  describe("Audit trail", () => {
+    afterEach(() => {
+      setAuditActor();
+    });
+
+    test("records every mutation with a field-level diff and actor", async () => {
+      setAuditActor("Ops desk");
+      await run(bookingService.getBookings());
+
+      const created = await run(
+        bookingService.createBooking({
+          customer: "Acme Wind",
+          vessel: "Aurora",
+          startDate: "2030-05-01",
+          endDate: "2030-05-05",
+        })
+      );
+      await run(bookingService.confirmBooking(created.id));
+      await run(
+        bookingService.updateBooking(created.id, {
+          vessel: "Nordic Star",
+          startDate: "2030-05-02",
+          endDate: "2030-05-06",
+        })
+      );
+      await run(bookingService.deleteBooking(created.id));
+
+      const activity = await bookingService.getBookingActivity(created.id);
+      expect(activity.map((entry) => entry.action)).toEqual([
+        "deleted",
+        "updated",
+        "status_changed",
+        "created",
+      ]);
+      expect(activity[0]).toMatchObject({ actor: "Ops desk", changes: [] });
+      expect(activity[1]).toMatchObject({
+        actor: "Ops desk",
+        changes: [
+          { field: "vessel", from: "Aurora", to: "Nordic Star" },
+          { field: "startDate", from: "2030-05-01", to: "2030-05-02" },
+          { field: "endDate", from: "2030-05-05", to: "2030-05-06" },
+        ],
+      });
+      expect(activity[1].timestamp).toEqual(expect.any(String));
+      expect(activity[2].changes).toEqual([
+        { field: "status", from: "pending", to: "confirmed" },
+      ]);
+      expect(activity[3].changes).toContainEqual({
+        field: "customer",
+        from: null,
+        to: "Acme Wind",
+      });
+    });
+
+    test("does not record failed writes", async () => {
+      await run(bookingService.getBookings());
+
+      await expect(
+        run(
+          bookingService.cancelBooking("BK-2002", {
+            reason: "Charter withdrawn",
+            expectedVersion: 5,
+          })
+        )
+      ).rejects.toBeInstanceOf(BookingVersionConflictError);
+
+      await expect(
+        bookingService.getBookingActivity("BK-2002")
+      ).resolves.toEqual([]);
+    });
+  });
+
+  describe("Trash", () => {
+    afterEach(() => {
+      resetTrashPolicy();
+      setAuditActor();
+    });
+
+    test("deleting moves a booking to the trash instead of removing it", async () => {
+      setAuditActor("Ops desk");
+      await run(bookingService.deleteBooking("BK-2001"));
+
+      const bookings = await run(bookingService.getBookings());
+      expect(bookings.map((booking) => booking.id)).not.toContain("BK-2001");
+
+      const deleted = await run(bookingService.getDeletedBookings());
+      expect(deleted).toHaveLength(1);
+      expect(deleted[0]).toMatchObject({
+        id: "BK-2001",
+        customer: "Acme Wind",
+        deletedBy: "Ops desk",
+      });
+      expect(deleted[0].deletedAt).toEqual(expect.any(String));
+      expect(JSON.parse(localStorage.getItem("bookings_data"))).toHaveLength(3);
+    });
+
+    test("deleted bookings no longer block their vessel", async () => {
+      await run(bookingService.deleteBooking("BK-2001"));
+
+      await expect(
+        run(
+          bookingService.createBooking({
+            customer: "Oceanix",
+            vessel: "Nordic Star",
+            startDate: "2030-01-12",
+            endDate: "2030-01-15",
+          })
+        )
+      ).resolves.toMatchObject({ id: "BK-2004" });
+    });
+
+    test("restores a booking unless its dates have been taken", async () => {
+      await run(bookingService.deleteBooking("BK-2001"));
+      await run(bookingService.deleteBooking("BK-2002"));
+      await run(
+        bookingService.createBooking({
+          customer: "Oceanix",
+          vessel: "Nordic Star",
+          startDate: "2030-02-05",
+          endDate: "2030-02-08",
+        })
+      );
+
+      const restored = await run(bookingService.restoreBooking("BK-2001"));
+      expect(restored).not.toHaveProperty("deletedAt");
+      expect(restored).not.toHaveProperty("deletedBy");
+      await expect(
+        run(bookingService.restoreBooking("BK-2002"))
+      ).rejects.toBeInstanceOf(BookingConflictError);
+
+      const bookings = await run(bookingService.getBookings());
+      expect(bookings.map((booking) => booking.id)).toContain("BK-2001");
+
+      const activity = await bookingService.getBookingActivity("BK-2001");
+      expect(activity.map((entry) => entry.action)).toEqual([
+        "restored",
+        "deleted",
+      ]);
+    });
+
+    test("purges bookings permanently, on request or after retention", async () => {
+      jest.setSystemTime(new Date("2030-06-01T12:00:00Z"));
+      setTrashPolicy({ retentionDays: 7 });
+
+      await run(bookingService.deleteBooking("BK-2001"));
+      await run(bookingService.deleteBooking("BK-2002"));
+      await run(bookingService.purgeBooking("BK-2001"));
+
+      await expect(
+        run(bookingService.restoreBooking("BK-2001"))
+      ).rejects.toThrow("Booking not found");
+      expect(await run(bookingService.getDeletedBookings())).toHaveLength(1);
+
+      jest.setSystemTime(new Date("2030-06-09T12:00:00Z"));
+      expect(await run(bookingService.getDeletedBookings())).toEqual([]);
+      expect(JSON.parse(localStorage.getItem("bookings_data"))).toHaveLength(1);
+    });
+
+    test("never gives a new booking the ID of a purged one", async () => {
+      const newBooking = {
+        customer: "Oceanix",
+        vessel: "Sea Finch",
+        startDate: "2030-05-01",
+        endDate: "2030-05-05",
+      };
+      const created = await run(bookingService.createBooking(newBooking));
+      expect(created.id).toBe("BK-2004");
+      await run(bookingService.deleteBooking("BK-2004"));
+      await run(bookingService.purgeBooking("BK-2004"));
+
+      // A new adapter reads the last ID issued back from storage
+      setBookingAdapter(createLocalStorageAdapter());
+      const next = await run(bookingService.createBooking(newBooking));
+      expect(next.id).toBe("BK-2005");
+      const { results } = await run(
+        bookingService.bulkCreate([
+          { ...newBooking, startDate: "2030-06-01", endDate: "2030-06-05" },
+        ])
+      );
+      expect(results[0].booking.id).toBe("BK-2006");
+
+      const activity = await bookingService.getBookingActivity("BK-2005");
+      expect(activity.map((entry) => entry.action)).toEqual(["created"]);
+    });
+
+    test("never reissues the ID of a purged seeded booking", async () => {
+      const newBooking = {
+        customer: "Oceanix",
+        vessel: "Sea Finch",
+        startDate: "2030-05-01",
+        endDate: "2030-05-05",
+      };
+      setBookingAdapter(createMemoryAdapter(seedBookings));
+
+      try {
+        await run(bookingService.deleteBooking("BK-2003"));
+        await run(bookingService.purgeBooking("BK-2003"));
+        const created = await run(bookingService.createBooking(newBooking));
+        expect(created.id).toBe("BK-2004");
+
+        // Bookings purged once their retention has passed count as well
+        jest.setSystemTime(new Date("2030-06-01T12:00:00Z"));
+        setTrashPolicy({ retentionDays: 7 });
+        setBookingAdapter(createMemoryAdapter(seedBookings));
+        await run(bookingService.deleteBooking("BK-2003"));
+        jest.setSystemTime(new Date("2030-06-09T12:00:00Z"));
+        expect(await run(bookingService.getDeletedBookings())).toEqual([]);
+        const next = await run(bookingService.createBooking(newBooking));
+        expect(next.id).toBe("BK-2004");
+      } finally {
+        setBookingAdapter(createLocalStorageAdapter());
+      }
+    });
+
+    test("ignores invalid retention periods", () => {
+      expect(setTrashPolicy({ retentionDays: -3 }).retentionDays).toBe(30);
+      expect(setTrashPolicy({ retentionDays: 14 }).retentionDays).toBe(14);
+    });
+
+    test("HTTP adapter maps trash operations onto REST endpoints", async () => {
+      const fetch = jest.fn().mockResolvedValue({
+        ok: true,
+        status: 200,
+        text: () => Promise.resolve(""),
+      });
+      const adapter = createHttpAdapter({
+        baseUrl: "https://api.example.com",
+        fetch,
+      });
+
+      await adapter.getDeletedBookings();
+      await adapter.restoreBooking("BK-2001");
+      await expect(adapter.purgeBooking("BK-2001")).resolves.toEqual({
+        success: true,
+      });
+
+      expect(fetch.mock.calls.map(([url, init]) => [init.method, url])).toEqual(
+        [
+          [undefined, "https://api.example.com/trash"],
+          ["POST", "https://api.example.com/trash/BK-2001/restore"],
+          ["DELETE", "https://api.example.com/trash/BK-2001"],
+        ]
+      );
+    });
+  });
+
+  describe("Querying", () => {
+    test("filters, sorts and pages bookings", async () => {
+      const result = await run(
+        bookingService.queryBookings({
+          filters: { status: "" },
+          sort: { column: "startDate", direction: "desc" },
+          page: 1,
+          pageSize: 2,
+        })
+      );
+
+      expect(result).toMatchObject({ total: 3, page: 1 });
+      expect(result.items.map((booking) => booking.id)).toEqual([
+        "BK-2003",
+        "BK-2002",
+      ]);
+
+      const filtered = await run(
+        bookingService.queryBookings({ filters: { customerName: "blue" } })
+      );
+      expect(filtered).toMatchObject({ total: 1, page: 1 });
+      expect(filtered.items[0].id).toBe("BK-2002");
+    });
+
+    test("clamps pages past the end and leaves out deleted bookings", async () => {
+      await run(bookingService.deleteBooking("BK-2003"));
+
+      const result = await run(
+        bookingService.queryBookings({ page: 5, pageSize: 1 })
+      );
+      expect(result).toMatchObject({ total: 2, page: 2 });
+      expect(result.items.map((booking) => booking.id)).toEqual(["BK-2002"]);
+    });
+
+    test("falls back to filtering the full list for adapters without queries", async () => {
+      const { queryBookings, ...adapter } = createMemoryAdapter(seedBookings);
+      setBookingAdapter(adapter);
+
+      try {
+        const result = await bookingService.queryBookings({
+          sort: { column: "customer", direction: "desc" },
+          pageSize: 1,
+        });
+        expect(result).toMatchObject({ total: 3, page: 1 });
+        expect(result.items[0].customer).toBe("Oceanix");
+      } finally {
+        setBookingAdapter(createLocalStorageAdapter());
+      }
+    });
+
+    test("HTTP adapter sends the query as URL parameters", async () => {
+      const fetch = jest.fn().mockResolvedValue({
+        ok: true,
+        status: 200,
+        text: () =>
+          Promise.resolve(JSON.stringify({ items: [], total: 0, page: 2 })),
+      });
+      const adapter = createHttpAdapter({
+        baseUrl: "https://api.example.com",
+        fetch,
+      });
+
+      await expect(
+        adapter.queryBookings({
+          filters: {
+            customerName: "Acme Wind",
+            status: "",
+            dateRange: { start: "2030-01-01", end: "2030-01-31" },
+          },
+          sort: { column: "startDate", direction: "asc" },
+          page: 2,
+          pageSize: 25,
+        })
+      ).resolves.toEqual({ items: [], total: 0, page: 2 });
+
+      expect(fetch.mock.calls[0][0]).toBe(
+        "https://api.example.com/bookings?page=2&pageSize=25&sort=startDate&order=asc&customerName=Acme+Wind&from=2030-01-01&to=2030-01-31"
+      );
+    });
+  });
+
+  describe("Offline mutation queue", () => {
+    let offline;
+
+    // Memory adapter whose writes fail like a dropped connection while offline
+    const createFlakyAdapter = () => {
+      const adapter = createMemoryAdapter(seedBookings);
+      const whenOnline =
+        (method) =>
+        (...args) => {
+          if (offline) {
+            return Promise.reject(
+              new BookingNetworkError("Failed to reach the server")
+            );
+          }
+          return method(...args);
+        };
+      return {
+        ...adapter,
+        createBooking: whenOnline(adapter.createBooking),
+        updateBooking: whenOnline(adapter.updateBooking),
+        deleteBooking: whenOnline(adapter.deleteBooking),
+      };
+    };
+
+    const newBooking = {
+      customer: "Deep Sea Logistics",
+      vessel: "Sea Finch",
+      startDate: "2030-05-01",
+      endDate: "2030-05-05",
+    };
+
+    beforeEach(() => {
+      offline = false;
+      clearMutationQueue();
+      setBookingAdapter(createFlakyAdapter());
+    });
+
+    afterEach(() => {
+      clearMutationQueue();
+      setBookingAdapter(createLocalStorageAdapter());
+    });
+
+    test("backs off exponentially up to a minute", () => {
+      expect([1, 2, 3, 6, 10].map(getRetryDelay)).toEqual([
+        2000, 4000, 8000, 60000, 60000,
+      ]);
+    });
+
+    test("folds edits to an offline-created booking into the create", () => {
+      const created = enqueueMutation({
+        type: MUTATION_TYPES.CREATE,
+        payload: newBooking,
+      });
+      expect(created.bookingId).toBe("LOCAL-1");
+
+      enqueueMutation({
+        type: MUTATION_TYPES.UPDATE,
+        bookingId: "LOCAL-1",
+        payload: { status: "confirmed" },
+      });
+      expect(getQueuedMutations()).toHaveLength(1);
+      expect(getQueuedMutations()[0].payload.status).toBe("confirmed");
+
+      // Deleting it before it was ever sent leaves nothing to sync
+      expect(
+        enqueueMutation({ type: MUTATION_TYPES.DELETE, bookingId: "LOCAL-1" })
+      ).toBeNull();
+      expect(getQueuedMutations()).toEqual([]);
+    });
+
+    test("merges consecutive updates and keeps the version they were based on", () => {
+      enqueueMutation({
+        type: MUTATION_TYPES.UPDATE,
+        bookingId: "BK-2002",
+        payload: { status: "confirmed" },
+        options: { expectedVersion: 1 },
+      });
+      enqueueMutation({
+        type: MUTATION_TYPES.UPDATE,
+        bookingId: "BK-2002",
+        payload: { vessel: "Sea Finch" },
+        options: { expectedVersion: 1 },
+      });
+
+      expect(getQueuedMutations()).toEqual([
+        expect.objectContaining({
+          type: "update",
+          payload: { status: "confirmed", vessel: "Sea Finch" },
+          options: { expectedVersion: 1 },
+        }),
+      ]);
+    });
+
+    test("replays due writes in order once the backend is reachable", async () => {
+      enqueueMutation({ type: MUTATION_TYPES.CREATE, payload: newBooking });
+      enqueueMutation({
+        type: MUTATION_TYPES.UPDATE,
+        bookingId: "BK-2002",
+        payload: { status: "confirmed" },
+      });
+
+      const { synced, remaining } = await flushMutationQueue({ force: true });
+
+      expect(synced.map((entry) => entry.type)).toEqual(["create", "update"]);
+      expect(remaining).toEqual([]);
+      const bookings = await bookingService.getBookings();
+      expect(bookings.find((b) => b.id === "BK-2002").status).toBe("confirmed");
+      expect(bookings.some((b) => b.customer === newBooking.customer)).toBe(
+        true
+      );
+    });
+
+    test("waits for the retry time and backs off again while offline", async () => {
+      offline = true;
+      enqueueMutation({ type: MUTATION_TYPES.CREATE, payload: newBooking });
+
+      // Not due yet
+      let result = await flushMutationQueue();
+      expect(result.synced).toEqual([]);
+      expect(getQueuedMutations()[0].attempts).toBe(1);
+
+      jest.advanceTimersByTime(getRetryDelay(1));
+      result = await flushMutationQueue();
+
+      const [entry] = result.remaining;
+      expect(entry.attempts).toBe(2);
+      expect(entry.lastError).toBe("Failed to reach the server");
+      expect(new Date(entry.nextAttemptAt) - Date.now()).toBe(getRetryDelay(2));
+    });
+
+    test("keeps writes the backend rejects until they are discarded", async () => {
+      enqueueMutation({
+        type: MUTATION_TYPES.UPDATE,
+        bookingId: "BK-2002",
+        payload: { status: "confirmed" },
+        options: { expectedVersion: 7 },
+      });
+
+      const { rejected, remaining } = await flushMutationQueue({
+        force: true,
+      });
+
+      expect(rejected).toHaveLength(1);
+      expect(remaining[0]).toMatchObject({
+        failed: true,
+        lastError: expect.stringContaining("was changed by someone else"),
+      });
+
+      expect(discardMutation(remaining[0].id)).toBe(true);
+      expect(getQueuedMutations()).toEqual([]);
+    });
+
+    test("tabs sharing the stored queue send each write once", async () => {
+      const adapter = createFlakyAdapter();
+      const createBooking = jest.fn(adapter.createBooking);
+      const sharedBackend = { ...adapter, createBooking };
+      setBookingAdapter(sharedBackend);
+      enqueueMutation({ type: MUTATION_TYPES.CREATE, payload: newBooking });
+      enqueueMutation({
+        type: MUTATION_TYPES.UPDATE,
+        bookingId: "BK-2002",
+        payload: { status: "confirmed" },
+      });
+
+      // A second tab: its own copy of the modules over the same localStorage
+      let otherTab;
+      jest.isolateModules(() => {
+        otherTab = require("../services/mutationQueue");
+        require("../services/bookingService").setBookingAdapter(sharedBackend);
+      });
+
+      const results = await Promise.all([
+        flushMutationQueue({ force: true }),
+        otherTab.flushMutationQueue({ force: true }),
+      ]);
+
+      expect(createBooking).toHaveBeenCalledTimes(1);
+      expect(
+        results.flatMap((result) => result.synced).map((entry) => entry.type)
+      ).toEqual(["create", "update"]);
+      expect(getQueuedMutations()).toEqual([]);
+      const bookings = await bookingService.getBookings();
+      expect(
+        bookings.filter((b) => b.customer === newBooking.customer)
+      ).toHaveLength(1);
+    });
+
+    test("queues writes made during a send behind it instead of folding them in", async () => {
+      enqueueMutation({ type: MUTATION_TYPES.CREATE, payload: newBooking });
+      enqueueMutation({
+        type: MUTATION_TYPES.UPDATE,
+        bookingId: "BK-2002",
+        payload: { status: "confirmed" },
+        options: { expectedVersion: 1 },
+      });
+
+      // Both entries are edited while the create is being sent
+      let flush = flushMutationQueue({ force: true });
+      enqueueMutation({
+        type: MUTATION_TYPES.UPDATE,
+        bookingId: "LOCAL-1",
+        payload: { status: "confirmed" },
+      });
+      expect(getQueuedMutations()).toHaveLength(3);
+      let result = await flush;
+
+      expect(result.synced.map((entry) => entry.type)).toEqual([
+        "create",
+        "update",
+      ]);
+      const [created] = (await bookingService.getBookings()).filter(
+        (b) => b.customer === newBooking.customer
+      );
+      expect(result.remaining).toEqual([
+        expect.objectContaining({
+          bookingId: created.id,
+          payload: { status: "confirmed" },
+        }),
+      ]);
+
+      // An edit queued while an update is in flight follows its version
+      flush = flushMutationQueue({ force: true });
+      enqueueMutation({
+        type: MUTATION_TYPES.UPDATE,
+        bookingId: created.id,
+        payload: { vessel: "Nordic Star" },
+        options: { expectedVersion: 1 },
+      });
+      result = await flush;
+      expect(result.remaining).toEqual([
+        expect.objectContaining({ options: { expectedVersion: 2 } }),
+      ]);
+
+      result = await flushMutationQueue({ force: true });
+      expect(result.rejected).toEqual([]);
+      expect(result.remaining).toEqual([]);
+      const booking = (await bookingService.getBookings()).find(
+        (b) => b.id === created.id
+      );
+      expect(booking).toMatchObject({
+        status: "confirmed",
+        vessel: "Nordic Star",
+      });
+    });
+
+    test("takes over writes whose claim has expired", async () => {
+      enqueueMutation({ type: MUTATION_TYPES.CREATE, payload: newBooking });
+      const [entry] = getQueuedMutations();
+      localStorage.setItem(
+        "bookings_outbox",
+        JSON.stringify([
+          {
+            ...entry,
+            claimedBy: "closed-tab",
+            claimedUntil: new Date(Date.now() + 1000).toISOString(),
+          },
+        ])
+      );
+
+      let result = await flushMutationQueue({ force: true });
+      expect(result.synced).toEqual([]);
+
+      jest.advanceTimersByTime(1001);
+      result = await flushMutationQueue({ force: true });
+      expect(result.synced).toHaveLength(1);
+      expect(result.remaining).toEqual([]);
+    });
+
+    test("the mock API's simulated failures count as network errors", async () => {
+      setBookingAdapter(createLocalStorageAdapter());
+      forceFailure("createBooking");
+
+      await expect(
+        run(bookingService.createBooking(newBooking))
+      ).rejects.toBeInstanceOf(BookingNetworkError);
+    });
+
+    test("HTTP adapter raises unreachable servers as network errors", async () => {
+      const adapter = createHttpAdapter({
+        baseUrl: "https://api.example.com",
+        fetch: jest.fn().mockRejectedValue(new TypeError("Failed to fetch")),
+      });
+
+      await expect(adapter.getBookings()).rejects.toBeInstanceOf(
+        BookingNetworkError
+      );
+    });
+  });
+
+  describe("Cross-tab sync", () => {
+    // Without BroadcastChannel, changes are relayed through localStorage
+    const lastMessage = () => JSON.parse(localStorage.getItem("bookings_sync"));
+
+    test("announces writes to other tabs", async () => {
+      const created = await run(
+        bookingService.createBooking({
+          customer: "Deep Sea Logistics",
+          vessel: "Sea Finch",
+          startDate: "2030-05-01",
+          endDate: "2030-05-05",
+        })
+      );
+      expect(lastMessage()).toMatchObject({
+        type: "created",
+        bookingId: created.id,
+        booking: created,
+        actor: "Local user",
+      });
+
+      // Loaded bookings are diffed against, as in the UI
+      await run(bookingService.getBookings());
+      await run(bookingService.confirmBooking("BK-2002"));
+      expect(lastMessage()).toMatchObject({
+        type: "status_changed",
+        bookingId: "BK-2002",
+        booking: expect.objectContaining({ status: "confirmed", version: 2 }),
+        changes: [{ field: "status", from: "pending", to: "confirmed" }],
+      });
+
+      await run(bookingService.deleteBooking("BK-2002"));
+      expect(lastMessage()).toMatchObject({
+        type: "deleted",
+        bookingId: "BK-2002",
+      });
+    });
+
+    test("sends repeated changes as distinct messages", async () => {
+      await run(bookingService.confirmBooking("BK-2002"));
+      const first = lastMessage();
+      await run(
+        bookingService.updateBooking("BK-2002", { status: "confirmed" })
+      );
+
+      expect(lastMessage().nonce).not.toBe(first.nonce);
+    });
+  });
+
+  describe("Bulk operations", () => {
+    const statusOf = (bookings, id) =>
+      bookings.find((booking) => booking.id === id).status;
+
+    test("updates the status of several bookings in one write", async () => {
+      await run(bookingService.getBookings());
+      const save = jest.spyOn(Storage.prototype, "setItem");
+
+      const { results } = await run(
+        bookingService.bulkUpdateStatus(["BK-2001", "BK-2003"], "pending", {
+          expectedVersions: { "BK-2001": 1 },
+        })
+      );
+
+      expect(results).toEqual([
+        {
+          id: "BK-2001",
+          status: BULK_ITEM_STATUS.APPLIED,
+          booking: expect.objectContaining({ status: "pending", version: 2 }),
+        },
+        {
+          id: "BK-2003",
+          status: BULK_ITEM_STATUS.APPLIED,
+          booking: expect.objectContaining({ status: "pending", version: 2 }),
+        },
+      ]);
+      expect(
+        save.mock.calls.filter(([key]) => key === "bookings_data")
+      ).toHaveLength(1);
+      save.mockRestore();
+
+      const activity = await bookingService.getBookingActivity("BK-2003");
+      expect(activity[0]).toMatchObject({
+        action: "status_changed",
+        changes: [{ field: "status", from: "cancelled", to: "pending" }],
+      });
+    });
+
+    test("changes nothing if any item fails, reporting each item", async () => {
+      const pending = run(
+        bookingService.bulkUpdateStatus(
+          ["BK-2002", "BK-9999", "BK-2003"],
+          "confirmed",
+          { expectedVersions: { "BK-2003": 4 } }
+        )
+      );
+
+      await expect(pending).rejects.toBeInstanceOf(BookingBulkError);
+      await expect(pending).rejects.toMatchObject({
+        message: "2 of 3 bookings could not be changed, so none were",
+        results: [
+          { id: "BK-2002", status: BULK_ITEM_STATUS.SKIPPED },
+          {
+            id: "BK-9999",
+            status: BULK_ITEM_STATUS.FAILED,
+            error: "Booking not found",
+          },
+          {
+            id: "BK-2003",
+            status: BULK_ITEM_STATUS.FAILED,
+            code: "VERSION_CONFLICT",
+            current: expect.objectContaining({ id: "BK-2003", version: 1 }),
+          },
+        ],
+      });
+
+      const bookings = await run(bookingService.getBookings());
+      expect(statusOf(bookings, "BK-2002")).toBe("pending");
+      expect(statusOf(bookings, "BK-2003")).toBe("cancelled");
+    });
+
+    test("checks patches against the earlier patches in the batch", async () => {
+      const pending = run(
+        bookingService.bulkUpdate([
+          { id: "BK-2003", changes: { status: "pending" } },
+          {
+            id: "BK-2002",
+            changes: { startDate: "2030-03-05", endDate: "2030-03-08" },
+          },
+        ])
+      );
+
+      await expect(pending).rejects.toMatchObject({
+        results: [
+          { id: "BK-2003", status: BULK_ITEM_STATUS.SKIPPED },
+          {
+            id: "BK-2002",
+            status: BULK_ITEM_STATUS.FAILED,
+            code: "BOOKING_CONFLICT",
+            conflictingIds: ["BK-2003"],
+          },
+        ],
+      });
+    });
+
+    test("moves several bookings to the trash", async () => {
+      await run(bookingService.bulkDelete(["BK-2001", "BK-2002"]));
+
+      const bookings = await run(bookingService.getBookings());
+      expect(bookings.map((booking) => booking.id)).toEqual(["BK-2003"]);
+      const deleted = await run(bookingService.getDeletedBookings());
+      expect(deleted.map((booking) => booking.id).sort()).toEqual([
+        "BK-2001",
+        "BK-2002",
+      ]);
+    });
+
+    test("creates several bookings in one write, numbering them in order", async () => {
+      const { results } = await run(
+        bookingService.bulkCreate([
+          {
+            customer: "Maritime Solutions",
+            vessel: "Aurora",
+            startDate: "2030-05-01",
+            endDate: "2030-05-05",
+          },
+          {
+            customer: "Acme Wind",
+            vessel: "Aurora",
+            status: "confirmed",
+            startDate: "2030-05-05",
+            endDate: "2030-05-09",
+          },
+        ])
+      );
+
+      expect(results).toEqual([
+        expect.objectContaining({
+          id: "BK-2004",
+          status: BULK_ITEM_STATUS.APPLIED,
+          booking: expect.objectContaining({ status: "pending", version: 1 }),
+        }),
+        expect.objectContaining({
+          id: "BK-2005",
+          status: BULK_ITEM_STATUS.APPLIED,
+        }),
+      ]);
+      await expect(
+        bookingService.getBookingActivity("BK-2005")
+      ).resolves.toEqual([
+        expect.objectContaining({ action: "created", bookingId: "BK-2005" }),
+      ]);
+    });
+
+    test("creates nothing if a new booking clashes with another in the batch", async () => {
+      const pending = run(
+        bookingService.bulkCreate([
+          {
+            customer: "Maritime Solutions",
+            vessel: "Aurora",
+            startDate: "2030-05-01",
+            endDate: "2030-05-05",
+          },
+          {
+            customer: "Acme Wind",
+            vessel: "Aurora",
+            startDate: "2030-05-03",
+            endDate: "2030-05-09",
+          },
+        ])
+      );
+
+      await expect(pending).rejects.toMatchObject({
+        results: [
+          { id: null, status: BULK_ITEM_STATUS.SKIPPED },
+          {
+            id: null,
+            status: BULK_ITEM_STATUS.FAILED,
+            code: "BOOKING_CONFLICT",
+            conflictingIds: ["BK-2004"],
+          },
+        ],
+      });
+      await expect(run(bookingService.getBookings())).resolves.toHaveLength(3);
+    });
+
+    test("HTTP adapter posts the batch and maps rejected batches", async () => {
+      const results = [
+        { id: "BK-2001", status: BULK_ITEM_STATUS.SKIPPED },
+        { id: "BK-2002", status: BULK_ITEM_STATUS.FAILED, error: "Locked" },
+      ];
+      const fetch = jest.fn().mockResolvedValue({
+        ok: false,
+        status: 409,
+        text: () => Promise.resolve(JSON.stringify({ results })),
+      });
+      const adapter = createHttpAdapter({
+        baseUrl: "https://api.example.com",
+        fetch,
+      });
+      const operations = [
+        { type: "delete", id: "BK-2001" },
+        { type: "delete", id: "BK-2002" },
+      ];
+
+      await expect(adapter.bulkWrite(operations)).rejects.toMatchObject({
+        name: "BookingBulkError",
+        results,
+      });
+      expect(fetch).toHaveBeenCalledWith(
+        "https://api.example.com/bookings/bulk",
+        expect.objectContaining({
+          method: "POST",
+          body: JSON.stringify({ operations }),
+        })
+      );
+    });
+  });
+
+  describe("Cancellation", () => {
+    test("an aborted read rejects with BookingAbortError", async () => {
+      const controller = new AbortController();
+      const pending = bookingService.getBookings({
+        signal: controller.signal,
+      });
+
+      controller.abort();
+
+      await expect(pending).rejects.toBeInstanceOf(BookingAbortError);
+      expect(jest.getTimerCount()).toBe(0);
+    });
+
+    test("an aborted write leaves the stored bookings unchanged", async () => {
+      const controller = new AbortController();
+      const pending = bookingService.confirmBooking("BK-2002", {
+        signal: controller.signal,
+      });
+
+      controller.abort();
+
+      await expect(pending).rejects.toMatchObject({ code: "ABORTED" });
+      const bookings = await run(bookingService.getBookings());
+      expect(bookings.find((b) => b.id === "BK-2002").status).toBe("pending");
+      expect(localStorage.getItem("bookings_sync")).toBeNull();
+    });
+
+    test("HTTP adapter passes the signal to fetch and maps aborts", async () => {
+      const controller = new AbortController();
+      const abortError = new Error("The user aborted a request.");
+      abortError.name = "AbortError";
+      const fetch = jest.fn().mockRejectedValue(abortError);
+      const adapter = createHttpAdapter({
+        baseUrl: "https://api.example.com",
+        fetch,
+      });
+
+      await expect(
+        adapter.queryBookings({ page: 2 }, { signal: controller.signal })
+      ).rejects.toBeInstanceOf(BookingAbortError);
+      expect(fetch.mock.calls[0][1].signal).toBe(controller.signal);
+    });
+  });
+
+  describe("Retries and circuit breaker", () => {
+    // Run timers until a call with retries settles
+    const settle = async (promise) => {
+      let settled = false;
+      promise.then(
+        () => (settled = true),
+        () => (settled = true)
+      );
+      for (let i = 0; i < 100 && !settled; i += 1) {
+        jest.runOnlyPendingTimers();
+        await Promise.resolve();
+      }
+      return promise;
+    };
+
+    // Adapter whose getBookings fails with the given errors, then succeeds
+    const createFailingAdapter = (...errors) => {
+      const getBookings = jest.fn();
+      errors.forEach((error) => getBookings.mockRejectedValueOnce(error));
+      getBookings.mockResolvedValue(seedBookings);
+      return {
+        getBookings,
+        createBooking: jest.fn(),
+        updateBooking: jest.fn(),
+        deleteBooking: jest.fn(),
+      };
+    };
+
+    beforeEach(() => {
+      setRetryPolicy({ maxAttempts: 3, jitter: 0 });
+      setFaultProfile({ latency: 0 });
+    });
+
+    afterEach(() => {
+      setBookingAdapter(createLocalStorageAdapter());
+    });
+
+    test("retries transient failures until an attempt succeeds", async () => {
+      forceFailure("getBookings", 2);
+
+      await expect(settle(bookingService.getBookings())).resolves.toHaveLength(
+        3
+      );
+      expect(getFaultProfile().forcedFailures.getBookings).toBe(0);
+    });
+
+    test("gives up after the maximum number of attempts", async () => {
+      forceFailure("updateBooking", 4);
+
+      await expect(
+        settle(bookingService.updateBooking("BK-2002", { status: "confirmed" }))
+      ).rejects.toBeInstanceOf(BookingNetworkError);
+      expect(getFaultProfile().forcedFailures.updateBooking).toBe(1);
+    });
+
+    test("never sends creates, deletes or version-checked edits twice", async () => {
+      const failing = () =>
+        jest.fn().mockRejectedValue(new BookingApiError("Bad gateway", 502));
+      const adapter = {
+        ...createFailingAdapter(),
+        createBooking: failing(),
+        updateBooking: failing(),
+        deleteBooking: failing(),
+        bulkWrite: failing(),
+      };
+      setBookingAdapter(adapter);
+      setRetryPolicy({ failureThreshold: 10 });
+
+      await expect(
+        settle(bookingService.createBooking({ customer: "Deep Sea" }))
+      ).rejects.toMatchObject({ status: 502 });
+      await expect(
+        settle(
+          bookingService.updateBooking(
+            "BK-2002",
+            { status: "confirmed" },
+            { expectedVersion: 1 }
+          )
+        )
+      ).rejects.toMatchObject({ status: 502 });
+      await expect(
+        settle(bookingService.deleteBooking("BK-2002"))
+      ).rejects.toMatchObject({ status: 502 });
+      await expect(
+        settle(bookingService.bulkCreate([{ customer: "Deep Sea" }]))
+      ).rejects.toMatchObject({ status: 502 });
+
+      expect(adapter.createBooking).toHaveBeenCalledTimes(1);
+      expect(adapter.updateBooking).toHaveBeenCalledTimes(1);
+      expect(adapter.deleteBooking).toHaveBeenCalledTimes(1);
+      expect(adapter.bulkWrite).toHaveBeenCalledTimes(1);
+
+      // Edits without a version come out the same however often they are sent
+      await expect(
+        settle(bookingService.bulkUpdateStatus(["BK-2002"], "confirmed"))
+      ).rejects.toMatchObject({ status: 502 });
+      expect(adapter.bulkWrite).toHaveBeenCalledTimes(4);
+    });
+
+    test("retries server errors but not requests the backend refused", async () => {
+      const flaky = createFailingAdapter(new BookingApiError("Down", 503));
+      setBookingAdapter(flaky);
+      await expect(settle(bookingService.getBookings())).resolves.toEqual(
+        seedBookings
+      );
+      expect(flaky.getBookings).toHaveBeenCalledTimes(2);
+
+      const refused = createFailingAdapter(
+        new BookingApiError("Forbidden", 403)
+      );
+      setBookingAdapter(refused);
+      await expect(settle(bookingService.getBookings())).rejects.toMatchObject({
+        status: 403,
+      });
+      expect(refused.getBookings).toHaveBeenCalledTimes(1);
+      expect(isTransientError(new BookingConflictError(["BK-2001"]))).toBe(
+        false
+      );
+    });
+
+    test("backs off exponentially up to the maximum, less jitter", () => {
+      setRetryPolicy({ initialDelayMs: 500, maxDelayMs: 3000 });
+      expect([1, 2, 3, 4].map((attempt) => getBackoffDelay(attempt))).toEqual([
+        500, 1000, 2000, 3000,
+      ]);
+
+      setRetryPolicy({ jitter: 0.5 });
+      expect(getBackoffDelay(2, () => 0.5)).toBe(750);
+      expect(getBackoffDelay(2, () => 0)).toBe(1000);
+    });
+
+    test("opens after repeated failures and probes once the cooldown ends", async () => {
+      setRetryPolicy({ maxAttempts: 1, failureThreshold: 2, cooldownMs: 5000 });
+      const adapter = createFailingAdapter(
+        new BookingNetworkError("Offline"),
+        new BookingNetworkError("Offline"),
+        new BookingNetworkError("Still offline")
+      );
+      setBookingAdapter(adapter);
+
+      await expect(bookingService.getBookings()).rejects.toThrow("Offline");
+      await expect(bookingService.getBookings()).rejects.toThrow("Offline");
+      expect(getCircuitState().state).toBe(CIRCUIT_STATES.OPEN);
+
+      // Fails fast without reaching the backend, and counts as a network error
+      const paused = bookingService.getBookings();
+      await expect(paused).rejects.toBeInstanceOf(
+        BookingServiceUnavailableError
+      );
+      await expect(paused).rejects.toBeInstanceOf(BookingNetworkError);
+      expect(adapter.getBookings).toHaveBeenCalledTimes(2);
+
+      // A failed probe reopens the circuit for another cooldown
+      jest.advanceTimersByTime(5000);
+      await expect(bookingService.getBookings()).rejects.toThrow(
+        "Still offline"
+      );
+      expect(getCircuitState().state).toBe(CIRCUIT_STATES.OPEN);
+
+      jest.advanceTimersByTime(5000);
+      await expect(bookingService.getBookings()).resolves.toEqual(seedBookings);
+      expect(getCircuitState()).toMatchObject({
+        state: CIRCUIT_STATES.CLOSED,
+        consecutiveFailures: 0,
+        retryAt: null,
+      });
+    });
+  });
+
+  describe("Fault profile", () => {
+    const createBooking = () =>
+      bookingService.createBooking({
+        customer: "Deep Sea Logistics",
+        vessel: "Sea Finch",
+        startDate: "2030-05-01",
+        endDate: "2030-05-05",
+      });
+
+    test("forces the next call of an operation to fail", async () => {
+      forceFailure("deleteBooking");
+
+      await expect(
+        run(bookingService.deleteBooking("BK-2001"))
+      ).rejects.toThrow("Failed to delete booking. Please try again.");
+      // Only the next call fails, and other operations are unaffected
+      await expect(
+        run(bookingService.deleteBooking("BK-2001"))
+      ).resolves.toEqual({ success: true });
+      expect(getFaultProfile().forcedFailures.deleteBooking).toBe(0);
+    });
+
+    test("a seeded profile fails the same calls on every run", async () => {
+      const outcomes = async () => {
+        setFaultProfile({ errorRate: 0.5, seed: 42 });
+        const results = [];
+        for (let i = 0; i < 8; i += 1) {
+          results.push(
+            await run(bookingService.getBookings()).then(
+              () => "ok",
+              () => "failed"
+            )
+          );
+        }
+        return results;
+      };
+
+      const first = await outcomes();
+      const second = await outcomes();
+
+      expect(second).toEqual(first);
+      expect(first).toContain("ok");
+      expect(first).toContain("failed");
+    });
+
+    test("applies per-operation latency", async () => {
+      setFaultProfile({ latency: { createBooking: 3000 } });
+
+      const pending = createBooking();
+      jest.advanceTimersByTime(2999);
+      expect(jest.getTimerCount()).toBe(1);
+
+      jest.advanceTimersByTime(1);
+      expect(jest.getTimerCount()).toBe(0);
+      await expect(pending).resolves.toMatchObject({ vessel: "Sea Finch" });
+    });
+
+    test("clamps rates and accepts a single value for all operations", () => {
+      const profile = setFaultProfile({ errorRate: 2, latency: -5 });
+
+      expect(Object.values(profile.errorRate)).toEqual([1, 1, 1, 1]);
+      expect(Object.values(profile.latency)).toEqual([0, 0, 0, 0]);
+    });
+
+    test("createSeededRandom is deterministic", () => {
+      const a = createSeededRandom(7);
+      const b = createSeededRandom(7);
+
+      expect([a(), a(), a()]).toEqual([b(), b(), b()]);
+    });
+  });
+});
@@ -3,12 +3,40 @@ import PropTypes from "prop-types";
 import { useTheme } from "../../contexts/ThemeContext";
 import { useToast } from "../../contexts/ToastContext";
 import {
+  formatDate,
   formatDateRange,
   calculateDuration,
   getStatusColor,
   getStatusBgColor,
+  mergeBookingChanges,
+  isSameFieldValue,
+  EDITABLE_BOOKING_FIELDS,
 } from "../../utils/bookingUtils";
+import {
+  getAvailableTransitions,
+  validateTransitionFields,
+} from "../../services/bookingWorkflow";
 import { trapFocus, liveRegionManager } from "../../utils/accessibility";
+import { downloadFile } from "../../utils/exportUtils";
+import { formatMoney } from "../../utils/currencyUtils";
+import { calculateBookingValue } from "../../utils/rateUtils";
+import { findBookingRateCard } from "../../utils/vesselUtils";
+import {
+  calculateCommission,
+  formatBrokerageSplit,
+} from "../../utils/commissionUtils";
+import {
+  INVOICE_STATUS,
+  INVOICE_STATUS_LABELS,
+  findBookingInvoice,
+} from "../../utils/invoiceUtils";
+import { buildICSFile } from "../../utils/icsUtils";
+import {
+  formatLaycan,
+  getLaycanWarning,
+  getLaycanWindows,
+} from "../../utils/laycanUtils";
+import { formatEta, formatPort, formatVoyageLegs } from "../../utils/portUtils";
 import { getThemeClass } from "../../utils/themeUtils";
 import {
   CloseOutlined,
@@ -24,9 +52,98 @@ import {
   ReloadOutlined,
   LoadingOutlined,
   ClearOutlined,
+  HistoryOutlined,
+  DollarOutlined,
+  PercentageOutlined,
+  EnvironmentOutlined,
+  ExclamationCircleOutlined,
 } from "@ant-design/icons";
 import styles from "./BookingDetailModal.module.css";
 
+// Headline for each audit action in the activity timeline
+const ACTIVITY_LABELS = {
+  created: "Booking created",
+  updated: "Booking updated",
+  status_changed: "Status changed",
+  deleted: "Moved to trash",
+  restored: "Restored from trash",
+  purged: "Permanently deleted",
+};
+
+// Readable names for the booking fields shown in change lists
+const ACTIVITY_FIELD_LABELS = {
+  customer: "Customer",
+  customerId: "Customer ID",
+  vessel: "Vessel",
+  vesselId: "Vessel ID",
+  status: "Status",
+  startDate: "Start date",
+  endDate: "End date",
+  laycanStart: "Laydays",
+  laycanEnd: "Cancelling",
+  cancellationReason: "Cancellation reason",
+  valueOverride: "Value override",
+  discountPercent: "Discount (%)",
+  currency: "Currency",
+  addressCommission: "Address commission (%)",
+  brokerage: "Brokerage (%)",
+  brokerageSplit: "Brokerage split",
+  legs: "Voyage legs",
+  laycanHistory: "Earlier laycans",
+};
+
+// Button style and icon for each status transition (see bookingWorkflow)
+const TRANSITION_BUTTONS = {
+  confirm: { className: "btnSuccess", Icon: CheckCircleOutlined },
+  make_pending: { className: "btnWarning", Icon: ClockCircleOutlined },
+  restore_to_pending: { className: "btnSuccess", Icon: ReloadOutlined },
+  cancel: { className: "btnDanger", Icon: StopOutlined },
+};
+
+// Fields holding lists: the voyage legs, earlier laycans or the brokerage split
+const formatListValue = (field, value) => {
+  if (field === "legs") {
+    return formatVoyageLegs(value);
+  }
+  if (field === "laycanHistory") {
+    return value
+      .map((window) => formatLaycan(window.start, window.end))
+      .join(" → ");
+  }
+  return formatBrokerageSplit(value);
+};
+
+const formatActivityValue = (field, value) => {
+  if (Array.isArray(value)) {
+    return value.length > 0 ? formatListValue(field, value) : "—";
+  }
+  return value === null || value === undefined || value === ""
+    ? "—"
+    : String(value);
+};
+
+// Label of one line of the charter value breakdown (see calculateBookingValue)
+const describeValueLine = (line, currency) =>
+  `${line.minimum ? "Minimum charter" : line.season || "Daily rate"} (${
+    line.days
+  } day${line.days !== 1 ? "s" : ""} × ${formatMoney(
+    line.dailyRate,
+    currency
+  )})`;
+
+// Number and status of the invoice a booking is billed on
+const describeInvoice = (invoice) => {
+  if (!invoice) {
+    return "Not invoiced";
+  }
+  const status = `${invoice.number || `Draft ${invoice.id}`} · ${
+    INVOICE_STATUS_LABELS[invoice.status]
+  }`;
+  return invoice.status === INVOICE_STATUS.ISSUED
+    ? `${status}, due ${formatDate(invoice.dueDate)}`
+    : status;
+};
+
 /**
  * Comprehensive modal component for displaying and managing booking details.
  * Provides functionality to view booking information, update booking status,
@@ -36,12 +153,23 @@ import styles from "./BookingDetailModal.module.css";
  * Features:
  * - Complete booking information display with formatted dates and duration
  * - Status management with visual indicators and color coding
+ * - Status actions follow the booking workflow; blocked ones explain why, and
+ *   those needing input (such as a cancellation reason) ask for it first
  * - Action buttons for editing, confirming, and deleting bookings
  * - Accessibility features including focus trapping and ARIA attributes
  * - Responsive design that works on all screen sizes
  * - Loading states for all async operations
  * - Error handling with toast notifications
  * - Keyboard navigation support with Escape key to close
+ * - "Theirs / mine / merge" resolution when the booking was changed by someone else
+ * - Activity tab with the booking's audit trail (who changed what, and when)
+ * - "Add to calendar" download of the booking as an iCalendar (.ics) event
+ * - Charter value broken down by the vessel's daily and seasonal rates, with any
+ *   manual override and discount, and the invoice the booking is billed on
+ * - Address commission and brokerage amounts, with each broker's share
+ * - Laycan with the windows it was narrowed from, and a warning when the booking is
+ *   still unconfirmed close to or past its cancelling date
+ * - Voyage legs with their load and discharge ports and ETAs in port local time
  *
  * @component
  * @param {Object} props - Component props
@@ -52,11 +180,27 @@ import styles from "./BookingDetailModal.module.css";
  * @param {string} props.booking.status - Booking status (confirmed, pending, cancelled)
  * @param {string} props.booking.startDate - Start date in YYYY-MM-DD format
  * @param {string} props.booking.endDate - End date in YYYY-MM-DD format
+ * @param {string} [props.booking.laycanStart] - Laydays in YYYY-MM-DD format
+ * @param {string} [props.booking.laycanEnd] - Cancelling date in YYYY-MM-DD format
+ * @param {Array<Object>} [props.booking.laycanHistory] - Earlier laycan windows, oldest first
+ * @param {number} [props.booking.valueOverride] - Manual gross value
+ * @param {number} [props.booking.discountPercent] - Discount in percent
+ * @param {Array<Object>} [props.booking.legs] - Voyage legs, in order
  * @param {boolean} props.isOpen - Whether the modal is currently open
  * @param {function} props.onClose - Callback function called when modal should close
- * @param {function} props.updateBookingStatus - Function to update booking status
- * @param {function} props.deleteBooking - Function to delete a booking
+ * @param {function} props.updateBookingStatus - Function to update booking status, passed
+ *   `{ fields }` for transitions that need input; may resolve with
+ *   `{ success: false, versionConflict: { current } }` when the booking changed meanwhile
+ * @param {function} props.deleteBooking - Function to delete a booking; may resolve with a version conflict
  * @param {function} props.onEdit - Function to navigate to edit mode
+ * @param {function} [props.updateBooking] - Function to update booking fields; used to
+ *   overwrite someone else's changes with mine when resolving a version conflict
+ * @param {function} [props.getBookingActivity] - Function loading the booking's audit trail,
+ *   resolving to `{ success, entries }` and accepting `{ signal }`; the Activity tab is shown
+ *   only when provided
+ * @param {Array<Object>} [props.vessels] - Registered vessels, whose rate cards value the booking
+ * @param {Array<Object>} [props.invoices] - Invoices, to show the booking's invoice and its status;
+ *   the invoice row is shown only when provided
  * @returns {JSX.Element|null} Modal component or null if not open
  *
  * @example
@@ -84,6 +228,10 @@ const BookingDetailModal = ({
   updateBookingStatus,
   deleteBooking,
   onEdit,
+  updateBooking,
+  getBookingActivity,
+  vessels,
+  invoices,
 }) => {
   const { currentTheme } = useTheme();
   const { showError } = useToast();
@@ -91,6 +239,45 @@ const BookingDetailModal = ({
   const [isLoading, setIsLoading] = useState(false);
   const [loadingAction, setLoadingAction] = useState(null);
   const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
+  // Transition waiting for its required fields, e.g. a cancellation reason
+  const [pendingTransition, setPendingTransition] = useState(null);
+  // Stale write waiting for the user to pick theirs, mine or a merge
+  const [versionConflict, setVersionConflict] = useState(null);
+  const [activeTab, setActiveTab] = useState("details");
+  const [activity, setActivity] = useState({
+    loading: false,
+    entries: [],
+    error: null,
+  });
+
+  const bookingId = booking?.id;
+  const bookingVersion = booking?.version;
+
+  // Every booking opens on its details
+  useEffect(() => {
+    setActiveTab("details");
+  }, [bookingId]);
+
+  // Load the audit trail when the Activity tab is shown, and again after changes
+  useEffect(() => {
+    if (activeTab !== "activity" || !getBookingActivity || !bookingId) return;
+
+    const controller = new AbortController();
+    setActivity((prev) => ({ ...prev, loading: true, error: null }));
+
+    getBookingActivity(bookingId, { signal: controller.signal }).then(
+      (result) => {
+        if (controller.signal.aborted) return;
+        setActivity(
+          result.success
+            ? { loading: false, entries: result.entries, error: null }
+            : { loading: false, entries: [], error: result.error }
+        );
+      }
+    );
+
+    return () => controller.abort();
+  }, [activeTab, getBookingActivity, bookingId, bookingVersion]);
 
   // Handle confirmed deletion
   const handleConfirmDelete = () => {
@@ -99,6 +286,67 @@ const BookingDetailModal = ({
     simulateAPICall("delete booking", deleteBooking, booking.id);
   };
 
+  // Download the booking as a calendar event; its UID is stable, so
+  // downloading it again after a change updates the event
+  const handleAddToCalendar = () => {
+    downloadFile(
+      buildICSFile([booking], {
+        calendarName: booking.vessel,
+        baseName: booking.id,
+      })
+    );
+    liveRegionManager.announce(
+      `Calendar file for booking ${booking.id} downloaded`,
+      "polite"
+    );
+  };
+
+  // Change the status, asking for the transition's required fields first
+  const handleTransition = (transition) => {
+    if (transition.requiredFields.length > 0) {
+      setPendingTransition({ transition, values: {}, errors: {} });
+      return;
+    }
+    console.log(`${transition.title}:`, booking.id);
+    simulateAPICall(
+      transition.title.toLowerCase(),
+      updateBookingStatus,
+      booking.id,
+      transition.to
+    );
+  };
+
+  const handleTransitionFieldChange = (name, value) => {
+    setPendingTransition((prev) => ({
+      ...prev,
+      values: { ...prev.values, [name]: value },
+      errors: { ...prev.errors, [name]: undefined },
+    }));
+  };
+
+  // Submit the pending transition once its fields are valid
+  const handleConfirmTransition = () => {
+    const { transition, values } = pendingTransition;
+    const errors = validateTransitionFields(transition, values);
+    if (Object.keys(errors).length > 0) {
+      setPendingTransition((prev) => ({ ...prev, errors }));
+      return;
+    }
+
+    const fields = Object.fromEntries(
+      transition.requiredFields.map(({ name }) => [name, values[name].trim()])
+    );
+    setPendingTransition(null);
+    console.log(`${transition.title}:`, booking.id);
+    simulateAPICall(
+      transition.title.toLowerCase(),
+      updateBookingStatus,
+      booking.id,
+      transition.to,
+      { fields }
+    );
+  };
+
   // Simulate API call with loading state
   const simulateAPICall = async (action, apiFunction, ...args) => {
     setIsLoading(true);
@@ -115,12 +363,21 @@ const BookingDetailModal = ({
 
       if (result.success) {
         console.log(`Successfully completed ${action}`);
+        setVersionConflict(null);
         // Close modal after successful action (except for edit)
         if (action !== "edit") {
           setTimeout(() => {
             onClose();
           }, 300);
         }
+      } else if (result.versionConflict) {
+        setVersionConflict({
+          action,
+          apiFunction,
+          args,
+          base: booking,
+          current: result.versionConflict.current,
+        });
       } else {
         console.error(`Failed to ${action}:`, result.error);
         showError(`Failed to ${action}: ${result.error}`);
@@ -137,6 +394,79 @@ const BookingDetailModal = ({
     }
   };
 
+  // Status the conflicting action tried to set (null for deletes)
+  const attemptedStatus =
+    versionConflict && versionConflict.action !== "delete booking"
+      ? versionConflict.args[1]
+      : null;
+
+  // What my action changed: the status and the fields that go with it
+  const myChanges = attemptedStatus
+    ? { status: attemptedStatus, ...versionConflict.args[2]?.fields }
+    : {};
+
+  // Their stored booking with my changes applied, as "Apply mine" saves it
+  const myVersion = versionConflict && {
+    ...versionConflict.current,
+    ...myChanges,
+  };
+
+  // Fields they changed since I loaded the booking, or that mine overwrites
+  const changedFields = versionConflict
+    ? EDITABLE_BOOKING_FIELDS.filter(
+        (field) =>
+          !isSameFieldValue(
+            versionConflict.current[field],
+            versionConflict.base[field]
+          ) ||
+          !isSameFieldValue(versionConflict.current[field], myVersion[field])
+      )
+    : [];
+
+  // Fields both sides changed; a merge is only offered when there are none
+  const mergeConflicts =
+    versionConflict && attemptedStatus
+      ? mergeBookingChanges(
+          versionConflict.base,
+          { ...versionConflict.base, status: attemptedStatus },
+          versionConflict.current,
+          ["status"]
+        ).conflicts
+      : [];
+
+  // Keep the stored booking and drop my action
+  const handleKeepTheirs = () => {
+    setVersionConflict(null);
+  };
+
+  // Save the fields I changed over theirs, leaving their other changes
+  const handleApplyMine = () => {
+    const { action, apiFunction, args, current } = versionConflict;
+    const options = { expectedVersion: current.version };
+    setVersionConflict(null);
+
+    if (attemptedStatus && updateBooking) {
+      simulateAPICall(action, updateBooking, args[0], myChanges, options);
+    } else if (attemptedStatus) {
+      simulateAPICall(action, apiFunction, args[0], attemptedStatus, {
+        ...args[2],
+        ...options,
+      });
+    } else {
+      simulateAPICall(action, apiFunction, ...args, options);
+    }
+  };
+
+  // Apply my status change on top of their other changes
+  const handleMerge = () => {
+    const { action, apiFunction, args, current } = versionConflict;
+    setVersionConflict(null);
+    simulateAPICall(action, apiFunction, args[0], attemptedStatus, {
+      ...args[2],
+      expectedVersion: current.version,
+    });
+  };
+
   // Handle escape key and focus management
   useEffect(() => {
     if (!isOpen) return;
@@ -179,6 +509,16 @@ const BookingDetailModal = ({
   };
 
   const duration = calculateDuration(booking.startDate, booking.endDate);
+  const rateCard = findBookingRateCard(booking, vessels);
+  const value = calculateBookingValue(booking, rateCard);
+  const legs = booking.legs || [];
+  const laycanWindows = getLaycanWindows(booking);
+  const laycanWarning = getLaycanWarning(booking);
+  const commission = calculateCommission(booking, rateCard);
+  const hasCommission =
+    commission.addressCommissionPercent > 0 || commission.brokeragePercent > 0;
+  const invoice = invoices && findBookingInvoice(invoices, booking.id);
+  const transitions = getAvailableTransitions(booking);
   const statusColor = getStatusColor(booking.status);
   const statusBgColor = getStatusBgColor(booking.status);
 
@@ -215,8 +555,49 @@ const BookingDetailModal = ({
           </button>
         </div>
 
+        {/* Tabs */}
+        {getBookingActivity && (
+          <div
+            className={getThemeClass("tabList", currentTheme, styles)}
+            role="tablist"
+            aria-label="Booking sections"
+          >
+            {[
+              {
+                key: "details",
+                label: "Details",
+                icon: <InfoCircleOutlined />,
+              },
+              { key: "activity", label: "Activity", icon: <HistoryOutlined /> },
+            ].map((tab) => (
+              <button
+                key={tab.key}
+                id={`booking-tab-${tab.key}`}
+                className={`${styles.tab} ${
+                  activeTab === tab.key ? styles.tabActive : ""
+                }`}
+                role="tab"
+                aria-selected={activeTab === tab.key}
+                aria-controls={`booking-panel-${tab.key}`}
+                onClick={() => setActiveTab(tab.key)}
+              >
+                {tab.icon}
+                {tab.label}
+              </button>
+            ))}
+          </div>
+        )}
+
         {/* Modal Body */}
-        <div className={styles.modalBody}>
+        <div
+          className={styles.modalBody}
+          id="booking-panel-details"
+          role={getBookingActivity ? "tabpanel" : undefined}
+          aria-labelledby={
+            getBookingActivity ? "booking-tab-details" : undefined
+          }
+          hidden={activeTab !== "details"}
+        >
           {/* Status Section */}
           <div className={styles.detailSection}>
             <h3 className={getThemeClass("sectionTitle", currentTheme, styles)}>
@@ -235,6 +616,17 @@ const BookingDetailModal = ({
                   booking.status.slice(1)}
               </span>
             </div>
+            {booking.status === "cancelled" && booking.cancellationReason && (
+              <p
+                className={getThemeClass(
+                  "cancellationReason",
+                  currentTheme,
+                  styles
+                )}
+              >
+                <strong>Reason:</strong> {booking.cancellationReason}
+              </p>
+            )}
           </div>
 
           {/* Customer & Vessel Information */}
@@ -326,6 +718,299 @@ const BookingDetailModal = ({
                 </span>
               </div>
             </div>
+            {laycanWindows.length > 0 && (
+              <p className={getThemeClass("laycanInfo", currentTheme, styles)}>
+                <strong>Laycan:</strong>{" "}
+                {formatLaycan(booking.laycanStart, booking.laycanEnd)}
+                {laycanWindows.length > 1 &&
+                  `, narrowed from ${laycanWindows
+                    .slice(0, -1)
+                    .map((window) => formatLaycan(window.start, window.end))
+                    .join(" → ")}`}
+              </p>
+            )}
+            {laycanWarning && (
+              <p
+                className={getThemeClass(
+                  laycanWarning.level === "lapsed"
+                    ? "laycanLapsed"
+                    : "laycanWarning",
+                  currentTheme,
+                  styles
+                )}
+                role="alert"
+              >
+                <ExclamationCircleOutlined style={{ marginRight: "8px" }} />
+                {laycanWarning.message}
+              </p>
+            )}
+          </div>
+
+          {/* Voyage */}
+          <div className={styles.detailSection}>
+            <h3 className={getThemeClass("sectionTitle", currentTheme, styles)}>
+              <EnvironmentOutlined style={{ marginRight: "8px" }} />
+              Voyage
+            </h3>
+            {legs.length > 0 ? (
+              <div
+                className={getThemeClass("summaryCard", currentTheme, styles)}
+              >
+                {legs.flatMap((leg, index) =>
+                  [
+                    { action: "Load", port: leg.loadPort, eta: leg.loadEta },
+                    {
+                      action: "Discharge",
+                      port: leg.dischargePort,
+                      eta: leg.dischargeEta,
+                    },
+                  ].map((call) => (
+                    <div
+                      key={`${index}-${call.action}`}
+                      className={styles.summaryRow}
+                    >
+                      <span
+                        className={getThemeClass(
+                          "summaryLabel",
+                          currentTheme,
+                          styles
+                        )}
+                      >
+                        {legs.length > 1 ? `Leg ${index + 1} · ` : ""}
+                        {call.action} at {formatPort(call.port)}:
+                      </span>
+                      <span
+                        className={getThemeClass(
+                          "summaryValue",
+                          currentTheme,
+                          styles
+                        )}
+                      >
+                        ETA {formatEta(call.eta, call.port)}
+                      </span>
+                    </div>
+                  ))
+                )}
+              </div>
+            ) : (
+              <p className={getThemeClass("detailValue", currentTheme, styles)}>
+                No port calls recorded for this booking.
+              </p>
+            )}
+          </div>
+
+          {/* Charter Value */}
+          <div className={styles.detailSection}>
+            <h3 className={getThemeClass("sectionTitle", currentTheme, styles)}>
+              <DollarOutlined style={{ marginRight: "8px" }} />
+              Charter Value
+            </h3>
+            {value.grossValue === null ? (
+              <p className={getThemeClass("detailValue", currentTheme, styles)}>
+                {booking.vessel} has no rate card, so this booking has no value
+                yet.
+              </p>
+            ) : (
+              <div
+                className={getThemeClass("summaryCard", currentTheme, styles)}
+              >
+                {value.lines.map((line, index) => (
+                  <div key={index} className={styles.summaryRow}>
+                    <span
+                      className={getThemeClass(
+                        "summaryLabel",
+                        currentTheme,
+                        styles
+                      )}
+                    >
+                      {describeValueLine(line, value.currency)}
+                    </span>
+                    <span
+                      className={getThemeClass(
+                        "summaryValue",
+                        currentTheme,
+                        styles
+                      )}
+                    >
+                      {formatMoney(line.amount, value.currency)}
+                    </span>
+                  </div>
+                ))}
+                {value.isOverridden && (
+                  <div className={styles.summaryRow}>
+                    <span
+                      className={getThemeClass(
+                        "summaryLabel",
+                        currentTheme,
+                        styles
+                      )}
+                    >
+                      Value override:
+                    </span>
+                    <span
+                      className={getThemeClass(
+                        "summaryValue",
+                        currentTheme,
+                        styles
+                      )}
+                    >
+                      {formatMoney(value.grossValue, value.currency)}
+                    </span>
+                  </div>
+                )}
+                {value.discountPercent > 0 && (
+                  <div className={styles.summaryRow}>
+                    <span
+                      className={getThemeClass(
+                        "summaryLabel",
+                        currentTheme,
+                        styles
+                      )}
+                    >
+                      Discount ({value.discountPercent}%):
+                    </span>
+                    <span
+                      className={getThemeClass(
+                        "summaryValue",
+                        currentTheme,
+                        styles
+                      )}
+                    >
+                      −{formatMoney(value.discountAmount, value.currency)}
+                    </span>
+                  </div>
+                )}
+                <div className={styles.summaryRow}>
+                  <span
+                    className={getThemeClass(
+                      "summaryLabel",
+                      currentTheme,
+                      styles
+                    )}
+                  >
+                    Net value:
+                  </span>
+                  <span
+                    className={getThemeClass(
+                      "summaryValue",
+                      currentTheme,
+                      styles
+                    )}
+                  >
+                    {formatMoney(value.netValue, value.currency)}
+                  </span>
+                </div>
+                {invoices && (
+                  <div className={styles.summaryRow}>
+                    <span
+                      className={getThemeClass(
+                        "summaryLabel",
+                        currentTheme,
+                        styles
+                      )}
+                    >
+                      Invoice:
+                    </span>
+                    <span
+                      className={getThemeClass(
+                        "summaryValue",
+                        currentTheme,
+                        styles
+                      )}
+                    >
+                      {describeInvoice(invoice)}
+                    </span>
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+
+          {/* Commission */}
+          <div className={styles.detailSection}>
+            <h3 className={getThemeClass("sectionTitle", currentTheme, styles)}>
+              <PercentageOutlined style={{ marginRight: "8px" }} />
+              Commission
+            </h3>
+            {hasCommission ? (
+              <div
+                className={getThemeClass("summaryCard", currentTheme, styles)}
+              >
+                <div className={styles.summaryRow}>
+                  <span
+                    className={getThemeClass(
+                      "summaryLabel",
+                      currentTheme,
+                      styles
+                    )}
+                  >
+                    Address commission ({commission.addressCommissionPercent}%):
+                  </span>
+                  <span
+                    className={getThemeClass(
+                      "summaryValue",
+                      currentTheme,
+                      styles
+                    )}
+                  >
+                    {formatMoney(
+                      commission.addressCommissionAmount,
+                      commission.currency
+                    )}
+                  </span>
+                </div>
+                <div className={styles.summaryRow}>
+                  <span
+                    className={getThemeClass(
+                      "summaryLabel",
+                      currentTheme,
+                      styles
+                    )}
+                  >
+                    Brokerage ({commission.brokeragePercent}%):
+                  </span>
+                  <span
+                    className={getThemeClass(
+                      "summaryValue",
+                      currentTheme,
+                      styles
+                    )}
+                  >
+                    {formatMoney(
+                      commission.brokerageAmount,
+                      commission.currency
+                    )}
+                  </span>
+                </div>
+                {commission.brokeragePercent > 0 &&
+                  commission.shares.map((share) => (
+                    <div key={share.broker} className={styles.summaryRow}>
+                      <span
+                        className={getThemeClass(
+                          "summaryLabel",
+                          currentTheme,
+                          styles
+                        )}
+                      >
+                        {share.broker} ({share.share}% of brokerage):
+                      </span>
+                      <span
+                        className={getThemeClass(
+                          "summaryValue",
+                          currentTheme,
+                          styles
+                        )}
+                      >
+                        {formatMoney(share.amount, commission.currency)}
+                      </span>
+                    </div>
+                  ))}
+              </div>
+            ) : (
+              <p className={getThemeClass("detailValue", currentTheme, styles)}>
+                No commission set for this booking.
+              </p>
+            )}
           </div>
 
           {/* Summary Section */}
@@ -468,6 +1153,162 @@ const BookingDetailModal = ({
           </div>
         </div>
 
+        {/* Activity Timeline */}
+        {activeTab === "activity" && (
+          <div
+            className={styles.modalBody}
+            id="booking-panel-activity"
+            role="tabpanel"
+            aria-labelledby="booking-tab-activity"
+          >
+            {activity.loading ? (
+              <p className={getThemeClass("detailValue", currentTheme, styles)}>
+                <LoadingOutlined style={{ marginRight: "8px" }} />
+                Loading activity...
+              </p>
+            ) : activity.error ? (
+              <div
+                className={getThemeClass("errorMessage", currentTheme, styles)}
+                role="alert"
+              >
+                Failed to load activity: {activity.error}
+              </div>
+            ) : activity.entries.length === 0 ? (
+              <p className={getThemeClass("detailValue", currentTheme, styles)}>
+                No changes have been recorded for this booking yet.
+              </p>
+            ) : (
+              <ol className={styles.activityList}>
+                {activity.entries.map((entry) => (
+                  <li
+                    key={entry.id}
+                    className={getThemeClass(
+                      "activityItem",
+                      currentTheme,
+                      styles
+                    )}
+                  >
+                    <div className={styles.activityHeader}>
+                      <span className={styles.activityTitle}>
+                        {ACTIVITY_LABELS[entry.action] || entry.action}
+                      </span>
+                      <time
+                        className={styles.activityMeta}
+                        dateTime={entry.timestamp}
+                      >
+                        {new Date(entry.timestamp).toLocaleString("en-US", {
+                          year: "numeric",
+                          month: "short",
+                          day: "numeric",
+                          hour: "2-digit",
+                          minute: "2-digit",
+                        })}
+                      </time>
+                    </div>
+                    <div className={styles.activityMeta}>by {entry.actor}</div>
+                    {entry.changes.length > 0 && (
+                      <ul className={styles.activityChanges}>
+                        {entry.changes.map((change) => (
+                          <li key={change.field}>
+                            <span className={styles.activityField}>
+                              {ACTIVITY_FIELD_LABELS[change.field] ||
+                                change.field}
+                              :
+                            </span>{" "}
+                            {entry.action === "created"
+                              ? formatActivityValue(change.field, change.to)
+                              : `${formatActivityValue(
+                                  change.field,
+                                  change.from
+                                )} → ${formatActivityValue(
+                                  change.field,
+                                  change.to
+                                )}`}
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </li>
+                ))}
+              </ol>
+            )}
+          </div>
+        )}
+
+        {/* Version Conflict Resolution */}
+        {versionConflict && (
+          <div
+            className={getThemeClass("versionConflict", currentTheme, styles)}
+            role="alert"
+          >
+            <p className={styles.versionConflictTitle}>
+              <InfoCircleOutlined style={{ marginRight: "8px" }} />
+              This booking was changed by someone else
+            </p>
+            {changedFields.length > 0 && (
+              <table className={styles.versionConflictTable}>
+                <thead>
+                  <tr>
+                    <th scope="col">Field</th>
+                    <th scope="col">Theirs</th>
+                    <th scope="col">Mine</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {changedFields.map((field) => (
+                    <tr key={field}>
+                      <th scope="row">{field}</th>
+                      <td>
+                        {Array.isArray(versionConflict.current[field])
+                          ? formatListValue(
+                              field,
+                              versionConflict.current[field]
+                            )
+                          : versionConflict.current[field]}
+                      </td>
+                      <td>
+                        {Array.isArray(myVersion[field])
+                          ? formatListValue(field, myVersion[field])
+                          : myVersion[field]}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+            <div className={styles.versionConflictActions}>
+              <button
+                className={getThemeClass("btnSecondary", currentTheme, styles)}
+                onClick={handleKeepTheirs}
+                disabled={isLoading}
+              >
+                Keep theirs
+              </button>
+              <button
+                className={getThemeClass("btnWarning", currentTheme, styles)}
+                onClick={handleApplyMine}
+                disabled={isLoading}
+              >
+                {attemptedStatus ? "Apply mine" : "Delete anyway"}
+              </button>
+              {attemptedStatus && (
+                <button
+                  className={getThemeClass("btnPrimary", currentTheme, styles)}
+                  onClick={handleMerge}
+                  disabled={isLoading || mergeConflicts.length > 0}
+                  title={
+                    mergeConflicts.length > 0
+                      ? "Both changes set the status; choose theirs or mine"
+                      : "Apply my status change on top of their changes"
+                  }
+                >
+                  Merge
+                </button>
+              )}
+            </div>
+          </div>
+        )}
+
         {/* Modal Footer */}
         <div className={getThemeClass("modalFooter", currentTheme, styles)}>
           <div className={styles.actionButtons}>
@@ -486,107 +1327,38 @@ const BookingDetailModal = ({
               Edit Booking
             </button>
 
-            {/* Status Change Actions */}
-            {booking.status === "pending" && (
-              <button
-                className={getThemeClass("btnSuccess", currentTheme, styles)}
-                onClick={() => {
-                  console.log("Confirming booking:", booking.id);
-                  simulateAPICall(
-                    "confirm booking",
-                    updateBookingStatus,
-                    booking.id,
-                    "confirmed"
-                  );
-                }}
-                disabled={isLoading}
-              >
-                {isLoading && loadingAction === "confirm booking" ? (
-                  <LoadingOutlined style={{ marginRight: "8px" }} />
-                ) : (
-                  <CheckCircleOutlined style={{ marginRight: "8px" }} />
-                )}
-                {isLoading && loadingAction === "confirm booking"
-                  ? "Confirming..."
-                  : "Confirm Booking"}
-              </button>
-            )}
-
-            {booking.status === "confirmed" && (
-              <button
-                className={getThemeClass("btnWarning", currentTheme, styles)}
-                onClick={() => {
-                  console.log("Making booking pending:", booking.id);
-                  simulateAPICall(
-                    "make pending",
-                    updateBookingStatus,
-                    booking.id,
-                    "pending"
-                  );
-                }}
-                disabled={isLoading}
-              >
-                {isLoading && loadingAction === "make pending" ? (
-                  <LoadingOutlined style={{ marginRight: "8px" }} />
-                ) : (
-                  <ClockCircleOutlined style={{ marginRight: "8px" }} />
-                )}
-                {isLoading && loadingAction === "make pending"
-                  ? "Updating..."
-                  : "Make Pending"}
-              </button>
-            )}
+            <button
+              className={getThemeClass("btnSecondary", currentTheme, styles)}
+              onClick={handleAddToCalendar}
+              title="Download an .ics file for Outlook or another calendar"
+            >
+              <CalendarOutlined style={{ marginRight: "8px" }} />
+              Add to Calendar
+            </button>
 
-            {booking.status === "cancelled" && (
-              <button
-                className={getThemeClass("btnSuccess", currentTheme, styles)}
-                onClick={() => {
-                  console.log("Restoring booking to pending:", booking.id);
-                  simulateAPICall(
-                    "restore to pending",
-                    updateBookingStatus,
-                    booking.id,
-                    "pending"
-                  );
-                }}
-                disabled={isLoading}
-              >
-                {isLoading && loadingAction === "restore to pending" ? (
-                  <LoadingOutlined style={{ marginRight: "8px" }} />
-                ) : (
-                  <ReloadOutlined style={{ marginRight: "8px" }} />
-                )}
-                {isLoading && loadingAction === "restore to pending"
-                  ? "Restoring..."
-                  : "Restore to Pending"}
-              </button>
-            )}
+            {/* Status Change Actions */}
+            {transitions.map((transition) => {
+              const { className, Icon } = TRANSITION_BUTTONS[transition.action];
+              const actionName = transition.title.toLowerCase();
+              const inProgress = isLoading && loadingAction === actionName;
 
-            {/* Cancel/Delete Actions */}
-            {booking.status !== "cancelled" && (
-              <button
-                className={getThemeClass("btnDanger", currentTheme, styles)}
-                onClick={() => {
-                  console.log("Cancelling booking:", booking.id);
-                  simulateAPICall(
-                    "cancel booking",
-                    updateBookingStatus,
-                    booking.id,
-                    "cancelled"
-                  );
-                }}
-                disabled={isLoading}
-              >
-                {isLoading && loadingAction === "cancel booking" ? (
-                  <LoadingOutlined style={{ marginRight: "8px" }} />
-                ) : (
-                  <StopOutlined style={{ marginRight: "8px" }} />
-                )}
-                {isLoading && loadingAction === "cancel booking"
-                  ? "Cancelling..."
-                  : "Cancel Booking"}
-              </button>
-            )}
+              return (
+                <button
+                  key={transition.action}
+                  className={getThemeClass(className, currentTheme, styles)}
+                  onClick={() => handleTransition(transition)}
+                  disabled={isLoading || Boolean(transition.blockedReason)}
+                  title={transition.blockedReason || undefined}
+                >
+                  {inProgress ? (
+                    <LoadingOutlined style={{ marginRight: "8px" }} />
+                  ) : (
+                    <Icon style={{ marginRight: "8px" }} />
+                  )}
+                  {inProgress ? transition.progressLabel : transition.label}
+                </button>
+              );
+            })}
 
             {/* Delete Button - Available for cancelled bookings or with confirmation */}
             <button
@@ -611,6 +1383,86 @@ const BookingDetailModal = ({
         </div>
       </div>
 
+      {/* Transition Fields Dialog */}
+      {pendingTransition && (
+        <div className={getThemeClass("modalOverlay", currentTheme, styles)}>
+          <div
+            className={getThemeClass("confirmationModal", currentTheme, styles)}
+            role="dialog"
+            aria-modal="true"
+            aria-labelledby="transition-dialog-title"
+          >
+            <div className={styles.confirmationHeader}>
+              <h3
+                id="transition-dialog-title"
+                className={styles.confirmationTitle}
+              >
+                {pendingTransition.transition.label}
+              </h3>
+            </div>
+            <div className={styles.confirmationBody}>
+              {pendingTransition.transition.requiredFields.map((field) => {
+                const error = pendingTransition.errors[field.name];
+                const inputId = `transition-field-${field.name}`;
+
+                return (
+                  <div key={field.name} className={styles.transitionField}>
+                    <label htmlFor={inputId} className={styles.fieldLabel}>
+                      {field.label}
+                    </label>
+                    <textarea
+                      id={inputId}
+                      className={getThemeClass(
+                        "fieldInput",
+                        currentTheme,
+                        styles
+                      )}
+                      rows={3}
+                      maxLength={field.maxLength}
+                      value={pendingTransition.values[field.name] || ""}
+                      onChange={(e) =>
+                        handleTransitionFieldChange(field.name, e.target.value)
+                      }
+                      aria-invalid={Boolean(error)}
+                      aria-describedby={error ? `${inputId}-error` : undefined}
+                    />
+                    {error && (
+                      <p
+                        id={`${inputId}-error`}
+                        className={styles.fieldError}
+                        role="alert"
+                      >
+                        {error}
+                      </p>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+            <div className={styles.confirmationActions}>
+              <button
+                className={getThemeClass("btnSecondary", currentTheme, styles)}
+                onClick={() => setPendingTransition(null)}
+              >
+                <ClearOutlined style={{ marginRight: "8px" }} />
+                Back
+              </button>
+              <button
+                className={getThemeClass(
+                  TRANSITION_BUTTONS[pendingTransition.transition.action]
+                    .className,
+                  currentTheme,
+                  styles
+                )}
+                onClick={handleConfirmTransition}
+              >
+                {pendingTransition.transition.label}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Delete Confirmation Modal */}
       {showDeleteConfirm && (
         <div className={getThemeClass("modalOverlay", currentTheme, styles)}>
@@ -622,11 +1474,11 @@ const BookingDetailModal = ({
             </div>
             <div className={styles.confirmationBody}>
               <p className={styles.confirmationMessage}>
-                Are you sure you want to permanently delete booking{" "}
+                Are you sure you want to delete booking{" "}
                 <strong>{booking.id}</strong> for customer{" "}
                 <strong>{booking.customer}</strong>?
                 <br />
-                This action cannot be undone.
+                It will be moved to the Trash, where it can be restored.
               </p>
             </div>
             <div className={styles.confirmationActions}>
@@ -667,17 +1519,94 @@ BookingDetailModal.propTypes = {
     startDate: PropTypes.string.isRequired,
     /** End date in YYYY-MM-DD format */
     endDate: PropTypes.string.isRequired,
+    /** Stored version of the booking */
+    version: PropTypes.number,
+    /** Why the booking was cancelled, set while it is cancelled */
+    cancellationReason: PropTypes.string,
+    /** Manual gross value, replacing the rate card value */
+    valueOverride: PropTypes.number,
+    /** Discount in percent */
+    discountPercent: PropTypes.number,
+    /** Currency of the value override (key of CURRENCIES) */
+    currency: PropTypes.string,
+    /** Address commission in percent */
+    addressCommission: PropTypes.number,
+    /** Brokerage in percent */
+    brokerage: PropTypes.number,
+    /** Brokerage shares by broker, in percent of the brokerage */
+    brokerageSplit: PropTypes.arrayOf(
+      PropTypes.shape({
+        /** Broker or co-broker name */
+        broker: PropTypes.string.isRequired,
+        /** Share of the brokerage in percent */
+        share: PropTypes.number.isRequired,
+      })
+    ),
+    /** Laydays in YYYY-MM-DD format */
+    laycanStart: PropTypes.string,
+    /** Cancelling date in YYYY-MM-DD format */
+    laycanEnd: PropTypes.string,
+    /** Earlier laycan windows, oldest first */
+    laycanHistory: PropTypes.arrayOf(
+      PropTypes.shape({
+        /** Laydays of the window */
+        start: PropTypes.string.isRequired,
+        /** Cancelling date of the window */
+        end: PropTypes.string.isRequired,
+      })
+    ),
+    /** Voyage legs, in order */
+    legs: PropTypes.arrayOf(
+      PropTypes.shape({
+        /** UN/LOCODE of the load port */
+        loadPort: PropTypes.string.isRequired,
+        /** ETA at the load port, in its local time (YYYY-MM-DDTHH:mm) */
+        loadEta: PropTypes.string,
+        /** UN/LOCODE of the discharge port */
+        dischargePort: PropTypes.string.isRequired,
+        /** ETA at the discharge port, in its local time (YYYY-MM-DDTHH:mm) */
+        dischargeEta: PropTypes.string,
+      })
+    ),
   }),
   /** Whether the modal is currently open */
   isOpen: PropTypes.bool.isRequired,
   /** Callback function called when modal should close */
   onClose: PropTypes.func.isRequired,
-  /** Function to update booking status */
+  /** Function to update booking status; passed `{ fields }` when the change needs input */
   updateBookingStatus: PropTypes.func.isRequired,
   /** Function to delete a booking */
   deleteBooking: PropTypes.func.isRequired,
   /** Function to navigate to edit mode */
   onEdit: PropTypes.func.isRequired,
+  /** Function to update booking fields, used to keep my version on conflicts */
+  updateBooking: PropTypes.func,
+  /** Function loading the booking's audit trail for the Activity tab */
+  getBookingActivity: PropTypes.func,
+  /** Registered vessels, whose rate cards value the booking */
+  vessels: PropTypes.arrayOf(
+    PropTypes.shape({
+      /** Vessel ID */
+      id: PropTypes.string.isRequired,
+      /** Registered vessel name */
+      name: PropTypes.string.isRequired,
+      /** Daily hire rate, seasonal rates and minimum days */
+      rateCard: PropTypes.object,
+    })
+  ),
+  /** Invoices, to show the booking's invoice and its status */
+  invoices: PropTypes.arrayOf(
+    PropTypes.shape({
+      /** Invoice ID */
+      id: PropTypes.string.isRequired,
+      /** Invoice number, set when issued */
+      number: PropTypes.string,
+      /** Invoice status: draft, issued, paid or void */
+      status: PropTypes.string.isRequired,
+      /** Bookings on the invoice */
+      bookingIds: PropTypes.arrayOf(PropTypes.string).isRequired,
+    })
+  ),
 };
 
 export default BookingDetailModal;
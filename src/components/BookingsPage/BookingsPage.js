@@ -2,13 +2,37 @@ import React, { useState } from "react";
 import { useTheme } from "../../contexts/ThemeContext";
 import { useToast } from "../../contexts/ToastContext";
 import { useBookings } from "../../hooks/useBookings";
+import { useVessels } from "../../hooks/useVessels";
+import { useCustomers } from "../../hooks/useCustomers";
+import { useFxRates } from "../../hooks/useFxRates";
+import { useInvoices } from "../../hooks/useInvoices";
 import { useWelcomeModal } from "../../hooks/useSessionStorage";
+import { PORTS } from "../../data/ports";
+import { AUDIT_ACTIONS } from "../../services/auditLog";
+import { getQuickTransition } from "../../services/bookingWorkflow";
+import { getTrashPolicy } from "../../services/trashPolicy";
 import { formatDateRange, calculateDuration } from "../../utils/bookingUtils";
+import { formatMoney } from "../../utils/currencyUtils";
+import {
+  formatLaycan,
+  getLaycanWarning,
+  getLaycanWindows,
+} from "../../utils/laycanUtils";
+import { calculateBookingValue } from "../../utils/rateUtils";
+import { findBookingRateCard } from "../../utils/vesselUtils";
 import { getThemeClass } from "../../utils/themeUtils";
 import BookingDetailModal from "../BookingDetailModal/BookingDetailModal";
+import CommissionStatementPanel from "../CommissionStatementPanel/CommissionStatementPanel";
 import CreateBookingForm from "../CreateBookingForm/CreateBookingForm";
+import DevToolsPanel from "../DevToolsPanel/DevToolsPanel";
+import ExportBookingsPanel from "../ExportBookingsPanel/ExportBookingsPanel";
+import ImportBookingsPanel from "../ImportBookingsPanel/ImportBookingsPanel";
 import LoadingSkeleton from "../LoadingSkeleton/LoadingSkeleton";
+import Pagination from "../Pagination/Pagination";
 import SearchAndFilters from "../SearchAndFilters/SearchAndFilters";
+import ServiceStatusBanner from "../ServiceStatusBanner/ServiceStatusBanner";
+import SyncQueuePanel from "../SyncQueuePanel/SyncQueuePanel";
+import TrashPanel from "../TrashPanel/TrashPanel";
 import WelcomeModal from "../WelcomeModal/WelcomeModal";
 import {
   PlusOutlined,
@@ -21,9 +45,62 @@ import {
   FileTextOutlined,
   TableOutlined,
   AppstoreOutlined,
+  RestOutlined,
+  CloudSyncOutlined,
+  ImportOutlined,
+  ExportOutlined,
+  PercentageOutlined,
 } from "@ant-design/icons";
 import styles from "./BookingsPage.module.css";
 
+// The mock API developer panel is only available in development builds,
+// or when explicitly enabled for a demo deployment
+const SHOW_DEV_TOOLS =
+  process.env.NODE_ENV === "development" ||
+  process.env.REACT_APP_ENABLE_DEV_TOOLS === "true";
+
+// Icon, table and card styles and short card label for each one-click status change
+const QUICK_TRANSITIONS = {
+  confirm: {
+    icon: <CheckCircleOutlined />,
+    tableClass: "quickActionBtnSuccess",
+    cardClass: "confirmButton",
+    cardLabel: "Confirm",
+  },
+  make_pending: {
+    icon: <ClockCircleOutlined />,
+    tableClass: "quickActionBtnWarning",
+    cardClass: "warningButton",
+    cardLabel: "Make Pending",
+  },
+  restore_to_pending: {
+    icon: <ReloadOutlined />,
+    tableClass: "quickActionBtnRestore",
+    cardClass: "restoreButton",
+    cardLabel: "Restore",
+  },
+};
+
+// Toast text for a booking change made in another tab
+const describeRemoteChange = ({ type, bookingId, changes = [] }) => {
+  switch (type) {
+    case AUDIT_ACTIONS.CREATED:
+      return `Booking ${bookingId} was created in another tab`;
+    case AUDIT_ACTIONS.STATUS_CHANGED: {
+      const status = changes.find((change) => change.field === "status");
+      return `Booking ${bookingId} was marked ${status?.to} in another tab`;
+    }
+    case AUDIT_ACTIONS.DELETED:
+      return `Booking ${bookingId} was moved to the Trash in another tab`;
+    case AUDIT_ACTIONS.RESTORED:
+      return `Booking ${bookingId} was restored in another tab`;
+    case AUDIT_ACTIONS.PURGED:
+      return `Booking ${bookingId} was permanently deleted in another tab`;
+    default:
+      return `Booking ${bookingId} was edited in another tab`;
+  }
+};
+
 /**
  * Main bookings management page component that provides a complete interface for viewing,
  * searching, filtering, and managing vessel bookings. Includes functionality for creating
@@ -33,11 +110,32 @@ import styles from "./BookingsPage.module.css";
  * - Search and filter functionality with debounced text search
  * - Status-based filtering (confirmed, pending, cancelled)
  * - Date range filtering for booking periods
+ * - Vessel filtering and a searchable vessel picker backed by the vessel registry
+ * - Customer filtering and a customer picker backed by the customer directory,
+ *   matching legal names and aliases
  * - Sortable booking table with multiple sort options
+ * - Charter value of each booking, worked out from its vessel's rate card, in
+ *   the table and card views in its own currency, and the invoice it is
+ *   billed on in its details
+ * - Pagination with a page-size selector; filtering, sorting and paging run
+ *   through the service query so they can move to a backend
  * - Responsive design with mobile-friendly table views
  * - Accessibility features including keyboard navigation and screen reader support
  * - Loading states with skeleton components
  * - Error handling with toast notifications
+ * - Soft delete with a Trash view to restore or permanently delete bookings
+ * - Changes made while offline are marked "Not yet synced" and can be
+ *   inspected, retried or discarded in the sync queue
+ * - Changes made in other tabs appear live, with the affected rows
+ *   highlighted and a toast saying what changed
+ * - A "service degraded" banner with a countdown while repeated failures
+ *   have paused requests to the backend
+ * - CSV and spreadsheet import with a validated preview of every row
+ * - Export of the current view, one vessel or all bookings to CSV, JSON,
+ *   SpreadsheetML or an iCalendar file for Outlook, with Greek and English
+ *   Excel delimiter and date presets
+ * - Commission statements per broker and period in a reporting currency, with
+ *   a CSV download
  *
  * @component
  * @returns {JSX.Element} Complete bookings management interface
@@ -50,9 +148,16 @@ import styles from "./BookingsPage.module.css";
  */
 const BookingsPage = () => {
   const { currentTheme } = useTheme();
-  const { showError } = useToast();
+  const { showError, showInfo } = useToast();
   const {
     bookings,
+    total,
+    page,
+    pageSize,
+    sort,
+    setPage,
+    setPageSize,
+    updateSort,
     loading,
     error,
     filters,
@@ -63,7 +168,55 @@ const BookingsPage = () => {
     deleteBooking,
     updateBookingStatus,
     updateBooking,
-  } = useBookings();
+    checkConflicts,
+    getBookingActivity,
+    getDeletedBookings,
+    getAllBookings,
+    getViewBookings,
+    importBookings,
+    restoreBooking,
+    purgeBooking,
+    pendingSync,
+    queuedMutations,
+    discardQueuedMutation,
+    retryQueuedMutations,
+    flashingBookingIds,
+    serviceStatus,
+  } = useBookings({
+    onRemoteChange: (change) => showInfo(describeRemoteChange(change)),
+  });
+  const vesselRegistry = useVessels();
+  const customerDirectory = useCustomers();
+  const invoiceList = useInvoices();
+  const { fxRates } = useFxRates();
+  // Until the registries have loaded, vessels and customers are entered as free text
+  const vessels =
+    vesselRegistry.loading || vesselRegistry.error
+      ? undefined
+      : vesselRegistry.vessels;
+  const customers =
+    customerDirectory.loading || customerDirectory.error
+      ? undefined
+      : customerDirectory.customers;
+  const invoices =
+    invoiceList.loading || invoiceList.error ? undefined : invoiceList.invoices;
+  // Net charter value from the booking's vessel rate card (see calculateBookingValue),
+  // in the currency it is priced in
+  const formatBookingValue = (booking) => {
+    const { netValue, currency } = calculateBookingValue(
+      booking,
+      findBookingRateCard(booking, vessels)
+    );
+    return formatMoney(netValue, currency);
+  };
+  const hasActiveFilters = Boolean(
+    filters.customerName ||
+      filters.status ||
+      filters.vesselId ||
+      filters.customerId ||
+      filters.port ||
+      filters.dateRange.start
+  );
 
   // Welcome modal state management
   const [hasSeenWelcome, markWelcomeAsSeen] = useWelcomeModal();
@@ -73,12 +226,27 @@ const BookingsPage = () => {
   const [selectedBooking, setSelectedBooking] = useState(null);
   const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
   const [bookingToDelete, setBookingToDelete] = useState(null);
+  const [showTrash, setShowTrash] = useState(false);
+  const [showImport, setShowImport] = useState(false);
+  const [showExport, setShowExport] = useState(false);
+  const [showCommissions, setShowCommissions] = useState(false);
+  const [showSyncQueue, setShowSyncQueue] = useState(false);
   const [viewMode, setViewMode] = useState("table"); // "table" or "card"
   const [processingBookingId, setProcessingBookingId] = useState(null); // Track which booking is being processed
-  const [sortConfig, setSortConfig] = useState({
-    column: null,
-    direction: null,
-  }); // Sorting state
+
+  // Keep the detail modal in sync with the latest stored version of the booking
+  const detailBooking = selectedBooking
+    ? bookings.find((b) => b.id === selectedBooking.id) || selectedBooking
+    : null;
+
+  // Let the user know a change was kept on this device for later
+  const notifyIfQueued = (result) => {
+    if (result.queued) {
+      showInfo(
+        "You're offline. The change will sync when the connection returns."
+      );
+    }
+  };
 
   const handleBookingClick = (booking) => {
     setSelectedBooking(booking);
@@ -94,10 +262,14 @@ const BookingsPage = () => {
     setShowCreateForm(true); // Open edit form
   };
 
-  const handleFormSubmit = async (bookingData) => {
+  const handleFormSubmit = async (bookingData, options) => {
     if (editingBooking) {
-      // Update existing booking
-      const result = await updateBooking(editingBooking.id, bookingData);
+      // Update existing booking, based on the version the form was loaded from
+      const result = await updateBooking(
+        editingBooking.id,
+        bookingData,
+        options
+      );
       if (result.success) {
         setShowCreateForm(false);
         setEditingBooking(null);
@@ -135,6 +307,7 @@ const BookingsPage = () => {
       const result = await deleteBooking(bookingToDelete.id);
       if (result.success) {
         console.log("Successfully deleted booking:", bookingToDelete.id);
+        notifyIfQueued(result);
       } else {
         console.error("Failed to delete booking:", result.error);
         showError(`Failed to delete booking: ${result.error}`);
@@ -150,35 +323,24 @@ const BookingsPage = () => {
     const booking = bookings.find((b) => b.id === bookingId);
     if (!booking || processingBookingId !== null) return;
 
+    const transition = getQuickTransition(booking);
+    if (!transition || transition.blockedReason) return;
+
     console.log(`Setting processing state for booking ${bookingId}`);
     setProcessingBookingId(bookingId);
 
-    let newStatus;
-    switch (booking.status) {
-      case "pending":
-        newStatus = "confirmed";
-        break;
-      case "confirmed":
-        newStatus = "pending";
-        break;
-      case "cancelled":
-        newStatus = "pending";
-        break;
-      default:
-        newStatus = "pending";
-    }
-
     console.log(
-      `Changing booking ${bookingId} status from ${booking.status} to ${newStatus}`
+      `Changing booking ${bookingId} status from ${booking.status} to ${transition.to}`
     );
 
     try {
       // Add a small delay to make the disabled state visible
       await new Promise((resolve) => setTimeout(resolve, 300));
 
-      const result = await updateBookingStatus(bookingId, newStatus);
+      const result = await updateBookingStatus(bookingId, transition.to);
       if (result.success) {
         console.log("Successfully updated booking status:", bookingId);
+        notifyIfQueued(result);
       } else {
         console.error("Failed to update booking status:", result.error);
         showError(`Failed to update booking status: ${result.error}`);
@@ -189,114 +351,112 @@ const BookingsPage = () => {
     }
   };
 
-  const getStatusToggleTooltip = (status) => {
-    switch (status) {
-      case "pending":
-        return "Confirm booking";
-      case "confirmed":
-        return "Make pending";
-      case "cancelled":
-        return "Restore to pending";
-      default:
-        return "Change status";
+  // A booking's laycan, earlier windows struck through to show how it was
+  // narrowed, and a warning when it is unconfirmed near its cancelling date
+  const renderLaycan = (booking) => {
+    const windows = getLaycanWindows(booking);
+    const warning = getLaycanWarning(booking);
+    if (windows.length === 0) {
+      return null;
     }
+    return (
+      <>
+        {windows.slice(0, -1).map((window, index) => (
+          <React.Fragment key={index}>
+            <del className={styles.laycanNarrowed}>
+              {formatLaycan(window.start, window.end)}
+            </del>
+            {" → "}
+          </React.Fragment>
+        ))}
+        {formatLaycan(booking.laycanStart, booking.laycanEnd)}
+        {warning && (
+          <span
+            className={getThemeClass(
+              warning.level === "lapsed" ? "laycanLapsed" : "laycanWarning",
+              currentTheme,
+              styles
+            )}
+          >
+            <ExclamationCircleOutlined /> {warning.message}
+          </span>
+        )}
+      </>
+    );
   };
 
-  const getStatusToggleIcon = (status) => {
-    switch (status) {
-      case "pending":
-        return <CheckCircleOutlined />;
-      case "confirmed":
-        return <ClockCircleOutlined />;
-      case "cancelled":
-        return <ReloadOutlined />;
-      default:
-        return <CheckCircleOutlined />;
+  // The quick status button for a booking, or null when it has no one-click change
+  const renderStatusToggle = (booking, variant) => {
+    const transition = getQuickTransition(booking);
+    if (!transition) return null;
+
+    const { icon, tableClass, cardClass, cardLabel } =
+      QUICK_TRANSITIONS[transition.action];
+    const disabled =
+      processingBookingId !== null || Boolean(transition.blockedReason);
+    const title = transition.blockedReason || transition.title;
+
+    if (variant === "table") {
+      return (
+        <button
+          className={styles[tableClass]}
+          onClick={(e) => {
+            e.stopPropagation();
+            handleStatusToggle(booking.id);
+          }}
+          disabled={disabled}
+          title={title}
+          aria-label={`${transition.title} ${booking.id}`}
+        >
+          {icon}
+        </button>
+      );
     }
+
+    return (
+      <button
+        type="button"
+        onClick={() => handleStatusToggle(booking.id)}
+        className={`${styles.actionButton} ${styles[cardClass]}`}
+        disabled={disabled}
+        title={title}
+        aria-label={`${transition.title} for ${booking.customer}'s booking`}
+      >
+        {icon} {cardLabel}
+      </button>
+    );
   };
 
   const handleSort = (column) => {
     let direction = "asc";
 
-    if (sortConfig.column === column) {
-      if (sortConfig.direction === "asc") {
+    if (sort.column === column) {
+      if (sort.direction === "asc") {
         direction = "desc";
-      } else if (sortConfig.direction === "desc") {
+      } else if (sort.direction === "desc") {
         // Reset sorting (no sort)
-        setSortConfig({ column: null, direction: null });
+        updateSort({ column: null, direction: null });
         return;
       }
     }
 
-    setSortConfig({ column, direction });
+    updateSort({ column, direction });
   };
 
   const getSortIcon = (column) => {
-    if (sortConfig.column !== column) {
+    if (sort.column !== column) {
       return null; // No icon when not sorted
     }
 
-    if (sortConfig.direction === "asc") {
+    if (sort.direction === "asc") {
       return <span style={{ fontSize: "12px", marginLeft: "4px" }}>↑</span>;
-    } else if (sortConfig.direction === "desc") {
+    } else if (sort.direction === "desc") {
       return <span style={{ fontSize: "12px", marginLeft: "4px" }}>↓</span>;
     }
 
     return null;
   };
 
-  const sortedBookings = React.useMemo(() => {
-    if (!sortConfig.column || !sortConfig.direction) {
-      return bookings;
-    }
-
-    return [...bookings].sort((a, b) => {
-      let aValue = a[sortConfig.column];
-      let bValue = b[sortConfig.column];
-
-      // Handle different data types
-      switch (sortConfig.column) {
-        case "id":
-          // Convert to number for proper sorting
-          aValue = parseInt(aValue.replace(/[^\d]/g, ""), 10);
-          bValue = parseInt(bValue.replace(/[^\d]/g, ""), 10);
-          break;
-        case "startDate":
-        case "endDate":
-          // Convert to Date objects
-          aValue = new Date(aValue);
-          bValue = new Date(bValue);
-          break;
-        case "duration":
-          // Calculate duration in days for sorting
-          const aStart = new Date(a.startDate);
-          const aEnd = new Date(a.endDate);
-          const bStart = new Date(b.startDate);
-          const bEnd = new Date(b.endDate);
-          aValue = Math.ceil((aEnd - aStart) / (1000 * 60 * 60 * 24));
-          bValue = Math.ceil((bEnd - bStart) / (1000 * 60 * 60 * 24));
-          break;
-        case "customer":
-        case "vessel":
-        case "status":
-          // String comparison (case insensitive)
-          aValue = aValue.toLowerCase();
-          bValue = bValue.toLowerCase();
-          break;
-        default:
-          break;
-      }
-
-      if (aValue < bValue) {
-        return sortConfig.direction === "asc" ? -1 : 1;
-      }
-      if (aValue > bValue) {
-        return sortConfig.direction === "asc" ? 1 : -1;
-      }
-      return 0;
-    });
-  }, [bookings, sortConfig]);
-
   return (
     <div className={getThemeClass("bookingsPage", currentTheme, styles)}>
       {/* Page Header */}
@@ -338,6 +498,64 @@ const BookingsPage = () => {
             </button>
           </div>
 
+          {queuedMutations.length > 0 && (
+            <button
+              className={`${getThemeClass(
+                "btnSecondary",
+                currentTheme,
+                styles
+              )} ${styles.syncQueueButton}`}
+              onClick={() => setShowSyncQueue(true)}
+              aria-label={`Open sync queue, ${queuedMutations.length} change${
+                queuedMutations.length !== 1 ? "s" : ""
+              } not yet synced`}
+              title="Changes not yet synced"
+            >
+              <CloudSyncOutlined style={{ marginRight: "8px" }} />
+              Not synced ({queuedMutations.length})
+            </button>
+          )}
+
+          <button
+            className={getThemeClass("btnSecondary", currentTheme, styles)}
+            onClick={() => setShowImport(true)}
+            aria-label="Import bookings"
+            title="Import bookings from CSV or a spreadsheet"
+          >
+            <ImportOutlined style={{ marginRight: "8px" }} />
+            Import
+          </button>
+
+          <button
+            className={getThemeClass("btnSecondary", currentTheme, styles)}
+            onClick={() => setShowExport(true)}
+            aria-label="Export bookings"
+            title="Export bookings to CSV, JSON, Excel or a calendar"
+          >
+            <ExportOutlined style={{ marginRight: "8px" }} />
+            Export
+          </button>
+
+          <button
+            className={getThemeClass("btnSecondary", currentTheme, styles)}
+            onClick={() => setShowCommissions(true)}
+            aria-label="Commission statement"
+            title="Brokerage commission per broker and period"
+          >
+            <PercentageOutlined style={{ marginRight: "8px" }} />
+            Commissions
+          </button>
+
+          <button
+            className={getThemeClass("btnSecondary", currentTheme, styles)}
+            onClick={() => setShowTrash(true)}
+            aria-label="Open trash"
+            title="Deleted bookings"
+          >
+            <RestOutlined style={{ marginRight: "8px" }} />
+            Trash
+          </button>
+
           <button
             className={getThemeClass("btnPrimary", currentTheme, styles)}
             onClick={handleCreateBooking}
@@ -349,11 +567,16 @@ const BookingsPage = () => {
         </div>
       </div>
 
+      <ServiceStatusBanner status={serviceStatus} onRetry={refreshBookings} />
+
       {/* Search and Filters Section */}
       <SearchAndFilters
         filters={filters}
         onFiltersChange={updateFilters}
         onClearFilters={clearFilters}
+        vessels={vessels}
+        customers={customers}
+        ports={PORTS}
         debounceMs={300}
       />
 
@@ -362,9 +585,7 @@ const BookingsPage = () => {
         <span className={getThemeClass("resultsCount", currentTheme, styles)}>
           {loading
             ? "Loading..."
-            : `${bookings.length} booking${
-                bookings.length !== 1 ? "s" : ""
-              } found`}
+            : `${total} booking${total !== 1 ? "s" : ""} found`}
         </span>
         {error && (
           <button
@@ -414,21 +635,19 @@ const BookingsPage = () => {
               No bookings found
             </h3>
             <p className={getThemeClass("emptyMessage", currentTheme, styles)}>
-              {filters.customerName || filters.status || filters.dateRange.start
+              {hasActiveFilters
                 ? "Try adjusting your search filters."
                 : "Get started by creating your first booking."}
             </p>
-            {!filters.customerName &&
-              !filters.status &&
-              !filters.dateRange.start && (
-                <button
-                  onClick={handleCreateBooking}
-                  className={getThemeClass("btnPrimary", currentTheme, styles)}
-                >
-                  <PlusOutlined style={{ marginRight: "8px" }} />
-                  Create First Booking
-                </button>
-              )}
+            {!hasActiveFilters && (
+              <button
+                onClick={handleCreateBooking}
+                className={getThemeClass("btnPrimary", currentTheme, styles)}
+              >
+                <PlusOutlined style={{ marginRight: "8px" }} />
+                Create First Booking
+              </button>
+            )}
           </div>
         ) : viewMode === "table" ? (
           <div className={styles.bookingsTableContainer}>
@@ -501,6 +720,16 @@ const BookingsPage = () => {
                   >
                     Date Range {getSortIcon("startDate")}
                   </th>
+                  <th
+                    scope="col"
+                    className={getThemeClass(
+                      "tableHeader",
+                      currentTheme,
+                      styles
+                    )}
+                  >
+                    Laycan
+                  </th>
                   <th
                     scope="col"
                     className={getThemeClass(
@@ -513,6 +742,16 @@ const BookingsPage = () => {
                   >
                     Duration {getSortIcon("duration")}
                   </th>
+                  <th
+                    scope="col"
+                    className={getThemeClass(
+                      "tableHeader",
+                      currentTheme,
+                      styles
+                    )}
+                  >
+                    Value
+                  </th>
                   <th
                     scope="col"
                     className={getThemeClass(
@@ -526,7 +765,7 @@ const BookingsPage = () => {
                 </tr>
               </thead>
               <tbody>
-                {sortedBookings.map((booking) => (
+                {bookings.map((booking) => (
                   <tr
                     key={booking.id}
                     className={`${getThemeClass(
@@ -541,6 +780,10 @@ const BookingsPage = () => {
                             styles
                           )
                         : ""
+                    } ${
+                      flashingBookingIds.includes(booking.id)
+                        ? styles.remoteChangeFlash
+                        : ""
                     }`}
                     onClick={() => handleBookingClick(booking)}
                     onKeyDown={(e) => {
@@ -561,6 +804,17 @@ const BookingsPage = () => {
                       )}
                     >
                       {booking.id}
+                      {pendingSync[booking.id] && (
+                        <span
+                          className={getThemeClass(
+                            "syncBadge",
+                            currentTheme,
+                            styles
+                          )}
+                        >
+                          <CloudSyncOutlined /> Not yet synced
+                        </span>
+                      )}
                     </td>
                     <td
                       className={getThemeClass(
@@ -609,6 +863,15 @@ const BookingsPage = () => {
                     >
                       {formatDateRange(booking.startDate, booking.endDate)}
                     </td>
+                    <td
+                      className={getThemeClass(
+                        "tableCell",
+                        currentTheme,
+                        styles
+                      )}
+                    >
+                      {renderLaycan(booking)}
+                    </td>
                     <td
                       className={getThemeClass(
                         "tableCell",
@@ -619,6 +882,15 @@ const BookingsPage = () => {
                       {calculateDuration(booking.startDate, booking.endDate)}{" "}
                       days
                     </td>
+                    <td
+                      className={getThemeClass(
+                        "tableCell",
+                        currentTheme,
+                        styles
+                      )}
+                    >
+                      {formatBookingValue(booking)}
+                    </td>
                     <td
                       className={getThemeClass(
                         "tableCell",
@@ -627,27 +899,8 @@ const BookingsPage = () => {
                       )}
                     >
                       <div className={styles.actionButtons}>
-                        {/* Status Toggle Button - Always visible */}
-                        <button
-                          className={
-                            booking.status === "pending"
-                              ? styles.quickActionBtnSuccess
-                              : booking.status === "confirmed"
-                              ? styles.quickActionBtnWarning
-                              : styles.quickActionBtnRestore
-                          }
-                          onClick={(e) => {
-                            e.stopPropagation();
-                            handleStatusToggle(booking.id);
-                          }}
-                          disabled={processingBookingId !== null}
-                          title={getStatusToggleTooltip(booking.status)}
-                          aria-label={`${getStatusToggleTooltip(
-                            booking.status
-                          )} ${booking.id}`}
-                        >
-                          {getStatusToggleIcon(booking.status)}
-                        </button>
+                        {/* Status Toggle Button */}
+                        {renderStatusToggle(booking, "table")}
 
                         {/* Delete Button - Always visible */}
                         <button
@@ -672,9 +925,27 @@ const BookingsPage = () => {
         ) : (
           <div className={styles.cardsContainer}>
             {bookings.map((booking) => (
-              <div key={booking.id} className={styles.bookingCard}>
+              <div
+                key={booking.id}
+                className={`${styles.bookingCard} ${
+                  flashingBookingIds.includes(booking.id)
+                    ? styles.remoteChangeFlash
+                    : ""
+                }`}
+              >
                 <div className={styles.cardHeader}>
                   <h3 className={styles.cardTitle}>{booking.customer}</h3>
+                  {pendingSync[booking.id] && (
+                    <span
+                      className={getThemeClass(
+                        "syncBadge",
+                        currentTheme,
+                        styles
+                      )}
+                    >
+                      <CloudSyncOutlined /> Not yet synced
+                    </span>
+                  )}
                   <span
                     className={
                       styles[
@@ -700,10 +971,18 @@ const BookingsPage = () => {
                     <strong>Date Range:</strong>{" "}
                     {formatDateRange(booking.startDate, booking.endDate)}
                   </div>
+                  {booking.laycanStart && booking.laycanEnd && (
+                    <div className={styles.cardRow}>
+                      <strong>Laycan:</strong> {renderLaycan(booking)}
+                    </div>
+                  )}
                   <div className={styles.cardRow}>
                     <strong>Duration:</strong>{" "}
                     {calculateDuration(booking.startDate, booking.endDate)} days
                   </div>
+                  <div className={styles.cardRow}>
+                    <strong>Value:</strong> {formatBookingValue(booking)}
+                  </div>
                   <div className={styles.cardRow}>
                     <strong>Booking ID:</strong> {booking.id}
                   </div>
@@ -729,27 +1008,7 @@ const BookingsPage = () => {
 
                   <div className={styles.statusActions}>
                     {/* Status Toggle Button - matches table functionality */}
-                    <button
-                      type="button"
-                      onClick={() => handleStatusToggle(booking.id)}
-                      className={`${styles.actionButton} ${
-                        booking.status === "pending"
-                          ? styles.confirmButton
-                          : booking.status === "confirmed"
-                          ? styles.warningButton
-                          : styles.restoreButton
-                      }`}
-                      disabled={processingBookingId !== null}
-                      title={getStatusToggleTooltip(booking.status)}
-                      aria-label={`${getStatusToggleTooltip(
-                        booking.status
-                      )} for ${booking.customer}'s booking`}
-                    >
-                      {getStatusToggleIcon(booking.status)}
-                      {booking.status === "pending" && " Confirm"}
-                      {booking.status === "confirmed" && " Make Pending"}
-                      {booking.status === "cancelled" && " Restore"}
-                    </button>
+                    {renderStatusToggle(booking, "card")}
 
                     {/* Delete Button */}
                     <button
@@ -777,14 +1036,30 @@ const BookingsPage = () => {
         )}
       </div>
 
+      {/* Pagination */}
+      {!error && total > 0 && (
+        <Pagination
+          page={page}
+          pageSize={pageSize}
+          total={total}
+          onPageChange={setPage}
+          onPageSizeChange={setPageSize}
+          disabled={loading}
+        />
+      )}
+
       {/* Booking Detail Modal */}
       <BookingDetailModal
-        booking={selectedBooking}
+        booking={detailBooking}
         isOpen={!!selectedBooking}
         onClose={() => setSelectedBooking(null)}
         updateBookingStatus={updateBookingStatus}
         deleteBooking={deleteBooking}
+        updateBooking={updateBooking}
+        getBookingActivity={getBookingActivity}
         onEdit={handleEditBooking}
+        vessels={vessels}
+        invoices={invoices}
       />
 
       {/* Delete Confirmation Modal */}
@@ -802,7 +1077,8 @@ const BookingsPage = () => {
                 <strong>{bookingToDelete.id}</strong> for customer{" "}
                 <strong>{bookingToDelete.customer}</strong>?
                 <br />
-                This action cannot be undone.
+                It will be moved to the Trash and can be restored for{" "}
+                {getTrashPolicy().retentionDays} days.
               </p>
             </div>
             <div className={styles.confirmationActions}>
@@ -825,17 +1101,67 @@ const BookingsPage = () => {
         </div>
       )}
 
+      {/* Trash */}
+      <TrashPanel
+        isOpen={showTrash}
+        onClose={() => setShowTrash(false)}
+        loadDeletedBookings={getDeletedBookings}
+        onRestore={restoreBooking}
+        onPurge={purgeBooking}
+        retentionDays={getTrashPolicy().retentionDays}
+      />
+
+      <ImportBookingsPanel
+        isOpen={showImport}
+        onClose={() => setShowImport(false)}
+        loadExistingBookings={getAllBookings}
+        onImport={importBookings}
+        vessels={vessels}
+        customers={customers}
+      />
+
+      <ExportBookingsPanel
+        isOpen={showExport}
+        onClose={() => setShowExport(false)}
+        loadViewBookings={getViewBookings}
+        loadAllBookings={getAllBookings}
+        viewCount={total}
+        vessels={vessels}
+      />
+
+      <CommissionStatementPanel
+        isOpen={showCommissions}
+        onClose={() => setShowCommissions(false)}
+        loadAllBookings={getAllBookings}
+        vessels={vessels}
+        fxRates={fxRates}
+      />
+
+      <SyncQueuePanel
+        isOpen={showSyncQueue}
+        onClose={() => setShowSyncQueue(false)}
+        entries={queuedMutations}
+        onDiscard={discardQueuedMutation}
+        onRetry={retryQueuedMutations}
+      />
+
       {showCreateForm && (
         <CreateBookingForm
           isOpen={showCreateForm}
           onClose={handleFormClose}
           onSubmit={handleFormSubmit}
           editingBooking={editingBooking}
+          checkConflicts={checkConflicts}
+          vessels={vessels}
+          customers={customers}
         />
       )}
 
       {/* Welcome Modal - Shows only on first visit */}
       <WelcomeModal isOpen={!hasSeenWelcome} onClose={markWelcomeAsSeen} />
+
+      {/* Mock API developer panel - development builds only */}
+      {SHOW_DEV_TOOLS && <DevToolsPanel onDataReset={refreshBookings} />}
     </div>
   );
 };
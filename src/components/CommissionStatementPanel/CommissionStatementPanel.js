@@ -0,0 +1,434 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import PropTypes from "prop-types";
+import { useTheme } from "../../contexts/ThemeContext";
+import { useToast } from "../../contexts/ToastContext";
+import { trapFocus, liveRegionManager } from "../../utils/accessibility";
+import { formatDateRange } from "../../utils/bookingUtils";
+import {
+  buildCommissionStatement,
+  buildCommissionStatementFile,
+  getBrokerNames,
+} from "../../utils/commissionUtils";
+import { EXCEL_LOCALES, downloadFile } from "../../utils/exportUtils";
+import {
+  CURRENCIES,
+  formatMoney,
+  getReportingCurrency,
+} from "../../utils/currencyUtils";
+import { getThemeClass } from "../../utils/themeUtils";
+import {
+  CloseOutlined,
+  DownloadOutlined,
+  LoadingOutlined,
+  PercentageOutlined,
+} from "@ant-design/icons";
+import styles from "./CommissionStatementPanel.module.css";
+
+// The statement covers the current calendar year until the user picks a period
+const getDefaultPeriod = () => {
+  const year = new Date().getFullYear();
+  return { from: `${year}-01-01`, to: `${year}-12-31` };
+};
+
+/**
+ * Modal showing a broker's commission statement: their share of the
+ * brokerage on every confirmed booking starting in the chosen period, with
+ * the total owed and a CSV download for the accounts department.
+ *
+ * Features:
+ * - Broker picked from everyone credited with brokerage, including the house
+ * - Period from and to dates, defaulting to the current year
+ * - One row per booking with net value, brokerage rate, share and amount
+ * - Amounts converted to a reporting currency at each booking's start date
+ * - Notice for bookings left out because they have no value yet, or of the
+ *   total because no exchange rate applied
+ * - CSV download laid out for Greek Excel
+ * - Focus trapping, Escape to close and screen reader announcements
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {boolean} props.isOpen - Whether the modal is currently open
+ * @param {function} props.onClose - Callback function called when modal should close
+ * @param {function} props.loadAllBookings - Function resolving to `{ success, bookings, error }`
+ *   with every stored booking
+ * @param {Array<Object>} [props.vessels] - Registered vessels, whose rate cards value the bookings
+ * @param {Array<Object>} [props.fxRates] - Exchange rates to convert amounts with
+ * @returns {JSX.Element|null} Modal component or null if not open
+ *
+ * @example
+ * <CommissionStatementPanel
+ *   isOpen={showCommissions}
+ *   onClose={() => setShowCommissions(false)}
+ *   loadAllBookings={getAllBookings}
+ *   vessels={vessels}
+ *   fxRates={fxRates}
+ * />
+ */
+const CommissionStatementPanel = ({
+  isOpen,
+  onClose,
+  loadAllBookings,
+  vessels,
+  fxRates,
+}) => {
+  const { currentTheme } = useTheme();
+  const { showSuccess } = useToast();
+  const modalRef = useRef(null);
+  const [broker, setBroker] = useState("");
+  const [period, setPeriod] = useState(getDefaultPeriod);
+  const [currency, setCurrency] = useState(getReportingCurrency);
+  const [allBookings, setAllBookings] = useState({
+    loading: false,
+    bookings: null,
+    error: null,
+  });
+
+  // Statements are worked out from fresh data every time the modal opens
+  useEffect(() => {
+    if (!isOpen) return;
+
+    let cancelled = false;
+    setBroker("");
+    setPeriod(getDefaultPeriod());
+    setCurrency(getReportingCurrency());
+    setAllBookings({ loading: true, bookings: null, error: null });
+    loadAllBookings().then((result) => {
+      if (cancelled) return;
+      setAllBookings(
+        result.success
+          ? { loading: false, bookings: result.bookings, error: null }
+          : { loading: false, bookings: null, error: result.error }
+      );
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen, loadAllBookings]);
+
+  // Handle escape key and focus management
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const handleEscape = (e) => {
+      if (e.key === "Escape") {
+        onClose();
+      }
+    };
+
+    document.addEventListener("keydown", handleEscape);
+    const cleanup = modalRef.current ? trapFocus(modalRef.current) : null;
+
+    return () => {
+      document.removeEventListener("keydown", handleEscape);
+      if (cleanup) cleanup();
+    };
+  }, [isOpen, onClose]);
+
+  const brokers = useMemo(
+    () => getBrokerNames(allBookings.bookings || []),
+    [allBookings.bookings]
+  );
+
+  const isPeriodValid = Boolean(
+    period.from && period.to && period.from <= period.to
+  );
+
+  const statement = useMemo(
+    () =>
+      broker && isPeriodValid && allBookings.bookings
+        ? buildCommissionStatement(allBookings.bookings, vessels, {
+            broker,
+            ...period,
+            currency,
+            rates: fxRates,
+          })
+        : null,
+    [
+      broker,
+      period,
+      currency,
+      isPeriodValid,
+      allBookings.bookings,
+      vessels,
+      fxRates,
+    ]
+  );
+
+  if (!isOpen) return null;
+
+  const handlePeriodChange = (e) => {
+    const { name, value } = e.target;
+    setPeriod((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleDownload = () => {
+    downloadFile(
+      buildCommissionStatementFile(statement, {
+        delimiter: EXCEL_LOCALES.el.delimiter,
+        dateFormat: EXCEL_LOCALES.el.dateFormat,
+      })
+    );
+    const message = `Downloaded commission statement for ${statement.broker}`;
+    showSuccess(message);
+    liveRegionManager.announce(message, "polite");
+  };
+
+  const handleOverlayClick = (e) => {
+    if (e.target === e.currentTarget) {
+      onClose();
+    }
+  };
+
+  const renderStatement = () => {
+    if (!broker) {
+      return (
+        <p className={styles.stateMessage}>
+          Choose a broker to see their statement.
+        </p>
+      );
+    }
+    if (!isPeriodValid) {
+      return (
+        <div className={styles.errorMessage} role="alert">
+          The period must end on or after the day it starts.
+        </div>
+      );
+    }
+
+    return (
+      <>
+        {statement.rows.length === 0 ? (
+          <p className={styles.stateMessage}>
+            No commission for {statement.broker} on confirmed bookings starting
+            in this period.
+          </p>
+        ) : (
+          <div className={styles.tableContainer}>
+            <table
+              className={getThemeClass("statementTable", currentTheme, styles)}
+            >
+              <thead>
+                <tr>
+                  <th scope="col">Booking</th>
+                  <th scope="col">Customer</th>
+                  <th scope="col">Vessel</th>
+                  <th scope="col">Dates</th>
+                  <th scope="col" className={styles.numeric}>
+                    Net value
+                  </th>
+                  <th scope="col" className={styles.numeric}>
+                    Brokerage
+                  </th>
+                  <th scope="col" className={styles.numeric}>
+                    Share
+                  </th>
+                  <th scope="col" className={styles.numeric}>
+                    Commission
+                  </th>
+                  <th scope="col" className={styles.numeric}>
+                    In {statement.currency}
+                  </th>
+                </tr>
+              </thead>
+              <tbody>
+                {statement.rows.map((row) => (
+                  <tr key={row.bookingId}>
+                    <td>{row.bookingId}</td>
+                    <td>{row.customer}</td>
+                    <td>{row.vessel}</td>
+                    <td>{formatDateRange(row.startDate, row.endDate)}</td>
+                    <td className={styles.numeric}>
+                      {formatMoney(row.netValue, row.currency)}
+                    </td>
+                    <td className={styles.numeric}>{row.brokeragePercent}%</td>
+                    <td className={styles.numeric}>{row.share}%</td>
+                    <td className={styles.numeric}>
+                      {formatMoney(row.amount, row.currency)}
+                    </td>
+                    <td className={styles.numeric}>
+                      {formatMoney(row.reportingAmount, statement.currency)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+              <tfoot>
+                <tr>
+                  <th scope="row" colSpan={8}>
+                    Total
+                  </th>
+                  <td className={styles.numeric}>
+                    {formatMoney(statement.total, statement.currency)}
+                  </td>
+                </tr>
+              </tfoot>
+            </table>
+          </div>
+        )}
+        {statement.unvalued.length > 0 && (
+          <p className={styles.note} role="status">
+            Left out because they have no charter value yet:{" "}
+            {statement.unvalued.join(", ")}
+          </p>
+        )}
+        {statement.unconverted.length > 0 && (
+          <p className={styles.note} role="status">
+            Left out of the total because no exchange rate to{" "}
+            {statement.currency} applied on their start date:{" "}
+            {statement.unconverted.join(", ")}
+          </p>
+        )}
+      </>
+    );
+  };
+
+  return (
+    <div
+      className={getThemeClass("modalOverlay", currentTheme, styles)}
+      onClick={handleOverlayClick}
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="commission-statement-title"
+    >
+      <div
+        className={getThemeClass("modalContent", currentTheme, styles)}
+        ref={modalRef}
+      >
+        <div className={styles.modalHeader}>
+          <h2 id="commission-statement-title" className={styles.modalTitle}>
+            <PercentageOutlined style={{ marginRight: "8px" }} />
+            Commission Statement
+          </h2>
+          <button
+            className={styles.closeButton}
+            onClick={onClose}
+            aria-label="Close commission statement"
+          >
+            <CloseOutlined />
+          </button>
+        </div>
+
+        <div className={styles.modalBody}>
+          {allBookings.loading ? (
+            <p className={styles.stateMessage}>
+              <LoadingOutlined style={{ marginRight: "8px" }} />
+              Loading bookings...
+            </p>
+          ) : allBookings.error ? (
+            <div className={styles.errorMessage} role="alert">
+              Could not load bookings: {allBookings.error}
+            </div>
+          ) : (
+            <>
+              <div className={styles.options}>
+                <div className={styles.selectField}>
+                  <label htmlFor="commission-broker">Broker</label>
+                  <select
+                    id="commission-broker"
+                    className={getThemeClass(
+                      "selectInput",
+                      currentTheme,
+                      styles
+                    )}
+                    value={broker}
+                    onChange={(e) => setBroker(e.target.value)}
+                  >
+                    <option value="">Choose a broker</option>
+                    {brokers.map((name) => (
+                      <option key={name} value={name}>
+                        {name}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div className={styles.selectField}>
+                  <label htmlFor="commission-currency">Currency</label>
+                  <select
+                    id="commission-currency"
+                    className={getThemeClass(
+                      "selectInput",
+                      currentTheme,
+                      styles
+                    )}
+                    value={currency}
+                    onChange={(e) => setCurrency(e.target.value)}
+                  >
+                    {Object.keys(CURRENCIES).map((code) => (
+                      <option key={code} value={code}>
+                        {code}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div className={styles.selectField}>
+                  <label htmlFor="commission-from">From</label>
+                  <input
+                    type="date"
+                    id="commission-from"
+                    name="from"
+                    className={getThemeClass(
+                      "selectInput",
+                      currentTheme,
+                      styles
+                    )}
+                    value={period.from}
+                    onChange={handlePeriodChange}
+                  />
+                </div>
+                <div className={styles.selectField}>
+                  <label htmlFor="commission-to">To</label>
+                  <input
+                    type="date"
+                    id="commission-to"
+                    name="to"
+                    className={getThemeClass(
+                      "selectInput",
+                      currentTheme,
+                      styles
+                    )}
+                    value={period.to}
+                    onChange={handlePeriodChange}
+                  />
+                </div>
+              </div>
+
+              {renderStatement()}
+            </>
+          )}
+        </div>
+
+        <div className={styles.modalFooter}>
+          <button
+            className={getThemeClass("btnSecondary", currentTheme, styles)}
+            onClick={onClose}
+          >
+            Close
+          </button>
+          <button
+            className={getThemeClass("btnPrimary", currentTheme, styles)}
+            onClick={handleDownload}
+            disabled={!statement || statement.rows.length === 0}
+          >
+            <DownloadOutlined style={{ marginRight: "8px" }} />
+            Download CSV
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+CommissionStatementPanel.propTypes = {
+  /** Whether the modal is currently open */
+  isOpen: PropTypes.bool.isRequired,
+  /** Callback function called when modal should close */
+  onClose: PropTypes.func.isRequired,
+  /** Function resolving to `{ success, bookings, error }` with every stored booking */
+  loadAllBookings: PropTypes.func.isRequired,
+  /** Registered vessels, whose rate cards value the bookings */
+  vessels: PropTypes.arrayOf(PropTypes.object),
+  /** Exchange rates to convert amounts with */
+  fxRates: PropTypes.arrayOf(PropTypes.object),
+};
+
+export default CommissionStatementPanel;
@@ -1,8 +1,44 @@
-import React, { useState, useEffect, useRef } from "react";
+import React, { useState, useEffect, useRef, useMemo } from "react";
 import PropTypes from "prop-types";
 import { useTheme } from "../../contexts/ThemeContext";
-import { validateBookingForm } from "../../utils/bookingUtils";
-import { BOOKING_STATUSES } from "../../data/mockBookings";
+import {
+  validateBookingForm,
+  mergeBookingChanges,
+  isSameFieldValue,
+  EDITABLE_BOOKING_FIELDS,
+} from "../../utils/bookingUtils";
+import {
+  ALL_BOOKING_STATUSES,
+  BOOKING_STATUSES,
+} from "../../data/mockBookings";
+import { getAvailableTransitions } from "../../services/bookingWorkflow";
+import {
+  describeVessel,
+  findBookingRateCard,
+  findVesselByName,
+  searchVessels,
+} from "../../utils/vesselUtils";
+import { CURRENCIES, formatMoney } from "../../utils/currencyUtils";
+import {
+  calculateBookingValue,
+  getBookingCurrency,
+  toBookingValueData,
+} from "../../utils/rateUtils";
+import {
+  HOUSE_BROKER,
+  calculateCommission,
+  formatBrokerageSplit,
+  toBookingCommissionData,
+} from "../../utils/commissionUtils";
+import {
+  describeCustomer,
+  findCustomerByName,
+  searchCustomers,
+} from "../../utils/customerUtils";
+import { PORTS } from "../../data/ports";
+import { formatVoyageLegs, toVoyageLegData } from "../../utils/portUtils";
+import { toLaycanData } from "../../utils/laycanUtils";
+import RegistryPicker from "../RegistryPicker/RegistryPicker";
 import { trapFocus, liveRegionManager } from "../../utils/accessibility";
 import { getThemeClass } from "../../utils/themeUtils";
 import {
@@ -15,9 +51,119 @@ import {
   PlusOutlined,
   ExclamationCircleOutlined,
   CheckCircleOutlined,
+  DollarOutlined,
+  DeleteOutlined,
+  PercentageOutlined,
+  EnvironmentOutlined,
 } from "@ant-design/icons";
 import styles from "./CreateBookingForm.module.css";
 
+const EMPTY_FORM = {
+  customer: "",
+  vessel: "",
+  status: "pending",
+  startDate: "",
+  endDate: "",
+  laycanStart: "",
+  laycanEnd: "",
+  valueOverride: "",
+  discountPercent: "",
+  currency: "EUR",
+  addressCommission: "",
+  brokerage: "",
+  brokerageSplit: [],
+  legs: [],
+};
+
+const EMPTY_SHARE = { broker: "", share: "" };
+
+const EMPTY_LEG = {
+  loadPort: "",
+  loadEta: "",
+  dischargePort: "",
+  dischargeEta: "",
+};
+
+// Inputs of one voyage leg, in form order
+const LEG_FIELDS = [
+  { name: "loadPort", label: "Load port", type: "port" },
+  { name: "loadEta", label: "Load ETA", type: "eta" },
+  { name: "dischargePort", label: "Discharge port", type: "port" },
+  { name: "dischargeEta", label: "Discharge ETA", type: "eta" },
+];
+
+const FIELD_LABELS = {
+  customer: "Customer",
+  vessel: "Vessel",
+  status: "Status",
+  startDate: "Start date",
+  endDate: "End date",
+  laycanStart: "Laydays",
+  laycanEnd: "Cancelling",
+  valueOverride: "Value override",
+  discountPercent: "Discount",
+  currency: "Currency",
+  addressCommission: "Address commission",
+  brokerage: "Brokerage",
+  brokerageSplit: "Brokerage split",
+  legs: "Voyage legs",
+};
+
+// Conflict table cell for a form value; the split is a list of shares and
+// the voyage a list of legs
+const formatFieldValue = (field, value) => {
+  if (!Array.isArray(value)) {
+    return value;
+  }
+  return field === "legs"
+    ? formatVoyageLegs(value)
+    : formatBrokerageSplit(value);
+};
+
+const toPercentInput = (value) =>
+  value === null || value === undefined ? "" : String(value);
+
+// Convert form values to booking data: the typed vessel and customer names
+// are linked to their registry entries, if they have one, using the
+// registered names, the value and commission fields are stored as numbers,
+// the currency is the rate card's when the value comes from it, the legs'
+// port codes are in upper case and a changed laycan extends the history of
+// the booking as it was before the edit (`base`)
+const toBookingData = (data, vessels, customers, base) => {
+  const vessel = vessels && findVesselByName(vessels, data.vessel);
+  const customer = customers && findCustomerByName(customers, data.customer);
+  return {
+    ...data,
+    ...toBookingValueData(data, findBookingRateCard(data, vessels)),
+    ...toBookingCommissionData(data),
+    ...toVoyageLegData(data),
+    ...toLaycanData(data, base),
+    ...(vessel && { vessel: vessel.name, vesselId: vessel.id }),
+    ...(customer && { customer: customer.name, customerId: customer.id }),
+  };
+};
+
+// Convert a stored booking into form field values (dates as YYYY-MM-DD)
+const toFormValues = (booking) => ({
+  customer: booking.customer || "",
+  vessel: booking.vessel || "",
+  status: booking.status || "pending",
+  startDate: new Date(booking.startDate).toISOString().split("T")[0],
+  endDate: new Date(booking.endDate).toISOString().split("T")[0],
+  laycanStart: booking.laycanStart || "",
+  laycanEnd: booking.laycanEnd || "",
+  valueOverride: toPercentInput(booking.valueOverride),
+  discountPercent: toPercentInput(booking.discountPercent),
+  currency: booking.currency || "EUR",
+  addressCommission: toPercentInput(booking.addressCommission),
+  brokerage: toPercentInput(booking.brokerage),
+  brokerageSplit: (booking.brokerageSplit || []).map(({ broker, share }) => ({
+    broker,
+    share: String(share),
+  })),
+  legs: (booking.legs || []).map((leg) => ({ ...EMPTY_LEG, ...leg })),
+});
+
 /**
  * Modal form component for creating new bookings or editing existing ones.
  * Provides a comprehensive form interface with validation, accessibility features,
@@ -33,12 +179,32 @@ import styles from "./CreateBookingForm.module.css";
  * - Keyboard navigation support with Escape key to close
  * - Form state persistence during editing
  * - Clean form reset after successful submission
+ * - Inline vessel double-booking detection (blocking conflicts and pending warnings)
+ * - Optional laycan (laydays to cancelling) alongside the charter period; the
+ *   vessel is held from laydays, and narrowing the laycan of a booking keeps
+ *   its earlier windows
+ * - "Theirs / mine / merge" resolution when the booking was changed by someone else
+ * - Searchable vessel picker when a vessel registry is given; the booking is then
+ *   saved with the chosen vessel's `vesselId`
+ * - Customer picker when a customer directory is given, matching legal names and
+ *   aliases; the booking is then saved with the customer's `customerId` and trading name
+ * - Charter value worked out from the vessel's rate card as the dates are entered,
+ *   with an optional manual value override and discount; the value is in the rate
+ *   card's currency, or in a chosen currency when overridden. The booking is saved
+ *   with a copy of the rate card, so later changes to the vessel's rates leave it
+ *   as priced
+ * - Address commission and brokerage percentages, with the brokerage optionally
+ *   split between brokers and co-brokers, and the amounts they come to
+ * - Voyage legs, each loading at one port of the port list and discharging at
+ *   another, with ETAs in the ports' local time
  *
  * @component
  * @param {Object} props - Component props
  * @param {boolean} props.isOpen - Whether the form modal is currently open
  * @param {function} props.onClose - Callback function called when form should close
- * @param {function} props.onSubmit - Callback function called when form is submitted with valid data
+ * @param {function} props.onSubmit - Callback function called when form is submitted with valid data.
+ *   In edit mode it also receives `{ expectedVersion }`, the booking version the edit is based on,
+ *   and may resolve with `{ success: false, versionConflict: { current } }` for stale edits
  * @param {Object} [props.editingBooking] - Optional booking object to edit (enables edit mode)
  * @param {string} [props.editingBooking.id] - Booking ID for editing
  * @param {string} [props.editingBooking.customer] - Customer name
@@ -46,6 +212,23 @@ import styles from "./CreateBookingForm.module.css";
  * @param {string} [props.editingBooking.status] - Booking status
  * @param {string} [props.editingBooking.startDate] - Start date in YYYY-MM-DD format
  * @param {string} [props.editingBooking.endDate] - End date in YYYY-MM-DD format
+ * @param {string} [props.editingBooking.laycanStart] - Laydays in YYYY-MM-DD format
+ * @param {string} [props.editingBooking.laycanEnd] - Cancelling date in YYYY-MM-DD format
+ * @param {Array<Object>} [props.editingBooking.laycanHistory] - Earlier laycan windows, oldest first
+ * @param {number} [props.editingBooking.valueOverride] - Manual gross value
+ * @param {number} [props.editingBooking.discountPercent] - Discount in percent
+ * @param {string} [props.editingBooking.currency] - Currency of the value override
+ * @param {number} [props.editingBooking.addressCommission] - Address commission in percent
+ * @param {number} [props.editingBooking.brokerage] - Brokerage in percent
+ * @param {Array<Object>} [props.editingBooking.brokerageSplit] - Brokerage shares by broker
+ * @param {Array<Object>} [props.editingBooking.legs] - Voyage legs, in order
+ * @param {function} [props.checkConflicts] - Optional function (bookingData, excludeId) returning
+ *   `{ blocking, warnings }` clashing bookings for the vessel and dates being entered
+ * @param {Array<Object>} [props.vessels] - Registered vessels; when given, the vessel must be
+ *   picked from them and its rate card values the booking. Without it the vessel is a
+ *   free-text name
+ * @param {Array<Object>} [props.customers] - Customers in the directory; when given, the
+ *   customer must be one of them. Without it the customer is a free-text name
  * @returns {JSX.Element|null} Form modal component or null if not open
  *
  * @example
@@ -72,20 +255,101 @@ import styles from "./CreateBookingForm.module.css";
  *   }}
  * />
  */
-const CreateBookingForm = ({ isOpen, onClose, onSubmit, editingBooking }) => {
+const CreateBookingForm = ({
+  isOpen,
+  onClose,
+  onSubmit,
+  editingBooking,
+  checkConflicts,
+  vessels,
+  customers,
+}) => {
   const { currentTheme } = useTheme();
   const modalRef = useRef(null);
-  const [formData, setFormData] = useState({
-    customer: "",
-    vessel: "",
-    status: "pending",
-    startDate: "",
-    endDate: "",
-  });
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  // Booking version the edit is based on; moves forward when a conflict is resolved
+  const [baseBooking, setBaseBooking] = useState(editingBooking || null);
+  // Stored booking returned by the service when the edit was stale
+  const [versionConflict, setVersionConflict] = useState(null);
+  const [mergeNotice, setMergeNotice] = useState("");
 
   const [errors, setErrors] = useState({});
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [submitMessage, setSubmitMessage] = useState("");
+  // Conflicting booking IDs reported by the service on the last submission
+  const [serverConflictIds, setServerConflictIds] = useState([]);
+
+  // Live double-booking check against the bookings already loaded
+  const conflicts = useMemo(() => {
+    if (!checkConflicts) {
+      return { blocking: [], warnings: [] };
+    }
+    return checkConflicts(
+      toBookingData(formData, vessels, customers),
+      editingBooking?.id
+    );
+  }, [checkConflicts, formData, editingBooking, vessels, customers]);
+
+  const rateCard = findBookingRateCard(formData, vessels);
+  // Without an override the value, and so its currency, comes from the rate card
+  const isPricedByRateCard =
+    String(formData.valueOverride).trim() === "" &&
+    Number.isFinite(rateCard?.dailyRate);
+
+  // Charter value of the entered vessel and dates, once both dates are valid
+  const bookingValue = useMemo(() => {
+    if (
+      !formData.startDate ||
+      !formData.endDate ||
+      formData.endDate < formData.startDate
+    ) {
+      return null;
+    }
+    return calculateBookingValue(
+      formData,
+      findBookingRateCard(formData, vessels)
+    );
+  }, [formData, vessels]);
+
+  // Commission amounts on the net value; split rows without a broker yet
+  // are left out
+  const commission = useMemo(() => {
+    if (!bookingValue || bookingValue.netValue === null) {
+      return null;
+    }
+    const data = toBookingCommissionData(formData);
+    return calculateCommission(
+      {
+        ...formData,
+        ...data,
+        brokerageSplit: data.brokerageSplit.filter((row) => row.broker),
+      },
+      findBookingRateCard(formData, vessels)
+    );
+  }, [bookingValue, formData, vessels]);
+
+  const theirValues = versionConflict ? toFormValues(versionConflict) : null;
+
+  // An edit may keep the stored status or make any transition that needs no
+  // extra input; cancelling asks for a reason, so it is done from the details.
+  // Guards are not checked here: the form already requires a vessel and dates.
+  const statusOptions = useMemo(() => {
+    if (!baseBooking) {
+      return BOOKING_STATUSES;
+    }
+    const reachable = getAvailableTransitions(baseBooking)
+      .filter((transition) => transition.requiredFields.length === 0)
+      .map((transition) => transition.to);
+    return ALL_BOOKING_STATUSES.filter(
+      (status) =>
+        status.value === baseBooking.status || reachable.includes(status.value)
+    );
+  }, [baseBooking]);
+
+  const blockingConflictIds =
+    conflicts.blocking.length > 0
+      ? conflicts.blocking.map((booking) => booking.id)
+      : serverConflictIds;
 
   // Focus management and accessibility
   useEffect(() => {
@@ -134,33 +398,17 @@ const CreateBookingForm = ({ isOpen, onClose, onSubmit, editingBooking }) => {
   // Populate form when editing
   useEffect(() => {
     if (editingBooking) {
-      // Format dates for input fields (YYYY-MM-DD format)
-      const startDate = new Date(editingBooking.startDate)
-        .toISOString()
-        .split("T")[0];
-      const endDate = new Date(editingBooking.endDate)
-        .toISOString()
-        .split("T")[0];
-
-      setFormData({
-        customer: editingBooking.customer || "",
-        vessel: editingBooking.vessel || "",
-        status: editingBooking.status || "pending",
-        startDate: startDate,
-        endDate: endDate,
-      });
+      setFormData(toFormValues(editingBooking));
     } else {
       // Reset form for new booking
-      setFormData({
-        customer: "",
-        vessel: "",
-        status: "pending",
-        startDate: "",
-        endDate: "",
-      });
+      setFormData(EMPTY_FORM);
     }
+    setBaseBooking(editingBooking || null);
     // Clear errors when switching between create/edit
     setErrors({});
+    setServerConflictIds([]);
+    setVersionConflict(null);
+    setMergeNotice("");
   }, [editingBooking]);
 
   // Handle input changes
@@ -171,6 +419,13 @@ const CreateBookingForm = ({ isOpen, onClose, onSubmit, editingBooking }) => {
       [name]: value,
     }));
 
+    // A server-reported conflict no longer applies once vessel or dates change
+    if (
+      ["vessel", "startDate", "endDate", "laycanStart", "status"].includes(name)
+    ) {
+      setServerConflictIds([]);
+    }
+
     // Clear error for this field when user starts typing
     if (errors[name]) {
       setErrors((prev) => ({
@@ -180,40 +435,133 @@ const CreateBookingForm = ({ isOpen, onClose, onSubmit, editingBooking }) => {
     }
   };
 
+  const handleShareChange = (index, field, value) => {
+    setFormData((prev) => ({
+      ...prev,
+      brokerageSplit: prev.brokerageSplit.map((row, i) =>
+        i === index ? { ...row, [field]: value } : row
+      ),
+    }));
+    setErrors((prev) => ({ ...prev, brokerageSplit: "" }));
+  };
+
+  const addShare = () => {
+    setFormData((prev) => ({
+      ...prev,
+      brokerageSplit: [...prev.brokerageSplit, EMPTY_SHARE],
+    }));
+  };
+
+  const removeShare = (index) => {
+    setFormData((prev) => ({
+      ...prev,
+      brokerageSplit: prev.brokerageSplit.filter((_, i) => i !== index),
+    }));
+    setErrors((prev) => ({ ...prev, brokerageSplit: "" }));
+  };
+
+  const handleLegChange = (index, field, value) => {
+    setFormData((prev) => ({
+      ...prev,
+      legs: prev.legs.map((leg, i) =>
+        i === index ? { ...leg, [field]: value } : leg
+      ),
+    }));
+    setErrors((prev) => ({ ...prev, legs: "" }));
+  };
+
+  // A new leg starts where the previous one discharged
+  const addLeg = () => {
+    setFormData((prev) => ({
+      ...prev,
+      legs: [
+        ...prev.legs,
+        {
+          ...EMPTY_LEG,
+          loadPort: prev.legs[prev.legs.length - 1]?.dischargePort || "",
+        },
+      ],
+    }));
+  };
+
+  const removeLeg = (index) => {
+    setFormData((prev) => ({
+      ...prev,
+      legs: prev.legs.filter((_, i) => i !== index),
+    }));
+    setErrors((prev) => ({ ...prev, legs: "" }));
+  };
+
   // Handle form submission
   const handleSubmit = async (e) => {
     e.preventDefault();
 
     // Validate form
     const validation = validateBookingForm(formData);
+    const bookingData = toBookingData(
+      formData,
+      vessels,
+      customers,
+      baseBooking
+    );
+    if (customers && !validation.errors.customer && !bookingData.customerId) {
+      validation.errors.customer = "Choose a customer from the directory";
+      validation.isValid = false;
+    }
+    if (vessels && !validation.errors.vessel && !bookingData.vesselId) {
+      validation.errors.vessel = "Choose a vessel from the registry";
+      validation.isValid = false;
+    }
     if (!validation.isValid) {
       setErrors(validation.errors);
       return;
     }
 
+    // Don't submit a booking we already know double-books the vessel
+    if (conflicts.blocking.length > 0) {
+      liveRegionManager.announce(
+        "This vessel is already booked for the selected dates",
+        "assertive"
+      );
+      return;
+    }
+
+    await submitBooking(bookingData, baseBooking);
+  };
+
+  // Send the booking to the parent, basing edits on the given booking version
+  const submitBooking = async (data, base) => {
     setIsSubmitting(true);
     setSubmitMessage("");
 
     try {
-      const result = await onSubmit(formData);
+      const result =
+        base && base.version
+          ? await onSubmit(data, { expectedVersion: base.version })
+          : await onSubmit(data);
 
       if (result.success) {
-        setSubmitMessage("Booking created successfully!");
+        setSubmitMessage(
+          result.queued
+            ? "Saved offline. It will sync when the connection returns."
+            : "Booking created successfully!"
+        );
         // Reset form
-        setFormData({
-          customer: "",
-          vessel: "",
-          status: "pending",
-          startDate: "",
-          endDate: "",
-        });
+        setFormData(EMPTY_FORM);
         setErrors({});
+        setVersionConflict(null);
+        setMergeNotice("");
 
         // Close modal after a short delay
         setTimeout(() => {
           onClose();
           setSubmitMessage("");
         }, 1500);
+      } else if (result.versionConflict) {
+        setVersionConflict(result.versionConflict.current);
+        setMergeNotice("");
+      } else if (result.conflictingIds) {
+        setServerConflictIds(result.conflictingIds);
       } else {
         setSubmitMessage(`Error: ${result.error}`);
       }
@@ -224,6 +572,45 @@ const CreateBookingForm = ({ isOpen, onClose, onSubmit, editingBooking }) => {
     }
   };
 
+  // Discard my edits and continue from the stored booking
+  const handleUseTheirs = () => {
+    setFormData(toFormValues(versionConflict));
+    setBaseBooking(versionConflict);
+    setVersionConflict(null);
+    setMergeNotice("");
+  };
+
+  // Save my edits over the stored booking
+  const handleKeepMine = async () => {
+    const current = versionConflict;
+    setBaseBooking(current);
+    setVersionConflict(null);
+    await submitBooking(
+      toBookingData(formData, vessels, customers, current),
+      current
+    );
+  };
+
+  // Combine both sets of changes and let the user review before saving
+  const handleMerge = () => {
+    const { merged, conflicts: bothChanged } = mergeBookingChanges(
+      toFormValues(baseBooking),
+      formData,
+      theirValues
+    );
+
+    setFormData(merged);
+    setBaseBooking(versionConflict);
+    setVersionConflict(null);
+    setMergeNotice(
+      bothChanged.length > 0
+        ? `Changes merged. You and someone else both changed ${bothChanged
+            .map((field) => FIELD_LABELS[field].toLowerCase())
+            .join(", ")}; your values were kept. Review and save.`
+        : "Changes merged. Review and save."
+    );
+  };
+
   // Handle ESC key
   const handleKeyDown = (e) => {
     if (e.key === "Escape") {
@@ -240,6 +627,21 @@ const CreateBookingForm = ({ isOpen, onClose, onSubmit, editingBooking }) => {
 
   if (!isOpen) return null;
 
+  const customerInputClassName = `${getThemeClass(
+    "formInput",
+    currentTheme,
+    styles
+  )} ${
+    errors.customer ? getThemeClass("formInputError", currentTheme, styles) : ""
+  }`;
+  const vesselInputClassName = `${getThemeClass(
+    "formInput",
+    currentTheme,
+    styles
+  )} ${
+    errors.vessel ? getThemeClass("formInputError", currentTheme, styles) : ""
+  }`;
+
   return (
     <div
       className={getThemeClass("modalOverlay", currentTheme, styles)}
@@ -291,25 +693,33 @@ const CreateBookingForm = ({ isOpen, onClose, onSubmit, editingBooking }) => {
                 <UserOutlined style={{ marginRight: "8px" }} />
                 Customer Name *
               </label>
-              <input
-                type="text"
-                id="customer"
-                name="customer"
-                value={formData.customer}
-                onChange={handleChange}
-                className={`${getThemeClass(
-                  "formInput",
-                  currentTheme,
-                  styles
-                )} ${
-                  errors.customer
-                    ? getThemeClass("formInputError", currentTheme, styles)
-                    : ""
-                }`}
-                placeholder="Enter customer name"
-                disabled={isSubmitting}
-                autoComplete="organization"
-              />
+              {customers ? (
+                <RegistryPicker
+                  id="customer"
+                  name="customer"
+                  value={formData.customer}
+                  onChange={handleChange}
+                  records={customers}
+                  search={searchCustomers}
+                  describe={describeCustomer}
+                  className={customerInputClassName}
+                  invalid={Boolean(errors.customer)}
+                  disabled={isSubmitting}
+                  placeholder="Search customers by name or alias"
+                />
+              ) : (
+                <input
+                  type="text"
+                  id="customer"
+                  name="customer"
+                  value={formData.customer}
+                  onChange={handleChange}
+                  className={customerInputClassName}
+                  placeholder="Enter customer name"
+                  disabled={isSubmitting}
+                  autoComplete="organization"
+                />
+              )}
               {errors.customer && (
                 <span
                   className={getThemeClass(
@@ -333,25 +743,33 @@ const CreateBookingForm = ({ isOpen, onClose, onSubmit, editingBooking }) => {
                 <CarOutlined style={{ marginRight: "8px" }} />
                 Vessel Name *
               </label>
-              <input
-                type="text"
-                id="vessel"
-                name="vessel"
-                value={formData.vessel}
-                onChange={handleChange}
-                className={`${getThemeClass(
-                  "formInput",
-                  currentTheme,
-                  styles
-                )} ${
-                  errors.vessel
-                    ? getThemeClass("formInputError", currentTheme, styles)
-                    : ""
-                }`}
-                placeholder="Enter vessel name"
-                disabled={isSubmitting}
-                autoComplete="off"
-              />
+              {vessels ? (
+                <RegistryPicker
+                  id="vessel"
+                  name="vessel"
+                  value={formData.vessel}
+                  onChange={handleChange}
+                  records={vessels}
+                  search={searchVessels}
+                  describe={describeVessel}
+                  className={vesselInputClassName}
+                  invalid={Boolean(errors.vessel)}
+                  disabled={isSubmitting}
+                  placeholder="Search vessels by name or IMO"
+                />
+              ) : (
+                <input
+                  type="text"
+                  id="vessel"
+                  name="vessel"
+                  value={formData.vessel}
+                  onChange={handleChange}
+                  className={vesselInputClassName}
+                  placeholder="Enter vessel name"
+                  disabled={isSubmitting}
+                  autoComplete="off"
+                />
+              )}
               {errors.vessel && (
                 <span
                   className={getThemeClass(
@@ -382,7 +800,7 @@ const CreateBookingForm = ({ isOpen, onClose, onSubmit, editingBooking }) => {
                 className={getThemeClass("formSelect", currentTheme, styles)}
                 disabled={isSubmitting}
               >
-                {BOOKING_STATUSES.map((status) => (
+                {statusOptions.map((status) => (
                   <option key={status.value} value={status.value}>
                     {status.label}
                   </option>
@@ -475,6 +893,641 @@ const CreateBookingForm = ({ isOpen, onClose, onSubmit, editingBooking }) => {
               </div>
             </div>
 
+            {/* Laycan Fields */}
+            <div className={styles.formRow}>
+              {[
+                { name: "laycanStart", label: "Laydays" },
+                { name: "laycanEnd", label: "Cancelling" },
+              ].map((field) => (
+                <div key={field.name} className={styles.formGroup}>
+                  <label
+                    htmlFor={field.name}
+                    className={getThemeClass("formLabel", currentTheme, styles)}
+                  >
+                    <CalendarOutlined style={{ marginRight: "8px" }} />
+                    {field.label}
+                  </label>
+                  <input
+                    type="date"
+                    id={field.name}
+                    name={field.name}
+                    value={formData[field.name]}
+                    onChange={handleChange}
+                    className={`${getThemeClass(
+                      "formInput",
+                      currentTheme,
+                      styles
+                    )} ${
+                      errors[field.name]
+                        ? getThemeClass("formInputError", currentTheme, styles)
+                        : ""
+                    }`}
+                    disabled={isSubmitting}
+                  />
+                  {errors[field.name] && (
+                    <span
+                      className={getThemeClass(
+                        "errorMessage",
+                        currentTheme,
+                        styles
+                      )}
+                      role="alert"
+                    >
+                      {errors[field.name]}
+                    </span>
+                  )}
+                </div>
+              ))}
+            </div>
+            <p className={getThemeClass("valueSummary", currentTheme, styles)}>
+              Optional laycan: the vessel may be delivered any day from laydays
+              to cancelling, and the start date must fall within it.
+            </p>
+
+            {/* Voyage Legs */}
+            <div className={styles.formGroup}>
+              <span
+                className={getThemeClass("formLabel", currentTheme, styles)}
+              >
+                <EnvironmentOutlined style={{ marginRight: "8px" }} />
+                Voyage legs
+              </span>
+              {formData.legs.length === 0 && (
+                <p
+                  className={getThemeClass(
+                    "valueSummary",
+                    currentTheme,
+                    styles
+                  )}
+                >
+                  No port calls yet; ETAs are in each port&apos;s local time.
+                </p>
+              )}
+              {formData.legs.map((leg, index) => (
+                <div key={index} className={styles.legRow}>
+                  {LEG_FIELDS.map((field) => (
+                    <div key={field.name} className={styles.formGroup}>
+                      <label
+                        htmlFor={`leg-${index}-${field.name}`}
+                        className={getThemeClass(
+                          "formLabel",
+                          currentTheme,
+                          styles
+                        )}
+                      >
+                        {field.label}
+                        <span className={styles.srOnly}>
+                          {" "}
+                          of leg {index + 1}
+                        </span>
+                      </label>
+                      {field.type === "port" ? (
+                        <select
+                          id={`leg-${index}-${field.name}`}
+                          value={leg[field.name]}
+                          onChange={(e) =>
+                            handleLegChange(index, field.name, e.target.value)
+                          }
+                          className={getThemeClass(
+                            "formInput",
+                            currentTheme,
+                            styles
+                          )}
+                          disabled={isSubmitting}
+                        >
+                          <option value="">Choose a port</option>
+                          {PORTS.map((port) => (
+                            <option key={port.code} value={port.code}>
+                              {port.name} ({port.code}), {port.country}
+                            </option>
+                          ))}
+                        </select>
+                      ) : (
+                        <input
+                          type="datetime-local"
+                          id={`leg-${index}-${field.name}`}
+                          value={leg[field.name]}
+                          onChange={(e) =>
+                            handleLegChange(index, field.name, e.target.value)
+                          }
+                          className={getThemeClass(
+                            "formInput",
+                            currentTheme,
+                            styles
+                          )}
+                          disabled={isSubmitting}
+                        />
+                      )}
+                    </div>
+                  ))}
+                  <button
+                    type="button"
+                    className={styles.removeShareButton}
+                    onClick={() => removeLeg(index)}
+                    aria-label={`Remove leg ${index + 1}`}
+                    disabled={isSubmitting}
+                  >
+                    <DeleteOutlined />
+                  </button>
+                </div>
+              ))}
+              {errors.legs && (
+                <span
+                  className={getThemeClass(
+                    "errorMessage",
+                    currentTheme,
+                    styles
+                  )}
+                  role="alert"
+                >
+                  {errors.legs}
+                </span>
+              )}
+              <div>
+                <button
+                  type="button"
+                  onClick={addLeg}
+                  className={getThemeClass(
+                    "btnSecondary",
+                    currentTheme,
+                    styles
+                  )}
+                  disabled={isSubmitting}
+                >
+                  <PlusOutlined style={{ marginRight: "8px" }} />
+                  Add Leg
+                </button>
+              </div>
+            </div>
+
+            {/* Charter Value Fields */}
+            <div className={styles.formRow}>
+              {[
+                {
+                  name: "valueOverride",
+                  label: "Value override",
+                  placeholder: "Rate card value",
+                },
+                {
+                  name: "discountPercent",
+                  label: "Discount (%)",
+                  placeholder: "0",
+                  max: 100,
+                },
+              ].map((field) => (
+                <div key={field.name} className={styles.formGroup}>
+                  <label
+                    htmlFor={field.name}
+                    className={getThemeClass("formLabel", currentTheme, styles)}
+                  >
+                    <DollarOutlined style={{ marginRight: "8px" }} />
+                    {field.label}
+                  </label>
+                  <input
+                    type="number"
+                    id={field.name}
+                    name={field.name}
+                    value={formData[field.name]}
+                    onChange={handleChange}
+                    className={`${getThemeClass(
+                      "formInput",
+                      currentTheme,
+                      styles
+                    )} ${
+                      errors[field.name]
+                        ? getThemeClass("formInputError", currentTheme, styles)
+                        : ""
+                    }`}
+                    placeholder={field.placeholder}
+                    min={0}
+                    max={field.max}
+                    step="any"
+                    disabled={isSubmitting}
+                  />
+                  {errors[field.name] && (
+                    <span
+                      className={getThemeClass(
+                        "errorMessage",
+                        currentTheme,
+                        styles
+                      )}
+                      role="alert"
+                    >
+                      {errors[field.name]}
+                    </span>
+                  )}
+                </div>
+              ))}
+              <div className={styles.formGroup}>
+                <label
+                  htmlFor="currency"
+                  className={getThemeClass("formLabel", currentTheme, styles)}
+                >
+                  <DollarOutlined style={{ marginRight: "8px" }} />
+                  Currency
+                </label>
+                <select
+                  id="currency"
+                  name="currency"
+                  value={getBookingCurrency(formData, rateCard)}
+                  onChange={handleChange}
+                  className={getThemeClass("formSelect", currentTheme, styles)}
+                  disabled={isSubmitting || isPricedByRateCard}
+                  aria-describedby={
+                    isPricedByRateCard ? "currency-hint" : undefined
+                  }
+                >
+                  {Object.entries(CURRENCIES).map(([code, { label }]) => (
+                    <option key={code} value={code}>
+                      {code} — {label}
+                    </option>
+                  ))}
+                </select>
+                {isPricedByRateCard && (
+                  <span
+                    id="currency-hint"
+                    className={getThemeClass(
+                      "valueSummary",
+                      currentTheme,
+                      styles
+                    )}
+                  >
+                    Priced in the rate card's currency; enter a value override
+                    to choose another.
+                  </span>
+                )}
+                {errors.currency && (
+                  <span
+                    className={getThemeClass(
+                      "errorMessage",
+                      currentTheme,
+                      styles
+                    )}
+                    role="alert"
+                  >
+                    {errors.currency}
+                  </span>
+                )}
+              </div>
+            </div>
+
+            {bookingValue && (
+              <p
+                className={getThemeClass("valueSummary", currentTheme, styles)}
+                aria-live="polite"
+              >
+                {bookingValue.computedValue === null
+                  ? "No rate card for this vessel"
+                  : `Rate card value: ${formatMoney(
+                      bookingValue.computedValue,
+                      rateCard.currency
+                    )} for ${bookingValue.chargedDays} day${
+                      bookingValue.chargedDays !== 1 ? "s" : ""
+                    }`}
+                {bookingValue.netValue !== null && (
+                  <>
+                    {" · "}
+                    <strong>
+                      Net value:{" "}
+                      {formatMoney(
+                        bookingValue.netValue,
+                        bookingValue.currency
+                      )}
+                    </strong>
+                  </>
+                )}
+              </p>
+            )}
+
+            {/* Commission Fields */}
+            <div className={styles.formRow}>
+              {[
+                {
+                  name: "addressCommission",
+                  label: "Address commission (%)",
+                },
+                { name: "brokerage", label: "Brokerage (%)" },
+              ].map((field) => (
+                <div key={field.name} className={styles.formGroup}>
+                  <label
+                    htmlFor={field.name}
+                    className={getThemeClass("formLabel", currentTheme, styles)}
+                  >
+                    <PercentageOutlined style={{ marginRight: "8px" }} />
+                    {field.label}
+                  </label>
+                  <input
+                    type="number"
+                    id={field.name}
+                    name={field.name}
+                    value={formData[field.name]}
+                    onChange={handleChange}
+                    className={`${getThemeClass(
+                      "formInput",
+                      currentTheme,
+                      styles
+                    )} ${
+                      errors[field.name]
+                        ? getThemeClass("formInputError", currentTheme, styles)
+                        : ""
+                    }`}
+                    placeholder="0"
+                    min={0}
+                    max={100}
+                    step="any"
+                    disabled={isSubmitting}
+                  />
+                  {errors[field.name] && (
+                    <span
+                      className={getThemeClass(
+                        "errorMessage",
+                        currentTheme,
+                        styles
+                      )}
+                      role="alert"
+                    >
+                      {errors[field.name]}
+                    </span>
+                  )}
+                </div>
+              ))}
+            </div>
+
+            {/* Brokerage Split */}
+            <div className={styles.formGroup}>
+              <span
+                className={getThemeClass("formLabel", currentTheme, styles)}
+              >
+                Brokerage split
+              </span>
+              {formData.brokerageSplit.length === 0 && (
+                <p
+                  className={getThemeClass(
+                    "valueSummary",
+                    currentTheme,
+                    styles
+                  )}
+                >
+                  Not split; all brokerage goes to {HOUSE_BROKER}.
+                </p>
+              )}
+              {formData.brokerageSplit.map((row, index) => (
+                <div key={index} className={styles.shareRow}>
+                  <div className={styles.formGroup}>
+                    <label
+                      htmlFor={`brokerage-share-${index}-broker`}
+                      className={getThemeClass(
+                        "formLabel",
+                        currentTheme,
+                        styles
+                      )}
+                    >
+                      Broker
+                      <span className={styles.srOnly}> {index + 1}</span>
+                    </label>
+                    <input
+                      type="text"
+                      id={`brokerage-share-${index}-broker`}
+                      value={row.broker}
+                      onChange={(e) =>
+                        handleShareChange(index, "broker", e.target.value)
+                      }
+                      className={getThemeClass(
+                        "formInput",
+                        currentTheme,
+                        styles
+                      )}
+                      placeholder="Broker or co-broker"
+                      disabled={isSubmitting}
+                    />
+                  </div>
+                  <div className={styles.formGroup}>
+                    <label
+                      htmlFor={`brokerage-share-${index}-share`}
+                      className={getThemeClass(
+                        "formLabel",
+                        currentTheme,
+                        styles
+                      )}
+                    >
+                      Share (%)
+                      <span className={styles.srOnly}>
+                        {" "}
+                        of broker {index + 1}
+                      </span>
+                    </label>
+                    <input
+                      type="number"
+                      id={`brokerage-share-${index}-share`}
+                      value={row.share}
+                      onChange={(e) =>
+                        handleShareChange(index, "share", e.target.value)
+                      }
+                      className={getThemeClass(
+                        "formInput",
+                        currentTheme,
+                        styles
+                      )}
+                      min={0}
+                      max={100}
+                      step="any"
+                      disabled={isSubmitting}
+                    />
+                  </div>
+                  <button
+                    type="button"
+                    className={styles.removeShareButton}
+                    onClick={() => removeShare(index)}
+                    aria-label={`Remove broker ${index + 1}`}
+                    disabled={isSubmitting}
+                  >
+                    <DeleteOutlined />
+                  </button>
+                </div>
+              ))}
+              {errors.brokerageSplit && (
+                <span
+                  className={getThemeClass(
+                    "errorMessage",
+                    currentTheme,
+                    styles
+                  )}
+                  role="alert"
+                >
+                  {errors.brokerageSplit}
+                </span>
+              )}
+              <div>
+                <button
+                  type="button"
+                  onClick={addShare}
+                  className={getThemeClass(
+                    "btnSecondary",
+                    currentTheme,
+                    styles
+                  )}
+                  disabled={isSubmitting}
+                >
+                  <PlusOutlined style={{ marginRight: "8px" }} />
+                  Add Broker
+                </button>
+              </div>
+            </div>
+
+            {commission &&
+              (commission.addressCommissionPercent > 0 ||
+                commission.brokeragePercent > 0) && (
+                <p
+                  className={getThemeClass(
+                    "valueSummary",
+                    currentTheme,
+                    styles
+                  )}
+                  aria-live="polite"
+                >
+                  Address commission:{" "}
+                  {formatMoney(
+                    commission.addressCommissionAmount,
+                    commission.currency
+                  )}
+                  {" · "}
+                  Brokerage:{" "}
+                  {formatMoney(commission.brokerageAmount, commission.currency)}
+                  {commission.brokerageAmount > 0 &&
+                    ` (${commission.shares
+                      .map(
+                        (share) =>
+                          `${share.broker} ${formatMoney(
+                            share.amount,
+                            commission.currency
+                          )}`
+                      )
+                      .join(", ")})`}
+                </p>
+              )}
+
+            {/* Version Conflict Resolution */}
+            {versionConflict && (
+              <div
+                className={getThemeClass(
+                  "versionConflict",
+                  currentTheme,
+                  styles
+                )}
+                role="alert"
+              >
+                <p className={styles.versionConflictTitle}>
+                  <ExclamationCircleOutlined style={{ marginRight: "8px" }} />
+                  This booking was changed by someone else
+                </p>
+                <table className={styles.versionConflictTable}>
+                  <thead>
+                    <tr>
+                      <th scope="col">Field</th>
+                      <th scope="col">Theirs</th>
+                      <th scope="col">Mine</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {EDITABLE_BOOKING_FIELDS.filter(
+                      (field) =>
+                        !isSameFieldValue(theirValues[field], formData[field])
+                    ).map((field) => (
+                      <tr key={field}>
+                        <th scope="row">{FIELD_LABELS[field]}</th>
+                        <td>{formatFieldValue(field, theirValues[field])}</td>
+                        <td>{formatFieldValue(field, formData[field])}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                <div className={styles.versionConflictActions}>
+                  <button
+                    type="button"
+                    onClick={handleUseTheirs}
+                    className={getThemeClass(
+                      "btnSecondary",
+                      currentTheme,
+                      styles
+                    )}
+                    disabled={isSubmitting}
+                  >
+                    Use theirs
+                  </button>
+                  <button
+                    type="button"
+                    onClick={handleKeepMine}
+                    className={getThemeClass(
+                      "btnSecondary",
+                      currentTheme,
+                      styles
+                    )}
+                    disabled={isSubmitting}
+                  >
+                    Keep mine
+                  </button>
+                  <button
+                    type="button"
+                    onClick={handleMerge}
+                    className={getThemeClass(
+                      "btnPrimary",
+                      currentTheme,
+                      styles
+                    )}
+                    disabled={isSubmitting}
+                  >
+                    Merge
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {mergeNotice && (
+              <div
+                className={getThemeClass(
+                  "conflictWarning",
+                  currentTheme,
+                  styles
+                )}
+                role="status"
+              >
+                {mergeNotice}
+              </div>
+            )}
+
+            {/* Vessel Conflict */}
+            {blockingConflictIds.length > 0 ? (
+              <div
+                className={getThemeClass(
+                  "submitMessageError",
+                  currentTheme,
+                  styles
+                )}
+                role="alert"
+              >
+                <ExclamationCircleOutlined style={{ marginRight: "8px" }} />
+                {formData.vessel.trim()} is already booked for these dates (
+                {blockingConflictIds.join(", ")})
+              </div>
+            ) : (
+              conflicts.warnings.length > 0 && (
+                <div
+                  className={getThemeClass(
+                    "conflictWarning",
+                    currentTheme,
+                    styles
+                  )}
+                  role="status"
+                >
+                  <ExclamationCircleOutlined style={{ marginRight: "8px" }} />
+                  Overlaps pending booking
+                  {conflicts.warnings.length > 1 ? "s" : ""}{" "}
+                  {conflicts.warnings.map((booking) => booking.id).join(", ")}{" "}
+                  for this vessel
+                </div>
+              )
+            )}
+
             {/* Submit Message */}
             {submitMessage && (
               <div
@@ -564,7 +1617,76 @@ CreateBookingForm.propTypes = {
     startDate: PropTypes.string.isRequired,
     /** End date in YYYY-MM-DD format */
     endDate: PropTypes.string.isRequired,
+    /** Manual gross value, replacing the rate card value */
+    valueOverride: PropTypes.number,
+    /** Discount in percent */
+    discountPercent: PropTypes.number,
+    /** Currency of the value override (key of CURRENCIES) */
+    currency: PropTypes.string,
+    /** Address commission in percent */
+    addressCommission: PropTypes.number,
+    /** Brokerage in percent */
+    brokerage: PropTypes.number,
+    /** Brokerage shares by broker, in percent of the brokerage */
+    brokerageSplit: PropTypes.arrayOf(
+      PropTypes.shape({
+        /** Broker or co-broker name */
+        broker: PropTypes.string.isRequired,
+        /** Share of the brokerage in percent */
+        share: PropTypes.number.isRequired,
+      })
+    ),
+    /** Laydays in YYYY-MM-DD format */
+    laycanStart: PropTypes.string,
+    /** Cancelling date in YYYY-MM-DD format */
+    laycanEnd: PropTypes.string,
+    /** Earlier laycan windows, oldest first */
+    laycanHistory: PropTypes.arrayOf(
+      PropTypes.shape({
+        /** Laydays of the window */
+        start: PropTypes.string.isRequired,
+        /** Cancelling date of the window */
+        end: PropTypes.string.isRequired,
+      })
+    ),
+    /** Voyage legs, in order */
+    legs: PropTypes.arrayOf(
+      PropTypes.shape({
+        /** UN/LOCODE of the load port */
+        loadPort: PropTypes.string.isRequired,
+        /** ETA at the load port, in its local time (YYYY-MM-DDTHH:mm) */
+        loadEta: PropTypes.string,
+        /** UN/LOCODE of the discharge port */
+        dischargePort: PropTypes.string.isRequired,
+        /** ETA at the discharge port, in its local time (YYYY-MM-DDTHH:mm) */
+        dischargeEta: PropTypes.string,
+      })
+    ),
+    /** Stored version the edit is based on */
+    version: PropTypes.number,
   }),
+  /** Optional function returning clashing bookings for the entered vessel and dates */
+  checkConflicts: PropTypes.func,
+  /** Registered vessels to pick from; without it the vessel is free text */
+  vessels: PropTypes.arrayOf(
+    PropTypes.shape({
+      /** Vessel ID */
+      id: PropTypes.string.isRequired,
+      /** Registered vessel name */
+      name: PropTypes.string.isRequired,
+      /** Rate card valuing the vessel's bookings */
+      rateCard: PropTypes.object,
+    })
+  ),
+  /** Customers to pick from; without it the customer is free text */
+  customers: PropTypes.arrayOf(
+    PropTypes.shape({
+      /** Customer ID */
+      id: PropTypes.string.isRequired,
+      /** Customer trading name */
+      name: PropTypes.string.isRequired,
+    })
+  ),
 };
 
 export default CreateBookingForm;
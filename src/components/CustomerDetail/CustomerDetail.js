@@ -0,0 +1,336 @@
+import React, { useEffect, useMemo, useState } from "react";
+import PropTypes from "prop-types";
+import { useTheme } from "../../contexts/ThemeContext";
+import { customerService } from "../../services/customerService";
+import { vesselService } from "../../services/vesselService";
+import { fxRateService } from "../../services/fxRateService";
+import { isAbortError } from "../../services/bookingErrors";
+import { BOOKING_STATUS } from "../../services/bookingWorkflow";
+import {
+  calculateDuration,
+  formatDateRange,
+  getStatusBgColor,
+  getStatusColor,
+} from "../../utils/bookingUtils";
+import {
+  formatAddress,
+  summarizeCustomerBookings,
+} from "../../utils/customerUtils";
+import {
+  formatMoney,
+  getReportingCurrency,
+  sumInCurrency,
+} from "../../utils/currencyUtils";
+import { calculateBookingValue } from "../../utils/rateUtils";
+import { findBookingRateCard } from "../../utils/vesselUtils";
+import { getThemeClass } from "../../utils/themeUtils";
+import {
+  ArrowLeftOutlined,
+  EditOutlined,
+  LoadingOutlined,
+} from "@ant-design/icons";
+import styles from "./CustomerDetail.module.css";
+
+// Booking totals shown above the customer's bookings
+const TOTALS = [
+  { key: "count", label: "Bookings" },
+  { key: "confirmed", label: "Confirmed" },
+  { key: "pending", label: "Pending" },
+  { key: "cancelled", label: "Cancelled" },
+  { key: "confirmedDays", label: "Chartered days" },
+];
+
+/**
+ * Customer page: a customer's details and contacts, followed by the
+ * bookings linked to the customer with their totals.
+ *
+ * Features:
+ * - Legal name, aliases, billing address and notes
+ * - Contact list with email and phone links
+ * - Totals by status and chartered (confirmed) days
+ * - Net value of the confirmed bookings in the reporting currency, each
+ *   converted at the rate on its start date
+ * - Bookings linked to the customer, earliest first, fetched again when the
+ *   customer changes and aborted when it is closed
+ * - Theme support for dark/light mode
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Object} props.customer - Customer to show
+ * @param {function} props.onBack - Called to go back to the customer list
+ * @param {function} [props.onEdit] - Called with the customer to edit it
+ * @returns {JSX.Element} Customer page
+ *
+ * @example
+ * <CustomerDetail
+ *   customer={selectedCustomer}
+ *   onBack={() => setSelectedId(null)}
+ *   onEdit={openForm}
+ * />
+ */
+const CustomerDetail = ({ customer, onBack, onEdit }) => {
+  const { currentTheme } = useTheme();
+  const [bookings, setBookings] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  // Rate cards and exchange rates for the value total; null if they failed to load
+  const [pricing, setPricing] = useState({ vessels: [], fxRates: [] });
+
+  // Load the customer's bookings; a rename rewrites them, so the version counts
+  useEffect(() => {
+    const controller = new AbortController();
+    setLoading(true);
+    setError(null);
+    customerService
+      .getCustomerBookings(customer.id, { signal: controller.signal })
+      .then((result) => {
+        setBookings(result);
+        setLoading(false);
+      })
+      .catch((err) => {
+        if (controller.signal.aborted || isAbortError(err)) return;
+        setError(err.message);
+        setLoading(false);
+      });
+    return () => controller.abort();
+  }, [customer.id, customer.version]);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    const options = { signal: controller.signal };
+    Promise.all([
+      vesselService.getVessels(options),
+      fxRateService.getFxRates(options),
+    ])
+      .then(([vessels, fxRates]) => setPricing({ vessels, fxRates }))
+      .catch((err) => {
+        if (controller.signal.aborted || isAbortError(err)) return;
+        setPricing(null);
+      });
+    return () => controller.abort();
+  }, []);
+
+  const totals = useMemo(() => summarizeCustomerBookings(bookings), [bookings]);
+  const reportingCurrency = getReportingCurrency();
+  const confirmedValue = useMemo(() => {
+    if (!pricing) return null;
+    const entries = bookings
+      .filter((booking) => booking.status === BOOKING_STATUS.CONFIRMED)
+      .map((booking) => {
+        const { netValue, currency } = calculateBookingValue(
+          booking,
+          findBookingRateCard(booking, pricing.vessels)
+        );
+        return {
+          id: booking.id,
+          amount: netValue,
+          currency,
+          date: booking.startDate,
+        };
+      })
+      .filter((entry) => entry.amount !== null);
+    return sumInCurrency(entries, reportingCurrency, pricing.fxRates);
+  }, [bookings, pricing, reportingCurrency]);
+  const address = formatAddress(customer.billingAddress);
+  const contacts = customer.contacts || [];
+  const aliases = customer.aliases || [];
+
+  return (
+    <section
+      className={styles.customerDetail}
+      aria-labelledby="customer-detail-title"
+    >
+      <div className={styles.detailHeader}>
+        <button
+          type="button"
+          className={getThemeClass("btnSecondary", currentTheme, styles)}
+          onClick={onBack}
+        >
+          <ArrowLeftOutlined />
+          Back to customers
+        </button>
+        {onEdit && (
+          <button
+            type="button"
+            className={getThemeClass("btnSecondary", currentTheme, styles)}
+            onClick={() => onEdit(customer)}
+          >
+            <EditOutlined />
+            Edit
+          </button>
+        )}
+      </div>
+
+      <h2
+        id="customer-detail-title"
+        className={getThemeClass("customerName", currentTheme, styles)}
+      >
+        {customer.name}
+      </h2>
+      <p className={styles.secondaryText}>
+        {customer.legalName} · {customer.id}
+      </p>
+
+      <div className={styles.infoGrid}>
+        <div className={getThemeClass("infoCard", currentTheme, styles)}>
+          <h3 className={styles.cardTitle}>Details</h3>
+          <dl className={styles.infoList}>
+            <dt>Aliases</dt>
+            <dd>{aliases.length > 0 ? aliases.join(", ") : "—"}</dd>
+            <dt>Billing address</dt>
+            <dd>{address || "—"}</dd>
+            <dt>Notes</dt>
+            <dd>{customer.notes || "—"}</dd>
+          </dl>
+        </div>
+
+        <div className={getThemeClass("infoCard", currentTheme, styles)}>
+          <h3 className={styles.cardTitle}>Contacts</h3>
+          {contacts.length === 0 ? (
+            <p className={styles.secondaryText}>No contacts recorded.</p>
+          ) : (
+            <ul className={styles.contactList}>
+              {contacts.map((contact, index) => (
+                <li key={`${contact.name}-${index}`}>
+                  <div className={styles.contactName}>
+                    {contact.name}
+                    {contact.role && (
+                      <span className={styles.secondaryText}>
+                        {" "}
+                        · {contact.role}
+                      </span>
+                    )}
+                  </div>
+                  {contact.email && (
+                    <a href={`mailto:${contact.email}`}>{contact.email}</a>
+                  )}
+                  {contact.phone && (
+                    <a href={`tel:${contact.phone.replace(/\s+/g, "")}`}>
+                      {contact.phone}
+                    </a>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+
+      <h3 className={getThemeClass("sectionTitle", currentTheme, styles)}>
+        Bookings
+      </h3>
+      {loading ? (
+        <p className={styles.stateMessage}>
+          <LoadingOutlined style={{ marginRight: "8px" }} />
+          Loading bookings...
+        </p>
+      ) : error ? (
+        <div className={styles.errorMessage} role="alert">
+          Failed to load bookings: {error}
+        </div>
+      ) : (
+        <>
+          <dl className={styles.totals} aria-label="Booking totals">
+            {TOTALS.map((total) => (
+              <div
+                key={total.key}
+                className={getThemeClass("totalCard", currentTheme, styles)}
+              >
+                <dt>{total.label}</dt>
+                <dd>{totals[total.key]}</dd>
+              </div>
+            ))}
+            <div className={getThemeClass("totalCard", currentTheme, styles)}>
+              <dt>Confirmed value</dt>
+              <dd>{formatMoney(confirmedValue?.total, reportingCurrency)}</dd>
+            </div>
+          </dl>
+          {confirmedValue?.unconverted.length > 0 && (
+            <p className={styles.secondaryText} role="status">
+              Left out of the confirmed value because no exchange rate to{" "}
+              {reportingCurrency} applied on their start date:{" "}
+              {confirmedValue.unconverted.join(", ")}
+            </p>
+          )}
+
+          {bookings.length === 0 ? (
+            <p className={styles.stateMessage}>
+              No bookings for this customer yet.
+            </p>
+          ) : (
+            <div className={styles.tableContainer}>
+              <table
+                className={getThemeClass("bookingsTable", currentTheme, styles)}
+              >
+                <thead>
+                  <tr>
+                    <th scope="col">Booking</th>
+                    <th scope="col">Vessel</th>
+                    <th scope="col">Dates</th>
+                    <th scope="col" className={styles.numeric}>
+                      Days
+                    </th>
+                    <th scope="col">Status</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {bookings.map((booking) => (
+                    <tr key={booking.id}>
+                      <td>{booking.id}</td>
+                      <td>{booking.vessel}</td>
+                      <td>
+                        {formatDateRange(booking.startDate, booking.endDate)}
+                      </td>
+                      <td className={styles.numeric}>
+                        {calculateDuration(booking.startDate, booking.endDate)}
+                      </td>
+                      <td>
+                        <span
+                          className={styles.statusBadge}
+                          style={{
+                            color: getStatusColor(booking.status),
+                            backgroundColor: getStatusBgColor(booking.status),
+                          }}
+                        >
+                          {booking.status}
+                        </span>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </>
+      )}
+    </section>
+  );
+};
+
+CustomerDetail.propTypes = {
+  /** Customer to show */
+  customer: PropTypes.shape({
+    /** Customer ID */
+    id: PropTypes.string.isRequired,
+    /** Customer trading name */
+    name: PropTypes.string.isRequired,
+    /** Registered legal name */
+    legalName: PropTypes.string,
+    /** Other names the customer goes by */
+    aliases: PropTypes.arrayOf(PropTypes.string),
+    /** Billing address */
+    billingAddress: PropTypes.object,
+    /** Contacts with name, role, email and phone */
+    contacts: PropTypes.arrayOf(PropTypes.object),
+    /** Free-text notes */
+    notes: PropTypes.string,
+    /** Stored version, bumped by every change */
+    version: PropTypes.number,
+  }).isRequired,
+  /** Called to go back to the customer list */
+  onBack: PropTypes.func.isRequired,
+  /** Called with the customer to edit it */
+  onEdit: PropTypes.func,
+};
+
+export default CustomerDetail;
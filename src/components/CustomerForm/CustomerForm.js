@@ -0,0 +1,460 @@
+import React, { useState, useEffect, useRef } from "react";
+import PropTypes from "prop-types";
+import { useTheme } from "../../contexts/ThemeContext";
+import {
+  toCustomerData,
+  validateCustomerForm,
+} from "../../utils/customerUtils";
+import { trapFocus } from "../../utils/accessibility";
+import { getThemeClass } from "../../utils/themeUtils";
+import {
+  CloseOutlined,
+  DeleteOutlined,
+  EditOutlined,
+  PlusOutlined,
+  SaveOutlined,
+} from "@ant-design/icons";
+import registryStyles from "../../styles/RegistryForm.module.css";
+import formStyles from "./CustomerForm.module.css";
+
+// Shared registry form styles with this form's own rules on top
+const styles = { ...registryStyles, ...formStyles };
+
+const EMPTY_FORM = {
+  name: "",
+  legalName: "",
+  aliases: "",
+  billingAddress: { street: "", city: "", postalCode: "", country: "" },
+  contacts: [],
+  notes: "",
+};
+
+const EMPTY_CONTACT = { name: "", role: "", email: "", phone: "" };
+
+// Billing address fields in display order
+const ADDRESS_FIELDS = [
+  { name: "street", label: "Street", autoComplete: "street-address" },
+  { name: "city", label: "City", autoComplete: "address-level2" },
+  { name: "postalCode", label: "Postal code", autoComplete: "postal-code" },
+  { name: "country", label: "Country", autoComplete: "country-name" },
+];
+
+// Contact fields in display order
+const CONTACT_FIELDS = [
+  { name: "name", label: "Name" },
+  { name: "role", label: "Role" },
+  { name: "email", label: "Email", type: "email" },
+  { name: "phone", label: "Phone", type: "tel" },
+];
+
+// Convert a stored customer into form field values
+const toFormValues = (customer) => ({
+  name: customer.name || "",
+  legalName: customer.legalName || "",
+  aliases: (customer.aliases || []).join(", "),
+  billingAddress: { ...EMPTY_FORM.billingAddress, ...customer.billingAddress },
+  contacts: (customer.contacts || []).map((contact) => ({
+    ...EMPTY_CONTACT,
+    ...contact,
+  })),
+  notes: customer.notes || "",
+});
+
+/**
+ * Modal form for adding a customer to the directory or editing one: trading
+ * name, legal name, aliases, billing address, contacts and notes.
+ *
+ * Features:
+ * - Create and edit modes, pre-populated when editing
+ * - Any number of contacts, added and removed in place
+ * - Validation of required names, contact emails and names already used by
+ *   other customers (as trading name, legal name or alias) before submitting
+ * - Field errors reported by the service shown next to their fields
+ * - Focus trapping and Escape to close
+ * - Theme support for dark/light mode
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {boolean} props.isOpen - Whether the form modal is currently open
+ * @param {function} props.onClose - Callback function called when the form should close
+ * @param {function} props.onSubmit - Called with the customer data; resolves to
+ *   `{ success, error, fieldErrors }`
+ * @param {Object} [props.editingCustomer] - Customer to edit (enables edit mode)
+ * @param {Array<Object>} [props.customers=[]] - Customers in the directory, to catch name clashes early
+ * @returns {JSX.Element|null} Form modal component or null if not open
+ *
+ * @example
+ * <CustomerForm
+ *   isOpen={showForm}
+ *   onClose={() => setShowForm(false)}
+ *   onSubmit={createCustomer}
+ *   customers={customers}
+ * />
+ */
+const CustomerForm = ({
+  isOpen,
+  onClose,
+  onSubmit,
+  editingCustomer,
+  customers = [],
+}) => {
+  const { currentTheme } = useTheme();
+  const modalRef = useRef(null);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [errors, setErrors] = useState({});
+  const [submitError, setSubmitError] = useState("");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  // Populate the form whenever it opens
+  useEffect(() => {
+    if (!isOpen) return;
+    setFormData(editingCustomer ? toFormValues(editingCustomer) : EMPTY_FORM);
+    setErrors({});
+    setSubmitError("");
+  }, [isOpen, editingCustomer]);
+
+  // Handle escape key and focus management
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const handleEscape = (e) => {
+      if (e.key === "Escape") {
+        onClose();
+      }
+    };
+
+    document.addEventListener("keydown", handleEscape);
+    const cleanup = modalRef.current ? trapFocus(modalRef.current) : null;
+
+    return () => {
+      document.removeEventListener("keydown", handleEscape);
+      if (cleanup) cleanup();
+    };
+  }, [isOpen, onClose]);
+
+  if (!isOpen) return null;
+
+  const clearError = (field) => {
+    if (errors[field]) {
+      setErrors((prev) => ({ ...prev, [field]: "" }));
+    }
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+    clearError(name);
+  };
+
+  const handleAddressChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({
+      ...prev,
+      billingAddress: { ...prev.billingAddress, [name]: value },
+    }));
+  };
+
+  const handleContactChange = (index, field, value) => {
+    setFormData((prev) => ({
+      ...prev,
+      contacts: prev.contacts.map((contact, i) =>
+        i === index ? { ...contact, [field]: value } : contact
+      ),
+    }));
+    clearError("contacts");
+  };
+
+  const addContact = () => {
+    setFormData((prev) => ({
+      ...prev,
+      contacts: [...prev.contacts, EMPTY_CONTACT],
+    }));
+  };
+
+  const removeContact = (index) => {
+    setFormData((prev) => ({
+      ...prev,
+      contacts: prev.contacts.filter((_, i) => i !== index),
+    }));
+    clearError("contacts");
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const validation = validateCustomerForm(
+      formData,
+      customers,
+      editingCustomer?.id
+    );
+    if (!validation.isValid) {
+      setErrors(validation.errors);
+      return;
+    }
+
+    setIsSubmitting(true);
+    setSubmitError("");
+    try {
+      const result = await onSubmit(toCustomerData(formData));
+      if (result.success) {
+        onClose();
+      } else if (result.fieldErrors) {
+        setErrors(result.fieldErrors);
+      } else {
+        setSubmitError(result.error);
+      }
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleOverlayClick = (e) => {
+    if (e.target === e.currentTarget) {
+      onClose();
+    }
+  };
+
+  const inputClassName = (field) =>
+    `${styles.formInput} ${errors[field] ? styles.inputError : ""}`;
+
+  const renderError = (field) =>
+    errors[field] && (
+      <span className={styles.errorMessage} role="alert">
+        {errors[field]}
+      </span>
+    );
+
+  return (
+    <div
+      className={getThemeClass("modalOverlay", currentTheme, styles)}
+      onClick={handleOverlayClick}
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="customer-form-title"
+    >
+      <div
+        className={getThemeClass("modalContent", currentTheme, styles)}
+        ref={modalRef}
+      >
+        <div className={styles.modalHeader}>
+          <h2 id="customer-form-title" className={styles.modalTitle}>
+            {editingCustomer ? (
+              <>
+                <EditOutlined style={{ marginRight: "8px" }} />
+                Edit Customer
+              </>
+            ) : (
+              <>
+                <PlusOutlined style={{ marginRight: "8px" }} />
+                Add Customer
+              </>
+            )}
+          </h2>
+          <button
+            type="button"
+            className={styles.closeButton}
+            onClick={onClose}
+            aria-label="Close customer form"
+          >
+            <CloseOutlined />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className={styles.modalBody} noValidate>
+          <div className={styles.formGrid}>
+            <div className={styles.formGroup}>
+              <label htmlFor="customer-name" className={styles.formLabel}>
+                Customer name *
+              </label>
+              <input
+                id="customer-name"
+                name="name"
+                value={formData.name}
+                onChange={handleChange}
+                className={inputClassName("name")}
+                placeholder="Name shown on bookings"
+                autoComplete="off"
+                disabled={isSubmitting}
+              />
+              {renderError("name")}
+            </div>
+            <div className={styles.formGroup}>
+              <label htmlFor="customer-legalName" className={styles.formLabel}>
+                Legal name *
+              </label>
+              <input
+                id="customer-legalName"
+                name="legalName"
+                value={formData.legalName}
+                onChange={handleChange}
+                className={inputClassName("legalName")}
+                placeholder="Registered company name"
+                autoComplete="organization"
+                disabled={isSubmitting}
+              />
+              {renderError("legalName")}
+            </div>
+            <div className={`${styles.formGroup} ${styles.fullWidth}`}>
+              <label htmlFor="customer-aliases" className={styles.formLabel}>
+                Aliases
+              </label>
+              <input
+                id="customer-aliases"
+                name="aliases"
+                value={formData.aliases}
+                onChange={handleChange}
+                className={inputClassName("aliases")}
+                placeholder="Other spellings, separated by commas"
+                autoComplete="off"
+                disabled={isSubmitting}
+              />
+              {renderError("aliases")}
+            </div>
+          </div>
+
+          <fieldset className={styles.fieldset}>
+            <legend className={styles.legend}>Billing address</legend>
+            <div className={styles.formGrid}>
+              {ADDRESS_FIELDS.map((field) => (
+                <div key={field.name} className={styles.formGroup}>
+                  <label
+                    htmlFor={`customer-address-${field.name}`}
+                    className={styles.formLabel}
+                  >
+                    {field.label}
+                  </label>
+                  <input
+                    id={`customer-address-${field.name}`}
+                    name={field.name}
+                    value={formData.billingAddress[field.name]}
+                    onChange={handleAddressChange}
+                    className={styles.formInput}
+                    autoComplete={field.autoComplete}
+                    disabled={isSubmitting}
+                  />
+                </div>
+              ))}
+            </div>
+          </fieldset>
+
+          <fieldset className={styles.fieldset}>
+            <legend className={styles.legend}>Contacts</legend>
+            {formData.contacts.length === 0 && (
+              <p className={styles.hint}>No contacts yet.</p>
+            )}
+            {formData.contacts.map((contact, index) => (
+              <div
+                key={index}
+                className={`${styles.listRow} ${styles.contactRow}`}
+              >
+                {CONTACT_FIELDS.map((field) => (
+                  <div key={field.name} className={styles.formGroup}>
+                    <label
+                      htmlFor={`customer-contact-${index}-${field.name}`}
+                      className={styles.formLabel}
+                    >
+                      {field.label}
+                      <span className={styles.srOnly}>
+                        {" "}
+                        of contact {index + 1}
+                      </span>
+                    </label>
+                    <input
+                      id={`customer-contact-${index}-${field.name}`}
+                      type={field.type || "text"}
+                      value={contact[field.name]}
+                      onChange={(e) =>
+                        handleContactChange(index, field.name, e.target.value)
+                      }
+                      className={styles.formInput}
+                      disabled={isSubmitting}
+                    />
+                  </div>
+                ))}
+                <button
+                  type="button"
+                  className={styles.removeRowButton}
+                  onClick={() => removeContact(index)}
+                  aria-label={`Remove contact ${index + 1}`}
+                  disabled={isSubmitting}
+                >
+                  <DeleteOutlined />
+                </button>
+              </div>
+            ))}
+            {renderError("contacts")}
+            <button
+              type="button"
+              className={getThemeClass("btnSecondary", currentTheme, styles)}
+              onClick={addContact}
+              disabled={isSubmitting}
+            >
+              <PlusOutlined />
+              Add Contact
+            </button>
+          </fieldset>
+
+          <div className={styles.formGroup}>
+            <label htmlFor="customer-notes" className={styles.formLabel}>
+              Notes
+            </label>
+            <textarea
+              id="customer-notes"
+              name="notes"
+              value={formData.notes}
+              onChange={handleChange}
+              className={styles.formInput}
+              rows={3}
+              disabled={isSubmitting}
+            />
+          </div>
+
+          {submitError && (
+            <div className={styles.submitError} role="alert">
+              {submitError}
+            </div>
+          )}
+
+          <div className={styles.formActions}>
+            <button
+              type="button"
+              onClick={onClose}
+              className={getThemeClass("btnSecondary", currentTheme, styles)}
+              disabled={isSubmitting}
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className={getThemeClass("btnPrimary", currentTheme, styles)}
+              disabled={isSubmitting}
+            >
+              {editingCustomer ? <SaveOutlined /> : <PlusOutlined />}
+              {editingCustomer ? "Save Customer" : "Add Customer"}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+CustomerForm.propTypes = {
+  /** Whether the form modal is currently open */
+  isOpen: PropTypes.bool.isRequired,
+  /** Callback function called when the form should close */
+  onClose: PropTypes.func.isRequired,
+  /** Called with the customer data; resolves to `{ success, error, fieldErrors }` */
+  onSubmit: PropTypes.func.isRequired,
+  /** Customer to edit (enables edit mode) */
+  editingCustomer: PropTypes.shape({
+    /** Customer ID */
+    id: PropTypes.string.isRequired,
+    /** Customer trading name */
+    name: PropTypes.string.isRequired,
+  }),
+  /** Customers in the directory, to catch name clashes before submitting */
+  customers: PropTypes.arrayOf(PropTypes.object),
+};
+
+export default CustomerForm;
@@ -0,0 +1,313 @@
+import React, { useMemo, useState } from "react";
+import { useTheme } from "../../contexts/ThemeContext";
+import { useToast } from "../../contexts/ToastContext";
+import { useCustomers } from "../../hooks/useCustomers";
+import { formatAddress, searchCustomers } from "../../utils/customerUtils";
+import { liveRegionManager } from "../../utils/accessibility";
+import { getThemeClass } from "../../utils/themeUtils";
+import CustomerDetail from "../CustomerDetail/CustomerDetail";
+import CustomerForm from "../CustomerForm/CustomerForm";
+import {
+  DeleteOutlined,
+  EditOutlined,
+  EyeOutlined,
+  LoadingOutlined,
+  PlusOutlined,
+  SearchOutlined,
+} from "@ant-design/icons";
+import styles from "../../styles/RegistryPage.module.css";
+
+/**
+ * Customer directory page. Lists the customers (charterers) with their
+ * legal names and main contacts and lets the user add, edit and remove them.
+ * Opening a customer shows its details, contacts and bookings with totals.
+ * Bookings refer to customers by ID, so renaming a customer renames it on
+ * its bookings too.
+ *
+ * Features:
+ * - Table of customers with legal name, main contact and location
+ * - Search by trading name, legal name, alias or contact
+ * - Customer page with contacts, billing address and bookings with totals
+ * - Add and edit through the customer form modal
+ * - Two-step delete; customers still used by bookings are kept and the
+ *   bookings using them are listed in the error
+ * - Loading and error states, theme support and screen reader announcements
+ *
+ * @component
+ * @returns {JSX.Element} The customer directory page
+ *
+ * @example
+ * <CustomersPage />
+ */
+const CustomersPage = () => {
+  const { currentTheme } = useTheme();
+  const { showSuccess, showError } = useToast();
+  const {
+    customers,
+    loading,
+    error,
+    createCustomer,
+    updateCustomer,
+    deleteCustomer,
+  } = useCustomers();
+  const [searchTerm, setSearchTerm] = useState("");
+  const [showForm, setShowForm] = useState(false);
+  const [editingCustomer, setEditingCustomer] = useState(null);
+  // Customer whose page is open; looked up by ID so edits show straight away
+  const [selectedId, setSelectedId] = useState(null);
+  // Customer whose delete button is waiting for a confirming click
+  const [confirmDeleteId, setConfirmDeleteId] = useState(null);
+  const [processingId, setProcessingId] = useState(null);
+
+  const visibleCustomers = useMemo(
+    () => searchCustomers(customers, searchTerm),
+    [customers, searchTerm]
+  );
+  const selectedCustomer = customers.find(
+    (customer) => customer.id === selectedId
+  );
+
+  const openForm = (customer = null) => {
+    setEditingCustomer(customer);
+    setConfirmDeleteId(null);
+    setShowForm(true);
+  };
+
+  const closeForm = () => {
+    setShowForm(false);
+    setEditingCustomer(null);
+  };
+
+  const handleSubmit = async (customerData) => {
+    const result = editingCustomer
+      ? await updateCustomer(editingCustomer.id, customerData)
+      : await createCustomer(customerData);
+    if (result.success) {
+      const message = editingCustomer
+        ? `${result.customer.name} updated`
+        : `${result.customer.name} added to the directory`;
+      showSuccess(message);
+      liveRegionManager.announce(message, "polite");
+    }
+    return result;
+  };
+
+  const handleDelete = async (customer) => {
+    if (confirmDeleteId !== customer.id) {
+      setConfirmDeleteId(customer.id);
+      return;
+    }
+
+    setConfirmDeleteId(null);
+    setProcessingId(customer.id);
+    try {
+      const result = await deleteCustomer(customer.id);
+      if (result.success) {
+        showSuccess(`${customer.name} removed from the directory`);
+        liveRegionManager.announce(
+          `${customer.name} removed from the directory`,
+          "polite"
+        );
+      } else {
+        showError(`Failed to delete customer: ${result.error}`);
+      }
+    } finally {
+      setProcessingId(null);
+    }
+  };
+
+  const renderList = () => {
+    if (loading) {
+      return (
+        <p className={styles.stateMessage}>
+          <LoadingOutlined style={{ marginRight: "8px" }} />
+          Loading customers...
+        </p>
+      );
+    }
+    if (error) {
+      return (
+        <div className={styles.errorMessage} role="alert">
+          Failed to load customers: {error}
+        </div>
+      );
+    }
+    if (visibleCustomers.length === 0) {
+      return (
+        <p className={styles.stateMessage}>
+          {searchTerm
+            ? "No customers match your search."
+            : "No customers in the directory yet."}
+        </p>
+      );
+    }
+
+    return (
+      <div className={styles.tableContainer}>
+        <table className={getThemeClass("table", currentTheme, styles)}>
+          <thead>
+            <tr>
+              <th scope="col">Name</th>
+              <th scope="col">Legal name</th>
+              <th scope="col">Main contact</th>
+              <th scope="col">Billing address</th>
+              <th scope="col">
+                <span className={styles.srOnly}>Actions</span>
+              </th>
+            </tr>
+          </thead>
+          <tbody>
+            {visibleCustomers.map((customer) => {
+              const [mainContact] = customer.contacts || [];
+              return (
+                <tr key={customer.id}>
+                  <td>
+                    <div className={styles.recordName}>{customer.name}</div>
+                    <div className={styles.secondaryText}>{customer.id}</div>
+                  </td>
+                  <td>
+                    {customer.legalName || "—"}
+                    {customer.aliases?.length > 0 && (
+                      <div className={styles.secondaryText}>
+                        Also: {customer.aliases.join(", ")}
+                      </div>
+                    )}
+                  </td>
+                  <td>
+                    {mainContact ? (
+                      <>
+                        <div>{mainContact.name}</div>
+                        <div className={styles.secondaryText}>
+                          {mainContact.email || mainContact.phone}
+                        </div>
+                      </>
+                    ) : (
+                      "—"
+                    )}
+                  </td>
+                  <td>{formatAddress(customer.billingAddress) || "—"}</td>
+                  <td>
+                    <div className={styles.rowActions}>
+                      <button
+                        type="button"
+                        className={getThemeClass(
+                          "btnSecondary",
+                          currentTheme,
+                          styles
+                        )}
+                        onClick={() => setSelectedId(customer.id)}
+                        aria-label={`View customer ${customer.name}`}
+                      >
+                        <EyeOutlined />
+                        View
+                      </button>
+                      <button
+                        type="button"
+                        className={getThemeClass(
+                          "btnSecondary",
+                          currentTheme,
+                          styles
+                        )}
+                        onClick={() => openForm(customer)}
+                        disabled={processingId !== null}
+                        aria-label={`Edit customer ${customer.name}`}
+                      >
+                        <EditOutlined />
+                        Edit
+                      </button>
+                      <button
+                        type="button"
+                        className={getThemeClass(
+                          "btnDanger",
+                          currentTheme,
+                          styles
+                        )}
+                        onClick={() => handleDelete(customer)}
+                        disabled={processingId !== null}
+                        aria-label={
+                          confirmDeleteId === customer.id
+                            ? `Confirm deletion of customer ${customer.name}`
+                            : `Delete customer ${customer.name}`
+                        }
+                      >
+                        <DeleteOutlined />
+                        {confirmDeleteId === customer.id ? "Confirm" : "Delete"}
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    );
+  };
+
+  return (
+    <div className={styles.page}>
+      {selectedCustomer ? (
+        <CustomerDetail
+          customer={selectedCustomer}
+          onBack={() => setSelectedId(null)}
+          onEdit={openForm}
+        />
+      ) : (
+        <>
+          <div className={styles.pageHeader}>
+            <div>
+              <h2
+                className={getThemeClass("headerTitle", currentTheme, styles)}
+              >
+                Customers
+              </h2>
+              <p
+                className={getThemeClass(
+                  "headerSubtitle",
+                  currentTheme,
+                  styles
+                )}
+              >
+                Charterers, their contacts and billing details
+              </p>
+            </div>
+            <button
+              type="button"
+              className={getThemeClass("btnPrimary", currentTheme, styles)}
+              onClick={() => openForm()}
+            >
+              <PlusOutlined />
+              Add Customer
+            </button>
+          </div>
+
+          <div
+            className={getThemeClass("searchContainer", currentTheme, styles)}
+          >
+            <SearchOutlined className={styles.searchIcon} />
+            <input
+              type="search"
+              value={searchTerm}
+              onChange={(e) => setSearchTerm(e.target.value)}
+              placeholder="Search by name, alias or contact..."
+              className={styles.searchInput}
+              aria-label="Search customers"
+            />
+          </div>
+
+          {renderList()}
+        </>
+      )}
+
+      <CustomerForm
+        isOpen={showForm}
+        onClose={closeForm}
+        onSubmit={handleSubmit}
+        editingCustomer={editingCustomer}
+        customers={customers}
+      />
+    </div>
+  );
+};
+
+export default CustomersPage;
@@ -0,0 +1,309 @@
+import React, { useState, useEffect } from "react";
+import PropTypes from "prop-types";
+import { useTheme } from "../../contexts/ThemeContext";
+import { useToast } from "../../contexts/ToastContext";
+import {
+  FAULT_OPERATIONS,
+  getFaultProfile,
+  setFaultProfile,
+  resetFaultProfile,
+  forceFailure,
+} from "../../services/faultProfile";
+import { resetBookingData } from "../../services/bookingService";
+import { resetCircuitBreaker } from "../../services/circuitBreaker";
+import { resetVesselData } from "../../services/vesselService";
+import { resetCustomerData } from "../../services/customerService";
+import { resetInvoiceData } from "../../services/invoiceService";
+import { resetFxRateData } from "../../services/fxRateService";
+import {
+  getRetryPolicy,
+  resetRetryPolicy,
+  setRetryPolicy,
+} from "../../services/retryPolicy";
+import { clearMutationQueue } from "../../services/mutationQueue";
+import { getThemeClass } from "../../utils/themeUtils";
+import {
+  BugOutlined,
+  CloseOutlined,
+  ReloadOutlined,
+  DeleteOutlined,
+} from "@ant-design/icons";
+import styles from "./DevToolsPanel.module.css";
+
+// Human-readable labels for the mock API operations
+const OPERATION_LABELS = {
+  getBookings: "Fetch",
+  createBooking: "Create",
+  updateBooking: "Update",
+  deleteBooking: "Delete",
+};
+
+// Retry policy inputs, with the factor between the input and stored value
+const RETRY_SETTINGS = [
+  { key: "maxAttempts", label: "Max attempts", step: 1, scale: 1 },
+  { key: "initialDelayMs", label: "Initial delay (ms)", step: 100, scale: 1 },
+  { key: "maxDelayMs", label: "Max delay (ms)", step: 500, scale: 1 },
+  { key: "jitter", label: "Jitter (%)", step: 5, scale: 100 },
+  { key: "failureThreshold", label: "Breaker threshold", step: 1, scale: 1 },
+  { key: "cooldownMs", label: "Breaker cooldown (s)", step: 5, scale: 0.001 },
+];
+
+/**
+ * Developer panel for controlling the mock API at runtime. Lets developers
+ * change per-operation latency and error rates, seed the random number
+ * generator for reproducible failures, force the next call of an operation
+ * to fail, tune how the service retries failed calls, and reset the stored
+ * bookings, vessel registry and customer directory back to the sample data
+ * and remove stored invoices.
+ *
+ * Features:
+ * - Floating toggle button and Ctrl+Shift+D keyboard shortcut
+ * - Per-operation latency (ms) and error rate (%) inputs
+ * - Seeded randomness for deterministic demos
+ * - "Fail next" buttons showing the number of pending forced failures
+ * - Retry policy: attempts, backoff, jitter and circuit breaker settings
+ * - Reset of the fault profile, retry policy and stored data
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {function} [props.onDataReset] - Called after stored data has been reset, e.g. to refetch
+ * @param {boolean} [props.defaultOpen=false] - Whether the panel starts expanded
+ * @returns {JSX.Element} Toggle button and, when open, the developer panel
+ *
+ * @example
+ * <DevToolsPanel onDataReset={refreshBookings} />
+ */
+const DevToolsPanel = ({ onDataReset, defaultOpen = false }) => {
+  const { currentTheme } = useTheme();
+  const { showSuccess, showError } = useToast();
+  const [isOpen, setIsOpen] = useState(defaultOpen);
+  const [profile, setProfile] = useState(getFaultProfile);
+  const [retryPolicy, setRetryPolicyState] = useState(getRetryPolicy);
+
+  // Toggle with Ctrl+Shift+D
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.ctrlKey && e.shiftKey && (e.key === "D" || e.key === "d")) {
+        e.preventDefault();
+        setIsOpen((prev) => !prev);
+      }
+    };
+
+    document.addEventListener("keydown", handleKeyDown);
+    return () => document.removeEventListener("keydown", handleKeyDown);
+  }, []);
+
+  // Refresh from the service when opening, forced failures may have been consumed
+  useEffect(() => {
+    if (isOpen) {
+      setProfile(getFaultProfile());
+    }
+  }, [isOpen]);
+
+  const handleLatencyChange = (operation, value) => {
+    setProfile(setFaultProfile({ latency: { [operation]: Number(value) } }));
+  };
+
+  const handleErrorRateChange = (operation, value) => {
+    setProfile(
+      setFaultProfile({ errorRate: { [operation]: Number(value) / 100 } })
+    );
+  };
+
+  const handleSeedChange = (e) => {
+    setProfile(setFaultProfile({ seed: e.target.value }));
+  };
+
+  const handleForceFailure = (operation) => {
+    setProfile(forceFailure(operation));
+  };
+
+  const handleRetrySettingChange = ({ key, scale }, value) => {
+    const scaled = Number(value) / scale;
+    setRetryPolicyState(
+      setRetryPolicy({
+        [key]: key === "jitter" ? scaled : Math.round(scaled),
+      })
+    );
+  };
+
+  const handleResetProfile = () => {
+    setProfile(resetFaultProfile());
+    setRetryPolicyState(resetRetryPolicy());
+    resetCircuitBreaker();
+  };
+
+  const handleResetData = async () => {
+    try {
+      await resetBookingData();
+      await resetVesselData();
+      await resetCustomerData();
+      await resetInvoiceData();
+      await resetFxRateData();
+      // Queued writes were based on the data that was just replaced
+      clearMutationQueue();
+      showSuccess("Stored bookings reset to sample data");
+      if (onDataReset) {
+        onDataReset();
+      }
+    } catch (error) {
+      showError(error.message);
+    }
+  };
+
+  if (!isOpen) {
+    return (
+      <button
+        type="button"
+        className={getThemeClass("devToolsToggle", currentTheme, styles)}
+        onClick={() => setIsOpen(true)}
+        aria-label="Open developer tools"
+        title="Developer tools (Ctrl+Shift+D)"
+      >
+        <BugOutlined />
+      </button>
+    );
+  }
+
+  return (
+    <aside
+      className={getThemeClass("devToolsPanel", currentTheme, styles)}
+      aria-labelledby="dev-tools-title"
+    >
+      <div className={styles.panelHeader}>
+        <h2 id="dev-tools-title" className={styles.panelTitle}>
+          <BugOutlined style={{ marginRight: "8px" }} />
+          Mock API
+        </h2>
+        <button
+          type="button"
+          className={styles.closeButton}
+          onClick={() => setIsOpen(false)}
+          aria-label="Close developer tools"
+        >
+          <CloseOutlined />
+        </button>
+      </div>
+
+      <table className={styles.profileTable}>
+        <thead>
+          <tr>
+            <th scope="col">Operation</th>
+            <th scope="col">Latency (ms)</th>
+            <th scope="col">Error rate (%)</th>
+            <th scope="col">
+              <span className={styles.srOnly}>Force failure</span>
+            </th>
+          </tr>
+        </thead>
+        <tbody>
+          {FAULT_OPERATIONS.map((operation) => (
+            <tr key={operation}>
+              <th scope="row">{OPERATION_LABELS[operation]}</th>
+              <td>
+                <input
+                  type="number"
+                  min="0"
+                  step="100"
+                  className={getThemeClass("numberInput", currentTheme, styles)}
+                  value={profile.latency[operation]}
+                  onChange={(e) =>
+                    handleLatencyChange(operation, e.target.value)
+                  }
+                  aria-label={`${OPERATION_LABELS[operation]} latency in milliseconds`}
+                />
+              </td>
+              <td>
+                <input
+                  type="number"
+                  min="0"
+                  max="100"
+                  step="1"
+                  className={getThemeClass("numberInput", currentTheme, styles)}
+                  value={Math.round(profile.errorRate[operation] * 100)}
+                  onChange={(e) =>
+                    handleErrorRateChange(operation, e.target.value)
+                  }
+                  aria-label={`${OPERATION_LABELS[operation]} error rate in percent`}
+                />
+              </td>
+              <td>
+                <button
+                  type="button"
+                  className={getThemeClass("smallButton", currentTheme, styles)}
+                  onClick={() => handleForceFailure(operation)}
+                  aria-label={`Fail next ${OPERATION_LABELS[
+                    operation
+                  ].toLowerCase()}`}
+                >
+                  Fail next
+                  {profile.forcedFailures[operation] > 0 &&
+                    ` (${profile.forcedFailures[operation]})`}
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className={styles.seedRow}>
+        <label htmlFor="dev-tools-seed">Random seed</label>
+        <input
+          id="dev-tools-seed"
+          type="number"
+          className={getThemeClass("numberInput", currentTheme, styles)}
+          value={profile.seed ?? ""}
+          onChange={handleSeedChange}
+          placeholder="Unseeded"
+        />
+      </div>
+
+      <fieldset className={styles.retrySettings}>
+        <legend>Retries</legend>
+        {RETRY_SETTINGS.map((setting) => (
+          <label key={setting.key} className={styles.retrySetting}>
+            <span>{setting.label}</span>
+            <input
+              type="number"
+              min="0"
+              step={setting.step}
+              className={getThemeClass("numberInput", currentTheme, styles)}
+              value={Math.round(retryPolicy[setting.key] * setting.scale)}
+              onChange={(e) =>
+                handleRetrySettingChange(setting, e.target.value)
+              }
+            />
+          </label>
+        ))}
+      </fieldset>
+
+      <div className={styles.panelActions}>
+        <button
+          type="button"
+          className={getThemeClass("smallButton", currentTheme, styles)}
+          onClick={handleResetProfile}
+        >
+          <ReloadOutlined style={{ marginRight: "6px" }} />
+          Reset profile
+        </button>
+        <button
+          type="button"
+          className={getThemeClass("dangerButton", currentTheme, styles)}
+          onClick={handleResetData}
+        >
+          <DeleteOutlined style={{ marginRight: "6px" }} />
+          Reset stored data
+        </button>
+      </div>
+    </aside>
+  );
+};
+
+DevToolsPanel.propTypes = {
+  /** Called after stored data has been reset, e.g. to refetch */
+  onDataReset: PropTypes.func,
+  /** Whether the panel starts expanded */
+  defaultOpen: PropTypes.bool,
+};
+
+export default DevToolsPanel;
@@ -0,0 +1,360 @@
+import React, { useState } from "react";
+import { useTheme } from "../../contexts/ThemeContext";
+import { useToast } from "../../contexts/ToastContext";
+import { useFxRates } from "../../hooks/useFxRates";
+import { formatDate } from "../../utils/bookingUtils";
+import {
+  CURRENCIES,
+  DEFAULT_CURRENCY,
+  DISPLAY_LOCALES,
+  getDisplayLocale,
+  getReportingCurrency,
+  setDisplayLocale,
+  setReportingCurrency,
+  toFxRateData,
+  validateFxRate,
+} from "../../utils/currencyUtils";
+import { liveRegionManager } from "../../utils/accessibility";
+import { getThemeClass } from "../../utils/themeUtils";
+import {
+  DeleteOutlined,
+  LoadingOutlined,
+  PlusOutlined,
+} from "@ant-design/icons";
+import registryStyles from "../../styles/RegistryPage.module.css";
+import pageStyles from "./ExchangeRatesPage.module.css";
+
+// Shared registry page styles with this page's own rules on top
+const styles = { ...registryStyles, ...pageStyles };
+
+// Currencies that need a rate against the base currency
+const QUOTED_CURRENCIES = Object.keys(CURRENCIES).filter(
+  (code) => code !== DEFAULT_CURRENCY
+);
+
+const EMPTY_RATE = {
+  currency: QUOTED_CURRENCIES[0],
+  rate: "",
+  effectiveDate: "",
+};
+
+/**
+ * Exchange rates page. Keeps the local table of exchange rates reports use
+ * to convert booking values, and the display settings for amounts on this
+ * device.
+ *
+ * Features:
+ * - Reporting currency that reports and totals are converted to
+ * - Display locale for amounts and dates
+ * - Form to add a rate for a currency from a given date, with field errors
+ * - Table of rates by currency, newest first, marking the one in effect today
+ * - Two-step delete; conversions fall back to the previous rate
+ * - Loading and error states, theme support and screen reader announcements
+ *
+ * @component
+ * @returns {JSX.Element} The exchange rates page
+ *
+ * @example
+ * <ExchangeRatesPage />
+ */
+const ExchangeRatesPage = () => {
+  const { currentTheme } = useTheme();
+  const { showSuccess, showError } = useToast();
+  const { fxRates, loading, error, createFxRate, deleteFxRate } = useFxRates();
+  const [reportingCurrency, setReportingCurrencyState] =
+    useState(getReportingCurrency);
+  const [displayLocale, setDisplayLocaleState] = useState(getDisplayLocale);
+  const [formData, setFormData] = useState(EMPTY_RATE);
+  const [errors, setErrors] = useState({});
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  // Rate whose delete button is waiting for a confirming click
+  const [confirmDeleteId, setConfirmDeleteId] = useState(null);
+  const [processingId, setProcessingId] = useState(null);
+
+  const today = new Date().toISOString().slice(0, 10);
+  // IDs of the rates in effect today, one per currency at most
+  const currentRateIds = new Set(
+    QUOTED_CURRENCIES.map(
+      (code) =>
+        fxRates.find(
+          (rate) => rate.currency === code && rate.effectiveDate <= today
+        )?.id
+    ).filter(Boolean)
+  );
+
+  const handleReportingCurrencyChange = (e) => {
+    const currency = setReportingCurrency(e.target.value);
+    setReportingCurrencyState(currency);
+    liveRegionManager.announce(`Reporting in ${currency}`, "polite");
+  };
+
+  const handleDisplayLocaleChange = (e) => {
+    setDisplayLocaleState(setDisplayLocale(e.target.value));
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+    if (errors[name]) {
+      setErrors((prev) => ({ ...prev, [name]: undefined }));
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const validation = validateFxRate(formData, fxRates);
+    if (!validation.isValid) {
+      setErrors(validation.errors);
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      const result = await createFxRate(toFxRateData(formData));
+      if (result.success) {
+        const message = `${result.fxRate.currency} rate from ${formatDate(
+          result.fxRate.effectiveDate
+        )} added`;
+        showSuccess(message);
+        liveRegionManager.announce(message, "polite");
+        setFormData((prev) => ({ ...EMPTY_RATE, currency: prev.currency }));
+        setErrors({});
+      } else if (result.fieldErrors) {
+        setErrors(result.fieldErrors);
+      } else {
+        showError(`Failed to add rate: ${result.error}`);
+      }
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleDelete = async (rate) => {
+    if (confirmDeleteId !== rate.id) {
+      setConfirmDeleteId(rate.id);
+      return;
+    }
+
+    setConfirmDeleteId(null);
+    setProcessingId(rate.id);
+    try {
+      const result = await deleteFxRate(rate.id);
+      if (result.success) {
+        const message = `${rate.currency} rate from ${formatDate(
+          rate.effectiveDate
+        )} removed`;
+        showSuccess(message);
+        liveRegionManager.announce(message, "polite");
+      } else {
+        showError(`Failed to delete rate: ${result.error}`);
+      }
+    } finally {
+      setProcessingId(null);
+    }
+  };
+
+  const inputClassName = (field) =>
+    `${styles.formInput} ${errors[field] ? styles.inputError : ""}`;
+
+  const renderError = (field) =>
+    errors[field] && (
+      <span className={styles.fieldError} role="alert">
+        {errors[field]}
+      </span>
+    );
+
+  return (
+    <div className={styles.page}>
+      <div className={styles.pageHeader}>
+        <div>
+          <h2 className={getThemeClass("headerTitle", currentTheme, styles)}>
+            Exchange Rates
+          </h2>
+          <p className={getThemeClass("headerSubtitle", currentTheme, styles)}>
+            Rates against the euro used to convert booking values in reports
+          </p>
+        </div>
+      </div>
+
+      <section
+        className={getThemeClass("panel", currentTheme, styles)}
+        aria-labelledby="display-settings-title"
+      >
+        <h3 id="display-settings-title" className={styles.panelTitle}>
+          Display
+        </h3>
+        <div className={styles.fieldRow}>
+          <div className={styles.field}>
+            <label htmlFor="reporting-currency">Reporting currency</label>
+            <select
+              id="reporting-currency"
+              className={styles.formInput}
+              value={reportingCurrency}
+              onChange={handleReportingCurrencyChange}
+            >
+              {Object.entries(CURRENCIES).map(([code, { label }]) => (
+                <option key={code} value={code}>
+                  {code} — {label}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className={styles.field}>
+            <label htmlFor="display-locale">Number and date format</label>
+            <select
+              id="display-locale"
+              className={styles.formInput}
+              value={displayLocale}
+              onChange={handleDisplayLocaleChange}
+            >
+              {Object.entries(DISPLAY_LOCALES).map(([code, { label }]) => (
+                <option key={code} value={code}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
+      </section>
+
+      <form
+        className={getThemeClass("panel", currentTheme, styles)}
+        onSubmit={handleSubmit}
+        aria-labelledby="add-rate-title"
+        noValidate
+      >
+        <h3 id="add-rate-title" className={styles.panelTitle}>
+          Add a rate
+        </h3>
+        <div className={styles.fieldRow}>
+          <div className={styles.field}>
+            <label htmlFor="fx-currency">Currency</label>
+            <select
+              id="fx-currency"
+              name="currency"
+              className={inputClassName("currency")}
+              value={formData.currency}
+              onChange={handleChange}
+            >
+              {QUOTED_CURRENCIES.map((code) => (
+                <option key={code} value={code}>
+                  {code}
+                </option>
+              ))}
+            </select>
+            {renderError("currency")}
+          </div>
+          <div className={styles.field}>
+            <label htmlFor="fx-rate">Rate (per 1 {DEFAULT_CURRENCY})</label>
+            <input
+              type="number"
+              id="fx-rate"
+              name="rate"
+              min="0"
+              step="any"
+              className={inputClassName("rate")}
+              value={formData.rate}
+              onChange={handleChange}
+            />
+            {renderError("rate")}
+          </div>
+          <div className={styles.field}>
+            <label htmlFor="fx-effective-date">Effective from</label>
+            <input
+              type="date"
+              id="fx-effective-date"
+              name="effectiveDate"
+              className={inputClassName("effectiveDate")}
+              value={formData.effectiveDate}
+              onChange={handleChange}
+            />
+            {renderError("effectiveDate")}
+          </div>
+          <button
+            type="submit"
+            className={getThemeClass("btnPrimary", currentTheme, styles)}
+            disabled={isSubmitting}
+          >
+            {isSubmitting ? <LoadingOutlined /> : <PlusOutlined />}
+            Add Rate
+          </button>
+        </div>
+      </form>
+
+      {loading ? (
+        <p className={styles.stateMessage}>
+          <LoadingOutlined style={{ marginRight: "8px" }} />
+          Loading exchange rates...
+        </p>
+      ) : error ? (
+        <div className={styles.errorMessage} role="alert">
+          Failed to load exchange rates: {error}
+        </div>
+      ) : fxRates.length === 0 ? (
+        <p className={styles.stateMessage}>
+          No exchange rates yet. Amounts in other currencies are left out of
+          converted totals until a rate is added.
+        </p>
+      ) : (
+        <div className={styles.tableContainer}>
+          <table className={getThemeClass("table", currentTheme, styles)}>
+            <thead>
+              <tr>
+                <th scope="col">Currency</th>
+                <th scope="col" className={styles.numeric}>
+                  Rate (per 1 {DEFAULT_CURRENCY})
+                </th>
+                <th scope="col">Effective from</th>
+                <th scope="col">
+                  <span className={styles.srOnly}>Actions</span>
+                </th>
+              </tr>
+            </thead>
+            <tbody>
+              {fxRates.map((rate) => (
+                <tr key={rate.id}>
+                  <td>
+                    {rate.currency}
+                    {currentRateIds.has(rate.id) && (
+                      <span className={styles.currentBadge}>In effect</span>
+                    )}
+                  </td>
+                  <td className={styles.numeric}>
+                    {rate.rate.toLocaleString(displayLocale, {
+                      maximumFractionDigits: 6,
+                    })}
+                  </td>
+                  <td>{formatDate(rate.effectiveDate, displayLocale)}</td>
+                  <td>
+                    <div className={styles.rowActions}>
+                      <button
+                        type="button"
+                        className={getThemeClass(
+                          "btnDanger",
+                          currentTheme,
+                          styles
+                        )}
+                        onClick={() => handleDelete(rate)}
+                        disabled={processingId !== null}
+                        aria-label={
+                          confirmDeleteId === rate.id
+                            ? `Confirm deletion of ${rate.currency} rate from ${rate.effectiveDate}`
+                            : `Delete ${rate.currency} rate from ${rate.effectiveDate}`
+                        }
+                      >
+                        <DeleteOutlined />
+                        {confirmDeleteId === rate.id ? "Confirm" : "Delete"}
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExchangeRatesPage;
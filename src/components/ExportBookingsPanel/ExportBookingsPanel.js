@@ -0,0 +1,456 @@
+import React, { useEffect, useRef, useState } from "react";
+import PropTypes from "prop-types";
+import { useTheme } from "../../contexts/ThemeContext";
+import { useToast } from "../../contexts/ToastContext";
+import { trapFocus, liveRegionManager } from "../../utils/accessibility";
+import {
+  CSV_DELIMITERS,
+  DATE_FORMATS,
+  EXCEL_LOCALES,
+  EXPORT_COLUMNS,
+  EXPORT_FORMATS,
+  buildExportFile,
+  downloadFile,
+} from "../../utils/exportUtils";
+import { getThemeClass } from "../../utils/themeUtils";
+import {
+  CloseOutlined,
+  ExportOutlined,
+  LoadingOutlined,
+} from "@ant-design/icons";
+import styles from "./ExportBookingsPanel.module.css";
+
+const ALL_COLUMN_KEYS = EXPORT_COLUMNS.map((column) => column.key);
+
+// Shown instead of the CSV options for the other formats
+const FORMAT_NOTES = {
+  json: "JSON dates are always YYYY-MM-DD.",
+  spreadsheetml:
+    "Dates are saved as Excel dates and shown in each computer's own date format.",
+  ics: "Each booking becomes an all-day event: pending bookings are tentative and cancelled ones are cancelled. Importing a newer file updates the events instead of duplicating them.",
+};
+
+// The preset CSV options match when they equal one of the Excel locales
+const findLocale = (delimiter, dateFormat) =>
+  Object.keys(EXCEL_LOCALES).find(
+    (key) =>
+      EXCEL_LOCALES[key].delimiter === delimiter &&
+      EXCEL_LOCALES[key].dateFormat === dateFormat
+  ) || "";
+
+/**
+ * Modal exporting bookings for reports and calendars. The user picks the
+ * current view (the filtered and sorted bookings on every page), one
+ * vessel's bookings or all bookings, a file format and the columns to
+ * include, and for CSV the delimiter and date format Excel expects in their
+ * office's locale.
+ *
+ * Features:
+ * - CSV, JSON and SpreadsheetML (opens in Excel with real date cells)
+ * - iCalendar files for Outlook and other calendars, one event per booking
+ * - Current view in table order, one vessel's schedule, or the full dataset
+ * - Column selection, including the computed duration and net value
+ * - Greek and English Excel presets for CSV delimiter and date format
+ * - Focus trapping, Escape to close and screen reader announcements
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {boolean} props.isOpen - Whether the modal is currently open
+ * @param {function} props.onClose - Callback function called when modal should close
+ * @param {function} props.loadViewBookings - Function resolving to `{ success, bookings, error }`
+ *   with every booking in the current view, in table order
+ * @param {function} props.loadAllBookings - Function resolving to `{ success, bookings, error }`
+ *   with every stored booking
+ * @param {number} [props.viewCount] - Number of bookings in the current view
+ * @param {Array<Object>} [props.vessels] - Registered vessels, whose rate cards value the bookings
+ * @returns {JSX.Element|null} Modal component or null if not open
+ *
+ * @example
+ * <ExportBookingsPanel
+ *   isOpen={showExport}
+ *   onClose={() => setShowExport(false)}
+ *   loadViewBookings={getViewBookings}
+ *   loadAllBookings={getAllBookings}
+ *   viewCount={total}
+ *   vessels={vessels}
+ * />
+ */
+const ExportBookingsPanel = ({
+  isOpen,
+  onClose,
+  loadViewBookings,
+  loadAllBookings,
+  viewCount,
+  vessels,
+}) => {
+  const { currentTheme } = useTheme();
+  const { showSuccess, showError } = useToast();
+  const modalRef = useRef(null);
+  const [scope, setScope] = useState("view");
+  const [format, setFormat] = useState("csv");
+  const [columns, setColumns] = useState(ALL_COLUMN_KEYS);
+  const [delimiter, setDelimiter] = useState(EXCEL_LOCALES.el.delimiter);
+  const [dateFormat, setDateFormat] = useState(EXCEL_LOCALES.el.dateFormat);
+  const [exporting, setExporting] = useState(false);
+  const [vessel, setVessel] = useState("");
+  // Every booking, loaded when the vessel scope is first picked
+  const [allBookings, setAllBookings] = useState({
+    loading: false,
+    bookings: null,
+    error: null,
+  });
+
+  // Vessels are listed from fresh data every time the modal opens
+  useEffect(() => {
+    if (isOpen) {
+      setScope("view");
+      setVessel("");
+      setAllBookings({ loading: false, bookings: null, error: null });
+    }
+  }, [isOpen]);
+
+  // Handle escape key and focus management
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const handleEscape = (e) => {
+      if (e.key === "Escape" && !exporting) {
+        onClose();
+      }
+    };
+
+    document.addEventListener("keydown", handleEscape);
+    const cleanup = modalRef.current ? trapFocus(modalRef.current) : null;
+
+    return () => {
+      document.removeEventListener("keydown", handleEscape);
+      if (cleanup) cleanup();
+    };
+  }, [isOpen, onClose, exporting]);
+
+  const vesselNames = [
+    ...new Set((allBookings.bookings || []).map((booking) => booking.vessel)),
+  ].sort((a, b) => a.localeCompare(b));
+
+  if (!isOpen) return null;
+
+  const handleScopeChange = async (value) => {
+    setScope(value);
+    if (value !== "vessel" || allBookings.bookings) return;
+
+    setAllBookings({ loading: true, bookings: null, error: null });
+    const result = await loadAllBookings();
+    setAllBookings(
+      result.success
+        ? { loading: false, bookings: result.bookings, error: null }
+        : { loading: false, bookings: null, error: result.error }
+    );
+  };
+
+  const loadBookings = async () => {
+    if (scope === "vessel") {
+      return {
+        success: true,
+        bookings: allBookings.bookings.filter(
+          (booking) => booking.vessel === vessel
+        ),
+      };
+    }
+    return scope === "view" ? loadViewBookings() : loadAllBookings();
+  };
+
+  const locale = findLocale(delimiter, dateFormat);
+
+  const handleLocaleChange = (key) => {
+    if (!EXCEL_LOCALES[key]) return;
+    setDelimiter(EXCEL_LOCALES[key].delimiter);
+    setDateFormat(EXCEL_LOCALES[key].dateFormat);
+  };
+
+  const handleColumnToggle = (key, checked) => {
+    setColumns((prev) =>
+      checked
+        ? ALL_COLUMN_KEYS.filter((k) => k === key || prev.includes(k))
+        : prev.filter((k) => k !== key)
+    );
+  };
+
+  const handleExport = async () => {
+    setExporting(true);
+    try {
+      const result = await loadBookings();
+      if (!result.success) {
+        showError(`Export failed: ${result.error}`);
+        return;
+      }
+
+      downloadFile(
+        buildExportFile(result.bookings, {
+          format,
+          columns,
+          delimiter,
+          dateFormat,
+          calendarName: scope === "vessel" ? vessel : "Vessel bookings",
+          baseName: scope === "vessel" ? vessel : "bookings",
+          vessels,
+        })
+      );
+      const message = `Exported ${result.bookings.length} booking${
+        result.bookings.length !== 1 ? "s" : ""
+      }`;
+      showSuccess(message);
+      liveRegionManager.announce(message, "polite");
+      onClose();
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const handleOverlayClick = (e) => {
+    if (e.target === e.currentTarget && !exporting) {
+      onClose();
+    }
+  };
+
+  return (
+    <div
+      className={getThemeClass("modalOverlay", currentTheme, styles)}
+      onClick={handleOverlayClick}
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="export-title"
+    >
+      <div
+        className={getThemeClass("modalContent", currentTheme, styles)}
+        ref={modalRef}
+      >
+        <div className={styles.modalHeader}>
+          <h2 id="export-title" className={styles.modalTitle}>
+            <ExportOutlined style={{ marginRight: "8px" }} />
+            Export Bookings
+          </h2>
+          <button
+            className={styles.closeButton}
+            onClick={onClose}
+            disabled={exporting}
+            aria-label="Close export"
+          >
+            <CloseOutlined />
+          </button>
+        </div>
+
+        <div className={styles.modalBody}>
+          {/* Scope */}
+          <fieldset className={styles.optionGroup}>
+            <legend className={styles.fieldLabel}>Bookings</legend>
+            <label className={styles.choiceLabel}>
+              <input
+                type="radio"
+                name="export-scope"
+                value="view"
+                checked={scope === "view"}
+                onChange={() => handleScopeChange("view")}
+                disabled={exporting}
+              />
+              Current view
+              {viewCount !== undefined && ` (${viewCount})`}, filtered and
+              sorted as in the table
+            </label>
+            <label className={styles.choiceLabel}>
+              <input
+                type="radio"
+                name="export-scope"
+                value="vessel"
+                checked={scope === "vessel"}
+                onChange={() => handleScopeChange("vessel")}
+                disabled={exporting}
+              />
+              One vessel
+            </label>
+            {scope === "vessel" && (
+              <div className={styles.scopeDetail}>
+                {allBookings.error ? (
+                  <div className={styles.errorMessage} role="alert">
+                    Could not load vessels: {allBookings.error}
+                  </div>
+                ) : (
+                  <select
+                    className={getThemeClass(
+                      "selectInput",
+                      currentTheme,
+                      styles
+                    )}
+                    value={vessel}
+                    onChange={(e) => setVessel(e.target.value)}
+                    disabled={exporting || allBookings.loading}
+                    aria-label="Vessel to export"
+                  >
+                    <option value="">
+                      {allBookings.loading
+                        ? "Loading vessels..."
+                        : "Choose a vessel"}
+                    </option>
+                    {vesselNames.map((name) => (
+                      <option key={name} value={name}>
+                        {name}
+                      </option>
+                    ))}
+                  </select>
+                )}
+              </div>
+            )}
+            <label className={styles.choiceLabel}>
+              <input
+                type="radio"
+                name="export-scope"
+                value="all"
+                checked={scope === "all"}
+                onChange={() => handleScopeChange("all")}
+                disabled={exporting}
+              />
+              All bookings
+            </label>
+          </fieldset>
+
+          {/* Format */}
+          <fieldset className={styles.optionGroup}>
+            <legend className={styles.fieldLabel}>Format</legend>
+            {Object.entries(EXPORT_FORMATS).map(([key, { label }]) => (
+              <label key={key} className={styles.choiceLabel}>
+                <input
+                  type="radio"
+                  name="export-format"
+                  value={key}
+                  checked={format === key}
+                  onChange={() => setFormat(key)}
+                  disabled={exporting}
+                />
+                {label}
+              </label>
+            ))}
+          </fieldset>
+
+          {/* Columns */}
+          <fieldset className={styles.optionGroup} hidden={format === "ics"}>
+            <legend className={styles.fieldLabel}>Columns</legend>
+            <div className={styles.columnGrid}>
+              {EXPORT_COLUMNS.map((column) => (
+                <label key={column.key} className={styles.choiceLabel}>
+                  <input
+                    type="checkbox"
+                    checked={columns.includes(column.key)}
+                    onChange={(e) =>
+                      handleColumnToggle(column.key, e.target.checked)
+                    }
+                    disabled={exporting}
+                  />
+                  {column.label}
+                </label>
+              ))}
+            </div>
+          </fieldset>
+
+          {/* CSV Options */}
+          {format === "csv" ? (
+            <div className={styles.csvOptions}>
+              <div className={styles.selectField}>
+                <label htmlFor="export-locale">Excel locale</label>
+                <select
+                  id="export-locale"
+                  className={getThemeClass("selectInput", currentTheme, styles)}
+                  value={locale}
+                  onChange={(e) => handleLocaleChange(e.target.value)}
+                  disabled={exporting}
+                >
+                  {Object.entries(EXCEL_LOCALES).map(([key, { label }]) => (
+                    <option key={key} value={key}>
+                      {label}
+                    </option>
+                  ))}
+                  {!locale && <option value="">Custom</option>}
+                </select>
+              </div>
+              <div className={styles.selectField}>
+                <label htmlFor="export-delimiter">Delimiter</label>
+                <select
+                  id="export-delimiter"
+                  className={getThemeClass("selectInput", currentTheme, styles)}
+                  value={delimiter}
+                  onChange={(e) => setDelimiter(e.target.value)}
+                  disabled={exporting}
+                >
+                  {Object.entries(CSV_DELIMITERS).map(([key, { label }]) => (
+                    <option key={key} value={key}>
+                      {label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div className={styles.selectField}>
+                <label htmlFor="export-date-format">Date format</label>
+                <select
+                  id="export-date-format"
+                  className={getThemeClass("selectInput", currentTheme, styles)}
+                  value={dateFormat}
+                  onChange={(e) => setDateFormat(e.target.value)}
+                  disabled={exporting}
+                >
+                  {Object.entries(DATE_FORMATS).map(([key, { label }]) => (
+                    <option key={key} value={key}>
+                      {label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            </div>
+          ) : (
+            <p className={styles.formatNote}>{FORMAT_NOTES[format]}</p>
+          )}
+        </div>
+
+        <div className={styles.modalFooter}>
+          <button
+            className={getThemeClass("btnSecondary", currentTheme, styles)}
+            onClick={onClose}
+            disabled={exporting}
+          >
+            Cancel
+          </button>
+          <button
+            className={getThemeClass("btnPrimary", currentTheme, styles)}
+            onClick={handleExport}
+            disabled={
+              exporting ||
+              (format !== "ics" && columns.length === 0) ||
+              (scope === "vessel" && !vessel)
+            }
+          >
+            {exporting ? (
+              <LoadingOutlined style={{ marginRight: "8px" }} />
+            ) : (
+              <ExportOutlined style={{ marginRight: "8px" }} />
+            )}
+            {exporting ? "Exporting..." : "Export"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+ExportBookingsPanel.propTypes = {
+  /** Whether the modal is currently open */
+  isOpen: PropTypes.bool.isRequired,
+  /** Callback function called when modal should close */
+  onClose: PropTypes.func.isRequired,
+  /** Function resolving to `{ success, bookings, error }` with the current view's bookings */
+  loadViewBookings: PropTypes.func.isRequired,
+  /** Function resolving to `{ success, bookings, error }` with every stored booking */
+  loadAllBookings: PropTypes.func.isRequired,
+  /** Number of bookings in the current view */
+  viewCount: PropTypes.number,
+  /** Registered vessels, whose rate cards value the bookings */
+  vessels: PropTypes.arrayOf(PropTypes.object),
+};
+
+export default ExportBookingsPanel;
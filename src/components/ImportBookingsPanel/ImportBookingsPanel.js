@@ -0,0 +1,567 @@
+import React, {
+  useCallback,
+  useEffect,
+  useMemo,
+  useRef,
+  useState,
+} from "react";
+import PropTypes from "prop-types";
+import { useTheme } from "../../contexts/ThemeContext";
+import { useToast } from "../../contexts/ToastContext";
+import { getConflictPolicy } from "../../services/conflictPolicy";
+import { BULK_ITEM_STATUS } from "../../services/bookingErrors";
+import { trapFocus, liveRegionManager } from "../../utils/accessibility";
+import {
+  DATE_ORDERS,
+  IMPORT_FIELDS,
+  buildImportPreview,
+  detectDateOrder,
+  guessColumnMapping,
+  isHeaderRow,
+  parseDelimitedText,
+} from "../../utils/importUtils";
+import { getThemeClass } from "../../utils/themeUtils";
+import {
+  CheckCircleOutlined,
+  CloseOutlined,
+  ExclamationCircleOutlined,
+  ImportOutlined,
+  LoadingOutlined,
+} from "@ant-design/icons";
+import styles from "./ImportBookingsPanel.module.css";
+
+// Without a header, columns are assumed to be in the order of IMPORT_FIELDS
+const POSITIONAL_MAPPING = Object.fromEntries(
+  IMPORT_FIELDS.map((field, index) => [field.name, index])
+);
+
+const readFileAsText = (file) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(file);
+  });
+
+/**
+ * Modal importing bookings from a CSV file or rows pasted from a
+ * spreadsheet. The user maps columns to booking fields, reviews a preview
+ * in which every row is validated like the booking form and checked for
+ * vessel double bookings, then imports the valid rows in one all-or-nothing
+ * write.
+ *
+ * Features:
+ * - CSV upload or paste, with comma, semicolon and tab delimiters detected
+ * - Header row detection and column mapping guessed from the headers
+ * - Day-first or month-first dates detected from the file, or chosen when
+ *   every date reads either way
+ * - Per-row errors and pending-overlap warnings before anything is saved
+ * - Rows the backend rejects at import time are flagged in the preview
+ * - Focus trapping, Escape to close and screen reader announcements
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {boolean} props.isOpen - Whether the modal is currently open
+ * @param {function} props.onClose - Callback function called when modal should close
+ * @param {function} props.loadExistingBookings - Function resolving to `{ success, bookings, error }`
+ *   with every stored booking, used for conflict checks
+ * @param {function} props.onImport - Function creating the valid rows' bookings, resolving to
+ *   `{ success, results, error }` like `useBookings().importBookings`
+ * @param {Array<Object>} [props.vessels] - Registered vessels; when given, each row's vessel
+ *   must be one of them
+ * @param {Array<Object>} [props.customers] - Customers in the directory; when given, each
+ *   row's customer must be one of them
+ * @returns {JSX.Element|null} Modal component or null if not open
+ *
+ * @example
+ * <ImportBookingsPanel
+ *   isOpen={showImport}
+ *   onClose={() => setShowImport(false)}
+ *   loadExistingBookings={getAllBookings}
+ *   onImport={importBookings}
+ * />
+ */
+const ImportBookingsPanel = ({
+  isOpen,
+  onClose,
+  loadExistingBookings,
+  onImport,
+  vessels,
+  customers,
+}) => {
+  const { currentTheme } = useTheme();
+  const { showSuccess, showError } = useToast();
+  const modalRef = useRef(null);
+  const [text, setText] = useState("");
+  // null while the header row and mapping are still guessed from the text
+  const [hasHeader, setHasHeader] = useState(null);
+  const [mapping, setMapping] = useState(null);
+  // Key of DATE_ORDERS, or "" to detect it from the dates
+  const [dateOrder, setDateOrder] = useState("");
+  const [existing, setExisting] = useState({
+    loading: false,
+    bookings: [],
+    error: null,
+  });
+  const [importing, setImporting] = useState(false);
+  // Messages for rows the backend rejected, by row number
+  const [rejectedRows, setRejectedRows] = useState({});
+
+  const loadExisting = useCallback(async () => {
+    setExisting({ loading: true, bookings: [], error: null });
+    const result = await loadExistingBookings();
+    setExisting(
+      result.success
+        ? { loading: false, bookings: result.bookings, error: null }
+        : { loading: false, bookings: [], error: result.error }
+    );
+  }, [loadExistingBookings]);
+
+  // Start afresh every time the modal opens
+  useEffect(() => {
+    if (isOpen) {
+      setText("");
+      setHasHeader(null);
+      setMapping(null);
+      setDateOrder("");
+      setRejectedRows({});
+      loadExisting();
+    }
+  }, [isOpen, loadExisting]);
+
+  // Handle escape key and focus management
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const handleEscape = (e) => {
+      if (e.key === "Escape" && !importing) {
+        onClose();
+      }
+    };
+
+    document.addEventListener("keydown", handleEscape);
+    const cleanup = modalRef.current ? trapFocus(modalRef.current) : null;
+
+    return () => {
+      document.removeEventListener("keydown", handleEscape);
+      if (cleanup) cleanup();
+    };
+  }, [isOpen, onClose, importing]);
+
+  const rows = useMemo(() => parseDelimitedText(text), [text]);
+  const headerRow = hasHeader ?? isHeaderRow(rows[0]);
+  const dataRows = useMemo(
+    () => (headerRow ? rows.slice(1) : rows),
+    [rows, headerRow]
+  );
+  const columnMapping = useMemo(
+    () =>
+      mapping ?? (headerRow ? guessColumnMapping(rows[0]) : POSITIONAL_MAPPING),
+    [mapping, headerRow, rows]
+  );
+  const detectedDateOrder = useMemo(
+    () => detectDateOrder(dataRows, columnMapping),
+    [dataRows, columnMapping]
+  );
+  const columnCount = Math.max(0, ...rows.map((row) => row.length));
+  const columns = Array.from(
+    { length: columnCount },
+    (_, index) => (headerRow && rows[0][index]) || `Column ${index + 1}`
+  );
+  const unmappedFields = IMPORT_FIELDS.filter(
+    (field) =>
+      field.required &&
+      (columnMapping[field.name] === null ||
+        columnMapping[field.name] >= columnCount)
+  );
+
+  const preview = useMemo(
+    () =>
+      buildImportPreview(dataRows, {
+        mapping: columnMapping,
+        dateOrder: dateOrder || detectedDateOrder,
+        existingBookings: existing.bookings,
+        conflictPolicy: getConflictPolicy(),
+        firstRowNumber: headerRow ? 2 : 1,
+        vessels,
+        customers,
+      }).map((row) =>
+        rejectedRows[row.rowNumber]
+          ? {
+              ...row,
+              valid: false,
+              errors: { ...row.errors, import: rejectedRows[row.rowNumber] },
+            }
+          : row
+      ),
+    [
+      dataRows,
+      columnMapping,
+      dateOrder,
+      detectedDateOrder,
+      headerRow,
+      existing.bookings,
+      rejectedRows,
+      vessels,
+      customers,
+    ]
+  );
+  const validRows = preview.filter((row) => row.valid);
+
+  if (!isOpen) return null;
+
+  const handleTextChange = (value) => {
+    setText(value);
+    setHasHeader(null);
+    setMapping(null);
+    setDateOrder("");
+    setRejectedRows({});
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    try {
+      handleTextChange(await readFileAsText(file));
+    } catch (error) {
+      showError(`Could not read ${file.name}: ${error.message}`);
+    }
+  };
+
+  const handleHeaderChange = (checked) => {
+    setHasHeader(checked);
+    setMapping(null);
+  };
+
+  const handleMappingChange = (fieldName, value) => {
+    setMapping({
+      ...columnMapping,
+      [fieldName]: value === "" ? null : Number(value),
+    });
+  };
+
+  const handleImport = async () => {
+    setImporting(true);
+    try {
+      const result = await onImport(validRows.map((row) => row.booking));
+      if (result.success) {
+        const message = `Imported ${validRows.length} booking${
+          validRows.length !== 1 ? "s" : ""
+        }`;
+        showSuccess(message);
+        liveRegionManager.announce(message, "polite");
+        onClose();
+      } else {
+        // Results are in the order the rows were sent
+        if (result.results) {
+          const rejected = {};
+          result.results.forEach((item, index) => {
+            if (item.status === BULK_ITEM_STATUS.FAILED) {
+              rejected[validRows[index].rowNumber] = item.error;
+            }
+          });
+          setRejectedRows((prev) => ({ ...prev, ...rejected }));
+        }
+        showError(`Import failed: ${result.error}`);
+      }
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const handleOverlayClick = (e) => {
+    if (e.target === e.currentTarget && !importing) {
+      onClose();
+    }
+  };
+
+  const invalidCount = preview.length - validRows.length;
+
+  return (
+    <div
+      className={getThemeClass("modalOverlay", currentTheme, styles)}
+      onClick={handleOverlayClick}
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="import-title"
+    >
+      <div
+        className={getThemeClass("modalContent", currentTheme, styles)}
+        ref={modalRef}
+      >
+        <div className={styles.modalHeader}>
+          <div>
+            <h2 id="import-title" className={styles.modalTitle}>
+              <ImportOutlined style={{ marginRight: "8px" }} />
+              Import Bookings
+            </h2>
+            <p className={styles.headerNote}>
+              Rows are checked like the booking form and against existing
+              bookings. Only valid rows are imported.
+            </p>
+          </div>
+          <button
+            className={styles.closeButton}
+            onClick={onClose}
+            disabled={importing}
+            aria-label="Close import"
+          >
+            <CloseOutlined />
+          </button>
+        </div>
+
+        <div className={styles.modalBody}>
+          {/* Source */}
+          <div className={styles.sourceSection}>
+            <label htmlFor="import-file" className={styles.fieldLabel}>
+              CSV file
+            </label>
+            <input
+              id="import-file"
+              type="file"
+              accept=".csv,.tsv,.txt,text/csv,text/tab-separated-values"
+              onChange={handleFileChange}
+              disabled={importing}
+            />
+
+            <label htmlFor="import-text" className={styles.fieldLabel}>
+              Or paste rows from a spreadsheet
+            </label>
+            <textarea
+              id="import-text"
+              className={getThemeClass("textInput", currentTheme, styles)}
+              rows={5}
+              value={text}
+              onChange={(e) => handleTextChange(e.target.value)}
+              placeholder={"Customer\tVessel\tStatus\tStart date\tEnd date"}
+              disabled={importing}
+            />
+          </div>
+
+          {existing.error && (
+            <div className={styles.errorMessage} role="alert">
+              Could not load existing bookings, so conflicts cannot be checked:{" "}
+              {existing.error}
+            </div>
+          )}
+
+          {rows.length > 0 && (
+            <>
+              {/* Column Mapping */}
+              <fieldset className={styles.mappingSection}>
+                <legend className={styles.fieldLabel}>Columns</legend>
+                <label className={styles.checkboxLabel}>
+                  <input
+                    type="checkbox"
+                    checked={headerRow}
+                    onChange={(e) => handleHeaderChange(e.target.checked)}
+                    disabled={importing}
+                  />
+                  First row is a header
+                </label>
+                <div className={styles.mappingGrid}>
+                  {IMPORT_FIELDS.map((field) => (
+                    <div key={field.name} className={styles.mappingField}>
+                      <label htmlFor={`import-column-${field.name}`}>
+                        {field.label}
+                        {field.required ? "" : " (optional)"}
+                      </label>
+                      <select
+                        id={`import-column-${field.name}`}
+                        className={getThemeClass(
+                          "selectInput",
+                          currentTheme,
+                          styles
+                        )}
+                        value={columnMapping[field.name] ?? ""}
+                        onChange={(e) =>
+                          handleMappingChange(field.name, e.target.value)
+                        }
+                        disabled={importing}
+                      >
+                        <option value="">Not mapped</option>
+                        {columns.map((column, index) => (
+                          <option key={index} value={index}>
+                            {column}
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+                  ))}
+                  <div className={styles.mappingField}>
+                    <label htmlFor="import-date-order">Date order</label>
+                    <select
+                      id="import-date-order"
+                      className={getThemeClass(
+                        "selectInput",
+                        currentTheme,
+                        styles
+                      )}
+                      value={dateOrder}
+                      onChange={(e) => setDateOrder(e.target.value)}
+                      disabled={importing}
+                    >
+                      <option value="">
+                        {detectedDateOrder
+                          ? `Detected: ${DATE_ORDERS[detectedDateOrder].label}`
+                          : "Detect from dates"}
+                      </option>
+                      {Object.entries(DATE_ORDERS).map(([key, order]) => (
+                        <option key={key} value={key}>
+                          {order.label}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+              </fieldset>
+
+              {unmappedFields.length > 0 ? (
+                <div className={styles.errorMessage} role="alert">
+                  Choose a column for{" "}
+                  {unmappedFields.map((field) => field.label).join(", ")}.
+                </div>
+              ) : (
+                <>
+                  {/* Preview */}
+                  <p className={styles.summary} aria-live="polite">
+                    {existing.loading ? (
+                      <>
+                        <LoadingOutlined style={{ marginRight: "8px" }} />
+                        Checking against existing bookings...
+                      </>
+                    ) : (
+                      <>
+                        {validRows.length} of {preview.length} row
+                        {preview.length !== 1 ? "s" : ""} ready to import.
+                        {invalidCount > 0 &&
+                          ` ${invalidCount} row${
+                            invalidCount !== 1 ? "s have" : " has"
+                          } problems and will be skipped.`}
+                      </>
+                    )}
+                  </p>
+                  <div className={styles.previewWrapper}>
+                    <table className={styles.previewTable}>
+                      <thead>
+                        <tr>
+                          <th scope="col">Row</th>
+                          <th scope="col">Customer</th>
+                          <th scope="col">Vessel</th>
+                          <th scope="col">Status</th>
+                          <th scope="col">Start</th>
+                          <th scope="col">End</th>
+                          <th scope="col">Check</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {preview.map((row) => (
+                          <tr
+                            key={row.rowNumber}
+                            className={
+                              row.valid ? undefined : styles.rowInvalid
+                            }
+                          >
+                            <td>{row.rowNumber}</td>
+                            <td>{row.booking.customer}</td>
+                            <td>{row.booking.vessel}</td>
+                            <td>{row.booking.status}</td>
+                            <td>{row.booking.startDate}</td>
+                            <td>{row.booking.endDate}</td>
+                            <td>
+                              {row.valid ? (
+                                <span className={styles.rowOk}>
+                                  <CheckCircleOutlined /> Ready
+                                  {row.warnings.length > 0 &&
+                                    ` (overlaps pending ${row.warnings.join(
+                                      ", "
+                                    )})`}
+                                </span>
+                              ) : (
+                                <ul className={styles.rowErrors}>
+                                  {Object.entries(row.errors).map(
+                                    ([field, message]) => (
+                                      <li key={field}>
+                                        <ExclamationCircleOutlined /> {message}
+                                      </li>
+                                    )
+                                  )}
+                                </ul>
+                              )}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </>
+              )}
+            </>
+          )}
+        </div>
+
+        <div className={styles.modalFooter}>
+          <button
+            className={getThemeClass("btnSecondary", currentTheme, styles)}
+            onClick={onClose}
+            disabled={importing}
+          >
+            Cancel
+          </button>
+          <button
+            className={getThemeClass("btnPrimary", currentTheme, styles)}
+            onClick={handleImport}
+            disabled={
+              importing ||
+              existing.loading ||
+              unmappedFields.length > 0 ||
+              validRows.length === 0
+            }
+          >
+            {importing ? (
+              <LoadingOutlined style={{ marginRight: "8px" }} />
+            ) : (
+              <ImportOutlined style={{ marginRight: "8px" }} />
+            )}
+            {importing
+              ? "Importing..."
+              : `Import ${validRows.length} booking${
+                  validRows.length !== 1 ? "s" : ""
+                }`}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+ImportBookingsPanel.propTypes = {
+  /** Whether the modal is currently open */
+  isOpen: PropTypes.bool.isRequired,
+  /** Callback function called when modal should close */
+  onClose: PropTypes.func.isRequired,
+  /** Function resolving to `{ success, bookings, error }` with every stored booking */
+  loadExistingBookings: PropTypes.func.isRequired,
+  /** Function creating bookings, resolving to `{ success, results, error }` */
+  onImport: PropTypes.func.isRequired,
+  /** Registered vessels that rows must name */
+  vessels: PropTypes.arrayOf(
+    PropTypes.shape({
+      /** Vessel ID */
+      id: PropTypes.string.isRequired,
+      /** Registered vessel name */
+      name: PropTypes.string.isRequired,
+    })
+  ),
+  /** Customers that rows must name */
+  customers: PropTypes.arrayOf(
+    PropTypes.shape({
+      /** Customer ID */
+      id: PropTypes.string.isRequired,
+      /** Customer trading name */
+      name: PropTypes.string.isRequired,
+    })
+  ),
+};
+
+export default ImportBookingsPanel;
@@ -0,0 +1,409 @@
+import React, { useState } from "react";
+import PropTypes from "prop-types";
+import { useTheme } from "../../contexts/ThemeContext";
+import { useToast } from "../../contexts/ToastContext";
+import { formatDate } from "../../utils/bookingUtils";
+import { formatAddress } from "../../utils/customerUtils";
+import { downloadFile } from "../../utils/exportUtils";
+import {
+  INVOICE_STATUS,
+  INVOICE_STATUS_LABELS,
+  buildInvoiceFile,
+  buildInvoiceHTML,
+  calculateInvoiceTotals,
+  canTransitionInvoice,
+  getPaymentTermsLabel,
+  isInvoiceOverdue,
+} from "../../utils/invoiceUtils";
+import { formatMoney } from "../../utils/currencyUtils";
+import { getThemeClass } from "../../utils/themeUtils";
+import {
+  ArrowLeftOutlined,
+  CheckCircleOutlined,
+  DownloadOutlined,
+  PrinterOutlined,
+  SendOutlined,
+  StopOutlined,
+} from "@ant-design/icons";
+import styles from "./InvoiceDetail.module.css";
+
+/**
+ * Invoice page: the customer billed, dates, line items and totals of an
+ * invoice, with the actions its status allows.
+ *
+ * Features:
+ * - Issue a draft (numbering it), mark an issued invoice paid, or void a
+ *   draft or issued invoice with a reason
+ * - Print the invoice layout in a new window or download it as HTML
+ * - Overdue warning for issued invoices past their due date
+ * - Theme support for dark/light mode
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Object} props.invoice - Invoice to show
+ * @param {function} props.onBack - Called to go back to the invoice list
+ * @param {function} props.onIssue - Called with the invoice ID to issue it;
+ *   resolves to `{ success, error }`
+ * @param {function} props.onMarkPaid - Called with the invoice ID to mark it paid;
+ *   resolves to `{ success, error }`
+ * @param {function} props.onVoid - Called with the invoice ID and `{ reason }`
+ *   to void it; resolves to `{ success, error, fieldErrors }`
+ * @returns {JSX.Element} Invoice page
+ *
+ * @example
+ * <InvoiceDetail
+ *   invoice={selectedInvoice}
+ *   onBack={() => setSelectedId(null)}
+ *   onIssue={issueInvoice}
+ *   onMarkPaid={markInvoicePaid}
+ *   onVoid={voidInvoice}
+ * />
+ */
+const InvoiceDetail = ({ invoice, onBack, onIssue, onMarkPaid, onVoid }) => {
+  const { currentTheme } = useTheme();
+  const { showSuccess, showError } = useToast();
+  const [isProcessing, setIsProcessing] = useState(false);
+  const [isVoiding, setIsVoiding] = useState(false);
+  const [voidReason, setVoidReason] = useState("");
+  const [voidError, setVoidError] = useState("");
+
+  const { subtotal, vatAmount, total } = calculateInvoiceTotals(invoice);
+  const title = invoice.number || `Draft ${invoice.id}`;
+  const address = formatAddress(invoice.customer.billingAddress || {});
+  const overdue = isInvoiceOverdue(invoice);
+
+  const runAction = async (action, successMessage) => {
+    setIsProcessing(true);
+    try {
+      const result = await action();
+      if (result.success) {
+        showSuccess(successMessage(result.invoice));
+      } else {
+        showError(result.error);
+      }
+      return result;
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  const handleIssue = () =>
+    runAction(
+      () => onIssue(invoice.id),
+      (issued) => `Invoice ${issued.number} issued`
+    );
+
+  const handleMarkPaid = () =>
+    runAction(
+      () => onMarkPaid(invoice.id),
+      () => `${title} marked as paid`
+    );
+
+  const handleVoid = async () => {
+    if (!isVoiding) {
+      setIsVoiding(true);
+      return;
+    }
+    const result = await runAction(
+      () => onVoid(invoice.id, { reason: voidReason }),
+      () => `${title} voided`
+    );
+    if (result.success) {
+      setIsVoiding(false);
+      setVoidReason("");
+      setVoidError("");
+    } else if (result.fieldErrors?.voidReason) {
+      setVoidError(result.fieldErrors.voidReason);
+    }
+  };
+
+  const handlePrint = () => {
+    const printWindow = window.open("", "_blank");
+    if (!printWindow) {
+      showError("Allow pop-ups for this site to print the invoice");
+      return;
+    }
+    printWindow.document.write(buildInvoiceHTML(invoice));
+    printWindow.document.close();
+    printWindow.focus();
+    printWindow.print();
+  };
+
+  const details = [
+    ["Status", INVOICE_STATUS_LABELS[invoice.status]],
+    ["Issue date", invoice.issueDate ? formatDate(invoice.issueDate) : "—"],
+    ["Due date", invoice.dueDate ? formatDate(invoice.dueDate) : "—"],
+    ["Payment terms", getPaymentTermsLabel(invoice.paymentTermsDays)],
+    ["Bookings", invoice.bookingIds.join(", ")],
+  ];
+  if (invoice.paidDate) {
+    details.push(["Paid on", formatDate(invoice.paidDate)]);
+  }
+  if (invoice.voidReason) {
+    details.push(["Void reason", invoice.voidReason]);
+  }
+
+  return (
+    <section
+      className={styles.invoiceDetail}
+      aria-labelledby="invoice-detail-title"
+    >
+      <div className={styles.detailHeader}>
+        <button
+          type="button"
+          className={getThemeClass("btnSecondary", currentTheme, styles)}
+          onClick={onBack}
+        >
+          <ArrowLeftOutlined />
+          Back to invoices
+        </button>
+        <div className={styles.actions}>
+          {canTransitionInvoice(invoice.status, INVOICE_STATUS.ISSUED) && (
+            <button
+              type="button"
+              className={getThemeClass("btnPrimary", currentTheme, styles)}
+              onClick={handleIssue}
+              disabled={isProcessing}
+            >
+              <SendOutlined />
+              Issue
+            </button>
+          )}
+          {canTransitionInvoice(invoice.status, INVOICE_STATUS.PAID) && (
+            <button
+              type="button"
+              className={getThemeClass("btnPrimary", currentTheme, styles)}
+              onClick={handleMarkPaid}
+              disabled={isProcessing}
+            >
+              <CheckCircleOutlined />
+              Mark Paid
+            </button>
+          )}
+          <button
+            type="button"
+            className={getThemeClass("btnSecondary", currentTheme, styles)}
+            onClick={handlePrint}
+          >
+            <PrinterOutlined />
+            Print
+          </button>
+          <button
+            type="button"
+            className={getThemeClass("btnSecondary", currentTheme, styles)}
+            onClick={() => downloadFile(buildInvoiceFile(invoice))}
+          >
+            <DownloadOutlined />
+            Download
+          </button>
+          {canTransitionInvoice(invoice.status, INVOICE_STATUS.VOID) &&
+            !isVoiding && (
+              <button
+                type="button"
+                className={getThemeClass("btnDanger", currentTheme, styles)}
+                onClick={handleVoid}
+                disabled={isProcessing}
+              >
+                <StopOutlined />
+                Void
+              </button>
+            )}
+        </div>
+      </div>
+
+      {isVoiding && (
+        <div className={getThemeClass("voidPanel", currentTheme, styles)}>
+          <label htmlFor="invoice-void-reason" className={styles.formLabel}>
+            Reason for voiding *
+          </label>
+          <textarea
+            id="invoice-void-reason"
+            value={voidReason}
+            onChange={(e) => {
+              setVoidReason(e.target.value);
+              setVoidError("");
+            }}
+            className={styles.formInput}
+            rows={2}
+            disabled={isProcessing}
+          />
+          {voidError && (
+            <span className={styles.errorMessage} role="alert">
+              {voidError}
+            </span>
+          )}
+          <div className={styles.actions}>
+            <button
+              type="button"
+              className={getThemeClass("btnSecondary", currentTheme, styles)}
+              onClick={() => {
+                setIsVoiding(false);
+                setVoidError("");
+              }}
+              disabled={isProcessing}
+            >
+              Keep Invoice
+            </button>
+            <button
+              type="button"
+              className={getThemeClass("btnDanger", currentTheme, styles)}
+              onClick={handleVoid}
+              disabled={isProcessing}
+            >
+              <StopOutlined />
+              Confirm Void
+            </button>
+          </div>
+        </div>
+      )}
+
+      <h2
+        id="invoice-detail-title"
+        className={getThemeClass("invoiceTitle", currentTheme, styles)}
+      >
+        {title}
+      </h2>
+      <p className={styles.secondaryText}>
+        {invoice.customer.legalName || invoice.customer.name} · {invoice.id}
+      </p>
+      {overdue && (
+        <div className={styles.overdueWarning} role="status">
+          Overdue since {formatDate(invoice.dueDate)}
+        </div>
+      )}
+
+      <div className={styles.infoGrid}>
+        <div className={getThemeClass("infoCard", currentTheme, styles)}>
+          <h3 className={styles.cardTitle}>Bill to</h3>
+          <p className={styles.billTo}>
+            {invoice.customer.legalName || invoice.customer.name}
+            {address && (
+              <>
+                <br />
+                {address}
+              </>
+            )}
+          </p>
+        </div>
+        <div className={getThemeClass("infoCard", currentTheme, styles)}>
+          <h3 className={styles.cardTitle}>Details</h3>
+          <dl className={styles.infoList}>
+            {details.map(([label, value]) => (
+              <React.Fragment key={label}>
+                <dt>{label}</dt>
+                <dd>{value}</dd>
+              </React.Fragment>
+            ))}
+          </dl>
+        </div>
+      </div>
+
+      <div className={styles.tableContainer}>
+        <table className={getThemeClass("linesTable", currentTheme, styles)}>
+          <thead>
+            <tr>
+              <th scope="col">Description</th>
+              <th scope="col" className={styles.numeric}>
+                Qty
+              </th>
+              <th scope="col" className={styles.numeric}>
+                Unit price
+              </th>
+              <th scope="col" className={styles.numeric}>
+                Amount
+              </th>
+            </tr>
+          </thead>
+          <tbody>
+            {invoice.lines.map((line, index) => (
+              <tr key={`${line.bookingId}-${index}`}>
+                <td>{line.description}</td>
+                <td className={styles.numeric}>{line.quantity}</td>
+                <td className={styles.numeric}>
+                  {formatMoney(line.unitPrice, invoice.currency)}
+                </td>
+                <td className={styles.numeric}>
+                  {formatMoney(line.amount, invoice.currency)}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+          <tfoot>
+            <tr>
+              <th scope="row" colSpan={3} className={styles.numeric}>
+                Subtotal
+              </th>
+              <td className={styles.numeric}>
+                {formatMoney(subtotal, invoice.currency)}
+              </td>
+            </tr>
+            <tr>
+              <th scope="row" colSpan={3} className={styles.numeric}>
+                VAT {invoice.vatRate}%
+              </th>
+              <td className={styles.numeric}>
+                {formatMoney(vatAmount, invoice.currency)}
+              </td>
+            </tr>
+            <tr className={styles.grandTotal}>
+              <th scope="row" colSpan={3} className={styles.numeric}>
+                Total due
+              </th>
+              <td className={styles.numeric}>
+                {formatMoney(total, invoice.currency)}
+              </td>
+            </tr>
+          </tfoot>
+        </table>
+      </div>
+
+      {invoice.notes && <p className={styles.notes}>{invoice.notes}</p>}
+    </section>
+  );
+};
+
+InvoiceDetail.propTypes = {
+  /** Invoice to show */
+  invoice: PropTypes.shape({
+    /** Invoice ID */
+    id: PropTypes.string.isRequired,
+    /** Invoice number, set when issued */
+    number: PropTypes.string,
+    /** Invoice status: draft, issued, paid or void */
+    status: PropTypes.oneOf(Object.values(INVOICE_STATUS)).isRequired,
+    /** Customer billed, as it was when invoiced */
+    customer: PropTypes.shape({
+      name: PropTypes.string.isRequired,
+      legalName: PropTypes.string,
+      billingAddress: PropTypes.object,
+    }).isRequired,
+    /** Bookings invoiced */
+    bookingIds: PropTypes.arrayOf(PropTypes.string).isRequired,
+    /** Line items with description, quantity, unit price and amount */
+    lines: PropTypes.arrayOf(PropTypes.object).isRequired,
+    /** Currency the lines are in; EUR for invoices drafted before currencies */
+    currency: PropTypes.string,
+    /** VAT rate in percent */
+    vatRate: PropTypes.number.isRequired,
+    /** Days the customer has to pay after the issue date */
+    paymentTermsDays: PropTypes.number.isRequired,
+    /** Issue, due and payment dates (YYYY-MM-DD) */
+    issueDate: PropTypes.string,
+    dueDate: PropTypes.string,
+    paidDate: PropTypes.string,
+    /** Why the invoice was voided */
+    voidReason: PropTypes.string,
+    /** Notes printed on the invoice */
+    notes: PropTypes.string,
+  }).isRequired,
+  /** Called to go back to the invoice list */
+  onBack: PropTypes.func.isRequired,
+  /** Called with the invoice ID to issue it */
+  onIssue: PropTypes.func.isRequired,
+  /** Called with the invoice ID to mark it paid */
+  onMarkPaid: PropTypes.func.isRequired,
+  /** Called with the invoice ID and `{ reason }` to void it */
+  onVoid: PropTypes.func.isRequired,
+};
+
+export default InvoiceDetail;
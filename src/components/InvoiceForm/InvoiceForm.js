@@ -0,0 +1,479 @@
+import React, { useState, useEffect, useMemo, useRef } from "react";
+import PropTypes from "prop-types";
+import { useTheme } from "../../contexts/ThemeContext";
+import { bookingService } from "../../services/bookingService";
+import { vesselService } from "../../services/vesselService";
+import { isAbortError } from "../../services/bookingErrors";
+import { formatDateRange } from "../../utils/bookingUtils";
+import {
+  DEFAULT_PAYMENT_TERMS_DAYS,
+  DEFAULT_VAT_RATE,
+  PAYMENT_TERMS,
+  buildInvoiceLines,
+  calculateInvoiceTotals,
+  checkBookingsInvoiceable,
+  getInvoiceableBookings,
+  validateInvoice,
+} from "../../utils/invoiceUtils";
+import { formatMoney } from "../../utils/currencyUtils";
+import { getBookingCurrency } from "../../utils/rateUtils";
+import { findBookingRateCard } from "../../utils/vesselUtils";
+import { trapFocus } from "../../utils/accessibility";
+import { getThemeClass } from "../../utils/themeUtils";
+import {
+  CloseOutlined,
+  FileAddOutlined,
+  LoadingOutlined,
+} from "@ant-design/icons";
+import registryStyles from "../../styles/RegistryForm.module.css";
+import formStyles from "./InvoiceForm.module.css";
+
+// Shared registry form styles with this form's own rules on top
+const styles = { ...registryStyles, ...formStyles };
+
+const EMPTY_FORM = {
+  customerKey: "",
+  bookingIds: [],
+  vatRate: String(DEFAULT_VAT_RATE),
+  paymentTermsDays: String(DEFAULT_PAYMENT_TERMS_DAYS),
+  notes: "",
+};
+
+// Customer a booking is billed to, by directory ID or by name
+const getCustomerKey = (booking) =>
+  booking.customerId || `name:${booking.customer}`;
+
+/**
+ * Modal form for drafting an invoice: choose a customer, tick the confirmed
+ * bookings to bill and set the VAT rate, payment terms and notes. The
+ * invoice gets its number when it is issued.
+ *
+ * Features:
+ * - Only confirmed bookings with a value that are not on a valid invoice
+ *   are offered, grouped by customer
+ * - Running subtotal, VAT and total of the ticked bookings
+ * - Validation of the bookings, VAT rate and payment terms before submitting
+ * - Field errors reported by the service shown next to their fields
+ * - Focus trapping and Escape to close
+ * - Theme support for dark/light mode
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {boolean} props.isOpen - Whether the form modal is currently open
+ * @param {function} props.onClose - Callback function called when the form should close
+ * @param {function} props.onSubmit - Called with `{ bookingIds, vatRate,
+ *   paymentTermsDays, notes }`; resolves to `{ success, error, fieldErrors }`
+ * @param {Array<Object>} [props.invoices=[]] - Existing invoices, so invoiced bookings are left out
+ * @returns {JSX.Element|null} Form modal component or null if not open
+ *
+ * @example
+ * <InvoiceForm
+ *   isOpen={showForm}
+ *   onClose={() => setShowForm(false)}
+ *   onSubmit={createInvoice}
+ *   invoices={invoices}
+ * />
+ */
+const InvoiceForm = ({ isOpen, onClose, onSubmit, invoices = [] }) => {
+  const { currentTheme } = useTheme();
+  const modalRef = useRef(null);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [errors, setErrors] = useState({});
+  const [submitError, setSubmitError] = useState("");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [bookings, setBookings] = useState([]);
+  const [vessels, setVessels] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [loadError, setLoadError] = useState(null);
+
+  // Reset the form and load bookings and rate cards whenever it opens
+  useEffect(() => {
+    if (!isOpen) return;
+    setFormData(EMPTY_FORM);
+    setErrors({});
+    setSubmitError("");
+    setLoading(true);
+    setLoadError(null);
+
+    const controller = new AbortController();
+    const options = { signal: controller.signal };
+    Promise.all([
+      bookingService.getBookings(options),
+      vesselService.getVessels(options),
+    ])
+      .then(([bookingList, vesselList]) => {
+        setBookings(bookingList);
+        setVessels(vesselList);
+        setLoading(false);
+      })
+      .catch((err) => {
+        if (controller.signal.aborted || isAbortError(err)) return;
+        setLoadError(err.message);
+        setLoading(false);
+      });
+    return () => controller.abort();
+  }, [isOpen]);
+
+  // Handle escape key and focus management
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const handleEscape = (e) => {
+      if (e.key === "Escape") {
+        onClose();
+      }
+    };
+
+    document.addEventListener("keydown", handleEscape);
+    const cleanup = modalRef.current ? trapFocus(modalRef.current) : null;
+
+    return () => {
+      document.removeEventListener("keydown", handleEscape);
+      if (cleanup) cleanup();
+    };
+  }, [isOpen, onClose]);
+
+  const invoiceable = useMemo(
+    () =>
+      getInvoiceableBookings(bookings, invoices, vessels).sort(
+        (a, b) => new Date(a.startDate) - new Date(b.startDate)
+      ),
+    [bookings, invoices, vessels]
+  );
+
+  // Customers with bookings to invoice, by name
+  const customerOptions = useMemo(() => {
+    const byKey = new Map();
+    invoiceable.forEach((booking) => {
+      byKey.set(getCustomerKey(booking), booking.customer);
+    });
+    return [...byKey.entries()]
+      .map(([key, name]) => ({ key, name }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }, [invoiceable]);
+
+  const customerBookings = invoiceable.filter(
+    (booking) => getCustomerKey(booking) === formData.customerKey
+  );
+  const selected = customerBookings.filter((booking) =>
+    formData.bookingIds.includes(booking.id)
+  );
+  const lines = buildInvoiceLines(selected, vessels);
+  const totals = calculateInvoiceTotals({ lines, vatRate: formData.vatRate });
+  // Bookings on one invoice share a currency (see checkBookingsInvoiceable)
+  const currency =
+    selected.length > 0
+      ? getBookingCurrency(
+          selected[0],
+          findBookingRateCard(selected[0], vessels)
+        )
+      : undefined;
+
+  if (!isOpen) return null;
+
+  const clearError = (field) => {
+    if (errors[field]) {
+      setErrors((prev) => ({ ...prev, [field]: "" }));
+    }
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+    clearError(name);
+  };
+
+  // A new customer starts with all of its bookings ticked
+  const handleCustomerChange = (e) => {
+    const customerKey = e.target.value;
+    setFormData((prev) => ({
+      ...prev,
+      customerKey,
+      bookingIds: invoiceable
+        .filter((booking) => getCustomerKey(booking) === customerKey)
+        .map((booking) => booking.id),
+    }));
+    clearError("bookingIds");
+  };
+
+  const toggleBooking = (bookingId) => {
+    setFormData((prev) => ({
+      ...prev,
+      bookingIds: prev.bookingIds.includes(bookingId)
+        ? prev.bookingIds.filter((id) => id !== bookingId)
+        : [...prev.bookingIds, bookingId],
+    }));
+    clearError("bookingIds");
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const { errors: invoiceErrors } = validateInvoice({
+      customer: { name: selected[0]?.customer || "" },
+      lines,
+      vatRate: formData.vatRate,
+      paymentTermsDays: formData.paymentTermsDays,
+    });
+    const validationErrors = {
+      bookingIds: formData.customerKey
+        ? checkBookingsInvoiceable(selected, invoices, vessels)
+        : "Choose a customer to invoice",
+      vatRate: invoiceErrors.vatRate,
+      paymentTermsDays: invoiceErrors.paymentTermsDays,
+    };
+    if (Object.values(validationErrors).some(Boolean)) {
+      setErrors(validationErrors);
+      return;
+    }
+
+    setIsSubmitting(true);
+    setSubmitError("");
+    try {
+      const result = await onSubmit({
+        bookingIds: selected.map((booking) => booking.id),
+        vatRate: Number(formData.vatRate),
+        paymentTermsDays: Number(formData.paymentTermsDays),
+        notes: formData.notes,
+      });
+      if (result.success) {
+        onClose();
+      } else if (result.fieldErrors) {
+        setErrors(result.fieldErrors);
+      } else {
+        setSubmitError(result.error);
+      }
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleOverlayClick = (e) => {
+    if (e.target === e.currentTarget) {
+      onClose();
+    }
+  };
+
+  const inputClassName = (field) =>
+    `${styles.formInput} ${errors[field] ? styles.inputError : ""}`;
+
+  const renderError = (field) =>
+    errors[field] && (
+      <span className={styles.errorMessage} role="alert">
+        {errors[field]}
+      </span>
+    );
+
+  const renderBookings = () => {
+    if (loading) {
+      return (
+        <p className={styles.hint}>
+          <LoadingOutlined style={{ marginRight: "8px" }} />
+          Loading bookings...
+        </p>
+      );
+    }
+    if (loadError) {
+      return (
+        <div className={styles.submitError} role="alert">
+          Failed to load bookings: {loadError}
+        </div>
+      );
+    }
+    if (!formData.customerKey) {
+      return (
+        <p className={styles.hint}>
+          {customerOptions.length === 0
+            ? "All confirmed bookings with a value are already invoiced."
+            : "Choose a customer to see its bookings."}
+        </p>
+      );
+    }
+    return (
+      <ul className={styles.bookingList}>
+        {customerBookings.map((booking) => (
+          <li key={booking.id}>
+            <label className={styles.bookingOption}>
+              <input
+                type="checkbox"
+                checked={formData.bookingIds.includes(booking.id)}
+                onChange={() => toggleBooking(booking.id)}
+                disabled={isSubmitting}
+              />
+              <span>
+                {booking.id} · {booking.vessel} ·{" "}
+                {formatDateRange(booking.startDate, booking.endDate)}
+              </span>
+            </label>
+          </li>
+        ))}
+      </ul>
+    );
+  };
+
+  return (
+    <div
+      className={getThemeClass("modalOverlay", currentTheme, styles)}
+      onClick={handleOverlayClick}
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="invoice-form-title"
+    >
+      <div
+        className={getThemeClass("modalContent", currentTheme, styles)}
+        ref={modalRef}
+      >
+        <div className={styles.modalHeader}>
+          <h2 id="invoice-form-title" className={styles.modalTitle}>
+            <FileAddOutlined style={{ marginRight: "8px" }} />
+            New Invoice
+          </h2>
+          <button
+            type="button"
+            className={styles.closeButton}
+            onClick={onClose}
+            aria-label="Close invoice form"
+          >
+            <CloseOutlined />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className={styles.modalBody} noValidate>
+          <div className={styles.formGroup}>
+            <label htmlFor="invoice-customer" className={styles.formLabel}>
+              Customer *
+            </label>
+            <select
+              id="invoice-customer"
+              value={formData.customerKey}
+              onChange={handleCustomerChange}
+              className={styles.formInput}
+              disabled={isSubmitting || loading}
+            >
+              <option value="">Choose a customer</option>
+              {customerOptions.map((option) => (
+                <option key={option.key} value={option.key}>
+                  {option.name}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <fieldset className={styles.fieldset}>
+            <legend className={styles.legend}>Bookings</legend>
+            {renderBookings()}
+            {renderError("bookingIds")}
+          </fieldset>
+
+          <div className={styles.formGrid}>
+            <div className={styles.formGroup}>
+              <label htmlFor="invoice-vatRate" className={styles.formLabel}>
+                VAT rate (%) *
+              </label>
+              <input
+                id="invoice-vatRate"
+                name="vatRate"
+                type="number"
+                min="0"
+                max="100"
+                step="any"
+                value={formData.vatRate}
+                onChange={handleChange}
+                className={inputClassName("vatRate")}
+                disabled={isSubmitting}
+              />
+              {renderError("vatRate")}
+            </div>
+            <div className={styles.formGroup}>
+              <label
+                htmlFor="invoice-paymentTermsDays"
+                className={styles.formLabel}
+              >
+                Payment terms *
+              </label>
+              <select
+                id="invoice-paymentTermsDays"
+                name="paymentTermsDays"
+                value={formData.paymentTermsDays}
+                onChange={handleChange}
+                className={inputClassName("paymentTermsDays")}
+                disabled={isSubmitting}
+              >
+                {PAYMENT_TERMS.map((terms) => (
+                  <option key={terms.days} value={String(terms.days)}>
+                    {terms.label}
+                  </option>
+                ))}
+              </select>
+              {renderError("paymentTermsDays")}
+            </div>
+            <div className={`${styles.formGroup} ${styles.fullWidth}`}>
+              <label htmlFor="invoice-notes" className={styles.formLabel}>
+                Notes
+              </label>
+              <textarea
+                id="invoice-notes"
+                name="notes"
+                value={formData.notes}
+                onChange={handleChange}
+                className={styles.formInput}
+                rows={3}
+                placeholder="Printed at the bottom of the invoice"
+                disabled={isSubmitting}
+              />
+            </div>
+          </div>
+
+          <dl className={styles.totals} aria-label="Invoice totals">
+            <dt>Subtotal</dt>
+            <dd>{formatMoney(totals.subtotal, currency)}</dd>
+            <dt>VAT</dt>
+            <dd>{formatMoney(totals.vatAmount, currency)}</dd>
+            <dt>Total</dt>
+            <dd className={styles.grandTotal}>
+              {formatMoney(totals.total, currency)}
+            </dd>
+          </dl>
+
+          {submitError && (
+            <div className={styles.submitError} role="alert">
+              {submitError}
+            </div>
+          )}
+
+          <div className={styles.formActions}>
+            <button
+              type="button"
+              onClick={onClose}
+              className={getThemeClass("btnSecondary", currentTheme, styles)}
+              disabled={isSubmitting}
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className={getThemeClass("btnPrimary", currentTheme, styles)}
+              disabled={isSubmitting || loading}
+            >
+              <FileAddOutlined />
+              Create Draft
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+InvoiceForm.propTypes = {
+  /** Whether the form modal is currently open */
+  isOpen: PropTypes.bool.isRequired,
+  /** Callback function called when the form should close */
+  onClose: PropTypes.func.isRequired,
+  /** Called with the invoice data; resolves to `{ success, error, fieldErrors }` */
+  onSubmit: PropTypes.func.isRequired,
+  /** Existing invoices, so bookings already invoiced are left out */
+  invoices: PropTypes.arrayOf(PropTypes.object),
+};
+
+export default InvoiceForm;
@@ -0,0 +1,271 @@
+import React, { useState } from "react";
+import { useTheme } from "../../contexts/ThemeContext";
+import { useToast } from "../../contexts/ToastContext";
+import { useInvoices } from "../../hooks/useInvoices";
+import { formatDate } from "../../utils/bookingUtils";
+import {
+  INVOICE_STATUS,
+  INVOICE_STATUS_LABELS,
+  calculateInvoiceTotals,
+  isInvoiceOverdue,
+} from "../../utils/invoiceUtils";
+import { formatMoney } from "../../utils/currencyUtils";
+import { liveRegionManager } from "../../utils/accessibility";
+import { getThemeClass } from "../../utils/themeUtils";
+import InvoiceDetail from "../InvoiceDetail/InvoiceDetail";
+import InvoiceForm from "../InvoiceForm/InvoiceForm";
+import {
+  EyeOutlined,
+  FileAddOutlined,
+  LoadingOutlined,
+} from "@ant-design/icons";
+import registryStyles from "../../styles/RegistryPage.module.css";
+import pageStyles from "./InvoicesPage.module.css";
+
+// Shared registry page styles with this page's own rules on top
+const styles = { ...registryStyles, ...pageStyles };
+
+// Badge class for each invoice status
+const STATUS_CLASSES = {
+  [INVOICE_STATUS.DRAFT]: styles.statusDraft,
+  [INVOICE_STATUS.ISSUED]: styles.statusIssued,
+  [INVOICE_STATUS.PAID]: styles.statusPaid,
+  [INVOICE_STATUS.VOID]: styles.statusVoid,
+};
+
+/**
+ * Invoices page. Lists the invoices drafted from confirmed bookings with
+ * their totals and status, and lets the user draft new ones. Opening an
+ * invoice shows its lines and the actions its status allows: issue, mark
+ * paid, void, print and download.
+ *
+ * Features:
+ * - Table of invoices with customer, bookings, dates, total and status
+ * - Filter by status
+ * - Overdue marker on issued invoices past their due date
+ * - New invoices drafted through the invoice form modal
+ * - Loading and error states, theme support and screen reader announcements
+ *
+ * @component
+ * @returns {JSX.Element} The invoices page
+ *
+ * @example
+ * <InvoicesPage />
+ */
+const InvoicesPage = () => {
+  const { currentTheme } = useTheme();
+  const { showSuccess } = useToast();
+  const {
+    invoices,
+    loading,
+    error,
+    createInvoice,
+    issueInvoice,
+    markInvoicePaid,
+    voidInvoice,
+  } = useInvoices();
+  const [statusFilter, setStatusFilter] = useState("");
+  const [showForm, setShowForm] = useState(false);
+  // Invoice whose page is open; looked up by ID so status changes show straight away
+  const [selectedId, setSelectedId] = useState(null);
+
+  const visibleInvoices = statusFilter
+    ? invoices.filter((invoice) => invoice.status === statusFilter)
+    : invoices;
+  const selectedInvoice = invoices.find((invoice) => invoice.id === selectedId);
+
+  const handleCreate = async (invoiceData) => {
+    const result = await createInvoice(invoiceData);
+    if (result.success) {
+      const message = `Draft invoice ${result.invoice.id} created for ${result.invoice.customer.name}`;
+      showSuccess(message);
+      liveRegionManager.announce(message, "polite");
+      setSelectedId(result.invoice.id);
+    }
+    return result;
+  };
+
+  const renderList = () => {
+    if (loading) {
+      return (
+        <p className={styles.stateMessage}>
+          <LoadingOutlined style={{ marginRight: "8px" }} />
+          Loading invoices...
+        </p>
+      );
+    }
+    if (error) {
+      return (
+        <div className={styles.errorMessage} role="alert">
+          Failed to load invoices: {error}
+        </div>
+      );
+    }
+    if (visibleInvoices.length === 0) {
+      return (
+        <p className={styles.stateMessage}>
+          {statusFilter
+            ? "No invoices with this status."
+            : "No invoices yet. Invoice confirmed bookings to get started."}
+        </p>
+      );
+    }
+
+    return (
+      <div className={styles.tableContainer}>
+        <table className={getThemeClass("table", currentTheme, styles)}>
+          <thead>
+            <tr>
+              <th scope="col">Invoice</th>
+              <th scope="col">Customer</th>
+              <th scope="col">Bookings</th>
+              <th scope="col">Issued</th>
+              <th scope="col">Due</th>
+              <th scope="col" className={styles.numeric}>
+                Total
+              </th>
+              <th scope="col">Status</th>
+              <th scope="col">
+                <span className={styles.srOnly}>Actions</span>
+              </th>
+            </tr>
+          </thead>
+          <tbody>
+            {visibleInvoices.map((invoice) => {
+              const label = invoice.number || `Draft ${invoice.id}`;
+              return (
+                <tr key={invoice.id}>
+                  <td>
+                    <div className={styles.recordName}>
+                      {invoice.number || "Draft"}
+                    </div>
+                    <div className={styles.secondaryText}>{invoice.id}</div>
+                  </td>
+                  <td>{invoice.customer.name}</td>
+                  <td>{invoice.bookingIds.join(", ")}</td>
+                  <td>
+                    {invoice.issueDate ? formatDate(invoice.issueDate) : "—"}
+                  </td>
+                  <td>
+                    {invoice.dueDate ? formatDate(invoice.dueDate) : "—"}
+                    {isInvoiceOverdue(invoice) && (
+                      <div className={styles.overdue}>Overdue</div>
+                    )}
+                  </td>
+                  <td className={styles.numeric}>
+                    {formatMoney(
+                      calculateInvoiceTotals(invoice).total,
+                      invoice.currency
+                    )}
+                  </td>
+                  <td>
+                    <span
+                      className={`${styles.statusBadge} ${
+                        STATUS_CLASSES[invoice.status]
+                      }`}
+                    >
+                      {INVOICE_STATUS_LABELS[invoice.status]}
+                    </span>
+                  </td>
+                  <td>
+                    <div className={styles.rowActions}>
+                      <button
+                        type="button"
+                        className={getThemeClass(
+                          "btnSecondary",
+                          currentTheme,
+                          styles
+                        )}
+                        onClick={() => setSelectedId(invoice.id)}
+                        aria-label={`View invoice ${label}`}
+                      >
+                        <EyeOutlined />
+                        View
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    );
+  };
+
+  return (
+    <div className={styles.page}>
+      {selectedInvoice ? (
+        <InvoiceDetail
+          invoice={selectedInvoice}
+          onBack={() => setSelectedId(null)}
+          onIssue={issueInvoice}
+          onMarkPaid={markInvoicePaid}
+          onVoid={voidInvoice}
+        />
+      ) : (
+        <>
+          <div className={styles.pageHeader}>
+            <div>
+              <h2
+                className={getThemeClass("headerTitle", currentTheme, styles)}
+              >
+                Invoices
+              </h2>
+              <p
+                className={getThemeClass(
+                  "headerSubtitle",
+                  currentTheme,
+                  styles
+                )}
+              >
+                Invoices for confirmed charters, with VAT and payment terms
+              </p>
+            </div>
+            <button
+              type="button"
+              className={getThemeClass("btnPrimary", currentTheme, styles)}
+              onClick={() => setShowForm(true)}
+            >
+              <FileAddOutlined />
+              New Invoice
+            </button>
+          </div>
+
+          <div className={styles.filters}>
+            <label
+              htmlFor="invoice-status-filter"
+              className={styles.filterLabel}
+            >
+              Status
+            </label>
+            <select
+              id="invoice-status-filter"
+              value={statusFilter}
+              onChange={(e) => setStatusFilter(e.target.value)}
+              className={getThemeClass("filterSelect", currentTheme, styles)}
+            >
+              <option value="">All invoices</option>
+              {Object.values(INVOICE_STATUS).map((status) => (
+                <option key={status} value={status}>
+                  {INVOICE_STATUS_LABELS[status]}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {renderList()}
+        </>
+      )}
+
+      <InvoiceForm
+        isOpen={showForm}
+        onClose={() => setShowForm(false)}
+        onSubmit={handleCreate}
+        invoices={invoices}
+      />
+    </div>
+  );
+};
+
+export default InvoicesPage;
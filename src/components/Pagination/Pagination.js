@@ -0,0 +1,164 @@
+import React from "react";
+import PropTypes from "prop-types";
+import { useTheme } from "../../contexts/ThemeContext";
+import { getThemeClass } from "../../utils/themeUtils";
+import { LeftOutlined, RightOutlined } from "@ant-design/icons";
+import styles from "./Pagination.module.css";
+
+export const PAGE_SIZE_OPTIONS = [10, 25, 50, 100];
+
+/**
+ * Returns the page numbers to show as buttons: the first and last page, the
+ * current page and its neighbours, with `null` marking skipped ranges.
+ *
+ * @param {number} page - Current page (1-based)
+ * @param {number} pageCount - Total number of pages
+ * @returns {Array<number|null>} Page numbers and gaps
+ *
+ * @example
+ * getPageItems(6, 12) // Returns [1, null, 5, 6, 7, null, 12]
+ */
+export const getPageItems = (page, pageCount) => {
+  const pages = [];
+
+  for (let number = 1; number <= pageCount; number++) {
+    if (number === 1 || number === pageCount || Math.abs(number - page) <= 1) {
+      pages.push(number);
+    } else if (pages[pages.length - 1] !== null) {
+      pages.push(null);
+    }
+  }
+
+  return pages;
+};
+
+/**
+ * Pagination controls for a list whose pages are fetched from the server.
+ * Shows the range of items on screen, previous/next and page number buttons,
+ * and a page-size selector.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {number} props.page - Current page (1-based)
+ * @param {number} props.pageSize - Items per page
+ * @param {number} props.total - Number of items across all pages
+ * @param {function} props.onPageChange - Called with the page number to show
+ * @param {function} props.onPageSizeChange - Called with the new page size
+ * @param {Array<number>} [props.pageSizeOptions=PAGE_SIZE_OPTIONS] - Selectable page sizes
+ * @param {boolean} [props.disabled=false] - Whether the controls are disabled, e.g. while loading
+ * @returns {JSX.Element} Pagination controls
+ *
+ * @example
+ * <Pagination
+ *   page={page}
+ *   pageSize={pageSize}
+ *   total={total}
+ *   onPageChange={setPage}
+ *   onPageSizeChange={setPageSize}
+ * />
+ */
+const Pagination = ({
+  page,
+  pageSize,
+  total,
+  onPageChange,
+  onPageSizeChange,
+  pageSizeOptions = PAGE_SIZE_OPTIONS,
+  disabled = false,
+}) => {
+  const { currentTheme } = useTheme();
+  const pageCount = Math.max(1, Math.ceil(total / pageSize));
+  const firstItem = total === 0 ? 0 : (page - 1) * pageSize + 1;
+  const lastItem = Math.min(page * pageSize, total);
+
+  return (
+    <nav
+      className={getThemeClass("pagination", currentTheme, styles)}
+      aria-label="Pagination"
+    >
+      <span className={styles.rangeSummary} aria-live="polite">
+        {total === 0
+          ? "No results"
+          : `Showing ${firstItem}–${lastItem} of ${total}`}
+      </span>
+
+      <div className={styles.pageButtons}>
+        <button
+          className={getThemeClass("pageButton", currentTheme, styles)}
+          onClick={() => onPageChange(page - 1)}
+          disabled={disabled || page <= 1}
+          aria-label="Previous page"
+        >
+          <LeftOutlined />
+        </button>
+
+        {getPageItems(page, pageCount).map((number, index) =>
+          number === null ? (
+            <span key={`gap-${index}`} className={styles.pageGap}>
+              …
+            </span>
+          ) : (
+            <button
+              key={number}
+              className={`${getThemeClass(
+                "pageButton",
+                currentTheme,
+                styles
+              )} ${number === page ? styles.pageButtonActive : ""}`}
+              onClick={() => onPageChange(number)}
+              disabled={disabled}
+              aria-label={`Page ${number}`}
+              aria-current={number === page ? "page" : undefined}
+            >
+              {number}
+            </button>
+          )
+        )}
+
+        <button
+          className={getThemeClass("pageButton", currentTheme, styles)}
+          onClick={() => onPageChange(page + 1)}
+          disabled={disabled || page >= pageCount}
+          aria-label="Next page"
+        >
+          <RightOutlined />
+        </button>
+      </div>
+
+      <label className={styles.pageSizeLabel}>
+        Rows per page
+        <select
+          className={getThemeClass("pageSizeSelect", currentTheme, styles)}
+          value={pageSize}
+          onChange={(e) => onPageSizeChange(Number(e.target.value))}
+          disabled={disabled}
+        >
+          {pageSizeOptions.map((option) => (
+            <option key={option} value={option}>
+              {option}
+            </option>
+          ))}
+        </select>
+      </label>
+    </nav>
+  );
+};
+
+Pagination.propTypes = {
+  /** Current page (1-based) */
+  page: PropTypes.number.isRequired,
+  /** Items per page */
+  pageSize: PropTypes.number.isRequired,
+  /** Number of items across all pages */
+  total: PropTypes.number.isRequired,
+  /** Called with the page number to show */
+  onPageChange: PropTypes.func.isRequired,
+  /** Called with the new page size */
+  onPageSizeChange: PropTypes.func.isRequired,
+  /** Selectable page sizes */
+  pageSizeOptions: PropTypes.arrayOf(PropTypes.number),
+  /** Whether the controls are disabled, e.g. while loading */
+  disabled: PropTypes.bool,
+};
+
+export default Pagination;
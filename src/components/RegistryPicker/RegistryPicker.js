@@ -0,0 +1,210 @@
+import React, { useState, useMemo } from "react";
+import PropTypes from "prop-types";
+import { useTheme } from "../../contexts/ThemeContext";
+import { getThemeClass } from "../../utils/themeUtils";
+import styles from "./RegistryPicker.module.css";
+
+// Most suggestions shown at once; typing narrows the list further
+const MAX_SUGGESTIONS = 8;
+
+/**
+ * Searchable picker for registry records such as vessels or customers: a
+ * text input with a list of matching records, following the WAI-ARIA
+ * combobox pattern. Typing filters the records with `search`; choosing one
+ * fills in its registered name.
+ *
+ * Features:
+ * - Suggestions in the order `search` returns them
+ * - Optional detail text next to each suggestion (e.g. vessel type and IMO number)
+ * - Arrow keys move through the suggestions, Enter picks one, Escape closes the list
+ * - Reports changes like a plain input (`{ target: { name, value } }`), so it
+ *   drops into forms that handle `onChange` events
+ * - Theme support for dark/light mode
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {string} props.id - ID of the input, for its label
+ * @param {string} props.name - Field name reported with changes
+ * @param {string} props.value - Name typed or chosen
+ * @param {function} props.onChange - Called with `{ target: { name, value } }` on every change
+ * @param {Array<Object>} props.records - Registered records to suggest, each with `id` and `name`
+ * @param {function} props.search - Called with `(records, term)`; returns the matching records
+ * @param {function} [props.describe] - Returns the detail text shown next to a record's name
+ * @param {string} [props.className] - Class name of the input, so it matches its form
+ * @param {boolean} [props.invalid=false] - Whether the field has a validation error
+ * @param {boolean} [props.disabled=false] - Whether the input is disabled
+ * @param {string} [props.placeholder] - Input placeholder
+ * @param {string} [props.autoComplete="off"] - Browser autocomplete hint for the input
+ * @returns {JSX.Element} Registry picker component
+ *
+ * @example
+ * <RegistryPicker
+ *   id="vessel"
+ *   name="vessel"
+ *   value={formData.vessel}
+ *   onChange={handleChange}
+ *   records={vessels}
+ *   search={searchVessels}
+ *   describe={describeVessel}
+ * />
+ */
+const RegistryPicker = ({
+  id,
+  name,
+  value,
+  onChange,
+  records,
+  search,
+  describe,
+  className = "",
+  invalid = false,
+  disabled = false,
+  placeholder,
+  autoComplete = "off",
+}) => {
+  const { currentTheme } = useTheme();
+  const [isOpen, setIsOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+
+  const listboxId = `${id}-suggestions`;
+  const suggestions = useMemo(
+    () => search(records, value).slice(0, MAX_SUGGESTIONS),
+    [search, records, value]
+  );
+  const showList = isOpen && suggestions.length > 0;
+
+  const reportChange = (nextValue) => {
+    onChange({ target: { name, value: nextValue } });
+  };
+
+  const handleInputChange = (e) => {
+    reportChange(e.target.value);
+    setIsOpen(true);
+    setActiveIndex(-1);
+  };
+
+  const selectRecord = (record) => {
+    reportChange(record.name);
+    setIsOpen(false);
+    setActiveIndex(-1);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      if (!isOpen) {
+        setIsOpen(true);
+        return;
+      }
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      setActiveIndex((index) =>
+        suggestions.length === 0
+          ? -1
+          : (index + step + suggestions.length) % suggestions.length
+      );
+    } else if (e.key === "Enter" && showList && activeIndex >= 0) {
+      e.preventDefault();
+      selectRecord(suggestions[activeIndex]);
+    } else if (e.key === "Escape" && showList) {
+      // Close the list without closing the surrounding modal
+      e.stopPropagation();
+      setIsOpen(false);
+    }
+  };
+
+  return (
+    <div className={styles.registryPicker}>
+      <input
+        type="text"
+        id={id}
+        name={name}
+        value={value}
+        onChange={handleInputChange}
+        onKeyDown={handleKeyDown}
+        onFocus={() => setIsOpen(true)}
+        onBlur={() => setIsOpen(false)}
+        className={className}
+        placeholder={placeholder}
+        disabled={disabled}
+        autoComplete={autoComplete}
+        role="combobox"
+        aria-autocomplete="list"
+        aria-expanded={showList}
+        aria-controls={listboxId}
+        aria-invalid={invalid}
+        aria-activedescendant={
+          showList && activeIndex >= 0
+            ? `${listboxId}-${suggestions[activeIndex].id}`
+            : undefined
+        }
+      />
+      {showList && (
+        <ul
+          id={listboxId}
+          role="listbox"
+          className={getThemeClass("suggestions", currentTheme, styles)}
+        >
+          {suggestions.map((record, index) => (
+            <li
+              key={record.id}
+              id={`${listboxId}-${record.id}`}
+              role="option"
+              aria-selected={index === activeIndex}
+              className={`${getThemeClass(
+                "suggestion",
+                currentTheme,
+                styles
+              )} ${index === activeIndex ? styles.suggestionActive : ""}`}
+              // Keep focus in the input so the list is not closed by blur first
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => selectRecord(record)}
+            >
+              <span className={styles.suggestionName}>{record.name}</span>
+              {describe && (
+                <span className={styles.suggestionDetail}>
+                  {describe(record)}
+                </span>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+RegistryPicker.propTypes = {
+  /** ID of the input, for its label */
+  id: PropTypes.string.isRequired,
+  /** Field name reported with changes */
+  name: PropTypes.string.isRequired,
+  /** Name typed or chosen */
+  value: PropTypes.string.isRequired,
+  /** Called with `{ target: { name, value } }` on every change */
+  onChange: PropTypes.func.isRequired,
+  /** Registered records to suggest */
+  records: PropTypes.arrayOf(
+    PropTypes.shape({
+      /** Record ID */
+      id: PropTypes.string.isRequired,
+      /** Registered name */
+      name: PropTypes.string.isRequired,
+    })
+  ).isRequired,
+  /** Called with `(records, term)`; returns the matching records */
+  search: PropTypes.func.isRequired,
+  /** Returns the detail text shown next to a record's name */
+  describe: PropTypes.func,
+  /** Class name of the input, so it matches its form */
+  className: PropTypes.string,
+  /** Whether the field has a validation error */
+  invalid: PropTypes.bool,
+  /** Whether the input is disabled */
+  disabled: PropTypes.bool,
+  /** Input placeholder */
+  placeholder: PropTypes.string,
+  /** Browser autocomplete hint for the input */
+  autoComplete: PropTypes.string,
+};
+
+export default RegistryPicker;
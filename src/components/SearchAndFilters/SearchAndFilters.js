@@ -8,6 +8,9 @@ import {
   ClearOutlined,
   FilterOutlined,
   CalendarOutlined,
+  CarOutlined,
+  UserOutlined,
+  EnvironmentOutlined,
 } from "@ant-design/icons";
 import styles from "./SearchAndFilters.module.css";
 
@@ -19,6 +22,11 @@ import styles from "./SearchAndFilters.module.css";
  * Features:
  * - Debounced text search for customer names (configurable delay)
  * - Status dropdown filtering with all booking statuses
+ * - Vessel dropdown filtering when the vessel registry is given
+ * - Customer dropdown filtering when the customer directory is given, so
+ *   differently spelled bookings of one customer are found together
+ * - Port dropdown filtering when the port list is given, matching bookings
+ *   with a voyage leg that loads or discharges there
  * - Date range filtering with start and end date inputs
  * - Clear all filters functionality with active state detection
  * - Responsive design that adapts to different screen sizes
@@ -31,11 +39,17 @@ import styles from "./SearchAndFilters.module.css";
  * @param {Object} props.filters - Current filter values object
  * @param {string} [props.filters.customerName] - Current search term for customer names
  * @param {string} [props.filters.status] - Current status filter value
+ * @param {string} [props.filters.vesselId] - Current registered vessel filter value
+ * @param {string} [props.filters.customerId] - Current customer directory filter value
+ * @param {string} [props.filters.port] - Current port of call filter value (UN/LOCODE)
  * @param {string} [props.filters.startDate] - Current start date filter (YYYY-MM-DD)
  * @param {string} [props.filters.endDate] - Current end date filter (YYYY-MM-DD)
  * @param {function} props.onFiltersChange - Callback function called when any filter changes
  * @param {function} props.onClearFilters - Callback function called when clear filters is triggered
  * @param {number} [props.debounceMs=300] - Debounce delay in milliseconds for search input
+ * @param {Array<Object>} [props.vessels] - Registered vessels; shows the vessel filter when given
+ * @param {Array<Object>} [props.customers] - Customers in the directory; shows the customer filter when given
+ * @param {Array<Object>} [props.ports] - Ports of the port list; shows the port filter when given
  * @returns {JSX.Element} Search and filters interface component
  *
  * @example
@@ -57,6 +71,9 @@ const SearchAndFilters = ({
   onFiltersChange,
   onClearFilters,
   debounceMs = 300,
+  vessels,
+  customers,
+  ports,
 }) => {
   const { currentTheme } = useTheme();
   const [searchTerm, setSearchTerm] = useState(filters.customerName || "");
@@ -95,6 +112,9 @@ const SearchAndFilters = ({
     return (
       searchTerm ||
       filters.status ||
+      filters.vesselId ||
+      filters.customerId ||
+      filters.port ||
       filters.dateRange.start ||
       filters.dateRange.end
     );
@@ -168,6 +188,84 @@ const SearchAndFilters = ({
           </select>
         </div>
 
+        {/* Customer Filter */}
+        {customers && (
+          <div className={styles.filterGroup}>
+            <label
+              htmlFor="customer-filter"
+              className={getThemeClass("filterLabel", currentTheme, styles)}
+            >
+              <UserOutlined style={{ marginRight: "8px" }} />
+              Customer
+            </label>
+            <select
+              id="customer-filter"
+              value={filters.customerId || ""}
+              onChange={(e) => onFiltersChange({ customerId: e.target.value })}
+              className={getThemeClass("filterSelect", currentTheme, styles)}
+            >
+              <option value="">All Customers</option>
+              {customers.map((customer) => (
+                <option key={customer.id} value={customer.id}>
+                  {customer.name}
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+
+        {/* Vessel Filter */}
+        {vessels && (
+          <div className={styles.filterGroup}>
+            <label
+              htmlFor="vessel-filter"
+              className={getThemeClass("filterLabel", currentTheme, styles)}
+            >
+              <CarOutlined style={{ marginRight: "8px" }} />
+              Vessel
+            </label>
+            <select
+              id="vessel-filter"
+              value={filters.vesselId || ""}
+              onChange={(e) => onFiltersChange({ vesselId: e.target.value })}
+              className={getThemeClass("filterSelect", currentTheme, styles)}
+            >
+              <option value="">All Vessels</option>
+              {vessels.map((vessel) => (
+                <option key={vessel.id} value={vessel.id}>
+                  {vessel.name}
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+
+        {/* Port Filter */}
+        {ports && (
+          <div className={styles.filterGroup}>
+            <label
+              htmlFor="port-filter"
+              className={getThemeClass("filterLabel", currentTheme, styles)}
+            >
+              <EnvironmentOutlined style={{ marginRight: "8px" }} />
+              Port
+            </label>
+            <select
+              id="port-filter"
+              value={filters.port || ""}
+              onChange={(e) => onFiltersChange({ port: e.target.value })}
+              className={getThemeClass("filterSelect", currentTheme, styles)}
+            >
+              <option value="">All Ports</option>
+              {ports.map((port) => (
+                <option key={port.code} value={port.code}>
+                  {port.name} ({port.code})
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+
         {/* Date Range Filter */}
         <div className={styles.filterGroup}>
           <label
@@ -240,6 +338,12 @@ SearchAndFilters.propTypes = {
     customerName: PropTypes.string,
     /** Current status filter value */
     status: PropTypes.oneOf(["", "confirmed", "pending", "cancelled"]),
+    /** Current registered vessel filter value */
+    vesselId: PropTypes.string,
+    /** Current customer directory filter value */
+    customerId: PropTypes.string,
+    /** Current port of call filter value (UN/LOCODE) */
+    port: PropTypes.string,
     /** Current date range filter object */
     dateRange: PropTypes.shape({
       /** Start date in YYYY-MM-DD format */
@@ -254,6 +358,33 @@ SearchAndFilters.propTypes = {
   onClearFilters: PropTypes.func.isRequired,
   /** Debounce delay in milliseconds for search input */
   debounceMs: PropTypes.number,
+  /** Registered vessels to filter by */
+  vessels: PropTypes.arrayOf(
+    PropTypes.shape({
+      /** Vessel ID */
+      id: PropTypes.string.isRequired,
+      /** Registered vessel name */
+      name: PropTypes.string.isRequired,
+    })
+  ),
+  /** Customers to filter by */
+  customers: PropTypes.arrayOf(
+    PropTypes.shape({
+      /** Customer ID */
+      id: PropTypes.string.isRequired,
+      /** Customer trading name */
+      name: PropTypes.string.isRequired,
+    })
+  ),
+  /** Ports to filter by */
+  ports: PropTypes.arrayOf(
+    PropTypes.shape({
+      /** UN/LOCODE */
+      code: PropTypes.string.isRequired,
+      /** Port name */
+      name: PropTypes.string.isRequired,
+    })
+  ),
 };
 
 SearchAndFilters.defaultProps = {
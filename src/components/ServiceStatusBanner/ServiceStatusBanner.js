@@ -0,0 +1,99 @@
+import React, { useEffect, useState } from "react";
+import PropTypes from "prop-types";
+import { useTheme } from "../../contexts/ThemeContext";
+import { CIRCUIT_STATES } from "../../services/circuitBreaker";
+import { getThemeClass } from "../../utils/themeUtils";
+import { ReloadOutlined, WarningOutlined } from "@ant-design/icons";
+import styles from "./ServiceStatusBanner.module.css";
+
+// Whole seconds until `retryAt`, never negative
+const secondsUntil = (retryAt) =>
+  Math.max(0, Math.ceil((new Date(retryAt) - Date.now()) / 1000));
+
+/**
+ * Banner shown while the bookings backend is failing and the service's
+ * circuit breaker has paused requests. Counts down to the next automatic
+ * probe and lets the user probe straight away. Renders nothing while the
+ * circuit is closed.
+ *
+ * Features:
+ * - Live countdown to the next probe, updated every second
+ * - "Checking connection" state while a probe is in flight
+ * - "Retry now" ends the pause early
+ * - Announced politely to screen readers; the ticking countdown is not
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Object} props.status - Circuit breaker state from `useBookings().serviceStatus`
+ * @param {function} props.onRetry - Function probing the backend now, e.g. `refreshBookings`
+ * @returns {JSX.Element|null} Banner, or null while the service is healthy
+ *
+ * @example
+ * <ServiceStatusBanner status={serviceStatus} onRetry={refreshBookings} />
+ */
+const ServiceStatusBanner = ({ status, onRetry }) => {
+  const { currentTheme } = useTheme();
+  const [secondsLeft, setSecondsLeft] = useState(() =>
+    status.retryAt ? secondsUntil(status.retryAt) : 0
+  );
+
+  // Tick the countdown while the circuit is open
+  useEffect(() => {
+    if (status.state !== CIRCUIT_STATES.OPEN) return;
+
+    setSecondsLeft(secondsUntil(status.retryAt));
+    const interval = setInterval(() => {
+      setSecondsLeft(secondsUntil(status.retryAt));
+    }, 1000);
+    return () => clearInterval(interval);
+  }, [status.state, status.retryAt]);
+
+  if (status.state === CIRCUIT_STATES.CLOSED) {
+    return null;
+  }
+
+  const probing =
+    status.state === CIRCUIT_STATES.HALF_OPEN || secondsLeft === 0;
+
+  return (
+    <div
+      className={getThemeClass("serviceBanner", currentTheme, styles)}
+      role="status"
+      aria-live="polite"
+    >
+      <WarningOutlined className={styles.bannerIcon} aria-hidden="true" />
+      <div className={styles.bannerText}>
+        <strong>Service degraded.</strong> The bookings server is not
+        responding, so requests are paused.{" "}
+        {probing ? (
+          "Checking the connection…"
+        ) : (
+          <span aria-live="off">Retrying in {secondsLeft}s.</span>
+        )}
+      </div>
+      <button
+        type="button"
+        className={getThemeClass("retryButton", currentTheme, styles)}
+        onClick={onRetry}
+        disabled={probing}
+        aria-label="Retry connecting to the bookings server now"
+      >
+        <ReloadOutlined style={{ marginRight: "6px" }} />
+        Retry now
+      </button>
+    </div>
+  );
+};
+
+ServiceStatusBanner.propTypes = {
+  /** Circuit breaker state from `useBookings().serviceStatus` */
+  status: PropTypes.shape({
+    state: PropTypes.oneOf(Object.values(CIRCUIT_STATES)).isRequired,
+    consecutiveFailures: PropTypes.number,
+    retryAt: PropTypes.string,
+  }).isRequired,
+  /** Function probing the backend now, e.g. `refreshBookings` */
+  onRetry: PropTypes.func.isRequired,
+};
+
+export default ServiceStatusBanner;
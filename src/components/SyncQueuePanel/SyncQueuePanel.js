@@ -0,0 +1,278 @@
+import React, { useEffect, useRef, useState } from "react";
+import PropTypes from "prop-types";
+import { useTheme } from "../../contexts/ThemeContext";
+import { useToast } from "../../contexts/ToastContext";
+import { MUTATION_TYPES } from "../../services/mutationQueue";
+import { trapFocus } from "../../utils/accessibility";
+import { getThemeClass } from "../../utils/themeUtils";
+import {
+  CloseOutlined,
+  CloudSyncOutlined,
+  DeleteOutlined,
+  ReloadOutlined,
+} from "@ant-design/icons";
+import styles from "./SyncQueuePanel.module.css";
+
+const OPERATION_LABELS = {
+  [MUTATION_TYPES.CREATE]: "Create",
+  [MUTATION_TYPES.UPDATE]: "Update",
+  [MUTATION_TYPES.DELETE]: "Delete",
+};
+
+const formatQueueTime = (date) =>
+  new Date(date).toLocaleString("en-US", {
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  });
+
+// One line describing what a queued write will send
+const describeEntry = (entry) => {
+  switch (entry.type) {
+    case MUTATION_TYPES.CREATE:
+      return `${entry.payload.customer || "New booking"}${
+        entry.payload.vessel ? ` · ${entry.payload.vessel}` : ""
+      }`;
+    case MUTATION_TYPES.UPDATE:
+      return `Changes ${Object.keys(entry.payload).join(", ")}`;
+    default:
+      return "Move to the trash";
+  }
+};
+
+/**
+ * Modal listing booking writes that could not reach the backend and are
+ * waiting to be synced. Shows what each write does, how often it has been
+ * tried and when it will be retried, and lets the user retry straight away
+ * or discard individual writes.
+ *
+ * Features:
+ * - Live list of the queue, oldest write first (the order they are sent in)
+ * - Writes the backend rejected are flagged with the reason
+ * - "Retry now" to send due and waiting writes immediately
+ * - Focus trapping and Escape to close
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {boolean} props.isOpen - Whether the modal is currently open
+ * @param {function} props.onClose - Callback function called when modal should close
+ * @param {Array<Object>} props.entries - Queued writes from `useBookings().queuedMutations`
+ * @param {function} props.onDiscard - Function dropping a queued write by entry ID
+ * @param {function} props.onRetry - Function sending queued writes now, resolving to
+ *   `{ synced, rejected, remaining }`
+ * @returns {JSX.Element|null} Modal component or null if not open
+ *
+ * @example
+ * <SyncQueuePanel
+ *   isOpen={showSyncQueue}
+ *   onClose={() => setShowSyncQueue(false)}
+ *   entries={queuedMutations}
+ *   onDiscard={discardQueuedMutation}
+ *   onRetry={retryQueuedMutations}
+ * />
+ */
+const SyncQueuePanel = ({ isOpen, onClose, entries, onDiscard, onRetry }) => {
+  const { currentTheme } = useTheme();
+  const { showSuccess, showWarning } = useToast();
+  const modalRef = useRef(null);
+  const [retrying, setRetrying] = useState(false);
+
+  // Handle escape key and focus management
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const handleEscape = (e) => {
+      if (e.key === "Escape") {
+        onClose();
+      }
+    };
+
+    document.addEventListener("keydown", handleEscape);
+    const cleanup = modalRef.current ? trapFocus(modalRef.current) : null;
+
+    return () => {
+      document.removeEventListener("keydown", handleEscape);
+      if (cleanup) cleanup();
+    };
+  }, [isOpen, onClose]);
+
+  if (!isOpen) return null;
+
+  const handleRetry = async () => {
+    setRetrying(true);
+    try {
+      const { synced, rejected, remaining } = await onRetry({ force: true });
+      if (synced.length > 0) {
+        showSuccess(
+          `Synced ${synced.length} change${synced.length !== 1 ? "s" : ""}`
+        );
+      }
+      if (rejected.length > 0) {
+        showWarning(
+          `${rejected.length} change${
+            rejected.length !== 1 ? "s were" : " was"
+          } rejected by the server`
+        );
+      } else if (remaining.some((entry) => !entry.failed)) {
+        showWarning("Still offline. Changes will be retried automatically.");
+      }
+    } finally {
+      setRetrying(false);
+    }
+  };
+
+  const handleOverlayClick = (e) => {
+    if (e.target === e.currentTarget) {
+      onClose();
+    }
+  };
+
+  return (
+    <div
+      className={getThemeClass("modalOverlay", currentTheme, styles)}
+      onClick={handleOverlayClick}
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="sync-queue-title"
+    >
+      <div
+        className={getThemeClass("modalContent", currentTheme, styles)}
+        ref={modalRef}
+      >
+        <div className={styles.modalHeader}>
+          <div>
+            <h2 id="sync-queue-title" className={styles.modalTitle}>
+              <CloudSyncOutlined style={{ marginRight: "8px" }} />
+              Sync Queue
+            </h2>
+            <p className={styles.queueNote}>
+              These changes are saved on this device and are sent in order once
+              the server can be reached.
+            </p>
+          </div>
+          <button
+            className={styles.closeButton}
+            onClick={onClose}
+            aria-label="Close sync queue"
+          >
+            <CloseOutlined />
+          </button>
+        </div>
+
+        <div className={styles.modalBody}>
+          {entries.length === 0 ? (
+            <p className={styles.stateMessage}>All changes are synced.</p>
+          ) : (
+            <table className={styles.queueTable}>
+              <thead>
+                <tr>
+                  <th scope="col">Change</th>
+                  <th scope="col">Queued</th>
+                  <th scope="col">Status</th>
+                  <th scope="col">
+                    <span className={styles.srOnly}>Actions</span>
+                  </th>
+                </tr>
+              </thead>
+              <tbody>
+                {entries.map((entry) => (
+                  <tr key={entry.id}>
+                    <td>
+                      <div className={styles.operation}>
+                        {OPERATION_LABELS[entry.type]} {entry.bookingId}
+                      </div>
+                      <div className={styles.secondaryText}>
+                        {describeEntry(entry)}
+                      </div>
+                    </td>
+                    <td>{formatQueueTime(entry.queuedAt)}</td>
+                    <td>
+                      {entry.failed ? (
+                        <div className={styles.rejected}>
+                          Rejected: {entry.lastError}
+                        </div>
+                      ) : (
+                        <>
+                          <div>
+                            Next try {formatQueueTime(entry.nextAttemptAt)}
+                          </div>
+                          <div className={styles.secondaryText}>
+                            {entry.attempts} attempt
+                            {entry.attempts !== 1 ? "s" : ""}
+                            {entry.lastError ? ` · ${entry.lastError}` : ""}
+                          </div>
+                        </>
+                      )}
+                    </td>
+                    <td>
+                      <div className={styles.rowActions}>
+                        <button
+                          className={getThemeClass(
+                            "btnSecondary",
+                            currentTheme,
+                            styles
+                          )}
+                          onClick={() => onDiscard(entry.id)}
+                          disabled={retrying}
+                          aria-label={`Discard queued ${OPERATION_LABELS[
+                            entry.type
+                          ].toLowerCase()} of booking ${entry.bookingId}`}
+                        >
+                          <DeleteOutlined />
+                          Discard
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        {entries.length > 0 && (
+          <div className={styles.modalFooter}>
+            <button
+              className={getThemeClass("btnPrimary", currentTheme, styles)}
+              onClick={handleRetry}
+              disabled={retrying}
+              aria-label="Retry sync now"
+            >
+              <ReloadOutlined spin={retrying} />
+              {retrying ? "Syncing..." : "Retry now"}
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+SyncQueuePanel.propTypes = {
+  /** Whether the modal is currently open */
+  isOpen: PropTypes.bool.isRequired,
+  /** Callback function called when modal should close */
+  onClose: PropTypes.func.isRequired,
+  /** Queued writes, oldest first */
+  entries: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      type: PropTypes.oneOf(Object.values(MUTATION_TYPES)).isRequired,
+      bookingId: PropTypes.string.isRequired,
+      payload: PropTypes.object,
+      queuedAt: PropTypes.string.isRequired,
+      attempts: PropTypes.number.isRequired,
+      nextAttemptAt: PropTypes.string.isRequired,
+      lastError: PropTypes.string,
+      failed: PropTypes.bool,
+    })
+  ).isRequired,
+  /** Function dropping a queued write by entry ID */
+  onDiscard: PropTypes.func.isRequired,
+  /** Function sending queued writes now */
+  onRetry: PropTypes.func.isRequired,
+};
+
+export default SyncQueuePanel;
@@ -0,0 +1,311 @@
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import PropTypes from "prop-types";
+import { useTheme } from "../../contexts/ThemeContext";
+import { useToast } from "../../contexts/ToastContext";
+import { formatDateRange } from "../../utils/bookingUtils";
+import { trapFocus, liveRegionManager } from "../../utils/accessibility";
+import { getThemeClass } from "../../utils/themeUtils";
+import { getPurgeDate } from "../../services/trashPolicy";
+import {
+  CloseOutlined,
+  DeleteOutlined,
+  LoadingOutlined,
+  RestOutlined,
+  UndoOutlined,
+} from "@ant-design/icons";
+import styles from "./TrashPanel.module.css";
+
+const formatDeletedDate = (date) =>
+  new Date(date).toLocaleDateString("en-US", {
+    year: "numeric",
+    month: "short",
+    day: "numeric",
+  });
+
+/**
+ * Modal listing bookings in the trash. Shows who deleted each booking and
+ * when, when it will be purged automatically, and lets the user restore it
+ * or delete it permanently (after a second confirming click).
+ *
+ * Features:
+ * - Loads the trash every time the modal opens
+ * - Restore action that puts the booking back in the bookings list
+ * - Two-step "Delete forever" action to avoid purging by mis-click
+ * - Focus trapping, Escape to close and screen reader announcements
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {boolean} props.isOpen - Whether the modal is currently open
+ * @param {function} props.onClose - Callback function called when modal should close
+ * @param {function} props.loadDeletedBookings - Function resolving to `{ success, bookings, error }`
+ * @param {function} props.onRestore - Function restoring a booking by ID, resolving to `{ success, error }`
+ * @param {function} props.onPurge - Function permanently deleting a booking by ID, resolving to `{ success, error }`
+ * @param {number} props.retentionDays - Days deleted bookings are kept before being purged
+ * @returns {JSX.Element|null} Modal component or null if not open
+ *
+ * @example
+ * <TrashPanel
+ *   isOpen={showTrash}
+ *   onClose={() => setShowTrash(false)}
+ *   loadDeletedBookings={getDeletedBookings}
+ *   onRestore={restoreBooking}
+ *   onPurge={purgeBooking}
+ *   retentionDays={30}
+ * />
+ */
+const TrashPanel = ({
+  isOpen,
+  onClose,
+  loadDeletedBookings,
+  onRestore,
+  onPurge,
+  retentionDays,
+}) => {
+  const { currentTheme } = useTheme();
+  const { showSuccess, showError } = useToast();
+  const modalRef = useRef(null);
+  const [deletedBookings, setDeletedBookings] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [loadError, setLoadError] = useState(null);
+  const [processingId, setProcessingId] = useState(null);
+  // Booking whose "Delete forever" button is waiting for a confirming click
+  const [confirmPurgeId, setConfirmPurgeId] = useState(null);
+
+  const loadTrash = useCallback(async () => {
+    setLoading(true);
+    setLoadError(null);
+
+    const result = await loadDeletedBookings();
+    if (result.success) {
+      setDeletedBookings(result.bookings);
+    } else {
+      setLoadError(result.error);
+    }
+    setLoading(false);
+  }, [loadDeletedBookings]);
+
+  useEffect(() => {
+    if (isOpen) {
+      setConfirmPurgeId(null);
+      loadTrash();
+    }
+  }, [isOpen, loadTrash]);
+
+  // Handle escape key and focus management
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const handleEscape = (e) => {
+      if (e.key === "Escape") {
+        onClose();
+      }
+    };
+
+    document.addEventListener("keydown", handleEscape);
+    const cleanup = modalRef.current ? trapFocus(modalRef.current) : null;
+
+    return () => {
+      document.removeEventListener("keydown", handleEscape);
+      if (cleanup) cleanup();
+    };
+  }, [isOpen, onClose]);
+
+  if (!isOpen) return null;
+
+  const removeFromList = (bookingId) => {
+    setDeletedBookings((prev) =>
+      prev.filter((booking) => booking.id !== bookingId)
+    );
+  };
+
+  const handleRestore = async (booking) => {
+    setProcessingId(booking.id);
+    try {
+      const result = await onRestore(booking.id);
+      if (result.success) {
+        removeFromList(booking.id);
+        showSuccess(`Booking ${booking.id} restored`);
+        liveRegionManager.announce(`Booking ${booking.id} restored`, "polite");
+      } else {
+        showError(`Failed to restore booking: ${result.error}`);
+      }
+    } finally {
+      setProcessingId(null);
+    }
+  };
+
+  const handlePurge = async (booking) => {
+    if (confirmPurgeId !== booking.id) {
+      setConfirmPurgeId(booking.id);
+      return;
+    }
+
+    setProcessingId(booking.id);
+    setConfirmPurgeId(null);
+    try {
+      const result = await onPurge(booking.id);
+      if (result.success) {
+        removeFromList(booking.id);
+        showSuccess(`Booking ${booking.id} permanently deleted`);
+        liveRegionManager.announce(
+          `Booking ${booking.id} permanently deleted`,
+          "polite"
+        );
+      } else {
+        showError(`Failed to delete booking: ${result.error}`);
+      }
+    } finally {
+      setProcessingId(null);
+    }
+  };
+
+  const handleOverlayClick = (e) => {
+    if (e.target === e.currentTarget) {
+      onClose();
+    }
+  };
+
+  return (
+    <div
+      className={getThemeClass("modalOverlay", currentTheme, styles)}
+      onClick={handleOverlayClick}
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="trash-title"
+    >
+      <div
+        className={getThemeClass("modalContent", currentTheme, styles)}
+        ref={modalRef}
+      >
+        <div className={styles.modalHeader}>
+          <div>
+            <h2 id="trash-title" className={styles.modalTitle}>
+              <RestOutlined style={{ marginRight: "8px" }} />
+              Trash
+            </h2>
+            <p className={styles.retentionNote}>
+              Deleted bookings are kept for {retentionDays} day
+              {retentionDays !== 1 ? "s" : ""}, then removed permanently.
+            </p>
+          </div>
+          <button
+            className={styles.closeButton}
+            onClick={onClose}
+            aria-label="Close trash"
+          >
+            <CloseOutlined />
+          </button>
+        </div>
+
+        <div className={styles.modalBody}>
+          {loading ? (
+            <p className={styles.stateMessage}>
+              <LoadingOutlined style={{ marginRight: "8px" }} />
+              Loading deleted bookings...
+            </p>
+          ) : loadError ? (
+            <div className={styles.errorMessage} role="alert">
+              Failed to load the trash: {loadError}
+            </div>
+          ) : deletedBookings.length === 0 ? (
+            <p className={styles.stateMessage}>The trash is empty.</p>
+          ) : (
+            <table className={styles.trashTable}>
+              <thead>
+                <tr>
+                  <th scope="col">Booking</th>
+                  <th scope="col">Dates</th>
+                  <th scope="col">Deleted</th>
+                  <th scope="col">Purged on</th>
+                  <th scope="col">
+                    <span className={styles.srOnly}>Actions</span>
+                  </th>
+                </tr>
+              </thead>
+              <tbody>
+                {deletedBookings.map((booking) => (
+                  <tr key={booking.id}>
+                    <td>
+                      <div className={styles.bookingId}>{booking.id}</div>
+                      <div>{booking.customer}</div>
+                      <div className={styles.secondaryText}>
+                        {booking.vessel}
+                      </div>
+                    </td>
+                    <td>
+                      {formatDateRange(booking.startDate, booking.endDate)}
+                    </td>
+                    <td>
+                      <div>{formatDeletedDate(booking.deletedAt)}</div>
+                      <div className={styles.secondaryText}>
+                        by {booking.deletedBy || "Unknown"}
+                      </div>
+                    </td>
+                    <td>
+                      {formatDeletedDate(
+                        getPurgeDate(booking.deletedAt, retentionDays)
+                      )}
+                    </td>
+                    <td>
+                      <div className={styles.rowActions}>
+                        <button
+                          className={getThemeClass(
+                            "btnSecondary",
+                            currentTheme,
+                            styles
+                          )}
+                          onClick={() => handleRestore(booking)}
+                          disabled={processingId !== null}
+                          aria-label={`Restore booking ${booking.id}`}
+                        >
+                          <UndoOutlined />
+                          Restore
+                        </button>
+                        <button
+                          className={getThemeClass(
+                            "btnDanger",
+                            currentTheme,
+                            styles
+                          )}
+                          onClick={() => handlePurge(booking)}
+                          disabled={processingId !== null}
+                          aria-label={
+                            confirmPurgeId === booking.id
+                              ? `Confirm permanent deletion of booking ${booking.id}`
+                              : `Delete booking ${booking.id} forever`
+                          }
+                        >
+                          <DeleteOutlined />
+                          {confirmPurgeId === booking.id
+                            ? "Confirm"
+                            : "Delete forever"}
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+TrashPanel.propTypes = {
+  /** Whether the modal is currently open */
+  isOpen: PropTypes.bool.isRequired,
+  /** Callback function called when modal should close */
+  onClose: PropTypes.func.isRequired,
+  /** Function resolving to `{ success, bookings, error }` with the deleted bookings */
+  loadDeletedBookings: PropTypes.func.isRequired,
+  /** Function restoring a booking by ID */
+  onRestore: PropTypes.func.isRequired,
+  /** Function permanently deleting a booking by ID */
+  onPurge: PropTypes.func.isRequired,
+  /** Days deleted bookings are kept before being purged */
+  retentionDays: PropTypes.number.isRequired,
+};
+
+export default TrashPanel;
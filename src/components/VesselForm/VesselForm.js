@@ -0,0 +1,502 @@
+import React, { useState, useEffect, useRef } from "react";
+import PropTypes from "prop-types";
+import { useTheme } from "../../contexts/ThemeContext";
+import { VESSEL_TYPES } from "../../data/mockVessels";
+import { toVesselData, validateVesselForm } from "../../utils/vesselUtils";
+import { formatSeasonDay } from "../../utils/rateUtils";
+import { CURRENCIES } from "../../utils/currencyUtils";
+import { trapFocus } from "../../utils/accessibility";
+import { getThemeClass } from "../../utils/themeUtils";
+import {
+  CloseOutlined,
+  DeleteOutlined,
+  EditOutlined,
+  PlusOutlined,
+  SaveOutlined,
+} from "@ant-design/icons";
+import registryStyles from "../../styles/RegistryForm.module.css";
+import formStyles from "./VesselForm.module.css";
+
+// Shared registry form styles with this form's own rules on top
+const styles = { ...registryStyles, ...formStyles };
+
+const EMPTY_FORM = {
+  name: "",
+  imoNumber: "",
+  type: "",
+  dwt: "",
+  capacity: "",
+  flag: "",
+  owner: "",
+  rateCard: { dailyRate: "", currency: "EUR", minimumDays: "", seasons: [] },
+};
+
+const EMPTY_SEASON = { name: "", start: "", end: "", dailyRate: "" };
+
+// Form fields in display order; `type` is rendered as a select
+const FIELDS = [
+  { name: "name", label: "Vessel name *", autoComplete: "off" },
+  { name: "imoNumber", label: "IMO number", placeholder: "e.g. 9074729" },
+  { name: "type", label: "Type *" },
+  { name: "dwt", label: "Deadweight (t)", type: "number", min: 0 },
+  { name: "capacity", label: "Capacity (persons)", type: "number", min: 0 },
+  { name: "flag", label: "Flag", placeholder: "e.g. Greece" },
+  { name: "owner", label: "Owner", autoComplete: "organization" },
+];
+
+// Season fields in display order; boundaries are typed as DD/MM
+const SEASON_FIELDS = [
+  { name: "name", label: "Season" },
+  { name: "start", label: "From", placeholder: "DD/MM" },
+  { name: "end", label: "To", placeholder: "DD/MM" },
+  { name: "dailyRate", label: "Daily rate", type: "number", min: 0 },
+];
+
+const toFormValue = (value) =>
+  value === null || value === undefined ? "" : String(value);
+
+// Convert a stored vessel into form field values
+const toFormValues = (vessel) => ({
+  ...FIELDS.reduce(
+    (values, field) => ({
+      ...values,
+      [field.name]: toFormValue(vessel[field.name]),
+    }),
+    {}
+  ),
+  rateCard: {
+    dailyRate: toFormValue(vessel.rateCard?.dailyRate),
+    currency: vessel.rateCard?.currency || "EUR",
+    minimumDays: toFormValue(vessel.rateCard?.minimumDays),
+    seasons: (vessel.rateCard?.seasons || []).map((season) => ({
+      name: season.name,
+      start: formatSeasonDay(season.start),
+      end: formatSeasonDay(season.end),
+      dailyRate: toFormValue(season.dailyRate),
+    })),
+  },
+});
+
+/**
+ * Modal form for registering a vessel or editing a registered one: name, IMO
+ * number, type, deadweight, capacity, flag, owner and rate card.
+ *
+ * Features:
+ * - Create and edit modes, pre-populated when editing
+ * - Rate card with a daily hire rate in a chosen currency, minimum charter
+ *   days and any number of seasonal rates, added and removed in place
+ * - Validation of required fields, IMO check digits, duplicate names or
+ *   IMO numbers and overlapping seasons before submitting
+ * - Field errors reported by the service shown next to their fields
+ * - Focus trapping and Escape to close
+ * - Theme support for dark/light mode
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {boolean} props.isOpen - Whether the form modal is currently open
+ * @param {function} props.onClose - Callback function called when the form should close
+ * @param {function} props.onSubmit - Called with the vessel data; resolves to
+ *   `{ success, error, fieldErrors }`
+ * @param {Object} [props.editingVessel] - Vessel to edit (enables edit mode)
+ * @param {Array<Object>} [props.vessels=[]] - Registered vessels, to catch duplicates early
+ * @returns {JSX.Element|null} Form modal component or null if not open
+ *
+ * @example
+ * <VesselForm
+ *   isOpen={showForm}
+ *   onClose={() => setShowForm(false)}
+ *   onSubmit={createVessel}
+ *   vessels={vessels}
+ * />
+ */
+const VesselForm = ({
+  isOpen,
+  onClose,
+  onSubmit,
+  editingVessel,
+  vessels = [],
+}) => {
+  const { currentTheme } = useTheme();
+  const modalRef = useRef(null);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [errors, setErrors] = useState({});
+  const [submitError, setSubmitError] = useState("");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  // Populate the form whenever it opens
+  useEffect(() => {
+    if (!isOpen) return;
+    setFormData(editingVessel ? toFormValues(editingVessel) : EMPTY_FORM);
+    setErrors({});
+    setSubmitError("");
+  }, [isOpen, editingVessel]);
+
+  // Handle escape key and focus management
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const handleEscape = (e) => {
+      if (e.key === "Escape") {
+        onClose();
+      }
+    };
+
+    document.addEventListener("keydown", handleEscape);
+    const cleanup = modalRef.current ? trapFocus(modalRef.current) : null;
+
+    return () => {
+      document.removeEventListener("keydown", handleEscape);
+      if (cleanup) cleanup();
+    };
+  }, [isOpen, onClose]);
+
+  if (!isOpen) return null;
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+    if (errors[name]) {
+      setErrors((prev) => ({ ...prev, [name]: "" }));
+    }
+  };
+
+  const handleRateChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({
+      ...prev,
+      rateCard: { ...prev.rateCard, [name]: value },
+    }));
+    if (errors[name]) {
+      setErrors((prev) => ({ ...prev, [name]: "" }));
+    }
+  };
+
+  const handleSeasonChange = (index, field, value) => {
+    setFormData((prev) => ({
+      ...prev,
+      rateCard: {
+        ...prev.rateCard,
+        seasons: prev.rateCard.seasons.map((season, i) =>
+          i === index ? { ...season, [field]: value } : season
+        ),
+      },
+    }));
+    setErrors((prev) => ({ ...prev, seasons: "" }));
+  };
+
+  const addSeason = () => {
+    setFormData((prev) => ({
+      ...prev,
+      rateCard: {
+        ...prev.rateCard,
+        seasons: [...prev.rateCard.seasons, EMPTY_SEASON],
+      },
+    }));
+  };
+
+  const removeSeason = (index) => {
+    setFormData((prev) => ({
+      ...prev,
+      rateCard: {
+        ...prev.rateCard,
+        seasons: prev.rateCard.seasons.filter((_, i) => i !== index),
+      },
+    }));
+    setErrors((prev) => ({ ...prev, seasons: "" }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const validation = validateVesselForm(formData, vessels, editingVessel?.id);
+    if (!validation.isValid) {
+      setErrors(validation.errors);
+      return;
+    }
+
+    setIsSubmitting(true);
+    setSubmitError("");
+    try {
+      const result = await onSubmit(toVesselData(formData));
+      if (result.success) {
+        onClose();
+      } else if (result.fieldErrors) {
+        setErrors(result.fieldErrors);
+      } else {
+        setSubmitError(result.error);
+      }
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleOverlayClick = (e) => {
+    if (e.target === e.currentTarget) {
+      onClose();
+    }
+  };
+
+  const inputClassName = (field) =>
+    `${styles.formInput} ${errors[field] ? styles.inputError : ""}`;
+
+  const renderError = (field) =>
+    errors[field] && (
+      <span className={styles.errorMessage} role="alert">
+        {errors[field]}
+      </span>
+    );
+
+  return (
+    <div
+      className={getThemeClass("modalOverlay", currentTheme, styles)}
+      onClick={handleOverlayClick}
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="vessel-form-title"
+    >
+      <div
+        className={getThemeClass("modalContent", currentTheme, styles)}
+        ref={modalRef}
+      >
+        <div className={styles.modalHeader}>
+          <h2 id="vessel-form-title" className={styles.modalTitle}>
+            {editingVessel ? (
+              <>
+                <EditOutlined style={{ marginRight: "8px" }} />
+                Edit Vessel
+              </>
+            ) : (
+              <>
+                <PlusOutlined style={{ marginRight: "8px" }} />
+                Add Vessel
+              </>
+            )}
+          </h2>
+          <button
+            type="button"
+            className={styles.closeButton}
+            onClick={onClose}
+            aria-label="Close vessel form"
+          >
+            <CloseOutlined />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className={styles.modalBody} noValidate>
+          <div className={styles.formGrid}>
+            {FIELDS.map((field) => (
+              <div key={field.name} className={styles.formGroup}>
+                <label
+                  htmlFor={`vessel-${field.name}`}
+                  className={styles.formLabel}
+                >
+                  {field.label}
+                </label>
+                {field.name === "type" ? (
+                  <select
+                    id="vessel-type"
+                    name="type"
+                    value={formData.type}
+                    onChange={handleChange}
+                    className={inputClassName("type")}
+                    disabled={isSubmitting}
+                  >
+                    <option value="">Select a type</option>
+                    {VESSEL_TYPES.map((type) => (
+                      <option key={type.value} value={type.value}>
+                        {type.label}
+                      </option>
+                    ))}
+                  </select>
+                ) : (
+                  <input
+                    id={`vessel-${field.name}`}
+                    name={field.name}
+                    type={field.type || "text"}
+                    min={field.min}
+                    value={formData[field.name]}
+                    onChange={handleChange}
+                    className={inputClassName(field.name)}
+                    placeholder={field.placeholder}
+                    autoComplete={field.autoComplete}
+                    disabled={isSubmitting}
+                  />
+                )}
+                {renderError(field.name)}
+              </div>
+            ))}
+          </div>
+
+          <fieldset className={styles.fieldset}>
+            <legend className={styles.legend}>Rate card</legend>
+            <div className={styles.formGrid}>
+              <div className={styles.formGroup}>
+                <label htmlFor="vessel-dailyRate" className={styles.formLabel}>
+                  Daily rate
+                </label>
+                <input
+                  id="vessel-dailyRate"
+                  name="dailyRate"
+                  type="number"
+                  min={0}
+                  value={formData.rateCard.dailyRate}
+                  onChange={handleRateChange}
+                  className={inputClassName("dailyRate")}
+                  disabled={isSubmitting}
+                />
+                {renderError("dailyRate")}
+              </div>
+              <div className={styles.formGroup}>
+                <label htmlFor="vessel-currency" className={styles.formLabel}>
+                  Currency
+                </label>
+                <select
+                  id="vessel-currency"
+                  name="currency"
+                  value={formData.rateCard.currency}
+                  onChange={handleRateChange}
+                  className={inputClassName("currency")}
+                  disabled={isSubmitting}
+                >
+                  {Object.entries(CURRENCIES).map(([code, { label }]) => (
+                    <option key={code} value={code}>
+                      {code} — {label}
+                    </option>
+                  ))}
+                </select>
+                {renderError("currency")}
+              </div>
+              <div className={styles.formGroup}>
+                <label
+                  htmlFor="vessel-minimumDays"
+                  className={styles.formLabel}
+                >
+                  Minimum days
+                </label>
+                <input
+                  id="vessel-minimumDays"
+                  name="minimumDays"
+                  type="number"
+                  min={1}
+                  value={formData.rateCard.minimumDays}
+                  onChange={handleRateChange}
+                  className={inputClassName("minimumDays")}
+                  disabled={isSubmitting}
+                />
+                {renderError("minimumDays")}
+              </div>
+            </div>
+
+            {formData.rateCard.seasons.length === 0 ? (
+              <p className={styles.hint}>
+                No seasonal rates; the daily rate applies all year.
+              </p>
+            ) : (
+              <p className={styles.hint}>
+                Seasonal rates replace the daily rate between the given days, in
+                the same currency.
+              </p>
+            )}
+            {formData.rateCard.seasons.map((season, index) => (
+              <div
+                key={index}
+                className={`${styles.listRow} ${styles.seasonRow}`}
+              >
+                {SEASON_FIELDS.map((field) => (
+                  <div key={field.name} className={styles.formGroup}>
+                    <label
+                      htmlFor={`vessel-season-${index}-${field.name}`}
+                      className={styles.formLabel}
+                    >
+                      {field.label}
+                      <span className={styles.srOnly}>
+                        {" "}
+                        of season {index + 1}
+                      </span>
+                    </label>
+                    <input
+                      id={`vessel-season-${index}-${field.name}`}
+                      type={field.type || "text"}
+                      min={field.min}
+                      value={season[field.name]}
+                      onChange={(e) =>
+                        handleSeasonChange(index, field.name, e.target.value)
+                      }
+                      className={styles.formInput}
+                      placeholder={field.placeholder}
+                      disabled={isSubmitting}
+                    />
+                  </div>
+                ))}
+                <button
+                  type="button"
+                  className={styles.removeRowButton}
+                  onClick={() => removeSeason(index)}
+                  aria-label={`Remove season ${index + 1}`}
+                  disabled={isSubmitting}
+                >
+                  <DeleteOutlined />
+                </button>
+              </div>
+            ))}
+            {renderError("seasons")}
+            <button
+              type="button"
+              className={getThemeClass("btnSecondary", currentTheme, styles)}
+              onClick={addSeason}
+              disabled={isSubmitting}
+            >
+              <PlusOutlined />
+              Add Season
+            </button>
+          </fieldset>
+
+          {submitError && (
+            <div className={styles.submitError} role="alert">
+              {submitError}
+            </div>
+          )}
+
+          <div className={styles.formActions}>
+            <button
+              type="button"
+              onClick={onClose}
+              className={getThemeClass("btnSecondary", currentTheme, styles)}
+              disabled={isSubmitting}
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className={getThemeClass("btnPrimary", currentTheme, styles)}
+              disabled={isSubmitting}
+            >
+              {editingVessel ? <SaveOutlined /> : <PlusOutlined />}
+              {editingVessel ? "Save Vessel" : "Add Vessel"}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+VesselForm.propTypes = {
+  /** Whether the form modal is currently open */
+  isOpen: PropTypes.bool.isRequired,
+  /** Callback function called when the form should close */
+  onClose: PropTypes.func.isRequired,
+  /** Called with the vessel data; resolves to `{ success, error, fieldErrors }` */
+  onSubmit: PropTypes.func.isRequired,
+  /** Vessel to edit (enables edit mode) */
+  editingVessel: PropTypes.shape({
+    /** Vessel ID */
+    id: PropTypes.string.isRequired,
+    /** Registered vessel name */
+    name: PropTypes.string.isRequired,
+  }),
+  /** Registered vessels, to catch duplicates before submitting */
+  vessels: PropTypes.arrayOf(PropTypes.object),
+};
+
+export default VesselForm;
@@ -0,0 +1,263 @@
+import React, { useMemo, useState } from "react";
+import { useTheme } from "../../contexts/ThemeContext";
+import { useToast } from "../../contexts/ToastContext";
+import { useVessels } from "../../hooks/useVessels";
+import { getVesselTypeLabel, searchVessels } from "../../utils/vesselUtils";
+import { formatMoney } from "../../utils/currencyUtils";
+import { liveRegionManager } from "../../utils/accessibility";
+import { getThemeClass } from "../../utils/themeUtils";
+import VesselForm from "../VesselForm/VesselForm";
+import {
+  DeleteOutlined,
+  EditOutlined,
+  LoadingOutlined,
+  PlusOutlined,
+  SearchOutlined,
+} from "@ant-design/icons";
+import styles from "../../styles/RegistryPage.module.css";
+
+const formatNumber = (value) =>
+  value === null || value === undefined
+    ? "—"
+    : Number(value).toLocaleString("en-US");
+
+/**
+ * Vessel registry page. Lists the registered vessels with their
+ * specifications and lets the user add, edit and remove them. Bookings refer
+ * to these vessels by ID, so renaming a vessel renames it on its bookings too.
+ *
+ * Features:
+ * - Table of vessels with IMO number, type, deadweight, capacity, flag, owner
+ *   and daily hire rate (with the number of seasonal rates, if any)
+ * - Search by name, IMO number or owner
+ * - Add and edit through the vessel form modal
+ * - Two-step delete; vessels still used by bookings are kept and the
+ *   bookings using them are listed in the error
+ * - Loading and error states, theme support and screen reader announcements
+ *
+ * @component
+ * @returns {JSX.Element} The vessel registry page
+ *
+ * @example
+ * <VesselsPage />
+ */
+const VesselsPage = () => {
+  const { currentTheme } = useTheme();
+  const { showSuccess, showError } = useToast();
+  const { vessels, loading, error, createVessel, updateVessel, deleteVessel } =
+    useVessels();
+  const [searchTerm, setSearchTerm] = useState("");
+  const [showForm, setShowForm] = useState(false);
+  const [editingVessel, setEditingVessel] = useState(null);
+  // Vessel whose delete button is waiting for a confirming click
+  const [confirmDeleteId, setConfirmDeleteId] = useState(null);
+  const [processingId, setProcessingId] = useState(null);
+
+  const visibleVessels = useMemo(
+    () => searchVessels(vessels, searchTerm),
+    [vessels, searchTerm]
+  );
+
+  const openForm = (vessel = null) => {
+    setEditingVessel(vessel);
+    setConfirmDeleteId(null);
+    setShowForm(true);
+  };
+
+  const closeForm = () => {
+    setShowForm(false);
+    setEditingVessel(null);
+  };
+
+  const handleSubmit = async (vesselData) => {
+    const result = editingVessel
+      ? await updateVessel(editingVessel.id, vesselData)
+      : await createVessel(vesselData);
+    if (result.success) {
+      const message = editingVessel
+        ? `${result.vessel.name} updated`
+        : `${result.vessel.name} added to the registry`;
+      showSuccess(message);
+      liveRegionManager.announce(message, "polite");
+    }
+    return result;
+  };
+
+  const handleDelete = async (vessel) => {
+    if (confirmDeleteId !== vessel.id) {
+      setConfirmDeleteId(vessel.id);
+      return;
+    }
+
+    setConfirmDeleteId(null);
+    setProcessingId(vessel.id);
+    try {
+      const result = await deleteVessel(vessel.id);
+      if (result.success) {
+        showSuccess(`${vessel.name} removed from the registry`);
+        liveRegionManager.announce(
+          `${vessel.name} removed from the registry`,
+          "polite"
+        );
+      } else {
+        showError(`Failed to delete vessel: ${result.error}`);
+      }
+    } finally {
+      setProcessingId(null);
+    }
+  };
+
+  return (
+    <div className={styles.page}>
+      <div className={styles.pageHeader}>
+        <div>
+          <h2 className={getThemeClass("headerTitle", currentTheme, styles)}>
+            Vessels
+          </h2>
+          <p className={getThemeClass("headerSubtitle", currentTheme, styles)}>
+            Registered vessels and their specifications
+          </p>
+        </div>
+        <button
+          type="button"
+          className={getThemeClass("btnPrimary", currentTheme, styles)}
+          onClick={() => openForm()}
+        >
+          <PlusOutlined />
+          Add Vessel
+        </button>
+      </div>
+
+      <div className={getThemeClass("searchContainer", currentTheme, styles)}>
+        <SearchOutlined className={styles.searchIcon} />
+        <input
+          type="search"
+          value={searchTerm}
+          onChange={(e) => setSearchTerm(e.target.value)}
+          placeholder="Search by name, IMO number or owner..."
+          className={styles.searchInput}
+          aria-label="Search vessels"
+        />
+      </div>
+
+      {loading ? (
+        <p className={styles.stateMessage}>
+          <LoadingOutlined style={{ marginRight: "8px" }} />
+          Loading vessels...
+        </p>
+      ) : error ? (
+        <div className={styles.errorMessage} role="alert">
+          Failed to load vessels: {error}
+        </div>
+      ) : visibleVessels.length === 0 ? (
+        <p className={styles.stateMessage}>
+          {searchTerm
+            ? "No vessels match your search."
+            : "No vessels registered yet."}
+        </p>
+      ) : (
+        <div className={styles.tableContainer}>
+          <table className={getThemeClass("table", currentTheme, styles)}>
+            <thead>
+              <tr>
+                <th scope="col">Name</th>
+                <th scope="col">IMO number</th>
+                <th scope="col">Type</th>
+                <th scope="col" className={styles.numeric}>
+                  DWT (t)
+                </th>
+                <th scope="col" className={styles.numeric}>
+                  Capacity
+                </th>
+                <th scope="col">Flag</th>
+                <th scope="col">Owner</th>
+                <th scope="col" className={styles.numeric}>
+                  Daily rate
+                </th>
+                <th scope="col">
+                  <span className={styles.srOnly}>Actions</span>
+                </th>
+              </tr>
+            </thead>
+            <tbody>
+              {visibleVessels.map((vessel) => (
+                <tr key={vessel.id}>
+                  <td>
+                    <div className={styles.recordName}>{vessel.name}</div>
+                    <div className={styles.secondaryText}>{vessel.id}</div>
+                  </td>
+                  <td>{vessel.imoNumber || "—"}</td>
+                  <td>{getVesselTypeLabel(vessel.type)}</td>
+                  <td className={styles.numeric}>{formatNumber(vessel.dwt)}</td>
+                  <td className={styles.numeric}>
+                    {formatNumber(vessel.capacity)}
+                  </td>
+                  <td>{vessel.flag || "—"}</td>
+                  <td>{vessel.owner || "—"}</td>
+                  <td className={styles.numeric}>
+                    {formatMoney(
+                      vessel.rateCard?.dailyRate,
+                      vessel.rateCard?.currency
+                    )}
+                    {vessel.rateCard?.seasons?.length > 0 && (
+                      <div className={styles.secondaryText}>
+                        {vessel.rateCard.seasons.length} seasonal rate
+                        {vessel.rateCard.seasons.length !== 1 ? "s" : ""}
+                      </div>
+                    )}
+                  </td>
+                  <td>
+                    <div className={styles.rowActions}>
+                      <button
+                        type="button"
+                        className={getThemeClass(
+                          "btnSecondary",
+                          currentTheme,
+                          styles
+                        )}
+                        onClick={() => openForm(vessel)}
+                        disabled={processingId !== null}
+                        aria-label={`Edit vessel ${vessel.name}`}
+                      >
+                        <EditOutlined />
+                        Edit
+                      </button>
+                      <button
+                        type="button"
+                        className={getThemeClass(
+                          "btnDanger",
+                          currentTheme,
+                          styles
+                        )}
+                        onClick={() => handleDelete(vessel)}
+                        disabled={processingId !== null}
+                        aria-label={
+                          confirmDeleteId === vessel.id
+                            ? `Confirm deletion of vessel ${vessel.name}`
+                            : `Delete vessel ${vessel.name}`
+                        }
+                      >
+                        <DeleteOutlined />
+                        {confirmDeleteId === vessel.id ? "Confirm" : "Delete"}
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <VesselForm
+        isOpen={showForm}
+        onClose={closeForm}
+        onSubmit={handleSubmit}
+        editingVessel={editingVessel}
+        vessels={vessels}
+      />
+    </div>
+  );
+};
+
+export default VesselsPage;
@@ -1,25 +1,51 @@
-// Sample booking data as provided in the assessment
+// Sample booking data as provided in the assessment, linked to the sample
+// vessel registry and customer directory (see mockVessels, mockCustomers).
+// Some have voyage legs between ports of the port list (see ports), and
+// some a laycan, narrowed from an earlier window
 export const mockBookings = [
   {
     id: "BK-1001",
     customer: "Acme Wind",
+    customerId: "CU-1001",
     vessel: "Nordic Star",
+    vesselId: "VS-1001",
     status: "confirmed",
     startDate: "2026-01-10",
     endDate: "2026-01-22",
+    legs: [
+      {
+        loadPort: "DKEBJ",
+        loadEta: "2026-01-10T08:00",
+        dischargePort: "NOSVG",
+        dischargeEta: "2026-01-12T14:00",
+      },
+      {
+        loadPort: "NOSVG",
+        loadEta: "2026-01-20T06:00",
+        dischargePort: "DKEBJ",
+        dischargeEta: "2026-01-22T10:00",
+      },
+    ],
   },
   {
     id: "BK-1002",
     customer: "BlueWave",
+    customerId: "CU-1002",
     vessel: "Sea Finch",
+    vesselId: "VS-1002",
     status: "pending",
     startDate: "2026-02-03",
     endDate: "2026-02-05",
+    laycanStart: "2026-02-02",
+    laycanEnd: "2026-02-04",
+    laycanHistory: [{ start: "2026-01-30", end: "2026-02-06" }],
   },
   {
     id: "BK-1003",
     customer: "Oceanix",
+    customerId: "CU-1003",
     vessel: "Asteria",
+    vesselId: "VS-1003",
     status: "cancelled",
     startDate: "2026-01-28",
     endDate: "2026-01-31",
@@ -28,23 +54,39 @@ export const mockBookings = [
   {
     id: "BK-1004",
     customer: "Maritime Solutions",
+    customerId: "CU-1004",
     vessel: "Ocean Pioneer",
+    vesselId: "VS-1004",
     status: "confirmed",
     startDate: "2026-02-15",
     endDate: "2026-02-20",
+    legs: [
+      {
+        loadPort: "GBABD",
+        loadEta: "2026-02-15T09:00",
+        dischargePort: "NLRTM",
+        dischargeEta: "2026-02-20T16:30",
+      },
+    ],
   },
   {
     id: "BK-1005",
     customer: "Deep Sea Logistics",
+    customerId: "CU-1005",
     vessel: "Blue Horizon",
+    vesselId: "VS-1005",
     status: "pending",
     startDate: "2026-03-01",
     endDate: "2026-03-10",
+    laycanStart: "2026-02-27",
+    laycanEnd: "2026-03-03",
   },
   {
     id: "BK-1006",
     customer: "Coastal Transport",
+    customerId: "CU-1006",
     vessel: "Wave Rider",
+    vesselId: "VS-1006",
     status: "cancelled",
     startDate: "2026-02-25",
     endDate: "2026-02-28",
@@ -0,0 +1,122 @@
+// Sample customer directory, covering every customer in the sample bookings
+export const mockCustomers = [
+  {
+    id: "CU-1001",
+    name: "Acme Wind",
+    legalName: "Acme Wind Energy Ltd",
+    aliases: ["Acme", "Acme Wind Energy"],
+    contacts: [
+      {
+        name: "Sarah Collins",
+        role: "Chartering manager",
+        email: "s.collins@acmewind.example",
+        phone: "+44 20 7946 0123",
+      },
+    ],
+    billingAddress: {
+      street: "12 Harbour Road",
+      city: "Aberdeen",
+      postalCode: "AB11 5BB",
+      country: "United Kingdom",
+    },
+    notes: "Prefers service operation vessels for long campaigns.",
+  },
+  {
+    id: "CU-1002",
+    name: "BlueWave",
+    legalName: "BlueWave Offshore B.V.",
+    aliases: ["Blue Wave"],
+    contacts: [
+      {
+        name: "Pieter de Vries",
+        role: "Operations",
+        email: "ops@bluewave.example",
+        phone: "+31 10 555 0199",
+      },
+    ],
+    billingAddress: {
+      street: "Waalhaven 45",
+      city: "Rotterdam",
+      postalCode: "3089 JH",
+      country: "Netherlands",
+    },
+    notes: "",
+  },
+  {
+    id: "CU-1003",
+    name: "Oceanix",
+    legalName: "Oceanix Maritime S.A.",
+    aliases: ["Oceanix SA"],
+    contacts: [
+      {
+        name: "Eleni Papadopoulou",
+        role: "Chartering",
+        email: "chartering@oceanix.example",
+        phone: "+30 210 555 0147",
+      },
+    ],
+    billingAddress: {
+      street: "Akti Miaouli 81",
+      city: "Piraeus",
+      postalCode: "185 38",
+      country: "Greece",
+    },
+    notes: "",
+  },
+  {
+    id: "CU-1004",
+    name: "Maritime Solutions",
+    legalName: "Maritime Solutions GmbH",
+    aliases: [],
+    contacts: [
+      {
+        name: "Jonas Weber",
+        role: "Procurement",
+        email: "j.weber@maritime-solutions.example",
+        phone: "+49 40 555 0110",
+      },
+    ],
+    billingAddress: {
+      street: "Am Sandtorkai 50",
+      city: "Hamburg",
+      postalCode: "20457",
+      country: "Germany",
+    },
+    notes: "",
+  },
+  {
+    id: "CU-1005",
+    name: "Deep Sea Logistics",
+    legalName: "Deep Sea Logistics Ltd",
+    aliases: ["DSL"],
+    contacts: [],
+    billingAddress: {
+      street: "8 Quay Street",
+      city: "Limassol",
+      postalCode: "3036",
+      country: "Cyprus",
+    },
+    notes: "",
+  },
+  {
+    id: "CU-1006",
+    name: "Coastal Transport",
+    legalName: "Coastal Transport ApS",
+    aliases: [],
+    contacts: [
+      {
+        name: "Mette Larsen",
+        role: "Owner",
+        email: "mette@coastaltransport.example",
+        phone: "+45 33 55 01 23",
+      },
+    ],
+    billingAddress: {
+      street: "Havnegade 20",
+      city: "Esbjerg",
+      postalCode: "6700",
+      country: "Denmark",
+    },
+    notes: "",
+  },
+];
@@ -0,0 +1,22 @@
+// Sample exchange rate table, as units of each currency per 1 EUR. USD has
+// a newer rate so conversions show the one in effect on each booking date
+export const mockFxRates = [
+  {
+    id: "FX-1001",
+    currency: "USD",
+    rate: 1.08,
+    effectiveDate: "2024-01-01",
+  },
+  {
+    id: "FX-1002",
+    currency: "USD",
+    rate: 1.12,
+    effectiveDate: "2026-01-01",
+  },
+  {
+    id: "FX-1003",
+    currency: "NOK",
+    rate: 11.6,
+    effectiveDate: "2024-01-01",
+  },
+];
@@ -0,0 +1,108 @@
+// Sample vessel registry, covering every vessel in the sample bookings.
+// Wave Rider has no rate card yet, so its bookings show no value
+export const mockVessels = [
+  {
+    id: "VS-1001",
+    name: "Nordic Star",
+    imoNumber: "9784518",
+    type: "service_operation",
+    dwt: 4200,
+    capacity: 60,
+    flag: "Norway",
+    owner: "Nordic Offshore AS",
+    rateCard: {
+      dailyRate: 28000,
+      minimumDays: 7,
+      seasons: [
+        { name: "Summer", start: "05-01", end: "09-30", dailyRate: 32000 },
+      ],
+    },
+  },
+  {
+    id: "VS-1002",
+    name: "Sea Finch",
+    imoNumber: "9612038",
+    type: "crew_transfer",
+    dwt: 45,
+    capacity: 24,
+    flag: "United Kingdom",
+    owner: "Finch Marine Ltd",
+    rateCard: {
+      dailyRate: 3200,
+      minimumDays: 2,
+      seasons: [
+        { name: "Summer", start: "06-01", end: "08-31", dailyRate: 3800 },
+        { name: "Winter", start: "12-01", end: "02-28", dailyRate: 2900 },
+      ],
+    },
+  },
+  {
+    id: "VS-1003",
+    name: "Asteria",
+    imoNumber: "9833723",
+    type: "offshore_supply",
+    dwt: 5100,
+    capacity: 40,
+    flag: "Greece",
+    owner: "Aegean Offshore Services",
+    rateCard: {
+      dailyRate: 14500,
+      minimumDays: 3,
+      seasons: [],
+    },
+  },
+  {
+    id: "VS-1004",
+    name: "Ocean Pioneer",
+    imoNumber: "9722869",
+    type: "survey",
+    dwt: 2300,
+    capacity: 50,
+    flag: "Malta",
+    owner: "Pioneer Survey Ltd",
+    rateCard: {
+      dailyRate: 19000,
+      minimumDays: 5,
+      seasons: [
+        { name: "Survey season", start: "04-01", end: "10-31", dailyRate: 21500 },
+      ],
+    },
+  },
+  {
+    id: "VS-1005",
+    name: "Blue Horizon",
+    imoNumber: "9551404",
+    type: "anchor_handling",
+    dwt: 3900,
+    capacity: 35,
+    flag: "Cyprus",
+    owner: "Horizon Shipping Co",
+    rateCard: {
+      dailyRate: 22000,
+      minimumDays: null,
+      seasons: [],
+    },
+  },
+  {
+    id: "VS-1006",
+    name: "Wave Rider",
+    imoNumber: "9886172",
+    type: "crew_transfer",
+    dwt: 38,
+    capacity: 12,
+    flag: "Denmark",
+    owner: "Coastal Transport ApS",
+  },
+];
+
+// Vessel types the registry accepts
+export const VESSEL_TYPES = [
+  { value: "crew_transfer", label: "Crew transfer vessel" },
+  { value: "service_operation", label: "Service operation vessel" },
+  { value: "offshore_supply", label: "Offshore supply vessel" },
+  { value: "anchor_handling", label: "Anchor handling tug supply" },
+  { value: "survey", label: "Survey vessel" },
+  { value: "bulk_carrier", label: "Bulk carrier" },
+  { value: "tanker", label: "Tanker" },
+  { value: "other", label: "Other" },
+];
@@ -0,0 +1,76 @@
+// Port reference list, keyed by UN/LOCODE. Timezones are IANA names, used
+// to show ETAs in the port's local time
+export const PORTS = [
+  {
+    code: "BEANR",
+    name: "Antwerp",
+    country: "Belgium",
+    timezone: "Europe/Brussels",
+  },
+  {
+    code: "DEBRV",
+    name: "Bremerhaven",
+    country: "Germany",
+    timezone: "Europe/Berlin",
+  },
+  {
+    code: "DKEBJ",
+    name: "Esbjerg",
+    country: "Denmark",
+    timezone: "Europe/Copenhagen",
+  },
+  {
+    code: "GBABD",
+    name: "Aberdeen",
+    country: "United Kingdom",
+    timezone: "Europe/London",
+  },
+  {
+    code: "GBHUL",
+    name: "Hull",
+    country: "United Kingdom",
+    timezone: "Europe/London",
+  },
+  {
+    code: "GRPIR",
+    name: "Piraeus",
+    country: "Greece",
+    timezone: "Europe/Athens",
+  },
+  {
+    code: "GRSKG",
+    name: "Thessaloniki",
+    country: "Greece",
+    timezone: "Europe/Athens",
+  },
+  {
+    code: "NLRTM",
+    name: "Rotterdam",
+    country: "Netherlands",
+    timezone: "Europe/Amsterdam",
+  },
+  {
+    code: "NOBGO",
+    name: "Bergen",
+    country: "Norway",
+    timezone: "Europe/Oslo",
+  },
+  {
+    code: "NOSVG",
+    name: "Stavanger",
+    country: "Norway",
+    timezone: "Europe/Oslo",
+  },
+  {
+    code: "SGSIN",
+    name: "Singapore",
+    country: "Singapore",
+    timezone: "Asia/Singapore",
+  },
+  {
+    code: "USHOU",
+    name: "Houston",
+    country: "United States",
+    timezone: "America/Chicago",
+  },
+];
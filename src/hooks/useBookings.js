@@ -1,6 +1,118 @@
-import { useState, useEffect, useCallback } from "react";
+import { useState, useEffect, useCallback, useMemo, useRef } from "react";
 import { bookingService } from "../services/bookingService";
-import { filterBookings } from "../utils/bookingUtils";
+import {
+  BookingBulkError,
+  BookingConflictError,
+  BookingTransitionError,
+  BookingVersionConflictError,
+  isAbortError,
+} from "../services/bookingErrors";
+import { AUDIT_ACTIONS } from "../services/auditLog";
+import { BOOKING_SYNC_CHANNEL } from "../services/bookingSync";
+import {
+  CIRCUIT_STATES,
+  getCircuitState,
+  requestProbe,
+  subscribeToCircuit,
+} from "../services/circuitBreaker";
+import { getConflictPolicy } from "../services/conflictPolicy";
+import {
+  MUTATION_TYPES,
+  discardMutation,
+  enqueueMutation,
+  flushMutationQueue,
+  getQueuedMutations,
+  isLocalBookingId,
+  isNetworkError,
+  subscribeToMutationQueue,
+} from "../services/mutationQueue";
+import {
+  DEFAULT_PAGE_SIZE,
+  filterBookings,
+  findBookingConflicts,
+} from "../utils/bookingUtils";
+import { useCrossTabMessages } from "./useSessionStorage";
+
+// Bookings fetched per request when loading every page of the current view
+const VIEW_PAGE_SIZE = 500;
+
+// How long rows changed in another tab stay highlighted
+export const REMOTE_CHANGE_FLASH_MS = 2000;
+
+// Shape a failed operation result, keeping conflict details for the UI
+const toErrorResult = (err) => {
+  const result = { success: false, error: err.message };
+  if (isAbortError(err)) {
+    result.aborted = true;
+  }
+  if (err instanceof BookingConflictError) {
+    result.conflictingIds = err.conflictingIds;
+  }
+  if (err instanceof BookingVersionConflictError) {
+    result.versionConflict = { current: err.current };
+  }
+  if (err instanceof BookingBulkError) {
+    result.results = err.results;
+  }
+  if (err instanceof BookingTransitionError) {
+    result.fieldErrors = err.fieldErrors;
+  }
+  return result;
+};
+
+// Base a write on the loaded booking's version, unless the caller overrides it
+const resolveWriteOptions = (bookings, bookingId, options = {}) => {
+  if (options.expectedVersion !== undefined) {
+    return options;
+  }
+  const known = bookings.find((booking) => booking.id === bookingId);
+  return known?.version ? { expectedVersion: known.version } : {};
+};
+
+// The booking a queued create will produce, shown until it is synced
+const toPendingBooking = (entry) => ({
+  ...entry.payload,
+  id: entry.bookingId,
+  status: entry.payload.status || "pending",
+});
+
+// Show queued writes on the loaded page until they are synced. Creates are
+// listed first on page 1 when they match the filters.
+const applyQueuedMutations = (bookings, entries, { filters, page }) => {
+  const pending = entries.filter((entry) => !entry.failed);
+  const updates = new Map();
+  const deletedIds = new Set();
+
+  pending.forEach((entry) => {
+    if (entry.type === MUTATION_TYPES.UPDATE) {
+      updates.set(entry.bookingId, {
+        ...updates.get(entry.bookingId),
+        ...entry.payload,
+      });
+    } else if (entry.type === MUTATION_TYPES.DELETE) {
+      deletedIds.add(entry.bookingId);
+    }
+  });
+
+  const created =
+    page === 1
+      ? filterBookings(
+          pending
+            .filter((entry) => entry.type === MUTATION_TYPES.CREATE)
+            .map(toPendingBooking),
+          filters
+        )
+      : [];
+
+  // Writes queued behind a create that is being sent apply to it as well
+  return [...created, ...bookings]
+    .filter((booking) => !deletedIds.has(booking.id))
+    .map((booking) =>
+      updates.has(booking.id)
+        ? { ...booking, ...updates.get(booking.id) }
+        : booking
+    );
+};
 
 /**
  * Custom hook for managing bookings data and operations. Provides comprehensive
@@ -8,36 +120,106 @@ import { filterBookings } from "../utils/bookingUtils";
  * and state management. Handles loading states, error handling, and automatic
  * data synchronization.
  *
+ * Filtering, sorting and pagination are done by `bookingService.queryBookings`,
+ * so they can run on a backend; the hook only holds the current page.
+ *
  * Features:
  * - Complete booking data lifecycle management
- * - Real-time filtering with multiple criteria (name, status, date range)
- * - CRUD operations (create, read, update, delete) with optimistic updates
+ * - Server-style filtering with multiple criteria (name, status, date range)
+ * - Server-style sorting and pagination with a configurable page size
+ * - CRUD operations (create, read, update, delete) with optimistic updates,
+ *   followed by a background refetch of the current page
  * - Loading states and error handling for all operations
- * - Automatic data refetching and filter reapplication
- * - Sorting functionality with multiple sort options
+ * - Superseded queries are aborted and their responses ignored
+ * - Resilience: the service retries transient failures; while its circuit
+ *   breaker is open, the page is refetched as soon as the next probe is allowed
  * - Memory efficient with proper cleanup and state management
+ * - Optimistic concurrency: writes are based on the loaded booking version and
+ *   stale writes come back with `versionConflict.current` (the stored booking)
+ * - Offline support: writes that cannot reach the backend are queued (see
+ *   mutationQueue), shown in the list straight away and retried with backoff,
+ *   and immediately when the browser comes back online. They resolve to
+ *   `{ success: true, queued: true }`.
+ * - Live updates from other tabs: changes announced by `bookingService` in
+ *   another tab are merged into the page, the affected rows are flagged for a
+ *   short highlight and `onRemoteChange` is called so the UI can say what changed
  *
+ * @param {Object} [options] - Hook options
+ * @param {function(Object): void} [options.onRemoteChange] - Called with each change made
+ *   in another tab, `{ type, bookingId, booking, changes, actor }` (see bookingSync)
  * @returns {Object} Booking management state and operations
- * @returns {Array} returns.bookings - All bookings data from the API
- * @returns {Array} returns.filteredBookings - Bookings after applying current filters
+ * @returns {Array} returns.bookings - Bookings on the current page, filtered and sorted,
+ *   with queued writes applied
+ * @returns {number} returns.total - Number of bookings matching the current filters
+ * @returns {number} returns.page - Current page (1-based)
+ * @returns {number} returns.pageSize - Bookings per page
+ * @returns {Object} returns.sort - Current sort `{ column, direction }`
+ * @returns {function} returns.setPage - Function to go to a page
+ * @returns {function} returns.setPageSize - Function to change the page size; returns to page 1
+ * @returns {function} returns.updateSort - Function to change the sort `{ column, direction }`
  * @returns {boolean} returns.loading - Whether data is currently being fetched
  * @returns {string|null} returns.error - Current error message, if any
  * @returns {Object} returns.filters - Current filter values object
  * @returns {string} returns.filters.customerName - Customer name search filter
  * @returns {string} returns.filters.status - Status filter value
+ * @returns {string} returns.filters.vesselId - Registered vessel filter value
+ * @returns {string} returns.filters.customerId - Customer directory filter value
+ * @returns {string} returns.filters.port - Port of call filter value (UN/LOCODE)
  * @returns {Object} returns.filters.dateRange - Date range filter object
  * @returns {function} returns.updateFilters - Function to update filter values
  * @returns {function} returns.clearFilters - Function to reset all filters
  * @returns {function} returns.addBooking - Function to create a new booking
- * @returns {function} returns.updateBookingStatus - Function to update booking status
- * @returns {function} returns.deleteBooking - Function to delete a booking
- * @returns {function} returns.refreshBookings - Function to manually refresh data
- * @returns {function} returns.sortBookings - Function to sort bookings with specified criteria
+ * @returns {function} returns.updateBookingStatus - Function to update booking status;
+ *   accepts `{ fields, expectedVersion }` as a third argument, where `fields` holds the
+ *   values the transition requires (see bookingWorkflow) and `expectedVersion` overrides
+ *   the loaded version
+ * @returns {function} returns.updateBooking - Function to update booking fields; accepts
+ *   `{ expectedVersion }` as a third argument to override the loaded version
+ * @returns {function} returns.deleteBooking - Function to move a booking to the trash; accepts
+ *   `{ expectedVersion }` as a second argument to override the loaded version
+ * @returns {function} returns.bulkUpdateStatus - Function setting the status of several bookings
+ *   `(ids, status, { fields })`; all-or-nothing, resolving to `{ success, results }` with one
+ *   `{ id, status }` report per booking (see BULK_ITEM_STATUS)
+ * @returns {function} returns.bulkDelete - Function moving several bookings to the trash `(ids)`;
+ *   all-or-nothing like bulkUpdateStatus
+ * @returns {function} returns.bulkUpdate - Function applying `[{ id, changes }]` patches;
+ *   all-or-nothing like bulkUpdateStatus
+ * @returns {function} returns.importBookings - Function creating several bookings `(bookingsData)`,
+ *   e.g. imported rows; all-or-nothing like bulkUpdateStatus, with create reports in input order
+ * @returns {function} returns.getAllBookings - Function loading every booking, not just the
+ *   current page, resolving to `{ success, bookings }`; accepts `{ signal }`
+ * @returns {function} returns.getViewBookings - Function loading every booking that matches the
+ *   current filters, on all pages, in the current sort order; resolves to `{ success, bookings }`
+ *   and accepts `{ signal }`
+ * @returns {function} returns.getDeletedBookings - Function to load the trash, resolving to
+ *   `{ success, bookings }`; accepts `{ signal }` to abort the request
+ * @returns {function} returns.restoreBooking - Function to restore a booking from the trash
+ * @returns {function} returns.purgeBooking - Function to permanently delete a booking from the trash
+ * @returns {function} returns.refreshBookings - Function to manually refresh data; ends an open
+ *   circuit breaker's cooldown so the refresh probes the backend
+ * @returns {function} returns.checkConflicts - Function to find vessel double bookings for form data
+ *   among the loaded bookings; the service still rejects conflicts with bookings on other pages
+ * @returns {function} returns.getBookingActivity - Function to load a booking's audit trail,
+ *   resolving to `{ success, entries }` with the newest entry first; accepts `{ signal }`
+ *   as a second argument to abort the request
+ * @returns {Object} returns.pendingSync - Queued write type by booking ID, for bookings
+ *   with changes not yet synced
+ * @returns {Array} returns.queuedMutations - Writes waiting to be synced, oldest first
+ * @returns {function} returns.discardQueuedMutation - Function to drop a queued write by entry ID
+ * @returns {function} returns.retryQueuedMutations - Function to send queued writes now,
+ *   resolving to `{ synced, rejected, remaining }`
+ * @returns {Array<string>} returns.flashingBookingIds - IDs of bookings just changed in
+ *   another tab, to highlight
+ * @returns {Object} returns.serviceStatus - Circuit breaker state
+ *   `{ state, consecutiveFailures, retryAt }` (see circuitBreaker)
  *
  * @example
  * // Basic usage in a component
  * const {
- *   filteredBookings,
+ *   bookings,
+ *   total,
+ *   page,
+ *   setPage,
  *   loading,
  *   error,
  *   filters,
@@ -57,45 +239,215 @@ import { filterBookings } from "../utils/bookingUtils";
  *   }
  * };
  */
-export const useBookings = () => {
+export const useBookings = ({ onRemoteChange } = {}) => {
   const [bookings, setBookings] = useState([]);
-  const [filteredBookings, setFilteredBookings] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(1);
+  const [pageSize, setPageSizeState] = useState(DEFAULT_PAGE_SIZE);
+  const [sort, setSort] = useState({ column: null, direction: null });
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  // Latest bookings, read by write operations to find the version they are based on
+  const bookingsRef = useRef(bookings);
+  bookingsRef.current = bookings;
+  // Controller of the query in flight; a newer query aborts it
+  const queryControllerRef = useRef(null);
   const [filters, setFilters] = useState({
     customerName: "",
     status: "",
+    vesselId: "",
+    customerId: "",
+    port: "",
     dateRange: { start: "", end: "" },
   });
+  const filtersRef = useRef(filters);
+  filtersRef.current = filters;
+  const [queuedMutations, setQueuedMutations] = useState(getQueuedMutations);
+  const [flashingBookingIds, setFlashingBookingIds] = useState([]);
+  const flashTimersRef = useRef(new Map());
+  const onRemoteChangeRef = useRef(onRemoteChange);
+  onRemoteChangeRef.current = onRemoteChange;
 
-  // Fetch bookings from API
-  const fetchBookings = useCallback(async () => {
-    try {
-      setLoading(true);
-      setError(null);
-      const data = await bookingService.getBookings();
-      setBookings(data);
-    } catch (err) {
-      setError(err.message);
-    } finally {
-      setLoading(false);
-    }
-  }, []);
+  const [serviceStatus, setServiceStatus] = useState(getCircuitState);
 
-  // Apply filters whenever bookings or filters change
-  useEffect(() => {
-    const filtered = filterBookings(bookings, filters);
-    setFilteredBookings(filtered);
-  }, [bookings, filters]);
+  useEffect(() => subscribeToMutationQueue(setQueuedMutations), []);
+  useEffect(() => subscribeToCircuit(setServiceStatus), []);
+
+  // Fetch the current page from the API, aborting any query still in flight.
+  // Background refreshes keep showing the current page instead of the
+  // loading state.
+  const fetchBookings = useCallback(
+    async ({ background = false } = {}) => {
+      queryControllerRef.current?.abort();
+      const controller = new AbortController();
+      queryControllerRef.current = controller;
+
+      try {
+        if (!background) {
+          setLoading(true);
+        }
+        setError(null);
+        const result = await bookingService.queryBookings(
+          { filters, sort, page, pageSize },
+          { signal: controller.signal }
+        );
+        if (controller.signal.aborted) return;
 
-  // Initial fetch
+        setBookings(result.items);
+        setTotal(result.total);
+        // The service clamps pages that no longer exist, e.g. after a delete
+        if (result.page !== page) {
+          setPage(result.page);
+        }
+      } catch (err) {
+        // Superseded or unmounted: the newer query reports its own outcome
+        if (controller.signal.aborted || isAbortError(err)) return;
+        setError(err.message);
+      } finally {
+        if (!controller.signal.aborted) {
+          setLoading(false);
+        }
+      }
+    },
+    [filters, sort, page, pageSize]
+  );
+
+  // Query whenever filters, sorting or paging change
   useEffect(() => {
     fetchBookings();
   }, [fetchBookings]);
 
-  // Update filters
+  // Abort the query in flight on unmount
+  useEffect(() => () => queryControllerRef.current?.abort(), []);
+
+  // Pick up server-side effects of a write (ordering, totals, paging)
+  const refreshInBackground = useCallback(() => {
+    fetchBookings({ background: true });
+  }, [fetchBookings]);
+
+  // Send queued writes and pick up what the backend made of them
+  const retryQueuedMutations = useCallback(
+    async (options) => {
+      const result = await flushMutationQueue(options);
+      if (result.synced.length > 0) {
+        refreshInBackground();
+      }
+      return result;
+    },
+    [refreshInBackground]
+  );
+
+  // Probe the backend with a refetch once the open circuit allows it
+  useEffect(() => {
+    if (serviceStatus.state !== CIRCUIT_STATES.OPEN) return;
+
+    const timer = setTimeout(
+      refreshInBackground,
+      Math.max(0, new Date(serviceStatus.retryAt) - Date.now())
+    );
+    return () => clearTimeout(timer);
+  }, [serviceStatus, refreshInBackground]);
+
+  // Retry when the oldest queued write is due
+  useEffect(() => {
+    const next = queuedMutations.find((entry) => !entry.failed);
+    if (!next) return;
+
+    const timer = setTimeout(
+      retryQueuedMutations,
+      Math.max(0, new Date(next.nextAttemptAt) - Date.now())
+    );
+    return () => clearTimeout(timer);
+  }, [queuedMutations, retryQueuedMutations]);
+
+  // Retry straight away when the connection comes back
+  useEffect(() => {
+    const handleOnline = () => retryQueuedMutations({ force: true });
+    window.addEventListener("online", handleOnline);
+    return () => window.removeEventListener("online", handleOnline);
+  }, [retryQueuedMutations]);
+
+  // Highlight a booking for a moment, restarting the highlight if it changes again
+  const flashBooking = useCallback((bookingId) => {
+    const timers = flashTimersRef.current;
+    clearTimeout(timers.get(bookingId));
+    setFlashingBookingIds((prev) =>
+      prev.includes(bookingId) ? prev : [...prev, bookingId]
+    );
+    timers.set(
+      bookingId,
+      setTimeout(() => {
+        timers.delete(bookingId);
+        setFlashingBookingIds((prev) => prev.filter((id) => id !== bookingId));
+      }, REMOTE_CHANGE_FLASH_MS)
+    );
+  }, []);
+
+  useEffect(() => {
+    const timers = flashTimersRef.current;
+    return () => timers.forEach((timer) => clearTimeout(timer));
+  }, []);
+
+  // Merge a change made in another tab, then refetch the page for anything
+  // the change moves in or out of it (new bookings, ordering, totals)
+  const handleRemoteChange = useCallback(
+    (change) => {
+      if (!change?.bookingId) return;
+
+      if (
+        change.type === AUDIT_ACTIONS.DELETED ||
+        change.type === AUDIT_ACTIONS.PURGED
+      ) {
+        setBookings((prev) =>
+          prev.filter((booking) => booking.id !== change.bookingId)
+        );
+      } else if (change.booking) {
+        setBookings((prev) =>
+          prev.map((booking) =>
+            booking.id === change.bookingId &&
+            (change.booking.version || 0) >= (booking.version || 0)
+              ? change.booking
+              : booking
+          )
+        );
+        flashBooking(change.bookingId);
+      }
+
+      refreshInBackground();
+      if (onRemoteChangeRef.current) {
+        onRemoteChangeRef.current(change);
+      }
+    },
+    [flashBooking, refreshInBackground]
+  );
+
+  useCrossTabMessages(BOOKING_SYNC_CHANNEL, handleRemoteChange);
+
+  const discardQueuedMutation = useCallback((entryId) => {
+    discardMutation(entryId);
+  }, []);
+
+  // Writes to bookings with queued changes wait behind them
+  const hasQueuedWrites = useCallback(
+    (bookingId) =>
+      isLocalBookingId(bookingId) ||
+      getQueuedMutations().some(
+        (entry) => entry.bookingId === bookingId && !entry.failed
+      ),
+    []
+  );
+
+  // Update filters, starting again from the first page. Updates that change
+  // nothing (e.g. the search box settling on mount) do not trigger a query.
   const updateFilters = useCallback((newFilters) => {
+    const changed = Object.entries(newFilters).some(
+      ([key, value]) =>
+        JSON.stringify(filtersRef.current[key]) !== JSON.stringify(value)
+    );
+    if (!changed) return;
+
     setFilters((prev) => ({ ...prev, ...newFilters }));
+    setPage(1);
   }, []);
 
   // Clear filters
@@ -103,75 +455,435 @@ export const useBookings = () => {
     setFilters({
       customerName: "",
       status: "",
+      vesselId: "",
+      customerId: "",
+      port: "",
       dateRange: { start: "", end: "" },
     });
+    setPage(1);
   }, []);
 
-  // Add new booking
-  const addBooking = useCallback(async (bookingData) => {
-    try {
-      const newBooking = await bookingService.createBooking(bookingData);
-      setBookings((prev) => [...prev, newBooking]);
-      return { success: true, booking: newBooking };
-    } catch (err) {
-      return { success: false, error: err.message };
-    }
+  // Change sorting, keeping the current page
+  const updateSort = useCallback((nextSort) => {
+    setSort({
+      column: nextSort?.column || null,
+      direction: nextSort?.direction || null,
+    });
+  }, []);
+
+  // Change the page size, starting again from the first page
+  const setPageSize = useCallback((nextPageSize) => {
+    setPageSizeState(nextPageSize);
+    setPage(1);
   }, []);
 
+  // Add new booking
+  const addBooking = useCallback(
+    async (bookingData) => {
+      try {
+        const newBooking = await bookingService.createBooking(bookingData);
+        refreshInBackground();
+        return { success: true, booking: newBooking };
+      } catch (err) {
+        if (isNetworkError(err)) {
+          const entry = enqueueMutation({
+            type: MUTATION_TYPES.CREATE,
+            payload: bookingData,
+            error: err.message,
+          });
+          return {
+            success: true,
+            queued: true,
+            booking: toPendingBooking(entry),
+          };
+        }
+        return toErrorResult(err);
+      }
+    },
+    [refreshInBackground]
+  );
+
   // Refresh bookings
   const refreshBookings = useCallback(() => {
+    requestProbe();
     fetchBookings();
   }, [fetchBookings]);
 
+  // Replace a booking in state, e.g. with the stored version after a conflict
+  const replaceBooking = useCallback((updatedBooking) => {
+    setBookings((prev) =>
+      prev.map((booking) =>
+        booking.id === updatedBooking.id ? updatedBooking : booking
+      )
+    );
+  }, []);
+
+  // Shape a failed write and pick up the stored booking on version conflicts
+  const handleWriteError = useCallback(
+    (err) => {
+      if (err instanceof BookingVersionConflictError && err.current) {
+        replaceBooking(err.current);
+      }
+      return toErrorResult(err);
+    },
+    [replaceBooking]
+  );
+
+  // Queue an update or delete to be sent once the backend is reachable
+  const queueWrite = useCallback((type, bookingId, payload, options, err) => {
+    const entry = enqueueMutation({
+      type,
+      bookingId,
+      payload,
+      options: resolveWriteOptions(bookingsRef.current, bookingId, options),
+      error: err ? err.message : null,
+    });
+    return { success: true, queued: true, entry };
+  }, []);
+
   // Delete booking
-  const deleteBooking = useCallback(async (bookingId) => {
+  const deleteBooking = useCallback(
+    async (bookingId, options) => {
+      if (hasQueuedWrites(bookingId)) {
+        return queueWrite(MUTATION_TYPES.DELETE, bookingId, {}, options);
+      }
+
+      try {
+        await bookingService.deleteBooking(
+          bookingId,
+          resolveWriteOptions(bookingsRef.current, bookingId, options)
+        );
+        setBookings((prev) =>
+          prev.filter((booking) => booking.id !== bookingId)
+        );
+        refreshInBackground();
+        return { success: true };
+      } catch (err) {
+        if (isNetworkError(err)) {
+          return queueWrite(MUTATION_TYPES.DELETE, bookingId, {}, options, err);
+        }
+        return handleWriteError(err);
+      }
+    },
+    [hasQueuedWrites, queueWrite, handleWriteError, refreshInBackground]
+  );
+
+  // Update booking status
+  const updateBookingStatus = useCallback(
+    async (bookingId, newStatus, options = {}) => {
+      // Fields the transition needs, such as a cancellation reason, are
+      // written together with the status
+      const { fields, ...writeOptions } = options;
+      const updates = { status: newStatus, ...fields };
+
+      if (hasQueuedWrites(bookingId)) {
+        return queueWrite(
+          MUTATION_TYPES.UPDATE,
+          bookingId,
+          updates,
+          writeOptions
+        );
+      }
+
+      try {
+        const updatedBooking = await bookingService.updateBooking(
+          bookingId,
+          updates,
+          resolveWriteOptions(bookingsRef.current, bookingId, writeOptions)
+        );
+        replaceBooking(updatedBooking);
+        refreshInBackground();
+        return { success: true, booking: updatedBooking };
+      } catch (err) {
+        if (isNetworkError(err)) {
+          return queueWrite(
+            MUTATION_TYPES.UPDATE,
+            bookingId,
+            updates,
+            writeOptions,
+            err
+          );
+        }
+        return handleWriteError(err);
+      }
+    },
+    [
+      hasQueuedWrites,
+      queueWrite,
+      replaceBooking,
+      handleWriteError,
+      refreshInBackground,
+    ]
+  );
+
+  // Apply every booking a bulk write reports to the page in one state update.
+  // Reports without a booking are deletions.
+  const applyBulkResults = useCallback((results, bookingOf) => {
+    const changed = new Map();
+    const removed = new Set();
+    results.forEach((result) => {
+      const booking = bookingOf(result);
+      if (booking) {
+        changed.set(result.id, booking);
+      } else if (booking === null) {
+        removed.add(result.id);
+      }
+    });
+
+    setBookings((prev) =>
+      prev
+        .filter((booking) => !removed.has(booking.id))
+        .map((booking) => changed.get(booking.id) || booking)
+    );
+  }, []);
+
+  // Run a bulk write based on the loaded versions. Bookings with queued
+  // changes are refused, since the backend has not seen those changes yet.
+  const runBulkWrite = useCallback(
+    async (ids, write) => {
+      const queued = ids.filter(hasQueuedWrites);
+      if (queued.length > 0) {
+        return {
+          success: false,
+          error: `Sync or discard the queued changes to ${queued.join(
+            ", "
+          )} first`,
+        };
+      }
+
+      const expectedVersions = {};
+      ids.forEach((id) => {
+        const { expectedVersion } = resolveWriteOptions(
+          bookingsRef.current,
+          id
+        );
+        if (expectedVersion !== undefined) {
+          expectedVersions[id] = expectedVersion;
+        }
+      });
+
+      try {
+        const { results } = await write({ expectedVersions });
+        applyBulkResults(results, (result) => result.booking ?? null);
+        refreshInBackground();
+        return { success: true, results };
+      } catch (err) {
+        if (err instanceof BookingBulkError) {
+          // Show the stored version of bookings that changed meanwhile
+          applyBulkResults(err.results, (result) => result.current);
+        }
+        return toErrorResult(err);
+      }
+    },
+    [hasQueuedWrites, applyBulkResults, refreshInBackground]
+  );
+
+  // Set the status of several bookings at once
+  const bulkUpdateStatus = useCallback(
+    (ids, status, { fields } = {}) =>
+      runBulkWrite(ids, (options) =>
+        bookingService.bulkUpdateStatus(ids, status, { ...options, fields })
+      ),
+    [runBulkWrite]
+  );
+
+  // Move several bookings to the trash at once
+  const bulkDelete = useCallback(
+    (ids) =>
+      runBulkWrite(ids, (options) => bookingService.bulkDelete(ids, options)),
+    [runBulkWrite]
+  );
+
+  // Apply field changes to several bookings at once
+  const bulkUpdate = useCallback(
+    (patches) =>
+      runBulkWrite(
+        patches.map((patch) => patch.id),
+        ({ expectedVersions }) =>
+          bookingService.bulkUpdate(
+            patches.map((patch) => ({
+              expectedVersion: expectedVersions[patch.id],
+              ...patch,
+            }))
+          )
+      ),
+    [runBulkWrite]
+  );
+
+  // Update entire booking
+  const updateBooking = useCallback(
+    async (bookingId, updates, options) => {
+      if (hasQueuedWrites(bookingId)) {
+        return queueWrite(MUTATION_TYPES.UPDATE, bookingId, updates, options);
+      }
+
+      try {
+        const updatedBooking = await bookingService.updateBooking(
+          bookingId,
+          updates,
+          resolveWriteOptions(bookingsRef.current, bookingId, options)
+        );
+        replaceBooking(updatedBooking);
+        refreshInBackground();
+        return { success: true, booking: updatedBooking };
+      } catch (err) {
+        if (isNetworkError(err)) {
+          return queueWrite(
+            MUTATION_TYPES.UPDATE,
+            bookingId,
+            updates,
+            options,
+            err
+          );
+        }
+        return handleWriteError(err);
+      }
+    },
+    [
+      hasQueuedWrites,
+      queueWrite,
+      replaceBooking,
+      handleWriteError,
+      refreshInBackground,
+    ]
+  );
+
+  // Check form data against loaded bookings for vessel double bookings
+  const checkConflicts = useCallback(
+    (bookingData, excludeId) =>
+      findBookingConflicts(bookingData, bookings, {
+        ...getConflictPolicy(),
+        excludeId,
+      }),
+    [bookings]
+  );
+
+  // Create several bookings at once. Not queued offline: an import is only
+  // worth committing while conflicts can still be checked.
+  const importBookings = useCallback(
+    async (bookingsData) => {
+      try {
+        const { results } = await bookingService.bulkCreate(bookingsData);
+        refreshInBackground();
+        return {
+          success: true,
+          results,
+          bookings: results.map((result) => result.booking),
+        };
+      } catch (err) {
+        return toErrorResult(err);
+      }
+    },
+    [refreshInBackground]
+  );
+
+  // Load every booking, e.g. to check an import against all of them
+  const getAllBookings = useCallback(async (options = {}) => {
     try {
-      await bookingService.deleteBooking(bookingId);
-      setBookings((prev) => prev.filter((booking) => booking.id !== bookingId));
-      return { success: true };
+      const all = await bookingService.getBookings(options);
+      return { success: true, bookings: all };
     } catch (err) {
-      return { success: false, error: err.message };
+      return toErrorResult(err);
     }
   }, []);
 
-  // Update booking status
-  const updateBookingStatus = useCallback(async (bookingId, newStatus) => {
+  // Load every page of the current view, e.g. to export it. Stops early if
+  // the backend clamps a page past the end back to the last one.
+  const getViewBookings = useCallback(
+    async (options = {}) => {
+      try {
+        const collected = [];
+        for (let nextPage = 1; ; nextPage += 1) {
+          const result = await bookingService.queryBookings(
+            { filters, sort, page: nextPage, pageSize: VIEW_PAGE_SIZE },
+            options
+          );
+          if (result.page !== nextPage) break;
+          collected.push(...result.items);
+          if (result.items.length === 0 || collected.length >= result.total) {
+            break;
+          }
+        }
+        return { success: true, bookings: collected };
+      } catch (err) {
+        return toErrorResult(err);
+      }
+    },
+    [filters, sort]
+  );
+
+  // Load bookings in the trash
+  const getDeletedBookings = useCallback(async (options = {}) => {
     try {
-      const updatedBooking = await bookingService.updateBooking(bookingId, {
-        status: newStatus,
-      });
-      setBookings((prev) =>
-        prev.map((booking) =>
-          booking.id === bookingId ? updatedBooking : booking
-        )
-      );
-      return { success: true, booking: updatedBooking };
+      const deleted = await bookingService.getDeletedBookings(options);
+      return { success: true, bookings: deleted };
     } catch (err) {
-      return { success: false, error: err.message };
+      return toErrorResult(err);
     }
   }, []);
 
-  // Update entire booking
-  const updateBooking = useCallback(async (bookingId, updates) => {
+  // Restore a booking from the trash
+  const restoreBooking = useCallback(
+    async (bookingId) => {
+      try {
+        const restoredBooking = await bookingService.restoreBooking(bookingId);
+        refreshInBackground();
+        return { success: true, booking: restoredBooking };
+      } catch (err) {
+        return toErrorResult(err);
+      }
+    },
+    [refreshInBackground]
+  );
+
+  // Permanently delete a booking from the trash
+  const purgeBooking = useCallback(async (bookingId) => {
     try {
-      const updatedBooking = await bookingService.updateBooking(
+      await bookingService.purgeBooking(bookingId);
+      return { success: true };
+    } catch (err) {
+      return toErrorResult(err);
+    }
+  }, []);
+
+  // Load the audit trail of a booking
+  const getBookingActivity = useCallback(async (bookingId, options = {}) => {
+    try {
+      const entries = await bookingService.getBookingActivity(
         bookingId,
-        updates
-      );
-      setBookings((prev) =>
-        prev.map((booking) =>
-          booking.id === bookingId ? updatedBooking : booking
-        )
+        options
       );
-      return { success: true, booking: updatedBooking };
+      return { success: true, entries };
     } catch (err) {
-      return { success: false, error: err.message };
+      return toErrorResult(err);
     }
   }, []);
 
+  const displayedBookings = useMemo(
+    () => applyQueuedMutations(bookings, queuedMutations, { filters, page }),
+    [bookings, queuedMutations, filters, page]
+  );
+
+  // Type of the queued write for each booking that is not yet synced
+  const pendingSync = useMemo(
+    () =>
+      Object.fromEntries(
+        queuedMutations
+          .filter((entry) => !entry.failed)
+          .map((entry) => [entry.bookingId, entry.type])
+      ),
+    [queuedMutations]
+  );
+
   return {
-    bookings: filteredBookings,
-    allBookings: bookings,
+    bookings: displayedBookings,
+    total,
+    page,
+    pageSize,
+    sort,
+    setPage,
+    setPageSize,
+    updateSort,
     loading,
     error,
     filters,
@@ -182,5 +894,22 @@ export const useBookings = () => {
     deleteBooking,
     updateBookingStatus,
     updateBooking,
+    checkConflicts,
+    bulkUpdateStatus,
+    bulkDelete,
+    bulkUpdate,
+    importBookings,
+    getAllBookings,
+    getViewBookings,
+    getBookingActivity,
+    getDeletedBookings,
+    restoreBooking,
+    purgeBooking,
+    pendingSync,
+    queuedMutations,
+    discardQueuedMutation,
+    retryQueuedMutations,
+    flashingBookingIds,
+    serviceStatus,
   };
 };
@@ -0,0 +1,68 @@
+import { useCallback } from "react";
+import { customerService } from "../services/customerService";
+import { useRegistry } from "./useRegistry";
+
+/**
+ * Custom hook for the customer directory. Loads the customers on mount and
+ * keeps the list up to date after each write.
+ *
+ * Features:
+ * - Customers sorted by name, ready for pickers and filters
+ * - Create, update and delete operations resolving to `{ success, ... }`
+ *   instead of throwing, through useRegistry
+ * - Validation errors come back as `fieldErrors` by field name
+ * - Deleting a customer still used by bookings fails with the booking IDs in `bookingIds`
+ *
+ * @returns {Object} Customer directory state and operations
+ * @returns {Array<Object>} returns.customers - Customers, sorted by name
+ * @returns {boolean} returns.loading - Whether the customers are being fetched
+ * @returns {string|null} returns.error - Error of the last fetch, if any
+ * @returns {function} returns.createCustomer - Adds a customer; resolves to `{ success, customer }`
+ * @returns {function} returns.updateCustomer - Updates a customer by ID; resolves to `{ success, customer }`
+ * @returns {function} returns.deleteCustomer - Removes a customer by ID; resolves to `{ success }`
+ * @returns {function} returns.refreshCustomers - Fetches the customers again
+ *
+ * @example
+ * const { customers, createCustomer } = useCustomers();
+ * const result = await createCustomer({ name: 'Oceanix', legalName: 'Oceanix Maritime S.A.' });
+ * if (!result.success) setErrors(result.fieldErrors);
+ */
+export const useCustomers = () => {
+  const {
+    records: customers,
+    loading,
+    error,
+    refresh: refreshCustomers,
+    runWrite,
+  } = useRegistry(customerService.getCustomers, "customer");
+
+  const createCustomer = useCallback(
+    (customerData) =>
+      runWrite(() => customerService.createCustomer(customerData)),
+    [runWrite]
+  );
+
+  const updateCustomer = useCallback(
+    (id, updates) =>
+      runWrite(() => customerService.updateCustomer(id, updates)),
+    [runWrite]
+  );
+
+  const deleteCustomer = useCallback(
+    (id) =>
+      runWrite(async () => {
+        await customerService.deleteCustomer(id);
+      }),
+    [runWrite]
+  );
+
+  return {
+    customers,
+    loading,
+    error,
+    createCustomer,
+    updateCustomer,
+    deleteCustomer,
+    refreshCustomers,
+  };
+};
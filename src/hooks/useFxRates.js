@@ -0,0 +1,58 @@
+import { useCallback } from "react";
+import { fxRateService } from "../services/fxRateService";
+import { useRegistry } from "./useRegistry";
+
+/**
+ * Custom hook for the exchange rate table. Loads the rates on mount and
+ * keeps the list up to date after each write.
+ *
+ * Features:
+ * - Rates by currency, newest first, ready for convertAmount and sumInCurrency
+ * - Create and delete operations resolving to `{ success, ... }` instead of
+ *   throwing, through useRegistry
+ * - Validation errors come back as `fieldErrors` by field name
+ *
+ * @returns {Object} Exchange rate state and operations
+ * @returns {Array<Object>} returns.fxRates - Stored exchange rates
+ * @returns {boolean} returns.loading - Whether the rates are being fetched
+ * @returns {string|null} returns.error - Error of the last fetch, if any
+ * @returns {function} returns.createFxRate - Adds a rate; resolves to `{ success, fxRate }`
+ * @returns {function} returns.deleteFxRate - Removes a rate by ID; resolves to `{ success }`
+ * @returns {function} returns.refreshFxRates - Fetches the rates again
+ *
+ * @example
+ * const { fxRates, createFxRate } = useFxRates();
+ * const result = await createFxRate({ currency: 'USD', rate: 1.1, effectiveDate: '2030-01-01' });
+ * if (!result.success) setErrors(result.fieldErrors);
+ */
+export const useFxRates = () => {
+  const {
+    records: fxRates,
+    loading,
+    error,
+    refresh: refreshFxRates,
+    runWrite,
+  } = useRegistry(fxRateService.getFxRates, "fxRate");
+
+  const createFxRate = useCallback(
+    (rateData) => runWrite(() => fxRateService.createFxRate(rateData)),
+    [runWrite]
+  );
+
+  const deleteFxRate = useCallback(
+    (id) =>
+      runWrite(async () => {
+        await fxRateService.deleteFxRate(id);
+      }),
+    [runWrite]
+  );
+
+  return {
+    fxRates,
+    loading,
+    error,
+    createFxRate,
+    deleteFxRate,
+    refreshFxRates,
+  };
+};
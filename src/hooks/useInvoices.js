@@ -0,0 +1,70 @@
+import { useCallback } from "react";
+import { invoiceService } from "../services/invoiceService";
+import { useRegistry } from "./useRegistry";
+
+/**
+ * Custom hook for invoices. Loads the invoices on mount and keeps the list
+ * up to date after each write.
+ *
+ * Features:
+ * - Invoices newest first
+ * - Create and status operations resolving to `{ success, ... }` instead of
+ *   throwing, through useRegistry
+ * - Validation errors come back as `fieldErrors` by field name
+ *
+ * @returns {Object} Invoice state and operations
+ * @returns {Array<Object>} returns.invoices - Invoices, newest first
+ * @returns {boolean} returns.loading - Whether the invoices are being fetched
+ * @returns {string|null} returns.error - Error of the last fetch, if any
+ * @returns {function} returns.createInvoice - Drafts an invoice for bookings; resolves to `{ success, invoice }`
+ * @returns {function} returns.issueInvoice - Numbers and issues a draft by ID; resolves to `{ success, invoice }`
+ * @returns {function} returns.markInvoicePaid - Marks an issued invoice paid; resolves to `{ success, invoice }`
+ * @returns {function} returns.voidInvoice - Voids an invoice with a reason; resolves to `{ success, invoice }`
+ * @returns {function} returns.refreshInvoices - Fetches the invoices again
+ *
+ * @example
+ * const { createInvoice } = useInvoices();
+ * const result = await createInvoice({ bookingIds: ['BK-1001'], vatRate: 24, paymentTermsDays: 30 });
+ * if (!result.success) setErrors(result.fieldErrors);
+ */
+export const useInvoices = () => {
+  const {
+    records: invoices,
+    loading,
+    error,
+    refresh: refreshInvoices,
+    runWrite,
+  } = useRegistry(invoiceService.getInvoices, "invoice");
+
+  const createInvoice = useCallback(
+    (invoiceData) => runWrite(() => invoiceService.createInvoice(invoiceData)),
+    [runWrite]
+  );
+
+  const issueInvoice = useCallback(
+    (id, details) => runWrite(() => invoiceService.issueInvoice(id, details)),
+    [runWrite]
+  );
+
+  const markInvoicePaid = useCallback(
+    (id, details) =>
+      runWrite(() => invoiceService.markInvoicePaid(id, details)),
+    [runWrite]
+  );
+
+  const voidInvoice = useCallback(
+    (id, details) => runWrite(() => invoiceService.voidInvoice(id, details)),
+    [runWrite]
+  );
+
+  return {
+    invoices,
+    loading,
+    error,
+    createInvoice,
+    issueInvoice,
+    markInvoicePaid,
+    voidInvoice,
+    refreshInvoices,
+  };
+};
@@ -0,0 +1,95 @@
+import { useState, useEffect, useCallback } from "react";
+import {
+  RegistryRecordInUseError,
+  RegistryValidationError,
+  isAbortError,
+} from "../services/bookingErrors";
+
+// Shape a failed operation result, keeping field errors and linked bookings
+const toErrorResult = (err) => {
+  const result = { success: false, error: err.message };
+  if (err instanceof RegistryValidationError) {
+    result.fieldErrors = err.fieldErrors;
+  }
+  if (err instanceof RegistryRecordInUseError) {
+    result.bookingIds = err.bookingIds;
+  }
+  return result;
+};
+
+/**
+ * Custom hook shared by the registry hooks (vessels, customers, invoices,
+ * exchange rates). Loads the records on mount and refreshes them after each
+ * write made through `runWrite`.
+ *
+ * Writes resolve to `{ success, ... }` instead of throwing, like useBookings:
+ * the record the write resolves to, if any, comes back under `name`, and
+ * failures carry `fieldErrors` for validation errors and `bookingIds` for
+ * records still used by bookings.
+ *
+ * @param {function(Object): Promise<Array<Object>>} load - Fetches the
+ *   records, called with `{ signal }`; must keep the same identity across
+ *   renders, e.g. a service method
+ * @param {string} name - Key of the written record in write results
+ * @returns {Object} Registry state and operations
+ * @returns {Array<Object>} returns.records - Records as loaded
+ * @returns {boolean} returns.loading - Whether the records are being fetched
+ * @returns {string|null} returns.error - Error of the last fetch, if any
+ * @returns {function} returns.refresh - Fetches the records again
+ * @returns {function} returns.runWrite - Runs a service write, then refreshes;
+ *   resolves to `{ success, [name] }`
+ *
+ * @example
+ * const { records, runWrite } = useRegistry(vesselService.getVessels, 'vessel');
+ * const result = await runWrite(() => vesselService.createVessel(data));
+ * if (result.success) select(result.vessel.id);
+ */
+export const useRegistry = (load, name) => {
+  const [records, setRecords] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchRecords = useCallback(
+    async (signal) => {
+      try {
+        setError(null);
+        const result = await load({ signal });
+        if (signal?.aborted) return;
+        setRecords(result);
+      } catch (err) {
+        if (signal?.aborted || isAbortError(err)) return;
+        setError(err.message);
+      } finally {
+        if (!signal?.aborted) {
+          setLoading(false);
+        }
+      }
+    },
+    [load]
+  );
+
+  useEffect(() => {
+    const controller = new AbortController();
+    fetchRecords(controller.signal);
+    return () => controller.abort();
+  }, [fetchRecords]);
+
+  const refresh = useCallback(() => fetchRecords(), [fetchRecords]);
+
+  const runWrite = useCallback(
+    async (write) => {
+      try {
+        const record = await write();
+        await fetchRecords();
+        return record === undefined
+          ? { success: true }
+          : { success: true, [name]: record };
+      } catch (err) {
+        return toErrorResult(err);
+      }
+    },
+    [fetchRecords, name]
+  );
+
+  return { records, loading, error, refresh, runWrite };
+};
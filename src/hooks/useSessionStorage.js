@@ -1,4 +1,68 @@
-import { useState, useEffect } from "react";
+import { useState, useEffect, useRef } from "react";
+
+/**
+ * Calls `onChange` whenever another tab or window changes `key` in the given
+ * storage area. The browser fires `storage` events only in the other
+ * documents sharing that storage, never in the one that made the change.
+ *
+ * @param {string} key - Storage key to watch
+ * @param {Storage} storageArea - `localStorage` or `sessionStorage`
+ * @param {function(string|null): void} onChange - Called with the new raw value
+ *   (null when the key was removed)
+ *
+ * @example
+ * useStorageListener("theme", localStorage, (value) => setTheme(value));
+ */
+export const useStorageListener = (key, storageArea, onChange) => {
+  // Keep the latest callback without re-subscribing on every render
+  const onChangeRef = useRef(onChange);
+  onChangeRef.current = onChange;
+
+  useEffect(() => {
+    const handleStorageChange = (e) => {
+      if (e.key === key && e.storageArea === storageArea) {
+        onChangeRef.current(e.newValue);
+      }
+    };
+
+    window.addEventListener("storage", handleStorageChange);
+    return () => window.removeEventListener("storage", handleStorageChange);
+  }, [key, storageArea]);
+};
+
+/**
+ * Receives messages that other tabs send on a named channel. Uses a
+ * BroadcastChannel where the browser has one; otherwise messages are relayed
+ * as JSON through the localStorage key of the same name and picked up with
+ * `storage` events, like the session keys of `useSessionStorage`.
+ *
+ * @param {string} channelName - BroadcastChannel name and fallback localStorage key
+ * @param {function(Object): void} onMessage - Called with each message received
+ *
+ * @example
+ * useCrossTabMessages("bookings_sync", (change) => console.log(change.type));
+ */
+export const useCrossTabMessages = (channelName, onMessage) => {
+  const onMessageRef = useRef(onMessage);
+  onMessageRef.current = onMessage;
+
+  useEffect(() => {
+    if (typeof window.BroadcastChannel !== "function") return;
+
+    const channel = new window.BroadcastChannel(channelName);
+    channel.onmessage = (e) => onMessageRef.current(e.data);
+    return () => channel.close();
+  }, [channelName]);
+
+  useStorageListener(channelName, localStorage, (newValue) => {
+    if (!newValue) return;
+    try {
+      onMessageRef.current(JSON.parse(newValue));
+    } catch (error) {
+      console.warn(`Error parsing message on channel "${channelName}":`, error);
+    }
+  });
+};
 
 /**
  * Custom hook for managing session storage with React state synchronization
@@ -53,24 +117,16 @@ export const useSessionStorage = (key, defaultValue) => {
   };
 
   // Listen for changes to session storage from other tabs/windows
-  useEffect(() => {
-    const handleStorageChange = (e) => {
-      if (e.key === key && e.storageArea === sessionStorage) {
-        try {
-          const newValue = e.newValue ? JSON.parse(e.newValue) : defaultValue;
-          setValue(newValue);
-        } catch (error) {
-          console.warn(
-            `Error parsing session storage update for key "${key}":`,
-            error
-          );
-        }
-      }
-    };
-
-    window.addEventListener("storage", handleStorageChange);
-    return () => window.removeEventListener("storage", handleStorageChange);
-  }, [key, defaultValue]);
+  useStorageListener(key, sessionStorage, (newValue) => {
+    try {
+      setValue(newValue ? JSON.parse(newValue) : defaultValue);
+    } catch (error) {
+      console.warn(
+        `Error parsing session storage update for key "${key}":`,
+        error
+      );
+    }
+  });
 
   return [value, setStoredValue];
 };
@@ -0,0 +1,66 @@
+import { useCallback } from "react";
+import { vesselService } from "../services/vesselService";
+import { useRegistry } from "./useRegistry";
+
+/**
+ * Custom hook for the vessel registry. Loads the registered vessels on mount
+ * and keeps the list up to date after each write.
+ *
+ * Features:
+ * - Vessels sorted by name, ready for pickers and filters
+ * - Create, update and delete operations resolving to `{ success, ... }`
+ *   instead of throwing, through useRegistry
+ * - Validation errors come back as `fieldErrors` by field name
+ * - Deleting a vessel still used by bookings fails with the booking IDs in `bookingIds`
+ *
+ * @returns {Object} Vessel registry state and operations
+ * @returns {Array<Object>} returns.vessels - Registered vessels, sorted by name
+ * @returns {boolean} returns.loading - Whether the vessels are being fetched
+ * @returns {string|null} returns.error - Error of the last fetch, if any
+ * @returns {function} returns.createVessel - Registers a vessel; resolves to `{ success, vessel }`
+ * @returns {function} returns.updateVessel - Updates a vessel by ID; resolves to `{ success, vessel }`
+ * @returns {function} returns.deleteVessel - Removes a vessel by ID; resolves to `{ success }`
+ * @returns {function} returns.refreshVessels - Fetches the vessels again
+ *
+ * @example
+ * const { vessels, createVessel } = useVessels();
+ * const result = await createVessel({ name: 'Sea Finch', type: 'crew_transfer' });
+ * if (!result.success) setErrors(result.fieldErrors);
+ */
+export const useVessels = () => {
+  const {
+    records: vessels,
+    loading,
+    error,
+    refresh: refreshVessels,
+    runWrite,
+  } = useRegistry(vesselService.getVessels, "vessel");
+
+  const createVessel = useCallback(
+    (vesselData) => runWrite(() => vesselService.createVessel(vesselData)),
+    [runWrite]
+  );
+
+  const updateVessel = useCallback(
+    (id, updates) => runWrite(() => vesselService.updateVessel(id, updates)),
+    [runWrite]
+  );
+
+  const deleteVessel = useCallback(
+    (id) =>
+      runWrite(async () => {
+        await vesselService.deleteVessel(id);
+      }),
+    [runWrite]
+  );
+
+  return {
+    vessels,
+    loading,
+    error,
+    createVessel,
+    updateVessel,
+    deleteVessel,
+    refreshVessels,
+  };
+};
@@ -4,8 +4,48 @@ import "./index.module.css";
 import App from "./App";
 import { ThemeProvider } from "./contexts/ThemeContext";
 import { ToastProvider } from "./contexts/ToastContext";
+import { setBookingAdapter } from "./services/bookingService";
+import { createBookingAdapter } from "./services/adapters";
+import { migrateBookingVessels } from "./services/vesselService";
+import { migrateBookingCustomers } from "./services/customerService";
 import reportWebVitals from "./reportWebVitals";
 
+// Pick the bookings backend before the first render. Without a configured
+// API URL the app keeps bookings in IndexedDB, or localStorage where the
+// browser has no IndexedDB.
+const getDefaultAdapterType = () => {
+  if (process.env.REACT_APP_BOOKINGS_API_URL) {
+    return "http";
+  }
+  return window.indexedDB ? "indexedDB" : "localStorage";
+};
+
+const adapterType =
+  process.env.REACT_APP_BOOKINGS_ADAPTER || getDefaultAdapterType();
+
+setBookingAdapter(
+  createBookingAdapter({
+    type: adapterType,
+    baseUrl: process.env.REACT_APP_BOOKINGS_API_URL,
+  })
+);
+
+// Link bookings saved on this device before the vessel registry and customer
+// directory existed to their vessels and customers. A backend API owns its
+// data and migrates it itself, so this never runs against it. One after the
+// other: both rewrite bookings, so running them together would make them
+// clash on versions.
+if (adapterType !== "http") {
+  migrateBookingVessels()
+    .catch((error) =>
+      console.warn("Could not link bookings to registered vessels:", error)
+    )
+    .then(() => migrateBookingCustomers())
+    .catch((error) =>
+      console.warn("Could not link bookings to customers:", error)
+    );
+}
+
 const root = ReactDOM.createRoot(document.getElementById("root"));
 root.render(
   <React.StrictMode>
@@ -0,0 +1,256 @@
+import { RegistryValidationError, throwIfAborted } from "../bookingErrors";
+
+/**
+ * Builds an adapter for a registry of records that bookings refer to by ID,
+ * such as vessels, on top of a store that can load and save the full list.
+ * Records get an ID of the form `<idPrefix>-<number>`, a `version` that is
+ * incremented on each write and an `updatedAt` timestamp, like bookings do.
+ * Stores that keep the number of the last ID issued (`loadLastId`,
+ * `saveLastId`) never give a new record the ID of a removed one.
+ *
+ * Creates and updates are checked with `validate`, which receives the merged
+ * record, the other records and the ID being edited; invalid records are
+ * rejected with a RegistryValidationError carrying the errors by field.
+ * Writes run one at a time, each against the records the previous one saved,
+ * so rules across records (unique names or numbers) hold for concurrent calls.
+ *
+ * @param {Object} store - Backing store
+ * @param {function(): (Array<Object>|Promise<Array<Object>>)} store.load - Returns the current records
+ * @param {function(Array<Object>): (void|Promise<void>)} store.save - Persists the records list
+ * @param {function(): (number|Promise<number>)} [store.loadLastId] - Returns the number of the last ID issued
+ * @param {function(number): (void|Promise<void>)} [store.saveLastId] - Persists the number of the last ID issued
+ * @param {Object} options - Registry options
+ * @param {string} options.label - What a record is, used in error messages (e.g. "Vessel")
+ * @param {string} options.idPrefix - Prefix of generated IDs (e.g. "VS")
+ * @param {function(Object, Array<Object>, string): {isValid: boolean, errors: Object}} [options.validate] - Record validation
+ * @returns {Object} Registry adapter implementing list/create/update/remove
+ *
+ * @example
+ * const adapter = createRegistryAdapter(
+ *   { load: () => vessels, save: (next) => { vessels = next; } },
+ *   { label: "Vessel", idPrefix: "VS", validate: validateVesselForm }
+ * );
+ */
+export const createRegistryAdapter = (store, options) => {
+  const {
+    label,
+    idPrefix,
+    validate = () => ({ isValid: true, errors: {} }),
+  } = options;
+
+  const withVersion = (record) =>
+    record.version ? record : { ...record, version: 1 };
+
+  const findRecordIndex = (records, id) => {
+    const index = records.findIndex((record) => record.id === id);
+    if (index === -1) {
+      throw new Error(`${label} not found`);
+    }
+    return index;
+  };
+
+  const getIdNumber = (record) => parseInt(record.id.split("-")[1]) || 0;
+
+  // Number of the last ID issued, including removed records
+  const loadLastId = async () =>
+    (typeof store.loadLastId === "function" && (await store.loadLastId())) || 0;
+  const saveLastId = async (lastId) => {
+    if (typeof store.saveLastId === "function") {
+      await store.saveLastId(lastId);
+    }
+  };
+
+  const assertValid = (record, records, excludeId) => {
+    const { isValid, errors } = validate(record, records, excludeId);
+    if (!isValid) {
+      throw new RegistryValidationError(label, errors);
+    }
+  };
+
+  // Last write queued; the next one starts once it has settled
+  let pendingWrite = Promise.resolve();
+  const serialize =
+    (write) =>
+    (...args) => {
+      const result = pendingWrite.then(() => write(...args));
+      pendingWrite = result.catch(() => {});
+      return result;
+    };
+
+  return {
+    async list({ signal } = {}) {
+      throwIfAborted(signal);
+      return (await store.load()).map(withVersion);
+    },
+
+    create: serialize(async (data, { signal } = {}) => {
+      throwIfAborted(signal);
+      const records = await store.load();
+      assertValid(data, records);
+
+      const maxId = records.reduce((max, record) => {
+        const num = getIdNumber(record);
+        return num > max ? num : max;
+      }, Math.max(1000, await loadLastId()));
+      const record = {
+        id: `${idPrefix}-${maxId + 1}`,
+        ...data,
+        version: 1,
+        updatedAt: new Date().toISOString(),
+      };
+
+      throwIfAborted(signal);
+      await store.save([...records, record]);
+      await saveLastId(maxId + 1);
+      return record;
+    }),
+
+    update: serialize(async (id, updates, { signal } = {}) => {
+      throwIfAborted(signal);
+      const records = await store.load();
+      const index = findRecordIndex(records, id);
+      const current = withVersion(records[index]);
+
+      // Version and timestamp are owned by the store, never by the caller
+      const { version, updatedAt, ...changes } = updates;
+      const record = {
+        ...current,
+        ...changes,
+        id,
+        version: current.version + 1,
+        updatedAt: new Date().toISOString(),
+      };
+      assertValid(record, records, id);
+
+      const updatedRecords = [...records];
+      updatedRecords[index] = record;
+      throwIfAborted(signal);
+      await store.save(updatedRecords);
+      return record;
+    }),
+
+    remove: serialize(async (id, { signal } = {}) => {
+      throwIfAborted(signal);
+      const records = await store.load();
+      const removed = records[findRecordIndex(records, id)];
+      const lastId = await loadLastId();
+      if (getIdNumber(removed) > lastId) {
+        await saveLastId(getIdNumber(removed));
+      }
+      await store.save(records.filter((record) => record.id !== id));
+      return { success: true };
+    }),
+  };
+};
+
+/**
+ * Builds the update that puts a registry record back the way it was before a
+ * write, to undo the write when a follow-up step fails: every earlier field
+ * is set again and the fields the write added are cleared.
+ *
+ * @param {Object} previous - Record as it was before the write
+ * @param {Object} record - Record as the write saved it
+ * @returns {Object} Updates for the adapter's `update`
+ *
+ * @example
+ * await adapter.update(id, getRevertUpdates(previous, vessel));
+ */
+export const getRevertUpdates = (previous, record) => {
+  const { id, version, updatedAt, ...fields } = previous;
+  const updates = { ...fields };
+  Object.keys(record).forEach((key) => {
+    if (!(key in previous)) {
+      updates[key] = undefined;
+    }
+  });
+  return updates;
+};
+
+/**
+ * Creates a registry adapter that persists records to localStorage and falls
+ * back to `seed` when nothing has been stored yet.
+ *
+ * @param {Object} options - Registry options, as for createRegistryAdapter
+ * @param {string} options.storageKey - localStorage key holding the records;
+ *   the number of the last ID issued is kept under `<storageKey>_last_id`
+ * @param {Array<Object>} [options.seed=[]] - Records used when storage is empty
+ * @returns {Object} Registry adapter with an extra `reset()` helper that
+ *   clears stored records so the seed data is used again
+ */
+export const createLocalStorageRegistry = ({
+  storageKey,
+  seed = [],
+  ...options
+}) => {
+  const load = () => {
+    try {
+      const stored = localStorage.getItem(storageKey);
+      if (stored) {
+        return JSON.parse(stored);
+      }
+    } catch (error) {
+      console.warn(`Error reading ${storageKey} from localStorage:`, error);
+    }
+    return seed;
+  };
+
+  const save = (records) => {
+    try {
+      localStorage.setItem(storageKey, JSON.stringify(records));
+    } catch (error) {
+      console.warn(`Error saving ${storageKey} to localStorage:`, error);
+    }
+  };
+
+  const lastIdKey = `${storageKey}_last_id`;
+  const loadLastId = () => Number(localStorage.getItem(lastIdKey)) || 0;
+  const saveLastId = (lastId) => {
+    try {
+      localStorage.setItem(lastIdKey, String(lastId));
+    } catch (error) {
+      console.warn(`Error saving ${lastIdKey} to localStorage:`, error);
+    }
+  };
+
+  return {
+    ...createRegistryAdapter({ load, save, loadLastId, saveLastId }, options),
+    async reset() {
+      localStorage.removeItem(storageKey);
+      localStorage.removeItem(lastIdKey);
+    },
+  };
+};
+
+/**
+ * Creates a registry adapter that keeps records in memory only; the one to
+ * use in tests.
+ *
+ * @param {Array<Object>} [initialRecords=[]] - Records the registry starts with
+ * @param {Object} options - Registry options, as for createRegistryAdapter
+ * @returns {Object} Registry adapter with an extra `reset([records])` helper
+ */
+export const createMemoryRegistry = (initialRecords = [], options) => {
+  const copy = (list) => list.map((record) => ({ ...record }));
+  let records = copy(initialRecords);
+  let lastId = 0;
+
+  return {
+    ...createRegistryAdapter(
+      {
+        load: () => records,
+        save: (next) => {
+          records = next;
+        },
+        loadLastId: () => lastId,
+        saveLastId: (next) => {
+          lastId = next;
+        },
+      },
+      options
+    ),
+    async reset(nextRecords = initialRecords) {
+      records = copy(nextRecords);
+      lastId = 0;
+    },
+  };
+};
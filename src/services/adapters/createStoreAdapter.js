@@ -0,0 +1,410 @@
+import {
+  findBookingConflicts,
+  queryBookingList,
+} from "../../utils/bookingUtils";
+import {
+  BULK_ITEM_STATUS,
+  BookingBulkError,
+  BookingConflictError,
+  BookingVersionConflictError,
+  throwIfAborted,
+} from "../bookingErrors";
+import { assertInitialStatus, assertStatusChange } from "../bookingWorkflow";
+import { getConflictPolicy } from "../conflictPolicy";
+import { getPurgeDate, getTrashPolicy } from "../trashPolicy";
+
+/**
+ * Builds a booking adapter on top of a store that can load and save the full
+ * bookings list. Shared by the localStorage mock, the IndexedDB store and the
+ * in-memory adapter so ID generation, conflict detection, versioning and
+ * "not found" handling behave identically for all of them.
+ *
+ * Booking IDs are never reused: the store keeps the last number issued, so a
+ * booking created after another was purged does not take over its ID, and
+ * with it the purged booking's audit trail and calendar event.
+ *
+ * Every booking carries a `version` that starts at 1 and is incremented on
+ * each write, plus an `updatedAt` timestamp. Writes that pass an
+ * `expectedVersion` are rejected with a BookingVersionConflictError when the
+ * stored booking has moved on. Bookings stored before versioning existed are
+ * treated as version 1.
+ *
+ * Status changes follow the booking workflow (see bookingWorkflow); writes
+ * breaking it are rejected with a BookingTransitionError.
+ *
+ * Deletes are soft: the booking is kept with `deletedAt`/`deletedBy` set and
+ * hidden from getBookings and conflict checks until it is restored, purged,
+ * or its retention period (see trashPolicy) runs out.
+ *
+ * `bulkWrite` applies a batch of creates, updates and deletes in one save, or
+ * none of them if any item fails, in which case it rejects with a
+ * BookingBulkError reporting every item.
+ *
+ * Every operation accepts a `signal` (AbortSignal) in its options. An aborted
+ * operation rejects with a BookingAbortError and, if it is a write, leaves the
+ * store untouched.
+ *
+ * @param {Object} store - Backing store
+ * @param {function(): (Array<Object>|Promise<Array<Object>>)} store.load - Returns the current bookings
+ * @param {function(Array<Object>): (void|Promise<void>)} store.save - Persists the bookings list.
+ *   Unchanged bookings are passed as the same objects that `load` returned, so
+ *   stores that write per record can skip them
+ * @param {function(): (number|Promise<number>)} [store.loadLastId] - Returns the number of the
+ *   last booking ID issued, or 0; without it IDs follow the highest stored one
+ * @param {function(number): (void|Promise<void>)} [store.saveLastId] - Persists that number
+ * @param {Object} [options] - Adapter options
+ * @param {function(string, {signal: AbortSignal}): Promise<void>} [options.beforeRequest] - Hook
+ *   awaited before every operation with the operation name and the caller's signal; used by
+ *   the mock API to simulate the network
+ * @returns {Object} Booking adapter implementing getBookings/queryBookings/createBooking/
+ *   updateBooking/deleteBooking/bulkWrite and the trash operations
+ *   getDeletedBookings/restoreBooking/purgeBooking
+ */
+export const createStoreAdapter = (store, options = {}) => {
+  const { beforeRequest = async () => {} } = options;
+
+  // Run the request hook, then give up if the caller aborted meanwhile
+  const startRequest = async (operation, signal) => {
+    await beforeRequest(operation, { signal });
+    throwIfAborted(signal);
+  };
+
+  const withVersion = (booking) =>
+    booking.version ? booking : { ...booking, version: 1 };
+
+  // Reject writes based on a version other than the stored one
+  const assertVersion = (booking, expectedVersion) => {
+    if (
+      expectedVersion !== undefined &&
+      expectedVersion !== null &&
+      booking.version !== expectedVersion
+    ) {
+      throw new BookingVersionConflictError(
+        booking.id,
+        expectedVersion,
+        booking
+      );
+    }
+  };
+
+  const isDeleted = (booking) => Boolean(booking.deletedAt);
+
+  // Number of the last booking ID issued, including purged bookings
+  const loadLastId = async () =>
+    (typeof store.loadLastId === "function" && (await store.loadLastId())) || 0;
+
+  const saveLastId = async (lastId) => {
+    if (typeof store.saveLastId === "function") {
+      await store.saveLastId(lastId);
+    }
+  };
+
+  const getIdNumber = (booking) => parseInt(booking.id.split("-")[1]) || 0;
+
+  // Keep the numbers of purged bookings issued, so no new booking takes them
+  const recordPurged = async (purged) => {
+    const lastId = await loadLastId();
+    const maxPurged = Math.max(0, ...purged.map(getIdNumber));
+    if (maxPurged > lastId) {
+      await saveLastId(maxPurged);
+    }
+  };
+
+  // Load bookings, dropping deleted ones whose retention period has passed
+  const loadAndPurge = async () => {
+    const bookings = await store.load();
+    const now = new Date();
+    const { retentionDays } = getTrashPolicy();
+    const kept = bookings.filter(
+      (booking) =>
+        !isDeleted(booking) ||
+        getPurgeDate(booking.deletedAt, retentionDays) > now
+    );
+
+    if (kept.length !== bookings.length) {
+      await recordPurged(bookings.filter((booking) => !kept.includes(booking)));
+      await store.save(kept);
+    }
+    return kept;
+  };
+
+  const findBookingIndex = (bookings, id, { deleted = false } = {}) => {
+    const index = bookings.findIndex(
+      (booking) => booking.id === id && isDeleted(booking) === deleted
+    );
+
+    if (index === -1) {
+      throw new Error("Booking not found");
+    }
+    return index;
+  };
+
+  // Reject the booking if it clashes with another active booking for its vessel
+  const assertNoConflicts = (booking, bookings, excludeId) => {
+    const active = bookings.filter((other) => !isDeleted(other));
+    const { blocking } = findBookingConflicts(booking, active, {
+      ...getConflictPolicy(),
+      excludeId,
+    });
+
+    if (blocking.length > 0) {
+      throw new BookingConflictError(
+        blocking.map((conflict) => conflict.id),
+        booking.vessel
+      );
+    }
+  };
+
+  // Add a booking to a copy of the list, returning it with the new booking
+  // and the number of its ID. The number follows both the stored bookings
+  // (deleted ones included) and the last one issued, so purged IDs stay used.
+  const applyCreate = (bookings, bookingData, lastId) => {
+    const maxId = bookings.reduce((max, booking) => {
+      const num = getIdNumber(booking);
+      return num > max ? num : max;
+    }, Math.max(1000, lastId));
+
+    const newBooking = {
+      id: `BK-${maxId + 1}`,
+      ...bookingData,
+      status: bookingData.status || "pending",
+      version: 1,
+      updatedAt: new Date().toISOString(),
+    };
+
+    assertInitialStatus(newBooking.status);
+    assertNoConflicts(newBooking, bookings);
+
+    return {
+      bookings: [...bookings, newBooking],
+      booking: newBooking,
+      lastId: maxId + 1,
+    };
+  };
+
+  // Apply an update to a copy of the list, returning it with the updated booking
+  const applyUpdate = (bookings, id, updates, expectedVersion) => {
+    const bookingIndex = findBookingIndex(bookings, id);
+    const current = withVersion(bookings[bookingIndex]);
+    assertVersion(current, expectedVersion);
+
+    // Version and timestamp are owned by the store, never by the caller
+    const { version, updatedAt, ...changes } = updates;
+    const updatedBooking = {
+      ...current,
+      ...changes,
+      ...assertStatusChange(current, changes),
+      version: current.version + 1,
+      updatedAt: new Date().toISOString(),
+    };
+    assertNoConflicts(updatedBooking, bookings, id);
+
+    const updatedBookings = [...bookings];
+    updatedBookings[bookingIndex] = updatedBooking;
+    return { bookings: updatedBookings, booking: updatedBooking };
+  };
+
+  // Move a booking to the trash in a copy of the list
+  const applyDelete = (bookings, id, expectedVersion, deletedBy) => {
+    const bookingIndex = findBookingIndex(bookings, id);
+    const current = withVersion(bookings[bookingIndex]);
+    assertVersion(current, expectedVersion);
+
+    const updatedBookings = [...bookings];
+    updatedBookings[bookingIndex] = {
+      ...current,
+      deletedAt: new Date().toISOString(),
+      deletedBy,
+      version: current.version + 1,
+      updatedAt: new Date().toISOString(),
+    };
+    return { bookings: updatedBookings, booking: null };
+  };
+
+  // Per-item report entry for a failed bulk item
+  const toFailedResult = (id, error) => ({
+    id,
+    status: BULK_ITEM_STATUS.FAILED,
+    error: error.message,
+    code: error.code,
+    ...(error instanceof BookingConflictError && {
+      conflictingIds: error.conflictingIds,
+    }),
+    ...(error instanceof BookingVersionConflictError && {
+      current: error.current,
+    }),
+  });
+
+  return {
+    async getBookings({ signal } = {}) {
+      await startRequest("getBookings", signal);
+      return (await loadAndPurge())
+        .filter((booking) => !isDeleted(booking))
+        .map(withVersion);
+    },
+
+    // Filter, sort and page bookings as a backend would
+    async queryBookings(query = {}, { signal } = {}) {
+      await startRequest("getBookings", signal);
+      const active = (await loadAndPurge())
+        .filter((booking) => !isDeleted(booking))
+        .map(withVersion);
+      return queryBookingList(active, query);
+    },
+
+    async createBooking(bookingData, { signal } = {}) {
+      await startRequest("createBooking", signal);
+
+      const { bookings, booking, lastId } = applyCreate(
+        await loadAndPurge(),
+        bookingData,
+        await loadLastId()
+      );
+      await store.save(bookings);
+      await saveLastId(lastId);
+
+      return booking;
+    },
+
+    async updateBooking(id, updates, { expectedVersion, signal } = {}) {
+      await startRequest("updateBooking", signal);
+
+      const { bookings, booking } = applyUpdate(
+        await loadAndPurge(),
+        id,
+        updates,
+        expectedVersion
+      );
+      await store.save(bookings);
+
+      return booking;
+    },
+
+    // Move a booking to the trash
+    async deleteBooking(
+      id,
+      { expectedVersion, deletedBy = null, signal } = {}
+    ) {
+      await startRequest("deleteBooking", signal);
+
+      const { bookings } = applyDelete(
+        await loadAndPurge(),
+        id,
+        expectedVersion,
+        deletedBy
+      );
+      await store.save(bookings);
+
+      return { success: true };
+    },
+
+    // Apply a batch of writes atomically. Items are applied in order, so later
+    // items see earlier ones (e.g. two bookings moved onto the same dates clash).
+    // Create items carry no ID, so their reports only get one once applied.
+    async bulkWrite(operations, { deletedBy = null, signal } = {}) {
+      const types = new Set(operations.map((op) => op.type));
+      await startRequest(
+        types.size === 1 && types.has("delete")
+          ? "deleteBooking"
+          : types.size === 1 && types.has("create")
+          ? "createBooking"
+          : "updateBooking",
+        signal
+      );
+
+      let bookings = await loadAndPurge();
+      const initialLastId = await loadLastId();
+      let lastId = initialLastId;
+      const outcomes = operations.map((op) => {
+        try {
+          const applied =
+            op.type === "create"
+              ? applyCreate(bookings, op.changes, lastId)
+              : op.type === "delete"
+              ? applyDelete(bookings, op.id, op.expectedVersion, deletedBy)
+              : applyUpdate(bookings, op.id, op.changes, op.expectedVersion);
+          bookings = applied.bookings;
+          lastId = applied.lastId ?? lastId;
+          return {
+            id: applied.booking?.id ?? op.id,
+            status: BULK_ITEM_STATUS.APPLIED,
+            booking: applied.booking,
+          };
+        } catch (error) {
+          return toFailedResult(op.id ?? null, error);
+        }
+      });
+
+      if (
+        outcomes.some((result) => result.status === BULK_ITEM_STATUS.FAILED)
+      ) {
+        throw new BookingBulkError(
+          outcomes.map((result, index) =>
+            result.status === BULK_ITEM_STATUS.APPLIED
+              ? {
+                  id: operations[index].id ?? null,
+                  status: BULK_ITEM_STATUS.SKIPPED,
+                }
+              : result
+          )
+        );
+      }
+
+      await store.save(bookings);
+      if (lastId !== initialLastId) {
+        await saveLastId(lastId);
+      }
+      return { results: outcomes };
+    },
+
+    // List bookings in the trash, most recently deleted first
+    async getDeletedBookings({ signal } = {}) {
+      await startRequest("getBookings", signal);
+
+      return (await loadAndPurge())
+        .filter(isDeleted)
+        .map(withVersion)
+        .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+    },
+
+    // Bring a booking back from the trash
+    async restoreBooking(id, { signal } = {}) {
+      await startRequest("updateBooking", signal);
+
+      const currentBookings = await loadAndPurge();
+      const bookingIndex = findBookingIndex(currentBookings, id, {
+        deleted: true,
+      });
+      const { deletedAt, deletedBy, ...current } = withVersion(
+        currentBookings[bookingIndex]
+      );
+      const restoredBooking = {
+        ...current,
+        version: current.version + 1,
+        updatedAt: new Date().toISOString(),
+      };
+
+      // The vessel may have been booked for these dates in the meantime
+      assertNoConflicts(restoredBooking, currentBookings, id);
+
+      const updatedBookings = [...currentBookings];
+      updatedBookings[bookingIndex] = restoredBooking;
+      await store.save(updatedBookings);
+
+      return restoredBooking;
+    },
+
+    // Remove a booking from the trash for good
+    async purgeBooking(id, { signal } = {}) {
+      await startRequest("deleteBooking", signal);
+
+      const currentBookings = await loadAndPurge();
+      const index = findBookingIndex(currentBookings, id, { deleted: true });
+
+      await recordPurged([currentBookings[index]]);
+      await store.save(currentBookings.filter((booking) => booking.id !== id));
+
+      return { success: true };
+    },
+  };
+};
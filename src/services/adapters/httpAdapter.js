@@ -0,0 +1,210 @@
+import {
+  BookingApiError,
+  BookingAbortError,
+  BookingBulkError,
+  BookingConflictError,
+  BookingNetworkError,
+  BookingVersionConflictError,
+  isAbortError,
+} from "../bookingErrors";
+
+/**
+ * Creates an adapter that talks to a REST backend with `fetch`.
+ *
+ * Endpoints, relative to `baseUrl`:
+ * - `GET    /bookings`      → Array of bookings
+ * - `GET    /bookings?page=&pageSize=&sort=&order=&customerName=&status=&vesselId=&customerId=&port=&from=&to=`
+ *                           → `{ items, total, page }`
+ * - `POST   /bookings`      → Created booking
+ * - `PATCH  /bookings/:id`  → Updated booking
+ * - `DELETE /bookings/:id`  → `{ success: true }` or an empty body (moves it to the trash)
+ * - `POST   /bookings/bulk` → `{ results }` (applies `{ operations }`, creates, updates
+ *                           and deletes, all-or-nothing)
+ * - `GET    /trash`                 → Array of deleted bookings
+ * - `POST   /trash/:id/restore`     → Restored booking
+ * - `DELETE /trash/:id`             → `{ success: true }` or an empty body
+ *
+ * The server is expected to record who deleted a booking and to purge the
+ * trash after its own retention period.
+ *
+ * A `409` response with `{ conflictingIds }` in the body is raised as a
+ * BookingConflictError so the UI handles it like the local adapters' conflicts,
+ * and one with `{ results }` as a BookingBulkError for rejected bulk writes.
+ * Writes with an `expectedVersion` send it as an `If-Match` header; a `412`
+ * response with `{ current }` in the body is raised as a
+ * BookingVersionConflictError. Requests that never reach the server (offline,
+ * DNS, CORS) are raised as a BookingNetworkError. Every method accepts a
+ * `signal` in its options, passed on to `fetch`; aborted requests reject with
+ * a BookingAbortError.
+ *
+ * @param {Object} options - Adapter options
+ * @param {string} options.baseUrl - API root, e.g. "https://api.example.com/v1"
+ * @param {Object} [options.headers] - Extra headers sent with every request (e.g. Authorization)
+ * @param {function} [options.fetch=window.fetch] - fetch implementation, injectable for tests
+ * @returns {Object} Booking adapter
+ *
+ * @example
+ * setBookingAdapter(
+ *   createHttpAdapter({ baseUrl: process.env.REACT_APP_BOOKINGS_API_URL })
+ * );
+ */
+export const createHttpAdapter = (options) => {
+  const { baseUrl, headers = {}, fetch: fetchImpl } = options;
+
+  if (!baseUrl) {
+    throw new Error("createHttpAdapter requires a baseUrl");
+  }
+
+  const root = baseUrl.replace(/\/+$/, "");
+
+  const request = async (path, init = {}) => {
+    const { expectedVersion, ...fetchInit } = init;
+    const doFetch = fetchImpl || window.fetch.bind(window);
+    let response;
+    try {
+      response = await doFetch(`${root}${path}`, {
+        ...fetchInit,
+        headers: {
+          Accept: "application/json",
+          ...(init.body ? { "Content-Type": "application/json" } : {}),
+          ...(expectedVersion !== undefined && expectedVersion !== null
+            ? { "If-Match": `"${expectedVersion}"` }
+            : {}),
+          ...headers,
+        },
+      });
+    } catch (error) {
+      if (isAbortError(error)) {
+        throw new BookingAbortError();
+      }
+      // fetch only rejects when no response was received
+      throw new BookingNetworkError(
+        "Could not reach the bookings server. Check your connection.",
+        error
+      );
+    }
+
+    const text = await response.text();
+    let body = null;
+    if (text) {
+      try {
+        body = JSON.parse(text);
+      } catch (error) {
+        body = { message: text };
+      }
+    }
+
+    if (!response.ok) {
+      if (response.status === 409 && body?.results) {
+        throw new BookingBulkError(body.results);
+      }
+      if (response.status === 409 && body?.conflictingIds) {
+        throw new BookingConflictError(body.conflictingIds, body.vessel);
+      }
+      if (response.status === 412 && body?.current) {
+        throw new BookingVersionConflictError(
+          body.current.id,
+          expectedVersion,
+          body.current
+        );
+      }
+      throw new BookingApiError(
+        body?.message ||
+          (response.status === 404
+            ? "Booking not found"
+            : `Request failed with status ${response.status}`),
+        response.status
+      );
+    }
+
+    return body;
+  };
+
+  const bookingPath = (id) => `/bookings/${encodeURIComponent(id)}`;
+
+  // Query string for queryBookings; empty criteria are left out
+  const toQueryString = ({ filters = {}, sort = {}, page, pageSize }) => {
+    const params = new URLSearchParams();
+    const entries = {
+      page,
+      pageSize,
+      sort: sort.column,
+      order: sort.column ? sort.direction : null,
+      customerName: filters.customerName,
+      status: filters.status,
+      vesselId: filters.vesselId,
+      customerId: filters.customerId,
+      port: filters.port,
+      from: filters.dateRange?.start,
+      to: filters.dateRange?.end,
+    };
+
+    Object.entries(entries).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== "") {
+        params.set(key, value);
+      }
+    });
+    return params.toString();
+  };
+  const trashPath = (id) => `/trash/${encodeURIComponent(id)}`;
+
+  return {
+    async getBookings({ signal } = {}) {
+      return request("/bookings", { signal });
+    },
+
+    async queryBookings(query = {}, { signal } = {}) {
+      return request(`/bookings?${toQueryString(query)}`, { signal });
+    },
+
+    async createBooking(bookingData, { signal } = {}) {
+      return request("/bookings", {
+        method: "POST",
+        signal,
+        body: JSON.stringify({
+          ...bookingData,
+          status: bookingData.status || "pending",
+        }),
+      });
+    },
+
+    async updateBooking(id, updates, { expectedVersion, signal } = {}) {
+      return request(bookingPath(id), {
+        method: "PATCH",
+        body: JSON.stringify(updates),
+        expectedVersion,
+        signal,
+      });
+    },
+
+    async deleteBooking(id, { expectedVersion, signal } = {}) {
+      const body = await request(bookingPath(id), {
+        method: "DELETE",
+        expectedVersion,
+        signal,
+      });
+      return body || { success: true };
+    },
+
+    async getDeletedBookings({ signal } = {}) {
+      return request("/trash", { signal });
+    },
+
+    async restoreBooking(id, { signal } = {}) {
+      return request(`${trashPath(id)}/restore`, { method: "POST", signal });
+    },
+
+    async purgeBooking(id, { signal } = {}) {
+      const body = await request(trashPath(id), { method: "DELETE", signal });
+      return body || { success: true };
+    },
+
+    async bulkWrite(operations, { signal } = {}) {
+      return request("/bookings/bulk", {
+        method: "POST",
+        body: JSON.stringify({ operations }),
+        signal,
+      });
+    },
+  };
+};
@@ -0,0 +1,45 @@
+import { createHttpAdapter } from "./httpAdapter";
+import { createIndexedDbAdapter } from "./indexedDbAdapter";
+import { createLocalStorageAdapter } from "./localStorageAdapter";
+import { createMemoryAdapter } from "./memoryAdapter";
+
+export {
+  createHttpAdapter,
+  createIndexedDbAdapter,
+  createLocalStorageAdapter,
+  createMemoryAdapter,
+};
+
+/**
+ * Creates a booking adapter from a plain configuration object, so the backend
+ * can be chosen at startup from environment variables.
+ *
+ * @param {Object} [config] - Adapter configuration
+ * @param {"localStorage"|"indexedDB"|"memory"|"http"} [config.type="localStorage"] - Which backend to use
+ * @param {string} [config.baseUrl] - API root, required for the "http" adapter
+ * @param {Object} [config.headers] - Extra request headers for the "http" adapter
+ * @param {Array<Object>} [config.initialBookings] - Starting data for the "memory" adapter
+ * @returns {Object} Booking adapter
+ *
+ * @example
+ * createBookingAdapter({ type: "http", baseUrl: "https://api.example.com" });
+ */
+export const createBookingAdapter = (config = {}) => {
+  const { type = "localStorage" } = config;
+
+  switch (type) {
+    case "http":
+      return createHttpAdapter({
+        baseUrl: config.baseUrl,
+        headers: config.headers,
+      });
+    case "indexedDB":
+      return createIndexedDbAdapter();
+    case "memory":
+      return createMemoryAdapter(config.initialBookings);
+    case "localStorage":
+      return createLocalStorageAdapter();
+    default:
+      throw new Error(`Unknown booking adapter type: ${type}`);
+  }
+};
@@ -0,0 +1,200 @@
+import { mockBookings } from "../../data/mockBookings";
+import { createStoreAdapter } from "./createStoreAdapter";
+import {
+  BOOKINGS_DB_MIGRATIONS,
+  BOOKINGS_STORE,
+  LAST_BOOKING_ID_KEY,
+  META_STORE,
+  getSchemaVersion,
+  runMigrations,
+} from "./indexedDbMigrations";
+import { simulateNetwork } from "./mockNetwork";
+
+// IndexedDB database holding the bookings store
+export const BOOKINGS_DB_NAME = "bookings";
+
+// Resolve an IndexedDB request with its result
+const requestToPromise = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+// Resolve once a transaction has committed
+const transactionToPromise = (transaction) =>
+  new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () =>
+      reject(transaction.error || new Error("Transaction aborted"));
+  });
+
+/**
+ * Opens the bookings database, running any pending schema migrations first.
+ *
+ * @param {Object} [options] - Database options
+ * @param {string} [options.name="bookings"] - Database name
+ * @param {IDBFactory} [options.indexedDB=window.indexedDB] - IndexedDB implementation
+ * @param {Array<Object>} [options.migrations=BOOKINGS_DB_MIGRATIONS] - Schema migrations
+ * @returns {Promise<IDBDatabase>} The open database
+ */
+export const openBookingsDatabase = (options = {}) => {
+  const {
+    name = BOOKINGS_DB_NAME,
+    indexedDB = window.indexedDB,
+    migrations = BOOKINGS_DB_MIGRATIONS,
+  } = options;
+
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(name, getSchemaVersion(migrations));
+
+    request.onupgradeneeded = (event) => {
+      runMigrations(
+        { db: request.result, transaction: request.transaction },
+        event.oldVersion,
+        migrations
+      );
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => {
+      console.warn(
+        "Bookings database upgrade is waiting for other tabs to close it"
+      );
+    };
+  });
+};
+
+/**
+ * Creates the mock API adapter that keeps bookings in IndexedDB, one record
+ * per booking with indexes on vessel, customer, status and dates. Unlike the
+ * localStorage adapter only the bookings that changed are written, so the
+ * store grows with the fleet's history instead of hitting the storage quota.
+ *
+ * The database is opened on first use. Its schema is migrated to the latest
+ * version (see indexedDbMigrations), which on first run imports anything the
+ * localStorage adapter saved. Calls are delayed and may fail as set by the
+ * fault profile, like the localStorage mock API.
+ *
+ * @param {Object} [options] - Adapter options
+ * @param {string} [options.name="bookings"] - Database name
+ * @param {IDBFactory} [options.indexedDB=window.indexedDB] - IndexedDB implementation
+ * @param {Array<Object>} [options.migrations=BOOKINGS_DB_MIGRATIONS] - Schema migrations
+ * @param {function(string): Promise<void>} [options.beforeRequest] - Hook awaited before
+ *   every operation; defaults to the fault profile's simulated network
+ * @returns {Object} Booking adapter with an extra `reset()` helper that
+ *   replaces stored bookings with the sample data
+ * @throws {Error} If IndexedDB is not available
+ *
+ * @example
+ * setBookingAdapter(createIndexedDbAdapter());
+ */
+export const createIndexedDbAdapter = (options = {}) => {
+  const {
+    indexedDB = typeof window !== "undefined" ? window.indexedDB : undefined,
+    beforeRequest = simulateNetwork,
+  } = options;
+
+  if (!indexedDB) {
+    throw new Error("IndexedDB is not available in this environment");
+  }
+
+  let databasePromise = null;
+
+  const getDatabase = () => {
+    if (!databasePromise) {
+      databasePromise = openBookingsDatabase({ ...options, indexedDB }).then(
+        (db) => {
+          // Let another tab upgrade the schema, and reopen on next use
+          db.onversionchange = () => {
+            db.close();
+            databasePromise = null;
+          };
+          return db;
+        }
+      );
+      databasePromise.catch(() => {
+        databasePromise = null;
+      });
+    }
+    return databasePromise;
+  };
+
+  // Bookings exactly as last read or written, so saves can skip them
+  let unchanged = new WeakSet();
+  let storedIds = new Set();
+
+  const remember = (bookings) => {
+    unchanged = new WeakSet(bookings);
+    storedIds = new Set(bookings.map((booking) => booking.id));
+  };
+
+  const load = async () => {
+    const db = await getDatabase();
+    const bookings = await requestToPromise(
+      db.transaction(BOOKINGS_STORE).objectStore(BOOKINGS_STORE).getAll()
+    );
+    remember(bookings);
+    return bookings;
+  };
+
+  // Write only new or changed bookings and remove those no longer listed
+  const save = async (bookings) => {
+    const db = await getDatabase();
+    const transaction = db.transaction(BOOKINGS_STORE, "readwrite");
+    const store = transaction.objectStore(BOOKINGS_STORE);
+    const ids = new Set(bookings.map((booking) => booking.id));
+
+    bookings
+      .filter((booking) => !unchanged.has(booking))
+      .forEach((booking) => store.put(booking));
+    storedIds.forEach((id) => {
+      if (!ids.has(id)) {
+        store.delete(id);
+      }
+    });
+
+    await transactionToPromise(transaction);
+    remember(bookings);
+  };
+
+  const loadLastId = async () => {
+    const db = await getDatabase();
+    return requestToPromise(
+      db
+        .transaction(META_STORE)
+        .objectStore(META_STORE)
+        .get(LAST_BOOKING_ID_KEY)
+    );
+  };
+
+  const saveLastId = async (lastId) => {
+    const db = await getDatabase();
+    const transaction = db.transaction(META_STORE, "readwrite");
+    transaction.objectStore(META_STORE).put(lastId, LAST_BOOKING_ID_KEY);
+    await transactionToPromise(transaction);
+  };
+
+  return {
+    ...createStoreAdapter(
+      { load, save, loadLastId, saveLastId },
+      { beforeRequest }
+    ),
+    // Replace stored bookings with the sample data
+    async reset() {
+      const db = await getDatabase();
+      const transaction = db.transaction(
+        [BOOKINGS_STORE, META_STORE],
+        "readwrite"
+      );
+      const store = transaction.objectStore(BOOKINGS_STORE);
+
+      store.clear();
+      transaction.objectStore(META_STORE).delete(LAST_BOOKING_ID_KEY);
+      mockBookings.forEach((booking) => store.put(booking));
+
+      await transactionToPromise(transaction);
+      remember([]);
+    },
+  };
+};
@@ -0,0 +1,139 @@
+import { mockBookings } from "../../data/mockBookings";
+import { BOOKINGS_STORAGE_KEY } from "./localStorageAdapter";
+
+// Object store holding one record per booking, keyed by booking ID
+export const BOOKINGS_STORE = "bookings";
+
+// Object store holding single values the adapter keeps, keyed by name
+export const META_STORE = "meta";
+
+// Key in META_STORE of the number of the last booking ID issued
+export const LAST_BOOKING_ID_KEY = "lastBookingId";
+
+/**
+ * Schema migrations for the bookings database, in order. Each one runs once,
+ * inside the upgrade transaction, when a browser opens the database at a
+ * version lower than its own. To evolve the schema (a new index, a new booking
+ * field that needs a default), append a migration with the next version number;
+ * never edit one that has shipped.
+ *
+ * Migrations receive `{ db, transaction }` and must only queue IndexedDB
+ * requests on that transaction: awaiting anything else would let the upgrade
+ * transaction commit early.
+ */
+export const BOOKINGS_DB_MIGRATIONS = [
+  {
+    version: 1,
+    description: "Create the bookings store with lookup indexes",
+    migrate: ({ db }) => {
+      const store = db.createObjectStore(BOOKINGS_STORE, { keyPath: "id" });
+      store.createIndex("vessel", "vessel");
+      store.createIndex("customer", "customer");
+      store.createIndex("status", "status");
+      store.createIndex("startDate", "startDate");
+      store.createIndex("endDate", "endDate");
+    },
+  },
+  {
+    version: 2,
+    description: "Import bookings saved by the localStorage mock API",
+    migrate: ({ transaction }) => {
+      let bookings = mockBookings;
+      let imported = false;
+
+      try {
+        const stored = localStorage.getItem(BOOKINGS_STORAGE_KEY);
+        if (stored) {
+          bookings = JSON.parse(stored);
+          imported = true;
+        }
+      } catch (error) {
+        console.warn("Error reading bookings from localStorage:", error);
+      }
+
+      const store = transaction.objectStore(BOOKINGS_STORE);
+      bookings.forEach((booking) => store.put(booking));
+
+      // Only free the old key once the imported bookings are committed
+      if (imported) {
+        transaction.addEventListener("complete", () => {
+          localStorage.removeItem(BOOKINGS_STORAGE_KEY);
+        });
+      }
+    },
+  },
+  {
+    version: 3,
+    description:
+      "Give bookings stored before versioning a version and timestamp",
+    migrate: ({ transaction }) => {
+      const request = transaction.objectStore(BOOKINGS_STORE).openCursor();
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          return;
+        }
+
+        const booking = cursor.value;
+        if (!booking.version) {
+          cursor.update({
+            ...booking,
+            version: 1,
+            updatedAt: booking.updatedAt || new Date().toISOString(),
+          });
+        }
+        cursor.continue();
+      };
+    },
+  },
+  {
+    version: 4,
+    description: "Create the meta store, to keep purged booking IDs from reuse",
+    migrate: ({ db }) => {
+      db.createObjectStore(META_STORE);
+    },
+  },
+];
+
+/**
+ * Returns the schema version the migrations lead to, i.e. the version to open
+ * the database with.
+ *
+ * @param {Array<Object>} [migrations=BOOKINGS_DB_MIGRATIONS] - Migration list
+ * @returns {number} Highest migration version
+ */
+export const getSchemaVersion = (migrations = BOOKINGS_DB_MIGRATIONS) =>
+  migrations.reduce((max, migration) => Math.max(max, migration.version), 0);
+
+/**
+ * Runs every migration newer than `oldVersion`, lowest version first. Called
+ * from the database's `upgradeneeded` handler; a brand new database has
+ * `oldVersion` 0 and runs them all.
+ *
+ * @param {Object} context - Passed to each migration
+ * @param {IDBDatabase} context.db - Database being upgraded
+ * @param {IDBTransaction} context.transaction - The upgrade transaction
+ * @param {number} oldVersion - Schema version the database had before opening
+ * @param {Array<Object>} [migrations=BOOKINGS_DB_MIGRATIONS] - Migration list
+ * @returns {Array<number>} Versions of the migrations that ran
+ *
+ * @example
+ * request.onupgradeneeded = (event) =>
+ *   runMigrations(
+ *     { db: request.result, transaction: request.transaction },
+ *     event.oldVersion
+ *   );
+ */
+export const runMigrations = (
+  context,
+  oldVersion,
+  migrations = BOOKINGS_DB_MIGRATIONS
+) =>
+  [...migrations]
+    .filter((migration) => migration.version > oldVersion)
+    .sort((a, b) => a.version - b.version)
+    .map((migration) => {
+      migration.migrate(context);
+      return migration.version;
+    });
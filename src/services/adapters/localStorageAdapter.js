@@ -0,0 +1,70 @@
+import { mockBookings } from "../../data/mockBookings";
+import { createStoreAdapter } from "./createStoreAdapter";
+import { simulateNetwork } from "./mockNetwork";
+
+// Local storage for persisting new bookings
+export const BOOKINGS_STORAGE_KEY = "bookings_data";
+
+/**
+ * Creates the mock API adapter that persists bookings to localStorage and
+ * falls back to the sample data when nothing has been stored yet. Every call
+ * is delayed and may fail to mimic a real network, as set by the fault profile.
+ *
+ * @param {Object} [options] - Adapter options
+ * @param {string} [options.storageKey="bookings_data"] - localStorage key holding the bookings
+ * @param {Array<Object>} [options.seed=mockBookings] - Bookings used when storage is empty
+ * @returns {Object} Booking adapter with an extra `reset()` helper that
+ *   clears stored bookings so the sample data is used again
+ *
+ * @example
+ * setBookingAdapter(createLocalStorageAdapter());
+ */
+export const createLocalStorageAdapter = (options = {}) => {
+  const { storageKey = BOOKINGS_STORAGE_KEY, seed = mockBookings } = options;
+  // Number of the last booking ID issued, kept next to the bookings
+  const lastIdKey = `${storageKey}_last_id`;
+
+  // Get bookings from localStorage or use mock data
+  const load = () => {
+    try {
+      const stored = localStorage.getItem(storageKey);
+      if (stored) {
+        return JSON.parse(stored);
+      }
+    } catch (error) {
+      console.warn("Error reading bookings from localStorage:", error);
+    }
+    return seed;
+  };
+
+  // Save bookings to localStorage
+  const save = (bookings) => {
+    try {
+      localStorage.setItem(storageKey, JSON.stringify(bookings));
+    } catch (error) {
+      console.warn("Error saving bookings to localStorage:", error);
+    }
+  };
+
+  const loadLastId = () => Number(localStorage.getItem(lastIdKey)) || 0;
+
+  const saveLastId = (lastId) => {
+    try {
+      localStorage.setItem(lastIdKey, String(lastId));
+    } catch (error) {
+      console.warn("Error saving the last booking ID to localStorage:", error);
+    }
+  };
+
+  return {
+    ...createStoreAdapter(
+      { load, save, loadLastId, saveLastId },
+      { beforeRequest: simulateNetwork }
+    ),
+    // Drop stored bookings so the seed data is served again
+    async reset() {
+      localStorage.removeItem(storageKey);
+      localStorage.removeItem(lastIdKey);
+    },
+  };
+};
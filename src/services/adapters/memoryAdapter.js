@@ -0,0 +1,38 @@
+import { createStoreAdapter } from "./createStoreAdapter";
+
+/**
+ * Creates an adapter that keeps bookings in memory only. Calls resolve
+ * immediately and never fail at random, so it is the adapter to use in tests.
+ *
+ * @param {Array<Object>} [initialBookings=[]] - Bookings the store starts with
+ * @returns {Object} Booking adapter with an extra `reset([bookings])` helper
+ *
+ * @example
+ * const adapter = createMemoryAdapter([{ id: 'BK-1001', ... }]);
+ * setBookingAdapter(adapter);
+ */
+export const createMemoryAdapter = (initialBookings = []) => {
+  const copy = (list) => list.map((booking) => ({ ...booking }));
+  let bookings = copy(initialBookings);
+  let lastId = 0;
+
+  const adapter = createStoreAdapter({
+    load: () => bookings,
+    save: (next) => {
+      bookings = next;
+    },
+    loadLastId: () => lastId,
+    saveLastId: (next) => {
+      lastId = next;
+    },
+  });
+
+  return {
+    ...adapter,
+    // Replace the stored bookings, e.g. between tests; defaults to the initial data
+    async reset(nextBookings = initialBookings) {
+      bookings = copy(nextBookings);
+      lastId = 0;
+    },
+  };
+};
@@ -0,0 +1,32 @@
+import { BookingNetworkError } from "../bookingErrors";
+import { getLatency, shouldFail } from "../faultProfile";
+import { wait } from "../retryPolicy";
+
+// Failure message per operation, matching the original mock API
+const FAILURE_MESSAGES = {
+  getBookings: "Failed to fetch bookings",
+  createBooking: "Failed to create booking",
+  updateBooking: "Failed to update booking",
+  deleteBooking: "Failed to delete booking",
+};
+
+/**
+ * Waits and possibly fails the way a network call would, as set by the
+ * fault profile. Used as the `beforeRequest` hook of the mock API adapters.
+ *
+ * @param {string} operation - Operation name from FAULT_OPERATIONS
+ * @param {Object} [options] - Request options
+ * @param {AbortSignal} [options.signal] - Aborts the simulated request
+ * @returns {Promise<void>}
+ * @throws {BookingNetworkError} When the fault profile decides the operation fails
+ * @throws {BookingAbortError} When the signal is aborted during the delay
+ */
+export const simulateNetwork = async (operation, { signal } = {}) => {
+  await wait(getLatency(operation), signal);
+
+  if (shouldFail(operation)) {
+    throw new BookingNetworkError(
+      `${FAILURE_MESSAGES[operation]}. Please try again.`
+    );
+  }
+};
@@ -0,0 +1,157 @@
+/**
+ * Audit trail of booking mutations. Every successful write through
+ * `bookingService` appends an entry recording who changed which fields of a
+ * booking and when. Entries are persisted to localStorage so the history
+ * survives reloads alongside the mock API data.
+ *
+ * Entry shape:
+ * `{ id, bookingId, action, actor, timestamp, changes: [{ field, from, to }] }`
+ * where `action` is one of AUDIT_ACTIONS.
+ */
+import { isSameFieldValue } from "../utils/bookingUtils";
+
+export const AUDIT_STORAGE_KEY = "bookings_audit";
+
+export const AUDIT_ACTIONS = {
+  CREATED: "created",
+  UPDATED: "updated",
+  STATUS_CHANGED: "status_changed",
+  DELETED: "deleted",
+  RESTORED: "restored",
+  PURGED: "purged",
+};
+
+// Recorded when the app has not told us who is making changes
+export const DEFAULT_AUDIT_ACTOR = "Local user";
+
+// Bookkeeping fields owned by the store, never shown as changes
+const IGNORED_FIELDS = ["id", "version", "updatedAt", "deletedAt", "deletedBy"];
+
+let currentActor = DEFAULT_AUDIT_ACTOR;
+
+// A missing field, a cleared (null) one and an empty list are the same value
+const toComparable = (value) =>
+  value === undefined || (Array.isArray(value) && value.length === 0)
+    ? null
+    : value;
+
+const loadEntries = () => {
+  try {
+    const stored = localStorage.getItem(AUDIT_STORAGE_KEY);
+    if (stored) {
+      return JSON.parse(stored);
+    }
+  } catch (error) {
+    console.warn("Error reading audit trail from localStorage:", error);
+  }
+  return [];
+};
+
+const saveEntries = (entries) => {
+  try {
+    localStorage.setItem(AUDIT_STORAGE_KEY, JSON.stringify(entries));
+  } catch (error) {
+    console.warn("Error saving audit trail to localStorage:", error);
+  }
+};
+
+/**
+ * Returns the name recorded as the actor of new audit entries.
+ *
+ * @returns {string} Current actor
+ */
+export const getAuditActor = () => currentActor;
+
+/**
+ * Sets who subsequent changes are attributed to, e.g. the signed-in user.
+ * Blank names fall back to the default actor.
+ *
+ * @param {string} actor - Display name of the person making changes
+ * @returns {string} The actor now in use
+ *
+ * @example
+ * setAuditActor("m.papadopoulos");
+ */
+export const setAuditActor = (actor) => {
+  currentActor =
+    typeof actor === "string" && actor.trim()
+      ? actor.trim()
+      : DEFAULT_AUDIT_ACTOR;
+  return currentActor;
+};
+
+/**
+ * Lists the fields whose values differ between two versions of a booking.
+ * Either side may be null for creations and deletions.
+ *
+ * @param {Object|null} before - Booking before the change
+ * @param {Object|null} after - Booking after the change
+ * @returns {Array<{field: string, from: *, to: *}>} Field-level diff
+ *
+ * @example
+ * diffBookings({ status: "pending" }, { status: "confirmed" });
+ * // [{ field: "status", from: "pending", to: "confirmed" }]
+ */
+export const diffBookings = (before, after) => {
+  const fields = new Set([
+    ...Object.keys(before || {}),
+    ...Object.keys(after || {}),
+  ]);
+
+  return [...fields]
+    .filter((field) => !IGNORED_FIELDS.includes(field))
+    .filter(
+      (field) =>
+        !isSameFieldValue(
+          toComparable(before?.[field]),
+          toComparable(after?.[field])
+        )
+    )
+    .map((field) => ({
+      field,
+      from: before?.[field] ?? null,
+      to: after?.[field] ?? null,
+    }));
+};
+
+/**
+ * Appends an entry to the audit trail, stamped with the current actor and time.
+ *
+ * @param {Object} entry - Entry details
+ * @param {string} entry.bookingId - Booking the change applies to
+ * @param {string} entry.action - One of AUDIT_ACTIONS
+ * @param {Array<{field: string, from: *, to: *}>} [entry.changes] - Field-level diff
+ * @returns {Object} The stored entry
+ */
+export const recordAuditEntry = ({ bookingId, action, changes = [] }) => {
+  const entries = loadEntries();
+  const entry = {
+    id: `AUD-${entries.length + 1}`,
+    bookingId,
+    action,
+    actor: currentActor,
+    timestamp: new Date().toISOString(),
+    changes,
+  };
+
+  saveEntries([...entries, entry]);
+  return entry;
+};
+
+/**
+ * Returns the audit trail of one booking, newest entry first.
+ *
+ * @param {string} bookingId - Booking to look up
+ * @returns {Array<Object>} Audit entries
+ */
+export const getAuditTrail = (bookingId) =>
+  loadEntries()
+    .filter((entry) => entry.bookingId === bookingId)
+    .reverse();
+
+/**
+ * Removes every audit entry, e.g. when the mock data is reset.
+ */
+export const clearAuditTrail = () => {
+  localStorage.removeItem(AUDIT_STORAGE_KEY);
+};
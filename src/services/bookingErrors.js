@@ -0,0 +1,313 @@
+/**
+ * Typed errors thrown by the booking service, the registries bookings
+ * refer to (vessels, ...) and the invoices billing them. Each error carries
+ * a stable `code` so callers can branch on the failure type without parsing
+ * messages.
+ * Aborted requests reject with a BookingAbortError; use `isAbortError` to
+ * tell them apart from real failures.
+ */
+
+/**
+ * Thrown when a booking would overlap another active booking for the same vessel.
+ *
+ * @param {Array<string>} conflictingIds - IDs of the bookings that clash
+ * @param {string} [vessel] - Vessel name the conflict was detected for
+ *
+ * @example
+ * throw new BookingConflictError(["BK-1001"], "Nordic Star");
+ * // error.message === 'Nordic Star is already booked for these dates (BK-1001)'
+ */
+export class BookingConflictError extends Error {
+  constructor(conflictingIds, vessel) {
+    const label = vessel ? vessel : "This vessel";
+    super(
+      `${label} is already booked for these dates (${conflictingIds.join(
+        ", "
+      )})`
+    );
+    this.name = "BookingConflictError";
+    this.code = "BOOKING_CONFLICT";
+    this.conflictingIds = conflictingIds;
+    this.vessel = vessel;
+  }
+}
+
+/**
+ * Thrown when a remote booking API responds with a non-success status.
+ *
+ * @param {string} message - Error message, taken from the response body when available
+ * @param {number} status - HTTP status code
+ *
+ * @example
+ * throw new BookingApiError("Booking not found", 404);
+ */
+export class BookingApiError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = "BookingApiError";
+    this.code = "BOOKING_API_ERROR";
+    this.status = status;
+  }
+}
+
+/**
+ * Thrown when a write was based on an outdated version of a booking, i.e.
+ * someone else changed it in the meantime. Carries the stored booking so the
+ * caller can offer to keep theirs, keep mine or merge.
+ *
+ * @param {string} bookingId - ID of the booking that was written
+ * @param {number} expectedVersion - Version the caller based the write on
+ * @param {Object} current - The booking as currently stored
+ *
+ * @example
+ * throw new BookingVersionConflictError("BK-1001", 2, storedBooking);
+ */
+export class BookingVersionConflictError extends Error {
+  constructor(bookingId, expectedVersion, current) {
+    super(
+      `Booking ${bookingId} was changed by someone else. Review the latest version before saving.`
+    );
+    this.name = "BookingVersionConflictError";
+    this.code = "VERSION_CONFLICT";
+    this.bookingId = bookingId;
+    this.expectedVersion = expectedVersion;
+    this.current = current;
+  }
+}
+
+/**
+ * Thrown when a status change breaks the booking workflow (see
+ * bookingWorkflow): the transition is not allowed, a guard blocks it, or a
+ * field it requires is missing.
+ *
+ * @param {string|null} from - Current status, or null for new bookings
+ * @param {string} to - Requested status
+ * @param {string} message - Why the change was refused
+ * @param {Object} [fieldErrors] - Error message by required field name
+ *
+ * @example
+ * throw new BookingTransitionError("cancelled", "confirmed",
+ *   "A cancelled booking cannot be made confirmed");
+ */
+export class BookingTransitionError extends Error {
+  constructor(from, to, message, fieldErrors = {}) {
+    super(message);
+    this.name = "BookingTransitionError";
+    this.code = "INVALID_TRANSITION";
+    this.from = from;
+    this.to = to;
+    this.fieldErrors = fieldErrors;
+  }
+}
+
+// Outcome of each item in a bulk write report
+export const BULK_ITEM_STATUS = {
+  APPLIED: "applied",
+  FAILED: "failed",
+  // Valid, but not applied because another item failed
+  SKIPPED: "skipped",
+};
+
+/**
+ * Thrown when a bulk write was rejected because at least one of its items
+ * failed. Bulk writes are all-or-nothing, so nothing was changed; `results`
+ * reports each item with one of BULK_ITEM_STATUS.
+ *
+ * @param {Array<Object>} results - Per-item report `{ id, status, error, code }`
+ *
+ * @example
+ * throw new BookingBulkError([
+ *   { id: "BK-1001", status: "skipped" },
+ *   { id: "BK-1002", status: "failed", error: "Booking not found" },
+ * ]);
+ * // error.message === '1 of 2 bookings could not be changed, so none were'
+ */
+export class BookingBulkError extends Error {
+  constructor(results) {
+    const failed = results.filter(
+      (result) => result.status === BULK_ITEM_STATUS.FAILED
+    );
+    super(
+      `${failed.length} of ${results.length} bookings could not be changed, so none were`
+    );
+    this.name = "BookingBulkError";
+    this.code = "BULK_REJECTED";
+    this.results = results;
+  }
+}
+
+/**
+ * Thrown when a registry record (a vessel, for example) fails validation,
+ * such as a missing name or a name that is already registered.
+ *
+ * @param {string} label - What the record is, e.g. "Vessel"
+ * @param {Object} fieldErrors - Error message by field name
+ *
+ * @example
+ * throw new RegistryValidationError("Vessel", {
+ *   name: "A vessel with this name is already registered",
+ * });
+ */
+export class RegistryValidationError extends Error {
+  constructor(label, fieldErrors) {
+    super(`${label} details are invalid: ${Object.values(fieldErrors)[0]}`);
+    this.name = "RegistryValidationError";
+    this.code = "VALIDATION_FAILED";
+    this.fieldErrors = fieldErrors;
+  }
+}
+
+/**
+ * Thrown when a registry record cannot be deleted because bookings still
+ * reference it.
+ *
+ * @param {string} name - Display name of the record
+ * @param {Array<string>} bookingIds - IDs of the bookings referencing it
+ *
+ * @example
+ * throw new RegistryRecordInUseError("Nordic Star", ["BK-1001"]);
+ * // error.message === 'Nordic Star is used by 1 booking (BK-1001)'
+ */
+export class RegistryRecordInUseError extends Error {
+  constructor(name, bookingIds) {
+    super(
+      `${name} is used by ${bookingIds.length} booking${
+        bookingIds.length !== 1 ? "s" : ""
+      } (${bookingIds.join(", ")})`
+    );
+    this.name = "RegistryRecordInUseError";
+    this.code = "RECORD_IN_USE";
+    this.bookingIds = bookingIds;
+  }
+}
+
+/**
+ * Thrown when an invoice status change is not allowed, e.g. voiding an
+ * invoice that has been paid (see INVOICE_TRANSITIONS).
+ *
+ * @param {string} invoiceId - ID of the invoice
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ *
+ * @example
+ * throw new InvoiceStatusError("IV-1001", "paid", "void");
+ * // error.message === 'A paid invoice cannot be made void'
+ */
+export class InvoiceStatusError extends Error {
+  constructor(invoiceId, from, to) {
+    super(`A ${from} invoice cannot be made ${to}`);
+    this.name = "InvoiceStatusError";
+    this.code = "INVALID_TRANSITION";
+    this.invoiceId = invoiceId;
+    this.from = from;
+    this.to = to;
+  }
+}
+
+/**
+ * Thrown when a write would change what a booking was invoiced for (its
+ * dates, value, customer or status) or delete it, while it is on an invoice
+ * that has not been voided.
+ *
+ * @param {string} bookingId - ID of the booking
+ * @param {string} invoiceNumber - Number of the invoice, or its ID while it is a draft
+ * @param {string} [action="change"] - "change" or "delete"
+ *
+ * @example
+ * throw new BookingInvoicedError("BK-1001", "INV-2030-0001");
+ * // error.message === 'BK-1001 is on invoice INV-2030-0001; void the invoice
+ * //   before changing its dates, value, customer or status'
+ */
+export class BookingInvoicedError extends Error {
+  constructor(bookingId, invoiceNumber, action = "change") {
+    super(
+      `${bookingId} is on invoice ${invoiceNumber}; void the invoice before ${
+        action === "delete"
+          ? "deleting it"
+          : "changing its dates, value, customer or status"
+      }`
+    );
+    this.name = "BookingInvoicedError";
+    this.code = "BOOKING_INVOICED";
+    this.bookingId = bookingId;
+    this.invoiceNumber = invoiceNumber;
+  }
+}
+
+/**
+ * Thrown when the backend could not be reached, as opposed to the backend
+ * rejecting the request. Writes failing this way are safe to retry later.
+ *
+ * @param {string} message - Error message
+ * @param {Error} [cause] - Underlying error, e.g. the `TypeError` raised by `fetch`
+ *
+ * @example
+ * throw new BookingNetworkError("Failed to create booking. Please try again.");
+ */
+export class BookingNetworkError extends Error {
+  constructor(message, cause) {
+    super(message);
+    this.name = "BookingNetworkError";
+    this.code = "NETWORK_ERROR";
+    this.cause = cause;
+  }
+}
+
+/**
+ * Thrown without contacting the backend while the circuit breaker is open,
+ * i.e. after repeated failures. A network error, so writes failing this way
+ * are queued like any other unreachable-backend write.
+ *
+ * @param {Date|null} retryAt - When the breaker lets the next request through
+ *
+ * @example
+ * throw new BookingServiceUnavailableError(new Date(Date.now() + 30000));
+ */
+export class BookingServiceUnavailableError extends BookingNetworkError {
+  constructor(retryAt) {
+    super(
+      "The bookings service is not responding. Requests are paused while it recovers."
+    );
+    this.name = "BookingServiceUnavailableError";
+    this.code = "SERVICE_UNAVAILABLE";
+    this.retryAt = retryAt;
+  }
+}
+
+/**
+ * Thrown when the caller aborted a request through its AbortSignal, e.g.
+ * because a newer search superseded it or the page was left. Not a failure:
+ * callers should drop the result silently instead of showing an error.
+ *
+ * @example
+ * throw new BookingAbortError();
+ */
+export class BookingAbortError extends Error {
+  constructor(message = "The request was aborted") {
+    super(message);
+    this.name = "AbortError";
+    this.code = "ABORTED";
+  }
+}
+
+/**
+ * Whether an error means the request was aborted rather than failed. Also
+ * recognises the `AbortError` DOMException that `fetch` rejects with.
+ *
+ * @param {Error} error - Error thrown by a booking request
+ * @returns {boolean} True for aborted requests
+ */
+export const isAbortError = (error) =>
+  error instanceof BookingAbortError || error?.name === "AbortError";
+
+/**
+ * Throws a BookingAbortError if the signal has been aborted.
+ *
+ * @param {AbortSignal} [signal] - Signal passed by the caller
+ * @throws {BookingAbortError} If the signal is aborted
+ */
+export const throwIfAborted = (signal) => {
+  if (signal?.aborted) {
+    throw new BookingAbortError();
+  }
+};
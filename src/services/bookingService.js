@@ -1,137 +1,427 @@
-import { mockBookings } from "../data/mockBookings";
+import { queryBookingList } from "../utils/bookingUtils";
+import { createLocalStorageAdapter } from "./adapters/localStorageAdapter";
+import {
+  AUDIT_ACTIONS,
+  clearAuditTrail,
+  diffBookings,
+  getAuditActor,
+  getAuditTrail,
+  recordAuditEntry,
+} from "./auditLog";
+import { throwIfAborted } from "./bookingErrors";
+import { publishBookingChange } from "./bookingSync";
+import {
+  BOOKING_STATUS,
+  STATUS_DETAIL_FIELDS,
+  assertStatusChange,
+} from "./bookingWorkflow";
+import { resetCircuitBreaker } from "./circuitBreaker";
+import { withRetry } from "./retryPolicy";
 
-// Simulate network delay
-const delay = (ms = 800) => new Promise((resolve) => setTimeout(resolve, ms));
+// Backend the service delegates to; defaults to the localStorage mock API
+let activeAdapter = createLocalStorageAdapter();
 
-// Simulate API errors occasionally
-const shouldSimulateError = () => Math.random() < 0.05; // 5% chance of error
+// Last version of each booking seen by the service, used to diff updates
+// without fetching the booking again
+const knownBookings = new Map();
 
-// Local storage for persisting new bookings
-const BOOKINGS_STORAGE_KEY = "bookings_data";
+// Run before every update and delete; see setBookingWriteCheck
+let writeCheck = null;
 
-// Get bookings from localStorage or use mock data
-const getStoredBookings = () => {
-  try {
-    const stored = localStorage.getItem(BOOKINGS_STORAGE_KEY);
-    if (stored) {
-      return JSON.parse(stored);
-    }
-  } catch (error) {
-    console.warn("Error reading bookings from localStorage:", error);
+const remember = (booking) => {
+  knownBookings.set(booking.id, booking);
+  return booking;
+};
+
+/**
+ * Replaces the backend used by `bookingService`. Call once at startup,
+ * before the first render.
+ *
+ * @param {Object} adapter - Object implementing getBookings, createBooking,
+ *   updateBooking and deleteBooking
+ *
+ * @example
+ * setBookingAdapter(createMemoryAdapter(mockBookings));
+ */
+export const setBookingAdapter = (adapter) => {
+  const required = [
+    "getBookings",
+    "createBooking",
+    "updateBooking",
+    "deleteBooking",
+  ];
+  const missing = required.filter(
+    (method) => typeof adapter?.[method] !== "function"
+  );
+
+  if (missing.length > 0) {
+    throw new Error(
+      `Booking adapter is missing required methods: ${missing.join(", ")}`
+    );
   }
-  return mockBookings;
+
+  activeAdapter = adapter;
+  knownBookings.clear();
+  // Failures of the previous backend say nothing about this one
+  resetCircuitBreaker();
+};
+
+/**
+ * Sets a check run before every booking update and delete, including those
+ * in bulk writes, e.g. to keep invoiced bookings from changing. The check
+ * rejects to refuse the write, which then never reaches the backend.
+ *
+ * @param {function(Object, Object): Promise<void>} [check] - Called with
+ *   `{ type, id, changes, current }` and the request options, where `type` is
+ *   "update" or "delete" and `current` is the booking as last loaded, if it
+ *   was; omit it to allow every write again
+ *
+ * @example
+ * setBookingWriteCheck(async ({ type, id }) => {
+ *   if (type === "delete" && id === "BK-1001") throw new Error("Kept");
+ * });
+ */
+export const setBookingWriteCheck = (check = null) => {
+  writeCheck = check;
 };
 
-// Save bookings to localStorage
-const saveBookings = (bookings) => {
-  try {
-    localStorage.setItem(BOOKINGS_STORAGE_KEY, JSON.stringify(bookings));
-  } catch (error) {
-    console.warn("Error saving bookings to localStorage:", error);
+// Run the write check for one update or delete. Callers only await it when
+// a check is set, so unchecked writes start without an extra tick.
+const checkWrite = (type, id, changes, options) =>
+  writeCheck({ type, id, changes, current: knownBookings.get(id) }, options);
+
+/**
+ * Restores the active backend to its initial data. Only adapters that keep
+ * data locally (localStorage, memory) support this.
+ *
+ * @returns {Promise<void>}
+ * @throws {Error} If the active adapter cannot be reset
+ */
+export const resetBookingData = async () => {
+  if (typeof activeAdapter.reset !== "function") {
+    throw new Error("The active booking adapter does not support resetting");
   }
+  await activeAdapter.reset();
+  knownBookings.clear();
+  clearAuditTrail();
 };
 
-// Mock API service
-export const bookingService = {
-  // Fetch all bookings
-  async getBookings() {
-    await delay();
+// Trash operations are optional for adapters
+const requireTrash = () => {
+  if (typeof activeAdapter.getDeletedBookings !== "function") {
+    throw new Error("The active booking adapter does not support the trash");
+  }
+  return activeAdapter;
+};
 
-    if (shouldSimulateError()) {
-      throw new Error("Failed to fetch bookings. Please try again.");
-    }
+/**
+ * Returns the backend currently used by `bookingService`.
+ *
+ * @returns {Object} Active booking adapter
+ */
+export const getBookingAdapter = () => activeAdapter;
 
-    return getStoredBookings();
-  },
+// Record a successful write in the audit trail and tell other tabs about it
+const recordChange = ({ bookingId, action, changes, booking }) => {
+  recordAuditEntry({ bookingId, action, changes });
+  publishBookingChange({
+    type: action,
+    bookingId,
+    booking,
+    changes,
+    actor: getAuditActor(),
+  });
+};
 
-  // Create a new booking
-  async createBooking(bookingData) {
-    await delay(1200); // Slightly longer delay for create operation
+// Record an update in the audit trail, as a status change if only the status
+// (and fields that go with it, such as a cancellation reason) moved
+const recordUpdate = (id, updates, booking) => {
+  const before = knownBookings.get(id);
+  remember(booking);
+  // Without the previous version, only the submitted fields can be diffed
+  const changes = before
+    ? diffBookings(before, booking)
+    : diffBookings(null, updates);
+  const statusOnly = changes.every(
+    (change) =>
+      change.field === "status" || STATUS_DETAIL_FIELDS.includes(change.field)
+  );
 
-    if (shouldSimulateError()) {
-      throw new Error("Failed to create booking. Please try again.");
-    }
+  recordChange({
+    bookingId: id,
+    action:
+      statusOnly && changes.length > 0
+        ? AUDIT_ACTIONS.STATUS_CHANGED
+        : AUDIT_ACTIONS.UPDATED,
+    changes,
+    booking,
+  });
+};
 
-    const currentBookings = getStoredBookings();
+// Send a batch of `{ type, id, changes, expectedVersion }` writes to the
+// adapter and record each applied item like the single-item writes do.
+// Creates carry their booking data in `changes` and no ID.
+const bulkWrite = async (operations, options = {}) => {
+  if (operations.length === 0) {
+    return { results: [] };
+  }
+  if (typeof activeAdapter.bulkWrite !== "function") {
+    throw new Error("The active booking adapter does not support bulk changes");
+  }
+  if (writeCheck) {
+    for (const operation of operations) {
+      if (operation.type !== "create") {
+        await checkWrite(
+          operation.type,
+          operation.id,
+          operation.changes,
+          options
+        );
+      }
+    }
+  }
 
-    // Generate new booking ID
-    const maxId = currentBookings.reduce((max, booking) => {
-      const num = parseInt(booking.id.split("-")[1]);
-      return num > max ? num : max;
-    }, 1000);
+  const { results } = await withRetry(
+    () =>
+      activeAdapter.bulkWrite(operations, {
+        ...options,
+        deletedBy: getAuditActor(),
+      }),
+    {
+      signal: options.signal,
+      idempotent: operations.every(
+        (operation) =>
+          operation.type === "update" && operation.expectedVersion === undefined
+      ),
+    }
+  );
 
-    const newBooking = {
-      id: `BK-${maxId + 1}`,
-      ...bookingData,
-      status: bookingData.status || "pending",
-    };
+  operations.forEach((operation, index) => {
+    if (operation.type === "create") {
+      const booking = remember(results[index].booking);
+      recordChange({
+        bookingId: booking.id,
+        action: AUDIT_ACTIONS.CREATED,
+        changes: diffBookings(null, booking),
+        booking,
+      });
+    } else if (operation.type === "delete") {
+      recordChange({ bookingId: operation.id, action: AUDIT_ACTIONS.DELETED });
+      knownBookings.delete(operation.id);
+    } else {
+      recordUpdate(operation.id, operation.changes, results[index].booking);
+    }
+  });
+  return { results };
+};
 
-    const updatedBookings = [...currentBookings, newBooking];
-    saveBookings(updatedBookings);
+// Booking API service, backed by the active adapter. Write methods accept
+// `{ expectedVersion }` to reject the write if the booking changed meanwhile,
+// and every successful write is recorded in the audit trail and announced to
+// other open tabs. Every method also accepts `{ signal }` to abort the request,
+// which then rejects with a BookingAbortError. Backend calls are retried and
+// guarded by the circuit breaker as set by the retry policy; writes are only
+// retried when sending them twice is harmless (updates without a version).
+export const bookingService = {
+  // Fetch all bookings
+  async getBookings(options = {}) {
+    const bookings = await withRetry(() => activeAdapter.getBookings(options), {
+      signal: options.signal,
+      idempotent: true,
+    });
+    knownBookings.clear();
+    bookings.forEach(remember);
+    return bookings;
+  },
 
-    return newBooking;
+  // Fetch one page of bookings matching { filters, sort, page, pageSize },
+  // resolving to { items, total, page }. Adapters without a query endpoint
+  // are queried by filtering the full list here.
+  async queryBookings(query = {}, options = {}) {
+    const result = await withRetry(
+      async () => {
+        if (typeof activeAdapter.queryBookings === "function") {
+          return activeAdapter.queryBookings(query, options);
+        }
+        return queryBookingList(
+          await activeAdapter.getBookings(options),
+          query
+        );
+      },
+      { signal: options.signal, idempotent: true }
+    );
+    result.items.forEach(remember);
+    return result;
   },
 
-  // Update a booking (for future use)
-  async updateBooking(id, updates) {
-    await delay();
+  // Create a new booking
+  async createBooking(bookingData, options = {}) {
+    const booking = remember(
+      await withRetry(
+        () => activeAdapter.createBooking(bookingData, options),
+        options
+      )
+    );
+    recordChange({
+      bookingId: booking.id,
+      action: AUDIT_ACTIONS.CREATED,
+      changes: diffBookings(null, booking),
+      booking,
+    });
+    return booking;
+  },
 
-    if (shouldSimulateError()) {
-      throw new Error("Failed to update booking. Please try again.");
+  // Update a booking
+  async updateBooking(id, updates, options = {}) {
+    // Refuse status changes the workflow forbids without a round-trip; the
+    // backend checks again against the stored booking
+    if (knownBookings.has(id)) {
+      assertStatusChange(knownBookings.get(id), updates);
     }
-
-    const currentBookings = getStoredBookings();
-    const bookingIndex = currentBookings.findIndex(
-      (booking) => booking.id === id
+    if (writeCheck) {
+      await checkWrite("update", id, updates, options);
+    }
+    const booking = await withRetry(
+      () => activeAdapter.updateBooking(id, updates, options),
+      {
+        signal: options.signal,
+        idempotent: options.expectedVersion === undefined,
+      }
     );
+    recordUpdate(id, updates, booking);
+    return booking;
+  },
 
-    if (bookingIndex === -1) {
-      throw new Error("Booking not found");
-    }
+  // Cancel a booking; the workflow requires `{ reason }`
+  async cancelBooking(id, options = {}) {
+    const { reason, ...rest } = options;
+    return this.updateBooking(
+      id,
+      { status: BOOKING_STATUS.CANCELLED, cancellationReason: reason },
+      rest
+    );
+  },
 
-    const updatedBooking = { ...currentBookings[bookingIndex], ...updates };
-    const updatedBookings = [...currentBookings];
-    updatedBookings[bookingIndex] = updatedBooking;
+  // Uncancel a booking (restore to pending status)
+  async uncancelBooking(id, options = {}) {
+    return this.updateBooking(id, { status: BOOKING_STATUS.PENDING }, options);
+  },
 
-    saveBookings(updatedBookings);
+  // Confirm a booking
+  async confirmBooking(id, options = {}) {
+    return this.updateBooking(
+      id,
+      { status: BOOKING_STATUS.CONFIRMED },
+      options
+    );
+  },
 
-    return updatedBooking;
+  // Move a booking to the trash
+  async deleteBooking(id, options = {}) {
+    if (writeCheck) {
+      await checkWrite("delete", id, {}, options);
+    }
+    const result = await withRetry(
+      () =>
+        activeAdapter.deleteBooking(id, {
+          ...options,
+          deletedBy: getAuditActor(),
+        }),
+      options
+    );
+    recordChange({ bookingId: id, action: AUDIT_ACTIONS.DELETED });
+    knownBookings.delete(id);
+    return result;
   },
 
-  // Cancel a booking
-  async cancelBooking(id) {
-    return this.updateBooking(id, { status: "cancelled" });
+  // Apply `[{ id, changes, expectedVersion }]` all-or-nothing, resolving to
+  // { results } with one `{ id, status, booking }` per patch. If any patch
+  // fails, nothing changes and a BookingBulkError reports every item.
+  async bulkUpdate(patches, options = {}) {
+    return bulkWrite(
+      patches.map(({ id, changes, expectedVersion }) => ({
+        type: "update",
+        id,
+        changes,
+        expectedVersion,
+      })),
+      options
+    );
   },
 
-  // Uncancel a booking (restore to pending status)
-  async uncancelBooking(id) {
-    return this.updateBooking(id, { status: "pending" });
+  // Set the status of several bookings at once, all-or-nothing. Accepts
+  // `{ expectedVersions }` mapping booking IDs to the versions they are based
+  // on, and `{ fields }` the transition requires (e.g. a cancellation reason).
+  async bulkUpdateStatus(ids, status, options = {}) {
+    const { expectedVersions = {}, fields = {}, ...rest } = options;
+    return this.bulkUpdate(
+      ids.map((id) => ({
+        id,
+        changes: { status, ...fields },
+        expectedVersion: expectedVersions[id],
+      })),
+      rest
+    );
   },
 
-  // Confirm a booking
-  async confirmBooking(id) {
-    return this.updateBooking(id, { status: "confirmed" });
+  // Create several bookings at once, all-or-nothing; e.g. an import
+  async bulkCreate(bookingsData, options = {}) {
+    return bulkWrite(
+      bookingsData.map((bookingData) => ({
+        type: "create",
+        changes: bookingData,
+      })),
+      options
+    );
   },
 
-  // Delete a booking (for future use)
-  async deleteBooking(id) {
-    await delay();
+  // Move several bookings to the trash at once, all-or-nothing. Accepts
+  // `{ expectedVersions }` like bulkUpdateStatus.
+  async bulkDelete(ids, options = {}) {
+    const { expectedVersions = {}, ...rest } = options;
+    return bulkWrite(
+      ids.map((id) => ({
+        type: "delete",
+        id,
+        expectedVersion: expectedVersions[id],
+      })),
+      rest
+    );
+  },
 
-    if (shouldSimulateError()) {
-      throw new Error("Failed to delete booking. Please try again.");
-    }
+  // Fetch bookings in the trash
+  async getDeletedBookings(options = {}) {
+    const trash = requireTrash();
+    return withRetry(() => trash.getDeletedBookings(options), {
+      signal: options.signal,
+      idempotent: true,
+    });
+  },
 
-    const currentBookings = getStoredBookings();
-    const updatedBookings = currentBookings.filter(
-      (booking) => booking.id !== id
+  // Restore a booking from the trash
+  async restoreBooking(id, options = {}) {
+    const trash = requireTrash();
+    const booking = remember(
+      await withRetry(() => trash.restoreBooking(id, options), options)
     );
+    recordChange({ bookingId: id, action: AUDIT_ACTIONS.RESTORED, booking });
+    return booking;
+  },
 
-    if (updatedBookings.length === currentBookings.length) {
-      throw new Error("Booking not found");
-    }
-
-    saveBookings(updatedBookings);
+  // Permanently delete a booking from the trash
+  async purgeBooking(id, options = {}) {
+    const trash = requireTrash();
+    const result = await withRetry(
+      () => trash.purgeBooking(id, options),
+      options
+    );
+    recordChange({ bookingId: id, action: AUDIT_ACTIONS.PURGED });
+    return result;
+  },
 
-    return { success: true };
+  // Fetch the audit trail of a booking, newest entry first
+  async getBookingActivity(id, { signal } = {}) {
+    throwIfAborted(signal);
+    return getAuditTrail(id);
   },
 };
@@ -0,0 +1,57 @@
+/**
+ * Tells other open tabs of the app about booking changes made in this one,
+ * so they can update without a manual refresh. Messages go over a
+ * BroadcastChannel where the browser has one, and otherwise through a
+ * localStorage key whose `storage` events reach the other tabs.
+ *
+ * Message shape:
+ * `{ type, bookingId, booking, changes, actor, timestamp, nonce }` where `type`
+ * is one of AUDIT_ACTIONS and `booking` is the stored booking after the change
+ * (omitted for deletions and purges).
+ */
+
+// BroadcastChannel name, and the localStorage key used when it is unavailable
+export const BOOKING_SYNC_CHANNEL = "bookings_sync";
+
+let channel = null;
+let messageCount = 0;
+
+const getChannel = () => {
+  if (!channel && typeof window.BroadcastChannel === "function") {
+    channel = new window.BroadcastChannel(BOOKING_SYNC_CHANNEL);
+  }
+  return channel;
+};
+
+/**
+ * Announces a booking change to the other tabs.
+ *
+ * @param {Object} change - What changed
+ * @param {string} change.type - One of AUDIT_ACTIONS
+ * @param {string} change.bookingId - Booking that changed
+ * @param {Object} [change.booking] - The booking as stored after the change
+ * @param {Array<{field: string, from: *, to: *}>} [change.changes] - Field-level diff
+ * @param {string} [change.actor] - Who made the change
+ *
+ * @example
+ * publishBookingChange({ type: "created", bookingId: "BK-1004", booking });
+ */
+export const publishBookingChange = (change) => {
+  const message = {
+    ...change,
+    timestamp: new Date().toISOString(),
+    // Makes every message a new storage value, so repeats still fire events
+    nonce: `${Date.now()}-${++messageCount}`,
+  };
+
+  try {
+    const broadcast = getChannel();
+    if (broadcast) {
+      broadcast.postMessage(message);
+    } else {
+      localStorage.setItem(BOOKING_SYNC_CHANNEL, JSON.stringify(message));
+    }
+  } catch (error) {
+    console.warn("Error notifying other tabs of a booking change:", error);
+  }
+};
@@ -0,0 +1,231 @@
+/**
+ * The booking status workflow: which status changes are allowed, which
+ * fields each change needs (such as a cancellation reason) and which
+ * conditions must hold for it. The store adapters enforce it on every write
+ * and the UI builds its status actions from it, so both always agree.
+ *
+ * Transition shape:
+ * `{ action, from, to, label, title, progressLabel, requiredFields,
+ * clearsFields, guard }` where `from` lists the statuses the transition
+ * starts from, `requiredFields` describes the inputs the UI must collect,
+ * `clearsFields` are removed from the booking when the transition is made and
+ * `guard(booking)` returns the reason the transition is blocked, or null.
+ */
+import { BookingTransitionError } from "./bookingErrors";
+
+export const BOOKING_STATUS = {
+  PENDING: "pending",
+  CONFIRMED: "confirmed",
+  CANCELLED: "cancelled",
+};
+
+// Statuses a booking may be created with
+export const INITIAL_STATUSES = [
+  BOOKING_STATUS.PENDING,
+  BOOKING_STATUS.CONFIRMED,
+];
+
+// Longest cancellation reason accepted
+export const MAX_REASON_LENGTH = 500;
+
+// A confirmed booking must say which vessel it holds, and when
+const requireVesselAndDates = (booking) =>
+  booking.vessel?.trim() && booking.startDate && booking.endDate
+    ? null
+    : "Assign a vessel and dates before confirming";
+
+// Transitions in the order the UI offers them
+export const STATUS_TRANSITIONS = [
+  {
+    action: "confirm",
+    from: [BOOKING_STATUS.PENDING],
+    to: BOOKING_STATUS.CONFIRMED,
+    label: "Confirm Booking",
+    title: "Confirm booking",
+    progressLabel: "Confirming...",
+    requiredFields: [],
+    clearsFields: [],
+    guard: requireVesselAndDates,
+  },
+  {
+    action: "make_pending",
+    from: [BOOKING_STATUS.CONFIRMED],
+    to: BOOKING_STATUS.PENDING,
+    label: "Make Pending",
+    title: "Make pending",
+    progressLabel: "Updating...",
+    requiredFields: [],
+    clearsFields: [],
+    guard: null,
+  },
+  {
+    action: "restore_to_pending",
+    from: [BOOKING_STATUS.CANCELLED],
+    to: BOOKING_STATUS.PENDING,
+    label: "Restore to Pending",
+    title: "Restore to pending",
+    progressLabel: "Restoring...",
+    requiredFields: [],
+    clearsFields: ["cancellationReason"],
+    guard: null,
+  },
+  {
+    action: "cancel",
+    from: [BOOKING_STATUS.PENDING, BOOKING_STATUS.CONFIRMED],
+    to: BOOKING_STATUS.CANCELLED,
+    label: "Cancel Booking",
+    title: "Cancel booking",
+    progressLabel: "Cancelling...",
+    requiredFields: [
+      {
+        name: "cancellationReason",
+        label: "Cancellation reason",
+        maxLength: MAX_REASON_LENGTH,
+      },
+    ],
+    clearsFields: [],
+    guard: null,
+  },
+];
+
+// Fields that only change together with the status
+export const STATUS_DETAIL_FIELDS = [
+  ...new Set(
+    STATUS_TRANSITIONS.flatMap((transition) => [
+      ...transition.requiredFields.map((field) => field.name),
+      ...transition.clearsFields,
+    ])
+  ),
+];
+
+/**
+ * Returns the transition from one status to another.
+ *
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {Object|null} The transition, or null if the change is not allowed
+ */
+export const getTransition = (from, to) =>
+  STATUS_TRANSITIONS.find(
+    (transition) => transition.from.includes(from) && transition.to === to
+  ) || null;
+
+/**
+ * Returns the transitions a booking can make, each with `blockedReason` set
+ * when its guard currently blocks it.
+ *
+ * @param {Object} booking - Booking to change
+ * @returns {Array<Object>} Transitions starting from the booking's status
+ *
+ * @example
+ * getAvailableTransitions({ status: "pending", vessel: "Asteria", ... })
+ *   .map((t) => t.action) // ["confirm", "cancel"]
+ */
+export const getAvailableTransitions = (booking) =>
+  STATUS_TRANSITIONS.filter((transition) =>
+    transition.from.includes(booking.status)
+  ).map((transition) => ({
+    ...transition,
+    blockedReason: transition.guard ? transition.guard(booking) : null,
+  }));
+
+/**
+ * Returns the one-click status change for a booking: its first available
+ * transition that needs no extra input, or null if there is none.
+ *
+ * @param {Object} booking - Booking to change
+ * @returns {Object|null} Transition, with `blockedReason` as in getAvailableTransitions
+ */
+export const getQuickTransition = (booking) =>
+  getAvailableTransitions(booking).find(
+    (transition) => transition.requiredFields.length === 0
+  ) || null;
+
+/**
+ * Checks the fields a transition requires.
+ *
+ * @param {Object} transition - Transition from STATUS_TRANSITIONS
+ * @param {Object} values - Field values keyed by field name
+ * @returns {Object} Error message by field name; empty when all are valid
+ */
+export const validateTransitionFields = (transition, values = {}) => {
+  const errors = {};
+
+  transition.requiredFields.forEach(({ name, label, maxLength }) => {
+    const value =
+      typeof values[name] === "string" ? values[name].trim() : values[name];
+    if (!value) {
+      errors[name] = `${label} is required`;
+    } else if (maxLength && value.length > maxLength) {
+      errors[name] = `${label} must be at most ${maxLength} characters`;
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Checks a write against the workflow and returns the field values it must
+ * store. Writes that keep the status are left alone.
+ *
+ * @param {Object} booking - The stored booking
+ * @param {Object} updates - Fields being written
+ * @returns {Object} Values to apply on top of `updates`, such as cleared fields
+ * @throws {BookingTransitionError} If the change is not allowed, is blocked by a
+ *   guard, or lacks a required field
+ */
+export const assertStatusChange = (booking, updates) => {
+  if (updates.status === undefined || updates.status === booking.status) {
+    return {};
+  }
+
+  const transition = getTransition(booking.status, updates.status);
+  if (!transition) {
+    throw new BookingTransitionError(
+      booking.status,
+      updates.status,
+      `A ${booking.status} booking cannot be made ${updates.status}`
+    );
+  }
+
+  const blockedReason = transition.guard
+    ? transition.guard({ ...booking, ...updates })
+    : null;
+  if (blockedReason) {
+    throw new BookingTransitionError(
+      booking.status,
+      updates.status,
+      blockedReason
+    );
+  }
+
+  const fieldErrors = validateTransitionFields(transition, updates);
+  if (Object.keys(fieldErrors).length > 0) {
+    throw new BookingTransitionError(
+      booking.status,
+      updates.status,
+      Object.values(fieldErrors)[0],
+      fieldErrors
+    );
+  }
+
+  return Object.fromEntries(
+    transition.clearsFields.map((field) => [field, null])
+  );
+};
+
+/**
+ * Checks the status a new booking is created with.
+ *
+ * @param {string} status - Requested status
+ * @throws {BookingTransitionError} If bookings cannot start in that status
+ */
+export const assertInitialStatus = (status) => {
+  if (!INITIAL_STATUSES.includes(status)) {
+    throw new BookingTransitionError(
+      null,
+      status,
+      `New bookings must be ${INITIAL_STATUSES.join(" or ")}`
+    );
+  }
+};
@@ -0,0 +1,138 @@
+/**
+ * Circuit breaker guarding the bookings backend. While the backend answers,
+ * the circuit is closed and requests go through. After too many failed
+ * attempts in a row it opens: requests fail straight away with a
+ * BookingServiceUnavailableError until the cooldown ends. Then it is half
+ * open and lets a single probe through; the probe closes the circuit if it
+ * succeeds and opens it again if it fails.
+ *
+ * State shape:
+ * `{ state, consecutiveFailures, retryAt }` where `state` is one of
+ * CIRCUIT_STATES and `retryAt` is the ISO time the next probe is allowed
+ * (null while closed).
+ */
+import { BookingServiceUnavailableError } from "./bookingErrors";
+
+export const CIRCUIT_STATES = {
+  CLOSED: "closed",
+  OPEN: "open",
+  HALF_OPEN: "half_open",
+};
+
+const CLOSED_STATE = {
+  state: CIRCUIT_STATES.CLOSED,
+  consecutiveFailures: 0,
+  retryAt: null,
+};
+
+const listeners = new Set();
+
+let current = CLOSED_STATE;
+
+const setState = (next) => {
+  current = next;
+  listeners.forEach((listener) => listener(current));
+};
+
+const open = (consecutiveFailures, cooldownMs) => {
+  setState({
+    state: CIRCUIT_STATES.OPEN,
+    consecutiveFailures,
+    retryAt: new Date(Date.now() + cooldownMs).toISOString(),
+  });
+};
+
+/**
+ * Returns the breaker state.
+ *
+ * @returns {{state: string, consecutiveFailures: number, retryAt: string|null}} Current state
+ */
+export const getCircuitState = () => current;
+
+/**
+ * Calls `listener` with the state whenever it changes.
+ *
+ * @param {function(Object): void} listener - Change listener
+ * @returns {function(): void} Unsubscribe function
+ */
+export const subscribeToCircuit = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Claims permission to send a request. Once the cooldown is over, the first
+ * caller becomes the probe and others keep failing until it settles.
+ *
+ * @throws {BookingServiceUnavailableError} If the circuit does not allow a request now
+ */
+export const beginRequest = () => {
+  if (current.state === CIRCUIT_STATES.CLOSED) return;
+
+  const retryAt = new Date(current.retryAt);
+  if (current.state === CIRCUIT_STATES.OPEN && retryAt <= new Date()) {
+    setState({ ...current, state: CIRCUIT_STATES.HALF_OPEN });
+    return;
+  }
+  throw new BookingServiceUnavailableError(retryAt);
+};
+
+/**
+ * Records that the backend answered, which closes the circuit.
+ */
+export const recordSuccess = () => {
+  if (
+    current.state !== CIRCUIT_STATES.CLOSED ||
+    current.consecutiveFailures > 0
+  ) {
+    setState(CLOSED_STATE);
+  }
+};
+
+/**
+ * Records a failed attempt, opening the circuit when the threshold is reached
+ * or the probe failed.
+ *
+ * @param {Object} policy - Breaker settings from the retry policy
+ * @param {number} policy.failureThreshold - Failed attempts in a row that open the circuit
+ * @param {number} policy.cooldownMs - How long the circuit stays open
+ */
+export const recordFailure = ({ failureThreshold, cooldownMs }) => {
+  const consecutiveFailures = current.consecutiveFailures + 1;
+
+  if (
+    current.state === CIRCUIT_STATES.HALF_OPEN ||
+    consecutiveFailures >= failureThreshold
+  ) {
+    open(consecutiveFailures, cooldownMs);
+  } else {
+    setState({ ...current, consecutiveFailures });
+  }
+};
+
+/**
+ * Releases the probe slot of a request that was aborted before it settled,
+ * so the next request can probe instead.
+ */
+export const cancelRequest = () => {
+  if (current.state === CIRCUIT_STATES.HALF_OPEN) {
+    setState({ ...current, state: CIRCUIT_STATES.OPEN });
+  }
+};
+
+/**
+ * Ends the cooldown early so the next request probes the backend, e.g. when
+ * the user asks to retry.
+ */
+export const requestProbe = () => {
+  if (current.state === CIRCUIT_STATES.OPEN) {
+    setState({ ...current, retryAt: new Date().toISOString() });
+  }
+};
+
+/**
+ * Closes the circuit and forgets past failures.
+ */
+export const resetCircuitBreaker = () => {
+  setState(CLOSED_STATE);
+};
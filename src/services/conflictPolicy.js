@@ -0,0 +1,51 @@
+/**
+ * Runtime configuration for vessel double-booking detection. Cancelled
+ * bookings never block a vessel; confirmed bookings always do. Pending
+ * bookings either block ("block") or only produce a warning ("warn").
+ */
+
+export const DEFAULT_CONFLICT_POLICY = {
+  pending: "block",
+};
+
+const PENDING_MODES = ["block", "warn"];
+
+let currentPolicy = { ...DEFAULT_CONFLICT_POLICY };
+
+/**
+ * Returns the active conflict policy.
+ *
+ * @returns {{pending: "block"|"warn"}} Current policy
+ */
+export const getConflictPolicy = () => currentPolicy;
+
+/**
+ * Updates the conflict policy. Unknown pending modes are ignored.
+ *
+ * @param {Object} policy - Partial policy to merge into the current one
+ * @param {"block"|"warn"} [policy.pending] - How pending bookings are treated
+ * @returns {{pending: "block"|"warn"}} The updated policy
+ *
+ * @example
+ * setConflictPolicy({ pending: "warn" });
+ */
+export const setConflictPolicy = (policy = {}) => {
+  const next = { ...currentPolicy };
+
+  if (PENDING_MODES.includes(policy.pending)) {
+    next.pending = policy.pending;
+  }
+
+  currentPolicy = next;
+  return currentPolicy;
+};
+
+/**
+ * Restores the default conflict policy.
+ *
+ * @returns {{pending: "block"|"warn"}} The default policy
+ */
+export const resetConflictPolicy = () => {
+  currentPolicy = { ...DEFAULT_CONFLICT_POLICY };
+  return currentPolicy;
+};
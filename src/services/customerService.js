@@ -0,0 +1,186 @@
+import { mockCustomers } from "../data/mockCustomers";
+import {
+  findCustomerByName,
+  validateCustomerForm,
+} from "../utils/customerUtils";
+import {
+  createLocalStorageRegistry,
+  getRevertUpdates,
+} from "./adapters/createRegistryAdapter";
+import { RegistryRecordInUseError } from "./bookingErrors";
+import { bookingService } from "./bookingService";
+
+// Local storage for the customer directory
+export const CUSTOMERS_STORAGE_KEY = "customers_data";
+
+// Options shared by every customer registry adapter
+export const CUSTOMER_REGISTRY_OPTIONS = {
+  label: "Customer",
+  idPrefix: "CU",
+  validate: validateCustomerForm,
+};
+
+// Registry the service delegates to; defaults to localStorage
+let activeAdapter = createLocalStorageRegistry({
+  ...CUSTOMER_REGISTRY_OPTIONS,
+  storageKey: CUSTOMERS_STORAGE_KEY,
+  seed: mockCustomers,
+});
+
+/**
+ * Replaces the registry used by `customerService`, e.g. with an in-memory
+ * one in tests.
+ *
+ * @param {Object} adapter - Registry adapter implementing list, create, update and remove
+ *
+ * @example
+ * setCustomerAdapter(createMemoryRegistry(mockCustomers, CUSTOMER_REGISTRY_OPTIONS));
+ */
+export const setCustomerAdapter = (adapter) => {
+  activeAdapter = adapter;
+};
+
+/**
+ * Restores the customer directory to its initial data.
+ *
+ * @returns {Promise<void>}
+ * @throws {Error} If the active adapter cannot be reset
+ */
+export const resetCustomerData = async () => {
+  if (typeof activeAdapter.reset !== "function") {
+    throw new Error("The active customer registry does not support resetting");
+  }
+  await activeAdapter.reset();
+};
+
+// Bookings that refer to a customer by its directory ID
+const getLinkedBookings = async (customerId, options) =>
+  (await bookingService.getBookings(options)).filter(
+    (booking) => booking.customerId === customerId
+  );
+
+// Bookings that refer to a customer, including those in the trash, which
+// would point at nothing once it is removed and they are restored
+const getReferencingBookings = async (customerId, options) => [
+  ...(await getLinkedBookings(customerId, options)),
+  ...(await bookingService.getDeletedBookings(options)).filter(
+    (booking) => booking.customerId === customerId
+  ),
+];
+
+// Customer directory service. Bookings refer to customers by `customerId`
+// and keep the customer's trading name for display, so renames are copied
+// onto them. Every method accepts `{ signal }` to abort the request.
+export const customerService = {
+  // Fetch all customers, sorted by name
+  async getCustomers(options = {}) {
+    const customers = await activeAdapter.list(options);
+    return [...customers].sort((a, b) => a.name.localeCompare(b.name));
+  },
+
+  // Fetch a customer's bookings, earliest first
+  async getCustomerBookings(id, options = {}) {
+    const bookings = await getLinkedBookings(id, options);
+    return bookings.sort(
+      (a, b) => new Date(a.startDate) - new Date(b.startDate)
+    );
+  },
+
+  // Add a customer; rejects with a RegistryValidationError if invalid
+  async createCustomer(customerData, options = {}) {
+    return activeAdapter.create(customerData, options);
+  },
+
+  // Update a customer's details. A new trading name is copied onto its
+  // bookings in one all-or-nothing write; if that fails, the whole update is
+  // undone.
+  async updateCustomer(id, updates, options = {}) {
+    const previous = (await activeAdapter.list(options)).find(
+      (customer) => customer.id === id
+    );
+    const customer = await activeAdapter.update(id, updates, options);
+
+    if (previous && previous.name !== customer.name) {
+      const linked = await getLinkedBookings(id, options);
+      try {
+        await bookingService.bulkUpdate(
+          linked.map((booking) => ({
+            id: booking.id,
+            changes: { customer: customer.name },
+            expectedVersion: booking.version,
+          })),
+          options
+        );
+      } catch (error) {
+        await activeAdapter.update(id, getRevertUpdates(previous, customer));
+        throw error;
+      }
+    }
+    return customer;
+  },
+
+  // Remove a customer from the directory. Customers still used by bookings,
+  // in the trash too, are kept and a RegistryRecordInUseError lists the
+  // bookings.
+  async deleteCustomer(id, options = {}) {
+    const linked = await getReferencingBookings(id, options);
+    if (linked.length > 0) {
+      const customer = (await activeAdapter.list(options)).find(
+        (candidate) => candidate.id === id
+      );
+      throw new RegistryRecordInUseError(
+        customer?.name || id,
+        linked.map((booking) => booking.id)
+      );
+    }
+    return activeAdapter.remove(id, options);
+  },
+};
+
+/**
+ * Links bookings saved before the customer directory existed to customers
+ * by name, matching trading names, legal names and aliases. Customers that
+ * are not known yet are added with their booking name as legal name, to be
+ * completed later. Bookings that already have a `customerId` are left
+ * alone, so running it again is harmless.
+ *
+ * @param {Object} [options] - Request options
+ * @param {AbortSignal} [options.signal] - Aborts the migration
+ * @returns {Promise<{linked: number, registered: number}>} Bookings linked and customers added
+ *
+ * @example
+ * // At startup, after choosing the booking adapter
+ * migrateBookingCustomers().catch(console.warn);
+ */
+export const migrateBookingCustomers = async (options = {}) => {
+  const unlinked = (await bookingService.getBookings(options)).filter(
+    (booking) => !booking.customerId && booking.customer
+  );
+  if (unlinked.length === 0) {
+    return { linked: 0, registered: 0 };
+  }
+
+  const customers = await activeAdapter.list(options);
+  let registered = 0;
+  const patches = [];
+  for (const booking of unlinked) {
+    let customer = findCustomerByName(customers, booking.customer);
+    if (!customer) {
+      const name = booking.customer.trim().replace(/\s+/g, " ");
+      customer = await activeAdapter.create(
+        { name, legalName: name, aliases: [], contacts: [] },
+        options
+      );
+      customers.push(customer);
+      registered += 1;
+    }
+    patches.push({
+      id: booking.id,
+      changes: { customer: customer.name, customerId: customer.id },
+      expectedVersion: booking.version,
+    });
+  }
+
+  await bookingService.bulkUpdate(patches, options);
+  return { linked: patches.length, registered };
+};
@@ -0,0 +1,198 @@
+/**
+ * Fault and latency injection for the mock API. The profile decides how long
+ * each operation takes and whether it fails, so demos and tests can be made
+ * fully deterministic with a seeded random number generator and forced
+ * failures ("fail the next delete").
+ */
+
+export const FAULT_OPERATIONS = [
+  "getBookings",
+  "createBooking",
+  "updateBooking",
+  "deleteBooking",
+];
+
+// Values matching the original mock API: ~1s delays and a 5% failure rate
+export const DEFAULT_FAULT_PROFILE = {
+  latency: {
+    getBookings: 800,
+    createBooking: 1200,
+    updateBooking: 800,
+    deleteBooking: 800,
+  },
+  errorRate: {
+    getBookings: 0.05,
+    createBooking: 0.05,
+    updateBooking: 0.05,
+    deleteBooking: 0.05,
+  },
+  seed: null,
+  forcedFailures: {
+    getBookings: 0,
+    createBooking: 0,
+    updateBooking: 0,
+    deleteBooking: 0,
+  },
+};
+
+/**
+ * Creates a deterministic pseudo-random number generator (mulberry32).
+ *
+ * @param {number} seed - Integer seed
+ * @returns {function(): number} Function returning numbers in [0, 1)
+ *
+ * @example
+ * const random = createSeededRandom(42);
+ * random(); // Always the same sequence for seed 42
+ */
+export const createSeededRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const cloneProfile = (profile) => ({
+  latency: { ...profile.latency },
+  errorRate: { ...profile.errorRate },
+  seed: profile.seed,
+  forcedFailures: { ...profile.forcedFailures },
+});
+
+// Accept either a single number for every operation or a per-operation map
+const mergePerOperation = (current, value, clamp) => {
+  if (value === undefined || value === null) return current;
+
+  const next = { ...current };
+  FAULT_OPERATIONS.forEach((operation) => {
+    const raw = typeof value === "number" ? value : value[operation];
+    if (typeof raw === "number" && !Number.isNaN(raw)) {
+      next[operation] = clamp(raw);
+    }
+  });
+  return next;
+};
+
+const clampLatency = (ms) => Math.max(0, Math.round(ms));
+const clampRate = (rate) => Math.min(1, Math.max(0, rate));
+const clampCount = (count) => Math.max(0, Math.floor(count));
+
+let currentProfile = cloneProfile(DEFAULT_FAULT_PROFILE);
+let random = Math.random;
+
+/**
+ * Returns a copy of the active fault profile.
+ *
+ * @returns {Object} Current fault profile
+ */
+export const getFaultProfile = () => cloneProfile(currentProfile);
+
+/**
+ * Updates the fault profile. `latency` and `errorRate` accept a single number
+ * applied to every operation or a per-operation map. Setting `seed` to a number
+ * makes failures reproducible; `null` goes back to `Math.random`.
+ *
+ * @param {Object} profile - Partial profile to merge into the current one
+ * @param {number|Object} [profile.latency] - Delay in milliseconds
+ * @param {number|Object} [profile.errorRate] - Failure probability between 0 and 1
+ * @param {number|null} [profile.seed] - Seed for the random number generator
+ * @param {number|Object} [profile.forcedFailures] - Number of upcoming calls that must fail
+ * @returns {Object} The updated profile
+ *
+ * @example
+ * setFaultProfile({ latency: 0, errorRate: 0 }); // Instant, never fails
+ * setFaultProfile({ errorRate: { deleteBooking: 0.5 }, seed: 7 });
+ */
+export const setFaultProfile = (profile = {}) => {
+  const next = cloneProfile(currentProfile);
+
+  next.latency = mergePerOperation(next.latency, profile.latency, clampLatency);
+  next.errorRate = mergePerOperation(
+    next.errorRate,
+    profile.errorRate,
+    clampRate
+  );
+  next.forcedFailures = mergePerOperation(
+    next.forcedFailures,
+    profile.forcedFailures,
+    clampCount
+  );
+
+  if (profile.seed !== undefined) {
+    const seed =
+      profile.seed === null || profile.seed === ""
+        ? null
+        : Number.parseInt(profile.seed, 10);
+    next.seed = Number.isNaN(seed) ? null : seed;
+    random = next.seed === null ? Math.random : createSeededRandom(next.seed);
+  }
+
+  currentProfile = next;
+  return getFaultProfile();
+};
+
+/**
+ * Restores the default profile and unseeded randomness.
+ *
+ * @returns {Object} The default profile
+ */
+export const resetFaultProfile = () => {
+  currentProfile = cloneProfile(DEFAULT_FAULT_PROFILE);
+  random = Math.random;
+  return getFaultProfile();
+};
+
+/**
+ * Forces the next `count` calls of an operation to fail.
+ *
+ * @param {string} operation - One of FAULT_OPERATIONS
+ * @param {number} [count=1] - How many upcoming calls should fail
+ * @returns {Object} The updated profile
+ *
+ * @example
+ * forceFailure("deleteBooking"); // Fail the next delete
+ */
+export const forceFailure = (operation, count = 1) => {
+  if (!FAULT_OPERATIONS.includes(operation)) {
+    throw new Error(`Unknown operation: ${operation}`);
+  }
+  return setFaultProfile({
+    forcedFailures: {
+      [operation]: currentProfile.forcedFailures[operation] + count,
+    },
+  });
+};
+
+/**
+ * Returns the simulated latency for an operation.
+ *
+ * @param {string} operation - One of FAULT_OPERATIONS
+ * @returns {number} Delay in milliseconds
+ */
+export const getLatency = (operation) => currentProfile.latency[operation] ?? 0;
+
+/**
+ * Decides whether the current call of an operation fails. Forced failures are
+ * consumed first; otherwise the error rate is rolled against the profile's RNG.
+ *
+ * @param {string} operation - One of FAULT_OPERATIONS
+ * @returns {boolean} True if the call should fail
+ */
+export const shouldFail = (operation) => {
+  if (currentProfile.forcedFailures[operation] > 0) {
+    currentProfile = {
+      ...currentProfile,
+      forcedFailures: {
+        ...currentProfile.forcedFailures,
+        [operation]: currentProfile.forcedFailures[operation] - 1,
+      },
+    };
+    return true;
+  }
+
+  return random() < (currentProfile.errorRate[operation] ?? 0);
+};
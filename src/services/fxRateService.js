@@ -0,0 +1,73 @@
+import { mockFxRates } from "../data/mockFxRates";
+import { validateFxRate } from "../utils/currencyUtils";
+import { createLocalStorageRegistry } from "./adapters/createRegistryAdapter";
+
+// Local storage for the exchange rate table
+export const FX_RATES_STORAGE_KEY = "fx_rates_data";
+
+// Options shared by every exchange rate registry adapter
+export const FX_RATE_REGISTRY_OPTIONS = {
+  label: "Exchange rate",
+  idPrefix: "FX",
+  validate: validateFxRate,
+};
+
+// Registry the service delegates to; defaults to localStorage
+let activeAdapter = createLocalStorageRegistry({
+  ...FX_RATE_REGISTRY_OPTIONS,
+  storageKey: FX_RATES_STORAGE_KEY,
+  seed: mockFxRates,
+});
+
+/**
+ * Replaces the registry used by `fxRateService`, e.g. with an in-memory one
+ * in tests.
+ *
+ * @param {Object} adapter - Registry adapter implementing list, create, update and remove
+ *
+ * @example
+ * setFxRateAdapter(createMemoryRegistry(mockFxRates, FX_RATE_REGISTRY_OPTIONS));
+ */
+export const setFxRateAdapter = (adapter) => {
+  activeAdapter = adapter;
+};
+
+/**
+ * Restores the exchange rate table to its initial data.
+ *
+ * @returns {Promise<void>}
+ * @throws {Error} If the active adapter cannot be reset
+ */
+export const resetFxRateData = async () => {
+  if (typeof activeAdapter.reset !== "function") {
+    throw new Error(
+      "The active exchange rate registry does not support resetting"
+    );
+  }
+  await activeAdapter.reset();
+};
+
+// Exchange rate table service. Rates are never copied onto bookings; reports
+// look up the one in effect on each booking's date (see findFxRate). Every
+// method accepts `{ signal }` to abort the request.
+export const fxRateService = {
+  // Fetch all rates, by currency and then newest first
+  async getFxRates(options = {}) {
+    const rates = await activeAdapter.list(options);
+    return [...rates].sort(
+      (a, b) =>
+        a.currency.localeCompare(b.currency) ||
+        b.effectiveDate.localeCompare(a.effectiveDate)
+    );
+  },
+
+  // Add a rate; rejects with a RegistryValidationError if invalid
+  async createFxRate(rateData, options = {}) {
+    return activeAdapter.create(rateData, options);
+  },
+
+  // Remove a rate; conversions fall back to the previous one for its currency
+  async deleteFxRate(id, options = {}) {
+    return activeAdapter.remove(id, options);
+  },
+};
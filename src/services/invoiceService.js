@@ -0,0 +1,291 @@
+import {
+  INVOICE_STATUS,
+  buildInvoiceLines,
+  calculateDueDate,
+  canTransitionInvoice,
+  changesInvoicedTerms,
+  chargeSameAmounts,
+  checkBookingsInvoiceable,
+  findBookingInvoice,
+  getNextInvoiceNumber,
+  validateInvoice,
+} from "../utils/invoiceUtils";
+import { getBookingCurrency } from "../utils/rateUtils";
+import { findBookingRateCard } from "../utils/vesselUtils";
+import { createLocalStorageRegistry } from "./adapters/createRegistryAdapter";
+import {
+  BookingInvoicedError,
+  InvoiceStatusError,
+  RegistryValidationError,
+} from "./bookingErrors";
+import { bookingService, setBookingWriteCheck } from "./bookingService";
+import { BOOKING_STATUS } from "./bookingWorkflow";
+import { customerService } from "./customerService";
+import { vesselService } from "./vesselService";
+
+// Local storage for invoices
+export const INVOICES_STORAGE_KEY = "invoices_data";
+
+// Options shared by every invoice registry adapter
+export const INVOICE_REGISTRY_OPTIONS = {
+  label: "Invoice",
+  idPrefix: "IV",
+  validate: validateInvoice,
+};
+
+// Times issuing retries with the next number when another invoice took it
+const ISSUE_ATTEMPTS = 3;
+
+// Registry the service delegates to; defaults to localStorage
+let activeAdapter = createLocalStorageRegistry({
+  ...INVOICE_REGISTRY_OPTIONS,
+  storageKey: INVOICES_STORAGE_KEY,
+});
+
+/**
+ * Replaces the registry used by `invoiceService`, e.g. with an in-memory
+ * one in tests.
+ *
+ * @param {Object} adapter - Registry adapter implementing list, create, update and remove
+ *
+ * @example
+ * setInvoiceAdapter(createMemoryRegistry([], INVOICE_REGISTRY_OPTIONS));
+ */
+export const setInvoiceAdapter = (adapter) => {
+  activeAdapter = adapter;
+};
+
+/**
+ * Removes every stored invoice.
+ *
+ * @returns {Promise<void>}
+ * @throws {Error} If the active adapter cannot be reset
+ */
+export const resetInvoiceData = async () => {
+  if (typeof activeAdapter.reset !== "function") {
+    throw new Error("The active invoice registry does not support resetting");
+  }
+  await activeAdapter.reset();
+};
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+// Load an invoice and check it may move to the given status
+const getInvoiceFor = async (id, status, options) => {
+  const invoices = await activeAdapter.list(options);
+  const invoice = invoices.find((candidate) => candidate.id === id);
+  if (!invoice) {
+    throw new Error("Invoice not found");
+  }
+  if (!canTransitionInvoice(invoice.status, status)) {
+    throw new InvoiceStatusError(id, invoice.status, status);
+  }
+  return { invoice, invoices };
+};
+
+// Refuse booking writes that would leave an invoice that is not void out of
+// step with its bookings: deleting them or changing what they were billed for
+const checkInvoicedBookingWrite = async (
+  { type, id, changes, current },
+  options
+) => {
+  const invoice = findBookingInvoice(await activeAdapter.list(options), id);
+  if (!invoice || invoice.status === INVOICE_STATUS.VOID) {
+    return;
+  }
+  const invoiceNumber = invoice.number || invoice.id;
+  if (type === "delete") {
+    throw new BookingInvoicedError(id, invoiceNumber, "delete");
+  }
+
+  const booking =
+    current ||
+    (await bookingService.getBookings(options)).find(
+      (candidate) => candidate.id === id
+    );
+  // Unknown bookings are left for the backend to report
+  if (
+    booking &&
+    changesInvoicedTerms(
+      booking,
+      changes,
+      await vesselService.getVessels(options)
+    )
+  ) {
+    throw new BookingInvoicedError(id, invoiceNumber);
+  }
+};
+
+setBookingWriteCheck(checkInvoicedBookingWrite);
+
+// Invoice service. Invoices bill one or more confirmed bookings of a single
+// customer; they start as drafts and get their number when issued, so
+// numbers have no gaps. While an invoice is not void, its bookings cannot be
+// deleted or have their dates, value, customer or status changed. Every
+// method accepts `{ signal }` to abort the request.
+export const invoiceService = {
+  // Fetch all invoices, newest first
+  async getInvoices(options = {}) {
+    const invoices = await activeAdapter.list(options);
+    return [...invoices].sort(
+      (a, b) => parseInt(b.id.split("-")[1]) - parseInt(a.id.split("-")[1])
+    );
+  },
+
+  // Draft an invoice for confirmed bookings, with a line per rate charged
+  // (see buildInvoiceLines) in the currency they are priced in. Rejects with a RegistryValidationError if the
+  // bookings cannot be invoiced together.
+  async createInvoice(
+    { bookingIds = [], vatRate, paymentTermsDays, notes = "" },
+    options = {}
+  ) {
+    const [bookings, invoices, vessels, customers] = await Promise.all([
+      bookingService.getBookings(options),
+      activeAdapter.list(options),
+      vesselService.getVessels(options),
+      customerService.getCustomers(options),
+    ]);
+
+    const missingId = bookingIds.find(
+      (id) => !bookings.some((booking) => booking.id === id)
+    );
+    if (missingId) {
+      throw new RegistryValidationError("Invoice", {
+        bookingIds: `Booking ${missingId} not found`,
+      });
+    }
+    const selected = bookingIds.map((id) =>
+      bookings.find((booking) => booking.id === id)
+    );
+    const problem = checkBookingsInvoiceable(selected, invoices, vessels);
+    if (problem) {
+      throw new RegistryValidationError("Invoice", { bookingIds: problem });
+    }
+
+    // Keep the billing details as they were when invoiced
+    const customer = customers.find(
+      (candidate) => candidate.id === selected[0].customerId
+    );
+    return activeAdapter.create(
+      {
+        number: null,
+        status: INVOICE_STATUS.DRAFT,
+        customer: customer
+          ? {
+              id: customer.id,
+              name: customer.name,
+              legalName: customer.legalName || "",
+              billingAddress: customer.billingAddress || {},
+            }
+          : { id: null, name: selected[0].customer },
+        bookingIds,
+        lines: buildInvoiceLines(selected, vessels),
+        currency: getBookingCurrency(
+          selected[0],
+          findBookingRateCard(selected[0], vessels)
+        ),
+        vatRate: Number(vatRate),
+        paymentTermsDays: Number(paymentTermsDays),
+        notes: notes.trim(),
+        issueDate: null,
+        dueDate: null,
+        paidDate: null,
+        voidReason: null,
+        createdAt: new Date().toISOString(),
+      },
+      options
+    );
+  },
+
+  // Issue a draft: number it and set its issue and due dates. Its bookings
+  // must still be confirmed and charge what the draft says. If another
+  // invoice takes the number first, the next one is used.
+  async issueInvoice(id, { issueDate = today() } = {}, options = {}) {
+    let { invoice, invoices } = await getInvoiceFor(
+      id,
+      INVOICE_STATUS.ISSUED,
+      options
+    );
+    const [bookings, vessels] = await Promise.all([
+      bookingService.getBookings(options),
+      vesselService.getVessels(options),
+    ]);
+    const invoiced = invoice.bookingIds.map((bookingId) =>
+      bookings.find((booking) => booking.id === bookingId)
+    );
+    const unconfirmedIndex = invoiced.findIndex(
+      (booking) => booking?.status !== BOOKING_STATUS.CONFIRMED
+    );
+    if (unconfirmedIndex !== -1) {
+      throw new RegistryValidationError("Invoice", {
+        bookingIds: `${invoice.bookingIds[unconfirmedIndex]} is no longer confirmed`,
+      });
+    }
+    if (
+      !chargeSameAmounts(buildInvoiceLines(invoiced, vessels), invoice.lines) ||
+      getBookingCurrency(
+        invoiced[0],
+        findBookingRateCard(invoiced[0], vessels)
+      ) !== invoice.currency
+    ) {
+      throw new RegistryValidationError("Invoice", {
+        lines:
+          "The bookings' values changed after this invoice was drafted; void it and draft a new one",
+      });
+    }
+
+    for (let attempt = 1; ; attempt += 1) {
+      try {
+        return await activeAdapter.update(
+          id,
+          {
+            status: INVOICE_STATUS.ISSUED,
+            number: getNextInvoiceNumber(invoices, issueDate),
+            issueDate,
+            dueDate: calculateDueDate(issueDate, invoice.paymentTermsDays),
+          },
+          options
+        );
+      } catch (error) {
+        if (
+          !(error instanceof RegistryValidationError) ||
+          !error.fieldErrors.number ||
+          attempt >= ISSUE_ATTEMPTS
+        ) {
+          throw error;
+        }
+        ({ invoice, invoices } = await getInvoiceFor(
+          id,
+          INVOICE_STATUS.ISSUED,
+          options
+        ));
+      }
+    }
+  },
+
+  // Record that an issued invoice has been paid
+  async markInvoicePaid(id, { paidDate = today() } = {}, options = {}) {
+    await getInvoiceFor(id, INVOICE_STATUS.PAID, options);
+    return activeAdapter.update(
+      id,
+      { status: INVOICE_STATUS.PAID, paidDate },
+      options
+    );
+  },
+
+  // Void a draft or issued invoice, keeping its number; its bookings can
+  // then be invoiced again. A reason is required.
+  async voidInvoice(id, { reason = "" } = {}, options = {}) {
+    await getInvoiceFor(id, INVOICE_STATUS.VOID, options);
+    if (!reason.trim()) {
+      throw new RegistryValidationError("Invoice", {
+        voidReason: "Give a reason for voiding the invoice",
+      });
+    }
+    return activeAdapter.update(
+      id,
+      { status: INVOICE_STATUS.VOID, voidReason: reason.trim() },
+      options
+    );
+  },
+};
@@ -0,0 +1,384 @@
+/**
+ * Outbox of booking writes that could not reach the backend. Creates,
+ * updates and deletes that fail with a BookingNetworkError are queued here,
+ * persisted to localStorage so they survive reloads, and replayed through
+ * `bookingService` in the order they were made, backing off exponentially
+ * between attempts.
+ *
+ * Entry shape:
+ * `{ id, type, bookingId, payload, options, queuedAt, attempts, nextAttemptAt,
+ * lastError, failed, claimedBy, claimedUntil }` where `type` is one of
+ * MUTATION_TYPES. Queued creates use a local booking ID (see LOCAL_ID_PREFIX)
+ * until the backend assigns one. Entries the backend rejects for other
+ * reasons (conflicts, stale versions) are kept with `failed: true` until the
+ * user discards them.
+ *
+ * Every open tab shares the stored queue, so a tab claims an entry in
+ * storage before sending it (`claimedBy`, `claimedUntil`) and the other tabs
+ * leave it alone until it is sent or the claim expires. Writes made while an
+ * entry is claimed are queued behind it instead of folded into it.
+ */
+import { bookingService } from "./bookingService";
+import { BookingNetworkError } from "./bookingErrors";
+
+export const MUTATION_QUEUE_STORAGE_KEY = "bookings_outbox";
+
+export const MUTATION_TYPES = {
+  CREATE: "create",
+  UPDATE: "update",
+  DELETE: "delete",
+};
+
+// Prefix of the IDs shown for bookings created while offline
+export const LOCAL_ID_PREFIX = "LOCAL-";
+
+// Wait 2s before the first retry, doubling up to a minute
+export const RETRY_BACKOFF = {
+  initialDelayMs: 2000,
+  maxDelayMs: 60000,
+};
+
+const listeners = new Set();
+
+// How long a tab's claim on an entry keeps other tabs from sending it; a
+// tab closed mid-send leaves its claim to expire
+export const CLAIM_TTL_MS = 30000;
+
+// Identifies this tab's claims on queue entries
+const TAB_ID = `${Date.now().toString(36)}-${Math.random()
+  .toString(36)
+  .slice(2)}`;
+
+// Replay in progress, shared by concurrent callers in this tab
+let activeFlush = null;
+
+const loadEntries = () => {
+  try {
+    const stored = localStorage.getItem(MUTATION_QUEUE_STORAGE_KEY);
+    if (stored) {
+      return JSON.parse(stored);
+    }
+  } catch (error) {
+    console.warn("Error reading sync queue from localStorage:", error);
+  }
+  return [];
+};
+
+const saveEntries = (entries) => {
+  try {
+    if (entries.length === 0) {
+      localStorage.removeItem(MUTATION_QUEUE_STORAGE_KEY);
+    } else {
+      localStorage.setItem(MUTATION_QUEUE_STORAGE_KEY, JSON.stringify(entries));
+    }
+  } catch (error) {
+    console.warn("Error saving sync queue to localStorage:", error);
+  }
+  listeners.forEach((listener) => listener(entries));
+};
+
+const nextSequence = (entries) =>
+  entries.reduce(
+    (max, entry) => Math.max(max, parseInt(entry.id.split("-")[1], 10)),
+    0
+  ) + 1;
+
+/**
+ * Whether a failed write should be queued and retried rather than reported.
+ *
+ * @param {Error} error - Error thrown by bookingService
+ * @returns {boolean} True when the backend could not be reached
+ */
+export const isNetworkError = (error) => error instanceof BookingNetworkError;
+
+/**
+ * Whether a booking ID was assigned locally to a booking created offline.
+ *
+ * @param {string} bookingId - Booking ID
+ * @returns {boolean} True for IDs not yet known to the backend
+ */
+export const isLocalBookingId = (bookingId) =>
+  typeof bookingId === "string" && bookingId.startsWith(LOCAL_ID_PREFIX);
+
+/**
+ * Returns how long to wait before the next attempt.
+ *
+ * @param {number} attempts - Attempts made so far (at least 1)
+ * @returns {number} Delay in milliseconds
+ *
+ * @example
+ * getRetryDelay(1) // 2000
+ * getRetryDelay(3) // 8000
+ */
+export const getRetryDelay = (attempts) =>
+  Math.min(
+    RETRY_BACKOFF.initialDelayMs * 2 ** Math.max(0, attempts - 1),
+    RETRY_BACKOFF.maxDelayMs
+  );
+
+/**
+ * Returns the queued writes, oldest first.
+ *
+ * @returns {Array<Object>} Queue entries
+ */
+export const getQueuedMutations = () => loadEntries();
+
+/**
+ * Calls `listener` with the entries whenever the queue changes.
+ *
+ * @param {function(Array<Object>): void} listener - Change listener
+ * @returns {function(): void} Unsubscribe function
+ */
+export const subscribeToMutationQueue = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Queues a write after its first attempt failed for network reasons.
+ * Writes to a booking that already has a pending entry are folded into it:
+ * edits to an offline-created booking become part of the create, consecutive
+ * edits are merged, and deleting an offline-created booking drops it. An
+ * entry that is claimed for sending is left as it is and the write is queued
+ * behind it.
+ *
+ * @param {Object} mutation - The write to queue
+ * @param {string} mutation.type - One of MUTATION_TYPES
+ * @param {string} [mutation.bookingId] - Booking written; omitted for creates
+ * @param {Object} [mutation.payload] - Booking data for creates, changed fields for updates
+ * @param {Object} [mutation.options] - Write options such as `{ expectedVersion }`
+ * @param {string} [mutation.error] - Message of the failure that caused queueing
+ * @returns {Object|null} The queue entry holding the write, or null if it
+ *   cancelled out a queued create
+ */
+export const enqueueMutation = ({
+  type,
+  bookingId,
+  payload = {},
+  options = {},
+  error = null,
+}) => {
+  const entries = loadEntries();
+  const existing = [...entries]
+    .reverse()
+    .find((entry) => entry.bookingId === bookingId && !entry.failed);
+
+  if (existing && !existing.claimedBy && type !== MUTATION_TYPES.CREATE) {
+    let folded = null;
+
+    if (existing.type === MUTATION_TYPES.CREATE) {
+      folded =
+        type === MUTATION_TYPES.UPDATE
+          ? { ...existing, payload: { ...existing.payload, ...payload } }
+          : null;
+    } else if (existing.type === MUTATION_TYPES.UPDATE) {
+      folded =
+        type === MUTATION_TYPES.UPDATE
+          ? { ...existing, payload: { ...existing.payload, ...payload } }
+          : { ...existing, type, payload: {} };
+    } else {
+      folded = existing;
+    }
+
+    saveEntries(
+      folded
+        ? entries.map((entry) => (entry.id === existing.id ? folded : entry))
+        : entries.filter((entry) => entry.id !== existing.id)
+    );
+    return folded;
+  }
+
+  const sequence = nextSequence(entries);
+  const entry = {
+    id: `OP-${sequence}`,
+    type,
+    bookingId:
+      type === MUTATION_TYPES.CREATE
+        ? `${LOCAL_ID_PREFIX}${sequence}`
+        : bookingId,
+    payload,
+    options,
+    queuedAt: new Date().toISOString(),
+    attempts: 1,
+    nextAttemptAt: new Date(Date.now() + getRetryDelay(1)).toISOString(),
+    lastError: error,
+    failed: false,
+  };
+
+  saveEntries([...entries, entry]);
+  return entry;
+};
+
+/**
+ * Drops a queued write without sending it.
+ *
+ * @param {string} entryId - Queue entry ID
+ * @returns {boolean} Whether an entry was removed
+ */
+export const discardMutation = (entryId) => {
+  const entries = loadEntries();
+  const remaining = entries.filter((entry) => entry.id !== entryId);
+
+  if (remaining.length === entries.length) {
+    return false;
+  }
+  saveEntries(remaining);
+  return true;
+};
+
+/**
+ * Removes every queued write, e.g. when the mock data is reset.
+ */
+export const clearMutationQueue = () => {
+  saveEntries([]);
+};
+
+/**
+ * Returns when the next queued write is due, or null if none is waiting.
+ *
+ * @returns {Date|null} Time of the next attempt
+ */
+export const getNextAttemptTime = () => {
+  const pending = loadEntries().filter((entry) => !entry.failed);
+  if (pending.length === 0) {
+    return null;
+  }
+  return new Date(pending[0].nextAttemptAt);
+};
+
+const sendMutation = (entry) => {
+  switch (entry.type) {
+    case MUTATION_TYPES.CREATE:
+      return bookingService.createBooking(entry.payload);
+    case MUTATION_TYPES.UPDATE:
+      return bookingService.updateBooking(
+        entry.bookingId,
+        entry.payload,
+        entry.options
+      );
+    case MUTATION_TYPES.DELETE:
+      return bookingService.deleteBooking(entry.bookingId, entry.options);
+    default:
+      throw new Error(`Unknown queued operation: ${entry.type}`);
+  }
+};
+
+// Apply a change to one entry, if the user has not discarded it meanwhile
+const updateEntry = (entryId, changes) => {
+  saveEntries(
+    loadEntries().map((entry) =>
+      entry.id === entryId ? { ...entry, ...changes } : entry
+    )
+  );
+};
+
+const isClaimedElsewhere = (entry) =>
+  Boolean(entry.claimedBy) &&
+  entry.claimedBy !== TAB_ID &&
+  new Date(entry.claimedUntil) > new Date();
+
+// Claim an entry for this tab; false if it is gone or another tab holds it
+const claimEntry = (entryId) => {
+  const stored = loadEntries().find((entry) => entry.id === entryId);
+  if (!stored || isClaimedElsewhere(stored)) {
+    return false;
+  }
+  updateEntry(entryId, {
+    claimedBy: TAB_ID,
+    claimedUntil: new Date(Date.now() + CLAIM_TTL_MS).toISOString(),
+  });
+  // Another tab may have claimed it between the read and the write
+  return loadEntries().some(
+    (entry) => entry.id === entryId && entry.claimedBy === TAB_ID
+  );
+};
+
+const releaseClaim = { claimedBy: null, claimedUntil: null };
+
+// Drop a sent entry and point the writes queued behind it for the same
+// booking at the ID and version the backend returned
+const completeEntry = (sent, result) => {
+  const remaining = loadEntries().filter((entry) => entry.id !== sent.id);
+
+  saveEntries(
+    result?.id
+      ? remaining.map((entry) =>
+          entry.bookingId === sent.bookingId
+            ? {
+                ...entry,
+                bookingId: result.id,
+                options:
+                  entry.options?.expectedVersion !== undefined
+                    ? { ...entry.options, expectedVersion: result.version }
+                    : entry.options,
+              }
+            : entry
+        )
+      : remaining
+  );
+};
+
+const replay = async (force) => {
+  const synced = [];
+  const rejected = [];
+
+  for (const { id } of loadEntries()) {
+    // Skip entries discarded (or sent by another tab) while earlier ones
+    // were being sent, and read the rest afresh as sends may rebase them
+    const entry = loadEntries().find((stored) => stored.id === id);
+    if (!entry || entry.failed) continue;
+    // Later writes wait for earlier ones to keep their order
+    if (!force && new Date(entry.nextAttemptAt) > new Date()) break;
+
+    // Another tab is sending it; later writes wait for it there
+    if (!claimEntry(entry.id)) break;
+
+    try {
+      completeEntry(entry, await sendMutation(entry));
+      synced.push(entry);
+    } catch (error) {
+      if (isNetworkError(error)) {
+        const attempts = entry.attempts + 1;
+        updateEntry(entry.id, {
+          ...releaseClaim,
+          attempts,
+          nextAttemptAt: new Date(
+            Date.now() + getRetryDelay(attempts)
+          ).toISOString(),
+          lastError: error.message,
+        });
+        break;
+      }
+
+      updateEntry(entry.id, {
+        ...releaseClaim,
+        failed: true,
+        lastError: error.message,
+      });
+      rejected.push({ ...entry, failed: true, lastError: error.message });
+    }
+  }
+
+  return { synced, rejected, remaining: loadEntries() };
+};
+
+/**
+ * Sends queued writes that are due, oldest first. Stops at the first write
+ * that still cannot reach the backend and schedules its next attempt with
+ * backoff. Concurrent calls in one tab share the same run, and entries
+ * another tab is already sending are left to it.
+ *
+ * @param {Object} [options] - Replay options
+ * @param {boolean} [options.force=false] - Send writes even if their retry is
+ *   not due yet, e.g. when the browser comes back online
+ * @returns {Promise<{synced: Array<Object>, rejected: Array<Object>, remaining: Array<Object>}>}
+ *   Entries sent successfully, entries the backend rejected, and what is left
+ */
+export const flushMutationQueue = ({ force = false } = {}) => {
+  if (!activeFlush) {
+    activeFlush = replay(force).finally(() => {
+      activeFlush = null;
+    });
+  }
+  return activeFlush;
+};
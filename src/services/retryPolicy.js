@@ -0,0 +1,207 @@
+/**
+ * Runtime configuration and helpers for retrying backend calls. Transient
+ * failures (unreachable backend, 5xx and 429 responses) of idempotent calls
+ * are retried up to
+ * `maxAttempts` times in total, waiting `initialDelayMs` before the first
+ * retry and doubling up to `maxDelayMs`. Each wait is shortened by a random
+ * share of up to `jitter` so clients recovering together do not retry in step.
+ *
+ * The circuit breaker (see circuitBreaker) opens after `failureThreshold`
+ * failed attempts in a row and pauses requests for `cooldownMs`.
+ */
+import {
+  BookingAbortError,
+  BookingApiError,
+  BookingNetworkError,
+  isAbortError,
+  throwIfAborted,
+} from "./bookingErrors";
+import {
+  CIRCUIT_STATES,
+  beginRequest,
+  cancelRequest,
+  getCircuitState,
+  recordFailure,
+  recordSuccess,
+} from "./circuitBreaker";
+
+export const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 3,
+  initialDelayMs: 500,
+  maxDelayMs: 8000,
+  jitter: 0.5,
+  failureThreshold: 5,
+  cooldownMs: 30000,
+};
+
+let currentPolicy = { ...DEFAULT_RETRY_POLICY };
+
+// Validation per setting; values failing it are ignored
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+const isNonNegative = (value) => Number.isFinite(value) && value >= 0;
+const POLICY_RULES = {
+  maxAttempts: isPositiveInteger,
+  initialDelayMs: isNonNegative,
+  maxDelayMs: isNonNegative,
+  jitter: (value) => isNonNegative(value) && value <= 1,
+  failureThreshold: isPositiveInteger,
+  cooldownMs: isNonNegative,
+};
+
+/**
+ * Returns the active retry policy.
+ *
+ * @returns {Object} Current policy
+ */
+export const getRetryPolicy = () => currentPolicy;
+
+/**
+ * Updates the retry policy. Invalid values are ignored: attempts and the
+ * failure threshold must be positive integers, delays non-negative, and
+ * jitter between 0 and 1.
+ *
+ * @param {Object} policy - Partial policy to merge into the current one
+ * @param {number} [policy.maxAttempts] - Attempts per call, including the first
+ * @param {number} [policy.initialDelayMs] - Wait before the first retry
+ * @param {number} [policy.maxDelayMs] - Longest wait between attempts
+ * @param {number} [policy.jitter] - Largest share of a wait removed at random
+ * @param {number} [policy.failureThreshold] - Failed attempts in a row that open the breaker
+ * @param {number} [policy.cooldownMs] - How long the open breaker pauses requests
+ * @returns {Object} The updated policy
+ *
+ * @example
+ * setRetryPolicy({ maxAttempts: 1 }); // Never retry
+ * setRetryPolicy({ jitter: 0 }); // Deterministic waits
+ */
+export const setRetryPolicy = (policy = {}) => {
+  const next = { ...currentPolicy };
+
+  Object.entries(POLICY_RULES).forEach(([key, isValid]) => {
+    if (isValid(policy[key])) {
+      next[key] = policy[key];
+    }
+  });
+
+  currentPolicy = next;
+  return currentPolicy;
+};
+
+/**
+ * Restores the default retry policy.
+ *
+ * @returns {Object} The default policy
+ */
+export const resetRetryPolicy = () => {
+  currentPolicy = { ...DEFAULT_RETRY_POLICY };
+  return currentPolicy;
+};
+
+/**
+ * Whether a failed call may succeed if tried again.
+ *
+ * @param {Error} error - Error thrown by an adapter
+ * @returns {boolean} True for network errors and 5xx or 429 responses
+ */
+export const isTransientError = (error) =>
+  error instanceof BookingNetworkError ||
+  (error instanceof BookingApiError &&
+    (error.status >= 500 || error.status === 429));
+
+/**
+ * Returns how long to wait after a failed attempt.
+ *
+ * @param {number} attempt - Attempts made so far (at least 1)
+ * @param {function(): number} [random=Math.random] - Source of jitter in [0, 1)
+ * @returns {number} Delay in milliseconds
+ *
+ * @example
+ * // With the default policy and no jitter
+ * getBackoffDelay(1) // 500
+ * getBackoffDelay(3) // 2000
+ */
+export const getBackoffDelay = (attempt, random = Math.random) => {
+  const { initialDelayMs, maxDelayMs, jitter } = currentPolicy;
+  const delay = Math.min(
+    initialDelayMs * 2 ** Math.max(0, attempt - 1),
+    maxDelayMs
+  );
+  return Math.round(delay * (1 - jitter * random()));
+};
+
+/**
+ * Resolves after `ms` milliseconds, or rejects with a BookingAbortError as
+ * soon as the signal is aborted.
+ *
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Cuts the wait short
+ * @returns {Promise<void>}
+ */
+export const wait = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    throwIfAborted(signal);
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new BookingAbortError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+
+/**
+ * Runs a backend call through the circuit breaker, retrying transient
+ * failures with backoff. Gives up early when the breaker opens. Only
+ * idempotent calls are retried: a create, or a write with a version
+ * precondition, may have been applied before its response was lost, and
+ * sending it again would duplicate it or fail as a conflict with itself.
+ *
+ * @param {function(): Promise<*>} call - Makes one attempt
+ * @param {Object} [options] - Call options
+ * @param {AbortSignal} [options.signal] - Aborts the call, including waits between attempts
+ * @param {boolean} [options.idempotent=false] - Whether the call may safely be sent again
+ * @returns {Promise<*>} Result of the first successful attempt
+ * @throws {BookingServiceUnavailableError} While the breaker is open
+ *
+ * @example
+ * const bookings = await withRetry(() => adapter.getBookings({ signal }), {
+ *   signal,
+ *   idempotent: true,
+ * });
+ */
+export const withRetry = async (call, { signal, idempotent = false } = {}) => {
+  for (let attempt = 1; ; attempt += 1) {
+    throwIfAborted(signal);
+    beginRequest();
+
+    try {
+      const result = await call();
+      recordSuccess();
+      return result;
+    } catch (error) {
+      if (isAbortError(error)) {
+        cancelRequest();
+        throw error;
+      }
+      // The backend answered, so it is up even if it refused the request
+      if (!isTransientError(error)) {
+        recordSuccess();
+        throw error;
+      }
+
+      recordFailure(currentPolicy);
+      if (
+        !idempotent ||
+        attempt >= currentPolicy.maxAttempts ||
+        getCircuitState().state !== CIRCUIT_STATES.CLOSED
+      ) {
+        throw error;
+      }
+    }
+
+    await wait(getBackoffDelay(attempt), signal);
+  }
+};
@@ -0,0 +1,63 @@
+/**
+ * Runtime configuration for the bookings Trash. Deleted bookings are kept
+ * for `retentionDays` days, during which they can be restored, and are
+ * purged automatically afterwards.
+ */
+
+export const DEFAULT_TRASH_POLICY = {
+  retentionDays: 30,
+};
+
+let currentPolicy = { ...DEFAULT_TRASH_POLICY };
+
+/**
+ * Returns the active trash policy.
+ *
+ * @returns {{retentionDays: number}} Current policy
+ */
+export const getTrashPolicy = () => currentPolicy;
+
+/**
+ * Updates the trash policy. Retention must be a positive number of days;
+ * other values are ignored.
+ *
+ * @param {Object} policy - Partial policy to merge into the current one
+ * @param {number} [policy.retentionDays] - Days a deleted booking stays restorable
+ * @returns {{retentionDays: number}} The updated policy
+ *
+ * @example
+ * setTrashPolicy({ retentionDays: 7 });
+ */
+export const setTrashPolicy = (policy = {}) => {
+  const next = { ...currentPolicy };
+
+  if (Number.isFinite(policy.retentionDays) && policy.retentionDays > 0) {
+    next.retentionDays = policy.retentionDays;
+  }
+
+  currentPolicy = next;
+  return currentPolicy;
+};
+
+/**
+ * Restores the default trash policy.
+ *
+ * @returns {{retentionDays: number}} The default policy
+ */
+export const resetTrashPolicy = () => {
+  currentPolicy = { ...DEFAULT_TRASH_POLICY };
+  return currentPolicy;
+};
+
+/**
+ * Returns when a booking deleted at `deletedAt` will be purged.
+ *
+ * @param {string} deletedAt - ISO timestamp of the deletion
+ * @param {number} [retentionDays] - Retention period, defaults to the active policy
+ * @returns {Date} Purge date
+ */
+export const getPurgeDate = (
+  deletedAt,
+  retentionDays = currentPolicy.retentionDays
+) =>
+  new Date(new Date(deletedAt).getTime() + retentionDays * 24 * 60 * 60 * 1000);
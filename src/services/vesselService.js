@@ -0,0 +1,171 @@
+import { mockVessels } from "../data/mockVessels";
+import { findVesselByName, validateVesselForm } from "../utils/vesselUtils";
+import {
+  createLocalStorageRegistry,
+  getRevertUpdates,
+} from "./adapters/createRegistryAdapter";
+import { RegistryRecordInUseError } from "./bookingErrors";
+import { bookingService } from "./bookingService";
+
+// Local storage for the vessel registry
+export const VESSELS_STORAGE_KEY = "vessels_data";
+
+// Options shared by every vessel registry adapter
+export const VESSEL_REGISTRY_OPTIONS = {
+  label: "Vessel",
+  idPrefix: "VS",
+  validate: validateVesselForm,
+};
+
+// Registry the service delegates to; defaults to localStorage
+let activeAdapter = createLocalStorageRegistry({
+  ...VESSEL_REGISTRY_OPTIONS,
+  storageKey: VESSELS_STORAGE_KEY,
+  seed: mockVessels,
+});
+
+/**
+ * Replaces the registry used by `vesselService`, e.g. with an in-memory one
+ * in tests.
+ *
+ * @param {Object} adapter - Registry adapter implementing list, create, update and remove
+ *
+ * @example
+ * setVesselAdapter(createMemoryRegistry(mockVessels, VESSEL_REGISTRY_OPTIONS));
+ */
+export const setVesselAdapter = (adapter) => {
+  activeAdapter = adapter;
+};
+
+/**
+ * Restores the vessel registry to its initial data.
+ *
+ * @returns {Promise<void>}
+ * @throws {Error} If the active adapter cannot be reset
+ */
+export const resetVesselData = async () => {
+  if (typeof activeAdapter.reset !== "function") {
+    throw new Error("The active vessel registry does not support resetting");
+  }
+  await activeAdapter.reset();
+};
+
+// Bookings that refer to a vessel by its registry ID
+const getLinkedBookings = async (vesselId, options) =>
+  (await bookingService.getBookings(options)).filter(
+    (booking) => booking.vesselId === vesselId
+  );
+
+// Bookings that refer to a vessel, including those in the trash, which
+// would point at nothing once it is removed and they are restored
+const getReferencingBookings = async (vesselId, options) => [
+  ...(await getLinkedBookings(vesselId, options)),
+  ...(await bookingService.getDeletedBookings(options)).filter(
+    (booking) => booking.vesselId === vesselId
+  ),
+];
+
+// Vessel registry service. Bookings refer to vessels by `vesselId` and keep
+// the vessel's name for display, so renames are copied onto them. Every
+// method accepts `{ signal }` to abort the request.
+export const vesselService = {
+  // Fetch all vessels, sorted by name
+  async getVessels(options = {}) {
+    const vessels = await activeAdapter.list(options);
+    return [...vessels].sort((a, b) => a.name.localeCompare(b.name));
+  },
+
+  // Register a vessel; rejects with a RegistryValidationError if invalid
+  async createVessel(vesselData, options = {}) {
+    return activeAdapter.create(vesselData, options);
+  },
+
+  // Update a vessel's details. A new name is copied onto its bookings in one
+  // all-or-nothing write; if that fails, the whole update is undone.
+  async updateVessel(id, updates, options = {}) {
+    const previous = (await activeAdapter.list(options)).find(
+      (vessel) => vessel.id === id
+    );
+    const vessel = await activeAdapter.update(id, updates, options);
+
+    if (previous && previous.name !== vessel.name) {
+      const linked = await getLinkedBookings(id, options);
+      try {
+        await bookingService.bulkUpdate(
+          linked.map((booking) => ({
+            id: booking.id,
+            changes: { vessel: vessel.name },
+            expectedVersion: booking.version,
+          })),
+          options
+        );
+      } catch (error) {
+        await activeAdapter.update(id, getRevertUpdates(previous, vessel));
+        throw error;
+      }
+    }
+    return vessel;
+  },
+
+  // Remove a vessel from the registry. Vessels still used by bookings, in
+  // the trash too, are kept and a RegistryRecordInUseError lists the bookings.
+  async deleteVessel(id, options = {}) {
+    const linked = await getReferencingBookings(id, options);
+    if (linked.length > 0) {
+      const vessel = (await activeAdapter.list(options)).find(
+        (candidate) => candidate.id === id
+      );
+      throw new RegistryRecordInUseError(
+        vessel?.name || id,
+        linked.map((booking) => booking.id)
+      );
+    }
+    return activeAdapter.remove(id, options);
+  },
+};
+
+/**
+ * Links bookings saved before the vessel registry existed to registered
+ * vessels by name, registering vessels that are not known yet (with type
+ * "other", to be completed later). Bookings that already have a `vesselId`
+ * are left alone, so running it again is harmless.
+ *
+ * @param {Object} [options] - Request options
+ * @param {AbortSignal} [options.signal] - Aborts the migration
+ * @returns {Promise<{linked: number, registered: number}>} Bookings linked and vessels registered
+ *
+ * @example
+ * // At startup, after choosing the booking adapter
+ * migrateBookingVessels().catch(console.warn);
+ */
+export const migrateBookingVessels = async (options = {}) => {
+  const unlinked = (await bookingService.getBookings(options)).filter(
+    (booking) => !booking.vesselId && booking.vessel
+  );
+  if (unlinked.length === 0) {
+    return { linked: 0, registered: 0 };
+  }
+
+  const vessels = await activeAdapter.list(options);
+  let registered = 0;
+  const patches = [];
+  for (const booking of unlinked) {
+    let vessel = findVesselByName(vessels, booking.vessel);
+    if (!vessel) {
+      vessel = await activeAdapter.create(
+        { name: booking.vessel.trim().replace(/\s+/g, " "), type: "other" },
+        options
+      );
+      vessels.push(vessel);
+      registered += 1;
+    }
+    patches.push({
+      id: booking.id,
+      changes: { vessel: vessel.name, vesselId: vessel.id },
+      expectedVersion: booking.version,
+    });
+  }
+
+  await bookingService.bulkUpdate(patches, options);
+  return { linked: patches.length, registered };
+};
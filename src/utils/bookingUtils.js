@@ -3,19 +3,24 @@
  * filtering, and status management. Provides comprehensive tools for
  * handling booking-related operations throughout the application.
  */
+import { CURRENCIES, getDisplayLocale } from "./currencyUtils";
+import { callsAtPort, validateVoyageLegs } from "./portUtils";
 
 /**
- * Formats a date string into a human-readable format using Greek locale (DD/MM/YYYY).
+ * Formats a date string as a numeric date in the display locale, e.g.
+ * DD/MM/YYYY for Greek.
  *
  * @param {string} dateString - The date string to format (YYYY-MM-DD format)
+ * @param {string} [locale] - Locale to format in; defaults to the display locale
  * @returns {string} Formatted date string (e.g., "15/01/2024")
  *
  * @example
- * formatDate('2024-01-15') // Returns "15/01/2024"
+ * formatDate('2024-01-15') // Returns "15/01/2024" in the Greek locale
+ * formatDate('2024-01-15', 'en-US') // Returns "01/15/2024"
  */
-export const formatDate = (dateString) => {
+export const formatDate = (dateString, locale = getDisplayLocale()) => {
   const date = new Date(dateString);
-  return date.toLocaleDateString("el-GR", {
+  return date.toLocaleDateString(locale, {
     year: "numeric",
     month: "2-digit",
     day: "2-digit",
@@ -23,17 +28,21 @@ export const formatDate = (dateString) => {
 };
 
 /**
- * Formats a date string into a human-readable format with Greek month names.
+ * Formats a date string with the month name of the display locale.
  *
  * @param {string} dateString - The date string to format (YYYY-MM-DD format)
+ * @param {string} [locale] - Locale to format in; defaults to the display locale
  * @returns {string} Formatted date string (e.g., "15 Ιαν 2024")
  *
  * @example
- * formatDateWithMonthName('2024-01-15') // Returns "15 Ιαν 2024"
+ * formatDateWithMonthName('2024-01-15') // Returns "15 Ιαν 2024" in the Greek locale
  */
-export const formatDateWithMonthName = (dateString) => {
+export const formatDateWithMonthName = (
+  dateString,
+  locale = getDisplayLocale()
+) => {
   const date = new Date(dateString);
-  return date.toLocaleDateString("el-GR", {
+  return date.toLocaleDateString(locale, {
     year: "numeric",
     month: "short",
     day: "numeric",
@@ -112,6 +121,9 @@ export const calculateDuration = (startDate, endDate) => {
  * @param {Object} filters - Filter criteria object
  * @param {string} [filters.customerName] - Customer name to search for (case-insensitive)
  * @param {string} [filters.status] - Status to filter by (exact match)
+ * @param {string} [filters.vesselId] - Registered vessel ID to filter by (exact match)
+ * @param {string} [filters.customerId] - Customer directory ID to filter by (exact match)
+ * @param {string} [filters.port] - UN/LOCODE of a port any voyage leg calls at
  * @param {Object} [filters.dateRange] - Date range filter object
  * @param {string} [filters.dateRange.start] - Start date for range filter (YYYY-MM-DD)
  * @param {string} [filters.dateRange.end] - End date for range filter (YYYY-MM-DD)
@@ -125,7 +137,8 @@ export const calculateDuration = (startDate, endDate) => {
  * });
  */
 export const filterBookings = (bookings, filters) => {
-  const { customerName, status, dateRange } = filters;
+  const { customerName, status, vesselId, customerId, port, dateRange } =
+    filters;
 
   return bookings.filter((booking) => {
     // Filter by customer name
@@ -141,6 +154,21 @@ export const filterBookings = (bookings, filters) => {
       return false;
     }
 
+    // Filter by vessel
+    if (vesselId && booking.vesselId !== vesselId) {
+      return false;
+    }
+
+    // Filter by customer
+    if (customerId && booking.customerId !== customerId) {
+      return false;
+    }
+
+    // Filter by port of call
+    if (port && !callsAtPort(booking, port)) {
+      return false;
+    }
+
     // Filter by date range
     if (dateRange && dateRange.start && dateRange.end) {
       const bookingStart = new Date(booking.startDate);
@@ -158,6 +186,327 @@ export const filterBookings = (bookings, filters) => {
   });
 };
 
+// Page size used when a query does not ask for one
+export const DEFAULT_PAGE_SIZE = 10;
+
+/**
+ * Sorts bookings by a column without mutating the input. IDs sort by their
+ * number, dates chronologically, duration by length in days and text columns
+ * case-insensitively.
+ *
+ * @param {Array<Object>} bookings - Array of booking objects to sort
+ * @param {Object} [sort] - Sort criteria
+ * @param {string|null} [sort.column] - Column to sort by (id, customer, vessel, status,
+ *   startDate, endDate or duration); no sorting when empty
+ * @param {"asc"|"desc"|null} [sort.direction] - Sort direction; no sorting when empty
+ * @returns {Array<Object>} Sorted copy of the bookings
+ *
+ * @example
+ * sortBookings(bookings, { column: 'startDate', direction: 'desc' });
+ */
+export const sortBookings = (bookings, sort = {}) => {
+  const { column, direction } = sort;
+  if (!column || !direction) {
+    return [...bookings];
+  }
+
+  const sortValue = (booking) => {
+    switch (column) {
+      case "id":
+        return parseInt(booking.id.replace(/[^\d]/g, ""), 10);
+      case "startDate":
+      case "endDate":
+        return new Date(booking[column]);
+      case "duration":
+        return calculateDuration(booking.startDate, booking.endDate);
+      case "customer":
+      case "vessel":
+      case "status":
+        return booking[column].toLowerCase();
+      default:
+        return booking[column];
+    }
+  };
+
+  return [...bookings].sort((a, b) => {
+    const aValue = sortValue(a);
+    const bValue = sortValue(b);
+
+    if (aValue < bValue) {
+      return direction === "asc" ? -1 : 1;
+    }
+    if (aValue > bValue) {
+      return direction === "asc" ? 1 : -1;
+    }
+    return 0;
+  });
+};
+
+/**
+ * Runs a bookings query over an in-memory list the way a backend would:
+ * filters, sorts, then returns the requested page. Pages are 1-based and
+ * out-of-range pages are clamped to the nearest existing page.
+ *
+ * @param {Array<Object>} bookings - Full list of bookings
+ * @param {Object} [query] - Query options
+ * @param {Object} [query.filters] - Filter criteria, as accepted by filterBookings
+ * @param {Object} [query.sort] - Sort criteria, as accepted by sortBookings
+ * @param {number} [query.page=1] - Page to return
+ * @param {number} [query.pageSize=DEFAULT_PAGE_SIZE] - Bookings per page
+ * @returns {{items: Array<Object>, total: number, page: number}} Page of
+ *   bookings, number of bookings matching the filters and the page returned
+ *
+ * @example
+ * queryBookingList(bookings, {
+ *   filters: { status: 'pending' },
+ *   sort: { column: 'startDate', direction: 'asc' },
+ *   page: 2,
+ *   pageSize: 25
+ * });
+ */
+export const queryBookingList = (bookings, query = {}) => {
+  const {
+    filters = {},
+    sort = {},
+    page = 1,
+    pageSize = DEFAULT_PAGE_SIZE,
+  } = query;
+
+  const matching = sortBookings(filterBookings(bookings, filters), sort);
+  const lastPage = Math.max(1, Math.ceil(matching.length / pageSize));
+  const currentPage = Math.min(Math.max(1, page), lastPage);
+  const start = (currentPage - 1) * pageSize;
+
+  return {
+    items: matching.slice(start, start + pageSize),
+    total: matching.length,
+    page: currentPage,
+  };
+};
+
+/**
+ * Normalizes a vessel name for comparison so that casing and stray
+ * whitespace do not hide a double booking.
+ *
+ * @param {string} vessel - Vessel name as typed
+ * @returns {string} Lower-cased, trimmed vessel name with collapsed spaces
+ *
+ * @example
+ * normalizeVesselName('  Nordic  Star ') // Returns "nordic star"
+ */
+export const normalizeVesselName = (vessel) =>
+  (vessel || "").trim().replace(/\s+/g, " ").toLowerCase();
+
+/**
+ * Checks whether two booking periods overlap. End dates are exclusive, so a
+ * booking ending on the day another starts does not overlap it.
+ *
+ * @param {string} startA - First period start (YYYY-MM-DD)
+ * @param {string} endA - First period end (YYYY-MM-DD)
+ * @param {string} startB - Second period start (YYYY-MM-DD)
+ * @param {string} endB - Second period end (YYYY-MM-DD)
+ * @returns {boolean} True if the periods overlap
+ *
+ * @example
+ * periodsOverlap('2026-01-10', '2026-01-22', '2026-01-20', '2026-01-25') // Returns true
+ * periodsOverlap('2026-01-10', '2026-01-22', '2026-01-22', '2026-01-25') // Returns false
+ */
+export const periodsOverlap = (startA, endA, startB, endB) => {
+  return new Date(startA) < new Date(endB) && new Date(startB) < new Date(endA);
+};
+
+/**
+ * Returns the period a booking holds its vessel for. With a laycan the
+ * vessel may be delivered any day from laydays to cancelling, so it is held
+ * from laydays, or the start date if that is earlier, to the end of the
+ * charter.
+ *
+ * @param {Object} booking - Booking with `startDate`, `endDate` and optional
+ *   `laycanStart` (laydays) and `laycanEnd` (cancelling)
+ * @returns {{start: string, end: string}} First day and exclusive end of the period
+ *
+ * @example
+ * getBookingPeriod({ startDate: '2030-03-05', endDate: '2030-03-20', laycanStart: '2030-03-01', laycanEnd: '2030-03-10' });
+ * // Returns { start: '2030-03-01', end: '2030-03-20' }
+ */
+export const getBookingPeriod = (booking) => ({
+  start:
+    booking.laycanStart &&
+    new Date(booking.laycanStart) < new Date(booking.startDate)
+      ? booking.laycanStart
+      : booking.startDate,
+  end: booking.endDate,
+});
+
+/**
+ * Tells whether two bookings are for the same vessel: by registry ID when
+ * both have one, otherwise by normalized vessel name.
+ *
+ * @param {Object} a - First booking
+ * @param {Object} b - Second booking
+ * @returns {boolean} True if both bookings are for the same vessel
+ */
+export const isSameVessel = (a, b) =>
+  a.vesselId && b.vesselId
+    ? a.vesselId === b.vesselId
+    : normalizeVesselName(a.vessel) === normalizeVesselName(b.vessel);
+
+/**
+ * Finds existing bookings that clash with a candidate booking for the same vessel.
+ * Bookings with a laycan hold the vessel from laydays (see getBookingPeriod).
+ * Cancelled bookings are ignored on both sides. Confirmed bookings always block;
+ * pending bookings block or only warn depending on the conflict policy.
+ *
+ * @param {Object} candidate - Booking being created or updated
+ * @param {Array<Object>} bookings - Existing bookings to check against
+ * @param {Object} [options] - Detection options
+ * @param {"block"|"warn"} [options.pending="block"] - How pending bookings are treated
+ * @param {string} [options.excludeId] - Booking ID to skip (the booking being edited)
+ * @returns {{blocking: Array<Object>, warnings: Array<Object>}} Clashing bookings grouped by severity
+ *
+ * @example
+ * const { blocking, warnings } = findBookingConflicts(
+ *   { vessel: 'Nordic Star', startDate: '2026-01-15', endDate: '2026-01-18' },
+ *   bookings,
+ *   { pending: 'warn' }
+ * );
+ */
+export const findBookingConflicts = (candidate, bookings, options = {}) => {
+  const { pending = "block", excludeId } = options;
+  const result = { blocking: [], warnings: [] };
+
+  if (
+    !candidate ||
+    candidate.status === "cancelled" ||
+    !candidate.vessel ||
+    !candidate.startDate ||
+    !candidate.endDate
+  ) {
+    return result;
+  }
+
+  bookings.forEach((booking) => {
+    if (booking.id === excludeId || booking.status === "cancelled") {
+      return;
+    }
+
+    if (!isSameVessel(candidate, booking)) {
+      return;
+    }
+
+    const candidatePeriod = getBookingPeriod(candidate);
+    const bookingPeriod = getBookingPeriod(booking);
+    if (
+      !periodsOverlap(
+        candidatePeriod.start,
+        candidatePeriod.end,
+        bookingPeriod.start,
+        bookingPeriod.end
+      )
+    ) {
+      return;
+    }
+
+    if (booking.status === "pending" && pending === "warn") {
+      result.warnings.push(booking);
+    } else {
+      result.blocking.push(booking);
+    }
+  });
+
+  return result;
+};
+
+/**
+ * Booking fields a user can edit, in display order.
+ */
+export const EDITABLE_BOOKING_FIELDS = [
+  "customer",
+  "vessel",
+  "status",
+  "startDate",
+  "endDate",
+  "laycanStart",
+  "laycanEnd",
+  "valueOverride",
+  "currency",
+  "discountPercent",
+  "addressCommission",
+  "brokerage",
+  "brokerageSplit",
+  "legs",
+];
+
+/**
+ * Compares two values of a booking field. Fields holding lists, such as the
+ * brokerage split or the voyage legs, are equal when they have the same entries in the same
+ * order.
+ *
+ * @param {*} a - One value
+ * @param {*} b - The other value
+ * @returns {boolean} True if the values are the same
+ *
+ * @example
+ * isSameFieldValue([{ broker: 'Anna', share: 100 }], [{ broker: 'Anna', share: 100 }]) // Returns true
+ */
+export const isSameFieldValue = (a, b) =>
+  a === b ||
+  (typeof a === "object" &&
+    typeof b === "object" &&
+    a !== null &&
+    b !== null &&
+    JSON.stringify(a) === JSON.stringify(b));
+
+/**
+ * Three-way merge of a user's edits with a booking someone else changed in
+ * the meantime. Fields only the user changed keep the user's value, fields
+ * only the other party changed take theirs. Fields both changed to different
+ * values keep the user's value and are reported as conflicts.
+ *
+ * @param {Object} base - The booking as it was when the user started editing
+ * @param {Object} mine - The user's edited values
+ * @param {Object} theirs - The booking as currently stored
+ * @param {Array<string>} [fields=EDITABLE_BOOKING_FIELDS] - Fields to merge
+ * @returns {{merged: Object, conflicts: Array<string>}} Merged values and conflicting field names
+ *
+ * @example
+ * mergeBookingChanges(
+ *   { vessel: 'Asteria', status: 'pending' },
+ *   { vessel: 'Sea Finch', status: 'pending' },
+ *   { vessel: 'Asteria', status: 'confirmed' }
+ * );
+ * // Returns { merged: { vessel: 'Sea Finch', status: 'confirmed' }, conflicts: [] }
+ */
+export const mergeBookingChanges = (
+  base,
+  mine,
+  theirs,
+  fields = EDITABLE_BOOKING_FIELDS
+) => {
+  const merged = {};
+  const conflicts = [];
+
+  fields.forEach((field) => {
+    const mineChanged = !isSameFieldValue(mine[field], base[field]);
+    const theirsChanged = !isSameFieldValue(theirs[field], base[field]);
+
+    if (
+      mineChanged &&
+      theirsChanged &&
+      !isSameFieldValue(mine[field], theirs[field])
+    ) {
+      conflicts.push(field);
+      merged[field] = mine[field];
+    } else if (mineChanged) {
+      merged[field] = mine[field];
+    } else {
+      merged[field] = theirs[field];
+    }
+  });
+
+  return { merged, conflicts };
+};
+
 /**
  * Validates booking form data and returns validation errors.
  * Checks for required fields, date logic, and data format constraints.
@@ -168,6 +517,16 @@ export const filterBookings = (bookings, filters) => {
  * @param {string} formData.status - Booking status field
  * @param {string} formData.startDate - Start date field (YYYY-MM-DD)
  * @param {string} formData.endDate - End date field (YYYY-MM-DD)
+ * @param {string} [formData.laycanStart] - Laydays, the first day the vessel may be delivered (YYYY-MM-DD)
+ * @param {string} [formData.laycanEnd] - Cancelling date, the last day it may be delivered (YYYY-MM-DD)
+ * @param {number|string} [formData.valueOverride] - Manual gross value, replacing the rate card value
+ * @param {string} [formData.currency] - Currency of the value override (key of CURRENCIES)
+ * @param {number|string} [formData.discountPercent] - Discount in percent
+ * @param {number|string} [formData.addressCommission] - Address commission in percent
+ * @param {number|string} [formData.brokerage] - Brokerage in percent
+ * @param {Array<Object>} [formData.brokerageSplit] - Brokerage shares with
+ *   `broker` and `share` (percent of the brokerage)
+ * @param {Array<Object>} [formData.legs] - Voyage legs (see validateVoyageLegs)
  * @returns {Object} Object containing validation errors (empty if valid)
  *
  * @example
@@ -215,6 +574,96 @@ export const validateBookingForm = (formData) => {
     }
   }
 
+  // The laycan is optional, but takes both dates and must include the start
+  if (formData.laycanStart && !formData.laycanEnd) {
+    errors.laycanEnd = "Cancelling date is required with laydays";
+  } else if (formData.laycanEnd && !formData.laycanStart) {
+    errors.laycanStart = "Laydays are required with a cancelling date";
+  } else if (formData.laycanStart && formData.laycanEnd) {
+    const laydays = new Date(formData.laycanStart);
+    const cancelling = new Date(formData.laycanEnd);
+
+    if (cancelling < laydays) {
+      errors.laycanEnd = "Cancelling date cannot be before laydays";
+    } else if (formData.endDate && cancelling >= new Date(formData.endDate)) {
+      errors.laycanEnd = "Cancelling date must be before the end date";
+    } else if (
+      formData.startDate &&
+      !errors.startDate &&
+      (new Date(formData.startDate) < laydays ||
+        new Date(formData.startDate) > cancelling)
+    ) {
+      errors.startDate = "Start date must fall within the laycan";
+    }
+  }
+
+  const isFilled = (value) =>
+    value !== undefined && value !== null && String(value).trim() !== "";
+
+  if (isFilled(formData.valueOverride)) {
+    const value = Number(formData.valueOverride);
+    if (!Number.isFinite(value) || value < 0) {
+      errors.valueOverride = "Value must be a positive amount";
+    }
+  }
+
+  if (formData.currency && !CURRENCIES[formData.currency]) {
+    errors.currency = "Choose a supported currency";
+  }
+
+  if (isFilled(formData.discountPercent)) {
+    const discount = Number(formData.discountPercent);
+    if (!Number.isFinite(discount) || discount < 0 || discount > 100) {
+      errors.discountPercent = "Discount must be between 0 and 100%";
+    }
+  }
+
+  const isPercent = (value) => {
+    const percent = Number(value);
+    return Number.isFinite(percent) && percent >= 0 && percent <= 100;
+  };
+
+  if (
+    isFilled(formData.addressCommission) &&
+    !isPercent(formData.addressCommission)
+  ) {
+    errors.addressCommission = "Address commission must be between 0 and 100%";
+  }
+
+  if (isFilled(formData.brokerage) && !isPercent(formData.brokerage)) {
+    errors.brokerage = "Brokerage must be between 0 and 100%";
+  }
+
+  // A split divides the brokerage between brokers; without one the house
+  // broker keeps all of it
+  const split = formData.brokerageSplit || [];
+  if (split.length > 0) {
+    const brokers = split.map((row) =>
+      (row.broker || "").trim().replace(/\s+/g, " ").toLowerCase()
+    );
+    const repeated = brokers.find(
+      (broker, index) => broker && brokers.indexOf(broker) !== index
+    );
+    const total = split.reduce((sum, row) => sum + Number(row.share), 0);
+
+    if (brokers.some((broker) => !broker)) {
+      errors.brokerageSplit = "Every brokerage share needs a broker";
+    } else if (repeated) {
+      errors.brokerageSplit = "Each broker can only be listed once";
+    } else if (
+      split.some((row) => !isFilled(row.share) || !(Number(row.share) > 0))
+    ) {
+      errors.brokerageSplit = "Every brokerage share must be above 0%";
+    } else if (Math.abs(total - 100) > 0.001) {
+      errors.brokerageSplit = "Brokerage shares must add up to 100%";
+    }
+  }
+
+  const legsError = validateVoyageLegs(formData.legs, formData);
+  if (legsError) {
+    errors.legs = legsError;
+  }
+
   return {
     isValid: Object.keys(errors).length === 0,
     errors,
@@ -0,0 +1,326 @@
+/**
+ * Utilities for broker commission: address commission and brokerage worked
+ * out from a booking's charter value, brokerage split between brokers and
+ * co-brokers, and commission statements per broker and period.
+ */
+import { BOOKING_STATUS } from "../services/bookingWorkflow";
+import { DEFAULT_CURRENCY, convertAmount } from "./currencyUtils";
+import { toCSV } from "./exportUtils";
+import { INVOICE_ISSUER } from "./invoiceUtils";
+import { calculateBookingValue } from "./rateUtils";
+import { findBookingRateCard } from "./vesselUtils";
+
+// Broker credited with the whole brokerage of bookings that have no split
+export const HOUSE_BROKER = INVOICE_ISSUER.name;
+
+export const COMMISSION_STATEMENT_MIME_TYPE = "text/csv;charset=utf-8";
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const isBlank = (value) =>
+  value === undefined || value === null || String(value).trim() === "";
+
+const toPercent = (value) => (isBlank(value) ? 0 : Number(value));
+
+const normalizeBroker = (name) =>
+  (name || "").trim().replace(/\s+/g, " ").toLowerCase();
+
+/**
+ * Returns a booking's brokerage shares, crediting the house broker with
+ * all of it when the booking has no split.
+ *
+ * @param {Object} booking - Booking with an optional `brokerageSplit`
+ * @returns {Array<{broker: string, share: number}>} Shares in percent of the brokerage
+ */
+export const getBrokerageShares = (booking) =>
+  booking.brokerageSplit?.length > 0
+    ? booking.brokerageSplit
+    : [{ broker: HOUSE_BROKER, share: 100 }];
+
+/**
+ * Works out a booking's commissions from its net charter value (see
+ * calculateBookingValue): the address commission given back to the
+ * charterer and the brokerage, split between brokers by their shares.
+ * Amounts are null while the booking has no value.
+ *
+ * @param {Object} booking - Booking with `addressCommission`, `brokerage`
+ *   (both in percent) and an optional `brokerageSplit`
+ * @param {Object|null} rateCard - Rate card of the booking's vessel
+ * @returns {Object} `netValue`, `addressCommissionPercent`,
+ *   `addressCommissionAmount`, `brokeragePercent`, `brokerageAmount`,
+ *   `shares` with each broker's `share` and `amount`, and the `currency`
+ *   of the booking's value all amounts are in
+ *
+ * @example
+ * calculateCommission(
+ *   { ..., valueOverride: 100000, addressCommission: 3.75, brokerage: 1.25,
+ *     brokerageSplit: [{ broker: 'Anna', share: 60 }, { broker: 'Seaways', share: 40 }] },
+ *   null
+ * );
+ * // Returns { netValue: 100000, addressCommissionAmount: 3750, brokerageAmount: 1250,
+ * //   shares: [{ broker: 'Anna', share: 60, amount: 750 }, { broker: 'Seaways', share: 40, amount: 500 }], ... }
+ */
+export const calculateCommission = (booking, rateCard) => {
+  const { netValue, currency } = calculateBookingValue(booking, rateCard);
+  const addressCommissionPercent = toPercent(booking.addressCommission);
+  const brokeragePercent = toPercent(booking.brokerage);
+  const amountOf = (percent) =>
+    netValue === null ? null : roundMoney((netValue * percent) / 100);
+  const brokerageAmount = amountOf(brokeragePercent);
+
+  return {
+    netValue,
+    addressCommissionPercent,
+    addressCommissionAmount: amountOf(addressCommissionPercent),
+    brokeragePercent,
+    brokerageAmount,
+    shares: getBrokerageShares(booking).map(({ broker, share }) => ({
+      broker,
+      share,
+      amount:
+        brokerageAmount === null
+          ? null
+          : roundMoney((brokerageAmount * share) / 100),
+    })),
+    currency,
+  };
+};
+
+/**
+ * Describes a brokerage split for display, e.g. in the activity trail.
+ *
+ * @param {Array<{broker: string, share: number}>} [split] - Brokerage shares
+ * @returns {string} E.g. "Anna Georgiou 60%, Seaways Chartering 40%", or "" without a split
+ */
+export const formatBrokerageSplit = (split) =>
+  (split || []).map(({ broker, share }) => `${broker} ${share}%`).join(", ");
+
+/**
+ * Converts the booking form's commission fields to the stored shape:
+ * percentages as numbers (null when empty) and the split with trimmed
+ * broker names and numeric shares.
+ *
+ * @param {Object} formData - Booking form values
+ * @returns {{addressCommission: (number|null), brokerage: (number|null),
+ *   brokerageSplit: Array<{broker: string, share: number}>}} Commission fields ready to save
+ *
+ * @example
+ * toBookingCommissionData({ addressCommission: '', brokerage: '1.25', brokerageSplit: [] })
+ * // Returns { addressCommission: null, brokerage: 1.25, brokerageSplit: [] }
+ */
+export const toBookingCommissionData = (formData) => ({
+  addressCommission: isBlank(formData.addressCommission)
+    ? null
+    : Number(formData.addressCommission),
+  brokerage: isBlank(formData.brokerage) ? null : Number(formData.brokerage),
+  brokerageSplit: (formData.brokerageSplit || []).map((row) => ({
+    broker: row.broker.trim().replace(/\s+/g, " "),
+    share: Number(row.share),
+  })),
+});
+
+/**
+ * Lists the brokers credited with brokerage on any booking, by name.
+ *
+ * @param {Array<Object>} bookings - Bookings to look through
+ * @returns {Array<string>} Broker names, sorted
+ */
+export const getBrokerNames = (bookings) => {
+  const names = new Map();
+  bookings
+    .filter((booking) => toPercent(booking.brokerage) > 0)
+    .forEach((booking) => {
+      getBrokerageShares(booking).forEach(({ broker }) => {
+        if (!names.has(normalizeBroker(broker))) {
+          names.set(normalizeBroker(broker), broker);
+        }
+      });
+    });
+  return [...names.values()].sort((a, b) => a.localeCompare(b));
+};
+
+/**
+ * Builds a broker's commission statement for a period: their share of the
+ * brokerage on every confirmed booking starting in the period. Each amount
+ * is also converted to the reporting currency at the rate in effect on the
+ * booking's start date, and the total is in the reporting currency.
+ *
+ * @param {Array<Object>} bookings - Bookings to report on
+ * @param {Array<Object>} [vessels=[]] - Registered vessels with their rate cards
+ * @param {Object} period - Statement options
+ * @param {string} period.broker - Broker to report on, matched ignoring case and spacing
+ * @param {string} period.from - First day of the period (YYYY-MM-DD)
+ * @param {string} period.to - Last day of the period (YYYY-MM-DD)
+ * @param {string} [period.currency=DEFAULT_CURRENCY] - Reporting currency
+ * @param {Array<Object>} [period.rates=[]] - Exchange rates (see findFxRate)
+ * @returns {{broker: string, from: string, to: string, currency: string,
+ *   rows: Array<Object>, total: number, unvalued: Array<string>,
+ *   unconverted: Array<string>}} Rows by charter start date with
+ *   `bookingId`, `customer`, `vessel`, `startDate`, `endDate`, `netValue`,
+ *   `brokeragePercent`, `share`, `amount`, the booking's `currency` and
+ *   `reportingAmount`; `unvalued` lists bookings left out because they have
+ *   no value yet, and `unconverted` those left out of the total because no
+ *   exchange rate applied on their start date
+ *
+ * @example
+ * buildCommissionStatement(bookings, vessels, { broker: 'Anna Georgiou', from: '2030-01-01', to: '2030-03-31', currency: 'USD', rates });
+ */
+export const buildCommissionStatement = (
+  bookings,
+  vessels = [],
+  { broker, from, to, currency = DEFAULT_CURRENCY, rates = [] }
+) => {
+  const rows = [];
+  const unvalued = [];
+  const unconverted = [];
+
+  bookings
+    .filter(
+      (booking) =>
+        booking.status === BOOKING_STATUS.CONFIRMED &&
+        booking.startDate.slice(0, 10) >= from &&
+        booking.startDate.slice(0, 10) <= to &&
+        toPercent(booking.brokerage) > 0
+    )
+    .sort((a, b) => new Date(a.startDate) - new Date(b.startDate))
+    .forEach((booking) => {
+      const commission = calculateCommission(
+        booking,
+        findBookingRateCard(booking, vessels)
+      );
+      const share = commission.shares.find(
+        (candidate) =>
+          normalizeBroker(candidate.broker) === normalizeBroker(broker)
+      );
+      if (!share) return;
+      if (share.amount === null) {
+        unvalued.push(booking.id);
+        return;
+      }
+      const reportingAmount = convertAmount(
+        share.amount,
+        commission.currency,
+        currency,
+        booking.startDate,
+        rates
+      );
+      if (reportingAmount === null) {
+        unconverted.push(booking.id);
+      }
+      rows.push({
+        bookingId: booking.id,
+        customer: booking.customer,
+        vessel: booking.vessel,
+        startDate: booking.startDate.slice(0, 10),
+        endDate: booking.endDate.slice(0, 10),
+        netValue: commission.netValue,
+        brokeragePercent: commission.brokeragePercent,
+        share: share.share,
+        amount: share.amount,
+        currency: commission.currency,
+        reportingAmount,
+      });
+    });
+
+  return {
+    broker,
+    from,
+    to,
+    currency,
+    rows,
+    total: roundMoney(
+      rows.reduce((sum, row) => sum + (row.reportingAmount ?? 0), 0)
+    ),
+    unvalued,
+    unconverted,
+  };
+};
+
+// Columns of the statement CSV, in the shape toCSV expects. Numbers are
+// written with the given decimal separator.
+const getStatementColumns = (decimalSeparator, reportingCurrency) => {
+  const number = (value) =>
+    value === undefined ? "" : String(value).replace(".", decimalSeparator);
+  return [
+    { key: "bookingId", label: "Booking ID", value: (row) => row.bookingId },
+    { key: "customer", label: "Customer", value: (row) => row.customer },
+    { key: "vessel", label: "Vessel", value: (row) => row.vessel },
+    {
+      key: "startDate",
+      label: "Start Date",
+      type: "date",
+      value: (row) => row.startDate,
+    },
+    {
+      key: "endDate",
+      label: "End Date",
+      type: "date",
+      value: (row) => row.endDate,
+    },
+    {
+      key: "netValue",
+      label: "Net Value",
+      value: (row) => number(row.netValue),
+    },
+    {
+      key: "brokeragePercent",
+      label: "Brokerage %",
+      value: (row) => number(row.brokeragePercent),
+    },
+    { key: "share", label: "Share %", value: (row) => number(row.share) },
+    {
+      key: "amount",
+      label: "Commission",
+      value: (row) => number(row.amount),
+    },
+    { key: "currency", label: "Currency", value: (row) => row.currency },
+    {
+      key: "reportingAmount",
+      label: `Commission (${reportingCurrency})`,
+      value: (row) =>
+        number(row.reportingAmount === null ? undefined : row.reportingAmount),
+    },
+  ];
+};
+
+/**
+ * Writes a commission statement as a CSV file, ready for `downloadFile`,
+ * with a closing total row. Amounts are plain numbers so spreadsheets can
+ * add them up; with the semicolon delimiter of Greek Excel they take a
+ * decimal comma.
+ *
+ * @param {Object} statement - Statement from buildCommissionStatement
+ * @param {Object} [options] - CSV options, as for toCSV
+ * @param {string} [options.delimiter=","] - Cell delimiter
+ * @param {string} [options.dateFormat="iso"] - Key of DATE_FORMATS
+ * @returns {{content: string, fileName: string, mimeType: string}} The file
+ *
+ * @example
+ * downloadFile(buildCommissionStatementFile(statement, { delimiter: ';', dateFormat: 'dayFirst' }));
+ * // Saves "commission-anna-georgiou-2030-01-01-2030-03-31.csv"
+ */
+export const buildCommissionStatementFile = (statement, options = {}) => {
+  const totalRow = {
+    bookingId: "Total",
+    reportingAmount: statement.total,
+  };
+  const slug = statement.broker
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+  return {
+    content: toCSV([...statement.rows, totalRow], {
+      ...options,
+      columns: getStatementColumns(
+        options.delimiter === ";" ? "," : ".",
+        statement.currency || DEFAULT_CURRENCY
+      ),
+    }),
+    fileName: `commission-${slug || "broker"}-${statement.from}-${
+      statement.to
+    }.csv`,
+    mimeType: COMMISSION_STATEMENT_MIME_TYPE,
+  };
+};
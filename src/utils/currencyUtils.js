@@ -0,0 +1,289 @@
+/**
+ * Utilities for money in several currencies: the currencies charters are
+ * priced in, locale-aware formatting of amounts, and conversion between
+ * currencies with a local table of exchange rates that take effect on
+ * given dates. Rates are quoted against the base currency (EUR), as units
+ * of the currency per 1 EUR.
+ */
+
+export const DEFAULT_CURRENCY = "EUR";
+
+// Currencies charters can be priced in
+export const CURRENCIES = {
+  EUR: { label: "Euro" },
+  USD: { label: "US dollar" },
+  NOK: { label: "Norwegian krone" },
+};
+
+// Locales amounts and dates can be shown in
+export const DISPLAY_LOCALES = {
+  "el-GR": { label: "Greek (1.234,56 € · 31/12/2030)" },
+  "en-GB": { label: "English, UK (€1,234.56 · 31/12/2030)" },
+  "en-US": { label: "English, US (€1,234.56 · 12/31/2030)" },
+  "nb-NO": { label: "Norwegian (1 234,56 € · 31.12.2030)" },
+};
+
+export const DEFAULT_LOCALE = "el-GR";
+
+export const DISPLAY_LOCALE_STORAGE_KEY = "display_locale";
+export const REPORTING_CURRENCY_STORAGE_KEY = "reporting_currency";
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const isBlank = (value) =>
+  value === undefined || value === null || String(value).trim() === "";
+
+const readSetting = (key, allowed, fallback) => {
+  try {
+    const stored = localStorage.getItem(key);
+    if (stored && allowed[stored]) {
+      return stored;
+    }
+  } catch (error) {
+    console.warn(`Error reading ${key} from localStorage:`, error);
+  }
+  return fallback;
+};
+
+const writeSetting = (key, allowed, value, fallback) => {
+  const next = allowed[value] ? value : fallback;
+  try {
+    localStorage.setItem(key, next);
+  } catch (error) {
+    console.warn(`Error saving ${key} to localStorage:`, error);
+  }
+  return next;
+};
+
+/**
+ * Returns the locale amounts and dates are shown in on this device.
+ *
+ * @returns {string} Key of DISPLAY_LOCALES
+ */
+export const getDisplayLocale = () =>
+  readSetting(DISPLAY_LOCALE_STORAGE_KEY, DISPLAY_LOCALES, DEFAULT_LOCALE);
+
+/**
+ * Sets the locale amounts and dates are shown in, remembered on this
+ * device. Unknown locales fall back to the default.
+ *
+ * @param {string} locale - Key of DISPLAY_LOCALES
+ * @returns {string} The locale now in use
+ *
+ * @example
+ * setDisplayLocale("en-GB");
+ */
+export const setDisplayLocale = (locale) =>
+  writeSetting(
+    DISPLAY_LOCALE_STORAGE_KEY,
+    DISPLAY_LOCALES,
+    locale,
+    DEFAULT_LOCALE
+  );
+
+/**
+ * Returns the currency reports and totals are converted to on this device.
+ *
+ * @returns {string} Key of CURRENCIES
+ */
+export const getReportingCurrency = () =>
+  readSetting(REPORTING_CURRENCY_STORAGE_KEY, CURRENCIES, DEFAULT_CURRENCY);
+
+/**
+ * Sets the currency reports and totals are converted to, remembered on this
+ * device. Unknown currencies fall back to the base currency.
+ *
+ * @param {string} currency - Key of CURRENCIES
+ * @returns {string} The reporting currency now in use
+ *
+ * @example
+ * setReportingCurrency("USD");
+ */
+export const setReportingCurrency = (currency) =>
+  writeSetting(
+    REPORTING_CURRENCY_STORAGE_KEY,
+    CURRENCIES,
+    currency,
+    DEFAULT_CURRENCY
+  );
+
+/**
+ * Formats an amount of money for display.
+ *
+ * @param {number|null} amount - Amount to show
+ * @param {string} [currency=DEFAULT_CURRENCY] - Currency of the amount
+ * @param {string} [locale] - Locale to format in; defaults to the display locale
+ * @returns {string} Formatted amount, or "—" when there is none
+ *
+ * @example
+ * formatMoney(12345.5) // Returns "12.345,50 €"
+ * formatMoney(12345.5, 'USD', 'en-US') // Returns "$12,345.50"
+ */
+export const formatMoney = (
+  amount,
+  currency = DEFAULT_CURRENCY,
+  locale = getDisplayLocale()
+) =>
+  amount === null || amount === undefined || !Number.isFinite(amount)
+    ? "—"
+    : new Intl.NumberFormat(locale, {
+        style: "currency",
+        currency: currency || DEFAULT_CURRENCY,
+      }).format(amount);
+
+/**
+ * Finds the exchange rate in effect for a currency on a day: the one with
+ * the latest effective date on or before it. The base currency is always 1.
+ *
+ * @param {Array<Object>} rates - Exchange rates with `currency`, `rate` and `effectiveDate`
+ * @param {string} currency - Currency to look up
+ * @param {string} date - Day the rate applies to (YYYY-MM-DD or ISO timestamp)
+ * @returns {number|null} Units of the currency per 1 EUR, or null if no rate applies yet
+ *
+ * @example
+ * findFxRate([{ currency: 'USD', rate: 1.08, effectiveDate: '2030-01-01' }], 'USD', '2030-03-01')
+ * // Returns 1.08
+ */
+export const findFxRate = (rates, currency, date) => {
+  if ((currency || DEFAULT_CURRENCY) === DEFAULT_CURRENCY) {
+    return 1;
+  }
+  const day = String(date).slice(0, 10);
+  const rate = rates
+    .filter(
+      (candidate) =>
+        candidate.currency === currency && candidate.effectiveDate <= day
+    )
+    .sort((a, b) => b.effectiveDate.localeCompare(a.effectiveDate))[0];
+  return rate ? rate.rate : null;
+};
+
+/**
+ * Converts an amount between currencies at the rates in effect on a day,
+ * going through the base currency.
+ *
+ * @param {number} amount - Amount to convert
+ * @param {string} from - Currency of the amount
+ * @param {string} to - Currency to convert to
+ * @param {string} date - Day whose rates apply, e.g. the booking's start date
+ * @param {Array<Object>} [rates=[]] - Exchange rates
+ * @returns {number|null} The converted amount, rounded to cents, or null if
+ *   either currency has no rate on that day
+ *
+ * @example
+ * convertAmount(1080, 'USD', 'EUR', '2030-03-01', rates) // Returns 1000 at 1.08 USD per EUR
+ */
+export const convertAmount = (amount, from, to, date, rates = []) => {
+  if (amount === null || amount === undefined) {
+    return null;
+  }
+  if ((from || DEFAULT_CURRENCY) === (to || DEFAULT_CURRENCY)) {
+    return amount;
+  }
+  const fromRate = findFxRate(rates, from, date);
+  const toRate = findFxRate(rates, to, date);
+  if (fromRate === null || toRate === null) {
+    return null;
+  }
+  return roundMoney((amount / fromRate) * toRate);
+};
+
+/**
+ * Adds up amounts in several currencies in one currency, converting each at
+ * the rate on its own date.
+ *
+ * @param {Array<{id: string, amount: number, currency: string, date: string}>} entries - Amounts to add up
+ * @param {string} currency - Currency of the total
+ * @param {Array<Object>} [rates=[]] - Exchange rates
+ * @returns {{total: number, unconverted: Array<string>}} The total of every
+ *   amount that could be converted, and the IDs of those that could not
+ *
+ * @example
+ * sumInCurrency([{ id: 'BK-1001', amount: 1080, currency: 'USD', date: '2030-03-01' }], 'EUR', rates)
+ * // Returns { total: 1000, unconverted: [] }
+ */
+export const sumInCurrency = (entries, currency, rates = []) =>
+  entries.reduce(
+    (result, entry) => {
+      const converted = convertAmount(
+        entry.amount,
+        entry.currency,
+        currency,
+        entry.date,
+        rates
+      );
+      if (converted === null) {
+        result.unconverted.push(entry.id);
+      } else {
+        result.total = roundMoney(result.total + converted);
+      }
+      return result;
+    },
+    { total: 0, unconverted: [] }
+  );
+
+/**
+ * Validates an exchange rate, as typed in the rate form or as stored. Only
+ * one rate per currency can take effect on a given day.
+ *
+ * @param {Object} formData - Exchange rate values
+ * @param {string} formData.currency - Currency the rate is for
+ * @param {number|string} formData.rate - Units of the currency per 1 EUR
+ * @param {string} formData.effectiveDate - First day the rate applies (YYYY-MM-DD)
+ * @param {Array<Object>} [rates=[]] - Stored exchange rates
+ * @param {string} [excludeId] - ID of the rate being edited
+ * @returns {Object} Object with `isValid` and `errors` by field name
+ *
+ * @example
+ * validateFxRate({ currency: 'EUR', rate: '1', effectiveDate: '2030-01-01' });
+ * // Returns { isValid: false, errors: { currency: 'EUR is the base currency and needs no rate' } }
+ */
+export const validateFxRate = (formData, rates = [], excludeId) => {
+  const errors = {};
+
+  if (!formData.currency) {
+    errors.currency = "Currency is required";
+  } else if (formData.currency === DEFAULT_CURRENCY) {
+    errors.currency = `${DEFAULT_CURRENCY} is the base currency and needs no rate`;
+  } else if (!CURRENCIES[formData.currency]) {
+    errors.currency = "Choose a supported currency";
+  }
+
+  const rate = Number(formData.rate);
+  if (isBlank(formData.rate)) {
+    errors.rate = "Rate is required";
+  } else if (!Number.isFinite(rate) || rate <= 0) {
+    errors.rate = "Rate must be a positive number";
+  }
+
+  if (!formData.effectiveDate) {
+    errors.effectiveDate = "Effective date is required";
+  } else if (
+    !errors.currency &&
+    rates.some(
+      (other) =>
+        other.id !== excludeId &&
+        other.currency === formData.currency &&
+        other.effectiveDate === formData.effectiveDate
+    )
+  ) {
+    errors.effectiveDate = `A ${formData.currency} rate already takes effect on this day`;
+  }
+
+  return {
+    isValid: Object.keys(errors).length === 0,
+    errors,
+  };
+};
+
+/**
+ * Converts exchange rate form values to the stored shape.
+ *
+ * @param {Object} formData - Exchange rate form values
+ * @returns {{currency: string, rate: number, effectiveDate: string}} Rate ready to save
+ */
+export const toFxRateData = (formData) => ({
+  currency: formData.currency,
+  rate: Number(formData.rate),
+  effectiveDate: formData.effectiveDate,
+});
@@ -0,0 +1,261 @@
+/**
+ * Utilities for the customer directory: validating customer details,
+ * matching typed customer names to customers (by trading name, legal name or
+ * alias), searching the directory and totalling a customer's bookings.
+ */
+import { calculateDuration } from "./bookingUtils";
+
+// Compare names ignoring casing and stray whitespace
+const normalizeName = (value) =>
+  (value || "").trim().replace(/\s+/g, " ").toLowerCase();
+
+// Every name a customer is known by: trading name, legal name and aliases
+const getCustomerNames = (customer) =>
+  [customer.name, customer.legalName, ...(customer.aliases || [])]
+    .map(normalizeName)
+    .filter(Boolean);
+
+// Loose email check: something@domain.tld
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Splits a comma-separated list of aliases into trimmed names, dropping
+ * empty entries.
+ *
+ * @param {string|Array<string>} aliases - Aliases as typed, or already split
+ * @returns {Array<string>} Alias names
+ *
+ * @example
+ * parseAliases('Acme,  Acme Wind Energy ,') // Returns ["Acme", "Acme Wind Energy"]
+ */
+export const parseAliases = (aliases) =>
+  (Array.isArray(aliases) ? aliases : (aliases || "").split(","))
+    .map((alias) => alias.trim().replace(/\s+/g, " "))
+    .filter(Boolean);
+
+/**
+ * Validates customer form data and returns validation errors. Names must not
+ * clash with any name (trading name, legal name or alias) of the other
+ * customers in `customers`, so each name finds exactly one customer.
+ *
+ * @param {Object} formData - The form data object to validate
+ * @param {string} formData.name - Trading name, shown on bookings
+ * @param {string} formData.legalName - Registered legal name, used for billing
+ * @param {string|Array<string>} [formData.aliases] - Other names the customer goes by
+ * @param {Array<Object>} [formData.contacts] - Contacts, each with a name and optional email
+ * @param {Array<Object>} [customers=[]] - Customers to check names against
+ * @param {string} [excludeId] - Customer being edited, skipped in uniqueness checks
+ * @returns {Object} Object with `isValid` and `errors` by field name
+ *
+ * @example
+ * validateCustomerForm({ name: 'Acme', legalName: '' }, customers);
+ * // Returns { isValid: false, errors: { name: 'Acme is already a name of Acme Wind', legalName: 'Legal name is required' } }
+ */
+export const validateCustomerForm = (formData, customers = [], excludeId) => {
+  const errors = {};
+  const others = customers.filter((customer) => customer.id !== excludeId);
+  const nameOwner = (name) =>
+    others.find((customer) =>
+      getCustomerNames(customer).includes(normalizeName(name))
+    );
+
+  if (!formData.name?.trim()) {
+    errors.name = "Customer name is required";
+  } else if (nameOwner(formData.name)) {
+    errors.name = `${formData.name.trim()} is already a name of ${
+      nameOwner(formData.name).name
+    }`;
+  }
+
+  if (!formData.legalName?.trim()) {
+    errors.legalName = "Legal name is required";
+  } else if (nameOwner(formData.legalName)) {
+    errors.legalName = `${formData.legalName.trim()} is already a name of ${
+      nameOwner(formData.legalName).name
+    }`;
+  }
+
+  const takenAlias = parseAliases(formData.aliases).find(nameOwner);
+  if (takenAlias) {
+    errors.aliases = `${takenAlias} is already a name of ${
+      nameOwner(takenAlias).name
+    }`;
+  }
+
+  // Report the first contact with a problem
+  const contactError = (formData.contacts || [])
+    .map((contact, index) => {
+      if (!contact.name?.trim()) {
+        return `Contact ${index + 1} needs a name`;
+      }
+      if (contact.email?.trim() && !EMAIL_PATTERN.test(contact.email.trim())) {
+        return `Contact ${index + 1} has an invalid email address`;
+      }
+      return null;
+    })
+    .find(Boolean);
+  if (contactError) {
+    errors.contacts = contactError;
+  }
+
+  return {
+    isValid: Object.keys(errors).length === 0,
+    errors,
+  };
+};
+
+/**
+ * Finds the customer a typed name refers to, matching the trading name,
+ * legal name or any alias and ignoring casing and stray whitespace.
+ *
+ * @param {Array<Object>} customers - Customers in the directory
+ * @param {string} name - Customer name as typed
+ * @returns {Object|undefined} The matching customer
+ *
+ * @example
+ * findCustomerByName(customers, 'acme wind energy ltd') // Returns the "Acme Wind" customer
+ */
+export const findCustomerByName = (customers, name) => {
+  const normalized = normalizeName(name);
+  return normalized
+    ? customers.find((customer) =>
+        getCustomerNames(customer).includes(normalized)
+      )
+    : undefined;
+};
+
+/**
+ * Searches customers by any of their names or by contact name or email,
+ * listing customers whose trading name matches first.
+ *
+ * @param {Array<Object>} customers - Customers in the directory
+ * @param {string} term - Search text
+ * @returns {Array<Object>} Matching customers, sorted by name
+ *
+ * @example
+ * searchCustomers(customers, 'blue') // Returns customers named or known as "Blue..."
+ */
+export const searchCustomers = (customers, term) => {
+  const query = normalizeName(term);
+  const byName = (a, b) => a.name.localeCompare(b.name);
+  if (!query) {
+    return [...customers].sort(byName);
+  }
+
+  const nameMatches = [];
+  const otherMatches = [];
+  customers.forEach((customer) => {
+    if (normalizeName(customer.name).includes(query)) {
+      nameMatches.push(customer);
+    } else if (
+      getCustomerNames(customer).some((name) => name.includes(query)) ||
+      (customer.contacts || []).some(
+        (contact) =>
+          normalizeName(contact.name).includes(query) ||
+          normalizeName(contact.email).includes(query)
+      )
+    ) {
+      otherMatches.push(customer);
+    }
+  });
+  return [...nameMatches.sort(byName), ...otherMatches.sort(byName)];
+};
+
+/**
+ * Returns the text shown next to a customer's name in the customer picker:
+ * its legal name, when it differs from the trading name.
+ *
+ * @param {Object} customer - Customer in the directory
+ * @returns {string} Legal name, or an empty string
+ */
+export const describeCustomer = (customer) =>
+  normalizeName(customer.legalName) === normalizeName(customer.name)
+    ? ""
+    : customer.legalName || "";
+
+/**
+ * Formats a billing address on one line.
+ *
+ * @param {Object} [address] - Billing address
+ * @returns {string} Address parts separated by commas
+ *
+ * @example
+ * formatAddress({ street: 'Waalhaven 45', city: 'Rotterdam', postalCode: '3089 JH', country: 'Netherlands' })
+ * // Returns "Waalhaven 45, 3089 JH Rotterdam, Netherlands"
+ */
+export const formatAddress = (address = {}) =>
+  [
+    address.street,
+    [address.postalCode, address.city].filter(Boolean).join(" "),
+    address.country,
+  ]
+    .map((part) => (part || "").trim())
+    .filter(Boolean)
+    .join(", ");
+
+/**
+ * Converts customer form values to the stored customer shape: trimmed text,
+ * aliases as a list and contacts without blank fields.
+ *
+ * @param {Object} formData - Customer form values
+ * @returns {Object} Customer data ready to save
+ */
+export const toCustomerData = (formData) => {
+  const clean = (value) => (value || "").trim().replace(/\s+/g, " ");
+  const address = formData.billingAddress || {};
+
+  return {
+    name: clean(formData.name),
+    legalName: clean(formData.legalName),
+    aliases: parseAliases(formData.aliases),
+    contacts: (formData.contacts || []).map((contact) => ({
+      name: clean(contact.name),
+      role: clean(contact.role),
+      email: clean(contact.email),
+      phone: clean(contact.phone),
+    })),
+    billingAddress: {
+      street: clean(address.street),
+      city: clean(address.city),
+      postalCode: clean(address.postalCode),
+      country: clean(address.country),
+    },
+    notes: (formData.notes || "").trim(),
+  };
+};
+
+/**
+ * Totals a customer's bookings: how many there are in each status and how
+ * many days are chartered (confirmed) or on hold (pending).
+ *
+ * @param {Array<Object>} bookings - The customer's bookings
+ * @returns {Object} `{ count, confirmed, pending, cancelled, confirmedDays, pendingDays }`
+ *
+ * @example
+ * summarizeCustomerBookings(bookings);
+ * // Returns { count: 3, confirmed: 1, pending: 1, cancelled: 1, confirmedDays: 12, pendingDays: 2 }
+ */
+export const summarizeCustomerBookings = (bookings) =>
+  bookings.reduce(
+    (totals, booking) => {
+      totals.count += 1;
+      if (booking.status in totals) {
+        totals[booking.status] += 1;
+      }
+      const days = calculateDuration(booking.startDate, booking.endDate);
+      if (booking.status === "confirmed") {
+        totals.confirmedDays += days;
+      } else if (booking.status === "pending") {
+        totals.pendingDays += days;
+      }
+      return totals;
+    },
+    {
+      count: 0,
+      confirmed: 0,
+      pending: 0,
+      cancelled: 0,
+      confirmedDays: 0,
+      pendingDays: 0,
+    }
+  );
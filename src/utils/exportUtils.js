@@ -0,0 +1,385 @@
+/**
+ * Utilities for exporting bookings to CSV, JSON, SpreadsheetML (the Excel
+ * 2003 XML format, which every Excel version opens without an add-in) and
+ * iCalendar, and for handing the result to the browser as a download.
+ */
+import { calculateDuration } from "./bookingUtils";
+import { ICS_MIME_TYPE, toFileBaseName, toICS } from "./icsUtils";
+import { calculateBookingValue } from "./rateUtils";
+import { findBookingRateCard } from "./vesselUtils";
+
+// Net value and currency of a booking, priced from its vessel's rate card
+const getExportValue = (booking, { vessels } = {}) =>
+  calculateBookingValue(booking, findBookingRateCard(booking, vessels));
+
+/**
+ * Columns an export can contain, in the order of the bookings table.
+ * `value(booking, context)` returns the raw value; dates stay YYYY-MM-DD
+ * until they are formatted for the chosen file type. `context.vessels` are
+ * the registered vessels, whose rate cards value the bookings.
+ */
+export const EXPORT_COLUMNS = [
+  { key: "id", label: "Booking ID", type: "text", value: (b) => b.id },
+  {
+    key: "customer",
+    label: "Customer",
+    type: "text",
+    value: (b) => b.customer,
+  },
+  { key: "vessel", label: "Vessel", type: "text", value: (b) => b.vessel },
+  { key: "status", label: "Status", type: "text", value: (b) => b.status },
+  {
+    key: "startDate",
+    label: "Start date",
+    type: "date",
+    value: (b) => b.startDate,
+  },
+  {
+    key: "endDate",
+    label: "End date",
+    type: "date",
+    value: (b) => b.endDate,
+  },
+  {
+    key: "duration",
+    label: "Duration (days)",
+    type: "number",
+    value: (b) => calculateDuration(b.startDate, b.endDate),
+  },
+  {
+    key: "laycanStart",
+    label: "Laydays",
+    type: "date",
+    value: (b) => b.laycanStart,
+  },
+  {
+    key: "laycanEnd",
+    label: "Cancelling",
+    type: "date",
+    value: (b) => b.laycanEnd,
+  },
+  {
+    key: "value",
+    label: "Net value",
+    type: "number",
+    value: (b, context) => getExportValue(b, context).netValue,
+  },
+  {
+    key: "currency",
+    label: "Currency",
+    type: "text",
+    value: (b, context) => {
+      const { netValue, currency } = getExportValue(b, context);
+      return netValue === null ? null : currency;
+    },
+  },
+];
+
+export const EXPORT_FORMATS = {
+  csv: {
+    label: "CSV",
+    extension: "csv",
+    mimeType: "text/csv;charset=utf-8",
+  },
+  json: {
+    label: "JSON",
+    extension: "json",
+    mimeType: "application/json",
+  },
+  spreadsheetml: {
+    label: "Excel (SpreadsheetML)",
+    extension: "xml",
+    mimeType: "application/vnd.ms-excel",
+  },
+  ics: {
+    label: "Calendar (iCalendar)",
+    extension: "ics",
+    mimeType: ICS_MIME_TYPE,
+  },
+};
+
+export const DATE_FORMATS = {
+  iso: { label: "YYYY-MM-DD" },
+  dayFirst: { label: "DD/MM/YYYY" },
+  monthFirst: { label: "MM/DD/YYYY" },
+};
+
+export const CSV_DELIMITERS = {
+  ",": { label: "Comma" },
+  ";": { label: "Semicolon" },
+  "\t": { label: "Tab" },
+};
+
+/**
+ * CSV settings Excel expects in each office's locale. Greek Excel uses the
+ * comma as its decimal separator, so it splits CSV files on semicolons.
+ */
+export const EXCEL_LOCALES = {
+  el: { label: "Greek Excel", delimiter: ";", dateFormat: "dayFirst" },
+  en: { label: "English Excel", delimiter: ",", dateFormat: "monthFirst" },
+};
+
+/**
+ * Formats a YYYY-MM-DD date for export.
+ *
+ * @param {string} isoDate - Date in YYYY-MM-DD format
+ * @param {string} format - Key of DATE_FORMATS
+ * @returns {string} Formatted date, or "" when there is no date
+ *
+ * @example
+ * formatExportDate('2030-03-05', 'dayFirst') // Returns "05/03/2030"
+ * formatExportDate('2030-03-05', 'monthFirst') // Returns "03/05/2030"
+ */
+export const formatExportDate = (isoDate, format) => {
+  if (!isoDate) return "";
+  const [year, month, day] = isoDate.split("-");
+  switch (format) {
+    case "dayFirst":
+      return `${day}/${month}/${year}`;
+    case "monthFirst":
+      return `${month}/${day}/${year}`;
+    default:
+      return isoDate;
+  }
+};
+
+// Spreadsheets run cells starting with these characters as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const toCsvCell = (value, delimiter) => {
+  let text = value === null || value === undefined ? "" : String(value);
+  if (FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return text.includes(delimiter) || /["\r\n]/.test(text)
+    ? `"${text.replace(/"/g, '""')}"`
+    : text;
+};
+
+// Excel splits CSV files on semicolons where the comma is the decimal
+// separator (see EXCEL_LOCALES), so numbers use a decimal comma there
+const formatCsvNumber = (value, delimiter) =>
+  delimiter === ";" && typeof value === "number"
+    ? String(value).replace(".", ",")
+    : value;
+
+/**
+ * Writes bookings as CSV with a header row. The file starts with a byte
+ * order mark so Excel reads Greek names as UTF-8, and cells that a
+ * spreadsheet would run as formulas are prefixed with an apostrophe.
+ *
+ * @param {Array<Object>} bookings - Bookings to export, in order
+ * @param {Object} [options] - CSV options
+ * @param {Array<Object>} [options.columns=EXPORT_COLUMNS] - Columns to write
+ * @param {string} [options.delimiter=","] - Cell delimiter
+ * @param {string} [options.dateFormat="iso"] - Key of DATE_FORMATS
+ * @param {Array<Object>} [options.vessels] - Registered vessels, whose rate cards value the bookings
+ * @returns {string} CSV text with CRLF line endings
+ *
+ * @example
+ * toCSV(bookings, { delimiter: ';', dateFormat: 'dayFirst' });
+ */
+export const toCSV = (bookings, options = {}) => {
+  const {
+    columns = EXPORT_COLUMNS,
+    delimiter = ",",
+    dateFormat = "iso",
+    vessels,
+  } = options;
+
+  const toCell = (column, value) => {
+    if (column.type === "date") return formatExportDate(value, dateFormat);
+    if (column.type === "number") return formatCsvNumber(value, delimiter);
+    return value;
+  };
+
+  const lines = [
+    columns.map((column) => toCsvCell(column.label, delimiter)),
+    ...bookings.map((booking) =>
+      columns.map((column) =>
+        toCsvCell(toCell(column, column.value(booking, { vessels })), delimiter)
+      )
+    ),
+  ];
+
+  return `\uFEFF${lines.map((cells) => cells.join(delimiter)).join("\r\n")}`;
+};
+
+/**
+ * Writes bookings as a JSON array of objects keyed by column. Dates stay
+ * YYYY-MM-DD and durations and values are numbers, whatever the locale.
+ *
+ * @param {Array<Object>} bookings - Bookings to export, in order
+ * @param {Object} [options] - JSON options
+ * @param {Array<Object>} [options.columns=EXPORT_COLUMNS] - Columns to write
+ * @param {Array<Object>} [options.vessels] - Registered vessels, whose rate cards value the bookings
+ * @returns {string} Pretty-printed JSON
+ */
+export const toJSON = (bookings, options = {}) => {
+  const { columns = EXPORT_COLUMNS, vessels } = options;
+  return JSON.stringify(
+    bookings.map((booking) =>
+      Object.fromEntries(
+        columns.map((column) => [
+          column.key,
+          column.value(booking, { vessels }) ?? null,
+        ])
+      )
+    ),
+    null,
+    2
+  );
+};
+
+const escapeXml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const toXmlCell = (column, value) => {
+  if (value === null || value === undefined || value === "") {
+    return "<Cell/>";
+  }
+  if (column.type === "date") {
+    return `<Cell ss:StyleID="date"><Data ss:Type="DateTime">${value}T00:00:00.000</Data></Cell>`;
+  }
+  if (column.type === "number") {
+    return `<Cell><Data ss:Type="Number">${value}</Data></Cell>`;
+  }
+  return `<Cell><Data ss:Type="String">${escapeXml(value)}</Data></Cell>`;
+};
+
+/**
+ * Writes bookings as a SpreadsheetML workbook. Dates are real date cells
+ * shown in Excel's short date format, so each office sees its own locale's
+ * dates without any export option.
+ *
+ * @param {Array<Object>} bookings - Bookings to export, in order
+ * @param {Object} [options] - Workbook options
+ * @param {Array<Object>} [options.columns=EXPORT_COLUMNS] - Columns to write
+ * @param {string} [options.sheetName="Bookings"] - Worksheet name
+ * @param {Array<Object>} [options.vessels] - Registered vessels, whose rate cards value the bookings
+ * @returns {string} SpreadsheetML document
+ */
+export const toSpreadsheetML = (bookings, options = {}) => {
+  const { columns = EXPORT_COLUMNS, sheetName = "Bookings", vessels } = options;
+
+  const header = `<Row>${columns
+    .map(
+      (column) =>
+        `<Cell ss:StyleID="header"><Data ss:Type="String">${escapeXml(
+          column.label
+        )}</Data></Cell>`
+    )
+    .join("")}</Row>`;
+  const rows = bookings.map(
+    (booking) =>
+      `<Row>${columns
+        .map((column) => toXmlCell(column, column.value(booking, { vessels })))
+        .join("")}</Row>`
+  );
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<?mso-application progid="Excel.Sheet"?>',
+    '<Workbook xmlns="urn:schemas-microsoft-com:office:spreadsheet" xmlns:ss="urn:schemas-microsoft-com:office:spreadsheet">',
+    "<Styles>",
+    '<Style ss:ID="header"><Font ss:Bold="1"/></Style>',
+    '<Style ss:ID="date"><NumberFormat ss:Format="Short Date"/></Style>',
+    "</Styles>",
+    `<Worksheet ss:Name="${escapeXml(sheetName)}">`,
+    "<Table>",
+    header,
+    ...rows,
+    "</Table>",
+    "</Worksheet>",
+    "</Workbook>",
+  ].join("\n");
+};
+
+/**
+ * Builds an export file for bookings.
+ *
+ * @param {Array<Object>} bookings - Bookings to export, in order
+ * @param {Object} options - Export options
+ * @param {string} options.format - Key of EXPORT_FORMATS
+ * @param {Array<string>} [options.columns] - Keys of the EXPORT_COLUMNS to include;
+ *   all of them when omitted
+ * @param {string} [options.delimiter] - CSV delimiter
+ * @param {string} [options.dateFormat] - CSV date format, key of DATE_FORMATS
+ * @param {string} [options.calendarName] - Calendar name for iCalendar files
+ * @param {string} [options.baseName="bookings"] - File name without extension
+ * @param {Array<Object>} [options.vessels] - Registered vessels, whose rate cards value the bookings
+ * @returns {{content: string, fileName: string, mimeType: string}} The file
+ *
+ * @example
+ * buildExportFile(bookings, { format: 'csv', ...EXCEL_LOCALES.el });
+ * // Returns { content: '\uFEFFBooking ID;Customer;...', fileName: 'bookings.csv', ... }
+ */
+export const buildExportFile = (bookings, options) => {
+  const {
+    format,
+    columns,
+    delimiter,
+    dateFormat,
+    calendarName,
+    baseName = "bookings",
+    vessels,
+  } = options;
+  const selectedColumns = columns
+    ? EXPORT_COLUMNS.filter((column) => columns.includes(column.key))
+    : EXPORT_COLUMNS;
+  const { extension, mimeType } = EXPORT_FORMATS[format];
+
+  let content;
+  switch (format) {
+    case "json":
+      content = toJSON(bookings, { columns: selectedColumns, vessels });
+      break;
+    case "ics":
+      // Calendar events always carry every booking detail
+      content = toICS(bookings, { calendarName });
+      break;
+    case "spreadsheetml":
+      content = toSpreadsheetML(bookings, {
+        columns: selectedColumns,
+        vessels,
+      });
+      break;
+    default:
+      content = toCSV(bookings, {
+        columns: selectedColumns,
+        delimiter,
+        dateFormat,
+        vessels,
+      });
+  }
+
+  return {
+    content,
+    fileName: `${toFileBaseName(baseName)}.${extension}`,
+    mimeType,
+  };
+};
+
+/**
+ * Offers text to the user as a file download.
+ *
+ * @param {Object} file - File to download, as returned by buildExportFile
+ * @param {string} file.content - File contents
+ * @param {string} file.fileName - Suggested file name
+ * @param {string} file.mimeType - MIME type of the contents
+ */
+export const downloadFile = ({ content, fileName, mimeType }) => {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  link.style.display = "none";
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
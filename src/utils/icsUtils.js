@@ -0,0 +1,205 @@
+/**
+ * Utilities for exporting bookings as iCalendar (RFC 5545) files that
+ * Outlook, Google Calendar and Apple Calendar can import. Every booking is
+ * an all-day event whose UID is derived from the booking ID, so importing a
+ * newer file updates the existing events instead of adding duplicates.
+ */
+import { BOOKING_STATUS } from "../services/bookingWorkflow";
+
+export const ICS_MIME_TYPE = "text/calendar;charset=utf-8";
+
+// Identifies this app as the producer of the calendar (RFC 5545 §3.7.3)
+const PRODUCT_ID = "-//BRS Booking//Vessel Bookings//EN";
+
+// Domain part of event UIDs; never change it, or re-imports will duplicate events
+const UID_DOMAIN = "brs-booking";
+
+// iCalendar event status for each booking status
+export const ICS_EVENT_STATUS = {
+  [BOOKING_STATUS.PENDING]: "TENTATIVE",
+  [BOOKING_STATUS.CONFIRMED]: "CONFIRMED",
+  [BOOKING_STATUS.CANCELLED]: "CANCELLED",
+};
+
+/**
+ * Returns the stable iCalendar UID of a booking's event.
+ *
+ * @param {Object} booking - Booking object
+ * @returns {string} UID that stays the same for the life of the booking
+ *
+ * @example
+ * getEventUid({ id: 'BK-1001' }) // Returns "BK-1001@brs-booking"
+ */
+export const getEventUid = (booking) => `${booking.id}@${UID_DOMAIN}`;
+
+// Escape TEXT values (RFC 5545 §3.3.11)
+const escapeText = (value) =>
+  String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r\n|\r|\n/g, "\\n");
+
+const toICSDate = (isoDate) => isoDate.replace(/-/g, "");
+
+const toICSDateTime = (date) =>
+  date
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d{3}/, "");
+
+const nextDay = (isoDate) => {
+  const date = new Date(`${isoDate}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + 1);
+  return date.toISOString().slice(0, 10);
+};
+
+// All-day events end on the day after their last day (RFC 5545 §3.6.1),
+// which is the booking's end date: the app treats it as exclusive too. A
+// booking ending the day it starts still takes up that day.
+const eventEndDate = (booking) => {
+  const start = booking.startDate.slice(0, 10);
+  const end = booking.endDate.slice(0, 10);
+  return end > start ? end : nextDay(start);
+};
+
+// Octets a character takes in UTF-8
+const utf8Length = (char) => {
+  const codePoint = char.codePointAt(0);
+  if (codePoint < 0x80) return 1;
+  if (codePoint < 0x800) return 2;
+  return codePoint < 0x10000 ? 3 : 4;
+};
+
+/**
+ * Folds a content line into lines of at most 75 octets, continued with a
+ * leading space, without splitting multi-byte characters (RFC 5545 §3.1).
+ *
+ * @param {string} line - Unfolded content line
+ * @returns {string} Folded line, joined with CRLF
+ */
+export const foldLine = (line) => {
+  const parts = [];
+  let current = "";
+  let octets = 0;
+
+  for (const char of line) {
+    const size = utf8Length(char);
+    // Continuation lines lose one octet to the leading space
+    const limit = parts.length === 0 ? 75 : 74;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = "";
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+
+  return parts.join("\r\n ");
+};
+
+const bookingToEvent = (booking, dtstamp) => {
+  const description = [
+    `Booking ${booking.id}`,
+    `Customer: ${booking.customer}`,
+    `Vessel: ${booking.vessel}`,
+    `Status: ${booking.status}`,
+    booking.cancellationReason &&
+      `Cancellation reason: ${booking.cancellationReason}`,
+  ]
+    .filter(Boolean)
+    .join("\n");
+
+  return [
+    "BEGIN:VEVENT",
+    `UID:${getEventUid(booking)}`,
+    `DTSTAMP:${dtstamp}`,
+    `DTSTART;VALUE=DATE:${toICSDate(booking.startDate)}`,
+    `DTEND;VALUE=DATE:${toICSDate(eventEndDate(booking))}`,
+    `SUMMARY:${escapeText(`${booking.vessel} – ${booking.customer}`)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    `STATUS:${ICS_EVENT_STATUS[booking.status] || "TENTATIVE"}`,
+    // Calendars replace an event when its sequence number goes up
+    `SEQUENCE:${Math.max((booking.version || 1) - 1, 0)}`,
+    booking.updatedAt &&
+      `LAST-MODIFIED:${toICSDateTime(new Date(booking.updatedAt))}`,
+    `TRANSP:${
+      booking.status === BOOKING_STATUS.CANCELLED ? "TRANSPARENT" : "OPAQUE"
+    }`,
+    "END:VEVENT",
+  ].filter(Boolean);
+};
+
+/**
+ * Writes bookings as an iCalendar file with one all-day event per booking.
+ * Pending bookings are tentative events and cancelled ones stay in the file
+ * as cancelled events, so calendars that imported them earlier update them.
+ *
+ * @param {Array<Object>} bookings - Bookings to include
+ * @param {Object} [options] - Calendar options
+ * @param {string} [options.calendarName="Vessel bookings"] - Name calendars show for the file
+ * @param {Date} [options.now=new Date()] - Time the file is generated (DTSTAMP)
+ * @returns {string} iCalendar text with CRLF line endings
+ *
+ * @example
+ * toICS(bookings.filter(b => b.vessel === 'Nordic Star'), {
+ *   calendarName: 'Nordic Star',
+ * });
+ */
+export const toICS = (bookings, options = {}) => {
+  const { calendarName = "Vessel bookings", now = new Date() } = options;
+  const dtstamp = toICSDateTime(now);
+
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODUCT_ID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(calendarName)}`,
+    ...bookings.flatMap((booking) => bookingToEvent(booking, dtstamp)),
+    "END:VCALENDAR",
+  ];
+
+  return `${lines.map(foldLine).join("\r\n")}\r\n`;
+};
+
+/**
+ * Turns a name into a safe file name without extension.
+ *
+ * @param {string} name - Vessel name, booking ID or similar
+ * @returns {string} Lower-case name with dashes
+ *
+ * @example
+ * toFileBaseName('Nordic Star') // Returns "nordic-star"
+ */
+export const toFileBaseName = (name) =>
+  String(name)
+    .normalize("NFKD")
+    .replace(/[^\w\s-]/g, "")
+    .trim()
+    .toLowerCase()
+    .replace(/[\s_-]+/g, "-") || "bookings";
+
+/**
+ * Builds an iCalendar file for bookings, ready for `downloadFile`.
+ *
+ * @param {Array<Object>} bookings - Bookings to include
+ * @param {Object} [options] - File options
+ * @param {string} [options.calendarName] - Name calendars show for the file
+ * @param {string} [options.baseName="bookings"] - File name without extension
+ * @returns {{content: string, fileName: string, mimeType: string}} The file
+ *
+ * @example
+ * downloadFile(buildICSFile([booking], { baseName: booking.id }));
+ */
+export const buildICSFile = (bookings, options = {}) => {
+  const { calendarName, baseName = "bookings" } = options;
+  return {
+    content: toICS(bookings, { calendarName }),
+    fileName: `${toFileBaseName(baseName)}.ics`,
+    mimeType: ICS_MIME_TYPE,
+  };
+};
@@ -0,0 +1,426 @@
+/**
+ * Utilities for importing bookings from CSV files and pasted spreadsheet
+ * rows: parsing delimited text, guessing which column holds which booking
+ * field, normalizing the values and validating each row with the same rules
+ * as the booking form, plus vessel conflict checks.
+ */
+import { INITIAL_STATUSES } from "../services/bookingWorkflow";
+import { findBookingConflicts, validateBookingForm } from "./bookingUtils";
+import { findCustomerByName } from "./customerUtils";
+import { findVesselByName } from "./vesselUtils";
+
+/**
+ * Booking fields an import can fill, in display order, with the column
+ * headers each is recognized by.
+ */
+export const IMPORT_FIELDS = [
+  {
+    name: "customer",
+    label: "Customer",
+    required: true,
+    aliases: ["customer", "customer name", "client", "charterer"],
+  },
+  {
+    name: "vessel",
+    label: "Vessel",
+    required: true,
+    aliases: ["vessel", "vessel name", "ship", "boat"],
+  },
+  {
+    name: "status",
+    label: "Status",
+    required: false,
+    aliases: ["status", "state"],
+  },
+  {
+    name: "startDate",
+    label: "Start date",
+    required: true,
+    aliases: ["start date", "start", "from", "date from"],
+  },
+  {
+    name: "endDate",
+    label: "End date",
+    required: true,
+    aliases: ["end date", "end", "to", "until", "date to"],
+  },
+];
+
+/**
+ * Orders the day and month of slashed dates can be written in. Greek and UK
+ * spreadsheets write day first and US ones month first, so 05/03/2030 is
+ * read with the order chosen for the import or detected from its dates.
+ */
+export const DATE_ORDERS = {
+  dayFirst: { label: "DD/MM/YYYY" },
+  monthFirst: { label: "MM/DD/YYYY" },
+};
+
+// Delimiters tried when guessing, in order of preference on a tie
+const DELIMITERS = ["\t", ";", ","];
+
+const normalizeHeader = (header) =>
+  header
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+
+// Count a character outside quoted sections of a line
+const countUnquoted = (line, char) => {
+  let count = 0;
+  let quoted = false;
+  for (const c of line) {
+    if (c === '"') quoted = !quoted;
+    else if (c === char && !quoted) count += 1;
+  }
+  return count;
+};
+
+/**
+ * Guesses the delimiter of delimited text from its first line. Tabs win for
+ * rows pasted from a spreadsheet; semicolons are what Excel writes in
+ * locales that use a decimal comma.
+ *
+ * @param {string} text - Delimited text
+ * @returns {string} The delimiter: tab, semicolon or comma
+ *
+ * @example
+ * detectDelimiter('Customer;Vessel\nAcme;Nordic Star') // Returns ";"
+ */
+export const detectDelimiter = (text) => {
+  const firstLine = text.split(/\r\n|\n|\r/, 1)[0] || "";
+  let best = ",";
+  let bestCount = 0;
+  DELIMITERS.forEach((delimiter) => {
+    const count = countUnquoted(firstLine, delimiter);
+    if (count > bestCount) {
+      best = delimiter;
+      bestCount = count;
+    }
+  });
+  return best;
+};
+
+/**
+ * Parses delimited text (RFC 4180 CSV, or tab-separated rows pasted from a
+ * spreadsheet) into rows of trimmed cells. Quoted cells may contain
+ * delimiters, line breaks and doubled quotes. Blank lines are skipped.
+ *
+ * @param {string} text - Delimited text
+ * @param {string} [delimiter] - Cell delimiter; guessed when omitted
+ * @returns {Array<Array<string>>} Rows of cells
+ *
+ * @example
+ * parseDelimitedText('Customer,Vessel\n"Acme, Inc.",Nordic Star')
+ * // Returns [["Customer", "Vessel"], ["Acme, Inc.", "Nordic Star"]]
+ */
+export const parseDelimitedText = (text, delimiter) => {
+  const source = (text || "").replace(/^\uFEFF/, "");
+  const separator = delimiter || detectDelimiter(source);
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  const endCell = () => {
+    row.push(cell.trim());
+    cell = "";
+  };
+  const endRow = () => {
+    endCell();
+    if (row.some((value) => value !== "")) {
+      rows.push(row);
+    }
+    row = [];
+  };
+
+  for (let i = 0; i < source.length; i += 1) {
+    const char = source[i];
+
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === separator) {
+      endCell();
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && source[i + 1] === "\n") i += 1;
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+  endRow();
+
+  return rows;
+};
+
+/**
+ * Checks whether a row looks like a header, i.e. names at least one
+ * booking field.
+ *
+ * @param {Array<string>} row - First row of the import
+ * @returns {boolean} True if the row is probably a header
+ */
+export const isHeaderRow = (row = []) =>
+  row.some((cell) =>
+    IMPORT_FIELDS.some((field) => field.aliases.includes(normalizeHeader(cell)))
+  );
+
+/**
+ * Guesses which column holds each booking field from the header row.
+ *
+ * @param {Array<string>} headers - Header cells
+ * @returns {Object} Column index by field name, null for fields not found
+ *
+ * @example
+ * guessColumnMapping(['Ship', 'Client', 'From', 'To'])
+ * // Returns { customer: 1, vessel: 0, status: null, startDate: 2, endDate: 3 }
+ */
+export const guessColumnMapping = (headers = []) => {
+  const normalized = headers.map(normalizeHeader);
+  return Object.fromEntries(
+    IMPORT_FIELDS.map((field) => {
+      const index = normalized.findIndex((header) =>
+        field.aliases.includes(header)
+      );
+      return [field.name, index === -1 ? null : index];
+    })
+  );
+};
+
+// Day-or-month, day-or-month and year of a slashed date (also with dots or
+// dashes), or null for any other form
+const parseSlashedDate = (value) => {
+  const match = (value || "")
+    .trim()
+    .match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+  return match && match.slice(1).map(Number);
+};
+
+// The only order a slashed date can be in, or null if it reads either way
+const getImpliedDateOrder = ([first, second]) => {
+  if (first > 12) return "dayFirst";
+  if (second > 12) return "monthFirst";
+  return first === second ? "dayFirst" : null;
+};
+
+/**
+ * Works out the order of the slashed dates in the mapped date columns: the
+ * one implied by dates such as 25/03/2030 or 03/25/2030. Returns null when
+ * every date reads either way, or when dates imply both orders.
+ *
+ * @param {Array<Array<string>>} rows - Parsed rows, without the header
+ * @param {Object} mapping - Column index by field name (see guessColumnMapping)
+ * @returns {string|null} Key of DATE_ORDERS, or null if it cannot be told
+ *
+ * @example
+ * detectDateOrder([['Acme', 'Aurora', '', '03/25/2030', '04/02/2030']], { startDate: 3, endDate: 4 })
+ * // Returns "monthFirst"
+ */
+export const detectDateOrder = (rows, mapping) => {
+  const orders = new Set();
+  rows.forEach((row) =>
+    ["startDate", "endDate"].forEach((field) => {
+      const parts = parseSlashedDate(row[mapping[field]]);
+      const order = parts && getImpliedDateOrder(parts);
+      if (order && parts[0] !== parts[1]) orders.add(order);
+    })
+  );
+  return orders.size === 1 ? [...orders][0] : null;
+};
+
+/**
+ * Converts an imported date to YYYY-MM-DD. Accepts ISO dates and slashed
+ * dates (also with dots or dashes) in the given day and month order; without
+ * one, only slashed dates that read the same either way are accepted.
+ *
+ * @param {string} value - Date as written in the import
+ * @param {string} [dateOrder] - Key of DATE_ORDERS for slashed dates
+ * @returns {string|null} ISO date, "" for an empty cell, or null if unreadable
+ *   or ambiguous
+ *
+ * @example
+ * normalizeImportDate('5/3/2030', 'dayFirst') // Returns "2030-03-05"
+ * normalizeImportDate('5/3/2030', 'monthFirst') // Returns "2030-05-03"
+ * normalizeImportDate('25/3/2030') // Returns "2030-03-25"
+ * normalizeImportDate('5/3/2030') // Returns null
+ * normalizeImportDate('March 5th') // Returns null
+ */
+export const normalizeImportDate = (value, dateOrder) => {
+  const trimmed = (value || "").trim();
+  if (!trimmed) return "";
+
+  let iso = null;
+  const isoMatch = trimmed.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  const slashed = parseSlashedDate(trimmed);
+  if (isoMatch) {
+    const [, year, month, day] = isoMatch;
+    iso = `${year}-${month.padStart(2, "0")}-${day.padStart(2, "0")}`;
+  } else if (slashed) {
+    const [first, second, year] = slashed;
+    const order = dateOrder || getImpliedDateOrder(slashed);
+    if (!order) return null;
+    const [day, month] =
+      order === "monthFirst" ? [second, first] : [first, second];
+    iso = [year, month, day]
+      .map((part) => String(part).padStart(2, "0"))
+      .join("-");
+  }
+
+  // Reject dates that do not exist, such as 31/02/2030
+  const date = iso && new Date(`${iso}T00:00:00Z`);
+  return date && date.toISOString().slice(0, 10) === iso ? iso : null;
+};
+
+/**
+ * Converts an imported status to a status new bookings may start in.
+ *
+ * @param {string} value - Status as written in the import
+ * @returns {string|null} Status, "pending" for an empty cell, or null if not allowed
+ *
+ * @example
+ * normalizeImportStatus('Confirmed') // Returns "confirmed"
+ * normalizeImportStatus('') // Returns "pending"
+ */
+export const normalizeImportStatus = (value) => {
+  const status = (value || "").trim().toLowerCase();
+  if (!status) return "pending";
+  return INITIAL_STATUSES.includes(status) ? status : null;
+};
+
+/**
+ * Validates import rows and builds the preview shown before they are
+ * imported. Each row is checked with validateBookingForm, then against the
+ * existing bookings and the valid rows above it for vessel double bookings.
+ *
+ * @param {Array<Array<string>>} rows - Parsed rows, without the header
+ * @param {Object} options - Preview options
+ * @param {Object} options.mapping - Column index by field name (see guessColumnMapping)
+ * @param {Array<Object>} [options.existingBookings=[]] - Bookings to check for conflicts
+ * @param {Object} [options.conflictPolicy] - Conflict options for findBookingConflicts
+ * @param {Array<Object>} [options.vessels] - Registered vessels; when given, rows must name
+ *   one of them and are linked to it by `vesselId`
+ * @param {Array<Object>} [options.customers] - Customers in the directory; when given, rows
+ *   must name one of them (by trading name, legal name or alias) and are linked to it by
+ *   `customerId`
+ * @param {string} [options.dateOrder] - Key of DATE_ORDERS for slashed dates; detected
+ *   from the rows when omitted (see detectDateOrder)
+ * @param {number} [options.firstRowNumber=1] - Line number of the first row, for messages
+ * @returns {Array<Object>} One `{ rowNumber, booking, errors, warnings, valid }` per row,
+ *   where `errors` maps fields (and `conflict`) to messages and `warnings` lists
+ *   pending bookings the row overlaps
+ *
+ * @example
+ * buildImportPreview([['Acme', 'Nordic Star', '', '2030-01-10', '2030-01-20']], {
+ *   mapping: { customer: 0, vessel: 1, status: 2, startDate: 3, endDate: 4 },
+ *   existingBookings: bookings,
+ * });
+ */
+export const buildImportPreview = (rows, options) => {
+  const {
+    mapping,
+    existingBookings = [],
+    conflictPolicy = {},
+    firstRowNumber = 1,
+    vessels,
+    customers,
+  } = options;
+  const dateOrder = options.dateOrder || detectDateOrder(rows, mapping);
+  const accepted = [];
+
+  const dateError = (label, value) => {
+    const slashed = parseSlashedDate(value);
+    if (!dateOrder && slashed && !getImpliedDateOrder(slashed)) {
+      return `${label} ${value} could be day or month first; choose the date order`;
+    }
+    const forms = dateOrder
+      ? DATE_ORDERS[dateOrder].label
+      : Object.values(DATE_ORDERS)
+          .map((order) => order.label)
+          .join(" or ");
+    return `${label} must be YYYY-MM-DD or ${forms}`;
+  };
+
+  return rows.map((row, index) => {
+    const rowNumber = firstRowNumber + index;
+    const cell = (field) =>
+      mapping[field] === null || mapping[field] === undefined
+        ? ""
+        : (row[mapping[field]] || "").trim();
+
+    const startDate = normalizeImportDate(cell("startDate"), dateOrder);
+    const endDate = normalizeImportDate(cell("endDate"), dateOrder);
+    const status = normalizeImportStatus(cell("status"));
+    const booking = {
+      customer: cell("customer"),
+      vessel: cell("vessel"),
+      status: status || cell("status"),
+      startDate: startDate || "",
+      endDate: endDate || "",
+    };
+
+    const { errors } = validateBookingForm(booking);
+    if (startDate === null) {
+      errors.startDate = dateError("Start date", cell("startDate"));
+    }
+    if (endDate === null) {
+      errors.endDate = dateError("End date", cell("endDate"));
+    }
+    if (status === null) {
+      errors.status = `Status must be ${INITIAL_STATUSES.join(" or ")}`;
+    }
+    if (customers && !errors.customer) {
+      const customer = findCustomerByName(customers, booking.customer);
+      if (customer) {
+        booking.customer = customer.name;
+        booking.customerId = customer.id;
+      } else {
+        errors.customer = `${booking.customer} is not in the customer directory`;
+      }
+    }
+    if (vessels && !errors.vessel) {
+      const vessel = findVesselByName(vessels, booking.vessel);
+      if (vessel) {
+        booking.vessel = vessel.name;
+        booking.vesselId = vessel.id;
+      } else {
+        errors.vessel = `${booking.vessel} is not in the vessel registry`;
+      }
+    }
+
+    let warnings = [];
+    if (Object.keys(errors).length === 0) {
+      const conflicts = findBookingConflicts(
+        booking,
+        [...existingBookings, ...accepted],
+        conflictPolicy
+      );
+      if (conflicts.blocking.length > 0) {
+        errors.conflict = `${
+          booking.vessel
+        } is already booked by ${conflicts.blocking
+          .map((other) => other.id)
+          .join(", ")}`;
+      } else {
+        warnings = conflicts.warnings.map((other) => other.id);
+        accepted.push({ ...booking, id: `row ${rowNumber}` });
+      }
+    }
+
+    return {
+      rowNumber,
+      booking,
+      errors,
+      warnings,
+      valid: Object.keys(errors).length === 0,
+    };
+  });
+};
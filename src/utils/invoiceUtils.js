@@ -0,0 +1,561 @@
+/**
+ * Utilities for invoicing confirmed bookings: invoice statuses and numbers,
+ * line items built from booking values, VAT totals, payment terms and the
+ * print-ready HTML layout of an invoice.
+ */
+import { BOOKING_STATUS } from "../services/bookingWorkflow";
+import { formatDate, formatDateRange, isSameFieldValue } from "./bookingUtils";
+import { formatAddress } from "./customerUtils";
+import { formatMoney } from "./currencyUtils";
+import { calculateBookingValue } from "./rateUtils";
+import { findBookingRateCard } from "./vesselUtils";
+import { toFileBaseName } from "./icsUtils";
+
+export const INVOICE_STATUS = {
+  DRAFT: "draft",
+  ISSUED: "issued",
+  PAID: "paid",
+  VOID: "void",
+};
+
+export const INVOICE_STATUS_LABELS = {
+  [INVOICE_STATUS.DRAFT]: "Draft",
+  [INVOICE_STATUS.ISSUED]: "Issued",
+  [INVOICE_STATUS.PAID]: "Paid",
+  [INVOICE_STATUS.VOID]: "Void",
+};
+
+// Statuses each status can move to; paid and void invoices are final
+export const INVOICE_TRANSITIONS = {
+  [INVOICE_STATUS.DRAFT]: [INVOICE_STATUS.ISSUED, INVOICE_STATUS.VOID],
+  [INVOICE_STATUS.ISSUED]: [INVOICE_STATUS.PAID, INVOICE_STATUS.VOID],
+  [INVOICE_STATUS.PAID]: [],
+  [INVOICE_STATUS.VOID]: [],
+};
+
+// Payment terms offered on new invoices, in days after the issue date
+export const PAYMENT_TERMS = [
+  { days: 0, label: "Due on receipt" },
+  { days: 15, label: "Net 15 days" },
+  { days: 30, label: "Net 30 days" },
+  { days: 45, label: "Net 45 days" },
+  { days: 60, label: "Net 60 days" },
+];
+
+export const DEFAULT_PAYMENT_TERMS_DAYS = 30;
+
+// Standard Greek VAT rate; charters exempt from VAT are invoiced at 0%
+export const DEFAULT_VAT_RATE = 24;
+
+// Company named as the issuer on printed invoices
+export const INVOICE_ISSUER = { name: "BRS Brokers" };
+
+export const INVOICE_MIME_TYPE = "text/html;charset=utf-8";
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Checks whether an invoice may move from one status to another.
+ *
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean} True if the change is allowed
+ *
+ * @example
+ * canTransitionInvoice('draft', 'issued') // Returns true
+ * canTransitionInvoice('paid', 'void') // Returns false
+ */
+export const canTransitionInvoice = (from, to) =>
+  (INVOICE_TRANSITIONS[from] || []).includes(to);
+
+/**
+ * Works out when an invoice is due: its issue date plus the payment terms.
+ *
+ * @param {string} isoDate - Issue date in YYYY-MM-DD format
+ * @param {number} days - Payment terms in days
+ * @returns {string} Due date in YYYY-MM-DD format
+ *
+ * @example
+ * calculateDueDate('2026-01-20', 30) // Returns "2026-02-19"
+ */
+export const calculateDueDate = (isoDate, days) => {
+  const date = new Date(`${isoDate}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + Number(days || 0));
+  return date.toISOString().slice(0, 10);
+};
+
+/**
+ * Returns the label of a payment term.
+ *
+ * @param {number} days - Days after the issue date
+ * @returns {string} E.g. "Net 30 days"
+ */
+export const getPaymentTermsLabel = (days) =>
+  PAYMENT_TERMS.find((terms) => terms.days === days)?.label ||
+  `Net ${days} days`;
+
+/**
+ * Works out the number of the next invoice issued on a date. Invoices are
+ * numbered in sequence per calendar year, without gaps; drafts have no
+ * number until they are issued.
+ *
+ * @param {Array<Object>} invoices - Existing invoices
+ * @param {string} issueDate - Issue date in YYYY-MM-DD format
+ * @returns {string} Invoice number as "INV-<year>-<sequence>"
+ *
+ * @example
+ * getNextInvoiceNumber([{ number: 'INV-2026-0007' }], '2026-03-01')
+ * // Returns "INV-2026-0008"
+ */
+export const getNextInvoiceNumber = (invoices, issueDate) => {
+  const prefix = `INV-${issueDate.slice(0, 4)}-`;
+  const last = invoices.reduce((max, invoice) => {
+    if (!invoice.number?.startsWith(prefix)) {
+      return max;
+    }
+    const sequence = parseInt(invoice.number.slice(prefix.length), 10);
+    return sequence > max ? sequence : max;
+  }, 0);
+  return `${prefix}${String(last + 1).padStart(4, "0")}`;
+};
+
+/**
+ * Returns the invoice a booking is billed on: the one that is not void if
+ * there is one, otherwise the most recent void one.
+ *
+ * @param {Array<Object>} invoices - Invoices to search
+ * @param {string} bookingId - Booking ID
+ * @returns {Object|undefined} The booking's invoice, if it has been invoiced
+ */
+export const findBookingInvoice = (invoices, bookingId) => {
+  const matching = (invoices || []).filter((invoice) =>
+    invoice.bookingIds.includes(bookingId)
+  );
+  return (
+    matching.find((invoice) => invoice.status !== INVOICE_STATUS.VOID) ||
+    matching[matching.length - 1]
+  );
+};
+
+// Customer a booking is billed to, compared by directory ID or by name
+const customerKey = (booking) =>
+  booking.customerId || (booking.customer || "").trim().toLowerCase();
+
+/**
+ * Builds invoice line items for bookings from their charter value (see
+ * calculateBookingValue): one line per daily, seasonal or minimum charter
+ * rate, or a single line for an overridden value, followed by a line
+ * taking off any discount.
+ *
+ * @param {Array<Object>} bookings - Bookings to invoice
+ * @param {Array<Object>} [vessels=[]] - Registered vessels with their rate cards
+ * @returns {Array<Object>} Lines with `bookingId`, `description`, `quantity`,
+ *   `unitPrice` and `amount`
+ *
+ * @example
+ * buildInvoiceLines([booking], vessels);
+ * // Returns [{ bookingId: 'BK-1001', description: 'Nordic Star charter 10/01/2026 - 22/01/2026 (BK-1001), daily rate',
+ * //   quantity: 12, unitPrice: 28000, amount: 336000 }]
+ */
+export const buildInvoiceLines = (bookings, vessels = []) =>
+  bookings.flatMap((booking) => {
+    const value = calculateBookingValue(
+      booking,
+      findBookingRateCard(booking, vessels)
+    );
+    const charter = `${booking.vessel} charter ${formatDateRange(
+      booking.startDate,
+      booking.endDate
+    )} (${booking.id})`;
+    const line = (description, quantity, unitPrice) => ({
+      bookingId: booking.id,
+      description,
+      quantity,
+      unitPrice,
+      amount: roundMoney(quantity * unitPrice),
+    });
+
+    const lines = value.isOverridden
+      ? [line(`${charter}, agreed value`, 1, value.grossValue)]
+      : value.lines.map((rate) =>
+          line(
+            `${charter}, ${
+              rate.minimum ? "minimum charter" : rate.season || "daily rate"
+            }`,
+            rate.days,
+            rate.dailyRate
+          )
+        );
+    if (value.discountAmount > 0) {
+      lines.push(
+        line(
+          `${charter}, discount ${value.discountPercent}%`,
+          1,
+          -value.discountAmount
+        )
+      );
+    }
+    return lines;
+  });
+
+// What an invoice line charges, leaving out its description
+const toCharge = ({ bookingId, quantity, unitPrice, amount }) => ({
+  bookingId,
+  quantity,
+  unitPrice,
+  amount,
+});
+
+/**
+ * Checks whether two sets of invoice lines charge the same amounts for the
+ * same bookings, whatever their descriptions say (a vessel renamed since,
+ * for example).
+ *
+ * @param {Array<Object>} lines - Invoice lines
+ * @param {Array<Object>} otherLines - Invoice lines to compare with
+ * @returns {boolean} True if every line charges the same
+ */
+export const chargeSameAmounts = (lines, otherLines) =>
+  isSameFieldValue(lines.map(toCharge), otherLines.map(toCharge));
+
+/**
+ * Checks whether changes to a booking would alter what it is invoiced for:
+ * its status, customer, dates, currency or the amounts charged. Renaming its
+ * vessel or customer, or editing its voyage legs, does not.
+ *
+ * @param {Object} booking - Booking as stored
+ * @param {Object} changes - Fields to change
+ * @param {Array<Object>} [vessels=[]] - Registered vessels with their rate cards
+ * @returns {boolean} True if the invoice would no longer match the booking
+ *
+ * @example
+ * changesInvoicedTerms(booking, { endDate: '2030-01-25' }, vessels) // Returns true
+ */
+export const changesInvoicedTerms = (booking, changes, vessels = []) => {
+  const updated = { ...booking, ...changes };
+  const sameCustomer = booking.customerId
+    ? updated.customerId === booking.customerId
+    : customerKey(updated) === customerKey(booking);
+  const valueOf = (candidate) =>
+    calculateBookingValue(candidate, findBookingRateCard(candidate, vessels));
+
+  return (
+    updated.status !== booking.status ||
+    !sameCustomer ||
+    updated.startDate.slice(0, 10) !== booking.startDate.slice(0, 10) ||
+    updated.endDate.slice(0, 10) !== booking.endDate.slice(0, 10) ||
+    valueOf(updated).currency !== valueOf(booking).currency ||
+    !chargeSameAmounts(
+      buildInvoiceLines([updated], vessels),
+      buildInvoiceLines([booking], vessels)
+    )
+  );
+};
+
+/**
+ * Adds up an invoice's lines and VAT.
+ *
+ * @param {Object} invoice - Invoice with `lines` and `vatRate` (percent)
+ * @returns {{subtotal: number, vatAmount: number, total: number}} Totals
+ *
+ * @example
+ * calculateInvoiceTotals({ vatRate: 24, lines: [{ amount: 1000 }] });
+ * // Returns { subtotal: 1000, vatAmount: 240, total: 1240 }
+ */
+export const calculateInvoiceTotals = (invoice) => {
+  const subtotal = roundMoney(
+    (invoice.lines || []).reduce((total, line) => total + line.amount, 0)
+  );
+  const vatAmount = roundMoney((subtotal * Number(invoice.vatRate || 0)) / 100);
+  return { subtotal, vatAmount, total: roundMoney(subtotal + vatAmount) };
+};
+
+/**
+ * Checks that bookings can be invoiced together: at least one booking, all
+ * confirmed, with a value in the same currency, for the same customer and
+ * not on another invoice that is still valid.
+ *
+ * @param {Array<Object>} bookings - Bookings to invoice
+ * @param {Array<Object>} [invoices=[]] - Existing invoices
+ * @param {Array<Object>} [vessels=[]] - Registered vessels with their rate cards
+ * @returns {string|null} Why the bookings cannot be invoiced, or null
+ *
+ * @example
+ * checkBookingsInvoiceable([{ id: 'BK-1002', status: 'pending', ... }]);
+ * // Returns "BK-1002 is not confirmed"
+ */
+export const checkBookingsInvoiceable = (
+  bookings,
+  invoices = [],
+  vessels = []
+) => {
+  if (bookings.length === 0) {
+    return "Choose at least one booking to invoice";
+  }
+
+  let currency = null;
+  for (const booking of bookings) {
+    if (booking.status !== BOOKING_STATUS.CONFIRMED) {
+      return `${booking.id} is not confirmed`;
+    }
+    const invoice = findBookingInvoice(invoices, booking.id);
+    if (invoice && invoice.status !== INVOICE_STATUS.VOID) {
+      return `${booking.id} is already on invoice ${
+        invoice.number || invoice.id
+      }`;
+    }
+    const value = calculateBookingValue(
+      booking,
+      findBookingRateCard(booking, vessels)
+    );
+    if (value.grossValue === null) {
+      return `${booking.id} has no value; give ${booking.vessel} a rate card or the booking a value override`;
+    }
+    if (customerKey(booking) !== customerKey(bookings[0])) {
+      return "All bookings on an invoice must be for the same customer";
+    }
+    currency = currency || value.currency;
+    if (value.currency !== currency) {
+      return "All bookings on an invoice must be priced in the same currency";
+    }
+  }
+  return null;
+};
+
+/**
+ * Returns the bookings that can go on a new invoice: confirmed, with a
+ * value, and not on an invoice that is still valid.
+ *
+ * @param {Array<Object>} bookings - Bookings to choose from
+ * @param {Array<Object>} [invoices=[]] - Existing invoices
+ * @param {Array<Object>} [vessels=[]] - Registered vessels with their rate cards
+ * @returns {Array<Object>} Bookings ready to invoice, in the given order
+ */
+export const getInvoiceableBookings = (bookings, invoices = [], vessels = []) =>
+  bookings.filter(
+    (booking) => checkBookingsInvoiceable([booking], invoices, vessels) === null
+  );
+
+/**
+ * Checks whether an issued invoice is past its due date.
+ *
+ * @param {Object} invoice - Invoice with `status` and `dueDate`
+ * @param {string} [today] - Today's date in YYYY-MM-DD format
+ * @returns {boolean} True if the invoice is issued and overdue
+ *
+ * @example
+ * isInvoiceOverdue({ status: 'issued', dueDate: '2026-02-19' }, '2026-03-01') // Returns true
+ */
+export const isInvoiceOverdue = (
+  invoice,
+  today = new Date().toISOString().slice(0, 10)
+) =>
+  invoice.status === INVOICE_STATUS.ISSUED &&
+  Boolean(invoice.dueDate) &&
+  invoice.dueDate < today;
+
+/**
+ * Validates invoice details and returns validation errors by field. An
+ * invoice number may only be used once, so two invoices issued at the same
+ * time cannot both take it.
+ *
+ * @param {Object} invoice - Invoice to validate
+ * @param {Object} invoice.customer - Customer billed, with at least a name
+ * @param {Array<Object>} invoice.lines - Line items
+ * @param {number|string} invoice.vatRate - VAT rate in percent
+ * @param {number|string} invoice.paymentTermsDays - Days the customer has to pay
+ * @param {string|null} [invoice.number] - Invoice number, once issued
+ * @param {Array<Object>} [invoices=[]] - Stored invoices
+ * @param {string} [excludeId] - ID of the invoice being edited
+ * @returns {Object} Object with `isValid` and `errors` by field name
+ *
+ * @example
+ * validateInvoice({ customer: { name: 'Oceanix' }, lines: [], vatRate: 120, paymentTermsDays: 30 });
+ * // Returns { isValid: false, errors: { lines: 'An invoice needs at least one line',
+ * //   vatRate: 'VAT rate must be between 0 and 100%' } }
+ */
+export const validateInvoice = (invoice, invoices = [], excludeId) => {
+  const errors = {};
+
+  if (!invoice.customer?.name?.trim()) {
+    errors.customer = "Customer is required";
+  }
+  if (!invoice.lines?.length) {
+    errors.lines = "An invoice needs at least one line";
+  }
+
+  const vatRate = Number(invoice.vatRate);
+  if (
+    invoice.vatRate === "" ||
+    !Number.isFinite(vatRate) ||
+    vatRate < 0 ||
+    vatRate > 100
+  ) {
+    errors.vatRate = "VAT rate must be between 0 and 100%";
+  }
+
+  const terms = Number(invoice.paymentTermsDays);
+  if (
+    invoice.paymentTermsDays === "" ||
+    !Number.isInteger(terms) ||
+    terms < 0
+  ) {
+    errors.paymentTermsDays = "Payment terms must be a whole number of days";
+  }
+
+  if (
+    invoice.number &&
+    invoices.some(
+      (other) => other.id !== excludeId && other.number === invoice.number
+    )
+  ) {
+    errors.number = `Invoice number ${invoice.number} is already used`;
+  }
+
+  return {
+    isValid: Object.keys(errors).length === 0,
+    errors,
+  };
+};
+
+// Escape text for HTML content and attribute values
+const escapeHTML = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+// Layout of the printed invoice: A4, black on white, whatever the app theme
+const PRINT_STYLES = `
+  @page { size: A4; margin: 20mm; }
+  body { font-family: Arial, Helvetica, sans-serif; color: #222; font-size: 10pt; margin: 0; }
+  header { display: flex; justify-content: space-between; margin-bottom: 24pt; }
+  h1 { font-size: 20pt; margin: 0 0 4pt; }
+  .status { font-weight: bold; text-transform: uppercase; }
+  .parties { display: flex; justify-content: space-between; margin-bottom: 24pt; }
+  dl { display: grid; grid-template-columns: auto auto; gap: 2pt 12pt; margin: 0; }
+  dt { font-weight: bold; }
+  dd { margin: 0; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { padding: 6pt 4pt; border-bottom: 1px solid #ccc; text-align: left; vertical-align: top; }
+  th { font-size: 8pt; text-transform: uppercase; }
+  .numeric { text-align: right; white-space: nowrap; }
+  tfoot td { border-bottom: none; }
+  tfoot tr:last-child td { font-weight: bold; font-size: 12pt; border-top: 2px solid #222; }
+  .notes { margin-top: 24pt; white-space: pre-wrap; }
+`;
+
+/**
+ * Renders an invoice as a standalone, print-ready HTML document.
+ *
+ * @param {Object} invoice - Invoice to render
+ * @returns {string} HTML document
+ *
+ * @example
+ * const printWindow = window.open("", "_blank");
+ * printWindow.document.write(buildInvoiceHTML(invoice));
+ */
+export const buildInvoiceHTML = (invoice) => {
+  const { subtotal, vatAmount, total } = calculateInvoiceTotals(invoice);
+  const money = (amount) => escapeHTML(formatMoney(amount, invoice.currency));
+  const title = invoice.number
+    ? `Invoice ${invoice.number}`
+    : `Draft invoice ${invoice.id}`;
+  const address = formatAddress(invoice.customer.billingAddress || {});
+  const details = [
+    ["Invoice number", invoice.number || "Not issued yet"],
+    ["Issue date", invoice.issueDate ? formatDate(invoice.issueDate) : "—"],
+    ["Due date", invoice.dueDate ? formatDate(invoice.dueDate) : "—"],
+    ["Payment terms", getPaymentTermsLabel(invoice.paymentTermsDays)],
+    ["Bookings", invoice.bookingIds.join(", ")],
+  ];
+
+  const lineRows = invoice.lines
+    .map(
+      (line) => `
+        <tr>
+          <td>${escapeHTML(line.description)}</td>
+          <td class="numeric">${line.quantity}</td>
+          <td class="numeric">${money(line.unitPrice)}</td>
+          <td class="numeric">${money(line.amount)}</td>
+        </tr>`
+    )
+    .join("");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHTML(title)}</title>
+  <style>${PRINT_STYLES}</style>
+</head>
+<body>
+  <header>
+    <div>
+      <h1>${escapeHTML(title)}</h1>
+      <div class="status">${escapeHTML(
+        INVOICE_STATUS_LABELS[invoice.status]
+      )}</div>
+    </div>
+    <div><strong>${escapeHTML(INVOICE_ISSUER.name)}</strong></div>
+  </header>
+  <section class="parties">
+    <div>
+      <strong>Bill to</strong><br>
+      ${escapeHTML(invoice.customer.legalName || invoice.customer.name)}<br>
+      ${escapeHTML(address)}
+    </div>
+    <dl>
+      ${details
+        .map(
+          ([label, value]) =>
+            `<dt>${escapeHTML(label)}</dt><dd>${escapeHTML(value)}</dd>`
+        )
+        .join("")}
+    </dl>
+  </section>
+  <table>
+    <thead>
+      <tr>
+        <th>Description</th>
+        <th class="numeric">Qty</th>
+        <th class="numeric">Unit price</th>
+        <th class="numeric">Amount</th>
+      </tr>
+    </thead>
+    <tbody>${lineRows}
+    </tbody>
+    <tfoot>
+      <tr><td colspan="3" class="numeric">Subtotal</td><td class="numeric">${money(
+        subtotal
+      )}</td></tr>
+      <tr><td colspan="3" class="numeric">VAT ${
+        invoice.vatRate
+      }%</td><td class="numeric">${money(vatAmount)}</td></tr>
+      <tr><td colspan="3" class="numeric">Total due</td><td class="numeric">${money(
+        total
+      )}</td></tr>
+    </tfoot>
+  </table>
+  ${invoice.notes ? `<p class="notes">${escapeHTML(invoice.notes)}</p>` : ""}
+</body>
+</html>
+`;
+};
+
+/**
+ * Builds an invoice's HTML document as a file, ready for `downloadFile`.
+ *
+ * @param {Object} invoice - Invoice to save
+ * @returns {{content: string, fileName: string, mimeType: string}} The file
+ *
+ * @example
+ * downloadFile(buildInvoiceFile(invoice)); // Saves "inv-2026-0001.html"
+ */
+export const buildInvoiceFile = (invoice) => ({
+  content: buildInvoiceHTML(invoice),
+  fileName: `${toFileBaseName(invoice.number || invoice.id)}.html`,
+  mimeType: INVOICE_MIME_TYPE,
+});
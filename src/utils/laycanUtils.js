@@ -0,0 +1,137 @@
+/**
+ * Utilities for laycans: the window from laydays to the cancelling date in
+ * which a chartered vessel must be delivered. A laycan is usually agreed
+ * wide and narrowed as the delivery date firms up; every earlier window is
+ * kept in the booking's `laycanHistory`, oldest first.
+ */
+import { BOOKING_STATUS } from "../services/bookingWorkflow";
+import { formatDate, formatDateRange } from "./bookingUtils";
+
+// Days before the cancelling date from which unconfirmed bookings are flagged
+export const LAYCAN_WARNING_DAYS = 7;
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Calendar day of a YYYY-MM-DD string, or of a Date in local time
+const toDay = (date) =>
+  typeof date === "string"
+    ? date.slice(0, 10)
+    : [
+        date.getFullYear(),
+        String(date.getMonth() + 1).padStart(2, "0"),
+        String(date.getDate()).padStart(2, "0"),
+      ].join("-");
+
+// Days from one calendar day to another, ignoring the time of day
+const daysBetween = (from, to) =>
+  Math.round((Date.parse(toDay(to)) - Date.parse(toDay(from))) / DAY_MS);
+
+/**
+ * Formats a laycan window for display.
+ *
+ * @param {string} laycanStart - Laydays (YYYY-MM-DD)
+ * @param {string} laycanEnd - Cancelling date (YYYY-MM-DD)
+ * @returns {string} E.g. "01/03/2030 - 10/03/2030", or "" without a laycan
+ */
+export const formatLaycan = (laycanStart, laycanEnd) =>
+  laycanStart && laycanEnd ? formatDateRange(laycanStart, laycanEnd) : "";
+
+/**
+ * Lists a booking's laycan windows from the first agreed to the current one.
+ *
+ * @param {Object} booking - Booking with optional `laycanStart`, `laycanEnd`
+ *   and `laycanHistory`
+ * @returns {Array<{start: string, end: string}>} Windows, oldest first; empty
+ *   without a laycan
+ *
+ * @example
+ * getLaycanWindows({ laycanStart: '2030-03-03', laycanEnd: '2030-03-05',
+ *   laycanHistory: [{ start: '2030-03-01', end: '2030-03-10' }] });
+ * // Returns [{ start: '2030-03-01', end: '2030-03-10' }, { start: '2030-03-03', end: '2030-03-05' }]
+ */
+export const getLaycanWindows = (booking) =>
+  booking.laycanStart && booking.laycanEnd
+    ? [
+        ...(booking.laycanHistory || []),
+        { start: booking.laycanStart, end: booking.laycanEnd },
+      ]
+    : [];
+
+/**
+ * Warns about an unconfirmed booking whose cancelling date is near or has
+ * passed: past it the charterer may cancel, so the booking should be
+ * confirmed first. Confirmed and cancelled bookings get no warning.
+ *
+ * @param {Object} booking - Booking with `status` and optional `laycanEnd`
+ * @param {Date|string} [today=new Date()] - Day to count from
+ * @returns {{level: ("approaching"|"lapsed"), daysLeft: number, message: string}|null}
+ *   The warning, or null if there is nothing to warn about
+ *
+ * @example
+ * getLaycanWarning({ status: 'pending', laycanEnd: '2030-03-10' }, '2030-03-07');
+ * // Returns { level: 'approaching', daysLeft: 3, message: 'Cancelling in 3 days, not confirmed' }
+ */
+export const getLaycanWarning = (booking, today = new Date()) => {
+  if (!booking.laycanEnd || booking.status !== BOOKING_STATUS.PENDING) {
+    return null;
+  }
+  const daysLeft = daysBetween(today, booking.laycanEnd);
+  if (daysLeft < 0) {
+    return {
+      level: "lapsed",
+      daysLeft,
+      message: `Cancelling date ${formatDate(
+        booking.laycanEnd
+      )} passed, not confirmed`,
+    };
+  }
+  if (daysLeft > LAYCAN_WARNING_DAYS) {
+    return null;
+  }
+  return {
+    level: "approaching",
+    daysLeft,
+    message:
+      daysLeft === 0
+        ? "Cancelling today, not confirmed"
+        : `Cancelling in ${daysLeft} day${
+            daysLeft !== 1 ? "s" : ""
+          }, not confirmed`,
+  };
+};
+
+/**
+ * Converts the booking form's laycan fields to the stored shape. When the
+ * laycan of an existing booking changes, its previous window is added to the
+ * history; clearing the laycan clears the history too.
+ *
+ * @param {Object} formData - Booking form values
+ * @param {Object} [base] - The booking as stored before this edit
+ * @returns {{laycanStart: (string|null), laycanEnd: (string|null),
+ *   laycanHistory: Array<{start: string, end: string}>}} Laycan fields ready to save
+ *
+ * @example
+ * toLaycanData({ laycanStart: '2030-03-03', laycanEnd: '2030-03-05' },
+ *   { laycanStart: '2030-03-01', laycanEnd: '2030-03-10' });
+ * // Returns { laycanStart: '2030-03-03', laycanEnd: '2030-03-05',
+ * //   laycanHistory: [{ start: '2030-03-01', end: '2030-03-10' }] }
+ */
+export const toLaycanData = (formData, base) => {
+  const laycanStart = formData.laycanStart || null;
+  const laycanEnd = formData.laycanEnd || null;
+  if (!laycanStart || !laycanEnd) {
+    return { laycanStart, laycanEnd, laycanHistory: [] };
+  }
+  const history = base?.laycanHistory || [];
+  const changed =
+    base?.laycanStart &&
+    base?.laycanEnd &&
+    (base.laycanStart !== laycanStart || base.laycanEnd !== laycanEnd);
+  return {
+    laycanStart,
+    laycanEnd,
+    laycanHistory: changed
+      ? [...history, { start: base.laycanStart, end: base.laycanEnd }]
+      : history,
+  };
+};
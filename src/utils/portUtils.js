@@ -0,0 +1,253 @@
+/**
+ * Utilities for ports and voyage legs: looking ports up in the reference
+ * list by UN/LOCODE, showing ETAs in the port's local time and checking a
+ * booking's legs. A leg loads at one port and discharges at another; ETAs
+ * are stored as the port's local time ("YYYY-MM-DDTHH:mm"), as they are
+ * quoted in fixtures.
+ */
+import { PORTS } from "../data/ports";
+import { getDisplayLocale } from "./currencyUtils";
+
+const normalizeCode = (code) => (code || "").trim().toUpperCase();
+
+/**
+ * Finds a port in the reference list by its UN/LOCODE.
+ *
+ * @param {string} code - UN/LOCODE, in any case
+ * @returns {Object|null} The port with `code`, `name`, `country` and `timezone`, or null
+ *
+ * @example
+ * findPort('grpir') // Returns { code: 'GRPIR', name: 'Piraeus', ... }
+ */
+export const findPort = (code) =>
+  PORTS.find((port) => port.code === normalizeCode(code)) || null;
+
+/**
+ * Describes a port for display.
+ *
+ * @param {string} code - UN/LOCODE
+ * @returns {string} E.g. "Piraeus (GRPIR)", the code itself if it is not in
+ *   the list, or "" without one
+ */
+export const formatPort = (code) => {
+  const port = findPort(code);
+  return port ? `${port.name} (${port.code})` : code || "";
+};
+
+/**
+ * Lists the ports a booking calls at, in voyage order, each once.
+ *
+ * @param {Object} booking - Booking with optional `legs`
+ * @returns {Array<string>} UN/LOCODEs
+ *
+ * @example
+ * getBookingPorts({ legs: [{ loadPort: 'NLRTM', dischargePort: 'NOSVG' },
+ *   { loadPort: 'NOSVG', dischargePort: 'GBABD' }] });
+ * // Returns ["NLRTM", "NOSVG", "GBABD"]
+ */
+export const getBookingPorts = (booking) => [
+  ...new Set(
+    (booking.legs || [])
+      .flatMap((leg) => [leg.loadPort, leg.dischargePort])
+      .filter(Boolean)
+      .map(normalizeCode)
+  ),
+];
+
+/**
+ * Tells whether a booking loads or discharges at a port on any leg.
+ *
+ * @param {Object} booking - Booking with optional `legs`
+ * @param {string} code - UN/LOCODE
+ * @returns {boolean} True if one of its legs calls at the port
+ */
+export const callsAtPort = (booking, code) =>
+  getBookingPorts(booking).includes(normalizeCode(code));
+
+/**
+ * Describes voyage legs for display, e.g. in the activity trail.
+ *
+ * @param {Array<Object>} [legs] - Legs with `loadPort` and `dischargePort`
+ * @returns {string} E.g. "Rotterdam (NLRTM) → Stavanger (NOSVG)", legs
+ *   separated by semicolons, or "" without legs
+ */
+export const formatVoyageLegs = (legs) =>
+  (legs || [])
+    .map(
+      (leg) => `${formatPort(leg.loadPort)} → ${formatPort(leg.dischargePort)}`
+    )
+    .join("; ");
+
+// Offset of a timezone from UTC at an instant, in minutes
+const getUtcOffset = (time, timeZone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "numeric",
+      day: "numeric",
+      hour: "numeric",
+      minute: "numeric",
+    })
+      .formatToParts(new Date(time))
+      .map(({ type, value }) => [type, Number(value)])
+  );
+  const wallTime = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute
+  );
+  return Math.round((wallTime - time) / 60000);
+};
+
+// Reads a local "YYYY-MM-DDTHH:mm" time as if it were UTC
+const parseWallTime = (eta) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})/.exec(eta || "");
+  return match
+    ? Date.UTC(match[1], match[2] - 1, match[3], match[4], match[5])
+    : null;
+};
+
+/**
+ * Converts an ETA in a port's local time to an instant, so calls at ports
+ * in different timezones can be put in order.
+ *
+ * @param {string} eta - Local time at the port ("YYYY-MM-DDTHH:mm")
+ * @param {string} code - UN/LOCODE of the port; unknown ports are read as UTC
+ * @returns {number|null} Milliseconds since the epoch, or null for a malformed ETA
+ *
+ * @example
+ * etaToTime('2030-03-01T12:00', 'GRPIR') // Returns the time of 10:00 UTC
+ */
+export const etaToTime = (eta, code) => {
+  const wallTime = parseWallTime(eta);
+  const port = findPort(code);
+  if (wallTime === null || !port) {
+    return wallTime;
+  }
+  const offset = getUtcOffset(wallTime, port.timezone);
+  // The offset may change between the guess and the actual instant (DST)
+  return (
+    wallTime - getUtcOffset(wallTime - offset * 60000, port.timezone) * 60000
+  );
+};
+
+const formatOffset = (minutes) => {
+  const sign = minutes < 0 ? "-" : "+";
+  const hours = Math.floor(Math.abs(minutes) / 60);
+  const rest = Math.abs(minutes) % 60;
+  return `UTC${sign}${hours}${rest ? `:${String(rest).padStart(2, "0")}` : ""}`;
+};
+
+/**
+ * Formats an ETA for display in the port's local time, with its offset
+ * from UTC on that day.
+ *
+ * @param {string} eta - Local time at the port ("YYYY-MM-DDTHH:mm")
+ * @param {string} code - UN/LOCODE of the port
+ * @param {string} [locale] - Locale to format in; defaults to the display locale
+ * @returns {string} E.g. "01/03/2030 12:00 (UTC+2)", or "—" without an ETA
+ *
+ * @example
+ * formatEta('2030-07-01T08:30', 'NOSVG') // Returns "01/07/2030 08:30 (UTC+2)"
+ */
+export const formatEta = (eta, code, locale = getDisplayLocale()) => {
+  const wallTime = parseWallTime(eta);
+  if (wallTime === null) {
+    return "—";
+  }
+  const options = { timeZone: "UTC" };
+  const date = new Intl.DateTimeFormat(locale, {
+    ...options,
+    day: "2-digit",
+    month: "2-digit",
+    year: "numeric",
+  }).format(wallTime);
+  const time = new Intl.DateTimeFormat(locale, {
+    ...options,
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  }).format(wallTime);
+  const port = findPort(code);
+  const offset = port
+    ? ` (${formatOffset((wallTime - etaToTime(eta, code)) / 60000)})`
+    : "";
+  return `${date} ${time}${offset}`;
+};
+
+/**
+ * Checks a booking's voyage legs: every leg loads and discharges at
+ * different ports from the list, every call has an ETA, the calls follow
+ * each other in time and fall within the charter period.
+ *
+ * @param {Array<Object>} [legs=[]] - Legs with `loadPort`, `loadEta`,
+ *   `dischargePort` and `dischargeEta`
+ * @param {Object} [period={}] - Charter period
+ * @param {string} [period.startDate] - First day of the charter (YYYY-MM-DD)
+ * @param {string} [period.endDate] - Last day of the charter (YYYY-MM-DD)
+ * @returns {string} The first problem found, or "" if the legs are fine
+ *
+ * @example
+ * validateVoyageLegs([{ loadPort: 'NLRTM', loadEta: '2030-03-02T08:00',
+ *   dischargePort: 'NLRTM', dischargeEta: '2030-03-04T08:00' }]);
+ * // Returns "A leg cannot load and discharge at the same port"
+ */
+export const validateVoyageLegs = (legs = [], period = {}) => {
+  if (legs.some((leg) => !leg.loadPort?.trim() || !leg.dischargePort?.trim())) {
+    return "Every leg needs a load port and a discharge port";
+  }
+  if (
+    legs.some((leg) => !findPort(leg.loadPort) || !findPort(leg.dischargePort))
+  ) {
+    return "Choose ports from the port list";
+  }
+  if (
+    legs.some(
+      (leg) => normalizeCode(leg.loadPort) === normalizeCode(leg.dischargePort)
+    )
+  ) {
+    return "A leg cannot load and discharge at the same port";
+  }
+
+  const calls = legs.flatMap((leg) => [
+    { port: leg.loadPort, eta: leg.loadEta },
+    { port: leg.dischargePort, eta: leg.dischargeEta },
+  ]);
+  if (calls.some((call) => parseWallTime(call.eta) === null)) {
+    return "Every port call needs an ETA";
+  }
+  const times = calls.map((call) => etaToTime(call.eta, call.port));
+  if (times.some((time, index) => index > 0 && time <= times[index - 1])) {
+    return "Port calls must follow each other in voyage order";
+  }
+  const days = calls.map((call) => call.eta.slice(0, 10));
+  if (
+    (period.startDate &&
+      days.some((day) => day < period.startDate.slice(0, 10))) ||
+    (period.endDate && days.some((day) => day > period.endDate.slice(0, 10)))
+  ) {
+    return "Port calls must fall within the charter period";
+  }
+  return "";
+};
+
+/**
+ * Converts the booking form's voyage legs to the stored shape, with the
+ * port codes in upper case.
+ *
+ * @param {Object} formData - Booking form values
+ * @returns {{legs: Array<{loadPort: string, loadEta: string,
+ *   dischargePort: string, dischargeEta: string}>}} Legs ready to save
+ */
+export const toVoyageLegData = (formData) => ({
+  legs: (formData.legs || []).map((leg) => ({
+    loadPort: normalizeCode(leg.loadPort),
+    loadEta: leg.loadEta,
+    dischargePort: normalizeCode(leg.dischargePort),
+    dischargeEta: leg.dischargeEta,
+  })),
+});
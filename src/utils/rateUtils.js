@@ -0,0 +1,351 @@
+/**
+ * Utilities for vessel rate cards and booking values: daily hire rates with
+ * seasonal overrides and a minimum charter length, and the gross and net
+ * value of a booking worked out from them. Rate cards are priced in a
+ * currency, and so is every booking's value. A booking keeps a copy of the
+ * rate card it was saved with (`rateCard`), so later changes to the
+ * vessel's rates do not reprice it.
+ */
+import { calculateDuration } from "./bookingUtils";
+import { CURRENCIES, DEFAULT_CURRENCY } from "./currencyUtils";
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Days in each month of a leap year, so 29/02 is a valid season boundary
+const DAYS_IN_MONTH = [31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+const isBlank = (value) =>
+  value === undefined || value === null || String(value).trim() === "";
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Reads a season boundary, typed as "DD/MM" or stored as "MM-DD".
+ *
+ * @param {string} value - Day of the year
+ * @returns {string|null} The day as "MM-DD", or null if it is not a real day
+ *
+ * @example
+ * parseSeasonDay('1/6') // Returns "06-01"
+ * parseSeasonDay('06-01') // Returns "06-01"
+ * parseSeasonDay('31/04') // Returns null
+ */
+export const parseSeasonDay = (value) => {
+  const text = String(value || "").trim();
+  const typed = text.match(/^(\d{1,2})\/(\d{1,2})$/);
+  const stored = text.match(/^(\d{2})-(\d{2})$/);
+  if (!typed && !stored) {
+    return null;
+  }
+
+  const day = Number(typed ? typed[1] : stored[2]);
+  const month = Number(typed ? typed[2] : stored[1]);
+  if (month < 1 || month > 12 || day < 1 || day > DAYS_IN_MONTH[month - 1]) {
+    return null;
+  }
+  return `${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+};
+
+/**
+ * Formats a stored season boundary the way it is typed.
+ *
+ * @param {string} monthDay - Day of the year as "MM-DD"
+ * @returns {string} The day as "DD/MM"
+ *
+ * @example
+ * formatSeasonDay('06-01') // Returns "01/06"
+ */
+export const formatSeasonDay = (monthDay) => {
+  const [month, day] = (monthDay || "").split("-");
+  return month && day ? `${day}/${month}` : "";
+};
+
+/**
+ * Checks whether a day falls in a season. Both boundaries are included and
+ * a season may run over the new year (e.g. 01/11 to 28/02).
+ *
+ * @param {string} monthDay - Day of the year as "MM-DD"
+ * @param {Object} season - Season with `start` and `end` as "MM-DD"
+ * @returns {boolean} True if the day is in the season
+ */
+export const isInSeason = (monthDay, season) =>
+  season.start <= season.end
+    ? monthDay >= season.start && monthDay <= season.end
+    : monthDay >= season.start || monthDay <= season.end;
+
+/**
+ * Returns the daily rate that applies on a date: the rate of the first
+ * season covering it, or the card's base rate.
+ *
+ * @param {Object} rateCard - Vessel rate card
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {{dailyRate: number, season: (string|null)}} Rate and the name of its season
+ *
+ * @example
+ * getDailyRate({ dailyRate: 9000, seasons: [
+ *   { name: 'Summer', start: '06-01', end: '08-31', dailyRate: 12000 }
+ * ] }, '2030-07-14');
+ * // Returns { dailyRate: 12000, season: 'Summer' }
+ */
+export const getDailyRate = (rateCard, date) => {
+  const monthDay = date.slice(5, 10);
+  const season = (rateCard.seasons || []).find((candidate) =>
+    isInSeason(monthDay, candidate)
+  );
+  return season
+    ? { dailyRate: season.dailyRate, season: season.name }
+    : { dailyRate: rateCard.dailyRate, season: null };
+};
+
+// The rate card a booking is priced with: its own copy if it was saved
+// with one, otherwise the vessel's current card
+const getPricingRateCard = (booking, rateCard) => booking.rateCard || rateCard;
+
+/**
+ * Returns the currency a booking's value is in: that of the rate card when
+ * the value comes from it, otherwise the booking's own currency, which the
+ * value override is entered in.
+ *
+ * @param {Object} booking - Booking with optional `valueOverride`,
+ *   `currency` and `rateCard` (the card it was saved with)
+ * @param {Object|null} rateCard - Rate card of the booking's vessel, used
+ *   when the booking has none of its own
+ * @returns {string} Key of CURRENCIES
+ *
+ * @example
+ * getBookingCurrency({ valueOverride: null }, { dailyRate: 9000, currency: 'USD' }) // Returns "USD"
+ * getBookingCurrency({ valueOverride: 50000, currency: 'NOK' }, { dailyRate: 9000, currency: 'USD' }) // Returns "NOK"
+ */
+export const getBookingCurrency = (booking, rateCard) => {
+  const card = getPricingRateCard(booking, rateCard);
+  return isBlank(booking.valueOverride) &&
+    card &&
+    Number.isFinite(card.dailyRate)
+    ? card.currency || DEFAULT_CURRENCY
+    : booking.currency || DEFAULT_CURRENCY;
+};
+
+/**
+ * Works out the value of a booking. Each chartered day (see
+ * calculateDuration) is charged at the rate that applies on it; bookings
+ * shorter than the card's minimum are charged the missing days at the base
+ * rate. A manual `valueOverride` replaces the computed value and
+ * `discountPercent` is taken off whichever applies. Bookings saved with a
+ * copy of their rate card are priced with it, not with `vesselRateCard`.
+ *
+ * @param {Object} booking - Booking with `startDate`, `endDate` and optional
+ *   `valueOverride`, `discountPercent` and `rateCard`
+ * @param {Object|null} vesselRateCard - Rate card of the booking's vessel, used
+ *   when the booking has none of its own
+ * @returns {Object} `days`, `chargedDays`, `lines` (days charged per rate),
+ *   `computedValue` (null without a rate card), `grossValue` (null if
+ *   neither a rate card nor an override is available), `isOverridden`,
+ *   `discountPercent`, `discountAmount`, `netValue` and the `currency` all
+ *   amounts are in (see getBookingCurrency)
+ *
+ * @example
+ * calculateBookingValue(
+ *   { startDate: '2030-05-30', endDate: '2030-06-02', discountPercent: 10 },
+ *   { dailyRate: 9000, seasons: [
+ *     { name: 'Summer', start: '06-01', end: '08-31', dailyRate: 12000 }
+ *   ] }
+ * );
+ * // Returns { days: 3, grossValue: 30000, discountAmount: 3000, netValue: 27000, ... }
+ */
+export const calculateBookingValue = (booking, vesselRateCard) => {
+  const rateCard = getPricingRateCard(booking, vesselRateCard);
+  const days = calculateDuration(booking.startDate, booking.endDate);
+  const lines = [];
+  let computedValue = null;
+  let chargedDays = days;
+
+  if (rateCard && Number.isFinite(rateCard.dailyRate)) {
+    const start = new Date(booking.startDate).getTime();
+    for (let index = 0; index < days; index += 1) {
+      const date = new Date(start + index * DAY_MS).toISOString();
+      const { dailyRate, season } = getDailyRate(rateCard, date);
+      const line = lines.find(
+        (candidate) =>
+          candidate.season === season && candidate.dailyRate === dailyRate
+      );
+      if (line) {
+        line.days += 1;
+      } else {
+        lines.push({ season, dailyRate, days: 1, minimum: false });
+      }
+    }
+
+    const missingDays = (rateCard.minimumDays || 0) - days;
+    if (missingDays > 0) {
+      lines.push({
+        season: null,
+        dailyRate: rateCard.dailyRate,
+        days: missingDays,
+        minimum: true,
+      });
+      chargedDays += missingDays;
+    }
+
+    lines.forEach((line) => {
+      line.amount = roundMoney(line.days * line.dailyRate);
+    });
+    computedValue = roundMoney(
+      lines.reduce((total, line) => total + line.amount, 0)
+    );
+  }
+
+  const isOverridden = !isBlank(booking.valueOverride);
+  const grossValue = isOverridden
+    ? Number(booking.valueOverride)
+    : computedValue;
+  const discountPercent = isBlank(booking.discountPercent)
+    ? 0
+    : Number(booking.discountPercent);
+  const discountAmount =
+    grossValue === null ? 0 : roundMoney((grossValue * discountPercent) / 100);
+
+  return {
+    days,
+    chargedDays,
+    lines,
+    computedValue,
+    grossValue,
+    isOverridden,
+    discountPercent,
+    discountAmount,
+    netValue:
+      grossValue === null ? null : roundMoney(grossValue - discountAmount),
+    currency: getBookingCurrency(booking, rateCard),
+  };
+};
+
+/**
+ * Validates a rate card, as typed in the vessel form or as stored. An empty
+ * card is valid: the vessel simply has no rates yet.
+ *
+ * @param {Object} [rateCard] - Rate card values
+ * @param {number|string} [rateCard.dailyRate] - Base daily hire rate
+ * @param {string} [rateCard.currency] - Currency the rates are in (key of CURRENCIES)
+ * @param {number|string} [rateCard.minimumDays] - Minimum number of days charged
+ * @param {Array<Object>} [rateCard.seasons] - Seasons with `name`, `start`,
+ *   `end` (as "DD/MM" or "MM-DD") and `dailyRate`
+ * @returns {Object} Errors by field (`dailyRate`, `currency`, `minimumDays`, `seasons`)
+ *
+ * @example
+ * validateRateCard({ dailyRate: '', seasons: [{ name: 'Summer' }] });
+ * // Returns { dailyRate: 'Daily rate is required for a rate card',
+ * //   seasons: 'Season 1 needs start and end days as DD/MM' }
+ */
+export const validateRateCard = (rateCard) => {
+  const errors = {};
+  if (!rateCard) {
+    return errors;
+  }
+  const seasons = rateCard.seasons || [];
+
+  if (!isBlank(rateCard.dailyRate)) {
+    const rate = Number(rateCard.dailyRate);
+    if (!Number.isFinite(rate) || rate <= 0) {
+      errors.dailyRate = "Daily rate must be a positive amount";
+    }
+  } else if (seasons.length > 0 || !isBlank(rateCard.minimumDays)) {
+    errors.dailyRate = "Daily rate is required for a rate card";
+  }
+
+  if (rateCard.currency && !CURRENCIES[rateCard.currency]) {
+    errors.currency = "Choose a supported currency";
+  }
+
+  if (!isBlank(rateCard.minimumDays)) {
+    const minimumDays = Number(rateCard.minimumDays);
+    if (!Number.isInteger(minimumDays) || minimumDays < 1) {
+      errors.minimumDays = "Minimum days must be a whole number of days";
+    }
+  }
+
+  // Report the first problem with the seasons, in order
+  const parsed = [];
+  seasons.some((season, index) => {
+    const label = `Season ${index + 1}`;
+    const start = parseSeasonDay(season.start);
+    const end = parseSeasonDay(season.end);
+    const rate = Number(season.dailyRate);
+
+    if (!season.name?.trim()) {
+      errors.seasons = `${label} needs a name`;
+    } else if (!start || !end) {
+      errors.seasons = `${label} needs start and end days as DD/MM`;
+    } else if (
+      isBlank(season.dailyRate) ||
+      !Number.isFinite(rate) ||
+      rate <= 0
+    ) {
+      errors.seasons = `${label} needs a positive daily rate`;
+    } else {
+      const overlapping = parsed.findIndex(
+        (other) =>
+          isInSeason(start, other) || isInSeason(other.start, { start, end })
+      );
+      if (overlapping !== -1) {
+        errors.seasons = `${label} overlaps season ${overlapping + 1}`;
+      }
+    }
+
+    parsed.push({ start, end });
+    return Boolean(errors.seasons);
+  });
+
+  return errors;
+};
+
+/**
+ * Converts rate card form values to the stored shape: numbers for rates
+ * and days and season boundaries as "MM-DD".
+ *
+ * @param {Object} [formData] - Rate card form values
+ * @returns {Object|null} Rate card ready to save, or null if no rate was entered
+ */
+export const toRateCardData = (formData) => {
+  if (!formData || isBlank(formData.dailyRate)) {
+    return null;
+  }
+
+  return {
+    dailyRate: Number(formData.dailyRate),
+    currency: formData.currency || DEFAULT_CURRENCY,
+    minimumDays: isBlank(formData.minimumDays)
+      ? null
+      : Number(formData.minimumDays),
+    seasons: (formData.seasons || []).map((season) => ({
+      name: season.name.trim(),
+      start: parseSeasonDay(season.start),
+      end: parseSeasonDay(season.end),
+      dailyRate: Number(season.dailyRate),
+    })),
+  };
+};
+
+/**
+ * Converts the booking form's value fields to the stored shape: the value
+ * override and discount as numbers, or null when left empty, the currency
+ * the booking's value is in and a copy of the rate card it is priced with.
+ *
+ * @param {Object} formData - Booking form values
+ * @param {Object|null} [rateCard] - Rate card of the booking's vessel
+ * @returns {{valueOverride: (number|null), discountPercent: (number|null), currency: string, rateCard: (Object|null)}} Value fields ready to save
+ *
+ * @example
+ * toBookingValueData({ valueOverride: '', discountPercent: '5', currency: 'EUR' }, { dailyRate: 9000, currency: 'USD' })
+ * // Returns { valueOverride: null, discountPercent: 5, currency: 'USD',
+ * //   rateCard: { dailyRate: 9000, currency: 'USD' } }
+ */
+export const toBookingValueData = (formData, rateCard = null) => ({
+  valueOverride: isBlank(formData.valueOverride)
+    ? null
+    : Number(formData.valueOverride),
+  discountPercent: isBlank(formData.discountPercent)
+    ? null
+    : Number(formData.discountPercent),
+  currency: getBookingCurrency(formData, rateCard),
+  rateCard,
+});
@@ -0,0 +1,228 @@
+/**
+ * Utilities for the vessel registry: validating vessel details, matching
+ * typed vessel names to registered vessels and searching the registry.
+ */
+import { VESSEL_TYPES } from "../data/mockVessels";
+import { normalizeVesselName } from "./bookingUtils";
+import { toRateCardData, validateRateCard } from "./rateUtils";
+
+/**
+ * Checks an IMO ship identification number: seven digits, the last of
+ * which is a check digit (the sum of the first six multiplied by 7 down to
+ * 2, modulo 10).
+ *
+ * @param {string} imoNumber - IMO number, with or without an "IMO" prefix
+ * @returns {boolean} True if the number is well formed
+ *
+ * @example
+ * isValidImoNumber('9074729') // Returns true
+ * isValidImoNumber('IMO 9074728') // Returns false (wrong check digit)
+ */
+export const isValidImoNumber = (imoNumber) => {
+  const digits = normalizeImoNumber(imoNumber);
+  if (!/^\d{7}$/.test(digits)) {
+    return false;
+  }
+  const sum = [...digits.slice(0, 6)].reduce(
+    (total, digit, index) => total + Number(digit) * (7 - index),
+    0
+  );
+  return sum % 10 === Number(digits[6]);
+};
+
+/**
+ * Strips an "IMO" prefix and whitespace from an IMO number.
+ *
+ * @param {string} imoNumber - IMO number as typed
+ * @returns {string} The bare number
+ *
+ * @example
+ * normalizeImoNumber('IMO 9074729') // Returns "9074729"
+ */
+export const normalizeImoNumber = (imoNumber) =>
+  (imoNumber || "").replace(/^\s*imo/i, "").replace(/\s+/g, "");
+
+/**
+ * Returns the label of a vessel type.
+ *
+ * @param {string} type - Vessel type value (see VESSEL_TYPES)
+ * @returns {string} Human-readable type, or the value itself if unknown
+ */
+export const getVesselTypeLabel = (type) =>
+  VESSEL_TYPES.find((option) => option.value === type)?.label || type || "";
+
+/**
+ * Validates vessel form data and returns validation errors. Uniqueness of
+ * names and IMO numbers is checked against `vessels` when given.
+ *
+ * @param {Object} formData - The form data object to validate
+ * @param {string} formData.name - Vessel name
+ * @param {string} [formData.imoNumber] - IMO number; optional for small craft
+ * @param {string} formData.type - Vessel type (see VESSEL_TYPES)
+ * @param {number|string} [formData.dwt] - Deadweight tonnage
+ * @param {number|string} [formData.capacity] - Persons on board
+ * @param {Object} [formData.rateCard] - Rate card (see validateRateCard)
+ * @param {Array<Object>} [vessels=[]] - Registered vessels to check uniqueness against
+ * @param {string} [excludeId] - Vessel being edited, skipped in uniqueness checks
+ * @returns {Object} Object with `isValid` and `errors` by field name
+ *
+ * @example
+ * validateVesselForm({ name: 'Nordic Star', imoNumber: '123', type: 'survey' });
+ * // Returns { isValid: false, errors: { imoNumber: 'IMO number must be 7 digits with a valid check digit' } }
+ */
+export const validateVesselForm = (formData, vessels = [], excludeId) => {
+  const errors = {};
+  const others = vessels.filter((vessel) => vessel.id !== excludeId);
+
+  if (!formData.name?.trim()) {
+    errors.name = "Vessel name is required";
+  } else if (findVesselByName(others, formData.name)) {
+    errors.name = "A vessel with this name is already registered";
+  }
+
+  if (formData.imoNumber?.trim()) {
+    const imoNumber = normalizeImoNumber(formData.imoNumber);
+    if (!isValidImoNumber(imoNumber)) {
+      errors.imoNumber = "IMO number must be 7 digits with a valid check digit";
+    } else if (others.some((vessel) => vessel.imoNumber === imoNumber)) {
+      errors.imoNumber = "A vessel with this IMO number is already registered";
+    }
+  }
+
+  if (!VESSEL_TYPES.some((option) => option.value === formData.type)) {
+    errors.type = "Vessel type is required";
+  }
+
+  ["dwt", "capacity"].forEach((field) => {
+    const value = formData[field];
+    if (value !== undefined && value !== null && value !== "") {
+      const number = Number(value);
+      if (!Number.isFinite(number) || number < 0) {
+        errors[field] = "Must be a positive number";
+      }
+    }
+  });
+
+  Object.assign(errors, validateRateCard(formData.rateCard));
+
+  return {
+    isValid: Object.keys(errors).length === 0,
+    errors,
+  };
+};
+
+/**
+ * Finds the registered vessel a typed name refers to, ignoring casing and
+ * stray whitespace.
+ *
+ * @param {Array<Object>} vessels - Registered vessels
+ * @param {string} name - Vessel name as typed
+ * @returns {Object|undefined} The matching vessel
+ *
+ * @example
+ * findVesselByName(vessels, 'nordic star ') // Returns the "Nordic Star" vessel
+ */
+export const findVesselByName = (vessels, name) => {
+  const normalized = normalizeVesselName(name);
+  return normalized
+    ? vessels.find((vessel) => normalizeVesselName(vessel.name) === normalized)
+    : undefined;
+};
+
+/**
+ * Returns the rate card of the vessel a booking is for, looked up by vessel
+ * ID and otherwise by name.
+ *
+ * @param {Object} booking - Booking with `vesselId` and/or `vessel`
+ * @param {Array<Object>} [vessels=[]] - Registered vessels
+ * @returns {Object|null} The vessel's rate card, or null if it has none
+ *
+ * @example
+ * findBookingRateCard({ vessel: 'Asteria', vesselId: 'VS-1003' }, vessels)
+ * // Returns { dailyRate: 14500, minimumDays: 3, seasons: [...] }
+ */
+export const findBookingRateCard = (booking, vessels = []) => {
+  const vessel =
+    (booking.vesselId &&
+      vessels.find((candidate) => candidate.id === booking.vesselId)) ||
+    findVesselByName(vessels, booking.vessel);
+  return vessel?.rateCard || null;
+};
+
+/**
+ * Searches vessels by name, IMO number or owner, listing name matches
+ * first.
+ *
+ * @param {Array<Object>} vessels - Registered vessels
+ * @param {string} term - Search text
+ * @returns {Array<Object>} Matching vessels, sorted by name
+ *
+ * @example
+ * searchVessels(vessels, 'nord') // Returns vessels named or owned by "Nord..."
+ */
+export const searchVessels = (vessels, term) => {
+  const query = normalizeVesselName(term);
+  const byName = (a, b) => a.name.localeCompare(b.name);
+  if (!query) {
+    return [...vessels].sort(byName);
+  }
+
+  const imoQuery = query.replace(/^imo\s*/, "");
+  const nameMatches = [];
+  const otherMatches = [];
+  vessels.forEach((vessel) => {
+    if (normalizeVesselName(vessel.name).includes(query)) {
+      nameMatches.push(vessel);
+    } else if (
+      (imoQuery && (vessel.imoNumber || "").includes(imoQuery)) ||
+      normalizeVesselName(vessel.owner).includes(query)
+    ) {
+      otherMatches.push(vessel);
+    }
+  });
+  return [...nameMatches.sort(byName), ...otherMatches.sort(byName)];
+};
+
+/**
+ * Summarizes a vessel's type and IMO number, as shown next to its name in
+ * the vessel picker.
+ *
+ * @param {Object} vessel - Registered vessel
+ * @returns {string} Type and IMO number, separated by a dot
+ *
+ * @example
+ * describeVessel(vessel) // Returns "Crew transfer vessel · IMO 9612038"
+ */
+export const describeVessel = (vessel) =>
+  [
+    getVesselTypeLabel(vessel.type),
+    vessel.imoNumber && `IMO ${vessel.imoNumber}`,
+  ]
+    .filter(Boolean)
+    .join(" · ");
+
+/**
+ * Converts vessel form values to the stored vessel shape: trimmed text,
+ * a bare IMO number, numbers (or null) for tonnage and capacity and the
+ * rate card (see toRateCardData).
+ *
+ * @param {Object} formData - Vessel form values
+ * @returns {Object} Vessel data ready to save
+ */
+export const toVesselData = (formData) => {
+  const toNumber = (value) =>
+    value === undefined || value === null || value === ""
+      ? null
+      : Number(value);
+
+  return {
+    name: formData.name.trim().replace(/\s+/g, " "),
+    imoNumber: normalizeImoNumber(formData.imoNumber) || null,
+    type: formData.type,
+    dwt: toNumber(formData.dwt),
+    capacity: toNumber(formData.capacity),
+    flag: (formData.flag || "").trim(),
+    owner: (formData.owner || "").trim(),
+    rateCard: toRateCardData(formData.rateCard),
+  };
+};